@@ -0,0 +1,235 @@
+/**
+ * Exam Details
+ * For PRATIYOGITA SETU - Pariksha Setu, Pariksha Marg and Pariksha Yogya
+ *
+ * Turns an exam JSON into what an exam page shows:
+ * - profile rows from getDisplayDetails (conducting body, tiers, sections,
+ *   marking scheme, duration, medium, dates, ...)
+ * - one section per division (academy, post, ...) with the pattern fields
+ *   that differ from the exam's and its eligibility rules as table rows
+ *
+ * Values are written the way the exam files hold them; keyed values
+ * (by gender, category or session) become one line per key.
+ */
+
+import {
+    examHasDivisions,
+    getDisplayDetails,
+    getDivisionData,
+    getDivisionOptions
+} from './examStructure.js';
+
+export { getDisplayDetails };
+
+// ============================================
+// LABELS
+// ============================================
+
+// getDisplayDetails fields, in page order
+export const DISPLAY_DETAIL_LABELS = {
+    full_form: 'Full form',
+    conducting_body: 'Conducting body',
+    exam_level: 'Level',
+    exam_sector: 'Sector',
+    exam_target: 'Target',
+    exam_frequency_year: 'Sessions per year',
+    posts_classes_courses_departments_academies: 'Posts / courses',
+    exam_tiers: 'Tiers',
+    exam_subjects: 'Subjects',
+    exam_pattern: 'Pattern',
+    exam_sections: 'Sections',
+    mode_of_exam: 'Mode',
+    exam_duration: 'Duration',
+    total_marks: 'Total marks',
+    number_of_questions: 'Questions',
+    marking_scheme: 'Marking scheme',
+    paper_medium: 'Medium',
+    exam_date: 'Exam date'
+};
+
+// Eligibility fields, in table order (education_levels is expanded per level)
+export const ELIGIBILITY_RULE_LABELS = {
+    gender: 'Gender',
+    special_gender_eligibility: 'Special gender eligibility',
+    marital_status: 'Marital status',
+    nationality: 'Nationality',
+    domicile: 'Domicile',
+    caste_category: 'Categories',
+    pwd_status: 'PwD candidates',
+    between_dob: 'Born between',
+    minimum_dob: 'Born on or before',
+    maximum_dob: 'Born on or after',
+    between_age: 'Age between',
+    starting_age: 'Minimum age',
+    ending_age: 'Maximum age',
+    no_age_limit: 'Age limit',
+    age_relaxation: 'Age relaxation',
+    maximum_attempts_allowed: 'Attempts allowed',
+    highest_education_qualification: 'Minimum qualification',
+    education_levels: 'Education',
+    educational_stream_restriction: 'Stream',
+    active_backlogs_allowed: 'Active backlogs',
+    gap_years_allowed: 'Gap years',
+    ncc_wing: 'NCC wing',
+    ncc_certificate: 'NCC certificate',
+    ncc_certificate_grade: 'NCC certificate grade',
+    sports_quota_eligibility: 'Sports quota',
+    cpl_holder: 'Commercial pilot licence',
+    height_cm: 'Height (cm)',
+    weight_kg: 'Weight (kg)',
+    vision_eyesight: 'Vision',
+    language_proficiency: 'Languages',
+    driving_license_type: 'Driving licence',
+    current_employment_status: 'Employment status',
+    work_experience_required: 'Work experience required',
+    work_experience_years: 'Work experience (years)',
+    ex_servicemen_status: 'Ex-servicemen'
+};
+
+const EDUCATION_LEVEL_LABELS = {
+    post_doctorate: 'Post-doctorate',
+    phd: 'PhD',
+    post_graduation: 'Post-graduation',
+    graduation: 'Graduation',
+    diploma: 'Diploma',
+    '12th_higher_secondary': '12th (Higher Secondary)',
+    '10th_secondary': '10th (Secondary)',
+    below_10th: 'Below 10th',
+    no_education: 'No formal education'
+};
+
+const EDUCATION_PART_LABELS = {
+    course: 'Course',
+    course_stream: 'Course',
+    subject: 'Subject',
+    status: 'Status',
+    marks_percentage: 'Minimum marks',
+    completed_year: 'Completed in',
+    board_university: 'Board / university'
+};
+
+// ============================================
+// VALUE FORMATTING
+// ============================================
+
+/**
+ * Label for a key inside a value: data keys ("regular_candidates") are
+ * spelled out, values used as keys ("MALE", "2026-I", "GEN") stay as they are
+ * @param {string} key
+ * @returns {string}
+ */
+const formatKey = (key) => {
+    if (!/^[a-z0-9_]+$/.test(key) || !/[a-z]/.test(key)) return key;
+    const words = key.replace(/_/g, ' ');
+    return words.charAt(0).toUpperCase() + words.slice(1);
+};
+
+/**
+ * Lines of text for one value from an exam file
+ * @param {*} value - String, list, { options: [...] } or an object keyed by gender, category, session, ...
+ * @returns {string[]} - No lines for an empty value
+ */
+export const formatRuleValue = (value) => {
+    if (value === undefined || value === null || value === '') return [];
+    if (Array.isArray(value)) {
+        const items = value.filter(item => item !== '' && item !== null);
+        return items.length > 0 ? [items.join(', ')] : [];
+    }
+    if (typeof value !== 'object') return [String(value)];
+    if (Array.isArray(value.options)) return formatRuleValue(value.options);
+    
+    return Object.entries(value).flatMap(([key, inner]) => {
+        const lines = formatRuleValue(inner);
+        if (lines.length === 0) return [];
+        if (lines.length === 1) return [`${formatKey(key)}: ${lines[0]}`];
+        return [`${formatKey(key)}:`, ...lines.map(line => `  ${line}`)];
+    });
+};
+
+/**
+ * Education rows: one per level the exam sets requirements for
+ * @param {Object} educationLevels - education_levels of an exam or division
+ * @returns {Array<{key: string, label: string, lines: string[]}>}
+ */
+const getEducationRows = (educationLevels) => {
+    return Object.entries(educationLevels || {})
+        .filter(([, requirement]) => requirement && typeof requirement === 'object')
+        .map(([level, requirement]) => ({
+            key: `education_levels.${level}`,
+            label: EDUCATION_LEVEL_LABELS[level] || formatKey(level),
+            lines: Object.entries(requirement).flatMap(([part, value]) => {
+                const lines = formatRuleValue(value);
+                if (lines.length === 0) return [];
+                const label = EDUCATION_PART_LABELS[part] || formatKey(part);
+                return lines.length === 1 ? [`${label}: ${lines[0]}`] : [`${label}:`, ...lines.map(line => `  ${line}`)];
+            })
+        }))
+        .filter(row => row.lines.length > 0);
+};
+
+// ============================================
+// TABLES
+// ============================================
+
+/**
+ * Profile rows from getDisplayDetails
+ * @param {Object} examData - Exam JSON (or one division of it)
+ * @returns {Array<{key: string, label: string, value: string}>} - Non-empty fields only
+ */
+export const getDetailRows = (examData) => {
+    const details = getDisplayDetails(examData || {});
+    return Object.entries(DISPLAY_DETAIL_LABELS)
+        .map(([key, label]) => ({ key, label, value: formatRuleValue(details[key]).join('; ') }))
+        .filter(row => row.value);
+};
+
+/**
+ * Eligibility rules of an exam or one of its divisions, as table rows
+ * @param {Object} block - Exam JSON without divisions, or one division
+ * @returns {Array<{key: string, label: string, lines: string[]}>} - Rules that are set
+ */
+export const getEligibilityRuleRows = (block) => {
+    return Object.entries(ELIGIBILITY_RULE_LABELS).flatMap(([key, label]) => {
+        if (!block) return [];
+        if (key === 'education_levels') return getEducationRows(block.education_levels);
+        const lines = formatRuleValue(block[key]);
+        return lines.length > 0 ? [{ key, label, lines }] : [];
+    });
+};
+
+/**
+ * Everything an exam page shows
+ * @param {Object} examData - Exam JSON
+ * @returns {{details: Array, divisions: Array<{name: string|null, details: Array, rules: Array}>}}
+ *   - name is null for exams without divisions; division details only list
+ *   fields that differ from the exam's
+ */
+export const buildExamProfile = (examData) => {
+    const details = getDetailRows(examData);
+    const examValues = new Map(details.map(row => [row.key, row.value]));
+    
+    const blocks = examHasDivisions(examData)
+        ? getDivisionOptions(examData)
+            .map(option => ({ name: option.value, block: getDivisionData(examData, option.value) }))
+            .filter(entry => entry.block)
+        : [{ name: null, block: examData }];
+    
+    return {
+        details,
+        divisions: blocks.map(({ name, block }) => ({
+            name,
+            details: name ? getDetailRows(block).filter(row => examValues.get(row.key) !== row.value) : [],
+            rules: getEligibilityRuleRows(block)
+        }))
+    };
+};
+
+export default {
+    DISPLAY_DETAIL_LABELS,
+    ELIGIBILITY_RULE_LABELS,
+    getDisplayDetails,
+    formatRuleValue,
+    getDetailRows,
+    getEligibilityRuleRows,
+    buildExamProfile
+};
@@ -0,0 +1,145 @@
+/**
+ * Exam Structure Helpers
+ * For PRATIYOGITA SETU - Pariksha Setu, Pariksha Marg and Pariksha Yogya
+ * 
+ * Divisions (academies, posts, ...), exam sessions and display fields of
+ * loaded exam data. No bundler-only imports, so Pariksha Yogya's API server
+ * can import this file directly ("@pariksha/exam-catalogue/examStructure.js"
+ * in the apps); examDataLoader.js and eligibilityChecker.js re-export it there.
+ */
+
+// ============================================
+// DIVISION HANDLING
+// ============================================
+
+/**
+ * Get divisions for an exam
+ * @param {Object} examData - Loaded exam data
+ * @returns {Array} - Array of {value, label} objects for dropdown
+ */
+export const getDivisionOptions = (examData) => {
+    if (!examData || !examData.posts_classes_courses_departments_academies) {
+        return [];
+    }
+    
+    const divisionsStr = examData.posts_classes_courses_departments_academies;
+    const divisions = divisionsStr.split(',').map(d => d.trim()).filter(d => d !== '');
+    
+    return divisions.map(div => ({
+        value: div,
+        label: div
+    }));
+};
+
+/**
+ * Get division-specific data
+ * @param {Object} examData - Loaded exam data
+ * @param {string} divisionName - Division name like "IMA"
+ * @returns {Object|null} - Division data or null
+ */
+export const getDivisionData = (examData, divisionName) => {
+    if (!examData || !examData.academies || !divisionName) {
+        return null;
+    }
+    return examData.academies[divisionName] || null;
+};
+
+/**
+ * Check if exam has divisions
+ * @param {Object} examData - Loaded exam data
+ * @returns {boolean}
+ */
+export const examHasDivisions = (examData) => {
+    return examData && 
+           examData.posts_classes_courses_departments_academies && 
+           examData.posts_classes_courses_departments_academies.trim() !== '' &&
+           examData.academies !== undefined;
+};
+
+// ============================================
+// EXAM SESSION HANDLING
+// ============================================
+
+// Age/DOB fields that may be keyed by exam session ({ "2026-I": "..." })
+export const SESSION_FIELDS = ['starting_age', 'ending_age', 'between_age', 'minimum_dob', 'maximum_dob', 'between_dob'];
+
+/**
+ * Get available exam sessions from exam data
+ * Checks multiple session-based fields: between_dob, between_age, minimum_dob, maximum_dob, starting_age, ending_age
+ * @param {Object} examData - Exam data (can be division-specific)
+ * @returns {Array} - Array of {value, label} objects for dropdown
+ */
+export const getExamSessionOptions = (examData) => {
+    if (!examData) {
+        return [];
+    }
+    
+    // List of fields that can have session-based data (including no_age_limit for exams without age restriction)
+    const sessionFields = ['between_dob', 'between_age', 'minimum_dob', 'maximum_dob', 'starting_age', 'ending_age', 'no_age_limit'];
+    
+    for (const fieldName of sessionFields) {
+        let fieldData = examData[fieldName];
+        
+        if (!fieldData) continue;
+        
+        // Handle nested structure (regular_candidates, CPL_holders)
+        if (fieldData.regular_candidates) {
+            fieldData = fieldData.regular_candidates;
+        }
+        
+        // Check if it's an object with session keys (not a simple string)
+        if (typeof fieldData === 'object' && !Array.isArray(fieldData)) {
+            const keys = Object.keys(fieldData);
+            // Verify at least one key looks like a session (contains year)
+            if (keys.length > 0 && keys.some(k => /\d{4}/.test(k))) {
+                return keys.map(session => ({
+                    value: session,
+                    label: session.replace(/-/g, ' ')
+                }));
+            }
+        }
+    }
+    
+    return [];
+};
+
+// ============================================
+// DISPLAY DATA EXTRACTION
+// ============================================
+
+/**
+ * Get exam details for display only (not for eligibility checking)
+ * @param {Object} examData - Exam JSON data (or one division of it)
+ * @returns {Object} - Display-only fields
+ */
+export const getDisplayDetails = (examData) => {
+    return {
+        full_form: examData.full_form || '',
+        exam_level: examData.exam_level || '',
+        exam_sector: examData.exam_sector || '',
+        exam_target: examData.exam_target || '',
+        exam_frequency_year: examData.exam_frequency_year || '',
+        conducting_body: examData.conducting_body || '',
+        posts_classes_courses_departments_academies: examData.posts_classes_courses_departments_academies || '',
+        exam_tiers: examData.exam_tiers || '',
+        exam_subjects: examData.exam_subjects || '',
+        exam_pattern: examData.exam_pattern || '',
+        exam_sections: examData.exam_sections || '',
+        mode_of_exam: examData.mode_of_exam || '',
+        exam_duration: examData.exam_duration || '',
+        total_marks: examData.total_marks || '',
+        number_of_questions: examData.number_of_questions || '',
+        marking_scheme: examData.marking_scheme || '',
+        paper_medium: examData.paper_medium || '',
+        exam_date: examData.exam_date || ''
+    };
+};
+
+export default {
+    SESSION_FIELDS,
+    getDivisionOptions,
+    getDivisionData,
+    examHasDivisions,
+    getExamSessionOptions,
+    getDisplayDetails
+};
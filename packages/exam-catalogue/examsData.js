@@ -0,0 +1,35 @@
+/**
+ * Exam Data Source
+ * For PRATIYOGITA SETU - Pariksha Setu, Pariksha Marg and Pariksha Yogya
+ *
+ * The catalogue's only link to Pariksha Yogya: the exam index and exam JSON
+ * files in pariksha_yogya/examsdata. They stay there because the eligibility
+ * checker, `npm run lint:exams` and the admin editor (server/exams.js) read
+ * and write them; every site bundles them from that folder.
+ */
+
+import allExamNames from '../../pariksha_yogya/examsdata/allexamnames.json' with { type: 'json' };
+
+export { allExamNames };
+
+// Each exam JSON becomes its own chunk, fetched when its page is opened
+const examDataModules = import.meta.glob(
+    ['../../pariksha_yogya/examsdata/**/*.json', '!../../pariksha_yogya/examsdata/allexamnames.json'],
+    { import: 'default' }
+);
+
+const EXAMS_DATA_ROOT = '../../pariksha_yogya/examsdata/';
+
+/**
+ * Loader for an exam JSON file
+ * Exact path match only - a partial match could pick the wrong file
+ * @param {string} linkedFile - linked_json_file from allexamnames.json, e.g. "DEFENCE_ED/cds.json"
+ * @returns {Function|null} - () => Promise<Object>, or null if there is no such file
+ */
+export const getExamDataLoader = (linkedFile) => {
+    const relativePath = String(linkedFile || '')
+        .trim()
+        .replace(/\\/g, '/')
+        .replace(/^(\.\/|\/)+/, '');
+    return examDataModules[`${EXAMS_DATA_ROOT}${relativePath}`] || null;
+};
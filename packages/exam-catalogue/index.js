@@ -0,0 +1,240 @@
+/**
+ * Exam Catalogue
+ * For PRATIYOGITA SETU - Pariksha Setu, Pariksha Marg and Pariksha Yogya
+ *
+ * Every exam the sites list, by category, with the labels the sites show:
+ * - exams come from pariksha_yogya/examsdata/allexamnames.json, the index the
+ *   eligibility checker and its admin editor use (examsData.js)
+ * - exams are identified by exam_id; exam_code is shown but is not unique
+ * - "linked" exams have eligibility rules, so they can be checked on
+ *   Pariksha Yogya through a deep link, and their exam JSON can be loaded
+ *   for an exam page (see examDetails.js) and the search index (search.js)
+ *
+ * Each app resolves "@pariksha/exam-catalogue" to this folder (vite.config.js).
+ */
+
+import { allExamNames, getExamDataLoader } from './examsData.js';
+
+// Pariksha Yogya's exam data loader resolves exam files through the same loader
+export { getExamDataLoader };
+
+export {
+    DISPLAY_DETAIL_LABELS,
+    ELIGIBILITY_RULE_LABELS,
+    getDisplayDetails,
+    formatRuleValue,
+    getDetailRows,
+    getEligibilityRuleRows,
+    buildExamProfile
+} from './examDetails.js';
+
+import { createExamSearchIndex } from './search.js';
+
+export {
+    SEARCH_FACETS,
+    transliterateDevanagari,
+    createExamSearchIndex,
+    searchExams,
+    getFacetCounts
+} from './search.js';
+
+// ============================================
+// CATEGORIES
+// ============================================
+
+export const CATEGORY_LABELS = {
+    SSC_ED: 'SSC Exams',
+    BANKING_ED: 'Banking Exams',
+    CIVIL_SERVICES_ED: 'Civil Services',
+    RAILWAY_ED: 'Railway Exams',
+    DEFENCE_ED: 'Defence Exams',
+    INSURANCES_ED: 'Insurance Exams',
+    NURSING_ED: 'Nursing Exams',
+    PG_ED: 'Postgraduate Exams',
+    CAMPUS_PLACEMENT_ED: 'Campus Placement',
+    MBA_ED: 'MBA Exams',
+    ACCOUNTING_COMMERCE_ED: 'Accounting & Commerce',
+    JUDICIARY_ED: 'Judiciary Exams',
+    Other_ED: 'Other Exams',
+    UG_ED: 'Undergraduate Exams',
+    POLICE_ED: 'Police Exams',
+    OTHER_GOV_ED: 'Other Government Exams',
+    SCHOOL_ED: 'School Level Exams',
+    TEACHING_ED: 'Teaching Exams',
+    ENGINEERING_RECRUITING_ED: 'Engineering Recruitment',
+    REGULATORY_BODY_ED: 'Regulatory Body Exams'
+};
+
+/**
+ * Format category name for display
+ * @param {string} category - Category like "DEFENCE_ED"
+ * @returns {string} - Label like "Defence Exams"
+ */
+export const formatCategoryName = (category) => {
+    if (!category) return '';
+    return CATEGORY_LABELS[category] || category.replace(/_ED$/i, '').replace(/_/g, ' ');
+};
+
+// ============================================
+// CATALOGUE
+// ============================================
+
+/**
+ * Build the catalogue from an exam index
+ * Exams without an exam_id cannot be linked to, so they are left out
+ * @param {Object} examNames - Contents of allexamnames.json
+ * @returns {Array<{category: string, label: string, exams: Array}>} - In index order;
+ *   exams are { examId, examName, examCode, category, linked, linkedFile }
+ */
+export const buildCatalogue = (examNames) => {
+    return Object.entries(examNames || {})
+        .filter(([, exams]) => Array.isArray(exams))
+        .map(([category, exams]) => ({
+            category,
+            label: formatCategoryName(category),
+            exams: exams
+                .filter(exam => exam.exam_id)
+                .map(exam => ({
+                    examId: exam.exam_id,
+                    examName: exam.exam_name,
+                    examCode: exam.exam_code || '',
+                    category,
+                    linked: Boolean(exam.linked_json_file),
+                    linkedFile: exam.linked_json_file || ''
+                }))
+        }));
+};
+
+const catalogue = buildCatalogue(allExamNames);
+
+const examsById = new Map(
+    catalogue.flatMap(group => group.exams).map(exam => [exam.examId, exam])
+);
+
+/**
+ * The catalogue of every exam
+ * @returns {Array<{category: string, label: string, exams: Array}>}
+ */
+export const getCatalogue = () => catalogue;
+
+/**
+ * Look up one exam
+ * @param {string} examId - Exam ID like "cds"
+ * @returns {Object|null}
+ */
+export const getCatalogueExam = (examId) => examsById.get(examId) || null;
+
+/**
+ * Exam and category counts
+ * @returns {{examCount: number, linkedCount: number, categoryCount: number}}
+ */
+export const getCatalogueStats = () => {
+    const exams = [...examsById.values()];
+    return {
+        examCount: exams.length,
+        linkedCount: exams.filter(exam => exam.linked).length,
+        categoryCount: catalogue.length
+    };
+};
+
+// ============================================
+// EXAM DATA
+// ============================================
+
+/**
+ * Load the exam JSON of a linked exam
+ * @param {string} examId
+ * @returns {Promise<Object|null>} - null if the exam is unknown or has no rules yet
+ * @throws {Error} - If the exam file fails to load
+ */
+export const loadCatalogueExamData = async (examId) => {
+    const exam = getCatalogueExam(examId);
+    if (!exam || !exam.linked) return null;
+    
+    const importExamData = getExamDataLoader(exam.linkedFile);
+    if (!importExamData) return null;
+    return importExamData();
+};
+
+// ============================================
+// SEARCH INDEX
+// ============================================
+
+let basicSearchIndex = null;
+let searchIndexPromise = null;
+
+/**
+ * Search index of exam names, codes and categories, available right away
+ * @returns {Object} - From createExamSearchIndex
+ */
+export const getBasicExamSearchIndex = () => {
+    if (!basicSearchIndex) basicSearchIndex = createExamSearchIndex(catalogue);
+    return basicSearchIndex;
+};
+
+/**
+ * Full search index, with the details and facets of every linked exam
+ * Loads every linked exam JSON once; an exam that fails to load is indexed
+ * by name only. Call it when the user starts searching, not on page load
+ * @returns {Promise<Object>} - From createExamSearchIndex
+ */
+export const loadExamSearchIndex = () => {
+    if (!searchIndexPromise) {
+        const linked = catalogue.flatMap(group => group.exams).filter(exam => exam.linked);
+        searchIndexPromise = Promise.all(linked.map(exam => (
+            loadCatalogueExamData(exam.examId)
+                .catch(error => {
+                    console.error(`Exam ${exam.examId} left out of the search details:`, error);
+                    return null;
+                })
+                .then(data => [exam.examId, data])
+        ))).then(entries => createExamSearchIndex(catalogue, Object.fromEntries(entries.filter(([, data]) => data))));
+    }
+    return searchIndexPromise;
+};
+
+// ============================================
+// DEEP LINKS
+// ============================================
+
+// Pariksha Yogya, where exams are checked
+export const ELIGIBILITY_SITE_URL = 'https://yogya.psetu.com';
+
+// Query parameter /check-eligibility reads the exam to select from
+export const EXAM_QUERY_PARAM = 'exam';
+
+/**
+ * Path of the eligibility check for one exam
+ * @param {string} examId
+ * @returns {string} - e.g. "/check-eligibility?exam=cds"
+ */
+export const getEligibilityCheckPath = (examId) => {
+    return `/check-eligibility?${EXAM_QUERY_PARAM}=${encodeURIComponent(examId)}`;
+};
+
+/**
+ * Link to the eligibility check for one exam, for the other sites
+ * @param {string} examId
+ * @param {string} [siteUrl] - Defaults to ELIGIBILITY_SITE_URL
+ * @returns {string}
+ */
+export const getEligibilityCheckUrl = (examId, siteUrl = ELIGIBILITY_SITE_URL) => {
+    return `${siteUrl.replace(/\/+$/, '')}${getEligibilityCheckPath(examId)}`;
+};
+
+export default {
+    CATEGORY_LABELS,
+    ELIGIBILITY_SITE_URL,
+    EXAM_QUERY_PARAM,
+    formatCategoryName,
+    buildCatalogue,
+    getCatalogue,
+    getCatalogueExam,
+    getCatalogueStats,
+    loadCatalogueExamData,
+    getExamDataLoader,
+    getBasicExamSearchIndex,
+    loadExamSearchIndex,
+    getEligibilityCheckPath,
+    getEligibilityCheckUrl
+};
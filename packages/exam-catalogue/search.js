@@ -0,0 +1,542 @@
+/**
+ * Exam Search
+ * For PRATIYOGITA SETU - Pariksha Setu, Pariksha Marg and Pariksha Yogya
+ *
+ * Client-side search over the exam catalogue:
+ * - every exam is indexed by name, code and category; linked exams also by
+ *   full form, conducting body, sector, target and posts/academies from
+ *   their exam JSON
+ * - a query word matches a whole word, the start of a word ("rail" →
+ *   "railway") or a word with a typo: one from 5 letters ("polce" →
+ *   "police"), two from 8; shorter words are mostly exam codes (UPSC, CTET),
+ *   where one letter off is another exam
+ * - abbreviations in exam names are spelled out (RRB → railway recruitment
+ *   board), and Hindi words typed in Latin or Devanagari letters are
+ *   translated ("sena" → army, "रेल" → railway)
+ * - facet filters on exam_level, exam_sector, exam_target and mode_of_exam;
+ *   only linked exams have these values
+ */
+
+import {
+    examHasDivisions,
+    getDivisionData,
+    getDivisionOptions
+} from './examStructure.js';
+
+// ============================================
+// CONSTANTS
+// ============================================
+
+export const SEARCH_FACETS = [
+    { key: 'exam_level', label: 'Level' },
+    { key: 'exam_sector', label: 'Sector' },
+    { key: 'exam_target', label: 'Target' },
+    { key: 'mode_of_exam', label: 'Mode' }
+];
+
+// How much a match in each field counts
+const FIELD_WEIGHTS = {
+    name: 4,
+    code: 4,
+    fullForm: 3,
+    abbreviations: 2,
+    posts: 2,
+    conductingBody: 1.5,
+    sector: 1,
+    target: 1,
+    category: 1
+};
+
+// Match quality, before the field weight
+const MATCH_SCORES = {
+    exact: 1,
+    prefix: 0.8,
+    oneTypo: 0.6,
+    prefixTypo: 0.45,
+    twoTypos: 0.4
+};
+
+// Words that say nothing about which exam is meant
+const STOP_WORDS = new Set([
+    'a', 'an', 'and', 'the', 'of', 'for', 'in', 'to',
+    'exam', 'exams', 'examination', 'test', 'pariksha', 'bharti', 'bharati', 'naukri', 'vacancy'
+]);
+
+// Abbreviations in exam names and codes, spelled out in the index
+const ABBREVIATIONS = {
+    ssc: 'staff selection commission',
+    upsc: 'union public service commission',
+    psc: 'public service commission',
+    rrb: 'railway recruitment board',
+    rrc: 'railway recruitment cell',
+    rpf: 'railway protection force',
+    ibps: 'institute of banking personnel selection bank',
+    sbi: 'state bank of india',
+    rbi: 'reserve bank of india',
+    lic: 'life insurance corporation',
+    nda: 'national defence academy',
+    cds: 'combined defence services',
+    afcat: 'air force common admission test',
+    capf: 'central armed police forces',
+    bsf: 'border security force',
+    crpf: 'central reserve police force',
+    cisf: 'central industrial security force',
+    itbp: 'indo tibetan border police',
+    ncc: 'national cadet corps',
+    neet: 'national eligibility entrance test medical',
+    jee: 'joint entrance examination engineering',
+    cuet: 'common university entrance test',
+    ctet: 'central teacher eligibility test',
+    tet: 'teacher eligibility test',
+    gate: 'graduate aptitude test engineering',
+    clat: 'common law admission test',
+    dsssb: 'delhi subordinate services selection board',
+    kvs: 'kendriya vidyalaya sangathan',
+    nvs: 'navodaya vidyalaya samiti',
+    drdo: 'defence research development organisation',
+    isro: 'indian space research organisation',
+    aiims: 'all india institute of medical sciences',
+    esic: 'employees state insurance corporation',
+    epfo: 'employees provident fund organisation',
+    je: 'junior engineer',
+    si: 'sub inspector',
+    po: 'probationary officer',
+    mts: 'multi tasking staff',
+    cgl: 'combined graduate level',
+    chsl: 'combined higher secondary level',
+    gd: 'general duty'
+};
+
+// Hindi words (in Latin letters) and what they mean in exam names
+const HINDI_TERMS = {
+    rel: ['railway'],
+    relve: ['railway'],
+    relwe: ['railway'],
+    sena: ['army', 'defence', 'force'],
+    fauj: ['army', 'defence'],
+    fauji: ['army', 'defence'],
+    thal: ['army'],
+    thalsena: ['army'],
+    nau: ['navy', 'naval'],
+    nausena: ['navy', 'naval'],
+    vayu: ['air'],
+    vayusena: ['air force'],
+    sainik: ['sainik', 'soldier', 'army'],
+    pulis: ['police'],
+    sipahi: ['constable'],
+    havaldar: ['head constable'],
+    daroga: ['sub inspector'],
+    nirikshak: ['inspector'],
+    baink: ['bank'],
+    bima: ['insurance'],
+    lipik: ['clerk'],
+    babu: ['clerk'],
+    adhikari: ['officer'],
+    sahayak: ['assistant'],
+    shikshak: ['teacher'],
+    adhyapak: ['teacher', 'lecturer'],
+    pradhyapak: ['professor', 'lecturer'],
+    vidyalaya: ['vidyalaya', 'school'],
+    vishwavidyalaya: ['university'],
+    mahavidyalaya: ['college'],
+    nyayik: ['judicial', 'judiciary'],
+    nyayadhish: ['judge', 'judicial'],
+    nyay: ['judicial', 'judiciary', 'law'],
+    vakil: ['advocate', 'law'],
+    chikitsa: ['medical'],
+    chikitsak: ['doctor', 'medical'],
+    daktar: ['doctor', 'medical'],
+    nars: ['nurse', 'nursing'],
+    abhiyanta: ['engineer', 'engineering'],
+    injiniyar: ['engineer', 'engineering'],
+    sarkari: ['government', 'govt'],
+    rajya: ['state'],
+    kendra: ['central'],
+    kendriya: ['kendriya', 'central'],
+    aayog: ['commission'],
+    ayog: ['commission'],
+    lok: ['public'],
+    seva: ['service', 'services'],
+    dak: ['post', 'postal'],
+    daak: ['post', 'postal'],
+    dakiya: ['postman'],
+    krishi: ['agriculture', 'agricultural'],
+    van: ['forest'],
+    bijli: ['electricity', 'power', 'electrical'],
+    vidyut: ['electricity', 'power', 'electrical'],
+    ganit: ['mathematics'],
+    vigyan: ['science']
+};
+
+// Devanagari letters in Latin, for Hindi typed in its own script
+const DEVANAGARI_VOWELS = {
+    'अ': 'a', 'आ': 'aa', 'इ': 'i', 'ई': 'i', 'उ': 'u', 'ऊ': 'u', 'ऋ': 'ri',
+    'ए': 'e', 'ऐ': 'ai', 'ओ': 'o', 'औ': 'au'
+};
+// Vowel signs replace a consonant's inherent "a"; nasal and visarga signs follow it
+const DEVANAGARI_VOWEL_SIGNS = {
+    'ा': 'a', 'ि': 'i', 'ी': 'i', 'ु': 'u', 'ू': 'u', 'ृ': 'ri',
+    'े': 'e', 'ै': 'ai', 'ो': 'o', 'ौ': 'au'
+};
+const DEVANAGARI_MARKS = { 'ं': 'n', 'ँ': 'n', 'ः': 'h' };
+const DEVANAGARI_CONSONANTS = {
+    'क': 'k', 'ख': 'kh', 'ग': 'g', 'घ': 'gh', 'ङ': 'n',
+    'च': 'ch', 'छ': 'chh', 'ज': 'j', 'झ': 'jh', 'ञ': 'n',
+    'ट': 't', 'ठ': 'th', 'ड': 'd', 'ढ': 'dh', 'ण': 'n',
+    'त': 't', 'थ': 'th', 'द': 'd', 'ध': 'dh', 'न': 'n',
+    'प': 'p', 'फ': 'ph', 'ब': 'b', 'भ': 'bh', 'म': 'm',
+    'य': 'y', 'र': 'r', 'ल': 'l', 'व': 'v', 'श': 'sh', 'ष': 'sh', 'स': 's', 'ह': 'h'
+};
+const DEVANAGARI_VIRAMA = '्';
+const DEVANAGARI_NUKTA = '़';
+
+// ============================================
+// TEXT
+// ============================================
+
+/**
+ * Hindi in Devanagari → Latin letters ("रेल" → "rel", "सेना" → "sena")
+ * The inherent "a" of a consonant is dropped at the end of a word
+ * @param {string} text
+ * @returns {string} - Other characters are kept as they are
+ */
+export const transliterateDevanagari = (text) => {
+    const chars = Array.from(String(text || '')).filter(char => char !== DEVANAGARI_NUKTA);
+    let result = '';
+    
+    chars.forEach((char, index) => {
+        if (DEVANAGARI_CONSONANTS[char]) {
+            const next = chars[index + 1];
+            const endsWord = next === undefined || !/[\u0900-\u097F]/.test(next);
+            const hasInherentVowel = next !== DEVANAGARI_VIRAMA && !DEVANAGARI_VOWEL_SIGNS[next] && !endsWord;
+            result += DEVANAGARI_CONSONANTS[char] + (hasInherentVowel ? 'a' : '');
+        } else if (DEVANAGARI_VOWELS[char]) {
+            result += DEVANAGARI_VOWELS[char];
+        } else if (DEVANAGARI_VOWEL_SIGNS[char] || DEVANAGARI_MARKS[char]) {
+            result += DEVANAGARI_VOWEL_SIGNS[char] || DEVANAGARI_MARKS[char];
+        } else if (char !== DEVANAGARI_VIRAMA) {
+            result += char;
+        }
+    });
+    
+    return result;
+};
+
+/**
+ * Lowercase words of a text, without accents or punctuation
+ * @param {string} text
+ * @returns {string[]}
+ */
+export const tokenize = (text) => {
+    return transliterateDevanagari(text)
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/&/g, ' and ')
+        .split(/[^a-z0-9]+/)
+        .filter(Boolean);
+};
+
+/**
+ * Typos allowed in a query word of this length
+ * @param {number} length
+ * @returns {number}
+ */
+const getTypoLimit = (length) => {
+    if (length <= 4) return 0;
+    if (length < 8) return 1;
+    return 2;
+};
+
+/**
+ * Edit distance with adjacent swaps, or limit + 1 once it is over the limit
+ * @param {string} a
+ * @param {string} b
+ * @param {number} limit
+ * @returns {number}
+ */
+const getEditDistance = (a, b, limit) => {
+    if (Math.abs(a.length - b.length) > limit) return limit + 1;
+    
+    let beforePrevious = [];
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        let rowMin = i;
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+            if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                current[j] = Math.min(current[j], beforePrevious[j - 2] + 1);
+            }
+            rowMin = Math.min(rowMin, current[j]);
+        }
+        if (rowMin > limit) return limit + 1;
+        beforePrevious = previous;
+        previous = current;
+    }
+    return previous[b.length];
+};
+
+/**
+ * How well a query word matches a word of the index
+ * @param {string} word - Query word
+ * @param {string} token - Indexed word
+ * @param {boolean} allowTypos - false for words that are spelled right (Hindi meanings)
+ * @returns {number} - 0 for no match, up to 1
+ */
+const scoreWordMatch = (word, token, allowTypos) => {
+    if (token === word) return MATCH_SCORES.exact;
+    if (word.length >= 2 && token.startsWith(word)) return MATCH_SCORES.prefix;
+    
+    const limit = allowTypos ? getTypoLimit(word.length) : 0;
+    if (limit === 0) return 0;
+    
+    const distance = getEditDistance(word, token, limit);
+    if (distance === 1) return MATCH_SCORES.oneTypo;
+    if (distance === 2 && limit >= 2) return MATCH_SCORES.twoTypos;
+    if (token.length > word.length && getEditDistance(word, token.slice(0, word.length), 1) === 1) {
+        return MATCH_SCORES.prefixTypo;
+    }
+    return 0;
+};
+
+// ============================================
+// INDEX
+// ============================================
+
+/**
+ * Facet values of an exam: its own and those of its divisions
+ * @param {Object|null} examData - Exam JSON (null for exams without one)
+ * @returns {Object} - facet key → string[]
+ */
+const getFacetValues = (examData) => {
+    const blocks = !examData ? [] : [
+        examData,
+        ...(examHasDivisions(examData)
+            ? getDivisionOptions(examData).map(option => getDivisionData(examData, option.value)).filter(Boolean)
+            : [])
+    ];
+    
+    return Object.fromEntries(SEARCH_FACETS.map(({ key }) => [
+        key,
+        Array.from(new Set(blocks.map(block => String(block[key] || '').trim()).filter(Boolean)))
+    ]));
+};
+
+/**
+ * Text of each searchable field of an exam
+ * @param {Object} exam - Catalogue exam
+ * @param {string} categoryLabel
+ * @param {Object|null} examData
+ * @returns {Object} - field → text
+ */
+const getSearchFields = (exam, categoryLabel, examData) => {
+    const abbreviations = tokenize(`${exam.examName} ${exam.examCode}`)
+        .map(word => ABBREVIATIONS[word])
+        .filter(Boolean)
+        .join(' ');
+    
+    return {
+        name: exam.examName,
+        code: exam.examCode,
+        fullForm: examData?.full_form || '',
+        abbreviations,
+        posts: examData?.posts_classes_courses_departments_academies || '',
+        conductingBody: examData?.conducting_body || '',
+        sector: examData?.exam_sector || '',
+        target: examData?.exam_target || '',
+        category: categoryLabel
+    };
+};
+
+/**
+ * Build a search index
+ * @param {Array} catalogue - From getCatalogue
+ * @param {Object} [examDataById] - exam_id → exam JSON, for linked exams
+ * @returns {{documents: Array<{exam, facets}>, vocabulary: Map<string, Map<number, number>>}}
+ *   - vocabulary maps each word to the documents it is in and its best field weight
+ */
+export const createExamSearchIndex = (catalogue, examDataById = {}) => {
+    const documents = [];
+    const vocabulary = new Map();
+    
+    catalogue.forEach(group => {
+        group.exams.forEach(exam => {
+            const examData = examDataById[exam.examId] || null;
+            const documentIndex = documents.length;
+            documents.push({ exam, facets: getFacetValues(examData) });
+            
+            Object.entries(getSearchFields(exam, group.label, examData)).forEach(([field, text]) => {
+                tokenize(text).forEach(token => {
+                    if (!vocabulary.has(token)) vocabulary.set(token, new Map());
+                    const postings = vocabulary.get(token);
+                    postings.set(documentIndex, Math.max(postings.get(documentIndex) || 0, FIELD_WEIGHTS[field]));
+                });
+            });
+        });
+    });
+    
+    return { documents, vocabulary };
+};
+
+// ============================================
+// SEARCH
+// ============================================
+
+/**
+ * Meanings of a Hindi word, allowing one spelling difference in longer
+ * words ("relave" for "relve", "nausaina" for "nausena")
+ * @param {string} word
+ * @returns {string[]}
+ */
+const getHindiMeanings = (word) => {
+    if (HINDI_TERMS[word]) return HINDI_TERMS[word];
+    if (word.length < 5) return [];
+    const key = Object.keys(HINDI_TERMS).find(term => getEditDistance(word, term, 1) === 1);
+    return key ? HINDI_TERMS[key] : [];
+};
+
+/**
+ * Query words and what each may also mean
+ * @param {string} query
+ * @returns {Array<Array<{words: string[], allowTypos: boolean}>>} - Per query word, alternatives
+ *   of one or more words; only the word as typed may have typos
+ */
+const parseQuery = (query) => {
+    const words = tokenize(query);
+    const meaningful = words.filter(word => !STOP_WORDS.has(word));
+    
+    return (meaningful.length > 0 ? meaningful : words).map(word => [
+        { words: [word], allowTypos: true },
+        ...getHindiMeanings(word).map(phrase => ({ words: phrase.split(' '), allowTypos: false }))
+    ]);
+};
+
+/**
+ * Score of every document containing a word
+ * @param {Object} index
+ * @param {string} word
+ * @param {boolean} allowTypos
+ * @returns {Map<number, number>} - document index → score
+ */
+const scoreWord = (index, word, allowTypos) => {
+    const scores = new Map();
+    index.vocabulary.forEach((postings, token) => {
+        const match = scoreWordMatch(word, token, allowTypos);
+        if (match === 0) return;
+        postings.forEach((weight, documentIndex) => {
+            scores.set(documentIndex, Math.max(scores.get(documentIndex) || 0, match * weight));
+        });
+    });
+    return scores;
+};
+
+/**
+ * Whether a document passes the facet filters
+ * @param {Object} document
+ * @param {Object} filters - facet key → selected value ('' for any)
+ * @param {string} [ignoredFacet] - Facet to leave out
+ * @returns {boolean}
+ */
+const passesFilters = (document, filters, ignoredFacet) => {
+    return SEARCH_FACETS.every(({ key }) => (
+        key === ignoredFacet || !filters[key] || document.facets[key].includes(filters[key])
+    ));
+};
+
+/**
+ * Documents matching every word of a query
+ * @param {Object} index
+ * @param {string} query
+ * @returns {Map<number, number>|null} - document index → score, or null for an empty query
+ */
+const matchQuery = (index, query) => {
+    const parsed = parseQuery(query);
+    if (parsed.length === 0) return null;
+    
+    const wordScores = new Map();
+    const getWordScores = (word, allowTypos) => {
+        const key = `${word}|${allowTypos}`;
+        if (!wordScores.has(key)) wordScores.set(key, scoreWord(index, word, allowTypos));
+        return wordScores.get(key);
+    };
+    
+    let matches = null;
+    parsed.forEach(alternatives => {
+        // Best alternative per document; a multi-word alternative needs all its words
+        const best = new Map();
+        alternatives.forEach(({ words, allowTypos }) => {
+            const [first, ...rest] = words.map(word => getWordScores(word, allowTypos));
+            first.forEach((score, documentIndex) => {
+                if (!rest.every(scores => scores.has(documentIndex))) return;
+                const total = rest.reduce((sum, scores) => sum + scores.get(documentIndex), score) / words.length;
+                best.set(documentIndex, Math.max(best.get(documentIndex) || 0, total));
+            });
+        });
+        
+        if (matches === null) {
+            matches = best;
+            return;
+        }
+        const combined = new Map();
+        matches.forEach((score, documentIndex) => {
+            if (best.has(documentIndex)) combined.set(documentIndex, score + best.get(documentIndex));
+        });
+        matches = combined;
+    });
+    
+    return matches;
+};
+
+/**
+ * Search exams
+ * @param {Object} index - From createExamSearchIndex
+ * @param {string} query - Words, abbreviations or Hindi; empty for every exam
+ * @param {Object} [filters] - facet key → selected value ('' for any)
+ * @returns {Array<{exam: Object, score: number}>} - Best match first, then catalogue order
+ */
+export const searchExams = (index, query, filters = {}) => {
+    const matches = matchQuery(index, query);
+    
+    return index.documents
+        .map((document, documentIndex) => ({ document, score: matches ? matches.get(documentIndex) : 0 }))
+        .filter(({ document, score }) => score !== undefined && passesFilters(document, filters))
+        .sort((a, b) => b.score - a.score)
+        .map(({ document, score }) => ({ exam: document.exam, score }));
+};
+
+/**
+ * Values of each facet among the exams a query matches, with counts
+ * Each facet is counted with the other facets' filters applied, so its
+ * options show what picking them would leave
+ * @param {Object} index - From createExamSearchIndex
+ * @param {string} query
+ * @param {Object} [filters] - facet key → selected value ('' for any)
+ * @returns {Object} - facet key → Array<{value: string, count: number}>, most common first
+ */
+export const getFacetCounts = (index, query, filters = {}) => {
+    const matches = matchQuery(index, query);
+    const matched = index.documents.filter((_, documentIndex) => !matches || matches.has(documentIndex));
+    
+    return Object.fromEntries(SEARCH_FACETS.map(({ key }) => {
+        const counts = new Map();
+        matched
+            .filter(document => passesFilters(document, filters, key))
+            .forEach(document => document.facets[key].forEach(value => counts.set(value, (counts.get(value) || 0) + 1)));
+        return [
+            key,
+            Array.from(counts, ([value, count]) => ({ value, count }))
+                .sort((a, b) => b.count - a.count || a.value.localeCompare(b.value))
+        ];
+    }));
+};
+
+export default {
+    SEARCH_FACETS,
+    transliterateDevanagari,
+    tokenize,
+    createExamSearchIndex,
+    searchExams,
+    getFacetCounts
+};
@@ -0,0 +1,95 @@
+/**
+ * Language Provider
+ * For PRATIYOGITA SETU - Pariksha Setu, Pariksha Marg and Pariksha Yogya
+ *
+ * Holds the chosen language for a site. The choice is stored under
+ * LANGUAGE_STORAGE_KEY, follows other open tabs of the same site, and is
+ * passed to the other sites with withLanguage() links (?lang=hi).
+ */
+
+import React, { createContext, useCallback, useContext, useEffect, useMemo, useState } from "react";
+import {
+  LANGUAGES,
+  LANGUAGE_STORAGE_KEY,
+  formatNumber,
+  getInitialLanguage,
+  normalizeLanguage,
+  saveLanguage,
+  translate,
+  withLanguage,
+} from "./language.js";
+import { translateReason } from "./reasons.js";
+
+const LanguageContext = createContext();
+
+export const LanguageProvider = ({ children }) => {
+  const [language, setLanguageState] = useState(getInitialLanguage);
+
+  useEffect(() => {
+    saveLanguage(language);
+    document.documentElement.lang = language;
+  }, [language]);
+
+  // Another tab of this site changed the language
+  useEffect(() => {
+    const handleStorage = (event) => {
+      if (event.key === LANGUAGE_STORAGE_KEY && event.newValue) {
+        setLanguageState(normalizeLanguage(event.newValue));
+      }
+    };
+    window.addEventListener("storage", handleStorage);
+    return () => window.removeEventListener("storage", handleStorage);
+  }, []);
+
+  const setLanguage = useCallback((next) => setLanguageState(normalizeLanguage(next)), []);
+
+  const toggleLanguage = useCallback(() => {
+    setLanguageState((previous) => (previous === "en" ? "hi" : "en"));
+  }, []);
+
+  const value = useMemo(() => ({
+    language,
+    setLanguage,
+    toggleLanguage,
+    t: (key, params) => translate(language, key, params),
+    formatNumber: (number, options) => formatNumber(number, language, options),
+    translateReason: (reason) => translateReason(reason, language),
+    withLanguage: (url) => withLanguage(url, language),
+  }), [language, setLanguage, toggleLanguage]);
+
+  return (
+    <LanguageContext.Provider value={value}>
+      {children}
+    </LanguageContext.Provider>
+  );
+};
+
+// Custom hook for accessing language context
+export const useLanguage = () => {
+  const context = useContext(LanguageContext);
+  if (context === undefined) {
+    throw new Error("useLanguage must be used within a LanguageProvider");
+  }
+  return context;
+};
+
+// Button that switches between English and Hindi; shows the language it switches to
+export const LanguageToggle = ({ className = "" }) => {
+  const { language, toggleLanguage, t } = useLanguage();
+  const other = LANGUAGES.find((entry) => entry.code !== language);
+
+  return (
+    <button
+      type="button"
+      onClick={toggleLanguage}
+      className={className}
+      aria-label={t("language.switchTo", { language: other.label })}
+      title={t("language.switchTo", { language: other.label })}
+      lang={other.code}
+    >
+      {other.shortLabel}
+    </button>
+  );
+};
+
+export default LanguageContext;
@@ -0,0 +1,36 @@
+/**
+ * Localisation
+ * For PRATIYOGITA SETU - Pariksha Setu, Pariksha Marg and Pariksha Yogya
+ *
+ * English and Hindi for the three sites:
+ * - messages/en.js and messages/hi.js hold the text, by dotted key
+ * - language.js translates (with plurals), formats numbers (Devanagari
+ *   digits in Hindi) and stores the chosen language
+ * - reasons.js translates the eligibility checker's English reasons
+ * - LanguageProvider.jsx gives components the language and t()
+ *
+ * The language is kept across the sites by passing ?lang= on the links
+ * between them (withLanguage); each site then stores it for the next visit.
+ *
+ * Each app resolves "@pariksha/i18n" to this folder (vite.config.js).
+ */
+
+export {
+    LANGUAGES,
+    DEFAULT_LANGUAGE,
+    LANGUAGE_STORAGE_KEY,
+    LANGUAGE_QUERY_PARAM,
+    normalizeLanguage,
+    toDevanagariDigits,
+    formatNumber,
+    translate,
+    createTranslator,
+    getLanguageFromQuery,
+    getInitialLanguage,
+    saveLanguage,
+    withLanguage
+} from './language.js';
+
+export { translateReason, getReasonTemplates } from './reasons.js';
+
+export { LanguageProvider, useLanguage, LanguageToggle } from './LanguageProvider.jsx';
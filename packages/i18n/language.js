@@ -0,0 +1,238 @@
+/**
+ * Language
+ * For PRATIYOGITA SETU - Pariksha Setu, Pariksha Marg and Pariksha Yogya
+ *
+ * Message lookup, plurals, number formatting and the stored language choice.
+ * Messages are found by dotted key ("nav.home") in the language's catalogue,
+ * then in English, then the defaultValue param or the key itself.
+ */
+
+import en from './messages/en.js';
+import hi from './messages/hi.js';
+
+// ============================================
+// LANGUAGES
+// ============================================
+
+export const LANGUAGES = [
+    { code: 'en', label: 'English', shortLabel: 'EN', locale: 'en-IN' },
+    { code: 'hi', label: 'हिन्दी', shortLabel: 'हिं', locale: 'hi-IN' }
+];
+
+export const DEFAULT_LANGUAGE = 'en';
+
+// Same key Pariksha Setu has always stored the language under
+export const LANGUAGE_STORAGE_KEY = 'pariksha-setu-language';
+
+// Query parameter that carries the language to another site (?lang=hi)
+export const LANGUAGE_QUERY_PARAM = 'lang';
+
+const CATALOGUES = { en, hi };
+
+const DEVANAGARI_DIGITS = '०१२३४५६७८९';
+
+/**
+ * Language code of a value like "hi", "hi-IN" or "HI"
+ * @param {string} language
+ * @returns {string}
+ */
+const toLanguageCode = (language) => String(language || '').toLowerCase().split('-')[0];
+
+/**
+ * Check if a value names a supported language
+ * @param {string} language
+ * @returns {boolean}
+ */
+const isSupportedLanguage = (language) => Boolean(CATALOGUES[toLanguageCode(language)]);
+
+/**
+ * Supported language code for a value like "hi", "hi-IN" or "HI"
+ * @param {string} language
+ * @returns {string} - DEFAULT_LANGUAGE if not supported
+ */
+export const normalizeLanguage = (language) => {
+    return isSupportedLanguage(language) ? toLanguageCode(language) : DEFAULT_LANGUAGE;
+};
+
+// ============================================
+// NUMBERS
+// ============================================
+
+/**
+ * "2026" → "२०२६"; other characters are kept
+ * @param {string|number} text
+ * @returns {string}
+ */
+export const toDevanagariDigits = (text) => {
+    return String(text ?? '').replace(/[0-9]/g, digit => DEVANAGARI_DIGITS[digit]);
+};
+
+/**
+ * Number with Indian digit grouping (1,268 / 1,00,000); Devanagari digits in Hindi
+ * @param {number|string} value
+ * @param {string} language
+ * @param {Object} [options] - Intl.NumberFormat options
+ * @returns {string} - The value as it is if it is not a number
+ */
+export const formatNumber = (value, language, options) => {
+    const number = typeof value === 'number' ? value : Number(value);
+    if (value === '' || value === null || value === undefined || !Number.isFinite(number)) return String(value ?? '');
+    
+    const formatted = new Intl.NumberFormat('en-IN', options).format(number);
+    return normalizeLanguage(language) === 'hi' ? toDevanagariDigits(formatted) : formatted;
+};
+
+// ============================================
+// MESSAGES
+// ============================================
+
+const pluralRules = new Map();
+
+/**
+ * Plural category of a count ("one", "other", ...)
+ * @param {string} language
+ * @param {number} count
+ * @returns {string}
+ */
+const getPluralCategory = (language, count) => {
+    if (!pluralRules.has(language)) {
+        const { locale } = LANGUAGES.find(entry => entry.code === language);
+        pluralRules.set(language, new Intl.PluralRules(locale));
+    }
+    return pluralRules.get(language).select(count);
+};
+
+/**
+ * Message at a dotted key of a catalogue
+ * @param {string} language
+ * @param {string} key
+ * @returns {string|Object|undefined}
+ */
+const getMessage = (language, key) => {
+    return String(key).split('.').reduce(
+        (node, part) => (node && typeof node === 'object' ? node[part] : undefined),
+        CATALOGUES[language]
+    );
+};
+
+/**
+ * Fill {name} placeholders; numbers are formatted for the language
+ * @param {string} text
+ * @param {Object} params
+ * @param {string} language
+ * @returns {string}
+ */
+const interpolate = (text, params, language) => {
+    return text.replace(/\{(\w+)\}/g, (placeholder, name) => {
+        const value = params[name];
+        if (value === undefined || value === null) return placeholder;
+        return typeof value === 'number' ? formatNumber(value, language) : String(value);
+    });
+};
+
+/**
+ * Translate a message
+ * @param {string} language
+ * @param {string} key - Dotted key like "form.gender"
+ * @param {Object} [params] - Placeholder values; count picks the plural
+ *   form of { one, other } messages; defaultValue is used when no catalogue has the key
+ * @returns {string}
+ */
+export const translate = (language, key, params = {}) => {
+    const code = normalizeLanguage(language);
+    let message = getMessage(code, key);
+    if (message === undefined && code !== DEFAULT_LANGUAGE) message = getMessage(DEFAULT_LANGUAGE, key);
+    
+    if (message && typeof message === 'object') {
+        message = typeof params.count === 'number'
+            ? message[getPluralCategory(code, params.count)] ?? message.other
+            : message.other;
+    }
+    if (typeof message !== 'string') return params.defaultValue ?? key;
+    return interpolate(message, params, code);
+};
+
+/**
+ * Translate function bound to one language
+ * @param {string} language
+ * @returns {Function} - (key, params) => string
+ */
+export const createTranslator = (language) => (key, params) => translate(language, key, params);
+
+// ============================================
+// LANGUAGE CHOICE
+// ============================================
+
+/**
+ * Language asked for by a ?lang= query string
+ * @param {string} search - e.g. window.location.search
+ * @returns {string|null}
+ */
+export const getLanguageFromQuery = (search) => {
+    const value = new URLSearchParams(search || '').get(LANGUAGE_QUERY_PARAM);
+    return isSupportedLanguage(value) ? normalizeLanguage(value) : null;
+};
+
+/**
+ * Language to start with: ?lang= (set by a link from another site), then the
+ * stored choice, then English
+ * @returns {string}
+ */
+export const getInitialLanguage = () => {
+    if (typeof window === 'undefined') return DEFAULT_LANGUAGE;
+    
+    const fromQuery = getLanguageFromQuery(window.location.search);
+    if (fromQuery) return fromQuery;
+    
+    try {
+        const stored = window.localStorage.getItem(LANGUAGE_STORAGE_KEY);
+        if (isSupportedLanguage(stored)) return normalizeLanguage(stored);
+    } catch {
+        // Storage blocked (private mode); fall through to the default
+    }
+    return DEFAULT_LANGUAGE;
+};
+
+/**
+ * Remember the language in this browser
+ * @param {string} language
+ */
+export const saveLanguage = (language) => {
+    try {
+        window.localStorage.setItem(LANGUAGE_STORAGE_KEY, normalizeLanguage(language));
+    } catch {
+        // Storage blocked; the choice lasts until the page is closed
+    }
+};
+
+/**
+ * Link to another site that opens in the same language
+ * @param {string} url - e.g. "https://yogya.psetu.com/check-eligibility?exam=cds"
+ * @param {string} language
+ * @returns {string} - The URL with lang= set, keeping other parameters and the fragment
+ */
+export const withLanguage = (url, language) => {
+    const [beforeHash, ...hashParts] = String(url || '').split('#');
+    const [path, query = ''] = beforeHash.split('?');
+    const params = new URLSearchParams(query);
+    params.set(LANGUAGE_QUERY_PARAM, normalizeLanguage(language));
+    
+    const hash = hashParts.length > 0 ? `#${hashParts.join('#')}` : '';
+    return `${path}?${params.toString()}${hash}`;
+};
+
+export default {
+    LANGUAGES,
+    DEFAULT_LANGUAGE,
+    LANGUAGE_STORAGE_KEY,
+    LANGUAGE_QUERY_PARAM,
+    normalizeLanguage,
+    toDevanagariDigits,
+    formatNumber,
+    translate,
+    createTranslator,
+    getLanguageFromQuery,
+    getInitialLanguage,
+    saveLanguage,
+    withLanguage
+};
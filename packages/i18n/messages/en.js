@@ -0,0 +1,200 @@
+/**
+ * English messages
+ * For PRATIYOGITA SETU - Pariksha Setu, Pariksha Marg and Pariksha Yogya
+ *
+ * Every key here should also be in hi.js; a missing Hindi key shows the
+ * English text. Plurals are { one, other }.
+ *
+ * Field labels (checkFields, examFields, educationLevels) are only in hi.js:
+ * their English labels are the ones the checker and the exam catalogue
+ * already use, passed in as defaultValue.
+ */
+
+export default {
+    language: {
+        switchTo: 'Switch to {language}'
+    },
+    
+    // Navigation bars of the three sites
+    nav: {
+        home: 'Home',
+        aboutUs: 'About Us',
+        contact: 'Contact',
+        contactUs: 'Contact Us',
+        contribution: 'Contribution',
+        features: 'Features',
+        parikshaYogya: 'Pariksha Yogya',
+        parikshaMarg: 'Pariksha Marg',
+        parikshaGyan: 'Pariksha Gyan',
+        external: 'External',
+        myAccount: 'My Account',
+        logIn: 'Log In',
+        tryForFree: 'Try for Free',
+        toggleMenu: 'Toggle menu',
+        switchToDark: 'Switch to dark mode',
+        switchToLight: 'Switch to light mode'
+    },
+    
+    footer: {
+        tagline: 'Pariksha Setu is your ultimate companion for competitive exam preparation, offering innovative tools to help you navigate your educational journey with confidence.',
+        quickLinks: 'Quick Links',
+        company: 'Company',
+        privacyPolicy: 'Privacy Policy',
+        termsOfService: 'Terms of Service',
+        allRightsReserved: 'All rights reserved.'
+    },
+    
+    faq: {
+        title: 'Frequently Asked Questions',
+        subtitle: 'Have questions about Pariksha Setu? Find quick answers to common queries below.',
+        notFound: "Didn't find what you're looking for?",
+        contactUs: 'Contact Us'
+    },
+    
+    // Pariksha Setu home page statistics
+    stats: {
+        title: 'Trusted by Students Across India',
+        subtitle: 'Our platform has helped thousands of students achieve their academic goals',
+        activeStudents: 'Active Students',
+        examsCovered: 'Exams Covered',
+        successStories: 'Success Stories',
+        satisfactionRate: 'Satisfaction Rate'
+    },
+    
+    // Exam search and facet filters (Pariksha Yogya and Pariksha Marg)
+    examSearch: {
+        label: 'Search exams',
+        placeholder: 'Name, code, conducting body or post (e.g. rail, sena, cds)',
+        shortPlaceholder: 'Search by name, code, body or post (rail, sena...)',
+        hint: 'Typos and Hindi words are fine',
+        matches: {
+            one: '{count} matching exam',
+            other: '{count} matching exams'
+        },
+        any: 'Any',
+        anyFacet: '{facet}: Any',
+        resultsFor: 'Search Results for "{query}"',
+        filteredExams: 'Filtered Exams',
+        noResults: 'No exams found matching your search.',
+        noMatches: 'No exams match your search',
+        filtersNote: 'Filters only apply to exams with full details.'
+    },
+    
+    facets: {
+        exam_level: 'Level',
+        exam_sector: 'Sector',
+        exam_target: 'Target',
+        mode_of_exam: 'Mode'
+    },
+    
+    // Eligibility form (Pariksha Yogya /check-eligibility)
+    eligibilityForm: {
+        selectTargetExam: 'Select Target Exam',
+        examBasis: 'Exam Basis',
+        eligibilityBasis: 'Eligibility Basis',
+        targetExam: 'Target Exam',
+        targetExamHelp: 'Select your target exam',
+        selectAnExam: 'Select an exam',
+        multiDivision: 'Multi-Division',
+        attemptsUsed: 'Attempts Already Used',
+        attemptsUsedHelp: 'Previous attempts at this exam',
+        personalInformation: 'Personal Information',
+        dateOfBirth: 'Date of Birth',
+        dateOfBirthHelp: 'Enter your date of birth',
+        gender: 'Gender',
+        genderHelp: 'Select your gender',
+        maritalStatus: 'Marital Status',
+        maritalStatusHelp: 'Select your marital status',
+        nationality: 'Nationality',
+        nationalityHelp: 'Select your nationality',
+        domicile: 'Domicile State',
+        domicileHelp: 'Your domicile state',
+        domicileDisabledHelp: "Select 'INDIAN' nationality first",
+        casteCategory: 'Caste/Category',
+        casteCategoryHelp: 'Select your category',
+        pwdStatus: 'Person with Disability',
+        pwdStatusHelp: 'Are you a PwD candidate?',
+        educationalQualification: 'Educational Qualification',
+        highestQualification: 'Highest Education Qualification',
+        highestQualificationHelp: 'Select your highest qualification level',
+        courseStream: 'Course/Stream',
+        subject: 'Subject',
+        status: 'Status',
+        marks: 'Marks',
+        year: 'Year',
+        select: 'Select',
+        physicalStandards: 'Physical Standards',
+        heightCm: 'Height (cm)',
+        heightCmHelp: 'Your height in centimetres',
+        weightKg: 'Weight (kg)',
+        weightKgHelp: 'Your weight in kilograms',
+        vision: 'Vision / Eyesight',
+        visionHelp: 'Your vision (better eye)',
+        nccSports: 'NCC & Sports Details',
+        nccWing: 'NCC Wing',
+        nccWingHelp: 'NCC wing (if any)',
+        nccCertificate: 'NCC Certificate',
+        nccCertificateHelp: 'NCC certificate level',
+        nccCertificateGrade: 'NCC Certificate Grade',
+        nccCertificateGradeHelp: 'NCC certificate grade',
+        sportsQuota: 'Sports Quota',
+        sportsQuotaHelp: 'Highest sports achievement level',
+        professionalOther: 'Professional & Other Details',
+        employmentStatus: 'Employment Status',
+        employmentStatusHelp: 'Current employment status',
+        workExperience: 'Work Experience (Years)',
+        workExperienceHelp: 'Total work experience',
+        exServiceman: 'Ex-Serviceman',
+        exServicemanHelp: 'Are you an ex-serviceman?',
+        cplHolder: 'CPL Holder',
+        cplHolderHelp: 'Commercial Pilot License',
+        drivingLicense: 'Driving License',
+        drivingLicenseHelp: 'Driving license type (if any)',
+        languagesKnown: 'Languages Known',
+        languagesKnownHelp: 'Select all that apply',
+        gapYears: 'Gap Years',
+        gapYearsHelp: 'Years of gap in education',
+        activeBacklogs: 'Active Backlogs',
+        activeBacklogsHelp: 'Current uncleared backlogs',
+        checkEligibility: 'Check Eligibility and Attempts',
+        checking: 'Checking...',
+        timeline: '📅 Future Eligibility Timeline',
+        buildingTimeline: 'Building...'
+    },
+    
+    // Exam Basis results
+    results: {
+        detailedCheck: '📝 Detailed Eligibility Check',
+        criteria: 'Criteria',
+        you: 'You',
+        required: 'Required',
+        eligible: 'Eligible',
+        notEligible: 'Not Eligible',
+        relaxationYears: {
+            one: '+{count} yr relaxation',
+            other: '+{count} yrs relaxation'
+        },
+        explain: '▸ Explain this result',
+        hideExplanation: '▾ Hide explanation',
+        rule: 'Rule'
+    },
+    
+    // Exam page (Pariksha Marg /exam/:id)
+    examPage: {
+        backToExplore: '← Explore Exams',
+        notFound: 'Exam not found',
+        notFoundText: 'There is no exam with the ID "{id}".',
+        amIEligible: 'Am I eligible?',
+        loading: 'Loading exam details...',
+        missing: 'Detailed information for this exam is not available yet.',
+        error: 'Could not load the exam details. Please try again later.',
+        profile: 'Exam Profile',
+        pattern: 'Exam Pattern',
+        eligibilityRules: 'Eligibility Rules',
+        rule: 'Rule',
+        requirement: 'Requirement',
+        noRules: 'No eligibility rules listed.',
+        detailsAndEligibility: 'Details & eligibility →',
+        detailsTitle: '{exam}: exam details and eligibility rules'
+    }
+};
@@ -0,0 +1,300 @@
+/**
+ * Hindi messages
+ * For PRATIYOGITA SETU - Pariksha Setu, Pariksha Marg and Pariksha Yogya
+ *
+ * Same keys as en.js, plus the field labels (checkFields, examFields,
+ * educationLevels) whose English text comes from the checker and the exam
+ * catalogue. Exam names, codes and values from the exam files stay in English.
+ */
+
+export default {
+    language: {
+        switchTo: '{language} में देखें'
+    },
+    
+    nav: {
+        home: 'होम',
+        aboutUs: 'हमारे बारे में',
+        contact: 'संपर्क',
+        contactUs: 'संपर्क करें',
+        contribution: 'योगदान',
+        features: 'सुविधाएँ',
+        parikshaYogya: 'परीक्षा योग्य',
+        parikshaMarg: 'परीक्षा मार्ग',
+        parikshaGyan: 'परीक्षा ज्ञान',
+        external: 'बाहरी',
+        myAccount: 'मेरा खाता',
+        logIn: 'लॉग इन',
+        tryForFree: 'मुफ़्त आज़माएँ',
+        toggleMenu: 'मेनू खोलें/बंद करें',
+        switchToDark: 'डार्क मोड चालू करें',
+        switchToLight: 'लाइट मोड चालू करें'
+    },
+    
+    footer: {
+        tagline: 'परीक्षा सेतु प्रतियोगी परीक्षा की तैयारी के लिए आपका अंतिम साथी है, जो आपको अपनी शैक्षिक यात्रा को आत्मविश्वास के साथ नेविगेट करने में मदद करने के लिए अभिनव उपकरण प्रदान करता है।',
+        quickLinks: 'त्वरित लिंक',
+        company: 'कंपनी',
+        privacyPolicy: 'गोपनीयता नीति',
+        termsOfService: 'सेवा की शर्तें',
+        allRightsReserved: 'सर्वाधिकार सुरक्षित।'
+    },
+    
+    faq: {
+        title: 'अक्सर पूछे जाने वाले प्रश्न',
+        subtitle: 'परीक्षा सेतु के बारे में प्रश्न हैं? नीचे सामान्य प्रश्नों के त्वरित उत्तर प्राप्त करें।',
+        notFound: 'जो आप ढूंढ रहे हैं वह नहीं मिला?',
+        contactUs: 'हमसे संपर्क करें'
+    },
+    
+    stats: {
+        title: 'पूरे भारत के छात्रों का भरोसा',
+        subtitle: 'हमारे प्लेटफ़ॉर्म ने हज़ारों छात्रों को उनके शैक्षणिक लक्ष्य पाने में मदद की है',
+        activeStudents: 'सक्रिय छात्र',
+        examsCovered: 'शामिल परीक्षाएँ',
+        successStories: 'सफलता की कहानियाँ',
+        satisfactionRate: 'संतुष्टि दर'
+    },
+    
+    examSearch: {
+        label: 'परीक्षा खोजें',
+        placeholder: 'नाम, कोड, आयोजक संस्था या पद (जैसे rail, सेना, cds)',
+        shortPlaceholder: 'नाम, कोड, संस्था या पद से खोजें (rail, सेना...)',
+        hint: 'वर्तनी की गलतियाँ और हिंदी शब्द भी चलेंगे',
+        matches: {
+            one: '{count} परीक्षा मिली',
+            other: '{count} परीक्षाएँ मिलीं'
+        },
+        any: 'कोई भी',
+        anyFacet: '{facet}: कोई भी',
+        resultsFor: '"{query}" के खोज परिणाम',
+        filteredExams: 'छाँटी गई परीक्षाएँ',
+        noResults: 'आपकी खोज से मेल खाती कोई परीक्षा नहीं मिली।',
+        noMatches: 'आपकी खोज से कोई परीक्षा मेल नहीं खाती',
+        filtersNote: 'फ़िल्टर केवल पूरी जानकारी वाली परीक्षाओं पर लागू होते हैं।'
+    },
+    
+    facets: {
+        exam_level: 'स्तर',
+        exam_sector: 'क्षेत्र',
+        exam_target: 'लक्ष्य',
+        mode_of_exam: 'माध्यम'
+    },
+    
+    eligibilityForm: {
+        selectTargetExam: 'लक्ष्य परीक्षा चुनें',
+        examBasis: 'परीक्षा के आधार पर',
+        eligibilityBasis: 'योग्यता के आधार पर',
+        targetExam: 'लक्ष्य परीक्षा',
+        targetExamHelp: 'अपनी लक्ष्य परीक्षा चुनें',
+        selectAnExam: 'परीक्षा चुनें',
+        multiDivision: 'कई प्रभाग',
+        attemptsUsed: 'पहले किए गए प्रयास',
+        attemptsUsedHelp: 'इस परीक्षा में आपके पिछले प्रयास',
+        personalInformation: 'व्यक्तिगत जानकारी',
+        dateOfBirth: 'जन्म तिथि',
+        dateOfBirthHelp: 'अपनी जन्म तिथि दर्ज करें',
+        gender: 'लिंग',
+        genderHelp: 'अपना लिंग चुनें',
+        maritalStatus: 'वैवाहिक स्थिति',
+        maritalStatusHelp: 'अपनी वैवाहिक स्थिति चुनें',
+        nationality: 'राष्ट्रीयता',
+        nationalityHelp: 'अपनी राष्ट्रीयता चुनें',
+        domicile: 'अधिवास राज्य',
+        domicileHelp: 'आपका अधिवास (डोमिसाइल) राज्य',
+        domicileDisabledHelp: "पहले 'INDIAN' राष्ट्रीयता चुनें",
+        casteCategory: 'जाति/वर्ग',
+        casteCategoryHelp: 'अपना वर्ग चुनें',
+        pwdStatus: 'दिव्यांगजन (PwD)',
+        pwdStatusHelp: 'क्या आप PwD उम्मीदवार हैं?',
+        educationalQualification: 'शैक्षिक योग्यता',
+        highestQualification: 'उच्चतम शैक्षिक योग्यता',
+        highestQualificationHelp: 'अपनी उच्चतम योग्यता का स्तर चुनें',
+        courseStream: 'कोर्स/स्ट्रीम',
+        subject: 'विषय',
+        status: 'स्थिति',
+        marks: 'अंक',
+        year: 'वर्ष',
+        select: 'चुनें',
+        physicalStandards: 'शारीरिक मानक',
+        heightCm: 'ऊँचाई (सेमी)',
+        heightCmHelp: 'आपकी ऊँचाई सेंटीमीटर में',
+        weightKg: 'वज़न (किग्रा)',
+        weightKgHelp: 'आपका वज़न किलोग्राम में',
+        vision: 'दृष्टि',
+        visionHelp: 'आपकी दृष्टि (बेहतर आँख)',
+        nccSports: 'NCC और खेल विवरण',
+        nccWing: 'NCC विंग',
+        nccWingHelp: 'NCC विंग (यदि हो)',
+        nccCertificate: 'NCC प्रमाणपत्र',
+        nccCertificateHelp: 'NCC प्रमाणपत्र का स्तर',
+        nccCertificateGrade: 'NCC प्रमाणपत्र ग्रेड',
+        nccCertificateGradeHelp: 'NCC प्रमाणपत्र का ग्रेड',
+        sportsQuota: 'खेल कोटा',
+        sportsQuotaHelp: 'खेल में सबसे ऊँची उपलब्धि का स्तर',
+        professionalOther: 'व्यावसायिक और अन्य विवरण',
+        employmentStatus: 'रोज़गार की स्थिति',
+        employmentStatusHelp: 'वर्तमान रोज़गार की स्थिति',
+        workExperience: 'कार्य अनुभव (वर्ष)',
+        workExperienceHelp: 'कुल कार्य अनुभव',
+        exServiceman: 'भूतपूर्व सैनिक',
+        exServicemanHelp: 'क्या आप भूतपूर्व सैनिक हैं?',
+        cplHolder: 'CPL धारक',
+        cplHolderHelp: 'कमर्शियल पायलट लाइसेंस',
+        drivingLicense: 'ड्राइविंग लाइसेंस',
+        drivingLicenseHelp: 'ड्राइविंग लाइसेंस का प्रकार (यदि हो)',
+        languagesKnown: 'ज्ञात भाषाएँ',
+        languagesKnownHelp: 'सभी लागू विकल्प चुनें',
+        gapYears: 'गैप वर्ष',
+        gapYearsHelp: 'पढ़ाई में अंतराल के वर्ष',
+        activeBacklogs: 'सक्रिय बैकलॉग',
+        activeBacklogsHelp: 'अभी बाकी बैकलॉग',
+        checkEligibility: 'योग्यता और प्रयास जाँचें',
+        checking: 'जाँच हो रही है...',
+        timeline: '📅 भविष्य की योग्यता समयरेखा',
+        buildingTimeline: 'बन रही है...'
+    },
+    
+    results: {
+        detailedCheck: '📝 विस्तृत योग्यता जाँच',
+        criteria: 'मानदंड',
+        you: 'आप',
+        required: 'आवश्यक',
+        eligible: 'योग्य',
+        notEligible: 'अयोग्य',
+        relaxationYears: {
+            one: '+{count} वर्ष की छूट',
+            other: '+{count} वर्ष की छूट'
+        },
+        explain: '▸ इस परिणाम को समझाएँ',
+        hideExplanation: '▾ व्याख्या छिपाएँ',
+        rule: 'नियम'
+    },
+    
+    // Checker result fields, by the field name the checker reports
+    checkFields: {
+        gender: 'लिंग',
+        marital_status: 'वैवाहिक स्थिति',
+        pwd_status: 'PwD स्थिति',
+        caste_category: 'वर्ग',
+        nationality: 'राष्ट्रीयता',
+        domicile: 'अधिवास',
+        highest_education_qualification: 'उच्चतम योग्यता',
+        diploma_12th_equivalency: 'डिप्लोमा / 12वीं',
+        ncc_wing: 'NCC विंग',
+        cpl_holder: 'CPL धारक',
+        current_employment_status: 'रोज़गार की स्थिति',
+        ex_servicemen_status: 'भूतपूर्व सैनिक स्थिति',
+        eligibility_education_course: 'कोर्स',
+        eligibility_education_course_subject: 'विषय',
+        'Active Backlogs': 'सक्रिय बैकलॉग',
+        'Attempts': 'प्रयास',
+        'CPL Holder': 'CPL धारक',
+        'Date of Birth': 'जन्म तिथि',
+        'Driving License': 'ड्राइविंग लाइसेंस',
+        'Educational Stream': 'शैक्षिक स्ट्रीम',
+        'Employment Status': 'रोज़गार की स्थिति',
+        'Ex-Servicemen Status': 'भूतपूर्व सैनिक स्थिति',
+        'Gap Years': 'गैप वर्ष',
+        'Height (cm)': 'ऊँचाई (सेमी)',
+        'Language Proficiency': 'भाषा दक्षता',
+        'NCC Certificate Grade': 'NCC प्रमाणपत्र ग्रेड',
+        'NCC Certificate': 'NCC प्रमाणपत्र',
+        'NCC Wing': 'NCC विंग',
+        'Sports Quota': 'खेल कोटा',
+        'Vision/Eyesight': 'दृष्टि',
+        'Weight (kg)': 'वज़न (किग्रा)',
+        'Work Experience': 'कार्य अनुभव',
+        // Per-level fields: "{part} ({level})"
+        education_course: 'कोर्स',
+        education_subject: 'विषय',
+        marks_percentage: 'अंक',
+        subject_condition: 'विषय की शर्त'
+    },
+    
+    examFields: {
+        full_form: 'पूरा नाम',
+        conducting_body: 'आयोजक संस्था',
+        exam_level: 'स्तर',
+        exam_sector: 'क्षेत्र',
+        exam_target: 'लक्ष्य',
+        exam_frequency_year: 'वर्ष में सत्र',
+        posts_classes_courses_departments_academies: 'पद / कोर्स',
+        exam_tiers: 'चरण',
+        exam_subjects: 'विषय',
+        exam_pattern: 'पैटर्न',
+        exam_sections: 'खंड',
+        mode_of_exam: 'माध्यम',
+        exam_duration: 'अवधि',
+        total_marks: 'कुल अंक',
+        number_of_questions: 'प्रश्न',
+        marking_scheme: 'अंकन योजना',
+        paper_medium: 'प्रश्नपत्र की भाषा',
+        exam_date: 'परीक्षा तिथि',
+        gender: 'लिंग',
+        special_gender_eligibility: 'विशेष लिंग पात्रता',
+        marital_status: 'वैवाहिक स्थिति',
+        nationality: 'राष्ट्रीयता',
+        domicile: 'अधिवास',
+        caste_category: 'वर्ग',
+        pwd_status: 'PwD उम्मीदवार',
+        between_dob: 'जन्म इनके बीच',
+        minimum_dob: 'जन्म इस तिथि को या पहले',
+        maximum_dob: 'जन्म इस तिथि को या बाद',
+        between_age: 'आयु इनके बीच',
+        starting_age: 'न्यूनतम आयु',
+        ending_age: 'अधिकतम आयु',
+        no_age_limit: 'आयु सीमा',
+        age_relaxation: 'आयु में छूट',
+        maximum_attempts_allowed: 'अनुमत प्रयास',
+        highest_education_qualification: 'न्यूनतम योग्यता',
+        education_levels: 'शिक्षा',
+        educational_stream_restriction: 'स्ट्रीम',
+        active_backlogs_allowed: 'सक्रिय बैकलॉग',
+        gap_years_allowed: 'गैप वर्ष',
+        ncc_wing: 'NCC विंग',
+        ncc_certificate: 'NCC प्रमाणपत्र',
+        ncc_certificate_grade: 'NCC प्रमाणपत्र ग्रेड',
+        sports_quota_eligibility: 'खेल कोटा',
+        cpl_holder: 'कमर्शियल पायलट लाइसेंस',
+        height_cm: 'ऊँचाई (सेमी)',
+        weight_kg: 'वज़न (किग्रा)',
+        vision_eyesight: 'दृष्टि',
+        language_proficiency: 'भाषाएँ',
+        driving_license_type: 'ड्राइविंग लाइसेंस',
+        current_employment_status: 'रोज़गार की स्थिति',
+        work_experience_required: 'कार्य अनुभव आवश्यक',
+        work_experience_years: 'कार्य अनुभव (वर्ष)',
+        ex_servicemen_status: 'भूतपूर्व सैनिक'
+    },
+    
+    educationLevels: {
+        post_doctorate: 'पोस्ट-डॉक्टरेट',
+        phd: 'पीएचडी',
+        post_graduation: 'स्नातकोत्तर',
+        graduation: 'स्नातक',
+        diploma: 'डिप्लोमा',
+        '12th_higher_secondary': '12वीं (उच्चतर माध्यमिक)',
+        '10th_secondary': '10वीं (माध्यमिक)',
+        below_10th: '10वीं से कम',
+        no_education: 'कोई औपचारिक शिक्षा नहीं'
+    },
+    
+    examPage: {
+        backToExplore: '← परीक्षाएँ देखें',
+        notFound: 'परीक्षा नहीं मिली',
+        notFoundText: '"{id}" ID वाली कोई परीक्षा नहीं है।',
+        amIEligible: 'क्या मैं योग्य हूँ?',
+        loading: 'परीक्षा की जानकारी लोड हो रही है...',
+        missing: 'इस परीक्षा की विस्तृत जानकारी अभी उपलब्ध नहीं है।',
+        error: 'परीक्षा की जानकारी लोड नहीं हो सकी। कृपया बाद में फिर कोशिश करें।',
+        profile: 'परीक्षा परिचय',
+        pattern: 'परीक्षा पैटर्न',
+        eligibilityRules: 'योग्यता के नियम',
+        rule: 'नियम',
+        requirement: 'आवश्यकता',
+        noRules: 'योग्यता का कोई नियम नहीं दिया गया है।',
+        detailsAndEligibility: 'विवरण और योग्यता →',
+        detailsTitle: '{exam}: परीक्षा का विवरण और योग्यता के नियम'
+    }
+};
@@ -0,0 +1,390 @@
+/**
+ * Checker Reasons
+ * For PRATIYOGITA SETU - Pariksha Setu, Pariksha Marg and Pariksha Yogya
+ *
+ * The eligibility checker (pariksha_yogya/src/eligibility/checker) and the
+ * explanations built on it write their reasons in English, and the server
+ * and the saved results keep them that way. They are translated when shown:
+ * each English reason is matched against the templates below, and
+ * {placeholders} carry the values over (exam and user values stay as the
+ * checker wrote them).
+ *
+ * A reason without a template is shown in English. When a checker reason
+ * changes, change its template here too.
+ */
+
+import { normalizeLanguage } from './language.js';
+
+// ============================================
+// TEMPLATES
+// ============================================
+
+// English reason → Hindi
+const HINDI_REASONS = {
+    // Age and date of birth
+    'No age/DOB criteria specified': 'आयु/जन्म तिथि का कोई मानदंड नहीं दिया गया है',
+    'No age/DOB criteria found for this exam': 'इस परीक्षा के लिए आयु/जन्म तिथि का कोई मानदंड नहीं मिला',
+    'No age limit for this exam': 'इस परीक्षा के लिए कोई आयु सीमा नहीं है',
+    'Please provide your date of birth': 'कृपया अपनी जन्म तिथि दर्ज करें',
+    'Invalid date format. Please use DD-MM-YYYY format': 'तिथि का प्रारूप गलत है। कृपया DD-MM-YYYY प्रारूप का उपयोग करें',
+    'Minimum age not specified for selected session': 'चुने गए सत्र के लिए न्यूनतम आयु नहीं दी गई है',
+    'Maximum age not specified for selected session': 'चुने गए सत्र के लिए अधिकतम आयु नहीं दी गई है',
+    'Age range not specified for selected session': 'चुने गए सत्र के लिए आयु सीमा नहीं दी गई है',
+    'Minimum DOB not specified for selected session': 'चुने गए सत्र के लिए न्यूनतम जन्म तिथि नहीं दी गई है',
+    'Maximum DOB not specified for selected session': 'चुने गए सत्र के लिए अधिकतम जन्म तिथि नहीं दी गई है',
+    'DOB range not specified for selected session': 'चुने गए सत्र के लिए जन्म तिथि की सीमा नहीं दी गई है',
+    'Could not parse age range format': 'आयु सीमा का प्रारूप समझा नहीं जा सका',
+    'Could not parse DOB range format': 'जन्म तिथि सीमा का प्रारूप समझा नहीं जा सका',
+    'Your age ({age} years) meets the minimum age requirement of {limit} years': 'आपकी आयु ({age} वर्ष) {limit} वर्ष की न्यूनतम आयु की शर्त पूरी करती है',
+    'Your age ({age} years) is below the minimum age requirement of {limit} years': 'आपकी आयु ({age} वर्ष) {limit} वर्ष की न्यूनतम आयु से कम है',
+    'Your age ({age} years) is within the maximum age limit of {limit} years': 'आपकी आयु ({age} वर्ष) {limit} वर्ष की अधिकतम आयु सीमा के भीतर है',
+    'Your age ({age} years) exceeds the maximum age limit of {limit} years': 'आपकी आयु ({age} वर्ष) {limit} वर्ष की अधिकतम आयु सीमा से अधिक है',
+    'Your age ({age} years) is within the eligible range of {min} to {max} years': 'आपकी आयु ({age} वर्ष) {min} से {max} वर्ष की योग्य सीमा के भीतर है',
+    'Your age ({age} years) is below the minimum age of {min} years': 'आपकी आयु ({age} वर्ष) {min} वर्ष की न्यूनतम आयु से कम है',
+    'Your age ({age} years) exceeds the maximum age of {max} years': 'आपकी आयु ({age} वर्ष) {max} वर्ष की अधिकतम आयु से अधिक है',
+    'Your age ({age} years) is within the eligible range': 'आपकी आयु ({age} वर्ष) योग्य सीमा के भीतर है',
+    'Your age ({age} years) meets the minimum age requirement': 'आपकी आयु ({age} वर्ष) न्यूनतम आयु की शर्त पूरी करती है',
+    'Your age ({age} years) is below the minimum age requirement': 'आपकी आयु ({age} वर्ष) न्यूनतम आयु से कम है',
+    'Your age ({age} years) is within the maximum age limit': 'आपकी आयु ({age} वर्ष) अधिकतम आयु सीमा के भीतर है',
+    'Your date of birth ({dob}) is on or before {date}': 'आपकी जन्म तिथि ({dob}) {date} को या उससे पहले है',
+    'Your date of birth ({dob}) is after {date}. You must be born on or before {limit}': 'आपकी जन्म तिथि ({dob}) {date} के बाद है। आपका जन्म {limit} को या उससे पहले होना चाहिए',
+    'Your date of birth ({dob}) is after {date}': 'आपकी जन्म तिथि ({dob}) {date} के बाद है',
+    'Your date of birth ({dob}) is on or after {date}': 'आपकी जन्म तिथि ({dob}) {date} को या उसके बाद है',
+    'Your date of birth ({dob}) is before {date}. You must be born on or after {limit}': 'आपकी जन्म तिथि ({dob}) {date} से पहले है। आपका जन्म {limit} को या उसके बाद होना चाहिए',
+    'Your date of birth ({dob}) is before {date}': 'आपकी जन्म तिथि ({dob}) {date} से पहले है',
+    'Your date of birth ({dob}) falls within the eligible range': 'आपकी जन्म तिथि ({dob}) योग्य सीमा के भीतर है',
+    'Your date of birth ({dob}) is before the eligible range. You must be born on or after {date}': 'आपकी जन्म तिथि ({dob}) योग्य सीमा से पहले है। आपका जन्म {date} को या उसके बाद होना चाहिए',
+    'Your date of birth ({dob}) is after the eligible range. You must be born on or before {date}': 'आपकी जन्म तिथि ({dob}) योग्य सीमा के बाद है। आपका जन्म {date} को या उससे पहले होना चाहिए',
+    
+    // Attempts
+    'No attempt limit': 'प्रयासों की कोई सीमा नहीं',
+    'Could not parse attempts used': 'किए गए प्रयास समझे नहीं जा सके',
+    'Attempts are limited only by the age criteria': 'प्रयास केवल आयु मानदंड से सीमित हैं',
+    'Unlimited attempts': 'असीमित प्रयास',
+    'Could not parse attempt limit': 'प्रयासों की सीमा समझी नहीं जा सकी',
+    'No attempt limit specified for {group}': '{group} के लिए प्रयासों की कोई सीमा नहीं दी गई है',
+    'Unlimited attempts for {group}': '{group} के लिए असीमित प्रयास',
+    '{remaining} of {max} attempts remaining': '{max} में से {remaining} प्रयास बाकी हैं',
+    'All {max} attempts have been used': 'सभी {max} प्रयास हो चुके हैं',
+    
+    // Gender, marital status, category, PwD
+    'No gender restriction defined': 'लिंग का कोई प्रतिबंध नहीं है',
+    'All genders are eligible': 'सभी लिंग योग्य हैं',
+    'Gender criterion not applicable': 'लिंग का मानदंड लागू नहीं है',
+    'User gender not specified': 'लिंग नहीं चुना गया है',
+    'Gender {gender} is eligible': 'लिंग {gender} योग्य है',
+    'Gender {gender} is not eligible. Allowed: {allowed}': 'लिंग {gender} योग्य नहीं है। अनुमत: {allowed}',
+    'Not eligible for any division based on gender': 'लिंग के आधार पर किसी भी प्रभाग के लिए योग्य नहीं',
+    'No marital status restriction defined': 'वैवाहिक स्थिति का कोई प्रतिबंध नहीं है',
+    'User gender is required for marital status check': 'वैवाहिक स्थिति की जाँच के लिए लिंग आवश्यक है',
+    'User marital status not specified': 'वैवाहिक स्थिति नहीं चुनी गई है',
+    'No marital status data found - everyone eligible': 'वैवाहिक स्थिति की कोई शर्त नहीं मिली - सभी योग्य हैं',
+    'No marital status rules defined for gender: {gender}': 'लिंग {gender} के लिए वैवाहिक स्थिति का कोई नियम नहीं है',
+    'Marital status {status} is eligible for {gender}': '{gender} के लिए वैवाहिक स्थिति {status} योग्य है',
+    'Marital status {status} is not allowed for {gender}. Allowed: {allowed}': '{gender} के लिए वैवाहिक स्थिति {status} अनुमत नहीं है। अनुमत: {allowed}',
+    'For {gender}: {allowed}': '{gender} के लिए: {allowed}',
+    'Not eligible for any division based on marital status': 'वैवाहिक स्थिति के आधार पर किसी भी प्रभाग के लिए योग्य नहीं',
+    'No caste category restriction defined': 'वर्ग का कोई प्रतिबंध नहीं है',
+    'All caste categories are eligible': 'सभी वर्ग योग्य हैं',
+    'Caste category criterion not applicable': 'वर्ग का मानदंड लागू नहीं है',
+    'User caste category not specified': 'वर्ग नहीं चुना गया है',
+    'No caste category data found - everyone eligible': 'वर्ग की कोई शर्त नहीं मिली - सभी योग्य हैं',
+    'Caste category {category} is eligible': 'वर्ग {category} योग्य है',
+    'Caste category {category} is not eligible. Allowed: {allowed}': 'वर्ग {category} योग्य नहीं है। अनुमत: {allowed}',
+    'Eligible for {count} division(s): {divisions}': '{count} प्रभाग(ों) के लिए योग्य: {divisions}',
+    'Not eligible for any division based on caste category': 'वर्ग के आधार पर किसी भी प्रभाग के लिए योग्य नहीं',
+    'No PWD restriction defined': 'PwD का कोई प्रतिबंध नहीं है',
+    'All candidates (PWD and non-PWD) are eligible': 'सभी उम्मीदवार (PwD और गैर-PwD) योग्य हैं',
+    'PWD candidate is eligible (PWD provisions available)': 'PwD उम्मीदवार योग्य है (PwD प्रावधान उपलब्ध हैं)',
+    'Non-PWD candidate is eligible': 'गैर-PwD उम्मीदवार योग्य है',
+    'PWD status not specified': 'PwD स्थिति नहीं चुनी गई है',
+    'PWD candidates are not eligible for this exam (physical fitness required)': 'PwD उम्मीदवार इस परीक्षा के लिए योग्य नहीं हैं (शारीरिक फिटनेस आवश्यक है)',
+    'Unknown PWD requirement: {requirement}': 'PwD की अज्ञात शर्त: {requirement}',
+    'Not eligible for any division based on PWD status': 'PwD स्थिति के आधार पर किसी भी प्रभाग के लिए योग्य नहीं',
+    
+    // Nationality and domicile
+    'No nationality restriction for this exam': 'इस परीक्षा के लिए राष्ट्रीयता का कोई प्रतिबंध नहीं है',
+    'Please specify your nationality': 'कृपया अपनी राष्ट्रीयता चुनें',
+    'Your nationality ({nationality}) is eligible for this exam': 'आपकी राष्ट्रीयता ({nationality}) इस परीक्षा के लिए योग्य है',
+    'Your nationality ({nationality}) is not in the allowed list: {allowed}': 'आपकी राष्ट्रीयता ({nationality}) अनुमत सूची में नहीं है: {allowed}',
+    'Domicile check not applicable for non-Indian nationals': 'गैर-भारतीय नागरिकों के लिए अधिवास की जाँच लागू नहीं है',
+    'No domicile restriction for this exam - open for all Indian states/UTs': 'इस परीक्षा के लिए अधिवास का कोई प्रतिबंध नहीं है - सभी भारतीय राज्यों/केंद्र शासित प्रदेशों के लिए खुली है',
+    'Please specify your domicile state/UT': 'कृपया अपना अधिवास राज्य/केंद्र शासित प्रदेश चुनें',
+    'Your domicile ({domicile}) matches the requirement': 'आपका अधिवास ({domicile}) शर्त से मेल खाता है',
+    'This exam is only for candidates from {domicile}': 'यह परीक्षा केवल {domicile} के उम्मीदवारों के लिए है',
+    'Your domicile ({domicile}) is eligible for this exam': 'आपका अधिवास ({domicile}) इस परीक्षा के लिए योग्य है',
+    'Your domicile ({domicile}) is not in the allowed list: {allowed}': 'आपका अधिवास ({domicile}) अनुमत सूची में नहीं है: {allowed}',
+    
+    // Education
+    'No specific education requirement': 'शिक्षा की कोई विशेष शर्त नहीं है',
+    'Education qualification not provided': 'शैक्षिक योग्यता नहीं दी गई है',
+    'Your education level ({level}) meets or exceeds the requirement ({required})': 'आपका शिक्षा स्तर ({level}) शर्त ({required}) के बराबर या उससे ऊपर है',
+    'Your education level ({level}) is below the minimum requirement ({required})': 'आपका शिक्षा स्तर ({level}) न्यूनतम शर्त ({required}) से कम है',
+    'Unable to parse percentage values': 'प्रतिशत मान समझे नहीं जा सके',
+    'You have both Diploma and 12th qualifications': 'आपके पास डिप्लोमा और 12वीं दोनों योग्यताएँ हैं',
+    'Both Diploma and 12th qualifications are required': 'डिप्लोमा और 12वीं दोनों योग्यताएँ आवश्यक हैं',
+    'You have the required qualification (Diploma/12th)': 'आपके पास आवश्यक योग्यता (डिप्लोमा/12वीं) है',
+    'Either Diploma or 12th qualification is required': 'डिप्लोमा या 12वीं में से कोई एक योग्यता आवश्यक है',
+    'No specific Diploma/12th requirement': 'डिप्लोमा/12वीं की कोई विशेष शर्त नहीं है',
+    'No subject-specific conditions': 'विषय की कोई विशेष शर्त नहीं है',
+    'All courses are accepted': 'सभी कोर्स मान्य हैं',
+    'Course not specified': 'कोर्स नहीं चुना गया है',
+    'Unable to validate course': 'कोर्स की जाँच नहीं हो सकी',
+    'All subjects are accepted': 'सभी विषय मान्य हैं',
+    'Subject not specified': 'विषय नहीं चुना गया है',
+    'Unable to validate subject': 'विषय की जाँच नहीं हो सकी',
+    'No specific course requirement for {level}': '{level} के लिए कोर्स की कोई विशेष शर्त नहीं है',
+    'All courses are accepted for {level}': '{level} के लिए सभी कोर्स मान्य हैं',
+    'Course not specified for {level}': '{level} के लिए कोर्स नहीं चुना गया है',
+    'Course {course} is accepted for {level}': '{level} के लिए कोर्स {course} मान्य है',
+    'Course {course} is not in the allowed list for {level}': 'कोर्स {course} {level} की अनुमत सूची में नहीं है',
+    'No specific subject requirement for {level}': '{level} के लिए विषय की कोई विशेष शर्त नहीं है',
+    'All subjects are accepted for {level}': '{level} के लिए सभी विषय मान्य हैं',
+    'Subject not specified for {level}': '{level} के लिए विषय नहीं चुना गया है',
+    'Subject {subject} is accepted for {level}': '{level} के लिए विषय {subject} मान्य है',
+    'Subject {subject} is not in the allowed list for {level}': 'विषय {subject} {level} की अनुमत सूची में नहीं है',
+    'No specific marks requirement for {level}': '{level} के लिए अंकों की कोई विशेष शर्त नहीं है',
+    'Marks percentage not provided for {level}': '{level} के अंक प्रतिशत नहीं दिए गए हैं',
+    'Your marks ({marks}%) meet the requirement ({required}%) for {level}': 'आपके अंक ({marks}%) {level} की शर्त ({required}%) पूरी करते हैं',
+    'Your marks ({marks}%) are below the requirement ({required}%) for {level}': 'आपके अंक ({marks}%) {level} की शर्त ({required}%) से कम हैं',
+    'Your marks ({marks}%) meet the {source} requirement ({required}%) for {level}': 'आपके अंक ({marks}%) {level} की {source} शर्त ({required}%) पूरी करते हैं',
+    'Your marks ({marks}%) are below the {source} requirement ({required}%) for {level}': 'आपके अंक ({marks}%) {level} की {source} शर्त ({required}%) से कम हैं',
+    'Your subjects include all required subjects for {level}': 'आपके विषयों में {level} के सभी आवश्यक विषय शामिल हैं',
+    'Missing required subjects ({subjects}) for {level}': '{level} के आवश्यक विषय ({subjects}) नहीं हैं',
+    'Course {course} is accepted': 'कोर्स {course} मान्य है',
+    'Course {course} is not in the allowed list: {allowed}': 'कोर्स {course} अनुमत सूची में नहीं है: {allowed}',
+    'Subject {subject} is accepted': 'विषय {subject} मान्य है',
+    'Subject {subject} is not in the allowed list: {allowed}': 'विषय {subject} अनुमत सूची में नहीं है: {allowed}',
+    'No stream restriction': 'स्ट्रीम का कोई प्रतिबंध नहीं है',
+    'Stream requirement depends on the post applied for': 'स्ट्रीम की शर्त आवेदन किए गए पद पर निर्भर है',
+    'Course and subject not selected in the education table': 'शिक्षा तालिका में कोर्स और विषय नहीं चुने गए हैं',
+    'Could not parse stream restriction': 'स्ट्रीम का प्रतिबंध समझा नहीं जा सका',
+    '{subjects} studied at {level}': '{level} में {subjects} पढ़ा है',
+    'Requires {subjects} as subjects, which are not in {course} at {level}': '{subjects} विषय आवश्यक हैं, जो {level} में {course} में नहीं हैं',
+    'Requires {subjects} as subjects, which are not in {level}': '{subjects} विषय आवश्यक हैं, जो {level} में नहीं हैं',
+    '{course} at {level} is in the {stream} stream': '{level} में {course} {stream} स्ट्रीम में है',
+    '{level} is in the {stream} stream': '{level} {stream} स्ट्रीम में है',
+    'Requires {stream} stream, but {course} at {level} is in the {streams} stream': '{stream} स्ट्रीम आवश्यक है, लेकिन {level} में {course} {streams} स्ट्रीम में है',
+    'Requires {stream} stream, but {course} at {level} could not be mapped to a stream': '{stream} स्ट्रीम आवश्यक है, लेकिन {level} में {course} की स्ट्रीम पता नहीं चल सकी',
+    'Requires {stream} stream, but {level} is in the {streams} stream': '{stream} स्ट्रीम आवश्यक है, लेकिन {level} {streams} स्ट्रीम में है',
+    'Requires {stream} stream, but {level} could not be mapped to a stream': '{stream} स्ट्रीम आवश्यक है, लेकिन {level} की स्ट्रीम पता नहीं चल सकी',
+    'No backlog restriction': 'बैकलॉग का कोई प्रतिबंध नहीं है',
+    'No active backlogs': 'कोई सक्रिय बैकलॉग नहीं',
+    'No active backlogs are allowed': 'कोई सक्रिय बैकलॉग अनुमत नहीं है',
+    'Backlogs are allowed': 'बैकलॉग अनुमत हैं',
+    'Backlogs accepted': 'बैकलॉग मान्य हैं',
+    '{count} active backlogs is within the limit of {limit}': '{count} सक्रिय बैकलॉग {limit} की सीमा के भीतर हैं',
+    '{count} active backlogs exceeds the limit of {limit}': '{count} सक्रिय बैकलॉग {limit} की सीमा से अधिक हैं',
+    'Gap years are allowed': 'गैप वर्ष अनुमत हैं',
+    'No gap years': 'कोई गैप वर्ष नहीं',
+    'No gap years are allowed': 'कोई गैप वर्ष अनुमत नहीं है',
+    'Gap years accepted': 'गैप वर्ष मान्य हैं',
+    '{count} gap years is within the limit of {limit}': '{count} गैप वर्ष {limit} की सीमा के भीतर हैं',
+    '{count} gap years exceeds the limit of {limit}': '{count} गैप वर्ष {limit} की सीमा से अधिक हैं',
+    
+    // Physical standards
+    'Gender not specified. Height requirement is gender-specific': 'लिंग नहीं चुना गया है। ऊँचाई की शर्त लिंग के अनुसार है',
+    'No height requirement specified for {gender}': '{gender} के लिए ऊँचाई की कोई शर्त नहीं दी गई है',
+    'No height restriction': 'ऊँचाई का कोई प्रतिबंध नहीं है',
+    'Height is assessed during the medical examination': 'ऊँचाई की जाँच मेडिकल परीक्षा में होती है',
+    'Height not specified': 'ऊँचाई नहीं दी गई है',
+    'Could not parse height value': 'ऊँचाई का मान समझा नहीं जा सका',
+    'Could not parse height requirement': 'ऊँचाई की शर्त समझी नहीं जा सकी',
+    'Height {height} cm is within {min} - {max} cm': 'ऊँचाई {height} सेमी, {min} - {max} सेमी के भीतर है',
+    'Height {height} cm is outside the allowed range of {min} - {max} cm': 'ऊँचाई {height} सेमी, {min} - {max} सेमी की अनुमत सीमा से बाहर है',
+    'Height {height} cm meets the minimum of {min} cm': 'ऊँचाई {height} सेमी, न्यूनतम {min} सेमी की शर्त पूरी करती है',
+    'Height {height} cm is below the minimum of {min} cm': 'ऊँचाई {height} सेमी, न्यूनतम {min} सेमी से कम है',
+    'Gender not specified. Weight requirement is gender-specific': 'लिंग नहीं चुना गया है। वज़न की शर्त लिंग के अनुसार है',
+    'No weight requirement specified for {gender}': '{gender} के लिए वज़न की कोई शर्त नहीं दी गई है',
+    'No weight restriction': 'वज़न का कोई प्रतिबंध नहीं है',
+    'Weight is assessed during the medical examination': 'वज़न की जाँच मेडिकल परीक्षा में होती है',
+    'Weight not specified': 'वज़न नहीं दिया गया है',
+    'Could not parse weight value': 'वज़न का मान समझा नहीं जा सका',
+    'Could not parse weight requirement': 'वज़न की शर्त समझी नहीं जा सकी',
+    'Weight {weight} kg is within {min} - {max} kg': 'वज़न {weight} किग्रा, {min} - {max} किग्रा के भीतर है',
+    'Weight {weight} kg is outside the allowed range of {min} - {max} kg': 'वज़न {weight} किग्रा, {min} - {max} किग्रा की अनुमत सीमा से बाहर है',
+    'Weight {weight} kg meets the minimum of {min} kg': 'वज़न {weight} किग्रा, न्यूनतम {min} किग्रा की शर्त पूरी करता है',
+    'Weight {weight} kg is below the minimum of {min} kg': 'वज़न {weight} किग्रा, न्यूनतम {min} किग्रा से कम है',
+    'No vision restriction': 'दृष्टि का कोई प्रतिबंध नहीं है',
+    'Vision is assessed during the medical examination': 'दृष्टि की जाँच मेडिकल परीक्षा में होती है',
+    'Vision/eyesight not specified': 'दृष्टि नहीं दी गई है',
+    'Vision {vision} meets the requirement': 'दृष्टि {vision} शर्त पूरी करती है',
+    'Vision {vision} does not meet the requirement ({required})': 'दृष्टि {vision} शर्त ({required}) पूरी नहीं करती',
+    
+    // NCC and sports
+    'NCC Wing not specified': 'NCC विंग नहीं चुनी गई है',
+    'NCC wing not specified': 'NCC विंग नहीं चुनी गई है',
+    'NCC Wing {wing} is accepted': 'NCC विंग {wing} मान्य है',
+    'NCC Wing {wing} not in allowed list: {allowed}': 'NCC विंग {wing} अनुमत सूची में नहीं है: {allowed}',
+    'NCC wing {wing} is not accepted for this exam': 'इस परीक्षा के लिए NCC विंग {wing} मान्य नहीं है',
+    'NCC certificate not required for this exam': 'इस परीक्षा के लिए NCC प्रमाणपत्र आवश्यक नहीं है',
+    'NCC certificate is required but not provided': 'NCC प्रमाणपत्र आवश्यक है लेकिन नहीं दिया गया है',
+    'Any NCC certificate is accepted': 'कोई भी NCC प्रमाणपत्र मान्य है',
+    'NCC certificate not specified': 'NCC प्रमाणपत्र नहीं चुना गया है',
+    'Certificate {certificate} is accepted for {wing} wing': '{wing} विंग के लिए प्रमाणपत्र {certificate} मान्य है',
+    'Certificate {certificate} not in allowed list: {allowed}': 'प्रमाणपत्र {certificate} अनुमत सूची में नहीं है: {allowed}',
+    'Certificate {certificate} matches requirement': 'प्रमाणपत्र {certificate} शर्त से मेल खाता है',
+    'NCC grade not required for this exam': 'इस परीक्षा के लिए NCC ग्रेड आवश्यक नहीं है',
+    'NCC grade is required but not provided': 'NCC ग्रेड आवश्यक है लेकिन नहीं दिया गया है',
+    'Any NCC grade is accepted': 'कोई भी NCC ग्रेड मान्य है',
+    'NCC grade not specified': 'NCC ग्रेड नहीं चुना गया है',
+    'No grade requirements found for certificate {certificate}': 'प्रमाणपत्र {certificate} के लिए ग्रेड की कोई शर्त नहीं मिली',
+    'Grade {grade} is accepted for {certificate}': '{certificate} के लिए ग्रेड {grade} मान्य है',
+    'Grade {grade} not in allowed list: {allowed}': 'ग्रेड {grade} अनुमत सूची में नहीं है: {allowed}',
+    'Grade {grade} matches requirement': 'ग्रेड {grade} शर्त से मेल खाता है',
+    'No sports quota restriction': 'खेल कोटे का कोई प्रतिबंध नहीं है',
+    'Sports quota level not specified': 'खेल कोटे का स्तर नहीं चुना गया है',
+    'Sports level {level} qualifies for the sports quota': 'खेल स्तर {level} खेल कोटे के योग्य है',
+    'Sports level {level} does not qualify ({required})': 'खेल स्तर {level} योग्य नहीं है ({required})',
+    
+    // Professional and other
+    'No employment status restriction': 'रोज़गार की स्थिति का कोई प्रतिबंध नहीं है',
+    'Employment status not specified': 'रोज़गार की स्थिति नहीं चुनी गई है',
+    'Employment status {status} is allowed': 'रोज़गार की स्थिति {status} अनुमत है',
+    'Employment status {status} is not allowed ({required})': 'रोज़गार की स्थिति {status} अनुमत नहीं है ({required})',
+    'No work experience required': 'कार्य अनुभव आवश्यक नहीं है',
+    'Work experience not specified': 'कार्य अनुभव नहीं दिया गया है',
+    'Could not parse work experience requirement': 'कार्य अनुभव की शर्त समझी नहीं जा सकी',
+    '{years} years of experience is within {min} - {max} years': '{years} वर्ष का अनुभव {min} - {max} वर्ष के भीतर है',
+    '{years} years of experience is outside {min} - {max} years': '{years} वर्ष का अनुभव {min} - {max} वर्ष से बाहर है',
+    '{years} years of experience meets the minimum of {min} years': '{years} वर्ष का अनुभव न्यूनतम {min} वर्ष की शर्त पूरी करता है',
+    '{years} years of experience is below the minimum of {min} years': '{years} वर्ष का अनुभव न्यूनतम {min} वर्ष से कम है',
+    'No ex-servicemen restriction': 'भूतपूर्व सैनिक का कोई प्रतिबंध नहीं है',
+    'Ex-servicemen status not specified': 'भूतपूर्व सैनिक स्थिति नहीं चुनी गई है',
+    'Candidate is an ex-serviceman': 'उम्मीदवार भूतपूर्व सैनिक है',
+    'This exam is open to ex-servicemen only': 'यह परीक्षा केवल भूतपूर्व सैनिकों के लिए है',
+    'Candidate is not an ex-serviceman': 'उम्मीदवार भूतपूर्व सैनिक नहीं है',
+    'Ex-servicemen are not eligible for this exam': 'भूतपूर्व सैनिक इस परीक्षा के लिए योग्य नहीं हैं',
+    'Ex-servicemen status accepted': 'भूतपूर्व सैनिक स्थिति मान्य है',
+    'CPL not required': 'CPL आवश्यक नहीं है',
+    'CPL holder status not specified': 'CPL धारक स्थिति नहीं चुनी गई है',
+    'CPL holder requirement met': 'CPL धारक की शर्त पूरी होती है',
+    'A Commercial Pilot License is required': 'कमर्शियल पायलट लाइसेंस आवश्यक है',
+    'CPL is optional for this exam': 'इस परीक्षा के लिए CPL वैकल्पिक है',
+    'CPL holder status accepted': 'CPL धारक स्थिति मान्य है',
+    'No driving license required': 'ड्राइविंग लाइसेंस आवश्यक नहीं है',
+    'Driving license type not specified': 'ड्राइविंग लाइसेंस का प्रकार नहीं चुना गया है',
+    '{license} license meets the requirement': '{license} लाइसेंस शर्त पूरी करता है',
+    '{license} license does not meet the requirement ({required})': '{license} लाइसेंस शर्त ({required}) पूरी नहीं करता',
+    'No language requirement': 'भाषा की कोई शर्त नहीं है',
+    'Language proficiency not specified': 'भाषा दक्षता नहीं दी गई है',
+    'Language requirement met': 'भाषा की शर्त पूरी होती है',
+    'Proficiency in one of {languages} is required': '{languages} में से किसी एक भाषा में दक्षता आवश्यक है',
+    
+    // "Why not eligible" explanations and hints (pariksha_yogya/src/eligibility/explanations.js)
+    'Your date of birth is needed to check the age limit.': 'आयु सीमा की जाँच के लिए आपकी जन्म तिथि आवश्यक है।',
+    'Enter your date of birth': 'अपनी जन्म तिथि दर्ज करें',
+    'You are too young for this session ({requirement}).': 'इस सत्र के लिए आपकी आयु कम है ({requirement})।',
+    'Check the later sessions below': 'नीचे आगे के सत्र देखें',
+    'You are above the age limit for this session ({requirement}).': 'इस सत्र के लिए आपकी आयु सीमा से अधिक है ({requirement})।',
+    'Already includes your relaxation: {summary}': 'इसमें आपकी छूट पहले से शामिल है: {summary}',
+    'No age relaxation applies to your profile': 'आपकी प्रोफ़ाइल पर कोई आयु छूट लागू नहीं होती',
+    'Required: {requirement}': 'आवश्यक: {requirement}',
+    'Your {level} marks are needed to check the minimum percentage.': 'न्यूनतम प्रतिशत की जाँच के लिए आपके {level} के अंक आवश्यक हैं।',
+    'Enter your {level} marks': 'अपने {level} के अंक दर्ज करें',
+    'You scored {marks}% in {level}; this exam needs {required}%.': '{level} में आपके {marks}% अंक हैं; इस परीक्षा के लिए {required}% आवश्यक हैं।',
+    'Needs {more}% more in {level}': '{level} में {more}% और चाहिए',
+    '{label} is needed for this exam.': 'इस परीक्षा के लिए {label} आवश्यक है।',
+    'Enter your {label}': 'अपनी {label} दर्ज करें',
+    'Needs {more} cm more': '{more} सेमी और चाहिए',
+    'Needs {more} kg more': '{more} किग्रा और चाहिए',
+    '{over} cm above the limit': 'सीमा से {over} सेमी अधिक',
+    '{over} kg above the limit': 'सीमा से {over} किग्रा अधिक',
+    'Your {label} ({value}) does not meet the requirement: {requirement}.': 'आपकी {label} ({value}) शर्त पूरी नहीं करती: {requirement}।',
+    'This needs at least {required}; you entered {value}.': 'इसके लिए कम से कम {required} आवश्यक है; आपने {value} दर्ज किया है।',
+    'Requires {required} or higher': '{required} या उससे ऊपर आवश्यक है',
+    'Fill in {label}': '{label} भरें',
+    'Your {label} ({value}) is not accepted here.': 'आपकी {label} ({value}) यहाँ मान्य नहीं है।',
+    'Accepted: {requirement}': 'मान्य: {requirement}',
+    'Eligible under {relaxation} relaxation': '{relaxation} छूट के अंतर्गत योग्य',
+    'General requirement: {requirement}': 'सामान्य वर्ग की शर्त: {requirement}',
+    'You become eligible for the {session} session (if the age rule stays the same)': 'आप {session} सत्र के लिए योग्य हो जाएँगे (यदि आयु नियम वही रहे)',
+    'You become eligible for the {session} session': 'आप {session} सत्र के लिए योग्य हो जाएँगे'
+};
+
+// ============================================
+// MATCHING
+// ============================================
+
+const PLACEHOLDER_PATTERN = /\{(\w+)\}/g;
+
+/**
+ * Regex for an English template; placeholders match any text
+ * @param {string} template
+ * @returns {{pattern: RegExp, names: string[]}}
+ */
+const compileTemplate = (template) => {
+    const names = [];
+    const source = template
+        .split(PLACEHOLDER_PATTERN)
+        .map((part, index) => {
+            // split() puts placeholder names at odd indexes
+            if (index % 2 === 1) {
+                names.push(part);
+                return '(.+?)';
+            }
+            return part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        })
+        .join('');
+    return { pattern: new RegExp(`^${source}$`), names };
+};
+
+/**
+ * Templates with placeholders, most fixed text first, so that
+ * "Your date of birth ({dob}) is after {date}. You must be born on or before {limit}"
+ * is tried before "Your date of birth ({dob}) is after {date}"
+ * @param {Object} templates - English → translation
+ * @returns {Array<{pattern: RegExp, names: string[], translation: string}>}
+ */
+const compileTemplates = (templates) => {
+    return Object.entries(templates)
+        .filter(([english]) => english.includes('{'))
+        .map(([english, translation]) => ({
+            ...compileTemplate(english),
+            translation,
+            fixedLength: english.replace(PLACEHOLDER_PATTERN, '').length
+        }))
+        .sort((a, b) => b.fixedLength - a.fixedLength);
+};
+
+const TRANSLATIONS = {
+    hi: { exact: HINDI_REASONS, templates: compileTemplates(HINDI_REASONS) }
+};
+
+/**
+ * Translate a checker reason, explanation or hint
+ * @param {string} reason - As the checker wrote it
+ * @param {string} language
+ * @returns {string} - The reason as it is in English or without a template
+ */
+export const translateReason = (reason, language) => {
+    const translations = TRANSLATIONS[normalizeLanguage(language)];
+    if (!translations || !reason) return reason;
+    if (translations.exact[reason]) return translations.exact[reason];
+    
+    for (const { pattern, names, translation } of translations.templates) {
+        const match = reason.match(pattern);
+        if (match) {
+            return translation.replace(PLACEHOLDER_PATTERN, (placeholder, name) => {
+                const index = names.indexOf(name);
+                return index === -1 ? placeholder : match[index + 1];
+            });
+        }
+    }
+    return reason;
+};
+
+/**
+ * English reason templates that have a translation
+ * @param {string} language
+ * @returns {string[]}
+ */
+export const getReasonTemplates = (language) => {
+    const translations = TRANSLATIONS[normalizeLanguage(language)];
+    return translations ? Object.keys(translations.exact) : [];
+};
+
+export default {
+    translateReason,
+    getReasonTemplates
+};
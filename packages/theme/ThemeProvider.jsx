@@ -0,0 +1,110 @@
+/**
+ * Theme Provider
+ * For PRATIYOGITA SETU - Pariksha Setu, Pariksha Marg and Pariksha Yogya
+ *
+ * Holds the light/dark theme for a site. The choice is stored under
+ * THEME_STORAGE_KEY, follows other open tabs of the same site, and is passed
+ * to the other sites with withTheme() links (?theme=dark).
+ */
+
+import React, { createContext, useCallback, useContext, useEffect, useLayoutEffect, useMemo, useState } from "react";
+import {
+  THEME_STORAGE_KEY,
+  applyTheme,
+  getInitialTheme,
+  normalizeTheme,
+  saveTheme,
+  withTheme,
+} from "./theme.js";
+import { THEME_TOKENS } from "./tokens.js";
+
+const ThemeContext = createContext();
+
+export const ThemeProvider = ({ children }) => {
+  const [theme, setThemeState] = useState(getInitialTheme);
+
+  // Before paint, so a dark page is never drawn light first
+  useLayoutEffect(() => {
+    applyTheme(theme);
+  }, [theme]);
+
+  useEffect(() => {
+    saveTheme(theme);
+  }, [theme]);
+
+  // Another tab of this site changed the theme
+  useEffect(() => {
+    const handleStorage = (event) => {
+      if (event.key === THEME_STORAGE_KEY && event.newValue) {
+        setThemeState(normalizeTheme(event.newValue));
+      }
+    };
+    window.addEventListener("storage", handleStorage);
+    return () => window.removeEventListener("storage", handleStorage);
+  }, []);
+
+  const setTheme = useCallback((next) => setThemeState(normalizeTheme(next)), []);
+
+  const toggleTheme = useCallback(() => {
+    setThemeState((previous) => (previous === "light" ? "dark" : "light"));
+  }, []);
+
+  const value = useMemo(() => ({
+    theme,
+    setTheme,
+    toggleTheme,
+    tokens: THEME_TOKENS[theme],
+    withTheme: (url) => withTheme(url, theme),
+  }), [theme, setTheme, toggleTheme]);
+
+  return (
+    <ThemeContext.Provider value={value}>
+      {children}
+    </ThemeContext.Provider>
+  );
+};
+
+// Custom hook for accessing theme context
+export const useTheme = () => {
+  const context = useContext(ThemeContext);
+  if (context === undefined) {
+    throw new Error("useTheme must be used within a ThemeProvider");
+  }
+  return context;
+};
+
+// Button that switches between light and dark; shows a moon in light mode and a sun in dark mode
+export const ThemeToggle = ({
+  className = "",
+  lightLabel = "Switch to light mode",
+  darkLabel = "Switch to dark mode",
+}) => {
+  const { theme, toggleTheme } = useTheme();
+  const label = theme === "dark" ? lightLabel : darkLabel;
+
+  return (
+    <button
+      type="button"
+      onClick={toggleTheme}
+      className={className}
+      aria-label={label}
+      title={label}
+    >
+      {theme === "dark" ? (
+        <svg xmlns="http://www.w3.org/2000/svg" className="h-4 w-4" viewBox="0 0 20 20" fill="currentColor" aria-hidden="true">
+          <path
+            fillRule="evenodd"
+            d="M10 2a1 1 0 011 1v1a1 1 0 11-2 0V3a1 1 0 011-1zm4 8a4 4 0 11-8 0 4 4 0 018 0zm-.464 4.95l.707.707a1 1 0 001.414-1.414l-.707-.707a1 1 0 00-1.414 1.414zm2.12-10.607a1 1 0 010 1.414l-.706.707a1 1 0 11-1.414-1.414l.707-.707a1 1 0 011.414 0zM17 11a1 1 0 100-2h-1a1 1 0 100 2h1zm-7 4a1 1 0 011 1v1a1 1 0 11-2 0v-1a1 1 0 011-1zM5.05 6.464A1 1 0 106.465 5.05l-.708-.707a1 1 0 00-1.414 1.414l.707.707zm1.414 8.486l-.707.707a1 1 0 01-1.414-1.414l.707-.707a1 1 0 011.414 1.414zM4 11a1 1 0 100-2H3a1 1 0 000 2h1z"
+            clipRule="evenodd"
+          />
+        </svg>
+      ) : (
+        <svg xmlns="http://www.w3.org/2000/svg" className="h-4 w-4" viewBox="0 0 20 20" fill="currentColor" aria-hidden="true">
+          <path d="M17.293 13.293A8 8 0 016.707 2.707a8.001 8.001 0 1010.586 10.586z" />
+        </svg>
+      )}
+    </button>
+  );
+};
+
+export default ThemeContext;
@@ -0,0 +1,34 @@
+/**
+ * Theme
+ * For PRATIYOGITA SETU - Pariksha Setu, Pariksha Marg and Pariksha Yogya
+ *
+ * Light and dark mode for the three sites:
+ * - tokens.js holds the shared colours for each theme
+ * - theme.js picks, stores and applies the theme
+ * - ThemeProvider.jsx gives components the theme and a toggle
+ *
+ * Tailwind's dark: variant follows the "dark" class on <html>; each app's
+ * stylesheet declares it with @custom-variant. The theme is kept across the
+ * sites by passing ?theme= on the links between them (withTheme), as the
+ * language is with ?lang=.
+ *
+ * Each app resolves "@pariksha/theme" to this folder (vite.config.js).
+ */
+
+export { THEME_TOKENS, getTokenVariable } from './tokens.js';
+
+export {
+    THEMES,
+    DEFAULT_THEME,
+    THEME_STORAGE_KEY,
+    THEME_QUERY_PARAM,
+    normalizeTheme,
+    getThemeFromQuery,
+    getSystemTheme,
+    getInitialTheme,
+    saveTheme,
+    applyTheme,
+    withTheme
+} from './theme.js';
+
+export { ThemeProvider, useTheme, ThemeToggle } from './ThemeProvider.jsx';
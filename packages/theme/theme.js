@@ -0,0 +1,139 @@
+/**
+ * Theme
+ * For PRATIYOGITA SETU - Pariksha Setu, Pariksha Marg and Pariksha Yogya
+ *
+ * The light/dark choice: where it comes from (?theme= from another site, the
+ * stored choice, then the system setting), how it is stored and how it is
+ * applied to the page.
+ */
+
+import { THEME_TOKENS, getTokenVariable } from './tokens.js';
+
+export const THEMES = ['light', 'dark'];
+
+export const DEFAULT_THEME = 'light';
+
+// Same key Pariksha Setu has always stored the theme under
+export const THEME_STORAGE_KEY = 'pariksha-setu-theme';
+
+// Query parameter that carries the theme to another site (?theme=dark)
+export const THEME_QUERY_PARAM = 'theme';
+
+/**
+ * Check if a value names a theme
+ * @param {string} theme
+ * @returns {boolean}
+ */
+const isTheme = (theme) => THEMES.includes(theme);
+
+/**
+ * Supported theme for a value
+ * @param {string} theme
+ * @returns {string} - DEFAULT_THEME if not supported
+ */
+export const normalizeTheme = (theme) => {
+    const value = String(theme || '').toLowerCase();
+    return isTheme(value) ? value : DEFAULT_THEME;
+};
+
+/**
+ * Theme asked for by a ?theme= query string
+ * @param {string} search - e.g. window.location.search
+ * @returns {string|null}
+ */
+export const getThemeFromQuery = (search) => {
+    const value = String(new URLSearchParams(search || '').get(THEME_QUERY_PARAM) || '').toLowerCase();
+    return isTheme(value) ? value : null;
+};
+
+/**
+ * Theme the operating system or browser prefers
+ * @returns {string}
+ */
+export const getSystemTheme = () => {
+    if (typeof window === 'undefined' || !window.matchMedia) return DEFAULT_THEME;
+    return window.matchMedia('(prefers-color-scheme: dark)').matches ? 'dark' : 'light';
+};
+
+/**
+ * Theme to start with: ?theme= (set by a link from another site), then the
+ * stored choice, then the system setting
+ * @returns {string}
+ */
+export const getInitialTheme = () => {
+    if (typeof window === 'undefined') return DEFAULT_THEME;
+    
+    const fromQuery = getThemeFromQuery(window.location.search);
+    if (fromQuery) return fromQuery;
+    
+    try {
+        const stored = window.localStorage.getItem(THEME_STORAGE_KEY);
+        if (isTheme(stored)) return stored;
+    } catch {
+        // Storage blocked (private mode); fall through to the system setting
+    }
+    return getSystemTheme();
+};
+
+/**
+ * Remember the theme in this browser
+ * @param {string} theme
+ */
+export const saveTheme = (theme) => {
+    try {
+        window.localStorage.setItem(THEME_STORAGE_KEY, normalizeTheme(theme));
+    } catch {
+        // Storage blocked; the choice lasts until the page is closed
+    }
+};
+
+/**
+ * Apply a theme to the page: the "dark"/"light" class on <html> (Tailwind's
+ * dark: variant), color-scheme for native controls and the token variables
+ * @param {string} theme
+ */
+export const applyTheme = (theme) => {
+    const name = normalizeTheme(theme);
+    const tokens = THEME_TOKENS[name];
+    const html = document.documentElement;
+    
+    html.classList.toggle('dark', name === 'dark');
+    html.classList.toggle('light', name === 'light');
+    html.style.colorScheme = name;
+    
+    Object.entries(tokens).forEach(([token, value]) => {
+        html.style.setProperty(getTokenVariable(token), value);
+    });
+    document.body.style.backgroundColor = tokens.background;
+    document.body.style.color = tokens.text;
+};
+
+/**
+ * Link to another site that opens in the same theme
+ * @param {string} url - e.g. "https://marg.psetu.com/?lang=hi"
+ * @param {string} theme
+ * @returns {string} - The URL with theme= set, keeping other parameters and the fragment
+ */
+export const withTheme = (url, theme) => {
+    const [beforeHash, ...hashParts] = String(url || '').split('#');
+    const [path, query = ''] = beforeHash.split('?');
+    const params = new URLSearchParams(query);
+    params.set(THEME_QUERY_PARAM, normalizeTheme(theme));
+    
+    const hash = hashParts.length > 0 ? `#${hashParts.join('#')}` : '';
+    return `${path}?${params.toString()}${hash}`;
+};
+
+export default {
+    THEMES,
+    DEFAULT_THEME,
+    THEME_STORAGE_KEY,
+    THEME_QUERY_PARAM,
+    normalizeTheme,
+    getThemeFromQuery,
+    getSystemTheme,
+    getInitialTheme,
+    saveTheme,
+    applyTheme,
+    withTheme
+};
@@ -0,0 +1,41 @@
+/**
+ * Design Tokens
+ * For PRATIYOGITA SETU - Pariksha Setu, Pariksha Marg and Pariksha Yogya
+ *
+ * The colours every site shares, for each theme. ThemeProvider writes them to
+ * <html> as CSS variables (primary → --color-primary, cardBg → --color-card-bg),
+ * so stylesheets use var(--color-background) and so on; Pariksha Yogya also
+ * builds its Material UI theme from them.
+ */
+
+export const THEME_TOKENS = {
+    light: {
+        primary: '#4F46E5',
+        background: '#ffffff',
+        text: '#1a202c',
+        textMuted: '#4b5563',
+        border: '#e5e7eb',
+        cardBg: '#ffffff',
+        cardShadow: 'rgba(0, 0, 0, 0.05)'
+    },
+    dark: {
+        primary: '#818CF8',
+        background: '#1a202c',
+        text: '#e2e8f0',
+        textMuted: '#a0aec0',
+        border: '#4b5563',
+        cardBg: '#2d3748',
+        cardShadow: 'rgba(0, 0, 0, 0.2)'
+    }
+};
+
+/**
+ * CSS variable for a token: "cardBg" → "--color-card-bg"
+ * @param {string} token
+ * @returns {string}
+ */
+export const getTokenVariable = (token) => {
+    return `--color-${token.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`)}`;
+};
+
+export default THEME_TOKENS;
@@ -6,16 +6,21 @@ import InfinityImgScroll from "./Components/InfinityImgScroll/InfinityImgScroll.
 import TimelineDemo from "./Components/Feature/Featuresdata.jsx";
 import AboutUs from "./Pages/AboutUs";
 import ExplorePage from "./Pages/ExplorePage.jsx"; // Ensure path is correct
+import ExamPage from "./Pages/ExamPage.jsx";
 import Footer from "./Components/Footer/footer.jsx";
 import FAQS from "./Components/FAQS/faqs.jsx";
 import InfinityExams from "./Components/Infinityexams/infinityexams.jsx"; // Add thi import
 import ContactPage from "./Pages/ContactUs";
+import { LanguageProvider } from "@pariksha/i18n";
+import { ThemeProvider } from "@pariksha/theme";
 
 function App() {
   return (
+    <ThemeProvider>
+    <LanguageProvider>
     <Router>
       <Navbar />
-      <div className="bg-gray-100 min-h-screen">
+      <div className="bg-gray-100 dark:bg-gray-900 min-h-screen">
         <Routes>
           <Route
             path="/"
@@ -32,6 +37,7 @@ function App() {
           />
           <Route path="/about" element={<AboutUs />} />
           <Route path="/explore" element={<ExplorePage />} />
+          <Route path="/exam/:id" element={<ExamPage />} />
           <Route path="/contact" element={<ContactPage />} />
         </Routes>
       </div>
@@ -40,6 +46,8 @@ function App() {
       </div>
       <Footer />
     </Router>
+    </LanguageProvider>
+    </ThemeProvider>
   );
 }
 
@@ -1,5 +1,7 @@
 import { useState, useEffect } from "react";
 import { Menu, X, ChevronDown } from "lucide-react";
+import { useLanguage, LanguageToggle } from "@pariksha/i18n";
+import { useTheme, ThemeToggle } from "@pariksha/theme";
 // Remove this import
 // import { Link } from "react-router-dom";
 
@@ -7,6 +9,8 @@ const Navbar = () => {
   const [isOpen, setIsOpen] = useState(false);
   const [isDropdownOpen, setIsDropdownOpen] = useState(false);
   const [isScrolled, setIsScrolled] = useState(false);
+  const { t, withLanguage } = useLanguage();
+  const { withTheme } = useTheme();
 
   // Add scroll event listener for blur effect
   useEffect(() => {
@@ -25,7 +29,7 @@ const Navbar = () => {
   return (
     <div className="fixed top-0 left-0 w-full z-50 px-4 md:px-0">
       <nav className={`container mx-auto mt-2 mb-2 shadow-lg `}>
-        <div className="bg-white shadow-md border border-[#b3a5a5] rounded-lg">
+        <div className="bg-white dark:bg-gray-900 shadow-md border border-[#b3a5a5] dark:border-gray-700 rounded-lg">
           <div className="max-w-7xl mx-auto px-4 sm:px-2 lg:px-4">
             <div className="flex justify-between h-16">
               {/* Logo and Brand Name - Smaller on mobile */}
@@ -36,35 +40,35 @@ const Navbar = () => {
                 <img
                   src="./logos/pm_name.svg"
                   alt=""
-                  className="ml-2 h-4 md:h-5"
+                  className="ml-2 h-4 md:h-5 dark:brightness-0 dark:invert"
                 />
               </div>
 
               {/* Desktop Menu */}
               <div className="hidden md:flex space-x-6 items-center">
-                <a href="/" className="text-gray-700 hover:text-blue-500 ">
-                  Home
+                <a href="/" className="text-gray-700 dark:text-gray-200 hover:text-blue-500 ">
+                  {t("nav.home")}
                 </a>
-                <a href="/about" className="text-gray-700 hover:text-blue-500">
-                  About Us
+                <a href="/about" className="text-gray-700 dark:text-gray-200 hover:text-blue-500">
+                  {t("nav.aboutUs")}
                 </a>
-                <a href="#" className="text-gray-700 hover:text-blue-500">
-                  Contribution
+                <a href="#" className="text-gray-700 dark:text-gray-200 hover:text-blue-500">
+                  {t("nav.contribution")}
                 </a>
                 <a
                   href="/contact"
-                  className="text-gray-700 hover:text-blue-500"
+                  className="text-gray-700 dark:text-gray-200 hover:text-blue-500"
                 >
-                  Contact Us
+                  {t("nav.contactUs")}
                 </a>
 
                 {/* Features Dropdown with Animation */}
                 <div className="relative">
                   <button
                     onClick={() => setIsDropdownOpen(!isDropdownOpen)}
-                    className="flex items-center text-gray-700 hover:text-blue-500 focus:outline-none"
+                    className="flex items-center text-gray-700 dark:text-gray-200 hover:text-blue-500 focus:outline-none"
                   >
-                    Features
+                    {t("nav.features")}
                     <ChevronDown
                       className={`ml-1 w-4 h-4 transition-transform duration-300 ${
                         isDropdownOpen ? "rotate-180" : "rotate-0"
@@ -74,7 +78,7 @@ const Navbar = () => {
 
                   {/* Dropdown Items with Animation */}
                   <div
-                    className={`absolute left-0 mt-2 w-48 bg-white shadow-lg rounded-lg z-50 transition-all duration-300 transform origin-top 
+                    className={`absolute left-0 mt-2 w-48 bg-white dark:bg-gray-800 shadow-lg rounded-lg z-50 transition-all duration-300 transform origin-top 
                       ${
                         isDropdownOpen
                           ? "opacity-100 scale-y-100"
@@ -82,22 +86,22 @@ const Navbar = () => {
                       }`}
                   >
                     <a
-                      href="http://yogya.psetu.com/"
-                      className="block px-4 py-2 text-gray-700 hover:bg-gray-100"
+                      href={withTheme(withLanguage("http://yogya.psetu.com/"))}
+                      className="block px-4 py-2 text-gray-700 dark:text-gray-200 hover:bg-gray-100 dark:hover:bg-gray-800"
                     >
-                      PARIKSHA YOGYA
+                      {t("nav.parikshaYogya").toUpperCase()}
                     </a>
                     <a
                       href="/"
-                      className="block px-4 py-2 text-gray-700 hover:bg-gray-100"
+                      className="block px-4 py-2 text-gray-700 dark:text-gray-200 hover:bg-gray-100 dark:hover:bg-gray-800"
                     >
-                      PARIKSHA MARG
+                      {t("nav.parikshaMarg").toUpperCase()}
                     </a>
                     <a
                       href="#"
-                      className="block px-4 py-2 text-gray-700 hover:bg-gray-100"
+                      className="block px-4 py-2 text-gray-700 dark:text-gray-200 hover:bg-gray-100 dark:hover:bg-gray-800"
                     >
-                      PARIKSHA GYAN
+                      {t("nav.parikshaGyan").toUpperCase()}
                     </a>
                   </div>
                 </div>
@@ -108,19 +112,32 @@ const Navbar = () => {
                   placeholder="Search in site"
                   className="border px-2 py-1 rounded-md text-sm"
                 />
-                <a href="/login" className="text-gray-700 hover:text-blue-500">
+                <a href="/login" className="text-gray-700 dark:text-gray-200 hover:text-blue-500">
                   Log In
                 </a>
                 <button className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700">
                   Try for Free
                 </button> */}
+
+                <LanguageToggle className="text-sm font-medium text-gray-700 dark:text-gray-200 hover:text-blue-500 border border-gray-300 dark:border-gray-600 rounded-full px-2 py-0.5 focus:outline-none" />
+                <ThemeToggle
+                  className="text-gray-700 dark:text-gray-200 hover:text-blue-500 border border-gray-300 dark:border-gray-600 rounded-full p-1 focus:outline-none"
+                  lightLabel={t("nav.switchToLight")}
+                  darkLabel={t("nav.switchToDark")}
+                />
               </div>
 
               {/* Mobile Menu Button */}
-              <div className="md:hidden flex items-center">
+              <div className="md:hidden flex items-center gap-2">
+                <LanguageToggle className="text-sm font-medium text-gray-700 dark:text-gray-200 border border-gray-300 dark:border-gray-600 rounded-full px-2 py-0.5" />
+                <ThemeToggle
+                  className="text-gray-700 dark:text-gray-200 border border-gray-300 dark:border-gray-600 rounded-full p-1"
+                  lightLabel={t("nav.switchToLight")}
+                  darkLabel={t("nav.switchToDark")}
+                />
                 <button
                   onClick={() => setIsOpen(!isOpen)}
-                  className="text-gray-700"
+                  className="text-gray-700 dark:text-gray-200"
                 >
                   {isOpen ? <X size={28} /> : <Menu size={28} />}
                 </button>
@@ -130,7 +147,7 @@ const Navbar = () => {
 
           {/* Mobile Menu with Smooth Animation and Proper Margins */}
           <div
-            className={`md:hidden bg-white border-t absolute left-4 right-4 shadow-md rounded-b-lg overflow-hidden transition-all duration-300 ease-in-out ${
+            className={`md:hidden bg-white dark:bg-gray-900 border-t dark:border-gray-700 absolute left-4 right-4 shadow-md rounded-b-lg overflow-hidden transition-all duration-300 ease-in-out ${
               isOpen
                 ? "max-h-[500px] opacity-100"
                 : "max-h-0 opacity-0 pointer-events-none"
@@ -139,36 +156,36 @@ const Navbar = () => {
             <div className="py-2 animate-fadeIn">
               <a
                 href="/"
-                className="block px-4 py-2 text-gray-700 hover:bg-gray-100 text-center"
+                className="block px-4 py-2 text-gray-700 dark:text-gray-200 hover:bg-gray-100 dark:hover:bg-gray-800 text-center"
               >
-                Home
+                {t("nav.home")}
               </a>
               <a
                 href="/about"
-                className="block px-4 py-2 text-gray-700 hover:bg-gray-100 text-center"
+                className="block px-4 py-2 text-gray-700 dark:text-gray-200 hover:bg-gray-100 dark:hover:bg-gray-800 text-center"
               >
-                About Us
+                {t("nav.aboutUs")}
               </a>
               <a
                 href="#"
-                className="block px-4 py-2 text-gray-700 hover:bg-gray-100 text-center"
+                className="block px-4 py-2 text-gray-700 dark:text-gray-200 hover:bg-gray-100 dark:hover:bg-gray-800 text-center"
               >
-                Contribution
+                {t("nav.contribution")}
               </a>
               <a
                 href="/contact"
-                className="block px-4 py-2 text-gray-700 hover:bg-gray-100 text-center"
+                className="block px-4 py-2 text-gray-700 dark:text-gray-200 hover:bg-gray-100 dark:hover:bg-gray-800 text-center"
               >
-                Contact Us
+                {t("nav.contactUs")}
               </a>
 
               {/* Features Dropdown in Mobile with Improved Animation */}
               <div className="px-4 py-1">
                 <button
                   onClick={() => setIsDropdownOpen(!isDropdownOpen)}
-                  className="w-full text-center py-2 flex items-center justify-center text-gray-700 hover:text-blue-500 focus:outline-none"
+                  className="w-full text-center py-2 flex items-center justify-center text-gray-700 dark:text-gray-200 hover:text-blue-500 focus:outline-none"
                 >
-                  Features
+                  {t("nav.features")}
                   <ChevronDown
                     className={`ml-1 w-4 h-4 transition-transform duration-300 ${
                       isDropdownOpen ? "rotate-180" : "rotate-0"
@@ -176,29 +193,29 @@ const Navbar = () => {
                   />
                 </button>
                 <div
-                  className={`mt-1 bg-gray-50 rounded-lg overflow-hidden transition-all duration-300 ease-in-out ${
+                  className={`mt-1 bg-gray-50 dark:bg-gray-800 rounded-lg overflow-hidden transition-all duration-300 ease-in-out ${
                     isDropdownOpen
                       ? "max-h-[200px] opacity-100"
                       : "max-h-0 opacity-0"
                   }`}
                 >
                   <a
-                    href="http://yogya.psetu.com/"
-                    className="block px-4 py-2 text-gray-700 hover:bg-gray-100 text-center"
+                    href={withTheme(withLanguage("http://yogya.psetu.com/"))}
+                    className="block px-4 py-2 text-gray-700 dark:text-gray-200 hover:bg-gray-100 dark:hover:bg-gray-800 text-center"
                   >
-                    PARIKSHA YOGYA
+                    {t("nav.parikshaYogya").toUpperCase()}
                   </a>
                   <a
                     href="/"
-                    className="block px-4 py-2 text-gray-700 hover:bg-gray-100 text-center"
+                    className="block px-4 py-2 text-gray-700 dark:text-gray-200 hover:bg-gray-100 dark:hover:bg-gray-800 text-center"
                   >
-                    PARIKSHA MARG
+                    {t("nav.parikshaMarg").toUpperCase()}
                   </a>
                   <a
                     href="#"
-                    className="block px-4 py-2 text-gray-700 hover:bg-gray-100 text-center"
+                    className="block px-4 py-2 text-gray-700 dark:text-gray-200 hover:bg-gray-100 dark:hover:bg-gray-800 text-center"
                   >
-                    PARIKSHA GYAN
+                    {t("nav.parikshaGyan").toUpperCase()}
                   </a>
                 </div>
               </div>
@@ -214,7 +231,7 @@ const Navbar = () => {
 
               <a
                 href="/login"
-                className="block px-4 py-2 text-gray-700 hover:bg-gray-100 text-center mt-1"
+                className="block px-4 py-2 text-gray-700 dark:text-gray-200 hover:bg-gray-100 dark:hover:bg-gray-800 text-center mt-1"
               >
                 Log In
               </a> */}
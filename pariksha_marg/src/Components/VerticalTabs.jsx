@@ -1,85 +1,42 @@
-import React, { useState, useMemo } from "react";
+import React, { useState, useMemo, useEffect } from "react";
+import { Link } from "react-router-dom";
+import {
+  SEARCH_FACETS,
+  getCatalogue,
+  getBasicExamSearchIndex,
+  loadExamSearchIndex,
+  searchExams,
+  getFacetCounts,
+} from "@pariksha/exam-catalogue";
+import { useLanguage } from "@pariksha/i18n";
 
-const examData = {
-  "SSC Exams": [
-    "SSC GD Constable", "SSC CGL", "SSC CHSL", "SSC CPO", "SSC MTS", 
-    "Delhi Police Constable", "SSC Stenographer", "SSC JE CE", "SSC JE EE"
-  ],
-  "Banking Exams": [
-    "SBI Clerk", "SBI PO", "IBPS PO", "IBPS Clerk", "RRB Office Assistant", 
-    "RRB Officer Scale -I", "IDBI Executive", "RBI Grade B", "EPFO SSA"
-  ],
-  "Civil services Exams": [
-    "UPSC Civil Services", "BPSC Exam", "UPPSC", "MPPSC", "RPSC RAS", 
-    "UPSC CAPF AC", "MPSC State Service", "UPPSC RO ARO", "UPSC EPFO"
-  ],
-  "Railway Exams": [
-    "RRB Group D", "RRB NTPC", "RPF Constable", "RRB ALP", "RRB Technician", 
-    "RPF SI", "RRB JE", "RRB Ministerial and Isolated Categories"
-  ],
-  "Defence Exams": [
-    "CDS", "NDA", "AFCAT", "Airforce Group X", "Airforce Group Y", "Indian Army Agniveer",
-    "BSF Head Constable", "CISF Constable", "ITBP Constable", "Territorial Army"
-  ],
-  "Insurances Exams": [
-    "LIC AAO", "LIC ADO", "LIC HFL", "NICL AO", "UIIC Assistant", 
-    "Oriental Insurance", "NIACL Assistant", "NIACL AO", "GIC Assistant"
-  ],
-  "Nursing Exams": [
-    "NEET Nursing", "AIIMS Nursing", "JIPMER Nursing", "RUHS Nursing", "PGIMER Nursing", 
-    "DSSSB Staff Nurse", "UP Staff Nurse", "ESIC Staff Nurse", "RRB Staff Nurse"
-  ],
-  "PG Exams": [
-    "UGC NET", "GATE", "CSIR NET", "JEST", "JGEEBILS", "TIFR", "NBHM", "IISc", "ICAR"
-  ],
-  "Campus Placement Exams": [
-    "TCS NQT", "Infosys Certification", "Wipro NLTH", "Capgemini Tech", "Cognizant GenC", 
-    "Accenture Assessment", "HCL TechBee", "IBM Cognitive", "Tech Mahindra SEED"
-  ],
-  "MBA Exams": [
-    "CAT", "XAT", "MAT", "CMAT", "NMAT", "SNAP", "IIFT", "TISSNET", "GMAT"
-  ],
-  "Accounting and Commerce Exams": [
-    "CA Foundation", "CA Intermediate", "CA Final", "CMA Foundation", "CMA Intermediate", 
-    "CS Foundation", "CS Executive", "CFA", "FRM"
-  ],
-  "Judiciary Exams": [
-    "Judicial Services", "APO", "Delhi Judicial Services", "UP Judicial Services", "MP Judicial Services", 
-    "Bihar Judicial Services", "Rajasthan Judicial Services", "Gujarat Judicial Services", "Maharashtra Judicial Services"
-  ],
-  "CUET and UG Entrance Exams": [
-    "CUET", "JEE Main", "JEE Advanced", "NEET UG", "CLAT", "AILET", "IPU CET", "AMU", "BHU"
-  ],
-  "Police Exams": [
-    "Police Constable", "Police SI", "Police Inspector", "UPPRPB", "TNUSRB", "MPPRB", 
-    "HSSC Police", "AP Police", "Telangana Police"
-  ],
-  "Regulatory Body Exams": [
-    "SEBI Grade A", "SEBI Grade B", "NABARD Grade A", "NABARD Grade B", "IRDAI AO", 
-    "PFRDA", "SIDBI Grade A", "IFSCA", "EXIM Bank"
-  ],
-  "Other Govt. Exams": [
-    "UPSC CAPF", "UPSC IES", "UPSC CMS", "UPSC NDA", "Intelligence Bureau", "ACIO", 
-    "UPSC CDS", "UPSC SCRA", "UPSC Geo-Scientist"
-  ],
-  "School Exams": [
-    "CBSE 10th", "CBSE 12th", "ICSE 10th", "ISC 12th", "State Board 10th", 
-    "State Board 12th", "NIOS", "IB Diploma", "Cambridge IGCSE"
-  ],
-  "Teaching Exams": [
-    "CTET", "STET", "UPTET", "KVS", "NVS", "DSSSB Teacher", "SUPER TET", "B.Ed Entrance", "M.Ed Entrance"
-  ],
-  "Engineering Recruiting Exams": [
-    "ISRO", "DRDO", "BARC", "SAIL", "BHEL", "IOCL", "ONGC", "NTPC", "GAIL"
-  ],
-  "State Government Exams": [
-    "UPPSC", "BPSC", "MPPSC", "RPSC", "WBPSC", "TNPSC", "KPSC", "APPSC", "TSPSC"
-  ]
-};
+// Same exams, codes and categories as the eligibility checker on Pariksha Yogya
+const catalogue = getCatalogue();
 
 function VerticalTabs() {
-  const [selectedCategory, setSelectedCategory] = useState("SSC Exams");
+  const [selectedCategory, setSelectedCategory] = useState(catalogue[0].category);
   const [searchQuery, setSearchQuery] = useState("");
+  const [filters, setFilters] = useState({});
+  const { t, formatNumber } = useLanguage();
+  // Names and codes right away; details, posts and facets once the user starts
+  // searching (the full index fetches every linked exam JSON)
+  const [searchIndex, setSearchIndex] = useState(getBasicExamSearchIndex);
+  const [fullSearchIndexWanted, setFullSearchIndexWanted] = useState(false);
+
+  useEffect(() => {
+    if (!fullSearchIndexWanted) return undefined;
+    let cancelled = false;
+    loadExamSearchIndex()
+      .then((index) => {
+        if (!cancelled) setSearchIndex(index);
+      })
+      .catch((error) => console.error("Failed to build the exam search index:", error));
+    return () => {
+      cancelled = true;
+    };
+  }, [fullSearchIndexWanted]);
+
+  const startSearch = () => setFullSearchIndexWanted(true);
 
   // Function to chunk array into groups of 4
   const chunkArray = (array, size) => {
@@ -88,61 +45,90 @@ function VerticalTabs() {
     );
   };
 
+  const isSearching = Boolean(searchQuery.trim()) || Object.values(filters).some(Boolean);
+
   // Search functionality
   const searchResults = useMemo(() => {
-    if (!searchQuery.trim()) return null;
-    
-    const results = [];
-    const lowerQuery = searchQuery.toLowerCase();
-    
-    Object.entries(examData).forEach(([category, exams]) => {
-      exams.forEach(exam => {
-        if (exam.toLowerCase().includes(lowerQuery)) {
-          results.push(exam);
-        }
-      });
-    });
-    
-    return results;
-  }, [searchQuery]);
+    if (!isSearching) return null;
+    return searchExams(searchIndex, searchQuery, filters).map(({ exam }) => exam);
+  }, [searchIndex, searchQuery, filters, isSearching]);
+
+  const facetCounts = useMemo(
+    () => getFacetCounts(searchIndex, searchQuery, filters),
+    [searchIndex, searchQuery, filters]
+  );
+
+  const clearSearch = () => {
+    setSearchQuery("");
+    setFilters({});
+  };
+
+  const selectedGroup = catalogue.find(
+    (group) => group.category === selectedCategory
+  );
 
   // Group exams into rows of 4 - either search results or selected category
-  const examRows = chunkArray(searchResults || examData[selectedCategory], 4);
+  const examRows = chunkArray(searchResults || selectedGroup.exams, 4);
 
   return (
     <div className="flex flex-col w-full">
-      {/* Search bar */}
-      <div className="self-end mb-2 max-w-5xl w-full flex justify-end">
+      {/* Search bar and facet filters */}
+      <div className="self-center mb-2 max-w-5xl w-full flex flex-col md:flex-row md:items-center gap-2">
+        <div className="flex flex-wrap gap-1.5 md:flex-1">
+          {SEARCH_FACETS.map(({ key, label }) => (
+            <select
+              key={key}
+              aria-label={t(`facets.${key}`, { defaultValue: label })}
+              className="border dark:border-gray-600 dark:bg-gray-800 rounded-lg px-2 py-1.5 text-xs focus:outline-none focus:ring-2 focus:ring-blue-500"
+              value={filters[key] || ""}
+              onFocus={startSearch}
+              onChange={(e) => setFilters((prev) => ({ ...prev, [key]: e.target.value }))}
+            >
+              <option value="">{t("examSearch.anyFacet", { facet: t(`facets.${key}`, { defaultValue: label }) })}</option>
+              {facetCounts[key].map(({ value, count }) => (
+                <option key={value} value={value}>
+                  {value} ({formatNumber(count)})
+                </option>
+              ))}
+              {filters[key] && !facetCounts[key].some(({ value }) => value === filters[key]) && (
+                <option value={filters[key]}>{filters[key]} ({formatNumber(0)})</option>
+              )}
+            </select>
+          ))}
+        </div>
         <div className="w-full md:w-1/3">
           <input
             type="text"
-            placeholder="Search exams..."
-            className="w-full border rounded-lg px-3 py-1.5 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+            placeholder={t("examSearch.shortPlaceholder")}
+            className="w-full border dark:border-gray-600 dark:bg-gray-800 rounded-lg px-3 py-1.5 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
             value={searchQuery}
-            onChange={(e) => setSearchQuery(e.target.value)}
+            onChange={(e) => {
+              startSearch();
+              setSearchQuery(e.target.value);
+            }}
           />
         </div>
       </div>
       
       <div className="flex justify-center w-full">
-        <div className="flex flex-col md:flex-row max-w-5xl w-full border rounded-lg shadow-sm">
+        <div className="flex flex-col md:flex-row max-w-5xl w-full border dark:border-gray-700 rounded-lg shadow-sm">
           
 
 
           {/* Left side - Categories */}
-          <div className="w-full md:w-1/4 border-r">
-            {Object.keys(examData).map((category) => (
+          <div className="w-full md:w-1/4 border-r dark:border-gray-700">
+            {catalogue.map(({ category, label, exams }) => (
               <div 
                 key={category}
-                className={`py-1.5 px-2.5 cursor-pointer text-xs transition-colors hover:bg-gray-100 ${
-                  selectedCategory === category && !searchQuery ? "bg-blue-100 border-l-3 border-l-blue-500 font-medium" : ""
+                className={`py-1.5 px-2.5 cursor-pointer text-xs transition-colors hover:bg-gray-100 dark:hover:bg-gray-800 ${
+                  selectedCategory === category && !isSearching ? "bg-blue-100 dark:bg-blue-900/40 border-l-3 border-l-blue-500 font-medium" : ""
                 }`}
                 onClick={() => {
                   setSelectedCategory(category);
-                  setSearchQuery("");
+                  clearSearch();
                 }}
               >
-                {category}
+                {label} ({formatNumber(exams.length)})
               </div>
             ))}
           </div>
@@ -150,22 +136,49 @@ function VerticalTabs() {
           {/* Right side - Exams in 4 columns */}
           <div className="w-full md:w-3/4 p-2">
             <h2 className="text-base font-semibold mb-1.5">
-              {searchQuery ? `Search Results for "${searchQuery}"` : selectedCategory}
+              {!isSearching
+                ? selectedGroup.label
+                : searchQuery.trim()
+                ? t("examSearch.resultsFor", { query: searchQuery })
+                : t("examSearch.filteredExams")}
             </h2>
+            {Object.values(filters).some(Boolean) && (
+              <p className="text-[11px] text-gray-500 dark:text-gray-400 mb-1.5">
+                {t("examSearch.filtersNote")}
+              </p>
+            )}
             {searchResults && searchResults.length === 0 ? (
-              <p className="text-sm text-gray-500">No exams found matching your search.</p>
+              <p className="text-sm text-gray-500 dark:text-gray-400">{t("examSearch.noResults")}</p>
             ) : (
               <div className="w-full">
                 {examRows.map((row, rowIndex) => (
                   <div key={rowIndex} className="flex flex-wrap mb-1">
-                    {row.map((exam, colIndex) => (
+                    {row.map((exam) => (
                       <div 
-                        key={colIndex} 
+                        key={exam.examId} 
                         className="w-full sm:w-1/4 p-0.5"
                       >
-                        <div className="border rounded-md p-1.5 hover:bg-gray-50 cursor-pointer hover:shadow-sm transition-all text-xs">
-                          {exam}
-                        </div>
+                        {exam.linked ? (
+                          <Link
+                            to={`/exam/${encodeURIComponent(exam.examId)}`}
+                            title={t("examPage.detailsTitle", { exam: exam.examName })}
+                            className="block border border-blue-300 dark:border-blue-700 rounded-md p-1.5 hover:bg-blue-50 dark:hover:bg-blue-900/30 hover:shadow-sm transition-all text-xs"
+                          >
+                            <span className="block">{exam.examName}</span>
+                            <span className="block text-[10px] text-blue-600 dark:text-blue-400">
+                              {exam.examCode} · {t("examPage.detailsAndEligibility")}
+                            </span>
+                          </Link>
+                        ) : (
+                          <div className="border dark:border-gray-700 rounded-md p-1.5 text-xs">
+                            <span className="block">{exam.examName}</span>
+                            {exam.examCode && (
+                              <span className="block text-[10px] text-gray-500 dark:text-gray-400">
+                                {exam.examCode}
+                              </span>
+                            )}
+                          </div>
+                        )}
                       </div>
                     ))}
                     {/* Fill empty cells if row has less than 4 items */}
@@ -0,0 +1,204 @@
+import React, { useEffect, useState } from "react";
+import { Link, useParams } from "react-router-dom";
+import {
+  buildExamProfile,
+  formatCategoryName,
+  getCatalogueExam,
+  getEligibilityCheckUrl,
+  loadCatalogueExamData,
+} from "@pariksha/exam-catalogue";
+import { useLanguage } from "@pariksha/i18n";
+import { useTheme } from "@pariksha/theme";
+
+const EDUCATION_ROW_PREFIX = "education_levels.";
+
+// Row label in the chosen language; education rows are keyed education_levels.<level>
+function getRowLabel(row, t) {
+  if (row.key.startsWith(EDUCATION_ROW_PREFIX)) {
+    return t(`educationLevels.${row.key.slice(EDUCATION_ROW_PREFIX.length)}`, { defaultValue: row.label });
+  }
+  return t(`examFields.${row.key}`, { defaultValue: row.label });
+}
+
+// Two-column table of label / value rows
+function DetailTable({ rows }) {
+  const { t } = useLanguage();
+
+  return (
+    <table className="w-full text-sm border-collapse">
+      <tbody>
+        {rows.map((row) => (
+          <tr key={row.key} className="border-b dark:border-gray-700 last:border-b-0">
+            <th className="w-1/3 text-left font-medium text-gray-600 dark:text-gray-300 align-top py-1.5 pr-3">
+              {getRowLabel(row, t)}
+            </th>
+            <td className="py-1.5">{row.value}</td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+}
+
+// Eligibility rules, one row per rule; nested lines are indented
+function RuleTable({ rows }) {
+  const { t } = useLanguage();
+
+  return (
+    <table className="w-full text-sm border-collapse">
+      <thead>
+        <tr className="bg-gray-50 dark:bg-gray-900 border-b dark:border-gray-700">
+          <th className="w-1/3 text-left font-semibold py-1.5 px-2">{t("examPage.rule")}</th>
+          <th className="text-left font-semibold py-1.5 px-2">{t("examPage.requirement")}</th>
+        </tr>
+      </thead>
+      <tbody>
+        {rows.map((row) => (
+          <tr key={row.key} className="border-b dark:border-gray-700 last:border-b-0">
+            <th className="text-left font-medium text-gray-600 dark:text-gray-300 align-top py-1.5 px-2">
+              {getRowLabel(row, t)}
+            </th>
+            <td className="py-1.5 px-2">
+              {row.lines.map((line, index) => (
+                <div
+                  key={index}
+                  className={line.startsWith("  ") ? "pl-4 text-gray-700 dark:text-gray-300" : ""}
+                >
+                  {line.trim()}
+                </div>
+              ))}
+            </td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+}
+
+function ExamPage() {
+  const { id } = useParams();
+  const exam = getCatalogueExam(id);
+  const { t, withLanguage } = useLanguage();
+  const { withTheme } = useTheme();
+  const [examData, setExamData] = useState(null);
+  const [status, setStatus] = useState("loading");
+
+  useEffect(() => {
+    if (!exam || !exam.linked) {
+      setStatus("missing");
+      return;
+    }
+
+    let cancelled = false;
+    setStatus("loading");
+    loadCatalogueExamData(exam.examId)
+      .then((data) => {
+        if (cancelled) return;
+        setExamData(data);
+        setStatus(data ? "ready" : "missing");
+      })
+      .catch((error) => {
+        console.error(`Failed to load exam ${exam.examId}:`, error);
+        if (!cancelled) setStatus("error");
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [exam]);
+
+  if (!exam) {
+    return (
+      <div className="w-full min-h-screen p-4 mt-18">
+        <h1 className="text-2xl font-bold mb-2">{t("examPage.notFound")}</h1>
+        <p className="text-gray-600 dark:text-gray-300 mb-4">
+          {t("examPage.notFoundText", { id })}
+        </p>
+        <Link to="/explore" className="text-blue-600 dark:text-blue-400 hover:underline">
+          {t("examPage.backToExplore")}
+        </Link>
+      </div>
+    );
+  }
+
+  const profile = status === "ready" ? buildExamProfile(examData) : null;
+
+  return (
+    <div className="w-full min-h-screen p-4 mt-18">
+      <div className="max-w-5xl mx-auto">
+        <Link to="/explore" className="text-sm text-blue-600 dark:text-blue-400 hover:underline">
+          {t("examPage.backToExplore")}
+        </Link>
+
+        {/* Header */}
+        <div className="flex flex-col md:flex-row md:items-end md:justify-between gap-3 mt-2 mb-4">
+          <div>
+            <h1 className="text-3xl font-bold">{exam.examName}</h1>
+            <p className="text-sm text-gray-600 dark:text-gray-300">
+              {exam.examCode && <span className="font-medium">{exam.examCode} · </span>}
+              {formatCategoryName(exam.category)}
+            </p>
+          </div>
+          {exam.linked && (
+            <a
+              href={withTheme(withLanguage(getEligibilityCheckUrl(exam.examId)))}
+              className="self-start md:self-auto bg-blue-600 hover:bg-blue-700 text-white font-semibold px-4 py-2 rounded-lg shadow-sm transition-colors"
+            >
+              {t("examPage.amIEligible")}
+            </a>
+          )}
+        </div>
+
+        {status === "loading" && (
+          <p className="text-gray-500 dark:text-gray-400">{t("examPage.loading")}</p>
+        )}
+        {status === "missing" && (
+          <p className="text-gray-600 dark:text-gray-300">{t("examPage.missing")}</p>
+        )}
+        {status === "error" && (
+          <p className="text-red-600 dark:text-red-400">{t("examPage.error")}</p>
+        )}
+
+        {profile && (
+          <>
+            {/* Exam profile */}
+            <section className="bg-white dark:bg-gray-800 border dark:border-gray-700 rounded-lg shadow-sm p-4 mb-4">
+              <h2 className="text-lg font-semibold mb-2">{t("examPage.profile")}</h2>
+              <DetailTable rows={profile.details} />
+            </section>
+
+            {/* Pattern and eligibility rules, per division */}
+            {profile.divisions.map((division) => (
+              <section
+                key={division.name || "exam"}
+                className="bg-white dark:bg-gray-800 border dark:border-gray-700 rounded-lg shadow-sm p-4 mb-4"
+              >
+                {division.name && (
+                  <h2 className="text-lg font-semibold mb-2">{division.name}</h2>
+                )}
+                {division.details.length > 0 && (
+                  <div className="mb-3">
+                    <h3 className="text-sm font-semibold text-gray-700 dark:text-gray-300 mb-1">
+                      {t("examPage.pattern")}
+                    </h3>
+                    <DetailTable rows={division.details} />
+                  </div>
+                )}
+                <h3 className="text-sm font-semibold text-gray-700 dark:text-gray-300 mb-1">
+                  {t("examPage.eligibilityRules")}
+                </h3>
+                {division.rules.length > 0 ? (
+                  <RuleTable rows={division.rules} />
+                ) : (
+                  <p className="text-sm text-gray-500 dark:text-gray-400">{t("examPage.noRules")}</p>
+                )}
+              </section>
+            ))}
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default ExamPage;
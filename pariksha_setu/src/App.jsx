@@ -4,12 +4,14 @@ import Navbar from "./Components/Navbar/navbar.jsx";
 import Footer from "./Components/Footer/footer.jsx";
 import HomePage from "./Pages/Home/HomePage.jsx";
 import AboutUs from "./Pages/About/AboutUs.jsx";
-import { ThemeProvider } from "./context/ThemeContext.jsx";
+import { ThemeProvider } from "@pariksha/theme";
+import { LanguageProvider } from "@pariksha/i18n";
 import "./App.css";
 
 function App() {
   return (
     <ThemeProvider>
+      <LanguageProvider>
       <Router>
         
           <Navbar />
@@ -94,6 +96,7 @@ function App() {
           <Footer />
         
       </Router>
+      </LanguageProvider>
     </ThemeProvider>
   );
 }
@@ -1,9 +1,11 @@
 import React from "react";
 import { Link } from "react-router-dom";
-import { useTheme } from "../../context/ThemeContext";
+import { useTheme } from "@pariksha/theme";
+import { useLanguage } from "@pariksha/i18n";
 
 const Footer = () => {
-  const { theme, language } = useTheme();
+  const { theme } = useTheme();
+  const { t, formatNumber } = useLanguage();
   const isDark = theme === "dark";
 
   const currentYear = new Date().getFullYear();
@@ -53,9 +55,7 @@ const Footer = () => {
                 isDark ? "text-gray-300" : "text-gray-600"
               } mb-4 md:mb-6`}
             >
-              {language === "en"
-                ? "Pariksha Setu is your ultimate companion for competitive exam preparation, offering innovative tools to help you navigate your educational journey with confidence."
-                : "परीक्षा सेतु प्रतियोगी परीक्षा की तैयारी के लिए आपका अंतिम साथी है, जो आपको अपनी शैक्षिक यात्रा को आत्मविश्वास के साथ नेविगेट करने में मदद करने के लिए अभिनव उपकरण प्रदान करता है।"}
+              {t("footer.tagline")}
             </p>
 
             {/* Social Media Icons */}
@@ -143,7 +143,7 @@ const Footer = () => {
                   isDark ? "text-white" : "text-gray-900"
                 } mb-2 md:mb-4`}
               >
-                {language === "en" ? "Quick Links" : "त्वरित लिंक"}
+                {t("footer.quickLinks")}
               </h3>
               <ul className="space-y-1 sm:space-y-2">
                 <li>
@@ -155,7 +155,7 @@ const Footer = () => {
                         : "text-gray-600 hover:text-indigo-600"
                     } transition-colors duration-300`}
                   >
-                    {language === "en" ? "Home" : "होम"}
+                    {t("nav.home")}
                   </Link>
                 </li>
                 <li>
@@ -167,7 +167,7 @@ const Footer = () => {
                         : "text-gray-600 hover:text-indigo-600"
                     } transition-colors duration-300`}
                   >
-                    {language === "en" ? "Pariksha Yoga" : "परीक्षा योग"}
+                    {t("nav.parikshaYogya")}
                   </Link>
                 </li>
                 <li>
@@ -179,7 +179,7 @@ const Footer = () => {
                         : "text-gray-600 hover:text-indigo-600"
                     } transition-colors duration-300`}
                   >
-                    {language === "en" ? "Pariksha Marg" : "परीक्षा मार्ग"}
+                    {t("nav.parikshaMarg")}
                   </Link>
                 </li>
                 <li>
@@ -191,7 +191,7 @@ const Footer = () => {
                         : "text-gray-600 hover:text-indigo-600"
                     } transition-colors duration-300`}
                   >
-                    {language === "en" ? "Pariksha Gyan" : "परीक्षा ज्ञान"}
+                    {t("nav.parikshaGyan")}
                   </Link>
                 </li>
               </ul>
@@ -204,7 +204,7 @@ const Footer = () => {
                   isDark ? "text-white" : "text-gray-900"
                 } mb-2`}
               >
-                {language === "en" ? "Company" : "कंपनी"}
+                {t("footer.company")}
               </h3>
               <ul className="space-y-1 sm:space-y-2">
                 <li>
@@ -216,7 +216,7 @@ const Footer = () => {
                         : "text-gray-600 hover:text-indigo-600"
                     } transition-colors duration-300`}
                   >
-                    {language === "en" ? "About Us" : "हमारे बारे में"}
+                    {t("nav.aboutUs")}
                   </Link>
                 </li>
                 <li>
@@ -228,7 +228,7 @@ const Footer = () => {
                         : "text-gray-600 hover:text-indigo-600"
                     } transition-colors duration-300`}
                   >
-                    {language === "en" ? "Contact" : "संपर्क"}
+                    {t("nav.contact")}
                   </Link>
                 </li>
                 <li>
@@ -240,7 +240,7 @@ const Footer = () => {
                         : "text-gray-600 hover:text-indigo-600"
                     } transition-colors duration-300`}
                   >
-                    {language === "en" ? "Privacy Policy" : "गोपनीयता नीति"}
+                    {t("footer.privacyPolicy")}
                   </Link>
                 </li>
                 <li>
@@ -252,7 +252,7 @@ const Footer = () => {
                         : "text-gray-600 hover:text-indigo-600"
                     } transition-colors duration-300`}
                   >
-                    {language === "en" ? "Terms of Service" : "सेवा की शर्तें"}
+                    {t("footer.termsOfService")}
                   </Link>
                 </li>
               </ul>
@@ -266,7 +266,7 @@ const Footer = () => {
                 isDark ? "text-white" : "text-gray-900"
               } mb-2 md:mb-4`}
             >
-              {language === "en" ? "Quick Links" : "त्वरित लिंक"}
+              {t("footer.quickLinks")}
             </h3>
             <ul className="space-y-1 sm:space-y-2">
               <li>
@@ -278,7 +278,7 @@ const Footer = () => {
                       : "text-gray-600 hover:text-indigo-600"
                   } transition-colors duration-300`}
                 >
-                  {language === "en" ? "Home" : "होम"}
+                  {t("nav.home")}
                 </Link>
               </li>
               <li>
@@ -290,7 +290,7 @@ const Footer = () => {
                       : "text-gray-600 hover:text-indigo-600"
                   } transition-colors duration-300`}
                 >
-                  {language === "en" ? "Pariksha Yoga" : "परीक्षा योग"}
+                  {t("nav.parikshaYogya")}
                 </Link>
               </li>
               <li>
@@ -302,7 +302,7 @@ const Footer = () => {
                       : "text-gray-600 hover:text-indigo-600"
                   } transition-colors duration-300`}
                 >
-                  {language === "en" ? "Pariksha Marg" : "परीक्षा मार्ग"}
+                  {t("nav.parikshaMarg")}
                 </Link>
               </li>
               <li>
@@ -314,7 +314,7 @@ const Footer = () => {
                       : "text-gray-600 hover:text-indigo-600"
                   } transition-colors duration-300`}
                 >
-                  {language === "en" ? "Pariksha Gyan" : "परीक्षा ज्ञान"}
+                  {t("nav.parikshaGyan")}
                 </Link>
               </li>
             </ul>
@@ -327,7 +327,7 @@ const Footer = () => {
                 isDark ? "text-white" : "text-gray-900"
               } mb-2`}
             >
-              {language === "en" ? "Company" : "कंपनी"}
+              {t("footer.company")}
             </h3>
             <ul className="space-y-1 sm:space-y-2">
               <li>
@@ -339,7 +339,7 @@ const Footer = () => {
                       : "text-gray-600 hover:text-indigo-600"
                   } transition-colors duration-300`}
                 >
-                  {language === "en" ? "About Us" : "हमारे बारे में"}
+                  {t("nav.aboutUs")}
                 </Link>
               </li>
               <li>
@@ -351,7 +351,7 @@ const Footer = () => {
                       : "text-gray-600 hover:text-indigo-600"
                   } transition-colors duration-300`}
                 >
-                  {language === "en" ? "Contact" : "संपर्क"}
+                  {t("nav.contact")}
                 </Link>
               </li>
               <li>
@@ -363,7 +363,7 @@ const Footer = () => {
                       : "text-gray-600 hover:text-indigo-600"
                   } transition-colors duration-300`}
                 >
-                  {language === "en" ? "Privacy Policy" : "गोपनीयता नीति"}
+                  {t("footer.privacyPolicy")}
                 </Link>
               </li>
               <li>
@@ -375,7 +375,7 @@ const Footer = () => {
                       : "text-gray-600 hover:text-indigo-600"
                   } transition-colors duration-300`}
                 >
-                  {language === "en" ? "Terms of Service" : "सेवा की शर्तें"}
+                  {t("footer.termsOfService")}
                 </Link>
               </li>
             </ul>
@@ -417,10 +417,8 @@ const Footer = () => {
         >
           <p>
             {" "}
-            {currentYear} Pariksha Setu.{" "}
-            {language === "en"
-              ? "All rights reserved."
-              : "सर्वाधिकार सुरक्षित।"}
+            {formatNumber(currentYear, { useGrouping: false })} Pariksha Setu.{" "}
+            {t("footer.allRightsReserved")}
           </p>
         </div>
       </div>
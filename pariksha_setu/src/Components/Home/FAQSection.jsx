@@ -1,6 +1,7 @@
 import React, { useState } from "react";
 import { motion, AnimatePresence } from "framer-motion";
-import { useTheme } from "../../context/ThemeContext";
+import { useTheme } from "@pariksha/theme";
+import { useLanguage } from "@pariksha/i18n";
 
 const FAQItem = ({ question, answer, isOpen, onClick }) => {
   const { theme } = useTheme();
@@ -60,7 +61,8 @@ const FAQItem = ({ question, answer, isOpen, onClick }) => {
 
 const FAQSection = () => {
   const [openIndex, setOpenIndex] = useState(null);
-  const { theme, language } = useTheme();
+  const { theme } = useTheme();
+  const { language, t } = useLanguage();
   const isDark = theme === "dark";
 
   const toggleFAQ = (index) => {
@@ -155,9 +157,7 @@ const FAQSection = () => {
               isDark ? "text-white" : "text-gray-900"
             }`}
           >
-            {language === "en"
-              ? "Frequently Asked Questions"
-              : "अक्सर पूछे जाने वाले प्रश्न"}
+            {t("faq.title")}
           </motion.h2>
           <motion.p
             initial={{ opacity: 0, y: 20 }}
@@ -168,9 +168,7 @@ const FAQSection = () => {
               isDark ? "text-gray-300" : "text-gray-600"
             }`}
           >
-            {language === "en"
-              ? "Have questions about Pariksha Setu? Find quick answers to common queries below."
-              : "परीक्षा सेतु के बारे में प्रश्न हैं? नीचे सामान्य प्रश्नों के त्वरित उत्तर प्राप्त करें।"}
+            {t("faq.subtitle")}
           </motion.p>
         </div>
 
@@ -204,9 +202,7 @@ const FAQSection = () => {
                 isDark ? "text-gray-300" : "text-gray-600"
               }`}
             >
-              {language === "en"
-                ? "Didn't find what you're looking for?"
-                : "जो आप ढूंढ रहे हैं वह नहीं मिला?"}
+              {t("faq.notFound")}
             </p>
             <a
               href="#contact"
@@ -216,7 +212,7 @@ const FAQSection = () => {
                   : "bg-indigo-600 text-white hover:bg-indigo-700"
               } transition-colors duration-300`}
             >
-              {language === "en" ? "Contact Us" : "हमसे संपर्क करें"}
+              {t("faq.contactUs")}
               <svg
                 className="ml-1 sm:ml-2 h-4 w-4 sm:h-5 sm:w-5"
                 xmlns="http://www.w3.org/2000/svg"
@@ -1,6 +1,6 @@
 import React, { useState } from "react";
 import { motion } from "framer-motion";
-import { useTheme } from "../../context/ThemeContext";
+import { useTheme } from "@pariksha/theme";
 
 const FeatureSection = () => {
   const { theme } = useTheme();
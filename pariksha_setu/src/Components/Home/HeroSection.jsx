@@ -1,6 +1,6 @@
 import React from "react";
 import { motion } from "framer-motion";
-import { useTheme } from "../../context/ThemeContext";
+import { useTheme } from "@pariksha/theme";
 
 const HeroSection = () => {
   const { theme } = useTheme();
@@ -1,15 +1,21 @@
 import React from "react";
 import { motion } from "framer-motion";
-import { useTheme } from "../../context/ThemeContext";
+import { useTheme } from "@pariksha/theme";
+import { getCatalogueStats } from "@pariksha/exam-catalogue";
+import { useLanguage } from "@pariksha/i18n";
+
+// Exams listed across the sites, from the shared exam catalogue
+const { examCount } = getCatalogueStats();
 
 const StatsSection = () => {
   const { theme } = useTheme();
+  const { t, formatNumber } = useLanguage();
   const isDark = theme === "dark";
 
   const stats = [
     {
-      number: "50,000+",
-      label: "Active Students",
+      number: `${formatNumber(50000)}+`,
+      label: t("stats.activeStudents"),
       icon: (
         <svg
           xmlns="http://www.w3.org/2000/svg"
@@ -28,8 +34,8 @@ const StatsSection = () => {
       ),
     },
     {
-      number: "1,000+",
-      label: "Exams Covered",
+      number: formatNumber(examCount),
+      label: t("stats.examsCovered"),
       icon: (
         <svg
           xmlns="http://www.w3.org/2000/svg"
@@ -48,8 +54,8 @@ const StatsSection = () => {
       ),
     },
     {
-      number: "250+",
-      label: "Success Stories",
+      number: `${formatNumber(250)}+`,
+      label: t("stats.successStories"),
       icon: (
         <svg
           xmlns="http://www.w3.org/2000/svg"
@@ -68,8 +74,8 @@ const StatsSection = () => {
       ),
     },
     {
-      number: "100%",
-      label: "Satisfaction Rate",
+      number: formatNumber(1, { style: "percent" }),
+      label: t("stats.satisfactionRate"),
       icon: (
         <svg
           xmlns="http://www.w3.org/2000/svg"
@@ -108,7 +114,7 @@ const StatsSection = () => {
             viewport={{ once: true }}
             transition={{ duration: 0.5 }}
           >
-            Trusted by Students Across India
+            {t("stats.title")}
           </motion.h2>
           <motion.p
             className={`text-lg ${isDark ? "text-gray-300" : "text-gray-600"}`}
@@ -117,8 +123,7 @@ const StatsSection = () => {
             viewport={{ once: true }}
             transition={{ duration: 0.5, delay: 0.2 }}
           >
-            Our platform has helped thousands of students achieve their academic
-            goals
+            {t("stats.subtitle")}
           </motion.p>
         </div>
 
@@ -1,13 +1,15 @@
 import React, { useState, useEffect } from "react";
 import { Link, useLocation } from "react-router-dom";
 import { motion, AnimatePresence } from "framer-motion";
-import { useTheme } from "../../context/ThemeContext";
+import { useTheme } from "@pariksha/theme";
+import { useLanguage } from "@pariksha/i18n";
 
 const Navbar = () => {
   const [isMenuOpen, setIsMenuOpen] = useState(false);
   const [scrolled, setScrolled] = useState(false);
   const location = useLocation();
-  const { theme, toggleTheme, language, toggleLanguage } = useTheme();
+  const { theme, toggleTheme, withTheme } = useTheme();
+  const { language, toggleLanguage, t, withLanguage } = useLanguage();
 
   // Handle scrolling effect
   useEffect(() => {
@@ -55,26 +57,26 @@ const Navbar = () => {
     return location.pathname === path;
   };
 
-  // Navigation links with language support
+  // Navigation links in the chosen language
   const navLinks = [
-    { path: "/", label: language === "en" ? "Home" : "होम" },
+    { path: "/", label: t("nav.home") },
     {
       path: "/pariksha-yogya",
-      label: language === "en" ? "Pariksha Yogya" : "परीक्षा योग",
+      label: t("nav.parikshaYogya"),
     },
     {
       path: "/pariksha-marg",
-      label: language === "en" ? "Pariksha Marg" : "परीक्षा मार्ग",
+      label: t("nav.parikshaMarg"),
     },
     {
       path: "/pariksha-gyan",
-      label: language === "en" ? "Pariksha Gyan" : "परीक्षा ज्ञान",
+      label: t("nav.parikshaGyan"),
     },
     {
       path: "/about",
-      label: language === "en" ? "About Us" : "हमारे बारे में",
+      label: t("nav.aboutUs"),
     },
-    { path: "/contact", label: language === "en" ? "Contact" : "संपर्क" },
+    { path: "/contact", label: t("nav.contact") },
   ];
 
   return (
@@ -132,7 +134,7 @@ const Navbar = () => {
                   isActiveLink("/") ? activeLinkClasses : ""
                 }`}
               >
-                {language === "en" ? "Home" : "होम"}
+                {t("nav.home")}
                 {isActiveLink("/") && (
                   <motion.span
                     layoutId="navIndicator"
@@ -145,12 +147,12 @@ const Navbar = () => {
 
               {/* Pariksha Yogya */}
               <a
-                href="https://yogya.psetu.com"
+                href={withTheme(withLanguage("https://yogya.psetu.com"))}
                 target="_blank"
                 rel="noopener noreferrer"
                 className={`${linkClasses}`}
               >
-                {language === "en" ? "Pariksha Yogya" : "परीक्षा योग"}
+                {t("nav.parikshaYogya")}
               </a>
               {/* <Link
                 to="/pariksha-yogya"
@@ -158,7 +160,7 @@ const Navbar = () => {
                   isActiveLink("/pariksha-yogya") ? activeLinkClasses : ""
                 }`}
               >
-                {language === "en" ? "Pariksha Yogya" : "परीक्षा योग"}
+                {t("nav.parikshaYogya")}
                 {isActiveLink("/pariksha-yogya") && (
                   <motion.span
                     layoutId="navIndicator"
@@ -171,12 +173,12 @@ const Navbar = () => {
 
               {/* Pariksha Marg */}
               <a
-                href="https://marg.psetu.com"
+                href={withTheme(withLanguage("https://marg.psetu.com"))}
                 target="_blank"
                 rel="noopener noreferrer"
                 className={`${linkClasses}`}
               >
-                {language === "en" ? "Pariksha Marg" : "परीक्षा मार्ग"}
+                {t("nav.parikshaMarg")}
               </a>
               {/* <Link
                 to="/pariksha-marg"
@@ -184,7 +186,7 @@ const Navbar = () => {
                   isActiveLink("/pariksha-marg") ? activeLinkClasses : ""
                 }`}
               >
-                {language === "en" ? "Pariksha Marg" : "परीक्षा मार्ग"}
+                {t("nav.parikshaMarg")}
                 {isActiveLink("/pariksha-marg") && (
                   <motion.span
                     layoutId="navIndicator"
@@ -202,7 +204,7 @@ const Navbar = () => {
                   isActiveLink("/pariksha-gyan") ? activeLinkClasses : ""
                 }`}
               >
-                {language === "en" ? "Pariksha Gyan" : "परीक्षा ज्ञान"}
+                {t("nav.parikshaGyan")}
                 {isActiveLink("/pariksha-gyan") && (
                   <motion.span
                     layoutId="navIndicator"
@@ -220,7 +222,7 @@ const Navbar = () => {
                   isActiveLink("/about") ? activeLinkClasses : ""
                 }`}
               >
-                {language === "en" ? "About Us" : "हमारे बारे में"}
+                {t("nav.aboutUs")}
                 {isActiveLink("/about") && (
                   <motion.span
                     layoutId="navIndicator"
@@ -238,7 +240,7 @@ const Navbar = () => {
                   isActiveLink("/contact") ? activeLinkClasses : ""
                 }`}
               >
-                {language === "en" ? "Contact" : "संपर्क"}
+                {t("nav.contact")}
                 {isActiveLink("/contact") && (
                   <motion.span
                     layoutId="navIndicator"
@@ -263,9 +265,7 @@ const Navbar = () => {
               }`}
               whileTap={{ scale: 0.9 }}
               aria-label={
-                theme === "dark"
-                  ? "Switch to light mode"
-                  : "Switch to dark mode"
+                theme === "dark" ? t("nav.switchToLight") : t("nav.switchToDark")
               }
             >
               <motion.span
@@ -307,7 +307,7 @@ const Navbar = () => {
               </motion.span>
             </motion.button>
 
-            {/* Language Toggle - smaller button
+            {/* Language Toggle - smaller button */}
             <motion.button
               onClick={toggleLanguage}
               className={`px-2 py-1 rounded-full text-xs font-medium shadow-sm hover:bg-gray-50 transition-colors duration-300 focus:outline-none ${
@@ -316,9 +316,9 @@ const Navbar = () => {
                   : "bg-white border border-gray-200 text-gray-700 hover:bg-gray-50"
               }`}
               whileTap={{ scale: 0.95 }}
-              aria-label={
-                language === "en" ? "Switch to Hindi" : "Switch to English"
-              }
+              aria-label={t("language.switchTo", {
+                language: language === "en" ? "हिन्दी" : "English",
+              })}
             >
               {language === "en" ? "EN" : "हिं"}
               <span
@@ -328,7 +328,7 @@ const Navbar = () => {
               >
                 → {language === "en" ? "हिं" : "EN"}
               </span>
-            </motion.button> */}
+            </motion.button>
           </div>
 
           {/* Mobile Menu Button */}
@@ -343,9 +343,7 @@ const Navbar = () => {
               }`}
               whileTap={{ scale: 0.9 }}
               aria-label={
-                theme === "dark"
-                  ? "Switch to light mode"
-                  : "Switch to dark mode"
+                theme === "dark" ? t("nav.switchToLight") : t("nav.switchToDark")
               }
             >
               <motion.span
@@ -387,6 +385,22 @@ const Navbar = () => {
               </motion.span>
             </motion.button>
 
+            {/* Mobile Language Toggle */}
+            <motion.button
+              onClick={toggleLanguage}
+              className={`px-1.5 py-0.5 rounded-full text-xs font-medium shadow-sm focus:outline-none ${
+                theme === "dark"
+                  ? "bg-gray-800 border border-gray-700 text-gray-300"
+                  : "bg-white border border-gray-200 text-gray-700"
+              }`}
+              whileTap={{ scale: 0.95 }}
+              aria-label={t("language.switchTo", {
+                language: language === "en" ? "हिन्दी" : "English",
+              })}
+            >
+              {language === "en" ? "हिं" : "EN"}
+            </motion.button>
+
             <button
               onClick={() => setIsMenuOpen(!isMenuOpen)}
               className="inline-flex items-center justify-center p-1.5 rounded-md text-gray-700 dark:text-gray-300 hover:text-indigo-600 dark:hover:text-indigo-400 hover:bg-gray-100 dark:hover:bg-gray-800 focus:outline-none"
@@ -463,7 +477,7 @@ const Navbar = () => {
                     : "hover:text-indigo-400 hover:bg-gray-800"
                 }`}
               >
-                {language === "en" ? "Home" : "होम"}
+                {t("nav.home")}
               </Link>
 
               {/* Add the remaining menu items following the same pattern */}
@@ -479,7 +493,7 @@ const Navbar = () => {
                     : "hover:text-indigo-400 hover:bg-gray-800"
                 }`}
               >
-                {language === "en" ? "External" : "बाहरी"}
+                {t("nav.external")}
               </a>
             </div>
           </motion.div>
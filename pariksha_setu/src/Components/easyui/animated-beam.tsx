@@ -10,7 +10,7 @@ import React, {
   RefObject,
 } from "react";
 import { motion } from "framer-motion";
-import { useTheme } from "../../context/ThemeContext";
+import { useTheme } from "@pariksha/theme";
 
 // Utility function for class names
 const cn = (...classes: (string | undefined)[]) =>
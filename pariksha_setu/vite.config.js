@@ -1,12 +1,27 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 import tailwindcss from '@tailwindcss/vite'
+import { fileURLToPath, URL } from 'node:url'
 
 // https://vite.dev/config/
 export default defineConfig({
   plugins: [react(), tailwindcss()],
+  resolve: {
+    alias: {
+      // Packages shared by the three sites
+      '@pariksha/exam-catalogue': fileURLToPath(new URL('../packages/exam-catalogue', import.meta.url)),
+      '@pariksha/i18n': fileURLToPath(new URL('../packages/i18n', import.meta.url)),
+      '@pariksha/theme': fileURLToPath(new URL('../packages/theme', import.meta.url)),
+    },
+    // The shared packages have no node_modules; use this app's React
+    dedupe: ['react', 'react-dom'],
+  },
   server: {
     host: '0.0.0.0',  // Allows access from LAN
     port: 3000,       // Optional: Change the port if needed
+    // Serve the shared packages next to the app
+    fs: {
+      allow: ['..'],
+    },
   },
 })
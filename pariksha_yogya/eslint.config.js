@@ -30,4 +30,10 @@ export default [
       ],
     },
   },
+  {
+    files: ['scripts/**/*.js', 'server/**/*.js'],
+    languageOptions: {
+      globals: globals.node,
+    },
+  },
 ]
@@ -0,0 +1,42 @@
+/**
+ * Exam ID Migration (CLI)
+ *
+ * Adds a unique exam_id to every exam in examsdata/allexamnames.json that
+ * does not have one yet (see src/eligibility/examIds.js). Existing IDs are
+ * kept, so the script is safe to run again after adding exams.
+ *
+ * Usage:
+ *   npm run migrate:exam-ids                     → update allexamnames.json
+ *   node scripts/migrate-exam-ids.js --dry-run   → only list the new IDs
+ *
+ * Exits with code 1 if duplicate IDs remain.
+ */
+
+import { readFileSync, writeFileSync } from 'node:fs';
+import { dirname, join, resolve } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { assignExamIds, findExamIdProblems } from '../src/eligibility/examIds.js';
+
+const ROOT_DIR = resolve(dirname(fileURLToPath(import.meta.url)), '..');
+const EXAM_INDEX_PATH = join(ROOT_DIR, 'examsdata', 'allexamnames.json');
+
+const dryRun = process.argv.includes('--dry-run');
+
+const { examNames, added } = assignExamIds(JSON.parse(readFileSync(EXAM_INDEX_PATH, 'utf8')));
+
+for (const exam of added) {
+    console.log(`${exam.category}: ${exam.exam_name} → ${exam.exam_id}`);
+}
+
+if (!dryRun && added.length > 0) {
+    writeFileSync(EXAM_INDEX_PATH, JSON.stringify(examNames, null, 4));
+}
+
+const { duplicates } = findExamIdProblems(examNames);
+for (const duplicate of duplicates) {
+    const names = duplicate.exams.map(exam => `${exam.category}/${exam.exam_name}`).join(', ');
+    console.log(`Duplicate exam_id "${duplicate.exam_id}": ${names}`);
+}
+
+console.log(`\n${added.length} exam ID(s) ${dryRun ? 'to add' : 'added'}, ${duplicates.length} duplicate(s)`);
+process.exitCode = duplicates.length > 0 ? 1 : 0;
@@ -0,0 +1,103 @@
+/**
+ * Exam JSON Validator (CLI)
+ *
+ * Validates every examsdata/<CATEGORY>/<exam>.json against the schema built
+ * from the templates in "other files/" (see src/eligibility/examSchema.js),
+ * and checks that every exam in allexamnames.json has a unique exam_id.
+ *
+ * Usage:
+ *   npm run lint:exams                         → validate all exam files
+ *   node scripts/validate-exams.js <file> ...  → validate specific files
+ *   --quiet                                    → hide warnings
+ *
+ * Exits with code 1 if any file has errors.
+ */
+
+import { readFileSync, readdirSync, statSync } from 'node:fs';
+import { dirname, join, relative, resolve } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { buildExamSchema, validateExamData, SEVERITY } from '../src/eligibility/examSchema.js';
+import { findExamIdProblems } from '../src/eligibility/examIds.js';
+
+const ROOT_DIR = resolve(dirname(fileURLToPath(import.meta.url)), '..');
+const EXAMS_DIR = join(ROOT_DIR, 'examsdata');
+const TEMPLATES_DIR = join(ROOT_DIR, 'other files');
+
+// Index file listing all exams, not an exam definition
+const EXAM_INDEX_FILE = 'allexamnames.json';
+
+/**
+ * Read and parse a JSON file
+ * @param {string} filePath
+ * @returns {Object}
+ */
+const readJson = (filePath) => JSON.parse(readFileSync(filePath, 'utf8'));
+
+/**
+ * Recursively list exam JSON files
+ * @param {string} dir
+ * @returns {string[]}
+ */
+const listExamFiles = (dir) => {
+    return readdirSync(dir).flatMap(name => {
+        const filePath = join(dir, name);
+        if (statSync(filePath).isDirectory()) return listExamFiles(filePath);
+        return name.endsWith('.json') && name !== EXAM_INDEX_FILE ? [filePath] : [];
+    });
+};
+
+const args = process.argv.slice(2);
+const quiet = args.includes('--quiet');
+const fileArgs = args.filter(arg => !arg.startsWith('--'));
+
+const schema = buildExamSchema({
+    divisionTemplate: readJson(join(TEMPLATES_DIR, 'division_funcnility.json')),
+    nonDivisionTemplate: readJson(join(TEMPLATES_DIR, 'non_division_funcnility.json')),
+    eligibilityFields: readJson(join(TEMPLATES_DIR, 'eligibilityfields.json')),
+    possibleFields: readJson(join(TEMPLATES_DIR, 'possiblefields.json'))
+});
+
+const files = fileArgs.length > 0
+    ? fileArgs.map(file => resolve(file))
+    : listExamFiles(EXAMS_DIR).sort();
+
+let errorCount = 0;
+let warningCount = 0;
+
+for (const filePath of files) {
+    const displayPath = relative(ROOT_DIR, filePath);
+    
+    let issues;
+    try {
+        issues = validateExamData(readJson(filePath), schema);
+    } catch (error) {
+        issues = [{ severity: SEVERITY.ERROR, path: '$', message: `Could not parse JSON: ${error.message}` }];
+    }
+    
+    for (const issue of issues) {
+        if (issue.severity === SEVERITY.ERROR) {
+            errorCount++;
+        } else {
+            warningCount++;
+            if (quiet) continue;
+        }
+        console.log(`${displayPath}: ${issue.path}: ${issue.severity}: ${issue.message}`);
+    }
+}
+
+// Exam IDs in the index must be present and unique
+const indexPath = join(EXAMS_DIR, EXAM_INDEX_FILE);
+const { missing, duplicates } = findExamIdProblems(readJson(indexPath));
+
+for (const exam of missing) {
+    errorCount++;
+    console.log(`${relative(ROOT_DIR, indexPath)}: ${exam.category}/${exam.exam_name}: ${SEVERITY.ERROR}: Missing exam_id (run npm run migrate:exam-ids)`);
+}
+for (const duplicate of duplicates) {
+    errorCount++;
+    const names = duplicate.exams.map(exam => `${exam.category}/${exam.exam_name}`).join(', ');
+    console.log(`${relative(ROOT_DIR, indexPath)}: ${duplicate.exam_id}: ${SEVERITY.ERROR}: Duplicate exam_id used by ${names}`);
+}
+
+console.log(`\n${files.length} exam file(s) checked: ${errorCount} error(s), ${warningCount} warning(s)`);
+process.exitCode = errorCount > 0 ? 1 : 0;
@@ -0,0 +1,241 @@
+/**
+ * Account API: signup, email verification, login and account data
+ *
+ * Runs the real request handler on a random port with an in-memory store
+ * and the memory mail transport.
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { createServer } from 'node:http';
+
+import { createApp } from '../app.js';
+import { createMemoryStore } from '../store.js';
+import { createMailer } from '../mail/index.js';
+import { createRateLimiter } from '../rateLimit.js';
+import { hashPassword, verifyPassword } from '../auth/passwords.js';
+import { signJwt, verifyJwt } from '../auth/tokens.js';
+
+const config = {
+    appUrl: 'http://localhost:5173',
+    authSecret: 'test-secret',
+    secureCookies: false,
+    bodyLimit: 64 * 1024
+};
+
+let server;
+let baseUrl;
+let mailer;
+let store;
+
+beforeEach(async () => {
+    store = createMemoryStore();
+    mailer = createMailer({ transport: 'memory', from: 'test@parikshayogya.local' });
+    const authRateLimiters = {
+        loginPerEmail: createRateLimiter({ windowMs: 60000, max: 3 }),
+        emailPerAddress: createRateLimiter({ windowMs: 60000, max: 3 })
+    };
+    server = createServer(createApp({ config, store, mailer, authRateLimiters }));
+    await new Promise(resolve => server.listen(0, resolve));
+    baseUrl = `http://localhost:${server.address().port}`;
+});
+
+afterEach(async () => {
+    await new Promise(resolve => server.close(resolve));
+});
+
+/**
+ * Call the API
+ * @param {string} method
+ * @param {string} path
+ * @param {Object} body
+ * @param {string} cookie - Session cookie to send
+ * @returns {Promise<{status: number, body: Object, cookie: string|null, headers: Headers}>}
+ */
+const call = async (method, path, body = undefined, cookie = '') => {
+    const response = await fetch(`${baseUrl}${path}`, {
+        method,
+        headers: { 'Content-Type': 'application/json', ...(cookie ? { Cookie: cookie } : {}) },
+        body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    const setCookie = response.headers.get('set-cookie');
+    return {
+        status: response.status,
+        body: await response.json(),
+        cookie: setCookie ? setCookie.split(';')[0] : null,
+        headers: response.headers
+    };
+};
+
+const account = { name: 'Asha', email: 'Asha@Example.com', password: 'exam2026pass' };
+
+/**
+ * Sign up and verify through the mailed link
+ * @returns {Promise<string>} - Session cookie
+ */
+const signUpAndVerify = async () => {
+    await call('POST', '/api/auth/signup', account);
+    const token = new URL(mailer.sent[0].text.match(/http\S+/)[0]).searchParams.get('token');
+    const verified = await call('POST', '/api/auth/verify-email', { token });
+    return verified.cookie;
+};
+
+describe('password hashing and tokens', () => {
+    it('verifies only the original password', async () => {
+        const hash = await hashPassword('exam2026pass');
+        
+        expect(hash).toMatch(/^scrypt:16384:8:1:/);
+        expect(await verifyPassword('exam2026pass', hash)).toBe(true);
+        expect(await verifyPassword('exam2026Pass', hash)).toBe(false);
+    });
+    
+    it('rejects tampered and expired JWTs', () => {
+        const token = signJwt({ sub: 'u1', sv: 1 }, 'secret', 60);
+        
+        expect(verifyJwt(token, 'secret')).toMatchObject({ sub: 'u1', sv: 1 });
+        expect(verifyJwt(token, 'other-secret')).toBeNull();
+        expect(verifyJwt(signJwt({ sub: 'u1' }, 'secret', -1), 'secret')).toBeNull();
+    });
+});
+
+describe('signup and email verification', () => {
+    it('creates an unverified account and mails a verification link', async () => {
+        const response = await call('POST', '/api/auth/signup', account);
+        
+        expect(response.status).toBe(201);
+        expect(response.body).toEqual({ email: 'asha@example.com', verificationEmailSent: true });
+        expect((await store.read()).users[0]).toMatchObject({ name: 'Asha', emailVerified: false });
+        expect(mailer.sent).toHaveLength(1);
+        expect(mailer.sent[0].to).toBe('asha@example.com');
+        expect(mailer.sent[0].text).toContain('http://localhost:5173/verify-email?token=');
+        
+        // Anyone can sign up with any address: nothing they typed goes into the email
+        expect(mailer.sent[0].text).not.toContain('Asha');
+    });
+    
+    it('rejects weak passwords', async () => {
+        const weak = await call('POST', '/api/auth/signup', { ...account, password: 'short' });
+        expect(weak.status).toBe(400);
+        expect(weak.body.error.code).toBe('WEAK_PASSWORD');
+    });
+    
+    it('answers a signup with a registered email the same way', async () => {
+        await signUpAndVerify();
+        const duplicate = await call('POST', '/api/auth/signup', { ...account, name: 'Someone Else' });
+        
+        expect(duplicate).toMatchObject({ status: 201, body: { email: 'asha@example.com', verificationEmailSent: true } });
+        expect((await store.read()).users).toHaveLength(1);
+        expect(mailer.sent[1].text).toContain('already has one');
+        expect(mailer.sent[1].text).not.toContain('Someone Else');
+    });
+    
+    it('blocks login until the email is verified', async () => {
+        await call('POST', '/api/auth/signup', account);
+        const login = await call('POST', '/api/auth/login', { email: account.email, password: account.password });
+        
+        expect(login.status).toBe(403);
+        expect(login.body.error.code).toBe('EMAIL_NOT_VERIFIED');
+    });
+    
+    it('verifies once and signs the user in', async () => {
+        await call('POST', '/api/auth/signup', account);
+        const token = new URL(mailer.sent[0].text.match(/http\S+/)[0]).searchParams.get('token');
+        
+        const verified = await call('POST', '/api/auth/verify-email', { token });
+        expect(verified.status).toBe(200);
+        expect(verified.body.user.emailVerified).toBe(true);
+        
+        const me = await call('GET', '/api/auth/me', undefined, verified.cookie);
+        expect(me.body.user.email).toBe('asha@example.com');
+        
+        const reused = await call('POST', '/api/auth/verify-email', { token });
+        expect(reused.status).toBe(400);
+    });
+    
+    it('answers resend requests the same way for unknown emails', async () => {
+        const unknown = await call('POST', '/api/auth/resend-verification', { email: 'nobody@example.com' });
+        
+        expect(unknown).toMatchObject({ status: 200, body: { ok: true } });
+        expect(mailer.sent).toHaveLength(0);
+    });
+    
+    it('rate-limits verification emails per address', async () => {
+        await call('POST', '/api/auth/signup', account);
+        for (let i = 0; i < 2; i++) {
+            expect((await call('POST', '/api/auth/resend-verification', { email: account.email })).status).toBe(200);
+        }
+        const limited = await call('POST', '/api/auth/resend-verification', { email: account.email });
+        
+        expect(limited.status).toBe(429);
+        expect(Number(limited.headers.get('retry-after'))).toBeGreaterThan(0);
+        expect(mailer.sent).toHaveLength(3);
+    });
+});
+
+describe('login and sessions', () => {
+    it('logs in with the right password only', async () => {
+        await signUpAndVerify();
+        
+        const wrong = await call('POST', '/api/auth/login', { email: account.email, password: 'wrong-pass1' });
+        expect(wrong.status).toBe(401);
+        
+        const login = await call('POST', '/api/auth/login', { email: account.email, password: account.password, remember: true });
+        expect(login.status).toBe(200);
+        expect(login.cookie).toMatch(/^pariksha_session=/);
+    });
+    
+    it('rate-limits login attempts per email', async () => {
+        await signUpAndVerify();
+        for (let i = 0; i < 3; i++) {
+            expect((await call('POST', '/api/auth/login', { email: account.email, password: `wrong-pass${i}` })).status).toBe(401);
+        }
+        const limited = await call('POST', '/api/auth/login', { email: account.email, password: account.password });
+        
+        expect(limited.status).toBe(429);
+        expect(limited.body.error.code).toBe('RATE_LIMITED');
+        expect(Number(limited.headers.get('retry-after'))).toBeGreaterThan(0);
+    });
+    
+    it('ends every session on logout-all', async () => {
+        const cookie = await signUpAndVerify();
+        
+        expect((await call('POST', '/api/auth/logout-all', {}, cookie)).status).toBe(200);
+        expect((await call('GET', '/api/auth/me', undefined, cookie)).status).toBe(401);
+    });
+});
+
+describe('account data', () => {
+    it('stores saved profiles and results per user', async () => {
+        const cookie = await signUpAndVerify();
+        const profiles = [{ id: 'p1', name: 'me', version: 1, formData: { date_of_birth: '2004-08-20' } }];
+        
+        expect((await call('GET', '/api/account/profiles')).status).toBe(401);
+        
+        await call('PUT', '/api/account/profiles', { profiles }, cookie);
+        expect((await call('GET', '/api/account/profiles', undefined, cookie)).body).toEqual({ profiles, deletedIds: [] });
+        
+        await call('PUT', '/api/account/results', { results: { eligibleExams: ['cds'] } }, cookie);
+        const results = await call('GET', '/api/account/results', undefined, cookie);
+        expect(results.body.results).toMatchObject({ eligibleExams: ['cds'] });
+        expect(results.body.results.savedAt).toBeTruthy();
+    });
+    
+    it('remembers deleted profile IDs for other devices', async () => {
+        const cookie = await signUpAndVerify();
+        const profiles = [{ id: 'p1', name: 'me', version: 1 }];
+        
+        const saved = await call('PUT', '/api/account/profiles', { profiles, deletedIds: ['p2'] }, cookie);
+        expect(saved.body.deletedIds).toEqual(['p2']);
+        
+        await call('PUT', '/api/account/profiles', { profiles: [], deletedIds: ['p1'] }, cookie);
+        const listed = await call('GET', '/api/account/profiles', undefined, cookie);
+        expect(listed.body).toEqual({ profiles: [], deletedIds: ['p2', 'p1'] });
+    });
+    
+    it('rejects malformed profile lists', async () => {
+        const cookie = await signUpAndVerify();
+        const response = await call('PUT', '/api/account/profiles', { profiles: [{ name: 'no id' }] }, cookie);
+        
+        expect(response.status).toBe(400);
+        expect(response.body.error.code).toBe('INVALID_PROFILES');
+    });
+});
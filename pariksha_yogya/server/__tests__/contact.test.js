@@ -0,0 +1,175 @@
+/**
+ * Contact form and support ticket triage
+ *
+ * Submissions become tickets with an acknowledgement email; only listed
+ * admins can see and update them.
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { createServer } from 'node:http';
+
+import { createApp } from '../app.js';
+import { createMemoryStore } from '../store.js';
+import { createMailer } from '../mail/index.js';
+import { createRateLimiter } from '../rateLimit.js';
+import { hashPassword } from '../auth/passwords.js';
+import { signJwt, SESSION_COOKIE } from '../auth/tokens.js';
+
+const config = {
+    appUrl: 'http://localhost:5173',
+    authSecret: 'test-secret',
+    secureCookies: false,
+    bodyLimit: 64 * 1024,
+    adminEmails: ['team@example.com'],
+    trustProxy: false
+};
+
+let server;
+let baseUrl;
+let mailer;
+let store;
+
+/**
+ * Verified user in the store, with a session cookie
+ * @param {string} email
+ * @returns {Promise<string>} - Cookie header value
+ */
+const addUser = async (email) => {
+    const passwordHash = await hashPassword('exam2026pass');
+    const id = `user-${email}`;
+    await store.update(data => {
+        data.users.push({ id, name: email, email, passwordHash, emailVerified: true, sessionVersion: 1 });
+    });
+    return `${SESSION_COOKIE}=${signJwt({ sub: id, sv: 1 }, config.authSecret, 60)}`;
+};
+
+/**
+ * Call the API
+ * @param {string} method
+ * @param {string} path
+ * @param {Object} body
+ * @param {string} cookie
+ * @returns {Promise<{status: number, body: Object, headers: Headers}>}
+ */
+const call = async (method, path, body = undefined, cookie = '') => {
+    const response = await fetch(`${baseUrl}${path}`, {
+        method,
+        headers: { 'Content-Type': 'application/json', ...(cookie ? { Cookie: cookie } : {}) },
+        body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json(), headers: response.headers };
+};
+
+const message = {
+    firstName: 'Ravi',
+    lastName: 'Kumar',
+    email: 'ravi@example.com',
+    phoneNumber: '+91 98765 43210',
+    category: 'wrong-eligibility-result',
+    examId: 'cds',
+    message: 'The checker says I am not eligible for CDS IMA but I am a final year B.Tech student.'
+};
+
+beforeEach(async () => {
+    store = createMemoryStore();
+    mailer = createMailer({ transport: 'memory', from: 'test@parikshayogya.local' });
+    const contactRateLimiter = createRateLimiter({ windowMs: 60000, max: 3 });
+    server = createServer(createApp({ config, store, mailer, contactRateLimiter }));
+    await new Promise(resolve => server.listen(0, resolve));
+    baseUrl = `http://localhost:${server.address().port}`;
+});
+
+afterEach(async () => {
+    await new Promise(resolve => server.close(resolve));
+});
+
+describe('POST /api/contact', () => {
+    it('stores a ticket and emails an acknowledgement', async () => {
+        const response = await call('POST', '/api/contact', message);
+        
+        expect(response.status).toBe(201);
+        expect(response.body.ticket).toEqual({ reference: 'PY-00001', acknowledgementSent: true });
+        expect(mailer.sent[0]).toMatchObject({ to: 'ravi@example.com', subject: 'We received your message [PY-00001]' });
+        
+        // Anyone can submit any address: nothing they typed goes into the email
+        expect(mailer.sent[0].text).toContain('ticket PY-00001');
+        expect(mailer.sent[0].text).not.toContain('Ravi');
+        expect(mailer.sent[0].text).not.toContain(message.message);
+        
+        const { tickets } = await store.read();
+        expect(tickets[0]).toMatchObject({
+            number: 1,
+            status: 'open',
+            name: 'Ravi Kumar',
+            category: 'wrong-eligibility-result',
+            examId: 'cds',
+            acknowledgementSent: true
+        });
+    });
+    
+    it('rejects invalid submissions', async () => {
+        const badEmail = await call('POST', '/api/contact', { ...message, email: 'not-an-email' });
+        expect(badEmail.body.error.code).toBe('INVALID_EMAIL');
+        
+        const shortMessage = await call('POST', '/api/contact', { ...message, message: 'help' });
+        expect(shortMessage.body.error.code).toBe('INVALID_MESSAGE');
+        
+        expect((await store.read()).tickets).toHaveLength(0);
+    });
+    
+    it('rate-limits repeated submissions', async () => {
+        for (let i = 0; i < 3; i++) {
+            expect((await call('POST', '/api/contact', message)).status).toBe(201);
+        }
+        const limited = await call('POST', '/api/contact', message);
+        
+        expect(limited.status).toBe(429);
+        expect(Number(limited.headers.get('retry-after'))).toBeGreaterThan(0);
+    });
+    
+    it('quietly drops submissions that fill the honeypot field', async () => {
+        const response = await call('POST', '/api/contact', { ...message, website: 'http://spam.example' });
+        
+        expect(response.status).toBe(201);
+        expect((await store.read()).tickets).toHaveLength(0);
+        expect(mailer.sent).toHaveLength(0);
+    });
+});
+
+describe('admin ticket triage', () => {
+    it('is limited to admin users', async () => {
+        expect((await call('GET', '/api/admin/tickets')).status).toBe(401);
+        
+        const cookie = await addUser('someone@example.com');
+        expect((await call('GET', '/api/admin/tickets', undefined, cookie)).status).toBe(403);
+    });
+    
+    it('lists and filters tickets, newest first', async () => {
+        await call('POST', '/api/contact', message);
+        await call('POST', '/api/contact', { ...message, category: 'general', examId: '' });
+        const cookie = await addUser('team@example.com');
+        
+        const all = await call('GET', '/api/admin/tickets', undefined, cookie);
+        expect(all.body.tickets.map(ticket => ticket.reference)).toEqual(['PY-00002', 'PY-00001']);
+        expect(all.body.counts.open).toBe(2);
+        
+        const wrongResults = await call('GET', '/api/admin/tickets?category=wrong-eligibility-result', undefined, cookie);
+        expect(wrongResults.body.tickets.map(ticket => ticket.reference)).toEqual(['PY-00001']);
+    });
+    
+    it('updates status and adds notes', async () => {
+        await call('POST', '/api/contact', message);
+        const cookie = await addUser('team@example.com');
+        const [ticket] = (await call('GET', '/api/admin/tickets', undefined, cookie)).body.tickets;
+        
+        const updated = await call('PATCH', `/api/admin/tickets/${ticket.id}`, { status: 'in-progress', note: 'Checking CDS data' }, cookie);
+        expect(updated.body.ticket.status).toBe('in-progress');
+        expect(updated.body.ticket.notes[0]).toMatchObject({ author: 'team@example.com', text: 'Checking CDS data' });
+        
+        const invalid = await call('PATCH', `/api/admin/tickets/${ticket.id}`, { status: 'done' }, cookie);
+        expect(invalid.status).toBe(400);
+        
+        const missing = await call('PATCH', '/api/admin/tickets/nope', { status: 'resolved' }, cookie);
+        expect(missing.status).toBe(404);
+    });
+});
@@ -0,0 +1,140 @@
+/**
+ * Admin exam authoring
+ *
+ * Exam files are validated with the exam schema, written into
+ * examsdata/<CATEGORY>/ and linked in allexamnames.json. Runs against a
+ * temporary copy of the exam data.
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { createServer } from 'node:http';
+import { cpSync, mkdtempSync, readFileSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { dirname, join, resolve } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+import { createApp } from '../app.js';
+import { createMemoryStore } from '../store.js';
+import { createMailer } from '../mail/index.js';
+import { signJwt, SESSION_COOKIE } from '../auth/tokens.js';
+
+const ROOT_DIR = resolve(dirname(fileURLToPath(import.meta.url)), '..', '..');
+
+const examNames = {
+    DEFENCE_ED: [
+        { exam_id: 'cds', exam_name: 'CDS', exam_code: 'CDS', exam_code_lower: 'cds', linked_json_file: 'DEFENCE_ED/cds.json', has_divisions: true },
+        { exam_id: 'airforce-group-x', exam_name: 'Airforce Group X', exam_code: 'AGX', exam_code_lower: 'agx', linked_json_file: '' }
+    ]
+};
+
+const armyNccEntry = JSON.parse(readFileSync(join(ROOT_DIR, 'examsdata', 'DEFENCE_ED', 'armynccentry.json'), 'utf8'));
+
+let server;
+let baseUrl;
+let store;
+let examsDir;
+
+/**
+ * Verified user in the store, with a session cookie
+ * @param {string} email
+ * @returns {Promise<string>} - Cookie header value
+ */
+const addUser = async (email) => {
+    const id = `user-${email}`;
+    await store.update(data => {
+        data.users.push({ id, name: email, email, passwordHash: 'x', emailVerified: true, sessionVersion: 1 });
+    });
+    return `${SESSION_COOKIE}=${signJwt({ sub: id, sv: 1 }, 'test-secret', 60)}`;
+};
+
+/**
+ * Call the API
+ * @param {string} method
+ * @param {string} path
+ * @param {Object} body
+ * @param {string} cookie
+ * @returns {Promise<{status: number, body: Object}>}
+ */
+const call = async (method, path, body = undefined, cookie = '') => {
+    const response = await fetch(`${baseUrl}${path}`, {
+        method,
+        headers: { 'Content-Type': 'application/json', ...(cookie ? { Cookie: cookie } : {}) },
+        body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+};
+
+const readIndex = () => JSON.parse(readFileSync(join(examsDir, 'allexamnames.json'), 'utf8'));
+
+beforeEach(async () => {
+    examsDir = mkdtempSync(join(tmpdir(), 'exams-'));
+    writeFileSync(join(examsDir, 'allexamnames.json'), JSON.stringify(examNames, null, 4));
+    cpSync(join(ROOT_DIR, 'examsdata', 'DEFENCE_ED', 'cds.json'), join(examsDir, 'DEFENCE_ED', 'cds.json'), { recursive: true });
+    
+    const config = {
+        appUrl: 'http://localhost:5173',
+        authSecret: 'test-secret',
+        secureCookies: false,
+        bodyLimit: 256 * 1024,
+        adminEmails: ['team@example.com'],
+        trustProxy: false,
+        examsDir,
+        examTemplatesDir: join(ROOT_DIR, 'other files')
+    };
+    store = createMemoryStore();
+    const mailer = createMailer({ transport: 'memory', from: 'test@parikshayogya.local' });
+    server = createServer(createApp({ config, store, mailer }));
+    await new Promise(done => server.listen(0, done));
+    baseUrl = `http://localhost:${server.address().port}`;
+});
+
+afterEach(async () => {
+    await new Promise(done => server.close(done));
+    rmSync(examsDir, { recursive: true, force: true });
+});
+
+describe('admin exam authoring', () => {
+    it('is only available to admins', async () => {
+        const cookie = await addUser('student@example.com');
+        
+        expect((await call('GET', '/api/admin/exams')).status).toBe(401);
+        expect((await call('GET', '/api/admin/exams', undefined, cookie)).status).toBe(403);
+    });
+    
+    it('lists exams and returns linked exam data', async () => {
+        const cookie = await addUser('team@example.com');
+        
+        const list = await call('GET', '/api/admin/exams', undefined, cookie);
+        expect(list.body.categories[0].category).toBe('DEFENCE_ED');
+        expect(list.body.categories[0].exams.map(exam => exam.linkedFile)).toEqual(['DEFENCE_ED/cds.json', '']);
+        
+        const cds = await call('GET', '/api/admin/exams/cds', undefined, cookie);
+        expect(cds.body.data.exam_code).toBe('CDS');
+        expect((await call('GET', '/api/admin/exams/airforce-group-x', undefined, cookie)).body.data).toBeNull();
+        expect((await call('GET', '/api/admin/exams/nope', undefined, cookie)).status).toBe(404);
+    });
+    
+    it('writes a new exam file and links it in the index', async () => {
+        const cookie = await addUser('team@example.com');
+        const data = { ...armyNccEntry, exam_code: 'AGX', exam_name: 'Airforce Group X' };
+        
+        const response = await call('PUT', '/api/admin/exams/airforce-group-x', { data }, cookie);
+        
+        expect(response.status).toBe(200);
+        expect(response.body.exam).toMatchObject({ linkedFile: 'DEFENCE_ED/agx.json', hasDivisions: false });
+        expect(JSON.parse(readFileSync(join(examsDir, 'DEFENCE_ED', 'agx.json'), 'utf8'))).toEqual(data);
+        expect(readIndex().DEFENCE_ED[1]).toMatchObject({ linked_json_file: 'DEFENCE_ED/agx.json', has_divisions: false });
+    });
+    
+    it('rejects exam data with schema errors and leaves the files alone', async () => {
+        const cookie = await addUser('team@example.com');
+        const data = { ...armyNccEntry, gender: 'SOMETIMES' };
+        
+        const response = await call('PUT', '/api/admin/exams/airforce-group-x', { data }, cookie);
+        
+        expect(response.status).toBe(400);
+        expect(response.body.error.code).toBe('INVALID_EXAM_DATA');
+        expect(response.body.error.message).toMatch(/^\$\.gender: /);
+        expect(readIndex().DEFENCE_ED[1].linked_json_file).toBe('');
+    });
+});
@@ -0,0 +1,164 @@
+/**
+ * Exam reminders
+ *
+ * Session dates worked out from exam_date and the session keys, one reminder
+ * per lead time, and the daily job that sends them to opted-in users with an
+ * eligible saved profile through a fake notifier.
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { createServer } from 'node:http';
+import { readFileSync } from 'node:fs';
+import { dirname, join, resolve } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+import { createApp } from '../app.js';
+import { createExamFiles } from '../exams.js';
+import { createMemoryStore } from '../store.js';
+import { createMailer } from '../mail/index.js';
+import { createNotifier } from '../notifications/index.js';
+import { getDueReminders, getExamCalendar, getLocalDate, parseExamDate } from '../notifications/reminders.js';
+import { runReminderJob } from '../notifications/scheduler.js';
+import { signJwt, SESSION_COOKIE } from '../auth/tokens.js';
+import { GOLDEN_PROFILES } from '../../src/eligibility/__tests__/fixtures/profiles.js';
+
+const ROOT_DIR = resolve(dirname(fileURLToPath(import.meta.url)), '..', '..');
+const readExam = (file) => JSON.parse(readFileSync(join(ROOT_DIR, 'examsdata', file), 'utf8'));
+
+const cdsData = readExam('DEFENCE_ED/cds.json');
+
+const config = {
+    appUrl: 'http://localhost:5173',
+    authSecret: 'test-secret',
+    secureCookies: false,
+    bodyLimit: 64 * 1024,
+    adminEmails: [],
+    trustProxy: false,
+    reminders: { timezone: 'Asia/Kolkata', leadDays: [30, 7, 1] }
+};
+
+// Read-only: the job only lists and reads exam files
+const examFiles = createExamFiles({ examsDir: join(ROOT_DIR, 'examsdata'), templatesDir: join(ROOT_DIR, 'other files') });
+
+// 9:00 in India, 23 days before the estimated CDS 2027-I exam
+const NOW = new Date('2027-03-20T03:30:00Z');
+
+/**
+ * Saved profile record for a golden profile
+ * @param {string} id
+ * @returns {Object}
+ */
+const savedProfile = (id) => {
+    const { formData, educationTableData } = GOLDEN_PROFILES.find(profile => profile.id === id);
+    return { id, name: id, version: 1, formData, educationTableData };
+};
+
+/**
+ * Store with one user per entry
+ * @param {Array<{id, emailVerified?, examReminders, profileId}>} users
+ * @returns {Object}
+ */
+const storeWith = (users) => createMemoryStore({
+    users: users.map(({ id, emailVerified = true }) => ({ id, name: id, email: `${id}@example.com`, emailVerified })),
+    accounts: Object.fromEntries(users.map(({ id, examReminders, profileId }) => [id, {
+        profiles: [savedProfile(profileId)],
+        deletedProfileIds: [],
+        results: null,
+        notifications: { examReminders }
+    }]))
+});
+
+describe('exam calendar', () => {
+    it('dates later sessions from exam_date and the exam frequency', () => {
+        const calendar = getExamCalendar('cds', cdsData);
+        const session = (key) => calendar.find(event => event.session === key);
+        
+        expect(session('2026-I')).toMatchObject({ examLabel: 'CDS', estimated: false });
+        expect(session('2026-I').date.toISOString()).toBe('2026-04-12T00:00:00.000Z');
+        expect(session('2027-II').date.toISOString()).toBe('2027-10-12T00:00:00.000Z');
+        expect(session('2027-II').estimated).toBe(true);
+        expect(session('2027-I').targets.map(target => target.division)).toEqual(Object.keys(cdsData.academies));
+        
+        expect(parseExamDate('MAY 2026')).toMatchObject({ approximate: true });
+        expect(getExamCalendar('army-ncc-special-entry', readExam('DEFENCE_ED/armynccentry.json'))).toEqual([]);
+    });
+    
+    it('reminds once per session at the nearest lead time', () => {
+        const calendar = getExamCalendar('cds', cdsData);
+        const dueOn = (date) => getDueReminders(calendar, getLocalDate(new Date(date), 'Asia/Kolkata'), [30, 7, 1]);
+        
+        expect(dueOn('2027-02-01T03:30:00Z')).toEqual([]);
+        expect(dueOn(NOW).map(reminder => [reminder.key, reminder.daysUntil])).toEqual([['cds:2027-I:30', 23]]);
+        // 20:00 UTC on the 10th is already the 11th in India
+        expect(dueOn('2027-04-10T20:00:00Z')[0]).toMatchObject({ key: 'cds:2027-I:1', daysUntil: 1 });
+        expect(dueOn('2027-04-13T03:30:00Z')).toEqual([]);
+    });
+});
+
+describe('runReminderJob', () => {
+    it('notifies opted-in verified users with an eligible profile, once', async () => {
+        const store = storeWith([
+            { id: 'eligible', examReminders: true, profileId: 'cds-graduate-btech' },
+            { id: 'opted-out', examReminders: false, profileId: 'cds-graduate-btech' },
+            { id: 'unverified', emailVerified: false, examReminders: true, profileId: 'cds-graduate-btech' },
+            { id: 'overage', examReminders: true, profileId: 'overage-married-nepal-citizen' }
+        ]);
+        const notifier = createNotifier({ transport: 'memory' });
+        
+        const result = await runReminderJob({ config, store, examFiles, notifier, now: NOW });
+        
+        expect(result).toMatchObject({ sent: 1, failed: 0 });
+        expect(notifier.sent.map(notification => notification.user.id)).toEqual(['eligible']);
+        expect(notifier.sent[0].subject).toBe('CDS 2027-I: exam in 23 days');
+        expect(notifier.sent[0].text).toContain('expected around 12 April 2027');
+        expect(notifier.sent[0].text).toContain('Your saved profile "cds-graduate-btech" meets the eligibility rules for');
+        
+        await runReminderJob({ config, store, examFiles, notifier, now: NOW });
+        expect(notifier.sent).toHaveLength(1);
+        expect((await store.read()).notificationLog).toHaveLength(1);
+    });
+    
+    it('retries deliveries that failed on the next run', async () => {
+        const store = storeWith([{ id: 'eligible', examReminders: true, profileId: 'cds-graduate-btech' }]);
+        const failing = createNotifier({ transport: { deliver: async () => { throw new Error('offline'); } } });
+        
+        expect(await runReminderJob({ config, store, examFiles, notifier: failing, now: NOW })).toMatchObject({ sent: 0, failed: 1 });
+        
+        const notifier = createNotifier({ transport: 'memory' });
+        expect(await runReminderJob({ config, store, examFiles, notifier, now: NOW })).toMatchObject({ sent: 1, failed: 0 });
+    });
+});
+
+describe('notification settings', () => {
+    let server;
+    let baseUrl;
+    let store;
+    
+    beforeEach(async () => {
+        store = createMemoryStore({ users: [{ id: 'user-1', name: 'Asha', email: 'asha@example.com', emailVerified: true, sessionVersion: 1 }] });
+        const mailer = createMailer({ transport: 'memory', from: 'test@parikshayogya.local' });
+        server = createServer(createApp({ config, store, mailer }));
+        await new Promise(done => server.listen(0, done));
+        baseUrl = `http://localhost:${server.address().port}`;
+    });
+    
+    afterEach(async () => {
+        await new Promise(done => server.close(done));
+    });
+    
+    it('keeps exam reminders off until the user turns them on', async () => {
+        const headers = {
+            'Content-Type': 'application/json',
+            Cookie: `${SESSION_COOKIE}=${signJwt({ sub: 'user-1', sv: 1 }, 'test-secret', 60)}`
+        };
+        const call = async (method, body) => {
+            const response = await fetch(`${baseUrl}/api/account/notifications`, { method, headers, body: body && JSON.stringify(body) });
+            return { status: response.status, body: await response.json() };
+        };
+        
+        expect((await call('GET')).body.notifications).toEqual({ examReminders: false });
+        expect((await call('PUT', { examReminders: 'yes' })).status).toBe(400);
+        expect((await call('PUT', { examReminders: true })).body.notifications).toEqual({ examReminders: true });
+        expect((await store.read()).accounts['user-1'].notifications.examReminders).toBe(true);
+    });
+});
@@ -0,0 +1,77 @@
+/**
+ * SMTP transport against a tiny local mail catcher
+ */
+
+import { describe, it, expect } from 'vitest';
+import { createServer } from 'node:net';
+
+import { buildMessage, sendSmtpMail } from '../mail/smtp.js';
+
+/**
+ * Minimal SMTP server that records one message
+ * @returns {Promise<{port: number, received: Object, close: Function}>}
+ */
+const startMailCatcher = () => new Promise(resolve => {
+    const received = { commands: [], data: '' };
+    
+    const server = createServer(socket => {
+        let inData = false;
+        let buffer = '';
+        socket.write('220 catcher ready\r\n');
+        
+        socket.on('data', chunk => {
+            buffer += chunk.toString('utf8');
+            if (inData) {
+                const end = buffer.indexOf('\r\n.\r\n');
+                if (end === -1) return;
+                received.data = buffer.slice(0, end);
+                buffer = buffer.slice(end + 5);
+                inData = false;
+                socket.write('250 queued\r\n');
+            }
+            let index;
+            while (!inData && (index = buffer.indexOf('\r\n')) !== -1) {
+                const line = buffer.slice(0, index);
+                buffer = buffer.slice(index + 2);
+                received.commands.push(line);
+                if (line.startsWith('EHLO')) socket.write('250-catcher\r\n250 8BITMIME\r\n');
+                else if (line === 'DATA') {
+                    inData = true;
+                    socket.write('354 go ahead\r\n');
+                } else if (line === 'QUIT') socket.end('221 bye\r\n');
+                else socket.write('250 ok\r\n');
+            }
+        });
+    });
+    
+    server.listen(0, () => resolve({
+        port: server.address().port,
+        received,
+        close: () => new Promise(done => server.close(done))
+    }));
+});
+
+describe('sendSmtpMail', () => {
+    it('delivers a message to the mail catcher', async () => {
+        const catcher = await startMailCatcher();
+        
+        await sendSmtpMail({ host: 'localhost', port: catcher.port }, {
+            from: 'Pariksha Yogya <no-reply@parikshayogya.local>',
+            to: 'asha@example.com',
+            subject: 'Verify your account',
+            text: 'Hello\n.hidden dot line'
+        });
+        await catcher.close();
+        
+        expect(catcher.received.commands).toContain('MAIL FROM:<no-reply@parikshayogya.local>');
+        expect(catcher.received.commands).toContain('RCPT TO:<asha@example.com>');
+        expect(catcher.received.data).toContain('Subject: Verify your account');
+        expect(catcher.received.data).toContain('\r\n..hidden dot line');
+    });
+    
+    it('encodes non-ASCII subjects', () => {
+        const message = buildMessage({ from: 'a@b.c', to: 'd@e.f', subject: 'परीक्षा', text: '' });
+        
+        expect(message).toMatch(/Subject: =\?UTF-8\?B\?[A-Za-z0-9+/=]+\?=/);
+    });
+});
@@ -0,0 +1,166 @@
+/**
+ * Account API Application
+ * For PRATIYOGITA YOGYA - Account API
+ *
+ * Builds the node:http request handler from the route tables. Each route is
+ * { method, path, auth?, admin?, handler(context) } and the handler returns
+ * { status?, body, cookies?, headers? }. Paths may contain ":name" segments,
+ * passed to the handler as context.params.
+ *
+ * Routes with auth: true get context.user from the session cookie or answer
+ * 401; admin: true also needs a verified email listed in ADMIN_EMAILS (403).
+ */
+
+import { HttpError, getClientIp, parseCookies, readJsonBody, sendError, sendJson } from './http.js';
+import { SESSION_COOKIE, verifyJwt } from './auth/tokens.js';
+import { createAuthRoutes } from './routes/auth.js';
+import { createAccountRoutes } from './routes/account.js';
+import { createContactRoutes } from './routes/contact.js';
+import { createAdminRoutes } from './routes/admin.js';
+
+const BODY_METHODS = ['POST', 'PUT', 'PATCH'];
+
+/**
+ * Signed-in user for a request
+ * The token must be valid and carry the user's current sessionVersion
+ * @param {import('node:http').IncomingMessage} req
+ * @param {Object} deps - { config, store }
+ * @returns {Promise<Object|null>} - Stored user or null
+ */
+export const getSessionUser = async (req, { config, store }) => {
+    const token = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+    const claims = token ? verifyJwt(token, config.authSecret) : null;
+    if (!claims) return null;
+    
+    const data = await store.read();
+    const user = data.users.find(candidate => candidate.id === claims.sub);
+    return user && user.sessionVersion === claims.sv ? user : null;
+};
+
+/**
+ * Check if a user may use the admin routes
+ * @param {Object|null} user
+ * @param {string[]} adminEmails
+ * @returns {boolean}
+ */
+export const isAdminUser = (user, adminEmails = []) => (
+    Boolean(user && user.emailVerified && adminEmails.includes(user.email))
+);
+
+/**
+ * Match a request path against a route path with ":name" segments
+ * @param {string} routePath - e.g. "/api/admin/tickets/:id"
+ * @param {string} pathname
+ * @returns {Object|null} - Decoded params, or null if the path does not match
+ */
+export const matchPath = (routePath, pathname) => {
+    const routeParts = routePath.split('/');
+    const pathParts = pathname.split('/');
+    if (routeParts.length !== pathParts.length) return null;
+    
+    const params = {};
+    for (let i = 0; i < routeParts.length; i++) {
+        if (routeParts[i].startsWith(':')) {
+            if (!pathParts[i]) return null;
+            try {
+                params[routeParts[i].slice(1)] = decodeURIComponent(pathParts[i]);
+            } catch {
+                return null;
+            }
+        } else if (routeParts[i] !== pathParts[i]) {
+            return null;
+        }
+    }
+    return params;
+};
+
+/**
+ * CORS headers for the frontend origin (only needed when the API runs on
+ * another origin; the Vite dev server proxies /api instead)
+ * @param {import('node:http').IncomingMessage} req
+ * @param {string} appUrl
+ * @returns {Object}
+ */
+const getCorsHeaders = (req, appUrl) => {
+    if (req.headers.origin !== new URL(appUrl).origin) return {};
+    return {
+        'Access-Control-Allow-Origin': req.headers.origin,
+        'Access-Control-Allow-Credentials': 'true',
+        'Access-Control-Allow-Methods': 'GET, POST, PUT, PATCH, DELETE, OPTIONS',
+        'Access-Control-Allow-Headers': 'Content-Type',
+        'Vary': 'Origin'
+    };
+};
+
+/**
+ * Create the request handler
+ * @param {Object} deps - { config, store, mailer, routes? }
+ * @returns {Function} - (req, res) => Promise<void>
+ */
+export const createApp = (deps) => {
+    const routes = [
+        ...createAuthRoutes(deps),
+        ...createAccountRoutes(deps),
+        ...createContactRoutes(deps),
+        ...createAdminRoutes(deps),
+        ...(deps.routes || [])
+    ];
+    
+    return async (req, res) => {
+        const corsHeaders = getCorsHeaders(req, deps.config.appUrl);
+        Object.entries(corsHeaders).forEach(([name, value]) => res.setHeader(name, value));
+        
+        if (req.method === 'OPTIONS') {
+            res.writeHead(204);
+            res.end();
+            return;
+        }
+        
+        try {
+            const url = new URL(req.url, 'http://localhost');
+            const pathRoutes = routes
+                .map(candidate => ({ route: candidate, params: matchPath(candidate.path, url.pathname) }))
+                .filter(match => match.params);
+            if (pathRoutes.length === 0) {
+                throw new HttpError(404, 'NOT_FOUND', 'Not found');
+            }
+            const match = pathRoutes.find(candidate => candidate.route.method === req.method);
+            if (!match) {
+                throw new HttpError(405, 'METHOD_NOT_ALLOWED', 'Method not allowed');
+            }
+            const { route, params } = match;
+            
+            const user = await getSessionUser(req, deps);
+            if ((route.auth || route.admin) && !user) {
+                throw new HttpError(401, 'UNAUTHENTICATED', 'Please log in to continue');
+            }
+            if (route.admin && !isAdminUser(user, deps.config.adminEmails)) {
+                throw new HttpError(403, 'FORBIDDEN', 'You do not have access to this page');
+            }
+            
+            const body = BODY_METHODS.includes(req.method) ? await readJsonBody(req, deps.config.bodyLimit) : {};
+            const result = await route.handler({
+                req,
+                body,
+                query: url.searchParams,
+                params,
+                user,
+                ip: getClientIp(req, deps.config.trustProxy)
+            });
+            
+            sendJson(res, result.status || 200, result.body, {
+                ...(result.cookies ? { 'Set-Cookie': result.cookies } : {}),
+                ...(result.headers || {})
+            });
+        } catch (error) {
+            sendError(res, error);
+        }
+    };
+};
+
+export default {
+    getSessionUser,
+    isAdminUser,
+    matchPath,
+    createApp
+};
@@ -0,0 +1,96 @@
+/**
+ * Password Hashing
+ * For PRATIYOGITA YOGYA - Account API
+ *
+ * scrypt from node:crypto, stored as
+ * "scrypt:<N>:<r>:<p>:<salt base64>:<hash base64>" so the cost can be raised
+ * later without breaking existing hashes.
+ */
+
+import { randomBytes, scrypt, timingSafeEqual } from 'node:crypto';
+
+// ============================================
+// CONSTANTS
+// ============================================
+
+export const MIN_PASSWORD_LENGTH = 8;
+export const MAX_PASSWORD_LENGTH = 128;
+
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+const KEY_LENGTH = 64;
+const SALT_LENGTH = 16;
+
+// ============================================
+// HASHING
+// ============================================
+
+/**
+ * scrypt as a promise
+ * @param {string} password
+ * @param {Buffer} salt
+ * @param {Object} params - { N, r, p }
+ * @returns {Promise<Buffer>}
+ */
+const deriveKey = (password, salt, params) => new Promise((resolve, reject) => {
+    scrypt(password, salt, KEY_LENGTH, { ...params, maxmem: 64 * 1024 * 1024 }, (error, key) => {
+        if (error) reject(error);
+        else resolve(key);
+    });
+});
+
+/**
+ * Hash a password with a random salt
+ * @param {string} password
+ * @returns {Promise<string>}
+ */
+export const hashPassword = async (password) => {
+    const salt = randomBytes(SALT_LENGTH);
+    const key = await deriveKey(password, salt, SCRYPT_PARAMS);
+    const { N, r, p } = SCRYPT_PARAMS;
+    return `scrypt:${N}:${r}:${p}:${salt.toString('base64')}:${key.toString('base64')}`;
+};
+
+/**
+ * Check a password against a stored hash
+ * @param {string} password
+ * @param {string} storedHash - From hashPassword
+ * @returns {Promise<boolean>}
+ */
+export const verifyPassword = async (password, storedHash) => {
+    const [scheme, N, r, p, salt, hash] = String(storedHash || '').split(':');
+    if (scheme !== 'scrypt' || !salt || !hash) return false;
+    
+    const expected = Buffer.from(hash, 'base64');
+    const key = await deriveKey(password, Buffer.from(salt, 'base64'), {
+        N: Number(N),
+        r: Number(r),
+        p: Number(p)
+    });
+    return key.length === expected.length && timingSafeEqual(key, expected);
+};
+
+/**
+ * Problem with a new password, if any
+ * @param {string} password
+ * @returns {string|null} - Message for the user, or null if acceptable
+ */
+export const getPasswordProblem = (password) => {
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+        return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+    }
+    if (password.length > MAX_PASSWORD_LENGTH) {
+        return `Password must be at most ${MAX_PASSWORD_LENGTH} characters`;
+    }
+    if (!/[A-Za-z]/.test(password) || !/\d/.test(password)) {
+        return 'Password must contain a letter and a number';
+    }
+    return null;
+};
+
+export default {
+    MIN_PASSWORD_LENGTH,
+    MAX_PASSWORD_LENGTH,
+    hashPassword,
+    verifyPassword,
+    getPasswordProblem
+};
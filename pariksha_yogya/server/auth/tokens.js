@@ -0,0 +1,107 @@
+/**
+ * Session & Verification Tokens
+ * For PRATIYOGITA YOGYA - Account API
+ *
+ * - Session: a JWT (HS256) in an HttpOnly cookie. It carries the user ID and
+ *   the user's sessionVersion; bumping sessionVersion signs out every device.
+ * - Email verification: a random token mailed to the user. Only its SHA-256
+ *   hash is stored, so a leaked data file cannot be used to verify accounts.
+ */
+
+import { createHash, createHmac, randomBytes, timingSafeEqual } from 'node:crypto';
+
+// ============================================
+// CONSTANTS
+// ============================================
+
+export const SESSION_COOKIE = 'pariksha_session';
+
+// Session lifetime (seconds): browser session vs. "Remember me"
+export const SESSION_TTL = 24 * 60 * 60;
+export const REMEMBER_ME_TTL = 30 * 24 * 60 * 60;
+
+// Email verification link lifetime (milliseconds)
+export const VERIFICATION_TTL_MS = 24 * 60 * 60 * 1000;
+
+const JWT_HEADER = { alg: 'HS256', typ: 'JWT' };
+
+// ============================================
+// JWT
+// ============================================
+
+const encodeSegment = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+const sign = (data, secret) => createHmac('sha256', secret).update(data).digest('base64url');
+
+/**
+ * Sign a JWT
+ * @param {Object} payload - Claims (iat/exp are added)
+ * @param {string} secret
+ * @param {number} ttlSeconds
+ * @returns {string}
+ */
+export const signJwt = (payload, secret, ttlSeconds) => {
+    const now = Math.floor(Date.now() / 1000);
+    const unsigned = `${encodeSegment(JWT_HEADER)}.${encodeSegment({ ...payload, iat: now, exp: now + ttlSeconds })}`;
+    return `${unsigned}.${sign(unsigned, secret)}`;
+};
+
+/**
+ * Verify a JWT's signature and expiry
+ * @param {string} token
+ * @param {string} secret
+ * @returns {Object|null} - Payload, or null if invalid or expired
+ */
+export const verifyJwt = (token, secret) => {
+    const [header, payload, signature] = String(token || '').split('.');
+    if (!header || !payload || !signature) return null;
+    
+    const expected = Buffer.from(sign(`${header}.${payload}`, secret));
+    const actual = Buffer.from(signature);
+    if (expected.length !== actual.length || !timingSafeEqual(expected, actual)) return null;
+    
+    try {
+        const { alg } = JSON.parse(Buffer.from(header, 'base64url').toString('utf8'));
+        const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+        if (alg !== JWT_HEADER.alg) return null;
+        if (!claims.exp || claims.exp <= Math.floor(Date.now() / 1000)) return null;
+        return claims;
+    } catch {
+        return null;
+    }
+};
+
+// ============================================
+// VERIFICATION TOKENS
+// ============================================
+
+/**
+ * SHA-256 of a token (what gets stored)
+ * @param {string} token
+ * @returns {string}
+ */
+export const hashToken = (token) => createHash('sha256').update(String(token)).digest('hex');
+
+/**
+ * New email verification token
+ * @returns {{token: string, tokenHash: string, expiresAt: string}}
+ */
+export const createVerificationToken = () => {
+    const token = randomBytes(32).toString('base64url');
+    return {
+        token,
+        tokenHash: hashToken(token),
+        expiresAt: new Date(Date.now() + VERIFICATION_TTL_MS).toISOString()
+    };
+};
+
+export default {
+    SESSION_COOKIE,
+    SESSION_TTL,
+    REMEMBER_ME_TTL,
+    VERIFICATION_TTL_MS,
+    signJwt,
+    verifyJwt,
+    hashToken,
+    createVerificationToken
+};
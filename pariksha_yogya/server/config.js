@@ -0,0 +1,90 @@
+/**
+ * Server Configuration
+ * For PRATIYOGITA YOGYA - Account API
+ *
+ * Environment variables:
+ * - PORT              API port (default 8787; Vite proxies /api here)
+ * - APP_URL           Frontend URL used in email links (default http://localhost:5173)
+ * - AUTH_SECRET       Secret for signing session tokens (required in production)
+ * - DATA_FILE         JSON data file (default server/data/db.json)
+ * - MAIL_TRANSPORT    smtp | gmail | console | memory (default smtp)
+ * - SMTP_HOST / SMTP_PORT   Mail server (default localhost:1025, e.g. Mailpit)
+ * - GMAIL_CLIENT_ID / GMAIL_CLIENT_SECRET / GMAIL_REFRESH_TOKEN   Gmail API credentials (MAIL_TRANSPORT=gmail)
+ * - MAIL_FROM         Sender address
+ * - ADMIN_EMAILS      Comma-separated emails of verified users who may triage support tickets
+ * - TRUST_PROXY       "true" when behind a reverse proxy that sets X-Forwarded-For
+ * - EXAMS_DIR         Exam data written by the admin exam editor (default examsdata/)
+ * - REMINDER_SCHEDULE Cron expression for exam reminders (default "0 9 * * *"; "off" disables them)
+ * - REMINDER_TIMEZONE Time zone of the schedule and of exam dates (default Asia/Kolkata)
+ * - REMINDER_LEAD_DAYS  Comma-separated days before an exam to remind (default 30,7,1)
+ * - REMINDER_TRANSPORT  email | console | memory (default email)
+ */
+
+import { randomBytes } from 'node:crypto';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const SERVER_DIR = dirname(fileURLToPath(import.meta.url));
+
+// Largest JSON body accepted (saved profiles and results)
+const BODY_LIMIT = 256 * 1024;
+
+const DEFAULT_REMINDER_LEAD_DAYS = [30, 7, 1];
+
+/**
+ * Build the server configuration from environment variables
+ * @param {Object} env - Defaults to process.env
+ * @returns {Object}
+ */
+export const loadConfig = (env = process.env) => {
+    const production = env.NODE_ENV === 'production';
+    
+    let authSecret = env.AUTH_SECRET;
+    if (!authSecret) {
+        if (production) {
+            throw new Error('AUTH_SECRET must be set in production');
+        }
+        // Development only: sessions end when the server restarts
+        authSecret = randomBytes(32).toString('hex');
+        console.warn('AUTH_SECRET is not set; using a random secret for this run');
+    }
+    
+    return {
+        port: Number(env.PORT) || 8787,
+        appUrl: (env.APP_URL || 'http://localhost:5173').replace(/\/+$/, ''),
+        authSecret,
+        dataFile: env.DATA_FILE || join(SERVER_DIR, 'data', 'db.json'),
+        secureCookies: production,
+        bodyLimit: BODY_LIMIT,
+        adminEmails: String(env.ADMIN_EMAILS || '')
+            .split(',')
+            .map(email => email.trim().toLowerCase())
+            .filter(Boolean),
+        trustProxy: env.TRUST_PROXY === 'true',
+        examsDir: env.EXAMS_DIR || join(SERVER_DIR, '..', 'examsdata'),
+        examTemplatesDir: join(SERVER_DIR, '..', 'other files'),
+        mail: {
+            transport: env.MAIL_TRANSPORT || 'smtp',
+            host: env.SMTP_HOST || 'localhost',
+            port: Number(env.SMTP_PORT) || 1025,
+            from: env.MAIL_FROM || 'Pariksha Yogya <no-reply@parikshayogya.local>',
+            gmail: {
+                clientId: env.GMAIL_CLIENT_ID,
+                clientSecret: env.GMAIL_CLIENT_SECRET,
+                refreshToken: env.GMAIL_REFRESH_TOKEN
+            }
+        },
+        reminders: {
+            schedule: env.REMINDER_SCHEDULE || '0 9 * * *',
+            timezone: env.REMINDER_TIMEZONE || 'Asia/Kolkata',
+            leadDays: env.REMINDER_LEAD_DAYS
+                ? env.REMINDER_LEAD_DAYS.split(',').map(Number).filter(days => Number.isInteger(days) && days >= 0)
+                : DEFAULT_REMINDER_LEAD_DAYS,
+            transport: env.REMINDER_TRANSPORT || 'email'
+        }
+    };
+};
+
+export default {
+    loadConfig
+};
@@ -0,0 +1,206 @@
+/**
+ * Exam Files
+ * For PRATIYOGITA YOGYA - Account API
+ *
+ * Reads and writes the exam data the site is built from, for the admin exam
+ * authoring page:
+ * - examsdata/allexamnames.json       → index of every exam, by category
+ * - examsdata/<CATEGORY>/<file>.json  → one exam definition
+ *
+ * Saved exams are checked with the same schema as `npm run lint:exams`
+ * (src/eligibility/examSchema.js). Exam files are bundled when the site is
+ * built, so a saved exam goes live with the next build.
+ */
+
+import { mkdir, readFile, rename, writeFile } from 'node:fs/promises';
+import { join } from 'node:path';
+
+import { HttpError } from './http.js';
+import { SEVERITY, buildExamSchema, validateExamData } from '../src/eligibility/examSchema.js';
+
+// ============================================
+// CONSTANTS
+// ============================================
+
+const EXAM_INDEX_FILE = 'allexamnames.json';
+
+const TEMPLATE_FILES = {
+    divisionTemplate: 'division_funcnility.json',
+    nonDivisionTemplate: 'non_division_funcnility.json',
+    eligibilityFields: 'eligibilityfields.json',
+    possibleFields: 'possiblefields.json'
+};
+
+const CATEGORY_PATTERN = /^[A-Z][A-Z0-9_]*$/;
+const FILE_NAME_PATTERN = /^[a-z0-9][a-z0-9-]*$/;
+
+// ============================================
+// HELPERS
+// ============================================
+
+/**
+ * Read and parse a JSON file
+ * @param {string} filePath
+ * @returns {Promise<*>}
+ */
+const readJson = async (filePath) => JSON.parse(await readFile(filePath, 'utf8'));
+
+/**
+ * Write JSON through a temporary file, so a crash never leaves half a file
+ * (4-space indent, like the existing exam files)
+ * @param {string} filePath
+ * @param {*} data
+ */
+const writeJson = async (filePath, data) => {
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    await writeFile(tempPath, JSON.stringify(data, null, 4));
+    await rename(tempPath, filePath);
+};
+
+/**
+ * Index entry as returned by the API
+ * @param {string} category
+ * @param {Object} exam - Entry of allexamnames.json
+ * @returns {Object}
+ */
+const toExamSummary = (category, exam) => ({
+    examId: exam.exam_id,
+    examName: exam.exam_name,
+    examCode: exam.exam_code,
+    category,
+    linkedFile: exam.linked_json_file || '',
+    hasDivisions: Boolean(exam.has_divisions)
+});
+
+/**
+ * File name for a new exam file: the lower-case exam code if it is free,
+ * otherwise the exam ID
+ * @param {Object} exam - Entry of allexamnames.json
+ * @param {string} category
+ * @param {Object} examNames - Contents of allexamnames.json
+ * @returns {string} - e.g. "DEFENCE_ED/cds.json"
+ */
+export const chooseExamFile = (exam, category, examNames) => {
+    const taken = new Set(Object.values(examNames).flat().map(entry => entry.linked_json_file).filter(Boolean));
+    const candidates = [exam.exam_code_lower, exam.exam_id]
+        .map(name => String(name || '').toLowerCase())
+        .filter(name => FILE_NAME_PATTERN.test(name))
+        .map(name => `${category}/${name}.json`);
+    
+    const file = candidates.find(candidate => !taken.has(candidate));
+    if (!file) {
+        throw new HttpError(409, 'FILE_NAME_TAKEN', `No free file name for ${exam.exam_name} in ${category}`);
+    }
+    return file;
+};
+
+// ============================================
+// EXAM FILES
+// ============================================
+
+/**
+ * Exam files under a data directory
+ * @param {Object} options - { examsDir, templatesDir }
+ * @returns {{listExams: Function, getExam: Function, saveExam: Function}}
+ */
+export const createExamFiles = ({ examsDir, templatesDir }) => {
+    let schemaPromise = null;
+    let queue = Promise.resolve();
+    
+    const getIndexPath = () => join(examsDir, EXAM_INDEX_FILE);
+    
+    // Templates are read once, on first use
+    const getSchema = () => {
+        if (!schemaPromise) {
+            schemaPromise = Promise.all(Object.entries(TEMPLATE_FILES).map(async ([name, file]) => (
+                [name, await readJson(join(templatesDir, file))]
+            ))).then(entries => buildExamSchema(Object.fromEntries(entries)));
+        }
+        return schemaPromise;
+    };
+    
+    /**
+     * Find an exam in the index
+     * @param {Object} examNames
+     * @param {string} examId
+     * @returns {{category: string, exam: Object}}
+     * @throws {HttpError} - 404 if there is no such exam
+     */
+    const findExam = (examNames, examId) => {
+        for (const [category, exams] of Object.entries(examNames)) {
+            const exam = exams.find(candidate => candidate.exam_id === examId);
+            if (exam) return { category, exam };
+        }
+        throw new HttpError(404, 'EXAM_NOT_FOUND', 'Exam not found');
+    };
+    
+    return {
+        /**
+         * Every exam in the index, by category
+         * @returns {Promise<Array<{category: string, exams: Array}>>}
+         */
+        listExams: async () => {
+            const examNames = await readJson(getIndexPath());
+            return Object.entries(examNames).map(([category, exams]) => ({
+                category,
+                exams: exams.map(exam => toExamSummary(category, exam))
+            }));
+        },
+        
+        /**
+         * One exam and its data (null until a file is linked)
+         * @param {string} examId
+         * @returns {Promise<{exam: Object, data: Object|null}>}
+         */
+        getExam: async (examId) => {
+            const { category, exam } = findExam(await readJson(getIndexPath()), examId);
+            const data = exam.linked_json_file ? await readJson(join(examsDir, exam.linked_json_file)) : null;
+            return { exam: toExamSummary(category, exam), data };
+        },
+        
+        /**
+         * Validate and write an exam file, linking it in the index
+         * Saves run one at a time so concurrent saves cannot lose index updates
+         * @param {string} examId
+         * @param {Object} data - Exam JSON
+         * @returns {Promise<{exam: Object, warnings: Array}>}
+         * @throws {HttpError} - 400 if the data has schema errors
+         */
+        saveExam: (examId, data) => {
+            const run = queue.then(async () => {
+                const issues = validateExamData(data, await getSchema());
+                const errors = issues.filter(issue => issue.severity === SEVERITY.ERROR);
+                if (errors.length > 0) {
+                    const more = errors.length > 1 ? ` (and ${errors.length - 1} more)` : '';
+                    throw new HttpError(400, 'INVALID_EXAM_DATA', `${errors[0].path}: ${errors[0].message}${more}`);
+                }
+                
+                const examNames = await readJson(getIndexPath());
+                const { category, exam } = findExam(examNames, examId);
+                if (!CATEGORY_PATTERN.test(category)) {
+                    throw new HttpError(400, 'INVALID_CATEGORY', `Cannot write exams for category ${category}`);
+                }
+                
+                const file = exam.linked_json_file || chooseExamFile(exam, category, examNames);
+                await mkdir(join(examsDir, category), { recursive: true });
+                await writeJson(join(examsDir, file), data);
+                
+                exam.linked_json_file = file;
+                exam.has_divisions = data.academies !== undefined;
+                await writeJson(getIndexPath(), examNames);
+                
+                return {
+                    exam: toExamSummary(category, exam),
+                    warnings: issues.filter(issue => issue.severity === SEVERITY.WARNING)
+                };
+            });
+            queue = run.catch(() => {});
+            return run;
+        }
+    };
+};
+
+export default {
+    chooseExamFile,
+    createExamFiles
+};
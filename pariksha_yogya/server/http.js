@@ -0,0 +1,163 @@
+/**
+ * HTTP Helpers
+ * For PRATIYOGITA YOGYA - Account API
+ *
+ * JSON bodies, cookies and errors for the node:http based API.
+ * Errors thrown as HttpError become { error: { code, message } } responses.
+ */
+
+// ============================================
+// ERRORS
+// ============================================
+
+export class HttpError extends Error {
+    /**
+     * @param {number} status - HTTP status code
+     * @param {string} code - Machine-readable error code like "INVALID_EMAIL"
+     * @param {string} message - Message shown to the user
+     * @param {Object} headers - Extra response headers (e.g. Retry-After)
+     */
+    constructor(status, code, message, headers = {}) {
+        super(message);
+        this.name = 'HttpError';
+        this.status = status;
+        this.code = code;
+        this.headers = headers;
+    }
+}
+
+// ============================================
+// REQUESTS
+// ============================================
+
+/**
+ * Read and parse a JSON request body
+ * @param {import('node:http').IncomingMessage} req
+ * @param {number} limit - Maximum body size in bytes
+ * @returns {Promise<Object>}
+ */
+export const readJsonBody = (req, limit) => new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    
+    req.on('data', chunk => {
+        size += chunk.length;
+        if (size > limit) {
+            reject(new HttpError(413, 'BODY_TOO_LARGE', 'Request body is too large'));
+            req.destroy();
+            return;
+        }
+        chunks.push(chunk);
+    });
+    req.on('end', () => {
+        const text = Buffer.concat(chunks).toString('utf8');
+        if (!text) {
+            resolve({});
+            return;
+        }
+        try {
+            const body = JSON.parse(text);
+            resolve(body && typeof body === 'object' ? body : {});
+        } catch {
+            reject(new HttpError(400, 'INVALID_JSON', 'Request body is not valid JSON'));
+        }
+    });
+    req.on('error', reject);
+});
+
+/**
+ * Client IP address
+ * X-Forwarded-For is only trusted behind a known reverse proxy, since
+ * clients can send any value
+ * @param {import('node:http').IncomingMessage} req
+ * @param {boolean} trustProxy
+ * @returns {string}
+ */
+export const getClientIp = (req, trustProxy = false) => {
+    const forwarded = trustProxy ? String(req.headers['x-forwarded-for'] || '').split(',')[0].trim() : '';
+    return forwarded || req.socket?.remoteAddress || 'unknown';
+};
+
+/**
+ * Parse the Cookie header
+ * @param {string} header
+ * @returns {Object<string, string>}
+ */
+export const parseCookies = (header = '') => {
+    return header.split(';').reduce((cookies, part) => {
+        const index = part.indexOf('=');
+        if (index > 0) {
+            const name = part.slice(0, index).trim();
+            const value = part.slice(index + 1).trim();
+            try {
+                cookies[name] = decodeURIComponent(value);
+            } catch {
+                cookies[name] = value;
+            }
+        }
+        return cookies;
+    }, {});
+};
+
+// ============================================
+// RESPONSES
+// ============================================
+
+/**
+ * Build a Set-Cookie header value
+ * @param {string} name
+ * @param {string} value
+ * @param {Object} options - { maxAge (seconds), secure, httpOnly, sameSite, path }
+ * @returns {string}
+ */
+export const serializeCookie = (name, value, options = {}) => {
+    const parts = [`${name}=${encodeURIComponent(value)}`, `Path=${options.path || '/'}`];
+    
+    if (options.maxAge !== undefined) parts.push(`Max-Age=${Math.floor(options.maxAge)}`);
+    if (options.httpOnly !== false) parts.push('HttpOnly');
+    if (options.secure) parts.push('Secure');
+    parts.push(`SameSite=${options.sameSite || 'Lax'}`);
+    
+    return parts.join('; ');
+};
+
+/**
+ * Send a JSON response
+ * @param {import('node:http').ServerResponse} res
+ * @param {number} status
+ * @param {Object|null} body
+ * @param {Object} headers - Extra headers
+ */
+export const sendJson = (res, status, body, headers = {}) => {
+    const payload = body === null || body === undefined ? '' : JSON.stringify(body);
+    res.writeHead(status, {
+        'Content-Type': 'application/json; charset=utf-8',
+        'Cache-Control': 'no-store',
+        ...headers
+    });
+    res.end(payload);
+};
+
+/**
+ * Send an error response (unknown errors become a 500 without details)
+ * @param {import('node:http').ServerResponse} res
+ * @param {Error} error
+ */
+export const sendError = (res, error) => {
+    if (error instanceof HttpError) {
+        sendJson(res, error.status, { error: { code: error.code, message: error.message } }, error.headers);
+        return;
+    }
+    console.error('Unhandled API error:', error);
+    sendJson(res, 500, { error: { code: 'INTERNAL_ERROR', message: 'Something went wrong. Please try again.' } });
+};
+
+export default {
+    HttpError,
+    readJsonBody,
+    getClientIp,
+    parseCookies,
+    serializeCookie,
+    sendJson,
+    sendError
+};
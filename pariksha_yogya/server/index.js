@@ -0,0 +1,41 @@
+/**
+ * Account API Server
+ * For PRATIYOGITA YOGYA - Exam Eligibility Tracker
+ *
+ * Usage:
+ *   npm run server          → API on http://localhost:8787 (see server/config.js)
+ *   npm run dev             → frontend; /api is proxied to the API
+ *
+ * Verification emails go to SMTP localhost:1025 by default. Run a local mail
+ * catcher such as Mailpit (UI on http://localhost:8025) to read them, or set
+ * MAIL_TRANSPORT=console to print them to this log instead.
+ *
+ * Exam reminders run daily at 9:00 India time (see REMINDER_* in config.js).
+ */
+
+import { createServer } from 'node:http';
+
+import { loadConfig } from './config.js';
+import { createJsonStore } from './store.js';
+import { createMailer } from './mail/index.js';
+import { createExamFiles } from './exams.js';
+import { createNotifier } from './notifications/index.js';
+import { startReminderScheduler } from './notifications/scheduler.js';
+import { createApp } from './app.js';
+
+const config = loadConfig();
+const store = createJsonStore(config.dataFile);
+const mailer = createMailer(config.mail);
+const examFiles = createExamFiles({ examsDir: config.examsDir, templatesDir: config.examTemplatesDir });
+const notifier = createNotifier({ transport: config.reminders.transport, mailer });
+
+const server = createServer(createApp({ config, store, mailer, examFiles }));
+const reminderTask = startReminderScheduler({ config, store, examFiles, notifier });
+
+server.listen(config.port, () => {
+    console.log(`Account API listening on http://localhost:${config.port}`);
+    console.log(`Mail transport: ${config.mail.transport}${config.mail.transport === 'smtp' ? ` (${config.mail.host}:${config.mail.port})` : ''}`);
+    console.log(reminderTask
+        ? `Exam reminders: "${config.reminders.schedule}" (${config.reminders.timezone}) via ${config.reminders.transport}`
+        : 'Exam reminders: off');
+});
@@ -0,0 +1,47 @@
+/**
+ * Gmail API Sender
+ * For PRATIYOGITA YOGYA - Account API
+ *
+ * Sends mail through the Gmail API (googleapis) as the account that granted
+ * the OAuth refresh token, for deployments without an SMTP relay. The
+ * message's From address must be that account or one of its aliases.
+ */
+
+import { buildMessage } from './smtp.js';
+
+/**
+ * Create a sender for one Gmail account
+ * googleapis is large, so it is loaded on the first send
+ * @param {Object} options - { clientId, clientSecret, refreshToken }
+ * @returns {Function} - (message) => Promise<void>
+ */
+export const createGmailSender = ({ clientId, clientSecret, refreshToken }) => {
+    if (!clientId || !clientSecret || !refreshToken) {
+        throw new Error('The gmail mail transport needs GMAIL_CLIENT_ID, GMAIL_CLIENT_SECRET and GMAIL_REFRESH_TOKEN');
+    }
+    
+    let gmailPromise = null;
+    
+    const getGmail = () => {
+        if (!gmailPromise) {
+            gmailPromise = import('googleapis').then(({ google }) => {
+                const auth = new google.auth.OAuth2(clientId, clientSecret);
+                auth.setCredentials({ refresh_token: refreshToken });
+                return google.gmail({ version: 'v1', auth });
+            });
+        }
+        return gmailPromise;
+    };
+    
+    return async (message) => {
+        const gmail = await getGmail();
+        await gmail.users.messages.send({
+            userId: 'me',
+            requestBody: { raw: Buffer.from(buildMessage(message)).toString('base64url') }
+        });
+    };
+};
+
+export default {
+    createGmailSender
+};
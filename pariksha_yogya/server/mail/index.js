@@ -0,0 +1,61 @@
+/**
+ * Mailer
+ * For PRATIYOGITA YOGYA - Account API
+ *
+ * Pluggable mail transports:
+ * - smtp: sends over SMTP (a local mail catcher like Mailpit in development)
+ * - gmail: sends through the Gmail API with an OAuth refresh token
+ * - console: prints messages to the server log
+ * - memory: keeps messages in mailer.sent (tests)
+ */
+
+import { sendSmtpMail } from './smtp.js';
+import { createGmailSender } from './gmail.js';
+
+export const MAIL_TRANSPORTS = ['smtp', 'gmail', 'console', 'memory'];
+
+/**
+ * Create a mailer
+ * @param {Object} options - { transport, host, port, from, gmail? }
+ * @returns {{send: Function, sent: Array}}
+ */
+export const createMailer = ({ transport = 'smtp', host = 'localhost', port = 1025, from, gmail } = {}) => {
+    if (!MAIL_TRANSPORTS.includes(transport)) {
+        throw new Error(`Unknown mail transport "${transport}" (expected one of ${MAIL_TRANSPORTS.join(', ')})`);
+    }
+    
+    const sent = [];
+    const sendGmail = transport === 'gmail' ? createGmailSender(gmail || {}) : null;
+    
+    return {
+        sent,
+        
+        /**
+         * Send a plain-text message
+         * @param {Object} message - { to, subject, text }
+         * @returns {Promise<void>}
+         */
+        send: async (message) => {
+            const fullMessage = { from, ...message };
+            
+            if (transport === 'memory') {
+                sent.push(fullMessage);
+                return;
+            }
+            if (transport === 'console') {
+                console.log(`[mail] To: ${fullMessage.to}\n[mail] Subject: ${fullMessage.subject}\n${fullMessage.text}`);
+                return;
+            }
+            if (sendGmail) {
+                await sendGmail(fullMessage);
+                return;
+            }
+            await sendSmtpMail({ host, port }, fullMessage);
+        }
+    };
+};
+
+export default {
+    MAIL_TRANSPORTS,
+    createMailer
+};
@@ -0,0 +1,128 @@
+/**
+ * Minimal SMTP Client
+ * For PRATIYOGITA YOGYA - Account API
+ *
+ * Plain SMTP without TLS or AUTH - enough for a local mail catcher such as
+ * Mailpit or MailHog (default localhost:1025). Use a relay that speaks
+ * plain SMTP on a private network in production, or add a transport.
+ */
+
+import { createConnection } from 'node:net';
+
+const SMTP_TIMEOUT_MS = 10000;
+
+/**
+ * Encode a header value as RFC 2047 UTF-8 if it is not plain ASCII
+ * @param {string} value
+ * @returns {string}
+ */
+const encodeHeader = (value) => {
+    if (/^[\x20-\x7e]*$/.test(value)) return value;
+    return `=?UTF-8?B?${Buffer.from(value, 'utf8').toString('base64')}?=`;
+};
+
+/**
+ * Address part of "Name <address>"
+ * @param {string} mailbox
+ * @returns {string}
+ */
+const getAddress = (mailbox) => {
+    const match = String(mailbox).match(/<([^>]+)>/);
+    return (match ? match[1] : String(mailbox)).trim();
+};
+
+/**
+ * Build the message: headers, blank line, body with CRLF endings
+ * (also the raw message sent through the Gmail API)
+ * @param {Object} message - { from, to, subject, text }
+ * @returns {string}
+ */
+export const buildMessage = ({ from, to, subject, text }) => {
+    const headers = [
+        `From: ${from}`,
+        `To: ${to}`,
+        `Subject: ${encodeHeader(subject)}`,
+        `Date: ${new Date().toUTCString()}`,
+        'MIME-Version: 1.0',
+        'Content-Type: text/plain; charset=utf-8',
+        'Content-Transfer-Encoding: 8bit'
+    ];
+    const body = String(text).replace(/\r?\n/g, '\r\n');
+    
+    return `${headers.join('\r\n')}\r\n\r\n${body}`;
+};
+
+/**
+ * Escape lines starting with "." so they cannot end the DATA section
+ * @param {string} message - From buildMessage
+ * @returns {string}
+ */
+const stuffDots = (message) => message
+    .split('\r\n')
+    .map(line => (line.startsWith('.') ? `.${line}` : line))
+    .join('\r\n');
+
+/**
+ * Send one message over SMTP
+ * @param {Object} server - { host, port }
+ * @param {Object} message - { from, to, subject, text }
+ * @returns {Promise<void>}
+ */
+export const sendSmtpMail = ({ host, port }, message) => new Promise((resolve, reject) => {
+    // Each step: command to send (null for the greeting) and the reply code expected
+    const steps = [
+        { command: null, expect: 220 },
+        { command: 'EHLO localhost', expect: 250 },
+        { command: `MAIL FROM:<${getAddress(message.from)}>`, expect: 250 },
+        { command: `RCPT TO:<${getAddress(message.to)}>`, expect: 250 },
+        { command: 'DATA', expect: 354 },
+        { command: `${stuffDots(buildMessage(message))}\r\n.`, expect: 250 },
+        { command: 'QUIT', expect: 221 }
+    ];
+    let stepIndex = 0;
+    let buffer = '';
+    let settled = false;
+    
+    const socket = createConnection({ host, port });
+    socket.setEncoding('utf8');
+    socket.setTimeout(SMTP_TIMEOUT_MS);
+    
+    const finish = (error) => {
+        if (settled) return;
+        settled = true;
+        socket.destroy();
+        if (error) reject(error);
+        else resolve();
+    };
+    
+    socket.on('data', chunk => {
+        buffer += chunk;
+        // A reply is complete at a line "NNN text" (multi-line replies use "NNN-text")
+        let match;
+        while ((match = buffer.match(/^(\d{3})([ -])[^\r\n]*\r?\n/))) {
+            buffer = buffer.slice(match[0].length);
+            if (match[2] === '-') continue;
+            
+            const step = steps[stepIndex];
+            if (Number(match[1]) !== step.expect) {
+                finish(new Error(`SMTP error after "${(step.command || 'connect').split('\r\n')[0]}": ${match[0].trim()}`));
+                return;
+            }
+            
+            stepIndex++;
+            if (stepIndex === steps.length) {
+                finish();
+                return;
+            }
+            socket.write(`${steps[stepIndex].command}\r\n`);
+        }
+    });
+    socket.on('timeout', () => finish(new Error('SMTP server timed out')));
+    socket.on('error', finish);
+    socket.on('close', () => finish(stepIndex >= steps.length - 1 ? null : new Error('SMTP connection closed early')));
+});
+
+export default {
+    buildMessage,
+    sendSmtpMail
+};
@@ -0,0 +1,60 @@
+/**
+ * Notifier
+ * For PRATIYOGITA YOGYA - Account API
+ *
+ * Delivers notifications (exam reminders) to users through a pluggable
+ * transport:
+ * - email: through the mailer (any MAIL_TRANSPORT)
+ * - console: prints notifications to the server log
+ * - memory: keeps notifications in notifier.sent (tests)
+ * - or any object with deliver(notification), e.g. a push service
+ */
+
+export const NOTIFIER_TRANSPORTS = ['email', 'console', 'memory'];
+
+/**
+ * Create a notifier
+ * @param {Object} options - { transport, mailer }
+ * @returns {{notify: Function, sent: Array}}
+ */
+export const createNotifier = ({ transport = 'email', mailer } = {}) => {
+    const custom = typeof transport === 'object' && transport !== null;
+    if (!custom && !NOTIFIER_TRANSPORTS.includes(transport)) {
+        throw new Error(`Unknown notifier transport "${transport}" (expected one of ${NOTIFIER_TRANSPORTS.join(', ')})`);
+    }
+    if (transport === 'email' && !mailer) {
+        throw new Error('The email notifier transport needs a mailer');
+    }
+    
+    const sent = [];
+    
+    return {
+        sent,
+        
+        /**
+         * Deliver one notification
+         * @param {Object} notification - { user, subject, text, key }
+         * @returns {Promise<void>}
+         */
+        notify: async (notification) => {
+            if (custom) {
+                await transport.deliver(notification);
+                return;
+            }
+            if (transport === 'memory') {
+                sent.push(notification);
+                return;
+            }
+            if (transport === 'console') {
+                console.log(`[notify] To: ${notification.user.email}\n[notify] ${notification.subject}\n${notification.text}`);
+                return;
+            }
+            await mailer.send({ to: notification.user.email, subject: notification.subject, text: notification.text });
+        }
+    };
+};
+
+export default {
+    NOTIFIER_TRANSPORTS,
+    createNotifier
+};
@@ -0,0 +1,258 @@
+/**
+ * Exam Reminders
+ * For PRATIYOGITA YOGYA - Account API
+ *
+ * Works out upcoming exam sessions from the exam JSON files and which users
+ * to remind about them:
+ * - exam_date ("12 APRIL 2026", "MAY 2026" or DD-MM-YYYY) dates the first
+ *   session of its year
+ * - later sessions ("2026-II", "2027-I", ...) are spaced by
+ *   exam_frequency_year sessions per year and marked as estimated
+ * - a user is reminded when one of their saved profiles passes the
+ *   eligibility check for that session (any post/academy)
+ *
+ * Dates are calendar dates, held as Date objects at UTC midnight.
+ */
+
+import { checkFullEligibility } from '../../src/eligibility/checker/index.js';
+import { parseSchemaDate } from '../../src/eligibility/examSchema.js';
+import { examHasDivisions, getDivisionOptions, getDivisionData, getExamSessionOptions } from '../../../packages/exam-catalogue/examStructure.js';
+import { prepareUserInput } from '../../src/eligibility/userInput.js';
+
+// ============================================
+// CONSTANTS
+// ============================================
+
+const MONTHS = [
+    'JANUARY', 'FEBRUARY', 'MARCH', 'APRIL', 'MAY', 'JUNE',
+    'JULY', 'AUGUST', 'SEPTEMBER', 'OCTOBER', 'NOVEMBER', 'DECEMBER'
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// "12 APRIL 2026", "12 APR 2026", "APRIL 2026"
+const WORD_DATE_PATTERN = /^(?:(\d{1,2})\s+)?([A-Z]{3,9})\.?,?\s+(\d{4})$/;
+
+// "2026-I", "2026-II", "2026"
+const SESSION_PATTERN = /^(\d{4})(?:\s*-\s*(I{1,3}|IV))?$/;
+
+const ROMAN_INDEX = { I: 1, II: 2, III: 3, IV: 4 };
+
+// ============================================
+// DATES
+// ============================================
+
+/**
+ * Parse an exam_date value
+ * @param {string} value
+ * @returns {{date: Date, approximate: boolean}|null} - approximate when only the month is known
+ */
+export const parseExamDate = (value) => {
+    const text = String(value || '').trim().toUpperCase();
+    const exact = parseSchemaDate(text);
+    if (exact) return { date: exact, approximate: false };
+    
+    const match = text.match(WORD_DATE_PATTERN);
+    if (!match) return null;
+    const month = MONTHS.findIndex(name => name.startsWith(match[2]) && match[2].length >= 3);
+    if (month === -1) return null;
+    
+    const year = Number(match[3]);
+    const day = match[1] ? Number(match[1]) : 1;
+    const date = new Date(Date.UTC(year, month, day));
+    if (date.getUTCMonth() !== month) return null;
+    return { date, approximate: !match[1] };
+};
+
+/**
+ * Today's date in a time zone
+ * @param {Date} now
+ * @param {string} timeZone - e.g. "Asia/Kolkata"
+ * @returns {Date} - UTC midnight of the local date
+ */
+export const getLocalDate = (now, timeZone) => {
+    const [year, month, day] = new Intl.DateTimeFormat('en-CA', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' })
+        .format(now)
+        .split('-')
+        .map(Number);
+    return new Date(Date.UTC(year, month - 1, day));
+};
+
+/**
+ * Same day of the month, some months later (clamped to the month's end)
+ * @param {Date} date
+ * @param {number} months
+ * @returns {Date}
+ */
+const addMonths = (date, months) => {
+    const target = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + months, 1));
+    const lastDay = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate();
+    target.setUTCDate(Math.min(date.getUTCDate(), lastDay));
+    return target;
+};
+
+/**
+ * Format a date for messages: "12 April 2027"
+ * @param {Date} date
+ * @returns {string}
+ */
+export const formatReminderDate = (date) => (
+    date.toLocaleDateString('en-IN', { day: 'numeric', month: 'long', year: 'numeric', timeZone: 'UTC' })
+);
+
+// ============================================
+// EXAM CALENDAR
+// ============================================
+
+/**
+ * Parse a session key
+ * @param {string} key - e.g. "2027-I"
+ * @returns {{year: number, index: number}|null}
+ */
+const parseSessionKey = (key) => {
+    const match = String(key).trim().toUpperCase().match(SESSION_PATTERN);
+    if (!match) return null;
+    return { year: Number(match[1]), index: match[2] ? ROMAN_INDEX[match[2]] : 1 };
+};
+
+/**
+ * Dated sessions of one block (the exam itself or one division)
+ * @param {Object} block
+ * @param {Object} examData - For exam-level exam_date / exam_frequency_year
+ * @returns {Array<{session: string, sessionKey: string|null, date: Date, estimated: boolean}>}
+ */
+const getBlockSessions = (block, examData) => {
+    const anchor = parseExamDate(block.exam_date || examData.exam_date);
+    if (!anchor) return [];
+    
+    const sessions = getExamSessionOptions(block)
+        .map(option => ({ sessionKey: option.value, parsed: parseSessionKey(option.value) }))
+        .filter(session => session.parsed);
+    if (sessions.length === 0) {
+        return [{ session: String(anchor.date.getUTCFullYear()), sessionKey: null, date: anchor.date, estimated: anchor.approximate }];
+    }
+    
+    const perYear = Number(block.exam_frequency_year || examData.exam_frequency_year) || 1;
+    const anchorYear = anchor.date.getUTCFullYear();
+    const anchorIndex = Math.min(...sessions.filter(session => session.parsed.year === anchorYear).map(session => session.parsed.index));
+    if (!Number.isFinite(anchorIndex)) return [];
+    
+    return sessions
+        .filter(({ parsed }) => parsed.index <= perYear && (parsed.index === anchorIndex || 12 % perYear === 0))
+        .map(({ sessionKey, parsed }) => {
+            const months = (parsed.year - anchorYear) * 12 + (parsed.index - anchorIndex) * (12 / perYear);
+            return {
+                session: sessionKey,
+                sessionKey,
+                date: addMonths(anchor.date, months),
+                estimated: anchor.approximate || months !== 0
+            };
+        });
+};
+
+/**
+ * Upcoming and past sessions of an exam, with the blocks to check for each
+ * @param {string} examId
+ * @param {Object} examData - Exam JSON
+ * @returns {Array<{examId, examLabel, session, date, estimated, targets: Array<{division, sessionKey, block}>}>}
+ */
+export const getExamCalendar = (examId, examData) => {
+    const blocks = examHasDivisions(examData)
+        ? getDivisionOptions(examData)
+            .map(option => ({ division: option.value, block: getDivisionData(examData, option.value) }))
+            .filter(entry => entry.block)
+        : [{ division: null, block: examData }];
+    
+    // exam_name often names one session ("... (I), 2026"), so prefer the code
+    const examLabel = examData.exam_code || examData.exam_name || examId;
+    const events = new Map();
+    blocks.forEach(({ division, block }) => {
+        getBlockSessions(block, examData).forEach(({ session, sessionKey, date, estimated }) => {
+            const id = `${session}|${date.toISOString()}`;
+            if (!events.has(id)) {
+                events.set(id, { examId, examLabel, session, date, estimated, targets: [] });
+            }
+            events.get(id).targets.push({ division, sessionKey, block });
+        });
+    });
+    return [...events.values()].sort((a, b) => a.date - b.date);
+};
+
+/**
+ * Calendar events to remind about today
+ * An event is due at the smallest lead time that is not before today, so a
+ * missed run or a newly added exam still gets one reminder, not several
+ * @param {Array} calendar - From getExamCalendar
+ * @param {Date} today - From getLocalDate
+ * @param {number[]} leadDays - e.g. [30, 7, 1]
+ * @returns {Array} - Events with { leadDays, daysUntil, key }
+ */
+export const getDueReminders = (calendar, today, leadDays) => calendar.flatMap(event => {
+    const daysUntil = Math.round((event.date - today) / DAY_MS);
+    if (daysUntil < 0) return [];
+    const lead = Math.min(...leadDays.filter(days => days >= daysUntil));
+    if (!Number.isFinite(lead)) return [];
+    return [{ ...event, leadDays: lead, daysUntil, key: `${event.examId}:${event.session}:${lead}` }];
+});
+
+// ============================================
+// RECIPIENTS
+// ============================================
+
+/**
+ * First saved profile that is eligible for a reminder's session
+ * @param {Array} profiles - Saved profile records ({ name, formData, educationTableData })
+ * @param {Object} reminder - From getDueReminders
+ * @returns {{profile: Object, divisions: string[]}|null} - divisions the profile qualifies for
+ */
+export const findEligibleProfile = (profiles, reminder) => {
+    for (const profile of profiles) {
+        if (!profile.formData?.date_of_birth) continue;
+        const userInput = prepareUserInput(profile.formData, profile.educationTableData || {});
+        const eligibleTargets = reminder.targets.filter(target => (
+            checkFullEligibility(userInput, target.block, target.sessionKey).eligible
+        ));
+        if (eligibleTargets.length > 0) {
+            return { profile, divisions: eligibleTargets.map(target => target.division).filter(Boolean) };
+        }
+    }
+    return null;
+};
+
+/**
+ * Reminder email for one user
+ * @param {Object} options - { reminder, user, match, appUrl }
+ * @returns {{subject: string, text: string}}
+ */
+export const buildReminderMessage = ({ reminder, user, match, appUrl }) => {
+    const when = reminder.daysUntil === 0 ? 'today' : reminder.daysUntil === 1 ? 'tomorrow' : `in ${reminder.daysUntil} days`;
+    const date = formatReminderDate(reminder.date);
+    const dateLine = reminder.estimated
+        ? `is expected around ${date}, going by the last announced dates. Check the official notification for the exact date and application window.`
+        : `is on ${date}.`;
+    const divisions = match.divisions.length > 0 ? ` for ${match.divisions.join(', ')}` : '';
+    
+    return {
+        subject: `${reminder.examLabel} ${reminder.session}: exam ${when}`,
+        text: [
+            `Hi ${user.name},`,
+            '',
+            `${reminder.examLabel} ${reminder.session} ${dateLine}`,
+            `Your saved profile "${match.profile.name}" meets the eligibility rules${divisions}.`,
+            '',
+            `Check the details: ${appUrl}/check-eligibility`,
+            '',
+            `You get these reminders because exam reminders are on in your account. Turn them off at ${appUrl}/account.`
+        ].join('\n')
+    };
+};
+
+export default {
+    parseExamDate,
+    getLocalDate,
+    formatReminderDate,
+    getExamCalendar,
+    getDueReminders,
+    findEligibleProfile,
+    buildReminderMessage
+};
@@ -0,0 +1,107 @@
+/**
+ * Exam Reminder Job
+ * For PRATIYOGITA YOGYA - Account API
+ *
+ * Once a day (node-cron, REMINDER_SCHEDULE) works out which exam sessions
+ * are coming up and reminds verified users who turned exam reminders on and
+ * have an eligible saved profile. Each reminder is recorded in
+ * notificationLog so it goes out once per user, even across restarts.
+ */
+
+import cron from 'node-cron';
+
+import { buildReminderMessage, findEligibleProfile, getDueReminders, getExamCalendar, getLocalDate } from './reminders.js';
+
+// Sent reminders older than this are dropped from the log
+const LOG_RETENTION_DAYS = 400;
+
+/**
+ * Data of every exam with a linked file
+ * @param {Object} examFiles - From createExamFiles
+ * @returns {Promise<Array<{examId: string, data: Object}>>}
+ */
+const loadLinkedExams = async (examFiles) => {
+    const categories = await examFiles.listExams();
+    const linked = categories.flatMap(group => group.exams).filter(exam => exam.linkedFile);
+    return Promise.all(linked.map(async exam => ({ examId: exam.examId, data: (await examFiles.getExam(exam.examId)).data })));
+};
+
+/**
+ * Send today's exam reminders
+ * @param {Object} deps - { config, store, examFiles, notifier, now? }
+ * @returns {Promise<{due: number, sent: number, failed: number}>}
+ */
+export const runReminderJob = async ({ config, store, examFiles, notifier, now = new Date() }) => {
+    const { timezone, leadDays } = config.reminders;
+    const today = getLocalDate(now, timezone);
+    
+    const exams = await loadLinkedExams(examFiles);
+    const due = exams.flatMap(({ examId, data }) => getDueReminders(getExamCalendar(examId, data), today, leadDays));
+    if (due.length === 0) return { due: 0, sent: 0, failed: 0 };
+    
+    const data = await store.read();
+    const alreadySent = new Set(data.notificationLog.map(entry => `${entry.userId}|${entry.key}`));
+    const recipients = data.users.filter(user => (
+        user.emailVerified
+        && data.accounts[user.id]?.notifications?.examReminders
+        && data.accounts[user.id].profiles.length > 0
+    ));
+    
+    let sent = 0;
+    let failed = 0;
+    for (const user of recipients) {
+        for (const reminder of due) {
+            if (alreadySent.has(`${user.id}|${reminder.key}`)) continue;
+            const match = findEligibleProfile(data.accounts[user.id].profiles, reminder);
+            if (!match) continue;
+            
+            try {
+                const message = buildReminderMessage({ reminder, user, match, appUrl: config.appUrl });
+                await notifier.notify({ user, key: reminder.key, ...message });
+                await store.update(current => {
+                    current.notificationLog.push({ userId: user.id, key: reminder.key, sentAt: now.toISOString() });
+                });
+                sent++;
+            } catch (error) {
+                // Not logged as sent, so the next run tries again
+                console.error(`Could not send reminder ${reminder.key} to user ${user.id}:`, error.message);
+                failed++;
+            }
+        }
+    }
+    
+    const cutoff = now.getTime() - LOG_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+    await store.update(current => {
+        current.notificationLog = current.notificationLog.filter(entry => Date.parse(entry.sentAt) >= cutoff);
+    });
+    
+    return { due: due.length, sent, failed };
+};
+
+/**
+ * Run the reminder job on config.reminders.schedule
+ * @param {Object} deps - { config, store, examFiles, notifier }
+ * @returns {Object|null} - node-cron task, or null when reminders are off
+ * @throws {Error} - If the schedule is not a valid cron expression
+ */
+export const startReminderScheduler = (deps) => {
+    const { schedule, timezone } = deps.config.reminders;
+    if (schedule === 'off') return null;
+    if (!cron.validate(schedule)) {
+        throw new Error(`REMINDER_SCHEDULE "${schedule}" is not a valid cron expression`);
+    }
+    
+    return cron.schedule(schedule, async () => {
+        try {
+            const result = await runReminderJob(deps);
+            console.log(`Exam reminders: ${result.sent} sent, ${result.failed} failed (${result.due} sessions due)`);
+        } catch (error) {
+            console.error('Exam reminder job failed:', error);
+        }
+    }, { timezone, name: 'exam-reminders', noOverlap: true });
+};
+
+export default {
+    runReminderJob,
+    startReminderScheduler
+};
@@ -0,0 +1,57 @@
+/**
+ * Rate Limiting
+ * For PRATIYOGITA YOGYA - Account API
+ *
+ * Fixed-window request counter per key (usually the client IP), kept in
+ * memory. Enough for a single API process; counters reset on restart.
+ */
+
+/**
+ * Create a rate limiter
+ * @param {Object} options - { windowMs, max, now? }
+ * @returns {{hit: Function, reset: Function}}
+ */
+export const createRateLimiter = ({ windowMs, max, now = Date.now }) => {
+    const windows = new Map();
+    
+    /**
+     * Drop windows that have ended so the map does not grow forever
+     * @param {number} time
+     */
+    const prune = (time) => {
+        windows.forEach((window, key) => {
+            if (window.resetAt <= time) windows.delete(key);
+        });
+    };
+    
+    return {
+        /**
+         * Count one request for a key
+         * @param {string} key
+         * @returns {{allowed: boolean, remaining: number, retryAfterSeconds: number}}
+         */
+        hit: (key) => {
+            const time = now();
+            prune(time);
+            
+            const window = windows.get(key) || { count: 0, resetAt: time + windowMs };
+            window.count++;
+            windows.set(key, window);
+            
+            return {
+                allowed: window.count <= max,
+                remaining: Math.max(0, max - window.count),
+                retryAfterSeconds: Math.ceil((window.resetAt - time) / 1000)
+            };
+        },
+        
+        /**
+         * Forget every counter
+         */
+        reset: () => windows.clear()
+    };
+};
+
+export default {
+    createRateLimiter
+};
@@ -0,0 +1,190 @@
+/**
+ * Account Routes
+ * For PRATIYOGITA YOGYA - Account API
+ *
+ * Saved profiles and the latest results, stored per user so they follow the
+ * user across devices. All routes need a signed-in user.
+ *
+ * GET /api/account/profiles   → { profiles, deletedIds }
+ * PUT /api/account/profiles   { profiles, deletedIds } → { profiles, deletedIds }
+ *
+ * deletedIds lists profiles deleted on some device, so other devices drop
+ * their local copy on the next sync instead of uploading it again.
+ * GET /api/account/results    → { results }
+ * PUT /api/account/results    { results } → { results }
+ * GET /api/account/notifications   → { notifications }
+ * PUT /api/account/notifications   { examReminders } → { notifications }
+ *
+ * Exam reminders (server/notifications/) are off until the user turns them on.
+ */
+
+import { HttpError } from '../http.js';
+
+// ============================================
+// CONSTANTS
+// ============================================
+
+export const MAX_SYNCED_PROFILES = 20;
+
+// Deleted profile IDs kept for other devices (oldest are dropped first)
+export const MAX_DELETED_PROFILE_IDS = 200;
+
+const DEFAULT_NOTIFICATIONS = { examReminders: false };
+
+// ============================================
+// HELPERS
+// ============================================
+
+/**
+ * Account entry for a user, created on first use
+ * @param {Object} data - Store document (changed in place)
+ * @param {string} userId
+ * @returns {{profiles: Array, results: Object|null}}
+ */
+const getAccount = (data, userId) => {
+    if (!data.accounts[userId]) {
+        data.accounts[userId] = { profiles: [], deletedProfileIds: [], results: null };
+    }
+    return data.accounts[userId];
+};
+
+/**
+ * Validate saved profile records sent by the browser
+ * (the record format itself belongs to src/eligibility/profileStore.js)
+ * @param {*} profiles
+ * @returns {Array}
+ * @throws {HttpError}
+ */
+const validateProfiles = (profiles) => {
+    if (!Array.isArray(profiles)) {
+        throw new HttpError(400, 'INVALID_PROFILES', 'profiles must be an array');
+    }
+    if (profiles.length > MAX_SYNCED_PROFILES) {
+        throw new HttpError(400, 'TOO_MANY_PROFILES', `You can save up to ${MAX_SYNCED_PROFILES} profiles`);
+    }
+    profiles.forEach(profile => {
+        const valid = profile && typeof profile === 'object'
+            && typeof profile.id === 'string' && profile.id
+            && typeof profile.name === 'string' && profile.name
+            && Number.isInteger(profile.version);
+        if (!valid) {
+            throw new HttpError(400, 'INVALID_PROFILES', 'Each profile needs an id, name and version');
+        }
+    });
+    return profiles;
+};
+
+/**
+ * Validate deleted profile IDs sent by the browser
+ * @param {*} deletedIds
+ * @returns {string[]}
+ * @throws {HttpError}
+ */
+const validateDeletedIds = (deletedIds = []) => {
+    if (!Array.isArray(deletedIds) || deletedIds.some(id => typeof id !== 'string' || !id)) {
+        throw new HttpError(400, 'INVALID_PROFILES', 'deletedIds must be an array of profile IDs');
+    }
+    return deletedIds;
+};
+
+// ============================================
+// ROUTES
+// ============================================
+
+/**
+ * Account route table
+ * @param {Object} deps - { store }
+ * @returns {Array<{method: string, path: string, auth: boolean, handler: Function}>}
+ */
+export const createAccountRoutes = ({ store }) => [
+    {
+        method: 'GET',
+        path: '/api/account/profiles',
+        auth: true,
+        handler: async ({ user }) => {
+            const data = await store.read();
+            const account = data.accounts[user.id];
+            return {
+                body: {
+                    profiles: account?.profiles || [],
+                    deletedIds: account?.deletedProfileIds || []
+                }
+            };
+        }
+    },
+    {
+        method: 'PUT',
+        path: '/api/account/profiles',
+        auth: true,
+        handler: async ({ user, body }) => {
+            const profiles = validateProfiles(body.profiles);
+            const newDeletedIds = validateDeletedIds(body.deletedIds);
+            
+            const deletedIds = await store.update(data => {
+                const account = getAccount(data, user.id);
+                const keptIds = new Set(profiles.map(profile => profile.id));
+                const allDeleted = [...new Set([...(account.deletedProfileIds || []), ...newDeletedIds])]
+                    .filter(id => !keptIds.has(id));
+                
+                account.profiles = profiles;
+                account.deletedProfileIds = allDeleted.slice(-MAX_DELETED_PROFILE_IDS);
+                return account.deletedProfileIds;
+            });
+            return { body: { profiles, deletedIds } };
+        }
+    },
+    {
+        method: 'GET',
+        path: '/api/account/results',
+        auth: true,
+        handler: async ({ user }) => {
+            const data = await store.read();
+            return { body: { results: data.accounts[user.id]?.results || null } };
+        }
+    },
+    {
+        method: 'PUT',
+        path: '/api/account/results',
+        auth: true,
+        handler: async ({ user, body }) => {
+            if (!body.results || typeof body.results !== 'object' || Array.isArray(body.results)) {
+                throw new HttpError(400, 'INVALID_RESULTS', 'results must be an object');
+            }
+            const results = { ...body.results, savedAt: new Date().toISOString() };
+            await store.update(data => {
+                getAccount(data, user.id).results = results;
+            });
+            return { body: { results } };
+        }
+    },
+    {
+        method: 'GET',
+        path: '/api/account/notifications',
+        auth: true,
+        handler: async ({ user }) => {
+            const data = await store.read();
+            return { body: { notifications: { ...DEFAULT_NOTIFICATIONS, ...data.accounts[user.id]?.notifications } } };
+        }
+    },
+    {
+        method: 'PUT',
+        path: '/api/account/notifications',
+        auth: true,
+        handler: async ({ user, body }) => {
+            if (typeof body.examReminders !== 'boolean') {
+                throw new HttpError(400, 'INVALID_NOTIFICATIONS', 'examReminders must be true or false');
+            }
+            const notifications = { examReminders: body.examReminders };
+            await store.update(data => {
+                getAccount(data, user.id).notifications = notifications;
+            });
+            return { body: { notifications } };
+        }
+    }
+];
+
+export default {
+    MAX_SYNCED_PROFILES,
+    MAX_DELETED_PROFILE_IDS,
+    createAccountRoutes
+};
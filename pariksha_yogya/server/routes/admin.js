@@ -0,0 +1,145 @@
+/**
+ * Admin Routes
+ * For PRATIYOGITA YOGYA - Account API
+ *
+ * Support ticket triage and exam authoring for the team. Every route needs
+ * a verified user whose email is listed in ADMIN_EMAILS.
+ *
+ * GET   /api/admin/tickets       ?status=&category=&q= → { tickets, counts }
+ * PATCH /api/admin/tickets/:id   { status?, note? } → { ticket }
+ * GET   /api/admin/exams         → { categories: [{ category, exams }] }
+ * GET   /api/admin/exams/:id     → { exam, data }
+ * PUT   /api/admin/exams/:id     { data } → { exam, warnings }
+ */
+
+import { HttpError } from '../http.js';
+import { createExamFiles } from '../exams.js';
+import {
+    TICKET_CATEGORIES,
+    TICKET_STATUSES,
+    formatTicketReference,
+    validateTicketUpdate
+} from '../tickets.js';
+
+// ============================================
+// HELPERS
+// ============================================
+
+/**
+ * Ticket as shown in the admin listing
+ * @param {Object} ticket
+ * @returns {Object}
+ */
+const toAdminTicket = (ticket) => ({ ...ticket, reference: formatTicketReference(ticket) });
+
+/**
+ * Check if a ticket matches the listing filters
+ * @param {Object} ticket
+ * @param {URLSearchParams} query - status, category, q (free text)
+ * @returns {boolean}
+ */
+const matchesFilters = (ticket, query) => {
+    const status = query.get('status');
+    const category = query.get('category');
+    const search = (query.get('q') || '').trim().toLowerCase();
+    
+    if (status && ticket.status !== status) return false;
+    if (category && ticket.category !== category) return false;
+    if (search) {
+        const haystack = [formatTicketReference(ticket), ticket.name, ticket.email, ticket.examId, ticket.message]
+            .filter(Boolean)
+            .join(' ')
+            .toLowerCase();
+        if (!haystack.includes(search)) return false;
+    }
+    return true;
+};
+
+// ============================================
+// ROUTES
+// ============================================
+
+/**
+ * Admin route table
+ * @param {Object} deps - { store, config, examFiles? }
+ * @returns {Array<{method: string, path: string, admin: boolean, handler: Function}>}
+ */
+export const createAdminRoutes = ({
+    store,
+    config,
+    examFiles = createExamFiles({ examsDir: config.examsDir, templatesDir: config.examTemplatesDir })
+}) => [
+    {
+        method: 'GET',
+        path: '/api/admin/tickets',
+        admin: true,
+        handler: async ({ query }) => {
+            const data = await store.read();
+            
+            const counts = Object.fromEntries(TICKET_STATUSES.map(status => [status, 0]));
+            data.tickets.forEach(ticket => {
+                counts[ticket.status] = (counts[ticket.status] || 0) + 1;
+            });
+            
+            const tickets = data.tickets
+                .filter(ticket => matchesFilters(ticket, query))
+                .sort((a, b) => b.number - a.number)
+                .map(toAdminTicket);
+            
+            return { body: { tickets, counts, categories: TICKET_CATEGORIES, statuses: TICKET_STATUSES } };
+        }
+    },
+    {
+        method: 'PATCH',
+        path: '/api/admin/tickets/:id',
+        admin: true,
+        handler: async ({ params, body, user }) => {
+            const update = validateTicketUpdate(body);
+            
+            const ticket = await store.update(data => {
+                const stored = data.tickets.find(candidate => candidate.id === params.id);
+                if (!stored) {
+                    throw new HttpError(404, 'TICKET_NOT_FOUND', 'Ticket not found');
+                }
+                const now = new Date().toISOString();
+                if (update.status) {
+                    stored.status = update.status;
+                }
+                if (update.note) {
+                    stored.notes.push({ author: user.email, text: update.note, createdAt: now });
+                }
+                stored.updatedAt = now;
+                return stored;
+            });
+            
+            return { body: { ticket: toAdminTicket(ticket) } };
+        }
+    },
+    {
+        method: 'GET',
+        path: '/api/admin/exams',
+        admin: true,
+        handler: async () => ({ body: { categories: await examFiles.listExams() } })
+    },
+    {
+        method: 'GET',
+        path: '/api/admin/exams/:id',
+        admin: true,
+        handler: async ({ params }) => ({ body: await examFiles.getExam(params.id) })
+    },
+    {
+        method: 'PUT',
+        path: '/api/admin/exams/:id',
+        admin: true,
+        handler: async ({ params, body }) => {
+            if (!body.data || typeof body.data !== 'object' || Array.isArray(body.data)) {
+                throw new HttpError(400, 'INVALID_EXAM_DATA', 'Exam data must be a JSON object');
+            }
+            return { body: await examFiles.saveExam(params.id, body.data) };
+        }
+    }
+];
+
+export default {
+    createAdminRoutes
+};
@@ -0,0 +1,360 @@
+/**
+ * Auth Routes
+ * For PRATIYOGITA YOGYA - Account API
+ *
+ * POST /api/auth/signup               { name, email, password } → 201 { email, verificationEmailSent }
+ * POST /api/auth/verify-email         { token } → { user } and signs in
+ * POST /api/auth/resend-verification  { email } → { ok }
+ * POST /api/auth/login                { email, password, remember } → { user }
+ * POST /api/auth/logout               → { ok }
+ * POST /api/auth/logout-all           → { ok }, ends the session on every device
+ * GET  /api/auth/me                   → { user }
+ *
+ * Signup and resend-verification answer the same whether or not the email has
+ * an account, so neither tells anyone which emails are registered. Signing up
+ * with a registered email mails its owner a notice instead.
+ *
+ * Login, signup and resend-verification are rate-limited per client IP, and
+ * login and the emails per address, so passwords cannot be guessed and
+ * emails cannot be sent without limit.
+ */
+
+import { randomUUID } from 'node:crypto';
+
+import { HttpError, serializeCookie } from '../http.js';
+import { createRateLimiter } from '../rateLimit.js';
+import { hashPassword, verifyPassword, getPasswordProblem } from '../auth/passwords.js';
+import {
+    SESSION_COOKIE,
+    SESSION_TTL,
+    REMEMBER_ME_TTL,
+    signJwt,
+    hashToken,
+    createVerificationToken
+} from '../auth/tokens.js';
+
+// ============================================
+// CONSTANTS
+// ============================================
+
+const MAX_NAME_LENGTH = 80;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Requests allowed in each window, per client IP or per email address
+export const AUTH_RATE_LIMITS = {
+    loginPerIp: { windowMs: 15 * 60 * 1000, max: 20 },
+    loginPerEmail: { windowMs: 15 * 60 * 1000, max: 10 },
+    signupPerIp: { windowMs: 60 * 60 * 1000, max: 5 },
+    emailPerIp: { windowMs: 60 * 60 * 1000, max: 5 },
+    emailPerAddress: { windowMs: 60 * 60 * 1000, max: 3 }
+};
+
+// ============================================
+// HELPERS
+// ============================================
+
+/**
+ * User fields safe to send to the browser
+ * @param {Object} user
+ * @returns {{id: string, name: string, email: string, emailVerified: boolean, createdAt: string}}
+ */
+export const toPublicUser = (user) => ({
+    id: user.id,
+    name: user.name,
+    email: user.email,
+    emailVerified: user.emailVerified,
+    createdAt: user.createdAt
+});
+
+/**
+ * Lowercase, trimmed email
+ * @param {string} email
+ * @returns {string}
+ */
+export const normalizeEmail = (email) => String(email || '').trim().toLowerCase();
+
+/**
+ * Validate signup input
+ * @param {Object} body - { name, email, password }
+ * @returns {{name: string, email: string, password: string}}
+ * @throws {HttpError}
+ */
+const validateSignup = (body) => {
+    const name = String(body.name || '').trim();
+    const email = normalizeEmail(body.email);
+    
+    if (!name || name.length > MAX_NAME_LENGTH) {
+        throw new HttpError(400, 'INVALID_NAME', `Please enter your name (up to ${MAX_NAME_LENGTH} characters)`);
+    }
+    if (!EMAIL_PATTERN.test(email)) {
+        throw new HttpError(400, 'INVALID_EMAIL', 'Please enter a valid email address');
+    }
+    const passwordProblem = getPasswordProblem(body.password);
+    if (passwordProblem) {
+        throw new HttpError(400, 'WEAK_PASSWORD', passwordProblem);
+    }
+    
+    return { name, email, password: body.password };
+};
+
+/**
+ * Count a request against rate limiters
+ * @param {Array<[Object, string]>} hits - [limiter, key] pairs
+ * @throws {HttpError} - 429 once any of the limits is used up
+ */
+const checkRateLimits = (hits) => {
+    const blocked = hits
+        .map(([limiter, key]) => limiter.hit(key))
+        .filter(limit => !limit.allowed);
+    if (blocked.length > 0) {
+        throw new HttpError(
+            429,
+            'RATE_LIMITED',
+            'Too many attempts. Please try again later.',
+            { 'Retry-After': String(Math.max(...blocked.map(limit => limit.retryAfterSeconds))) }
+        );
+    }
+};
+
+/**
+ * Replace a user's verification tokens with a new one
+ * @param {Object} data - Store document (changed in place)
+ * @param {string} userId
+ * @returns {string} - Token to mail
+ */
+const issueVerificationToken = (data, userId) => {
+    const { token, tokenHash, expiresAt } = createVerificationToken();
+    data.verificationTokens = data.verificationTokens.filter(entry => entry.userId !== userId);
+    data.verificationTokens.push({ tokenHash, userId, expiresAt });
+    return token;
+};
+
+// ============================================
+// ROUTES
+// ============================================
+
+/**
+ * Auth route table
+ * @param {Object} deps - { config, store, mailer, authRateLimiters? } (limiters keyed as AUTH_RATE_LIMITS)
+ * @returns {Array<{method: string, path: string, auth?: boolean, handler: Function}>}
+ */
+export const createAuthRoutes = ({ config, store, mailer, authRateLimiters = {} }) => {
+    const rateLimiters = Object.fromEntries(Object.entries(AUTH_RATE_LIMITS).map(([name, limit]) => [
+        name,
+        authRateLimiters[name] || createRateLimiter(limit)
+    ]));
+    
+    // Checked when the email is unknown, so both login paths take as long
+    let dummyPasswordHash = null;
+    const getDummyPasswordHash = async () => {
+        dummyPasswordHash = dummyPasswordHash || await hashPassword(randomUUID());
+        return dummyPasswordHash;
+    };
+    
+    /**
+     * Session cookie for a user
+     * @param {Object} user
+     * @param {boolean} remember - Keep the session after the browser closes
+     * @returns {string}
+     */
+    const createSessionCookie = (user, remember) => {
+        const ttl = remember ? REMEMBER_ME_TTL : SESSION_TTL;
+        const token = signJwt({ sub: user.id, sv: user.sessionVersion }, config.authSecret, ttl);
+        return serializeCookie(SESSION_COOKIE, token, {
+            secure: config.secureCookies,
+            ...(remember ? { maxAge: ttl } : {})
+        });
+    };
+    
+    const clearSessionCookie = () => serializeCookie(SESSION_COOKIE, '', { secure: config.secureCookies, maxAge: 0 });
+    
+    /**
+     * Send an account email; failures are logged, not thrown.
+     * Anyone can enter any address, so the text is fixed: nothing they typed goes in
+     * @param {Object} email - { to, subject, text }
+     * @returns {Promise<boolean>} - Whether the email was sent
+     */
+    const sendAccountEmail = async (email) => {
+        try {
+            await mailer.send(email);
+            return true;
+        } catch (error) {
+            console.error(`Failed to send "${email.subject}" to ${email.to}:`, error);
+            return false;
+        }
+    };
+    
+    /**
+     * Mail the verification link
+     * @param {string} email
+     * @param {string} token
+     * @returns {Promise<boolean>} - Whether the email was sent
+     */
+    const sendVerificationEmail = (email, token) => sendAccountEmail({
+        to: email,
+        subject: 'Verify your Pariksha Yogya account',
+        text: [
+            'Hello,',
+            '',
+            'Confirm your email address to finish creating your Pariksha Yogya account:',
+            `${config.appUrl}/verify-email?token=${encodeURIComponent(token)}`,
+            '',
+            'The link is valid for 24 hours. If you did not sign up, you can ignore this email.'
+        ].join('\n')
+    });
+    
+    /**
+     * Tell the owner of a registered email that someone tried to sign up with it
+     * @param {string} email
+     * @returns {Promise<boolean>} - Whether the email was sent
+     */
+    const sendAccountExistsEmail = (email) => sendAccountEmail({
+        to: email,
+        subject: 'Your Pariksha Yogya account',
+        text: [
+            'Hello,',
+            '',
+            'Someone tried to create a Pariksha Yogya account with this email address, but it already has one.',
+            `If it was you, log in here: ${config.appUrl}/login`,
+            '',
+            'If it was not you, you can ignore this email.'
+        ].join('\n')
+    });
+    
+    return [
+        {
+            method: 'POST',
+            path: '/api/auth/signup',
+            handler: async ({ body, ip }) => {
+                checkRateLimits([[rateLimiters.signupPerIp, ip]]);
+                const input = validateSignup(body);
+                checkRateLimits([[rateLimiters.emailPerAddress, input.email]]);
+                const passwordHash = await hashPassword(input.password);
+                
+                // No token for a verified account; an unverified one gets a fresh link, as resend-verification would
+                const token = await store.update(data => {
+                    const registered = data.users.find(candidate => candidate.email === input.email);
+                    if (registered) {
+                        return registered.emailVerified ? null : issueVerificationToken(data, registered.id);
+                    }
+                    const newUser = {
+                        id: randomUUID(),
+                        name: input.name,
+                        email: input.email,
+                        passwordHash,
+                        emailVerified: false,
+                        sessionVersion: 1,
+                        createdAt: new Date().toISOString()
+                    };
+                    data.users.push(newUser);
+                    return issueVerificationToken(data, newUser.id);
+                });
+                
+                const verificationEmailSent = token
+                    ? await sendVerificationEmail(input.email, token)
+                    : await sendAccountExistsEmail(input.email);
+                return { status: 201, body: { email: input.email, verificationEmailSent } };
+            }
+        },
+        {
+            method: 'POST',
+            path: '/api/auth/verify-email',
+            handler: async ({ body }) => {
+                const tokenHash = hashToken(body.token || '');
+                const now = Date.now();
+                
+                const user = await store.update(data => {
+                    const entry = data.verificationTokens.find(candidate => candidate.tokenHash === tokenHash);
+                    if (!entry || Date.parse(entry.expiresAt) <= now) {
+                        throw new HttpError(400, 'INVALID_TOKEN', 'This verification link is invalid or has expired');
+                    }
+                    const verified = data.users.find(candidate => candidate.id === entry.userId);
+                    if (!verified) {
+                        throw new HttpError(400, 'INVALID_TOKEN', 'This verification link is invalid or has expired');
+                    }
+                    verified.emailVerified = true;
+                    data.verificationTokens = data.verificationTokens.filter(candidate => candidate.userId !== verified.id);
+                    return verified;
+                });
+                
+                return {
+                    body: { user: toPublicUser(user) },
+                    cookies: [createSessionCookie(user, false)]
+                };
+            }
+        },
+        {
+            method: 'POST',
+            path: '/api/auth/resend-verification',
+            handler: async ({ body, ip }) => {
+                const email = normalizeEmail(body.email);
+                checkRateLimits([[rateLimiters.emailPerIp, ip], [rateLimiters.emailPerAddress, email]]);
+                
+                const pending = await store.update(data => {
+                    const user = data.users.find(candidate => candidate.email === email);
+                    if (!user || user.emailVerified) return null;
+                    return { user, token: issueVerificationToken(data, user.id) };
+                });
+                
+                if (pending) {
+                    await sendVerificationEmail(pending.user.email, pending.token);
+                }
+                return { body: { ok: true } };
+            }
+        },
+        {
+            method: 'POST',
+            path: '/api/auth/login',
+            handler: async ({ body, ip }) => {
+                const email = normalizeEmail(body.email);
+                checkRateLimits([[rateLimiters.loginPerIp, ip], [rateLimiters.loginPerEmail, email]]);
+                
+                const data = await store.read();
+                const user = data.users.find(candidate => candidate.email === email);
+                
+                const passwordOk = await verifyPassword(String(body.password || ''), user ? user.passwordHash : await getDummyPasswordHash());
+                if (!user || !passwordOk) {
+                    throw new HttpError(401, 'INVALID_CREDENTIALS', 'Incorrect email or password');
+                }
+                if (!user.emailVerified) {
+                    throw new HttpError(403, 'EMAIL_NOT_VERIFIED', 'Please verify your email address first. Check your inbox for the link.');
+                }
+                
+                return {
+                    body: { user: toPublicUser(user) },
+                    cookies: [createSessionCookie(user, Boolean(body.remember))]
+                };
+            }
+        },
+        {
+            method: 'POST',
+            path: '/api/auth/logout',
+            handler: async () => ({ body: { ok: true }, cookies: [clearSessionCookie()] })
+        },
+        {
+            method: 'POST',
+            path: '/api/auth/logout-all',
+            auth: true,
+            handler: async ({ user }) => {
+                await store.update(data => {
+                    const stored = data.users.find(candidate => candidate.id === user.id);
+                    if (stored) stored.sessionVersion += 1;
+                });
+                return { body: { ok: true }, cookies: [clearSessionCookie()] };
+            }
+        },
+        {
+            method: 'GET',
+            path: '/api/auth/me',
+            auth: true,
+            handler: async ({ user }) => ({ body: { user: toPublicUser(user) } })
+        }
+    ];
+};
+
+export default {
+    AUTH_RATE_LIMITS,
+    toPublicUser,
+    normalizeEmail,
+    createAuthRoutes
+};
@@ -0,0 +1,97 @@
+/**
+ * Contact Routes
+ * For PRATIYOGITA YOGYA - Account API
+ *
+ * POST /api/contact   { firstName, lastName, email, phoneNumber, category, message, examId? }
+ *                     → 201 { ticket: { reference, acknowledgementSent } }
+ *
+ * Submissions are rate-limited per client IP and stored as support tickets
+ * (server/tickets.js). An acknowledgement email is sent through the mailer;
+ * if it fails the ticket is still kept.
+ */
+
+import { HttpError } from '../http.js';
+import { createRateLimiter } from '../rateLimit.js';
+import {
+    validateContactSubmission,
+    createTicket,
+    formatTicketReference,
+    buildAcknowledgementEmail
+} from '../tickets.js';
+
+// ============================================
+// CONSTANTS
+// ============================================
+
+// Submissions allowed per IP in each window
+export const CONTACT_RATE_LIMIT = { windowMs: 15 * 60 * 1000, max: 5 };
+
+// Hidden form field that people never fill in, but form-filling bots do
+export const HONEYPOT_FIELD = 'website';
+
+// ============================================
+// ROUTES
+// ============================================
+
+/**
+ * Contact route table
+ * @param {Object} deps - { store, mailer, contactRateLimiter? }
+ * @returns {Array<{method: string, path: string, handler: Function}>}
+ */
+export const createContactRoutes = ({ store, mailer, contactRateLimiter }) => {
+    const rateLimiter = contactRateLimiter || createRateLimiter(CONTACT_RATE_LIMIT);
+    
+    return [
+        {
+            method: 'POST',
+            path: '/api/contact',
+            handler: async ({ body, user, ip }) => {
+                const limit = rateLimiter.hit(ip);
+                if (!limit.allowed) {
+                    throw new HttpError(
+                        429,
+                        'RATE_LIMITED',
+                        'Too many messages. Please try again later.',
+                        { 'Retry-After': String(limit.retryAfterSeconds) }
+                    );
+                }
+                
+                const submission = validateContactSubmission(body);
+                
+                // Looks like a normal success to the bot, but nothing is stored
+                if (body[HONEYPOT_FIELD]) {
+                    return { status: 201, body: { ticket: { reference: 'PY-00000', acknowledgementSent: true } } };
+                }
+                
+                const ticket = await store.update(data => {
+                    const newTicket = createTicket(submission, data.tickets, user?.id || null);
+                    data.tickets.push(newTicket);
+                    return newTicket;
+                });
+                
+                let acknowledgementSent = false;
+                try {
+                    await mailer.send(buildAcknowledgementEmail(ticket));
+                    acknowledgementSent = true;
+                    await store.update(data => {
+                        const stored = data.tickets.find(candidate => candidate.id === ticket.id);
+                        if (stored) stored.acknowledgementSent = true;
+                    });
+                } catch (error) {
+                    console.error(`Failed to send acknowledgement for ticket ${formatTicketReference(ticket)}:`, error);
+                }
+                
+                return {
+                    status: 201,
+                    body: { ticket: { reference: formatTicketReference(ticket), acknowledgementSent } }
+                };
+            }
+        }
+    ];
+};
+
+export default {
+    CONTACT_RATE_LIMIT,
+    HONEYPOT_FIELD,
+    createContactRoutes
+};
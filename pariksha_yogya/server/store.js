@@ -0,0 +1,115 @@
+/**
+ * Data Store
+ * For PRATIYOGITA YOGYA - Account API
+ *
+ * A small JSON document store. Updates run one at a time and are written to
+ * a temporary file first, so a crash never leaves a half-written file.
+ *
+ * Document shape:
+ * {
+ *   users: [{ id, name, email, passwordHash, emailVerified, sessionVersion, createdAt }],
+ *   verificationTokens: [{ tokenHash, userId, expiresAt }],
+ *   accounts: { [userId]: { profiles: [], deletedProfileIds: [], results: null, notifications? } },
+ *   tickets: [{ id, number, category, status, name, email, phone, message, examId, userId, notes, createdAt, updatedAt }],
+ *   notificationLog: [{ userId, key, sentAt }]
+ * }
+ */
+
+import { mkdir, readFile, rename, writeFile } from 'node:fs/promises';
+import { dirname } from 'node:path';
+
+/**
+ * Empty document with every collection present
+ * @returns {Object}
+ */
+export const createEmptyData = () => ({
+    users: [],
+    verificationTokens: [],
+    accounts: {},
+    tickets: [],
+    notificationLog: []
+});
+
+/**
+ * Fill in collections missing from an older document
+ * @param {Object} data
+ * @returns {Object}
+ */
+const withCollections = (data) => ({ ...createEmptyData(), ...data });
+
+/**
+ * Store backed by a JSON file
+ * @param {string} filePath
+ * @returns {{read: Function, update: Function}}
+ */
+export const createJsonStore = (filePath) => {
+    let queue = Promise.resolve();
+    
+    const load = async () => {
+        try {
+            return withCollections(JSON.parse(await readFile(filePath, 'utf8')));
+        } catch (error) {
+            if (error.code === 'ENOENT') return createEmptyData();
+            throw error;
+        }
+    };
+    
+    const save = async (data) => {
+        await mkdir(dirname(filePath), { recursive: true });
+        const tempPath = `${filePath}.${process.pid}.tmp`;
+        await writeFile(tempPath, JSON.stringify(data, null, 2));
+        await rename(tempPath, filePath);
+    };
+    
+    // Run reads and updates in order so an update never sees stale data
+    const enqueue = (task) => {
+        const run = queue.then(task);
+        queue = run.catch(() => {});
+        return run;
+    };
+    
+    return {
+        /**
+         * Read the whole document
+         * @returns {Promise<Object>}
+         */
+        read: () => enqueue(load),
+        
+        /**
+         * Change the document and save it
+         * @param {Function} mutate - (data) => result; may change data in place
+         * @returns {Promise<*>} - Result of mutate
+         */
+        update: (mutate) => enqueue(async () => {
+            const data = await load();
+            const result = await mutate(data);
+            await save(data);
+            return result;
+        })
+    };
+};
+
+/**
+ * In-memory store with the same API (tests and local experiments)
+ * @param {Object} initialData
+ * @returns {{read: Function, update: Function}}
+ */
+export const createMemoryStore = (initialData = createEmptyData()) => {
+    let data = withCollections(structuredClone(initialData));
+    
+    return {
+        read: async () => structuredClone(data),
+        update: async (mutate) => {
+            const draft = structuredClone(data);
+            const result = await mutate(draft);
+            data = draft;
+            return result;
+        }
+    };
+};
+
+export default {
+    createEmptyData,
+    createJsonStore,
+    createMemoryStore
+};
@@ -0,0 +1,178 @@
+/**
+ * Support Tickets
+ * For PRATIYOGITA YOGYA - Account API
+ *
+ * Contact form submissions are stored as support tickets so the team can
+ * triage them (especially "wrong eligibility result" reports) from the admin
+ * listing. Tickets are numbered in order and shown to users as "PY-<number>".
+ */
+
+import { randomUUID } from 'node:crypto';
+
+import { HttpError } from './http.js';
+
+// ============================================
+// CONSTANTS
+// ============================================
+
+export const TICKET_CATEGORIES = ['general', 'wrong-eligibility-result', 'exam-data', 'account', 'other'];
+
+export const TICKET_STATUSES = ['open', 'in-progress', 'resolved', 'closed'];
+
+const LIMITS = {
+    name: 60,
+    email: 254,
+    phone: 20,
+    examId: 120,
+    messageMin: 10,
+    messageMax: 5000,
+    note: 2000
+};
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const PHONE_PATTERN = /^\+?[0-9 ()-]{6,20}$/;
+
+// ============================================
+// VALIDATION
+// ============================================
+
+/**
+ * Trimmed string, or "" for missing values
+ * @param {*} value
+ * @returns {string}
+ */
+const text = (value) => (typeof value === 'string' ? value.trim() : '');
+
+/**
+ * Validate a contact form submission
+ * @param {Object} body - { firstName, lastName, email, phoneNumber, category, message, examId }
+ * @returns {Object} - Cleaned submission
+ * @throws {HttpError}
+ */
+export const validateContactSubmission = (body) => {
+    const firstName = text(body.firstName);
+    const lastName = text(body.lastName);
+    const email = text(body.email).toLowerCase();
+    const phone = text(body.phoneNumber);
+    const category = text(body.category) || 'general';
+    const message = text(body.message);
+    const examId = text(body.examId);
+    
+    if (!firstName || firstName.length > LIMITS.name || lastName.length > LIMITS.name) {
+        throw new HttpError(400, 'INVALID_NAME', `Please enter your name (up to ${LIMITS.name} characters)`);
+    }
+    if (!EMAIL_PATTERN.test(email) || email.length > LIMITS.email) {
+        throw new HttpError(400, 'INVALID_EMAIL', 'Please enter a valid email address');
+    }
+    if (phone && !PHONE_PATTERN.test(phone)) {
+        throw new HttpError(400, 'INVALID_PHONE', 'Please enter a valid phone number');
+    }
+    if (!TICKET_CATEGORIES.includes(category)) {
+        throw new HttpError(400, 'INVALID_CATEGORY', 'Please choose a topic');
+    }
+    if (message.length < LIMITS.messageMin || message.length > LIMITS.messageMax) {
+        throw new HttpError(400, 'INVALID_MESSAGE', `Message must be ${LIMITS.messageMin} to ${LIMITS.messageMax} characters`);
+    }
+    if (examId.length > LIMITS.examId) {
+        throw new HttpError(400, 'INVALID_EXAM', 'Exam name is too long');
+    }
+    
+    return {
+        name: [firstName, lastName].filter(Boolean).join(' '),
+        email,
+        phone,
+        category,
+        message,
+        examId: examId || null
+    };
+};
+
+/**
+ * Validate an admin update to a ticket
+ * @param {Object} body - { status?, note? }
+ * @returns {{status: string|null, note: string}}
+ * @throws {HttpError}
+ */
+export const validateTicketUpdate = (body) => {
+    const status = text(body.status) || null;
+    const note = text(body.note);
+    
+    if (status && !TICKET_STATUSES.includes(status)) {
+        throw new HttpError(400, 'INVALID_STATUS', `Status must be one of ${TICKET_STATUSES.join(', ')}`);
+    }
+    if (note.length > LIMITS.note) {
+        throw new HttpError(400, 'INVALID_NOTE', `Notes can be up to ${LIMITS.note} characters`);
+    }
+    if (!status && !note) {
+        throw new HttpError(400, 'EMPTY_UPDATE', 'Change the status or add a note');
+    }
+    return { status, note };
+};
+
+// ============================================
+// TICKETS
+// ============================================
+
+/**
+ * Reference shown to users and in emails
+ * @param {Object} ticket
+ * @returns {string}
+ */
+export const formatTicketReference = (ticket) => `PY-${String(ticket.number).padStart(5, '0')}`;
+
+/**
+ * New ticket record, numbered after the existing ones
+ * @param {Object} submission - From validateContactSubmission
+ * @param {Array} existingTickets
+ * @param {string|null} userId - Signed-in user, if any
+ * @returns {Object}
+ */
+export const createTicket = (submission, existingTickets, userId = null) => {
+    const now = new Date().toISOString();
+    const number = existingTickets.reduce((max, ticket) => Math.max(max, ticket.number || 0), 0) + 1;
+    
+    return {
+        id: randomUUID(),
+        number,
+        status: 'open',
+        ...submission,
+        userId,
+        notes: [],
+        acknowledgementSent: false,
+        createdAt: now,
+        updatedAt: now
+    };
+};
+
+/**
+ * Acknowledgement email for a new ticket
+ * Only the reference and fixed text: anyone can submit the form with any
+ * address, so nothing they typed (name, message) is echoed to it
+ * @param {Object} ticket
+ * @returns {{to: string, subject: string, text: string}}
+ */
+export const buildAcknowledgementEmail = (ticket) => {
+    const reference = formatTicketReference(ticket);
+    return {
+        to: ticket.email,
+        subject: `We received your message [${reference}]`,
+        text: [
+            'Hello,',
+            '',
+            `Thanks for contacting Pariksha Yogya. Your message is logged as ticket ${reference}`,
+            'and our team will get back to you within 24 hours.',
+            '',
+            'Please keep the ticket reference in the subject if you reply.'
+        ].join('\n')
+    };
+};
+
+export default {
+    TICKET_CATEGORIES,
+    TICKET_STATUSES,
+    validateContactSubmission,
+    validateTicketUpdate,
+    formatTicketReference,
+    createTicket,
+    buildAcknowledgementEmail
+};
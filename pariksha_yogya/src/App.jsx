@@ -13,37 +13,74 @@ import Signup from "./Pages/signup";
 import TermsAndConditions from "./Pages/termsandconditions";
 import RefundPolicy from "./Pages/refundpolicy";
 import CheckEligibility from "./Pages/checkeligibilitypage";
+import VerifyEmail from "./Pages/verifyemail";
+import Account from "./Pages/account";
+import AdminTickets from "./Pages/admintickets";
+import AdminExams from "./Pages/adminexams";
+import AuthProvider from "./components/Auth/authprovider";
+import { LanguageProvider } from "@pariksha/i18n";
+import { ThemeProvider } from "@pariksha/theme";
+import RequireAuth from "./components/Auth/requireauth";
 
 function App() {
   return (
-    <>
-      <HeroUIProvider className="w-full mx-0 px-0 overflow-x-hidden">
-        <div className="animated-background">
-          <div className="line-grid"></div>
-          <div className="diagonal-lines"></div>
-          <div className="beam"></div>
-          <div className="beam-vertical"></div>
-          <div className="line-highlight"></div>
-        </div>
-        <div className="w-full ">
-          <Navbar />
-        </div>
+    <ThemeProvider>
+      <LanguageProvider>
+        <AuthProvider>
+          <HeroUIProvider className="w-full mx-0 px-0 overflow-x-hidden">
+            <div className="animated-background">
+              <div className="line-grid"></div>
+              <div className="diagonal-lines"></div>
+              <div className="beam"></div>
+              <div className="beam-vertical"></div>
+              <div className="line-highlight"></div>
+            </div>
+            <div className="w-full ">
+              <Navbar />
+            </div>
 
-        <Routes>
-          <Route path="/home" element={<Home />} />
-          <Route path="/" element={<Home />} />
-          {/* <Route path="/contribution" element={<ContributionPage />} /> */}
-          <Route path="/contact" element={<ContactPage />} />
-          <Route path="/about" element={<AboutUs />} />
-          <Route path="/login" element={<Login />} />
-          <Route path="/signup" element={<Signup />} />
-          <Route path="/check-eligibility" element={<CheckEligibility />} />
-          {/* <Route path="/privacy-policy" element={<PrivacyPolicy />} /> */}
-          <Route path="/terms-and-conditions" element={<TermsAndConditions />} />
-          <Route path="/refund-policy" element={<RefundPolicy />} />
-        </Routes>
-      </HeroUIProvider>
-    </>
+            <Routes>
+              <Route path="/home" element={<Home />} />
+              <Route path="/" element={<Home />} />
+              {/* <Route path="/contribution" element={<ContributionPage />} /> */}
+              <Route path="/contact" element={<ContactPage />} />
+              <Route path="/about" element={<AboutUs />} />
+              <Route path="/login" element={<Login />} />
+              <Route path="/signup" element={<Signup />} />
+              <Route path="/verify-email" element={<VerifyEmail />} />
+              <Route
+                path="/account"
+                element={
+                  <RequireAuth>
+                    <Account />
+                  </RequireAuth>
+                }
+              />
+              <Route
+                path="/admin/tickets"
+                element={
+                  <RequireAuth>
+                    <AdminTickets />
+                  </RequireAuth>
+                }
+              />
+              <Route
+                path="/admin/exams"
+                element={
+                  <RequireAuth>
+                    <AdminExams />
+                  </RequireAuth>
+                }
+              />
+              <Route path="/check-eligibility" element={<CheckEligibility />} />
+              {/* <Route path="/privacy-policy" element={<PrivacyPolicy />} /> */}
+              <Route path="/terms-and-conditions" element={<TermsAndConditions />} />
+              <Route path="/refund-policy" element={<RefundPolicy />} />
+            </Routes>
+          </HeroUIProvider>
+        </AuthProvider>
+      </LanguageProvider>
+    </ThemeProvider>
   );
 }
 
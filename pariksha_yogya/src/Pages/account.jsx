@@ -0,0 +1,158 @@
+import React, { useEffect, useState } from "react";
+import { Link, useNavigate } from "react-router-dom";
+import { useAuth } from "../auth/authContext";
+import { fetchAccountResults, fetchNotificationSettings, putNotificationSettings } from "../auth/authApi";
+import { syncProfiles } from "../auth/accountSync";
+
+const formatDate = (value) => (value ? new Date(value).toLocaleString() : "");
+
+const Account = () => {
+  const { user, logout, logoutAll } = useAuth();
+  const navigate = useNavigate();
+  const [profiles, setProfiles] = useState([]);
+  const [results, setResults] = useState(null);
+  const [notifications, setNotifications] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    Promise.all([syncProfiles(), fetchAccountResults(), fetchNotificationSettings()])
+      .then(([syncedProfiles, savedResults, savedNotifications]) => {
+        setProfiles(syncedProfiles);
+        setResults(savedResults);
+        setNotifications(savedNotifications);
+      })
+      .catch(err => setError("Could not load your saved data: " + err.message))
+      .finally(() => setLoading(false));
+  }, []);
+
+  const handleExamRemindersChange = async (e) => {
+    const examReminders = e.target.checked;
+    setNotifications((prev) => ({ ...prev, examReminders }));
+    try {
+      setNotifications(await putNotificationSettings({ examReminders }));
+    } catch (err) {
+      setNotifications((prev) => ({ ...prev, examReminders: !examReminders }));
+      setError(err.message);
+    }
+  };
+
+  const handleLogout = async (everywhere) => {
+    try {
+      await (everywhere ? logoutAll() : logout());
+      navigate("/login", { replace: true });
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50 pt-[90px] pb-10 px-4">
+      <div className="max-w-3xl mx-auto space-y-4">
+        {/* Account details */}
+        <div className="bg-white border border-gray-200 rounded-xl p-5 shadow-sm">
+          <h1 className="text-xl font-bold text-gray-800">My Account</h1>
+          <p className="text-sm text-gray-700 mt-1">{user.name}</p>
+          <p className="text-sm text-gray-500">{user.email}</p>
+          <div className="flex flex-wrap gap-2 mt-4">
+            <button
+              onClick={() => handleLogout(false)}
+              className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 text-sm"
+            >
+              Log Out
+            </button>
+            <button
+              onClick={() => handleLogout(true)}
+              className="border border-gray-300 text-gray-700 px-4 py-2 rounded-lg hover:bg-gray-100 text-sm"
+            >
+              Log Out on All Devices
+            </button>
+          </div>
+        </div>
+
+        {error && (
+          <div className="text-sm text-red-700 bg-red-50 border border-red-200 rounded-lg px-3 py-2">{error}</div>
+        )}
+
+        {/* Saved profiles */}
+        <div className="bg-white border border-gray-200 rounded-xl p-5 shadow-sm">
+          <h2 className="text-lg font-semibold text-gray-800 mb-2">Saved Profiles</h2>
+          {loading ? (
+            <p className="text-sm text-gray-500">Syncing...</p>
+          ) : profiles.length === 0 ? (
+            <p className="text-sm text-gray-500">
+              No saved profiles yet. Save one from the{" "}
+              <Link to="/check-eligibility" className="text-blue-600 hover:underline">eligibility checker</Link>.
+            </p>
+          ) : (
+            <ul className="divide-y divide-gray-100">
+              {profiles.map(profile => (
+                <li key={profile.id} className="py-2 flex justify-between text-sm">
+                  <span className="text-gray-800">{profile.name}</span>
+                  <span className="text-gray-500">Updated {formatDate(profile.updatedAt)}</span>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+
+        {/* Exam reminders */}
+        <div className="bg-white border border-gray-200 rounded-xl p-5 shadow-sm">
+          <h2 className="text-lg font-semibold text-gray-800 mb-2">Exam Reminders</h2>
+          <label className="flex items-start gap-2 text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={Boolean(notifications?.examReminders)}
+              disabled={!notifications || !user.emailVerified}
+              onChange={handleExamRemindersChange}
+              className="mt-1"
+            />
+            <span>
+              Email me before exams that one of my saved profiles is eligible for
+              <span className="block text-xs text-gray-500">
+                {user.emailVerified
+                  ? "Reminders go out a few weeks and again a few days before each exam session."
+                  : "Verify your email address to get reminders."}
+              </span>
+            </span>
+          </label>
+        </div>
+
+        {/* Latest results */}
+        <div className="bg-white border border-gray-200 rounded-xl p-5 shadow-sm">
+          <h2 className="text-lg font-semibold text-gray-800 mb-2">Latest Results</h2>
+          {!loading && !results && (
+            <p className="text-sm text-gray-500">Results of your next eligibility check will appear here.</p>
+          )}
+          {results?.examBasis && (
+            <div className="mb-3">
+              <h3 className="text-sm font-semibold text-gray-700">{results.examBasis.examName}</h3>
+              <ul className="text-sm mt-1">
+                {results.examBasis.checks.map((check, index) => (
+                  <li key={index} className={check.eligible ? "text-green-700" : "text-red-700"}>
+                    {check.eligible ? "✓" : "✗"} {[check.division, check.session].filter(part => part !== "N/A").join(" · ") || "Eligibility"}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+          {results?.eligibilityBasis && (
+            <div>
+              <h3 className="text-sm font-semibold text-gray-700">
+                Eligible for {results.eligibilityBasis.eligibleExams.length} of {results.eligibilityBasis.totalExamsChecked} exams
+              </h3>
+              <ul className="text-sm text-gray-700 mt-1 list-disc list-inside">
+                {results.eligibilityBasis.eligibleExams.map(exam => (
+                  <li key={exam.examId}>{exam.examName}</li>
+                ))}
+              </ul>
+            </div>
+          )}
+          {results?.savedAt && <p className="text-xs text-gray-400 mt-3">Saved {formatDate(results.savedAt)}</p>}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default Account;
@@ -0,0 +1,332 @@
+import React, { useEffect, useMemo, useState } from "react";
+import FieldEditor from "../components/ExamEditor/fieldeditor";
+import { fetchAdminExam, fetchAdminExams, saveAdminExam } from "../admin/examAdminApi";
+import {
+  DIVISIONS_FIELD,
+  addDivision,
+  createExamDraft,
+  getBlock,
+  getBlockPath,
+  getDivisionNames,
+  getFieldKind,
+  getFieldPath,
+  getIssuesAt,
+  loadExamAuthoring,
+  removeDivision,
+  renameDivision,
+  setDraftField,
+  validateExamDraft
+} from "../eligibility/examDraft";
+import { SEVERITY } from "../eligibility/examSchema";
+
+// Kept by the editor itself rather than edited by hand
+const MANAGED_FIELDS = ["academies", DIVISIONS_FIELD];
+
+const AdminExams = () => {
+  const [authoring, setAuthoring] = useState(null);
+  const [categories, setCategories] = useState([]);
+  const [search, setSearch] = useState("");
+  const [exam, setExam] = useState(null);
+  const [draft, setDraft] = useState(null);
+  const [block, setBlock] = useState(null);
+  const [divisionName, setDivisionName] = useState("");
+  const [showJson, setShowJson] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState("");
+  const [saved, setSaved] = useState(null);
+
+  useEffect(() => {
+    Promise.all([loadExamAuthoring(), fetchAdminExams()])
+      .then(([loadedAuthoring, loadedCategories]) => {
+        setAuthoring(loadedAuthoring);
+        setCategories(loadedCategories);
+      })
+      .catch((err) => setError(err.status === 403 ? "Only the exam team can edit exams." : err.message))
+      .finally(() => setLoading(false));
+  }, []);
+
+  const validation = useMemo(
+    () => (draft && authoring ? validateExamDraft(draft, authoring.schema) : { issues: [], errorCount: 0, warningCount: 0 }),
+    [draft, authoring]
+  );
+
+  const filteredCategories = useMemo(() => {
+    const query = search.trim().toLowerCase();
+    if (!query) return categories;
+    return categories
+      .map((group) => ({
+        ...group,
+        exams: group.exams.filter((entry) => `${entry.examName} ${entry.examCode}`.toLowerCase().includes(query)),
+      }))
+      .filter((group) => group.exams.length > 0);
+  }, [categories, search]);
+
+  const openExam = async (examId) => {
+    setExam(null);
+    setDraft(null);
+    setBlock(null);
+    setSaved(null);
+    setError("");
+    if (!examId) return;
+    try {
+      const loaded = await fetchAdminExam(examId);
+      setExam(loaded.exam);
+      setDraft(loaded.data);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const startDraft = (withDivisions) => {
+    setDraft(createExamDraft(authoring.templates, { withDivisions, examName: exam.examName, examCode: exam.examCode }));
+  };
+
+  // Division changes throw on bad names; show those as errors
+  const editDivisions = (change) => {
+    try {
+      setDraft(change(draft));
+      setError("");
+      return true;
+    } catch (err) {
+      setError(err.message);
+      return false;
+    }
+  };
+
+  const handleAddDivision = (e) => {
+    e.preventDefault();
+    if (editDivisions((current) => addDivision(current, authoring.templates, divisionName))) {
+      setBlock(divisionName.trim().replace(/\s+/g, " "));
+      setDivisionName("");
+    }
+  };
+
+  const handleRenameDivision = () => {
+    const newName = window.prompt("New name for this division", block);
+    if (newName && editDivisions((current) => renameDivision(current, block, newName))) {
+      setBlock(newName.trim().replace(/\s+/g, " "));
+    }
+  };
+
+  const handleRemoveDivision = () => {
+    if (window.confirm(`Remove ${block} and all of its rules?`)) {
+      editDivisions((current) => removeDivision(current, block));
+      setBlock(null);
+    }
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    setError("");
+    try {
+      const result = await saveAdminExam(exam.examId, draft);
+      setExam(result.exam);
+      setSaved(result);
+      setCategories((prev) => prev.map((group) => ({
+        ...group,
+        exams: group.exams.map((entry) => (entry.examId === result.exam.examId ? result.exam : entry)),
+      })));
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const hasErrors = (path) => getIssuesAt(validation.issues, path).some((issue) => issue.severity === SEVERITY.ERROR);
+
+  const divisions = draft ? getDivisionNames(draft) : [];
+  const hasDivisions = Boolean(draft && draft.academies);
+  const blockFields = draft
+    ? Object.keys(getBlock(draft, block)).filter((field) => block || !MANAGED_FIELDS.includes(field))
+    : [];
+
+  return (
+    <div className="min-h-screen bg-gray-50 pt-[90px] pb-10 px-4">
+      <div className="max-w-5xl mx-auto space-y-3 text-left">
+        <h1 className="text-xl font-bold text-gray-800">Exam Editor</h1>
+        <p className="text-xs text-gray-500">
+          Saving writes the exam file into examsdata/ and links it in allexamnames.json. Rebuild the site to publish it.
+        </p>
+
+        {/* Exam picker */}
+        <div className="flex flex-wrap gap-2">
+          <input
+            type="search"
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+            placeholder="Filter by exam name or code"
+            className="flex-1 min-w-[200px] text-sm border border-gray-300 rounded-lg p-2 bg-white"
+          />
+          <select
+            value={exam?.examId || ""}
+            onChange={(e) => openExam(e.target.value)}
+            disabled={loading}
+            className="flex-1 min-w-[240px] text-sm border border-gray-300 rounded-lg p-2 bg-white"
+          >
+            <option value="">{loading ? "Loading exams..." : "Choose an exam"}</option>
+            {filteredCategories.map((group) => (
+              <optgroup key={group.category} label={group.category}>
+                {group.exams.map((entry) => (
+                  <option key={entry.examId} value={entry.examId}>
+                    {entry.linkedFile ? "✓ " : ""}{entry.examName} ({entry.examCode})
+                  </option>
+                ))}
+              </optgroup>
+            ))}
+          </select>
+        </div>
+
+        {error && (
+          <div className="text-sm text-red-700 bg-red-50 border border-red-200 rounded-lg px-3 py-2">{error}</div>
+        )}
+        {saved && (
+          <div className="text-sm text-green-800 bg-green-50 border border-green-200 rounded-lg px-3 py-2">
+            Saved to examsdata/{saved.exam.linkedFile}
+            {saved.warnings.length > 0 && ` with ${saved.warnings.length} warning(s)`}. Rebuild the site to publish it.
+          </div>
+        )}
+
+        {/* New exam: pick a template */}
+        {exam && !draft && (
+          <div className="bg-white border border-gray-200 rounded-xl p-4 shadow-sm">
+            <p className="text-sm text-gray-700 mb-3">
+              {exam.examName} has no exam file yet. Start from a template:
+            </p>
+            <div className="flex gap-2">
+              <button
+                type="button"
+                onClick={() => startDraft(false)}
+                className="text-sm bg-blue-600 text-white px-3 py-2 rounded-lg hover:bg-blue-700"
+              >
+                Single set of rules
+              </button>
+              <button
+                type="button"
+                onClick={() => startDraft(true)}
+                className="text-sm bg-blue-600 text-white px-3 py-2 rounded-lg hover:bg-blue-700"
+              >
+                Separate rules per post/academy
+              </button>
+            </div>
+          </div>
+        )}
+
+        {draft && (
+          <>
+            {/* Exam / division tabs */}
+            <div className="flex flex-wrap items-center gap-2">
+              <button
+                type="button"
+                onClick={() => setBlock(null)}
+                className={`text-xs px-3 py-1 rounded-full border ${block === null ? "bg-blue-600 text-white border-blue-600" : "bg-white text-gray-700 border-gray-300"}`}
+              >
+                Exam
+              </button>
+              {divisions.map((name) => (
+                <button
+                  key={name}
+                  type="button"
+                  onClick={() => setBlock(name)}
+                  className={`text-xs px-3 py-1 rounded-full border ${block === name ? "bg-blue-600 text-white border-blue-600" : "bg-white text-gray-700 border-gray-300"} ${hasErrors(getBlockPath(name)) ? "ring-2 ring-red-300" : ""}`}
+                >
+                  {name}
+                </button>
+              ))}
+              {hasDivisions && (
+                <form onSubmit={handleAddDivision} className="flex gap-1">
+                  <input
+                    type="text"
+                    value={divisionName}
+                    onChange={(e) => setDivisionName(e.target.value)}
+                    placeholder="New post/academy"
+                    className="text-xs border border-gray-300 rounded-lg p-1 bg-white"
+                  />
+                  <button type="submit" className="text-xs text-blue-600 hover:text-blue-800 px-2">
+                    + Add
+                  </button>
+                </form>
+              )}
+            </div>
+
+            {block && (
+              <div className="flex gap-3 text-xs">
+                <button type="button" onClick={handleRenameDivision} className="text-blue-600 hover:text-blue-800">
+                  Rename {block}
+                </button>
+                <button type="button" onClick={handleRemoveDivision} className="text-red-600 hover:text-red-800">
+                  Remove {block}
+                </button>
+              </div>
+            )}
+
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+              {/* Fields */}
+              <div className="md:col-span-2 bg-white border border-gray-200 rounded-xl p-4 shadow-sm space-y-3">
+                {blockFields.map((field) => {
+                  const value = getBlock(draft, block)[field];
+                  return (
+                    <FieldEditor
+                      key={`${block || ""}/${field}`}
+                      field={field}
+                      kind={getFieldKind(authoring.schema, field, value)}
+                      value={value}
+                      schema={authoring.schema}
+                      issues={getIssuesAt(validation.issues, getFieldPath(block, field))}
+                      onChange={(next) => setDraft((current) => setDraftField(current, block, field, next))}
+                    />
+                  );
+                })}
+              </div>
+
+              {/* Issues and save */}
+              <div className="space-y-3">
+                <div className="bg-white border border-gray-200 rounded-xl p-4 shadow-sm">
+                  <p className="text-sm font-semibold text-gray-800">
+                    {validation.errorCount} error(s), {validation.warningCount} warning(s)
+                  </p>
+                  <ul className="mt-2 space-y-1 max-h-64 overflow-y-auto">
+                    {validation.issues.map((issue, index) => (
+                      <li
+                        key={index}
+                        className={`text-xs ${issue.severity === SEVERITY.ERROR ? "text-red-700" : "text-amber-700"}`}
+                      >
+                        <span className="font-mono">{issue.path}</span>: {issue.message}
+                      </li>
+                    ))}
+                  </ul>
+                  <button
+                    type="button"
+                    onClick={handleSave}
+                    disabled={saving || validation.errorCount > 0}
+                    className="mt-3 w-full text-sm bg-green-600 text-white px-3 py-2 rounded-lg hover:bg-green-700 disabled:opacity-60"
+                  >
+                    {saving ? "Saving..." : exam.linkedFile ? `Save ${exam.linkedFile}` : "Save new exam file"}
+                  </button>
+                </div>
+
+                <div className="bg-white border border-gray-200 rounded-xl p-4 shadow-sm">
+                  <button
+                    type="button"
+                    onClick={() => setShowJson((prev) => !prev)}
+                    className="text-xs text-blue-600 hover:text-blue-800"
+                  >
+                    {showJson ? "Hide JSON" : "Show JSON"}
+                  </button>
+                  {showJson && (
+                    <pre className="mt-2 text-[10px] text-gray-700 bg-gray-50 p-2 rounded-lg max-h-96 overflow-auto">
+                      {JSON.stringify(draft, null, 4)}
+                    </pre>
+                  )}
+                </div>
+              </div>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default AdminExams;
@@ -0,0 +1,177 @@
+import React, { useCallback, useEffect, useState } from "react";
+import {
+  TICKET_CATEGORY_OPTIONS,
+  TICKET_STATUS_OPTIONS,
+  getOptionLabel,
+  fetchTickets,
+  updateTicket
+} from "../support/supportApi";
+
+const formatDate = (value) => new Date(value).toLocaleString();
+
+// One ticket with its status control and notes
+const TicketCard = ({ ticket, onUpdate }) => {
+  const [note, setNote] = useState("");
+  const [saving, setSaving] = useState(false);
+
+  const save = async (update) => {
+    setSaving(true);
+    const saved = await onUpdate(ticket.id, update);
+    if (saved && update.note) setNote("");
+    setSaving(false);
+  };
+
+  return (
+    <div className="bg-white border border-gray-200 rounded-xl p-4 shadow-sm text-left">
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <div>
+          <span className="font-semibold text-gray-800">{ticket.reference}</span>
+          <span className="ml-2 text-xs bg-blue-100 text-blue-800 px-2 py-0.5 rounded-full">
+            {getOptionLabel(TICKET_CATEGORY_OPTIONS, ticket.category)}
+          </span>
+          {ticket.examId && (
+            <span className="ml-2 text-xs bg-gray-100 text-gray-700 px-2 py-0.5 rounded-full">{ticket.examId}</span>
+          )}
+        </div>
+        <select
+          value={ticket.status}
+          disabled={saving}
+          onChange={(e) => save({ status: e.target.value })}
+          className="text-xs border border-gray-300 rounded-lg p-1 bg-gray-50"
+        >
+          {TICKET_STATUS_OPTIONS.map((option) => (
+            <option key={option.value} value={option.value}>{option.label}</option>
+          ))}
+        </select>
+      </div>
+
+      <p className="text-xs text-gray-500 mt-1">
+        {ticket.name} · {ticket.email}{ticket.phone ? ` · ${ticket.phone}` : ""} · {formatDate(ticket.createdAt)}
+        {!ticket.acknowledgementSent && " · acknowledgement not sent"}
+      </p>
+      <p className="text-sm text-gray-800 mt-2 whitespace-pre-wrap">{ticket.message}</p>
+
+      {ticket.notes.length > 0 && (
+        <ul className="mt-3 space-y-1 border-t border-gray-100 pt-2">
+          {ticket.notes.map((entry, index) => (
+            <li key={index} className="text-xs text-gray-700">
+              <span className="text-gray-500">{entry.author}, {formatDate(entry.createdAt)}:</span> {entry.text}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <form
+        className="flex gap-2 mt-3"
+        onSubmit={(e) => {
+          e.preventDefault();
+          if (note.trim()) save({ note });
+        }}
+      >
+        <input
+          type="text"
+          value={note}
+          onChange={(e) => setNote(e.target.value)}
+          placeholder="Add a note for the team"
+          className="flex-1 text-xs border border-gray-300 rounded-lg p-2 bg-gray-50"
+        />
+        <button
+          type="submit"
+          disabled={saving || !note.trim()}
+          className="text-xs bg-blue-600 text-white px-3 py-1 rounded-lg hover:bg-blue-700 disabled:opacity-60"
+        >
+          Add Note
+        </button>
+      </form>
+    </div>
+  );
+};
+
+const AdminTickets = () => {
+  const [filters, setFilters] = useState({ status: "open", category: "", q: "" });
+  const [tickets, setTickets] = useState([]);
+  const [counts, setCounts] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState("");
+
+  const loadTickets = useCallback(() => {
+    setLoading(true);
+    fetchTickets(filters)
+      .then((data) => {
+        setTickets(data.tickets);
+        setCounts(data.counts);
+        setError("");
+      })
+      .catch((err) => setError(err.status === 403 ? "Only the support team can view tickets." : err.message))
+      .finally(() => setLoading(false));
+  }, [filters]);
+
+  useEffect(() => {
+    loadTickets();
+  }, [loadTickets]);
+
+  const handleFilterChange = (e) => {
+    const { name, value } = e.target;
+    setFilters((prev) => ({ ...prev, [name]: value }));
+  };
+
+  const handleUpdate = async (id, update) => {
+    try {
+      const updated = await updateTicket(id, update);
+      setTickets((prev) => prev.map((ticket) => (ticket.id === id ? updated : ticket)));
+      if (update.status) loadTickets();
+      return updated;
+    } catch (err) {
+      setError(err.message);
+      return null;
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50 pt-[90px] pb-10 px-4">
+      <div className="max-w-4xl mx-auto space-y-3">
+        <h1 className="text-xl font-bold text-gray-800 text-left">Support Tickets</h1>
+
+        {/* Filters */}
+        <div className="flex flex-wrap gap-2">
+          <select name="status" value={filters.status} onChange={handleFilterChange} className="text-sm border border-gray-300 rounded-lg p-2 bg-white">
+            <option value="">All statuses</option>
+            {TICKET_STATUS_OPTIONS.map((option) => (
+              <option key={option.value} value={option.value}>
+                {option.label} ({counts[option.value] || 0})
+              </option>
+            ))}
+          </select>
+          <select name="category" value={filters.category} onChange={handleFilterChange} className="text-sm border border-gray-300 rounded-lg p-2 bg-white">
+            <option value="">All topics</option>
+            {TICKET_CATEGORY_OPTIONS.map((option) => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+          <input
+            type="search"
+            name="q"
+            value={filters.q}
+            onChange={handleFilterChange}
+            placeholder="Search reference, email, exam or message"
+            className="flex-1 min-w-[200px] text-sm border border-gray-300 rounded-lg p-2 bg-white"
+          />
+        </div>
+
+        {error && (
+          <div className="text-sm text-red-700 bg-red-50 border border-red-200 rounded-lg px-3 py-2 text-left">{error}</div>
+        )}
+
+        {loading && tickets.length === 0 ? (
+          <p className="text-sm text-gray-500">Loading tickets...</p>
+        ) : tickets.length === 0 && !error ? (
+          <p className="text-sm text-gray-500">No tickets match these filters.</p>
+        ) : (
+          tickets.map((ticket) => <TicketCard key={ticket.id} ticket={ticket} onUpdate={handleUpdate} />)
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default AdminTickets;
@@ -9,7 +9,8 @@
  * - eligibility/eligibilitybasis.js (Eligibility Basis mode)
  */
 
-import React, { useState, useEffect, useCallback, useRef } from "react";
+import React, { useState, useEffect, useCallback, useMemo, useRef } from "react";
+import { Link, useLocation, useNavigate } from "react-router-dom";
 import Box from "@mui/material/Box";
 import TextField from "@mui/material/TextField";
 import MenuItem from "@mui/material/MenuItem";
@@ -22,27 +23,84 @@ import DialogTitle from "@mui/material/DialogTitle";
 import DialogContent from "@mui/material/DialogContent";
 import DialogActions from "@mui/material/DialogActions";
 import IconButton from "@mui/material/IconButton";
+import Checkbox from "@mui/material/Checkbox";
+import ListSubheader from "@mui/material/ListSubheader";
+import FormControlLabel from "@mui/material/FormControlLabel";
 import Typography from "@mui/material/Typography";
 import { createTheme, ThemeProvider } from "@mui/material/styles";
 
 // Import exam basis logic
 import {
     getExamDropdownOptions,
+    getExamOptionsGroupedByCategory,
     loadExamDataForBasis,
     extractOptionsFromExamData,
     extractNationalityFromExamData,
     valuesToOptions,
     prepareUserInput,
     checkExamBasisEligibility,
-    getDisplayDetails
+    getDisplayDetails,
+    getPrefetchCandidates,
+    prefetchExamData
 } from "../eligibility/exambasis";
 
 // Import eligibility basis logic
 import {
-    checkEligibilityBasis,
     getEligibleExamsSummary,
     getExamDropdownOptions as getExamOptions
 } from "../eligibility/eligibilitybasis";
+import { scanEligibilityBasis } from "../eligibility/eligibilityBasisScan";
+
+// Import "why not eligible" explanations
+import { addExplanations, getFieldLabel } from "../eligibility/explanations";
+
+// Import future-eligibility timeline
+import { buildEligibilityTimeline } from "../eligibility/timeline";
+import EligibilityTimeline from "../components/EligibilityTimeline/eligibilitytimeline";
+
+// Side-by-side comparison of several exams
+import { buildExamComparison, MIN_COMPARE_EXAMS, MAX_COMPARE_EXAMS } from "../eligibility/compare";
+import ExamComparison from "../components/ExamComparison/examcomparison";
+
+// PDF report of the current results
+import { downloadEligibilityReport } from "../eligibility/report";
+
+// Shareable result links (form state in the URL fragment)
+import { buildShareUrl, decodeShareState } from "../eligibility/shareLink";
+
+// Deep links from the other sites (/check-eligibility?exam=<exam_id>)
+import { EXAM_QUERY_PARAM, getCatalogueExam } from "@pariksha/exam-catalogue";
+
+// Exam search (typos, Hindi words) and facet filters for the exam dropdown
+import {
+    getBasicExamSearchIndex,
+    loadExamSearchIndex,
+    searchExams,
+    getFacetCounts
+} from "@pariksha/exam-catalogue";
+import ExamSearch from "../components/ExamSearch/examsearch";
+
+// English/Hindi labels and checker reasons, shared with the other sites
+import { useLanguage } from "@pariksha/i18n";
+import { THEME_TOKENS, useTheme } from "@pariksha/theme";
+
+// Saved candidate profiles
+import {
+    isProfileStorageAvailable,
+    listProfiles,
+    saveProfile,
+    deleteProfile
+} from "../eligibility/profileStore";
+import SavedProfiles from "../components/SavedProfiles/savedprofiles";
+
+// Account sync (signed-in users)
+import { useAuth } from "../auth/authContext";
+import {
+    syncProfiles,
+    summarizeExamBasisResults,
+    summarizeEligibilityBasisResults,
+    saveAccountResults
+} from "../auth/accountSync";
 
 // Import education level functions
 import { 
@@ -55,60 +113,74 @@ import {
 // THEME & STYLES
 // ============================================
 
-const theme = createTheme({
-    palette: {
-        primary: {
-            main: "#ff6600",
+/**
+ * Material UI theme for the form fields and dialogs, following the site theme
+ * @param {string} siteTheme - "light" or "dark", from useTheme (@pariksha/theme)
+ */
+const createFormTheme = (siteTheme) => {
+    const tokens = THEME_TOKENS[siteTheme];
+    const textColor = siteTheme === "dark" ? tokens.text : "#000000";
+
+    return createTheme({
+        palette: {
+            mode: siteTheme,
+            primary: {
+                main: "#ff6600",
+            },
+            background: {
+                default: tokens.background,
+                paper: tokens.cardBg,
+            },
         },
-    },
-    components: {
-        MuiTextField: {
-            styleOverrides: {
-                root: {
-                    "& .MuiInputBase-root": {
-                        fontSize: "0.8rem",
-                        color: "#000000",
+        components: {
+            MuiTextField: {
+                styleOverrides: {
+                    root: {
+                        "& .MuiInputBase-root": {
+                            fontSize: "0.8rem",
+                            color: textColor,
+                        },
+                        "& .MuiInputBase-input": {
+                            color: textColor,
+                        },
+                        "& .MuiInputLabel-root": {
+                            fontSize: "0.8rem",
+                            color: textColor,
+                        },
+                        "& .MuiFormHelperText-root": {
+                            fontSize: "0.65rem",
+                            marginTop: "1px",
+                            color: textColor,
+                        },
                     },
-                    "& .MuiInputBase-input": {
-                        color: "#000000",
-                    },
-                    "& .MuiInputLabel-root": {
+                },
+            },
+            MuiMenuItem: {
+                styleOverrides: {
+                    root: {
                         fontSize: "0.8rem",
-                        color: "#000000",
-                    },
-                    "& .MuiFormHelperText-root": {
-                        fontSize: "0.65rem",
-                        marginTop: "1px",
-                        color: "#000000",
+                        color: textColor,
                     },
                 },
             },
-        },
-        MuiMenuItem: {
-            styleOverrides: {
-                root: {
-                    fontSize: "0.8rem",
-                    color: "#000000",
+            MuiPopover: {
+                defaultProps: {
+                    disableScrollLock: true,
                 },
             },
-        },
-        MuiPopover: {
-            defaultProps: {
-                disableScrollLock: true,
-            },
-        },
-        MuiMenu: {
-            defaultProps: {
-                disableScrollLock: true,
+            MuiMenu: {
+                defaultProps: {
+                    disableScrollLock: true,
+                },
             },
-        },
-        MuiModal: {
-            defaultProps: {
-                disableScrollLock: true,
+            MuiModal: {
+                defaultProps: {
+                    disableScrollLock: true,
+                },
             },
         },
-    },
-});
+    });
+};
 
 const thinScrollbarStyle = {
     '&::-webkit-scrollbar': {
@@ -294,6 +366,69 @@ const staticNccCertificateGradeOptions = [
     { value: "C", label: "Grade C" },
 ];
 
+const staticSportsQuotaOptions = [
+    { value: "NONE", label: "None" },
+    { value: "SCHOOL/INTER-SCHOOL", label: "School / Inter-School" },
+    { value: "DISTRICT LEVEL", label: "District Level" },
+    { value: "STATE LEVEL", label: "State Level" },
+    { value: "INTER-UNIVERSITY", label: "Inter-University" },
+    { value: "NATIONAL (SENIOR/JUNIOR NATIONALS, NATIONAL GAMES)", label: "National" },
+    { value: "INTERNATIONAL (OLYMPICS, WORLD CHAMPIONSHIPS, ASIAN GAMES, COMMONWEALTH GAMES)", label: "International" },
+];
+
+const staticVisionOptions = [
+    { value: "6/6", label: "6/6 (Normal)" },
+    { value: "6/9", label: "6/9" },
+    { value: "6/12", label: "6/12" },
+    { value: "6/18", label: "6/18" },
+    { value: "6/24", label: "6/24" },
+    { value: "CORRECTED", label: "Corrected (with glasses/lenses)" },
+];
+
+const staticYesNoOptions = [
+    { value: "YES", label: "Yes" },
+    { value: "NO", label: "No" },
+];
+
+const staticDrivingLicenseOptions = [
+    { value: "NONE", label: "None" },
+    { value: "MCWOG (MOTORCYCLE WITHOUT GEAR)", label: "MCWOG (Motorcycle without Gear)" },
+    { value: "MCWG (MOTORCYCLE WITH GEAR)", label: "MCWG (Motorcycle with Gear)" },
+    { value: "LMV (LIGHT MOTOR VEHICLE)", label: "LMV (Light Motor Vehicle)" },
+    { value: "HMV (HEAVY MOTOR VEHICLE)", label: "HMV (Heavy Motor Vehicle)" },
+    { value: "HGMV (HEAVY GOODS MOTOR VEHICLE)", label: "HGMV (Heavy Goods Motor Vehicle)" },
+    { value: "HPMV (HEAVY PASSENGER MOTOR VEHICLE)", label: "HPMV (Heavy Passenger Motor Vehicle)" },
+];
+
+const staticLanguageOptions = [
+    { value: "ENGLISH", label: "English" },
+    { value: "HINDI", label: "Hindi" },
+    { value: "BENGALI", label: "Bengali" },
+    { value: "MARATHI", label: "Marathi" },
+    { value: "TELUGU", label: "Telugu" },
+    { value: "TAMIL", label: "Tamil" },
+    { value: "GUJARATI", label: "Gujarati" },
+    { value: "URDU", label: "Urdu" },
+    { value: "KANNADA", label: "Kannada" },
+    { value: "ODIA", label: "Odia" },
+    { value: "MALAYALAM", label: "Malayalam" },
+    { value: "PUNJABI", label: "Punjabi" },
+    { value: "ASSAMESE", label: "Assamese" },
+];
+
+const staticEmploymentStatusOptions = [
+    { value: "UNEMPLOYED", label: "Unemployed" },
+    { value: "STUDENT", label: "Student" },
+    { value: "FRESHER", label: "Fresher" },
+    { value: "CENTRAL GOVERNMENT EMPLOYEE", label: "Central Government Employee" },
+    { value: "STATE GOVERNMENT EMPLOYEE", label: "State Government Employee" },
+    { value: "PUBLIC SECTOR UNDERTAKING (PSU) EMPLOYEE", label: "PSU Employee" },
+    { value: "PRIVATE SECTOR EMPLOYEE", label: "Private Sector Employee" },
+    { value: "SELF-EMPLOYED", label: "Self-Employed" },
+    { value: "DEFENCE PERSONNEL (SERVING)", label: "Defence Personnel (Serving)" },
+    { value: "DEFENCE PERSONNEL (RETIRED)", label: "Defence Personnel (Retired)" },
+];
+
 const EDUCATION_HIERARCHY = [
     { key: 'POST DOCTORATE', label: 'Post Doctorate', shortLabel: 'Post Doctorate' },
     { key: 'PHD', label: 'PhD', shortLabel: 'PhD' },
@@ -321,6 +456,64 @@ const generateYearOptions = () => {
 };
 const yearOptions = generateYearOptions();
 
+// Format a trace input value for the "Explain" panel
+const formatTraceValue = (value) => {
+    if (value === undefined || value === null || value === '') return '—';
+    if (Array.isArray(value)) return value.length > 0 ? value.join(', ') : '—';
+    if (typeof value === 'object') return JSON.stringify(value);
+    return String(value);
+};
+
+// Per-level checker fields: marks_percentage_graduation, subject_condition_12th_higher_secondary, ...
+const LEVEL_CHECK_FIELD_PATTERN = /^(education_course|education_subject|marks_percentage|subject_condition)_(.+)$/;
+
+// Label of a checker field in the chosen language (t from useLanguage)
+const getCheckFieldLabel = (field, t) => {
+    const levelMatch = String(field || '').match(LEVEL_CHECK_FIELD_PATTERN);
+    if (levelMatch) {
+        const part = t(`checkFields.${levelMatch[1]}`, { defaultValue: '' });
+        const level = t(`educationLevels.${levelMatch[2]}`, { defaultValue: '' });
+        if (part && level) return `${part} (${level})`;
+    }
+    return t(`checkFields.${field}`, { defaultValue: getFieldLabel(field) });
+};
+
+// Empty check-eligibility form
+const EMPTY_FORM_DATA = {
+    date_of_birth: "",
+    gender: "",
+    marital_status: "",
+    nationality: "",
+    caste_category: "",
+    pwd_status: "",
+    domicile: "",
+    highest_education_qualification: "",
+    eligibility_education_course: "",
+    eligibility_education_course_subject: "",
+    eligibility_course_year: "",
+    eligibility_marks: "",
+    percentage_10th_requirement: "",
+    percentage_12th_requirement: "",
+    subjects_at_10th: "",
+    subjects_at_12th: "",
+    active_backlogs_allowed: "",
+    gap_years_allowed: "",
+    ncc_wing: "",
+    ncc_certificate: "",
+    ncc_certificate_grade: "",
+    sports_quota_eligibility: "",
+    cpl_holder: "",
+    height_cm: "",
+    weight_kg: "",
+    vision_eyesight: "",
+    language_proficiency: [],
+    driving_license_type: "",
+    current_employment_status: "",
+    work_experience_years: "",
+    ex_servicemen_status: "",
+    attempts_used: "",
+};
+
 // ============================================
 // MAIN COMPONENT
 // ============================================
@@ -328,7 +521,12 @@ const yearOptions = generateYearOptions();
 function CheckEligibilityPage() {
     // State for exam selection
     const [examOptions, setExamOptions] = useState([]);
+    const [examGroups, setExamGroups] = useState({});
     const [selectedExam, setSelectedExam] = useState("");
+    const [examSearchIndex, setExamSearchIndex] = useState(getBasicExamSearchIndex);
+    const [fullSearchIndexWanted, setFullSearchIndexWanted] = useState(false);
+    const [examSearchQuery, setExamSearchQuery] = useState("");
+    const [examSearchFilters, setExamSearchFilters] = useState({});
     const [examData, setExamData] = useState(null);
     const [loading, setLoading] = useState(false);
     const [error, setError] = useState("");
@@ -366,48 +564,54 @@ function CheckEligibilityPage() {
     const [visibleEducationLevels, setVisibleEducationLevels] = useState([]);
 
     // State for form data
-    const [formData, setFormData] = useState({
-        date_of_birth: "",
-        gender: "",
-        marital_status: "",
-        nationality: "",
-        caste_category: "",
-        pwd_status: "",
-        domicile: "",
-        highest_education_qualification: "",
-        eligibility_education_course: "",
-        eligibility_education_course_subject: "",
-        eligibility_course_year: "",
-        eligibility_marks: "",
-        percentage_10th_requirement: "",
-        percentage_12th_requirement: "",
-        subjects_at_10th: "",
-        subjects_at_12th: "",
-        active_backlogs_allowed: "",
-        gap_years_allowed: "",
-        ncc_wing: "",
-        ncc_certificate: "",
-        ncc_certificate_grade: "",
-        sports_quota_eligibility: "",
-        cpl_holder: "",
-        height_cm: "",
-        weight_kg: "",
-        vision_eyesight: "",
-        language_proficiency: "",
-        driving_license_type: "",
-        current_employment_status: "",
-        work_experience_years: "",
-        ex_servicemen_status: "",
-    });
+    const [formData, setFormData] = useState(EMPTY_FORM_DATA);
 
     // State for results
     const [results, setResults] = useState([]);
     const [showResults, setShowResults] = useState(false);
     const [displayDetails, setDisplayDetails] = useState(null);
+    const [explainIndex, setExplainIndex] = useState(null); // division card showing its check trace
     
     // State for eligibility basis mode
     const [eligibilityBasisResults, setEligibilityBasisResults] = useState(null);
     const [checkingProgress, setCheckingProgress] = useState({ current: 0, total: 0, examName: '' });
+    const scanControllerRef = useRef(null); // AbortController of the running scan
+    
+    // State for the future-eligibility timeline
+    const [timelines, setTimelines] = useState(null);
+    const [timelineLoading, setTimelineLoading] = useState(false);
+    const timelineRef = useRef(null);
+    
+    // State for the exam comparison
+    const [compareOpen, setCompareOpen] = useState(false);
+    const [compareExamIds, setCompareExamIds] = useState([]);
+    const [comparison, setComparison] = useState(null);
+    const [compareLoading, setCompareLoading] = useState(false);
+    const compareRef = useRef(null);
+    
+    // State for the PDF report
+    const [reportGenerating, setReportGenerating] = useState(false);
+    
+    // State for share links
+    const [shareDialogOpen, setShareDialogOpen] = useState(false);
+    const [shareOmitSensitive, setShareOmitSensitive] = useState(false);
+    const [shareCopied, setShareCopied] = useState(false);
+    const [sharedNotice, setSharedNotice] = useState("");
+    const shareRestoredRef = useRef(false);
+    const location = useLocation();
+    const navigate = useNavigate();
+    
+    // State for saved profiles
+    const [savedProfiles, setSavedProfiles] = useState([]);
+    const [profilesAvailable, setProfilesAvailable] = useState(isProfileStorageAvailable());
+    
+    // Signed-in user: saved profiles and results are synced to their account
+    const { user } = useAuth();
+
+    // Chosen language; checker reasons are translated when shown
+    const { t, translateReason } = useLanguage();
+    const { theme: siteTheme } = useTheme();
+    const formTheme = useMemo(() => createFormTheme(siteTheme), [siteTheme]);
 
     // Ref for scrolling to results
     const resultsRef = useRef(null);
@@ -419,8 +623,24 @@ function CheckEligibilityPage() {
     useEffect(() => {
         const options = getExamDropdownOptions();
         setExamOptions(options);
+        setExamGroups(getExamOptionsGroupedByCategory());
     }, []);
 
+    // Details, posts and facets come with the full index, which fetches every
+    // linked exam JSON: load it once the user starts searching, not on page load
+    useEffect(() => {
+        if (!fullSearchIndexWanted) return undefined;
+        let cancelled = false;
+        loadExamSearchIndex()
+            .then(index => {
+                if (!cancelled) setExamSearchIndex(index);
+            })
+            .catch(err => console.error('Failed to build the exam search index:', err));
+        return () => {
+            cancelled = true;
+        };
+    }, [fullSearchIndexWanted]);
+
     useEffect(() => {
         const loadEducationData = async () => {
             try {
@@ -433,13 +653,40 @@ function CheckEligibilityPage() {
         loadEducationData();
     }, []);
 
+    useEffect(() => {
+        if (!isProfileStorageAvailable()) return;
+        listProfiles()
+            .then(setSavedProfiles)
+            .catch(err => {
+                console.error('Failed to load saved profiles:', err);
+                setProfilesAvailable(false);
+            });
+    }, []);
+
+    // Bring in profiles saved on the user's other devices
+    useEffect(() => {
+        if (!user) return;
+        syncProfiles()
+            .then(setSavedProfiles)
+            .catch(err => console.error('Failed to sync saved profiles:', err));
+    }, [user]);
+
+    // Stop a running Eligibility Basis scan when leaving the page
+    useEffect(() => {
+        return () => {
+            if (scanControllerRef.current) {
+                scanControllerRef.current.abort();
+            }
+        };
+    }, []);
+
     // ============================================
     // HANDLERS
     // ============================================
 
-    const handleExamChange = useCallback(async (event) => {
-        const examCode = event.target.value;
-        setSelectedExam(examCode);
+    // Select an exam and load its data; resolves to the loaded exam (or null)
+    const selectExam = useCallback(async (examId) => {
+        setSelectedExam(examId);
         setResults([]);
         setShowResults(false);
         setError("");
@@ -461,11 +708,24 @@ function CheckEligibilityPage() {
             ncc_wing: "",
             ncc_certificate: "",
             ncc_certificate_grade: "",
+            sports_quota_eligibility: "",
+            height_cm: "",
+            weight_kg: "",
+            vision_eyesight: "",
+            current_employment_status: "",
+            work_experience_years: "",
+            ex_servicemen_status: "",
+            cpl_holder: "",
+            driving_license_type: "",
+            language_proficiency: [],
+            gap_years_allowed: "",
+            active_backlogs_allowed: "",
+            attempts_used: "",
         }));
         
         setIsDomicileDisabled(true);
 
-        if (!examCode) {
+        if (!examId) {
             setExamData(null);
             setHasDivisions(false);
             setDivisions([]);
@@ -474,20 +734,24 @@ function CheckEligibilityPage() {
             setMaritalStatusOptions(staticMaritalStatusOptions);
             setNationalityOptions(staticNationalityOptions);
             setCasteOptions(staticCasteOptions);
-            return;
+            return null;
         }
 
         setLoading(true);
-        const result = await loadExamDataForBasis(examCode, examOptions);
+        const result = await loadExamDataForBasis(examId, examOptions);
         
         if (result.error) {
             setError(result.error);
             setLoading(false);
-            return;
+            return null;
         }
 
         setExamData(result.examData);
         setDisplayDetails(result.displayDetails);
+
+        // Warm up the exams most likely to be picked next (same category first)
+        const selectedOption = examOptions.find(option => option.value === examId);
+        prefetchExamData(getPrefetchCandidates(selectedOption?.linkedFile));
         setHasDivisions(result.hasDivisions);
         setDivisions(result.divisions);
 
@@ -522,8 +786,42 @@ function CheckEligibilityPage() {
         }
 
         setLoading(false);
+        return result;
     }, [examOptions]);
 
+    const handleExamChange = useCallback((event) => {
+        selectExam(event.target.value);
+    }, [selectExam]);
+
+    // Exams the search and facet filters leave in the dropdown, best match
+    // first; the selected exam always stays listed
+    const isExamSearchActive = Boolean(examSearchQuery.trim()) || Object.values(examSearchFilters).some(Boolean);
+
+    const visibleExamOptions = useMemo(() => {
+        if (!isExamSearchActive) return examOptions;
+        const optionsById = new Map(examOptions.map(option => [option.value, option]));
+        const matched = searchExams(examSearchIndex, examSearchQuery, examSearchFilters)
+            .map(({ exam }) => optionsById.get(exam.examId))
+            .filter(Boolean);
+        if (selectedExam && !matched.some(option => option.value === selectedExam) && optionsById.has(selectedExam)) {
+            matched.push(optionsById.get(selectedExam));
+        }
+        return matched;
+    }, [examOptions, examSearchIndex, examSearchQuery, examSearchFilters, isExamSearchActive, selectedExam]);
+
+    const examFacetCounts = useMemo(() => {
+        return getFacetCounts(examSearchIndex, examSearchQuery, examSearchFilters);
+    }, [examSearchIndex, examSearchQuery, examSearchFilters]);
+
+    const handleExamFilterChange = (facet, value) => {
+        setExamSearchFilters(prev => ({ ...prev, [facet]: value }));
+    };
+
+    // Prefetch the first few exams when the dropdown opens
+    const handleExamMenuOpen = () => {
+        prefetchExamData(getPrefetchCandidates());
+    };
+
     const handleChange = (field) => (event) => {
         const newValue = event.target.value;
         setFormData(prev => ({ ...prev, [field]: newValue }));
@@ -653,6 +951,102 @@ function CheckEligibilityPage() {
     // CHECK ELIGIBILITY
     // ============================================
 
+    // Scroll to results
+    const scrollToResults = useCallback(() => {
+        setTimeout(() => {
+            if (resultsRef.current) {
+                resultsRef.current.scrollIntoView({ behavior: 'smooth', block: 'start' });
+            }
+        }, 100);
+    }, []);
+
+    // Exam Basis: check every division/session of one loaded exam;
+    // focus ({ division, session }) opens the explanation of that result
+    const runExamBasisCheck = useCallback((checkFormData, checkEducationData, exam, focus = null) => {
+        const userInput = prepareUserInput(checkFormData, checkEducationData);
+        const allResults = checkExamBasisEligibility(userInput, exam.examData, exam.hasDivisions, exam.divisions, exam.examId);
+        const focusIndex = focus
+            ? allResults.findIndex(result => result.division === focus.division && (!focus.session || result.session === focus.session))
+            : -1;
+        
+        setResults(addExplanations(allResults, userInput, exam.examData));
+        setExplainIndex(focusIndex !== -1 ? focusIndex : null);
+        setShowResults(true);
+        
+        if (user) {
+            saveAccountResults({ examBasis: summarizeExamBasisResults(allResults) })
+                .catch(err => console.error('Failed to save results to account:', err));
+        }
+    }, [user]);
+
+    // Eligibility Basis: scan all exams, streaming partial results
+    const runEligibilityBasisScan = useCallback((checkFormData, checkEducationData) => {
+        // Cancel a scan that is still running
+        if (scanControllerRef.current) {
+            scanControllerRef.current.abort();
+        }
+        const controller = new AbortController();
+        scanControllerRef.current = controller;
+        
+        setLoading(true);
+        setCheckingProgress({ current: 0, total: examOptions.length, examName: '' });
+        setEligibilityBasisResults(null);
+        
+        // Partial results streamed from the worker, shown as they arrive
+        const partialEligible = [];
+        const partialIneligible = [];
+        let checkedSoFar = 0;
+        
+        const showPartialResults = () => {
+            setEligibilityBasisResults({
+                eligible: [...partialEligible],
+                ineligible: [...partialIneligible],
+                totalExamsChecked: checkedSoFar,
+                eligibleCount: partialEligible.length,
+                ineligibleCount: partialIneligible.length
+            });
+            setShowResults(true);
+        };
+        
+        scanEligibilityBasis(checkFormData, checkEducationData, {
+            signal: controller.signal,
+            onBatch: ({ eligible, ineligible }) => {
+                partialEligible.push(...eligible);
+                partialIneligible.push(...ineligible);
+            },
+            onProgress: (examName, current, total) => {
+                checkedSoFar = current;
+                setCheckingProgress({ current, total, examName });
+                showPartialResults();
+            }
+        }).then(result => {
+            // Store full results for eligibility basis
+            setEligibilityBasisResults(result);
+            setShowResults(true);
+            setLoading(false);
+            setCheckingProgress({ current: 0, total: 0, examName: '' });
+            
+            if (user) {
+                const eligibilityBasis = summarizeEligibilityBasisResults(result, getEligibleExamsSummary(result.eligible));
+                saveAccountResults({ eligibilityBasis })
+                    .catch(err => console.error('Failed to save results to account:', err));
+            }
+        }).catch(err => {
+            // Cancelled: keep the partial results found so far
+            if (err.name !== 'AbortError') {
+                setError("Error checking eligibility: " + err.message);
+            }
+            if (scanControllerRef.current === controller) {
+                setLoading(false);
+                setCheckingProgress({ current: 0, total: 0, examName: '' });
+            }
+        }).finally(() => {
+            if (scanControllerRef.current === controller) {
+                scanControllerRef.current = null;
+            }
+        });
+    }, [examOptions.length, user]);
+
     const handleCheckEligibility = () => {
         setError("");
 
@@ -671,11 +1065,7 @@ function CheckEligibilityPage() {
                 return;
             }
 
-            const userInput = prepareUserInput(formData, educationTableData);
-            const allResults = checkExamBasisEligibility(userInput, examData, hasDivisions, divisions, selectedExam);
-            
-            setResults(allResults);
-            setShowResults(true);
+            runExamBasisCheck(formData, educationTableData, { examId: selectedExam, examData, hasDivisions, divisions });
         } else {
             // Eligibility Basis Mode
             if (!formData.date_of_birth) {
@@ -683,36 +1073,276 @@ function CheckEligibilityPage() {
                 return;
             }
             
-            setLoading(true);
-            setCheckingProgress({ current: 0, total: examOptions.length, examName: '' });
-            
-            checkEligibilityBasis(formData, educationTableData, (examName, current, total) => {
-                setCheckingProgress({ current, total, examName });
-            }).then(result => {
-                // Store full results for eligibility basis
-                setEligibilityBasisResults(result);
-                
-                // Get summary grouped by exam
-                const summary = getEligibleExamsSummary(result.eligible);
-                setResults(summary);
-                setShowResults(true);
-                setLoading(false);
-                setCheckingProgress({ current: 0, total: 0, examName: '' });
-            }).catch(err => {
-                setError("Error checking eligibility: " + err.message);
-                setLoading(false);
-                setCheckingProgress({ current: 0, total: 0, examName: '' });
-            });
+            runEligibilityBasisScan(formData, educationTableData);
+        }
+        
+        scrollToResults();
+    };
+
+    // ============================================
+    // SAVED PROFILES
+    // ============================================
+
+    // Saved profiles after a change; signed-in users also sync them to their account
+    const refreshProfiles = async (deletedIds = []) => {
+        if (user) {
+            try {
+                return await syncProfiles(deletedIds);
+            } catch (err) {
+                console.error('Failed to sync saved profiles:', err);
+            }
+        }
+        return listProfiles();
+    };
+
+    const handleSaveProfile = async (name) => {
+        try {
+            const saved = await saveProfile({ name, formData, educationTableData, selectedExam });
+            setSavedProfiles(await refreshProfiles());
+            return saved;
+        } catch (err) {
+            setError("Could not save profile: " + err.message);
+            return null;
+        }
+    };
+
+    // Restore a saved profile into the form, loading its target exam first
+    // (selecting an exam resets the form)
+    const applyProfile = useCallback(async (profile) => {
+        setError("");
+        const profileFormData = { ...EMPTY_FORM_DATA, ...profile.formData };
+        const profileEducationData = profile.educationTableData || {};
+        
+        let exam = null;
+        if (profile.selectedExam && examOptions.some(option => option.value === profile.selectedExam)) {
+            const loaded = await selectExam(profile.selectedExam);
+            if (loaded) {
+                exam = { examId: profile.selectedExam, ...loaded };
+            }
+        }
+        
+        setFormData(profileFormData);
+        setEducationTableData(profileEducationData);
+        setMaritalStatusOptions(getMaritalStatusOptionsForGender(profileFormData.gender));
+        setIsDomicileDisabled((profileFormData.nationality || '').toUpperCase() !== 'INDIAN');
+        
+        const level = profileFormData.highest_education_qualification;
+        const levelIndex = EDUCATION_HIERARCHY.findIndex(h => h.key === level);
+        setVisibleEducationLevels(levelIndex !== -1 ? EDUCATION_HIERARCHY.slice(levelIndex) : []);
+        setCourseOptions(level ? getCoursesForLevel(level) : []);
+        setSubjectOptions(profileFormData.eligibility_education_course
+            ? getSubjectsForCourse(profileFormData.eligibility_education_course, level)
+            : []);
+        setShowResults(false);
+        
+        return { formData: profileFormData, educationTableData: profileEducationData, exam };
+    }, [examOptions, selectExam]);
+
+    const handleLoadProfile = (profile) => {
+        applyProfile(profile);
+    };
+
+    // Load a profile and re-run both Exam Basis and Eligibility Basis checks
+    const handleRunProfile = async (profile) => {
+        const applied = await applyProfile(profile);
+        if (!applied.formData.date_of_birth) {
+            setError("This profile has no date of birth");
+            return;
+        }
+        
+        if (applied.exam) {
+            runExamBasisCheck(applied.formData, applied.educationTableData, applied.exam);
+        } else {
+            setSearchMode('eligibility');
+        }
+        runEligibilityBasisScan(applied.formData, applied.educationTableData);
+        scrollToResults();
+    };
+
+    // ============================================
+    // SHARE LINKS
+    // ============================================
+
+    // Fill the form from a share link and re-run its check
+    const restoreSharedState = useCallback(async (shared) => {
+        // Links can be edited by hand: keep only known form fields
+        const formData = Object.fromEntries(
+            Object.entries(shared.formData).filter(([field]) => field in EMPTY_FORM_DATA)
+        );
+        const applied = await applyProfile({ ...shared, formData });
+        setSearchMode(shared.searchMode);
+        if (shared.omittedSensitive) {
+            setSharedNotice("Some personal details (date of birth, gender, category, PwD status, physical standards...) were left out of this link. Fill them in and check again for an exact result.");
+        }
+        
+        if (!applied.formData.date_of_birth) {
+            if (!shared.omittedSensitive) {
+                setError("This link has no date of birth");
+            }
+            return;
+        }
+        if (shared.searchMode === 'exam') {
+            if (!applied.exam) {
+                setError("The exam in this link could not be found");
+                return;
+            }
+            const focus = shared.division ? { division: shared.division, session: shared.session } : null;
+            runExamBasisCheck(applied.formData, applied.educationTableData, applied.exam, focus);
+        } else {
+            runEligibilityBasisScan(applied.formData, applied.educationTableData);
+        }
+        scrollToResults();
+    }, [applyProfile, runExamBasisCheck, runEligibilityBasisScan, scrollToResults]);
+
+    // Restore the form from a share link, or select the exam of a deep link,
+    // once the exam list is ready; shareRestoredRef keeps it to the link the
+    // page was opened with
+    useEffect(() => {
+        if (shareRestoredRef.current || examOptions.length === 0) return;
+        shareRestoredRef.current = true;
+        
+        let shared;
+        try {
+            shared = decodeShareState(location.hash);
+        } catch (err) {
+            setError(err.message);
+            return;
+        }
+        if (!shared) {
+            const linkedExamId = new URLSearchParams(location.search).get(EXAM_QUERY_PARAM);
+            if (!linkedExamId) return;
+            if (examOptions.some(option => option.value === linkedExamId)) {
+                selectExam(linkedExamId);
+                return;
+            }
+            const exam = getCatalogueExam(linkedExamId);
+            setError(exam
+                ? `Eligibility rules for ${exam.examName} are not available yet. Please pick another exam.`
+                : `The link points to an exam that does not exist ("${linkedExamId}"). Please pick an exam.`);
+            return;
+        }
+        
+        // Drop the fragment: once the form is edited it no longer matches
+        navigate({ pathname: location.pathname, search: location.search }, { replace: true });
+        restoreSharedState(shared);
+    }, [examOptions, location.hash, location.pathname, location.search, navigate, selectExam, restoreSharedState]);
+
+    // Link to the current form; the open explanation (if any) is included
+    const shareUrl = shareDialogOpen ? buildShareUrl({
+        formData,
+        educationTableData,
+        searchMode,
+        selectedExam,
+        division: explainIndex !== null ? results[explainIndex]?.division : '',
+        session: explainIndex !== null ? results[explainIndex]?.session : ''
+    }, { omitSensitive: shareOmitSensitive }) : '';
+
+    const handleOpenShare = () => {
+        setShareCopied(false);
+        setShareDialogOpen(true);
+    };
+
+    const handleCopyShareUrl = () => {
+        navigator.clipboard.writeText(shareUrl)
+            .then(() => setShareCopied(true))
+            .catch(() => setError("Could not copy the link; please copy it from the box"));
+    };
+
+    const handleDeleteProfile = (profile) => {
+        deleteProfile(profile.id)
+            .then(() => refreshProfiles([profile.id]))
+            .then(setSavedProfiles)
+            .catch(err => setError("Could not delete profile: " + err.message));
+    };
+
+    // Stop a running Eligibility Basis scan
+    const handleCancelScan = () => {
+        if (scanControllerRef.current) {
+            scanControllerRef.current.abort();
+        }
+    };
+
+    // Build the timeline of every exam, division and session for this profile
+    const handleShowTimeline = () => {
+        setError("");
+        if (!formData.date_of_birth) {
+            setError("Please enter your date of birth");
+            return;
         }
         
-        // Scroll to results
+        setTimelineLoading(true);
+        buildEligibilityTimeline(formData, educationTableData).then(result => {
+            setTimelines(result);
+            setTimelineLoading(false);
+            setTimeout(() => {
+                if (timelineRef.current) {
+                    timelineRef.current.scrollIntoView({ behavior: 'smooth', block: 'start' });
+                }
+            }, 100);
+        }).catch(err => {
+            setError("Error building timeline: " + err.message);
+            setTimelineLoading(false);
+        });
+    };
+
+    // Open the comparison panel, starting from the selected exam
+    const handleOpenCompare = () => {
+        if (selectedExam && !compareExamIds.includes(selectedExam)) {
+            setCompareExamIds(prev => [selectedExam, ...prev].slice(0, MAX_COMPARE_EXAMS));
+        }
+        setCompareOpen(true);
         setTimeout(() => {
-            if (resultsRef.current) {
-                resultsRef.current.scrollIntoView({ behavior: 'smooth', block: 'start' });
+            if (compareRef.current) {
+                compareRef.current.scrollIntoView({ behavior: 'smooth', block: 'start' });
             }
         }, 100);
     };
 
+    const handleCompareExamsChange = (event) => {
+        const value = event.target.value;
+        const examIds = typeof value === 'string' ? value.split(',') : value;
+        setCompareExamIds(examIds.slice(0, MAX_COMPARE_EXAMS));
+    };
+
+    // Check the profile against every chosen exam and build the rules matrix
+    const handleCompareExams = () => {
+        setError("");
+        if (!formData.date_of_birth) {
+            setError("Please enter your date of birth");
+            return;
+        }
+        
+        setCompareLoading(true);
+        buildExamComparison(compareExamIds, formData, educationTableData, examOptions).then(result => {
+            setComparison(result);
+        }).catch(err => {
+            setError("Error comparing exams: " + err.message);
+        }).finally(() => {
+            setCompareLoading(false);
+        });
+    };
+
+    // Save the current results as a PDF report
+    const handleDownloadReport = () => {
+        setReportGenerating(true);
+        downloadEligibilityReport({
+            mode: searchMode,
+            formData,
+            educationTableData,
+            results,
+            displayDetails,
+            scanResult: eligibilityBasisResults
+        }).catch(err => {
+            setError("Could not create the report: " + err.message);
+        }).finally(() => {
+            setReportGenerating(false);
+        });
+    };
+
+    // Eligible exams (grouped) from the Eligibility Basis scan
+    const eligibleExams = eligibilityBasisResults ? getEligibleExamsSummary(eligibilityBasisResults.eligible) : [];
+    const hasResults = searchMode === 'exam' ? results.length > 0 : eligibleExams.length > 0;
+
     // ============================================
     // RENDER FUNCTIONS
     // ============================================
@@ -725,26 +1355,26 @@ function CheckEligibilityPage() {
         const notEligibleCount = results.length - eligibleCount;
 
         return (
-            <div className="bg-white rounded-lg shadow-lg overflow-hidden h-fit border border-gray-200">
+            <div className="bg-white dark:bg-gray-900 rounded-lg shadow-lg overflow-hidden h-fit border border-gray-200 dark:border-gray-700">
                 <h3 className="bg-gray-800 text-white px-3 py-2 font-semibold text-sm">
                     📋 Results Summary
                 </h3>
                 
-                <div className="p-3 bg-gradient-to-r from-blue-50 to-indigo-50 border-b">
-                    <p className="text-xs text-gray-600 mb-2">
+                <div className="p-3 bg-gradient-to-r from-blue-50 dark:from-blue-900/30 to-indigo-50 dark:to-indigo-900/30 border-b">
+                    <p className="text-xs text-gray-600 dark:text-gray-300 mb-2">
                         {examData?.exam_name || selectedExam}
                     </p>
                     <div className="flex gap-2">
-                        <div className="text-center px-2 py-1 bg-green-100 rounded-lg flex-1">
-                            <p className="text-lg font-bold text-green-600">{eligibleCount}</p>
-                            <p className="text-xs text-green-700">Eligible</p>
+                        <div className="text-center px-2 py-1 bg-green-100 dark:bg-green-900/40 rounded-lg flex-1">
+                            <p className="text-lg font-bold text-green-600 dark:text-green-400">{eligibleCount}</p>
+                            <p className="text-xs text-green-700 dark:text-green-300">Eligible</p>
                         </div>
-                        <div className="text-center px-2 py-1 bg-red-100 rounded-lg flex-1">
-                            <p className="text-lg font-bold text-red-600">{notEligibleCount}</p>
-                            <p className="text-xs text-red-700">Not Eligible</p>
+                        <div className="text-center px-2 py-1 bg-red-100 dark:bg-red-900/40 rounded-lg flex-1">
+                            <p className="text-lg font-bold text-red-600 dark:text-red-400">{notEligibleCount}</p>
+                            <p className="text-xs text-red-700 dark:text-red-300">Not Eligible</p>
                         </div>
                     </div>
-                    <p className="text-xs text-gray-500 mt-2">
+                    <p className="text-xs text-gray-500 dark:text-gray-400 mt-2">
                         Checked {results.length} combination(s)
                     </p>
                 </div>
@@ -754,7 +1384,7 @@ function CheckEligibilityPage() {
                     style={thinScrollbarStyle}
                 >
                     <table className="w-full">
-                        <thead className="bg-gray-100 sticky top-0">
+                        <thead className="bg-gray-100 dark:bg-gray-800 sticky top-0">
                             <tr>
                                 <th className="px-3 py-2 text-left text-xs">Division</th>
                                 <th className="px-3 py-2 text-left text-xs">Session</th>
@@ -765,10 +1395,10 @@ function CheckEligibilityPage() {
                             {results.map((result, index) => (
                                 <tr 
                                     key={index} 
-                                    className={`border-b hover:bg-gray-50 ${result.eligible ? '' : 'bg-red-50'}`}
+                                    className={`border-b hover:bg-gray-50 dark:hover:bg-gray-800 ${result.eligible ? '' : 'bg-red-50 dark:bg-red-900/30'}`}
                                 >
                                     <td className="px-3 py-2 text-xs">
-                                        <span className="font-semibold text-indigo-600">{result.division}</span>
+                                        <span className="font-semibold text-indigo-600 dark:text-indigo-400">{result.division}</span>
                                     </td>
                                     <td className="px-3 py-2 text-xs">{result.session}</td>
                                     <td className="px-3 py-2 text-center">
@@ -794,24 +1424,24 @@ function CheckEligibilityPage() {
         const { eligibleCount, ineligibleCount, totalExamsChecked } = eligibilityBasisResults;
 
         return (
-            <div className="bg-white rounded-lg shadow-lg overflow-hidden h-fit border border-gray-200">
+            <div className="bg-white dark:bg-gray-900 rounded-lg shadow-lg overflow-hidden h-fit border border-gray-200 dark:border-gray-700">
                 <h3 className="bg-green-600 text-white px-3 py-2 font-semibold text-sm">
                     🎯 Exams You're Eligible For
                 </h3>
                 
-                <div className="p-3 bg-gradient-to-r from-green-50 to-emerald-50 border-b">
+                <div className="p-3 bg-gradient-to-r from-green-50 dark:from-green-900/30 to-emerald-50 dark:to-emerald-900/30 border-b">
                     <div className="flex gap-2 mb-2">
-                        <div className="text-center px-2 py-1 bg-green-100 rounded-lg flex-1">
-                            <p className="text-xl font-bold text-green-600">{results.length}</p>
-                            <p className="text-xs text-green-700">Eligible Exams</p>
+                        <div className="text-center px-2 py-1 bg-green-100 dark:bg-green-900/40 rounded-lg flex-1">
+                            <p className="text-xl font-bold text-green-600 dark:text-green-400">{eligibleExams.length}</p>
+                            <p className="text-xs text-green-700 dark:text-green-300">Eligible Exams</p>
                         </div>
-                        <div className="text-center px-2 py-1 bg-blue-100 rounded-lg flex-1">
-                            <p className="text-xl font-bold text-blue-600">{totalExamsChecked}</p>
-                            <p className="text-xs text-blue-700">Total Checked</p>
+                        <div className="text-center px-2 py-1 bg-blue-100 dark:bg-blue-900/40 rounded-lg flex-1">
+                            <p className="text-xl font-bold text-blue-600 dark:text-blue-400">{totalExamsChecked}</p>
+                            <p className="text-xs text-blue-700 dark:text-blue-300">Total Checked</p>
                         </div>
                     </div>
-                    <p className="text-xs text-gray-500">
-                        Found {eligibleCount} eligible posts/divisions across {results.length} exams
+                    <p className="text-xs text-gray-500 dark:text-gray-400">
+                        Found {eligibleCount} eligible posts/divisions across {eligibleExams.length} exams
                     </p>
                 </div>
 
@@ -819,25 +1449,25 @@ function CheckEligibilityPage() {
                     className="overflow-x-auto max-h-[400px] overflow-y-auto"
                     style={thinScrollbarStyle}
                 >
-                    {results.length === 0 ? (
-                        <div className="p-4 text-center text-gray-500">
+                    {eligibleExams.length === 0 ? (
+                        <div className="p-4 text-center text-gray-500 dark:text-gray-400">
                             <p className="text-sm">No eligible exams found based on your profile.</p>
                             <p className="text-xs mt-1">Try adjusting your details or check back later.</p>
                         </div>
                     ) : (
                         <div className="p-2">
-                            {results.map((exam, index) => (
+                            {eligibleExams.map((exam, index) => (
                                 <div 
                                     key={index} 
-                                    className="border border-green-200 rounded-lg p-3 mb-2 bg-green-50 hover:bg-green-100 transition-colors"
+                                    className="border border-green-200 dark:border-green-800 rounded-lg p-3 mb-2 bg-green-50 dark:bg-green-900/30 hover:bg-green-100 dark:hover:bg-green-900/40 transition-colors"
                                 >
                                     <div className="flex justify-between items-start">
                                         <div className="flex-1">
-                                            <h4 className="font-bold text-gray-800 text-sm">
+                                            <h4 className="font-bold text-gray-800 dark:text-gray-100 text-sm">
                                                 {exam.examLabel || exam.examName}
                                             </h4>
                                             {exam.displayDetails?.conducting_body && (
-                                                <p className="text-xs text-gray-500 mt-1">
+                                                <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">
                                                     {exam.displayDetails.conducting_body}
                                                 </p>
                                             )}
@@ -851,15 +1481,15 @@ function CheckEligibilityPage() {
                                     
                                     {exam.divisions.length > 0 && (
                                         <div className="mt-2">
-                                            <span className="text-xs text-gray-600">Eligible Divisions: </span>
+                                            <span className="text-xs text-gray-600 dark:text-gray-300">Eligible Divisions: </span>
                                             <div className="flex flex-wrap gap-1 mt-1">
                                                 {exam.divisions.slice(0, 5).map((div, idx) => (
-                                                    <span key={idx} className="text-xs bg-indigo-100 text-indigo-700 px-2 py-0.5 rounded">
+                                                    <span key={idx} className="text-xs bg-indigo-100 dark:bg-indigo-900/40 text-indigo-700 dark:text-indigo-300 px-2 py-0.5 rounded">
                                                         {div}
                                                     </span>
                                                 ))}
                                                 {exam.divisions.length > 5 && (
-                                                    <span className="text-xs text-gray-500">+{exam.divisions.length - 5} more</span>
+                                                    <span className="text-xs text-gray-500 dark:text-gray-400">+{exam.divisions.length - 5} more</span>
                                                 )}
                                             </div>
                                         </div>
@@ -889,26 +1519,26 @@ function CheckEligibilityPage() {
         return (
             <div className="h-full">
                 <h3 className="bg-gray-800 text-white px-3 py-2 font-semibold text-sm rounded-t-lg">
-                    📝 Detailed Eligibility Check
+                    {t("results.detailedCheck")}
                 </h3>
                 
-                <div className="p-3 bg-gradient-to-r from-indigo-50 to-purple-50 border-b">
+                <div className="p-3 bg-gradient-to-r from-indigo-50 dark:from-indigo-900/30 to-purple-50 dark:to-purple-900/30 border-b">
                     <div className="grid grid-cols-2 gap-2 text-xs">
                         {hasDivisions && divisions.length > 0 ? (
                             <div>
-                                <span className="text-gray-500">Divisions:</span>
-                                <p className="font-medium text-indigo-700">{divisions.length} divisions checked</p>
+                                <span className="text-gray-500 dark:text-gray-400">Divisions:</span>
+                                <p className="font-medium text-indigo-700 dark:text-indigo-300">{divisions.length} divisions checked</p>
                             </div>
                         ) : (
                             <div>
-                                <span className="text-gray-500">Type:</span>
-                                <p className="font-medium text-indigo-700">Single exam</p>
+                                <span className="text-gray-500 dark:text-gray-400">Type:</span>
+                                <p className="font-medium text-indigo-700 dark:text-indigo-300">Single exam</p>
                             </div>
                         )}
                         {displayDetails?.conducting_body && (
                             <div>
-                                <span className="text-gray-500">Conducting Body:</span>
-                                <p className="font-medium text-indigo-700">{displayDetails.conducting_body}</p>
+                                <span className="text-gray-500 dark:text-gray-400">Conducting Body:</span>
+                                <p className="font-medium text-indigo-700 dark:text-indigo-300">{displayDetails.conducting_body}</p>
                             </div>
                         )}
                     </div>
@@ -921,14 +1551,14 @@ function CheckEligibilityPage() {
                     {results.map((result, index) => (
                         <div 
                             key={index} 
-                            className={`rounded-lg p-2 border mb-2 ${result.eligible ? 'bg-green-50 border-green-300' : 'bg-red-50 border-red-300'}`}
+                            className={`rounded-lg p-2 border mb-2 ${result.eligible ? 'bg-green-50 dark:bg-green-900/30 border-green-300 dark:border-green-800' : 'bg-red-50 dark:bg-red-900/30 border-red-300 dark:border-red-800'}`}
                         >
                             <div className="flex items-center gap-2 mb-2 flex-wrap">
-                                <span className="font-bold text-indigo-700 text-sm">{result.division}</span>
+                                <span className="font-bold text-indigo-700 dark:text-indigo-300 text-sm">{result.division}</span>
                                 <span className="text-gray-400">|</span>
-                                <span className="text-xs text-gray-600">{result.session}</span>
+                                <span className="text-xs text-gray-600 dark:text-gray-300">{result.session}</span>
                                 <Chip
-                                    label={result.eligible ? "Eligible" : "Not Eligible"}
+                                    label={result.eligible ? t("results.eligible") : t("results.notEligible")}
                                     color={result.eligible ? "success" : "error"}
                                     size="small"
                                 />
@@ -936,27 +1566,34 @@ function CheckEligibilityPage() {
 
                             <div className="overflow-x-auto">
                                 <table className="w-full text-xs">
-                                    <thead className="bg-gray-100">
+                                    <thead className="bg-gray-100 dark:bg-gray-800">
                                         <tr>
-                                            <th className="px-2 py-1 text-left">Criteria</th>
-                                            <th className="px-2 py-1 text-left">You</th>
-                                            <th className="px-2 py-1 text-left">Required</th>
+                                            <th className="px-2 py-1 text-left">{t("results.criteria")}</th>
+                                            <th className="px-2 py-1 text-left">{t("results.you")}</th>
+                                            <th className="px-2 py-1 text-left">{t("results.required")}</th>
                                             <th className="px-2 py-1 text-center">✓/✗</th>
                                         </tr>
                                     </thead>
                                     <tbody>
                                         {result.results && result.results.map((check, idx) => (
-                                            <tr key={idx} className={`border-b ${check.eligible ? '' : 'bg-red-100'}`}>
-                                                <td className="px-2 py-1">{check.field}</td>
+                                            <tr key={idx} className={`border-b ${check.eligible ? '' : 'bg-red-100 dark:bg-red-900/40'}`}>
+                                                <td className="px-2 py-1">
+                                                    {getCheckFieldLabel(check.field, t)}
+                                                    {check.ageRelaxation && (
+                                                        <div className="text-[10px] text-indigo-600 dark:text-indigo-400" title={check.ageRelaxation.summary}>
+                                                            {t("results.relaxationYears", { count: check.ageRelaxation.years })}
+                                                        </div>
+                                                    )}
+                                                </td>
                                                 <td className="px-2 py-1">{check.userValue}</td>
-                                                <td className="px-2 py-1 text-gray-600 truncate max-w-[80px]" title={check.examRequirement}>
+                                                <td className="px-2 py-1 text-gray-600 dark:text-gray-300 truncate max-w-[80px]" title={check.examRequirement}>
                                                     {check.examRequirement?.length > 12 ? check.examRequirement.substring(0, 12) + '...' : check.examRequirement}
                                                 </td>
                                                 <td className="px-2 py-1 text-center">
                                                     {check.eligible ? (
-                                                        <span className="text-green-600 font-bold">✓</span>
+                                                        <span className="text-green-600 dark:text-green-400 font-bold">✓</span>
                                                     ) : (
-                                                        <span className="text-red-600 font-bold">✗</span>
+                                                        <span className="text-red-600 dark:text-red-400 font-bold">✗</span>
                                                     )}
                                                 </td>
                                             </tr>
@@ -964,9 +1601,90 @@ function CheckEligibilityPage() {
                                     </tbody>
                                 </table>
                             </div>
+
+                            {/* Why not eligible: plain-language reasons and what to do */}
+                            {result.explanation && (result.explanation.failures.length > 0 || result.explanation.relaxations.length > 0) && (
+                                <div className="mt-2 space-y-1 text-[11px]">
+                                    {result.explanation.failures.map((failure, idx) => (
+                                        <div key={idx} className="text-red-700 dark:text-red-300">
+                                            <span className="font-semibold">{getCheckFieldLabel(failure.field, t)}:</span> {translateReason(failure.explanation)}
+                                            {failure.hint && (
+                                                <span className="block text-indigo-700 dark:text-indigo-300">💡 {translateReason(failure.hint)}</span>
+                                            )}
+                                        </div>
+                                    ))}
+                                    {result.explanation.relaxations.map((relaxation, idx) => (
+                                        <div key={idx} className="text-green-700 dark:text-green-300">
+                                            <span className="font-semibold">{getCheckFieldLabel(relaxation.field, t)}:</span> {translateReason(relaxation.explanation)}
+                                            <span className="text-gray-500 dark:text-gray-400"> ({translateReason(relaxation.hint)})</span>
+                                        </div>
+                                    ))}
+                                    {result.explanation.nearestSession && (
+                                        <div className="text-indigo-700 dark:text-indigo-300">
+                                            📅 Nearest session you pass: <span className="font-semibold">{result.explanation.nearestSession.label}</span>
+                                            {result.explanation.nearestSession.projected && ' (projected, if the age rule stays the same)'}
+                                        </div>
+                                    )}
+                                    {result.explanation.alternativeDivisions.length > 0 && (
+                                        <div className="text-indigo-700 dark:text-indigo-300">
+                                            🔀 You pass in: {result.explanation.alternativeDivisions
+                                                .map(alt => alt.session ? `${alt.division} (${alt.label})` : alt.division)
+                                                .join(', ')}
+                                        </div>
+                                    )}
+                                </div>
+                            )}
+
+                            {/* Explain: how each check reached its verdict */}
+                            {result.trace && result.trace.length > 0 && (
+                                <div className="mt-2">
+                                    <button
+                                        type="button"
+                                        className="text-[11px] text-indigo-600 dark:text-indigo-400 hover:underline"
+                                        onClick={() => setExplainIndex(explainIndex === index ? null : index)}
+                                    >
+                                        {explainIndex === index ? t('results.hideExplanation') : t('results.explain')}
+                                    </button>
+                                    {explainIndex === index && (
+                                        <ol className="mt-1 space-y-1 text-[11px]">
+                                            {result.trace.map((entry) => (
+                                                <li
+                                                    key={entry.step}
+                                                    className={`rounded border px-2 py-1 ${entry.eligible ? 'bg-white dark:bg-gray-900 border-green-200 dark:border-green-800' : 'bg-white dark:bg-gray-900 border-red-300 dark:border-red-800'}`}
+                                                >
+                                                    <div className="font-semibold text-gray-700 dark:text-gray-200">
+                                                        {entry.step}. {entry.check}{' '}
+                                                        <span className={entry.eligible ? 'text-green-600 dark:text-green-400' : 'text-red-600 dark:text-red-400'}>
+                                                            {entry.eligible ? '✓' : '✗'}
+                                                        </span>
+                                                    </div>
+                                                    <div className="text-gray-500 dark:text-gray-400">
+                                                        {t("results.rule")}: {formatTraceValue(entry.rule)}
+                                                    </div>
+                                                    {Object.entries(entry.inputs || {}).map(([key, value]) => (
+                                                        <div key={key} className="text-gray-500 dark:text-gray-400">
+                                                            {key}: <span className="text-gray-700 dark:text-gray-200">{formatTraceValue(value)}</span>
+                                                        </div>
+                                                    ))}
+                                                    <div className="text-gray-700 dark:text-gray-200">{translateReason(entry.reason)}</div>
+                                                </li>
+                                            ))}
+                                        </ol>
+                                    )}
+                                </div>
+                            )}
                         </div>
                     ))}
                 </div>
+                
+                <div className="px-3 pb-3 text-xs text-right">
+                    <Link
+                        to={`/contact?topic=wrong-eligibility-result&exam=${encodeURIComponent(selectedExam)}`}
+                        className="text-blue-600 dark:text-blue-400 hover:underline"
+                    >
+                        Result looks wrong? Report it
+                    </Link>
+                </div>
             </div>
         );
     };
@@ -980,7 +1698,7 @@ function CheckEligibilityPage() {
         // Group ineligible by exam
         const ineligibleByExam = new Map();
         ineligibleExams.forEach(result => {
-            const key = result.examCode;
+            const key = result.examId;
             if (!ineligibleByExam.has(key)) {
                 ineligibleByExam.set(key, {
                     examLabel: result.examLabel,
@@ -1007,8 +1725,8 @@ function CheckEligibilityPage() {
                     ⚠️ Not Eligible For ({ineligibleList.length} exams)
                 </h3>
                 
-                <div className="p-3 bg-gradient-to-r from-orange-50 to-yellow-50 border-b">
-                    <p className="text-xs text-gray-600">
+                <div className="p-3 bg-gradient-to-r from-orange-50 dark:from-orange-900/30 to-yellow-50 dark:to-yellow-900/30 border-b">
+                    <p className="text-xs text-gray-600 dark:text-gray-300">
                         These exams don't match your current profile. Review the criteria to see why.
                     </p>
                 </div>
@@ -1018,7 +1736,7 @@ function CheckEligibilityPage() {
                     style={thinScrollbarStyle}
                 >
                     {ineligibleList.length === 0 ? (
-                        <div className="p-4 text-center text-green-600">
+                        <div className="p-4 text-center text-green-600 dark:text-green-400">
                             <p className="text-sm font-semibold">🎉 Great news!</p>
                             <p className="text-xs">You're eligible for all exams we checked!</p>
                         </div>
@@ -1026,14 +1744,14 @@ function CheckEligibilityPage() {
                         ineligibleList.slice(0, 20).map((exam, index) => (
                             <div 
                                 key={index} 
-                                className="rounded-lg p-2 border mb-2 bg-orange-50 border-orange-200"
+                                className="rounded-lg p-2 border mb-2 bg-orange-50 dark:bg-orange-900/30 border-orange-200 dark:border-orange-800"
                             >
                                 <div className="flex justify-between items-start">
                                     <div>
-                                        <h4 className="font-semibold text-gray-800 text-sm">
+                                        <h4 className="font-semibold text-gray-800 dark:text-gray-100 text-sm">
                                             {exam.examLabel || exam.examName}
                                         </h4>
-                                        <p className="text-xs text-gray-500">
+                                        <p className="text-xs text-gray-500 dark:text-gray-400">
                                             {exam.count} posts/divisions not eligible
                                         </p>
                                     </div>
@@ -1041,15 +1759,15 @@ function CheckEligibilityPage() {
                                 
                                 {exam.reasons.size > 0 && (
                                     <div className="mt-2">
-                                        <span className="text-xs text-red-600 font-medium">Failed criteria: </span>
+                                        <span className="text-xs text-red-600 dark:text-red-400 font-medium">Failed criteria: </span>
                                         <div className="flex flex-wrap gap-1 mt-1">
                                             {Array.from(exam.reasons).slice(0, 4).map((reason, idx) => (
-                                                <span key={idx} className="text-xs bg-red-100 text-red-700 px-2 py-0.5 rounded">
+                                                <span key={idx} className="text-xs bg-red-100 dark:bg-red-900/40 text-red-700 dark:text-red-300 px-2 py-0.5 rounded">
                                                     {reason}
                                                 </span>
                                             ))}
                                             {exam.reasons.size > 4 && (
-                                                <span className="text-xs text-gray-500">+{exam.reasons.size - 4} more</span>
+                                                <span className="text-xs text-gray-500 dark:text-gray-400">+{exam.reasons.size - 4} more</span>
                                             )}
                                         </div>
                                     </div>
@@ -1058,7 +1776,7 @@ function CheckEligibilityPage() {
                         ))
                     )}
                     {ineligibleList.length > 20 && (
-                        <p className="text-xs text-gray-500 text-center py-2">
+                        <p className="text-xs text-gray-500 dark:text-gray-400 text-center py-2">
                             Showing 20 of {ineligibleList.length} ineligible exams
                         </p>
                     )}
@@ -1081,10 +1799,10 @@ function CheckEligibilityPage() {
     // ============================================
 
     return (
-        <ThemeProvider theme={theme}>
-            <div className="min-h-screen bg-gray-800 pt-18 pb-12 px-2 sm:px-3 lg:px-4">
+        <ThemeProvider theme={formTheme}>
+            <div className="min-h-screen bg-gray-800 dark:bg-gray-950 pt-18 pb-12 px-2 sm:px-3 lg:px-4">
                 {/* Header Section */}
-                <div className="w-full mx-auto bg-white rounded-xl shadow-lg p-2 sm:p-3 mb-2">
+                <div className="w-full mx-auto bg-white dark:bg-gray-900 rounded-xl shadow-lg p-2 sm:p-3 mb-2">
                     <div className="flex flex-col sm:flex-row items-center gap-3">
                         <div className="flex-1 w-full sm:w-auto">
                             <div className="bg-gray-800 rounded-xl px-6 py-3 flex items-center justify-center gap-3">
@@ -1105,17 +1823,17 @@ function CheckEligibilityPage() {
                         </div>
                         
                         <div className="flex flex-wrap gap-2 justify-center sm:justify-end">
-                            <div className="bg-gray-100 border-2 border-gray-400 rounded-xl px-4 py-2 text-center min-w-[140px]">
-                                <span className="text-xs text-gray-600 font-medium">Total exam available : </span>
-                                <span className="text-sm font-bold text-gray-800">{examOptions.length}</span>
+                            <div className="bg-gray-100 dark:bg-gray-800 border-2 border-gray-400 dark:border-gray-600 rounded-xl px-4 py-2 text-center min-w-[140px]">
+                                <span className="text-xs text-gray-600 dark:text-gray-300 font-medium">Total exam available : </span>
+                                <span className="text-sm font-bold text-gray-800 dark:text-gray-100">{examOptions.length}</span>
                             </div>
-                            <div className="bg-gray-100 border-2 border-gray-400 rounded-xl px-4 py-2 text-center min-w-[140px]">
-                                <span className="text-xs text-gray-600 font-medium">Total inputs in form : </span>
-                                <span className="text-sm font-bold text-gray-800">31</span>
+                            <div className="bg-gray-100 dark:bg-gray-800 border-2 border-gray-400 dark:border-gray-600 rounded-xl px-4 py-2 text-center min-w-[140px]">
+                                <span className="text-xs text-gray-600 dark:text-gray-300 font-medium">Total inputs in form : </span>
+                                <span className="text-sm font-bold text-gray-800 dark:text-gray-100">31</span>
                             </div>
-                            <div className="bg-gray-100 border-2 border-gray-400 rounded-xl px-4 py-2 text-center min-w-[140px]">
-                                <span className="text-xs text-gray-600 font-medium">Total exam available : </span>
-                                <span className="text-sm font-bold text-gray-800">{examOptions.length}</span>
+                            <div className="bg-gray-100 dark:bg-gray-800 border-2 border-gray-400 dark:border-gray-600 rounded-xl px-4 py-2 text-center min-w-[140px]">
+                                <span className="text-xs text-gray-600 dark:text-gray-300 font-medium">Total exam available : </span>
+                                <span className="text-sm font-bold text-gray-800 dark:text-gray-100">{examOptions.length}</span>
                             </div>
                         </div>
                     </div>
@@ -1158,39 +1876,39 @@ function CheckEligibilityPage() {
                     </DialogTitle>
                     <DialogContent sx={{ pt: 3, pb: 2 }}>
                         <div className="space-y-4">
-                            <div className="bg-blue-50 border-l-4 border-blue-500 p-4 rounded-r-lg">
-                                <Typography variant="h6" className="text-blue-800 font-bold mb-2">
+                            <div className="bg-blue-50 dark:bg-blue-900/30 border-l-4 border-blue-500 p-4 rounded-r-lg">
+                                <Typography variant="h6" className="text-blue-800 dark:text-blue-300 font-bold mb-2">
                                     🙏 Welcome to Pratiyogita Yogya!
                                 </Typography>
-                                <Typography variant="body2" className="text-blue-700">
+                                <Typography variant="body2" className="text-blue-700 dark:text-blue-300">
                                     Your trusted companion for exam eligibility checking.
                                 </Typography>
                             </div>
 
-                            <div className="bg-green-50 border-l-4 border-green-500 p-4 rounded-r-lg">
-                                <Typography variant="subtitle1" className="text-green-800 font-bold mb-2">
+                            <div className="bg-green-50 dark:bg-green-900/30 border-l-4 border-green-500 p-4 rounded-r-lg">
+                                <Typography variant="subtitle1" className="text-green-800 dark:text-green-300 font-bold mb-2">
                                     🔒 Data Privacy & Security
                                 </Typography>
-                                <Typography variant="body2" className="text-green-700">
+                                <Typography variant="body2" className="text-green-700 dark:text-green-300">
                                     We <strong>DO NOT</strong> sell your data or use it for any fraudulent activities. 
                                     Your information is safe with us.
                                 </Typography>
                             </div>
 
-                            <div className="bg-yellow-50 border-l-4 border-yellow-500 p-4 rounded-r-lg">
-                                <Typography variant="subtitle1" className="text-yellow-800 font-bold mb-2">
+                            <div className="bg-yellow-50 dark:bg-yellow-900/30 border-l-4 border-yellow-500 p-4 rounded-r-lg">
+                                <Typography variant="subtitle1" className="text-yellow-800 dark:text-yellow-300 font-bold mb-2">
                                     📋 Eligibility Criteria Disclaimer
                                 </Typography>
-                                <Typography variant="body2" className="text-yellow-700">
+                                <Typography variant="body2" className="text-yellow-700 dark:text-yellow-300">
                                     The information is <strong>only</strong> to determine eligibility based on our defined criteria.
                                 </Typography>
                             </div>
 
-                            <div className="bg-purple-50 border-l-4 border-purple-500 p-4 rounded-r-lg">
-                                <Typography variant="subtitle1" className="text-purple-800 font-bold mb-2">
+                            <div className="bg-purple-50 dark:bg-purple-900/30 border-l-4 border-purple-500 p-4 rounded-r-lg">
+                                <Typography variant="subtitle1" className="text-purple-800 dark:text-purple-300 font-bold mb-2">
                                     📄 Official Notification
                                 </Typography>
-                                <Typography variant="body2" className="text-purple-700">
+                                <Typography variant="body2" className="text-purple-700 dark:text-purple-300">
                                     Always refer to the <strong>official exam notification</strong> for complete eligibility criteria.
                                 </Typography>
                             </div>
@@ -1214,29 +1932,93 @@ function CheckEligibilityPage() {
                     </DialogActions>
                 </Dialog>
 
+                {/* Share Link Dialog */}
+                <Dialog
+                    open={shareDialogOpen}
+                    onClose={() => setShareDialogOpen(false)}
+                    maxWidth="sm"
+                    fullWidth
+                >
+                    <DialogTitle>🔗 Share this result</DialogTitle>
+                    <DialogContent>
+                        <Typography variant="body2" className="text-gray-600 dark:text-gray-300 mb-3">
+                            Anyone opening this link sees the same form filled in and the check re-run.
+                            {searchMode === 'exam' && explainIndex !== null && results[explainIndex] && (
+                                <> The explanation for <strong>{results[explainIndex].division}</strong> will be open.</>
+                            )}
+                        </Typography>
+                        <TextField
+                            value={shareUrl}
+                            fullWidth
+                            size="small"
+                            InputProps={{ readOnly: true }}
+                            onFocus={(event) => event.target.select()}
+                            sx={{ mt: 1 }}
+                        />
+                        <FormControlLabel
+                            control={
+                                <Checkbox
+                                    checked={shareOmitSensitive}
+                                    onChange={(event) => {
+                                        setShareOmitSensitive(event.target.checked);
+                                        setShareCopied(false);
+                                    }}
+                                    size="small"
+                                />
+                            }
+                            label={<span className="text-sm">Leave out personal details (date of birth, gender, category, PwD status, domicile, physical standards...)</span>}
+                        />
+                    </DialogContent>
+                    <DialogActions>
+                        <Button onClick={() => setShareDialogOpen(false)} sx={{ textTransform: 'none' }}>
+                            Close
+                        </Button>
+                        <Button onClick={handleCopyShareUrl} variant="contained" sx={{ textTransform: 'none' }}>
+                            {shareCopied ? '✓ Copied' : 'Copy link'}
+                        </Button>
+                    </DialogActions>
+                </Dialog>
+
                 {error && (
                     <Alert severity="error" className="mb-4" onClose={() => setError("")}>
                         {error}
                     </Alert>
                 )}
 
+                {sharedNotice && (
+                    <Alert severity="info" className="mb-4" onClose={() => setSharedNotice("")}>
+                        {sharedNotice}
+                    </Alert>
+                )}
+
                 {/* Form Section */}
                 <div className="w-full">
                     <div 
-                        className="bg-white rounded-xl shadow-lg p-3 max-h-[75vh] overflow-y-auto"
+                        className="bg-white dark:bg-gray-900 rounded-xl shadow-lg p-3 max-h-[75vh] overflow-y-auto"
                         style={thinScrollbarStyle}
                     >
                         <Box component="form" noValidate autoComplete="off">
+                            <SavedProfiles
+                                profiles={savedProfiles}
+                                available={profilesAvailable}
+                                synced={Boolean(user)}
+                                disabled={loading}
+                                onSave={handleSaveProfile}
+                                onLoad={handleLoadProfile}
+                                onRun={handleRunProfile}
+                                onDelete={handleDeleteProfile}
+                            />
+
                             {/* Section 1: Exam Selection with Toggle */}
-                            <div className="rounded-lg p-3 mb-3 border border-gray-200">
-                                <h2 className="text-sm font-semibold text-gray-800 mb-3 text-left">
-                                    Select Target Exam
+                            <div className="rounded-lg p-3 mb-3 border border-gray-200 dark:border-gray-700">
+                                <h2 className="text-sm font-semibold text-gray-800 dark:text-gray-100 mb-3 text-left">
+                                    {t("eligibilityForm.selectTargetExam")}
                                 </h2>
                                 <div className="flex flex-col sm:flex-row gap-3 items-start sm:items-center">
                                     {/* Toggle Switch */}
                                     <div className="flex items-center gap-2 shrink-0">
-                                        <span className={`text-xs font-semibold transition-colors ${searchMode === 'exam' ? 'text-green-600' : 'text-gray-400'}`}>
-                                            Exam Basis
+                                        <span className={`text-xs font-semibold transition-colors ${searchMode === 'exam' ? 'text-green-600 dark:text-green-400' : 'text-gray-400'}`}>
+                                            {t("eligibilityForm.examBasis")}
                                         </span>
                                         <button
                                             type="button"
@@ -1251,13 +2033,13 @@ function CheckEligibilityPage() {
                                                 }`}
                                             />
                                         </button>
-                                        <span className={`text-xs font-semibold transition-colors ${searchMode === 'eligibility' ? 'text-orange-600' : 'text-gray-400'}`}>
-                                            Eligibility Basis
+                                        <span className={`text-xs font-semibold transition-colors ${searchMode === 'eligibility' ? 'text-orange-600 dark:text-orange-400' : 'text-gray-400'}`}>
+                                            {t("eligibilityForm.eligibilityBasis")}
                                         </span>
                                         
                                         {/* Info Icon with Tooltip */}
                                         <div className="relative group">
-                                            <span className="cursor-help text-gray-400 hover:text-gray-600 transition-colors">
+                                            <span className="cursor-help text-gray-400 hover:text-gray-600 dark:hover:text-gray-300 transition-colors">
                                                 <svg xmlns="http://www.w3.org/2000/svg" className="h-4 w-4" fill="none" viewBox="0 0 24 24" stroke="currentColor">
                                                     <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M13 16h-1v-4h-1m1-4h.01M21 12a9 9 0 11-18 0 9 9 0 0118 0z" />
                                                 </svg>
@@ -1279,26 +2061,41 @@ function CheckEligibilityPage() {
                                     {/* Target Exam Dropdown - Only show in Exam Basis mode */}
                                     {searchMode === 'exam' && (
                                         <div className="flex-1 w-full">
+                                            <ExamSearch
+                                                query={examSearchQuery}
+                                                filters={examSearchFilters}
+                                                facetCounts={examFacetCounts}
+                                                matchCount={isExamSearchActive ? visibleExamOptions.length : null}
+                                                disabled={loading}
+                                                onQueryChange={setExamSearchQuery}
+                                                onFilterChange={handleExamFilterChange}
+                                                onSearchStart={() => setFullSearchIndexWanted(true)}
+                                            />
                                             <TextField
                                                 select
                                                 fullWidth
-                                                label="Target Exam"
+                                                label={t("eligibilityForm.targetExam")}
                                                 required
                                                 value={selectedExam}
                                                 onChange={handleExamChange}
-                                                helperText="Select your target exam"
+                                                helperText={isExamSearchActive && visibleExamOptions.length === 0 ? t("examSearch.noMatches") : t("eligibilityForm.targetExamHelp")}
                                                 size="small"
                                                 disabled={loading}
+                                                SelectProps={{ onOpen: handleExamMenuOpen }}
                                             >
                                                 <MenuItem value="">
-                                                    <em>Select an exam</em>
+                                                    <em>{t("eligibilityForm.selectAnExam")}</em>
                                                 </MenuItem>
-                                                {examOptions.map((option) => (
-                                                    <MenuItem key={option.value} value={option.value}>
+                                                {visibleExamOptions.map((option) => (
+                                                    <MenuItem
+                                                        key={option.value}
+                                                        value={option.value}
+                                                        onMouseEnter={() => prefetchExamData([option.linkedFile])}
+                                                    >
                                                         {option.label}
                                                         {option.hasDivisions && (
                                                             <Chip 
-                                                                label="Multi-Division" 
+                                                                label={t("eligibilityForm.multiDivision")} 
                                                                 size="small" 
                                                                 color="primary"
                                                                 variant="outlined"
@@ -1310,15 +2107,31 @@ function CheckEligibilityPage() {
                                             </TextField>
                                         </div>
                                     )}
+
+                                    {/* Attempts already used - Only for the selected exam in Exam Basis mode */}
+                                    {searchMode === 'exam' && selectedExam && (
+                                        <div className="w-full sm:w-48 shrink-0">
+                                            <TextField
+                                                fullWidth
+                                                label={t("eligibilityForm.attemptsUsed")}
+                                                type="number"
+                                                value={formData.attempts_used}
+                                                onChange={handleChange("attempts_used")}
+                                                helperText={t("eligibilityForm.attemptsUsedHelp")}
+                                                inputProps={{ min: 0 }}
+                                                size="small"
+                                            />
+                                        </div>
+                                    )}
                                     
                                     {/* Eligibility Basis Mode Description */}
                                     {searchMode === 'eligibility' && (
-                                        <div className="flex-1 w-full bg-orange-50 border border-orange-200 rounded-lg p-3">
+                                        <div className="flex-1 w-full bg-orange-50 dark:bg-orange-900/30 border border-orange-200 dark:border-orange-800 rounded-lg p-3">
                                             <div className="flex items-start gap-2">
                                                 <span className="text-orange-500 text-lg">📋</span>
                                                 <div>
-                                                    <p className="text-sm font-semibold text-orange-700">Eligibility Basis Mode</p>
-                                                    <p className="text-xs text-orange-600 mt-1">
+                                                    <p className="text-sm font-semibold text-orange-700 dark:text-orange-300">Eligibility Basis Mode</p>
+                                                    <p className="text-xs text-orange-600 dark:text-orange-400 mt-1">
                                                         Fill in your details below, and we'll check <strong>all {examOptions.length} exams</strong> to show which ones you're eligible for.
                                                     </p>
                                                 </div>
@@ -1328,22 +2141,29 @@ function CheckEligibilityPage() {
                                 </div>
 
                                 {loading && (
-                                    <div className="flex flex-col items-center justify-center mt-4 p-4 bg-blue-50 rounded-lg">
+                                    <div className="flex flex-col items-center justify-center mt-4 p-4 bg-blue-50 dark:bg-blue-900/30 rounded-lg">
                                         <CircularProgress size={24} />
                                         {searchMode === 'eligibility' && checkingProgress.total > 0 ? (
                                             <div className="mt-2 text-center">
-                                                <p className="text-sm text-gray-700">
+                                                <p className="text-sm text-gray-700 dark:text-gray-200">
                                                     Checking: <span className="font-semibold">{checkingProgress.examName}</span>
                                                 </p>
-                                                <p className="text-xs text-gray-500">
+                                                <p className="text-xs text-gray-500 dark:text-gray-400">
                                                     {checkingProgress.current} of {checkingProgress.total} exams
                                                 </p>
-                                                <div className="w-48 h-2 bg-gray-200 rounded-full mt-2">
+                                                <div className="w-48 h-2 bg-gray-200 dark:bg-gray-700 rounded-full mt-2">
                                                     <div 
                                                         className="h-2 bg-orange-500 rounded-full transition-all duration-300"
                                                         style={{ width: `${(checkingProgress.current / checkingProgress.total) * 100}%` }}
                                                     />
                                                 </div>
+                                                <button
+                                                    type="button"
+                                                    className="mt-2 text-xs text-red-600 dark:text-red-400 hover:underline"
+                                                    onClick={handleCancelScan}
+                                                >
+                                                    Cancel
+                                                </button>
                                             </div>
                                         ) : (
                                             <span className="ml-2 text-sm">Loading...</span>
@@ -1354,31 +2174,31 @@ function CheckEligibilityPage() {
 
                             {/* Section 2: Personal Information */}
                             {(examData || searchMode === 'eligibility') && (
-                                <div className="rounded-lg p-3 mb-3 border border-gray-200">
-                                    <h2 className="text-sm font-semibold text-gray-800 mb-3 text-left">
-                                        Personal Information
+                                <div className="rounded-lg p-3 mb-3 border border-gray-200 dark:border-gray-700">
+                                    <h2 className="text-sm font-semibold text-gray-800 dark:text-gray-100 mb-3 text-left">
+                                        {t("eligibilityForm.personalInformation")}
                                     </h2>
                                     <div className="grid grid-cols-1 sm:grid-cols-2 md:grid-cols-3 lg:grid-cols-5 gap-3">
                                         <TextField
                                             fullWidth
-                                            label="Date of Birth"
+                                            label={t("eligibilityForm.dateOfBirth")}
                                             type="date"
                                             required
                                             value={formData.date_of_birth}
                                             onChange={handleChange("date_of_birth")}
                                             InputLabelProps={{ shrink: true }}
-                                            helperText="Enter your date of birth"
+                                            helperText={t("eligibilityForm.dateOfBirthHelp")}
                                             size="small"
                                         />
 
                                         <TextField
                                             select
                                             fullWidth
-                                            label="Gender"
+                                            label={t("eligibilityForm.gender")}
                                             required
                                             value={formData.gender}
                                             onChange={handleChange("gender")}
-                                            helperText="Select your gender"
+                                            helperText={t("eligibilityForm.genderHelp")}
                                             size="small"
                                         >
                                             {genderOptions.map((option) => (
@@ -1391,11 +2211,11 @@ function CheckEligibilityPage() {
                                         <TextField
                                             select
                                             fullWidth
-                                            label="Marital Status"
+                                            label={t("eligibilityForm.maritalStatus")}
                                             required
                                             value={formData.marital_status}
                                             onChange={handleChange("marital_status")}
-                                            helperText="Select your marital status"
+                                            helperText={t("eligibilityForm.maritalStatusHelp")}
                                             size="small"
                                         >
                                             {maritalStatusOptions.map((option) => (
@@ -1408,11 +2228,11 @@ function CheckEligibilityPage() {
                                         <TextField
                                             select
                                             fullWidth
-                                            label="Nationality"
+                                            label={t("eligibilityForm.nationality")}
                                             required
                                             value={formData.nationality}
                                             onChange={handleChange("nationality")}
-                                            helperText="Select your nationality"
+                                            helperText={t("eligibilityForm.nationalityHelp")}
                                             size="small"
                                         >
                                             {nationalityOptions.map((option) => (
@@ -1425,10 +2245,10 @@ function CheckEligibilityPage() {
                                         <TextField
                                             select
                                             fullWidth
-                                            label="Domicile State"
+                                            label={t("eligibilityForm.domicile")}
                                             value={formData.domicile}
                                             onChange={handleChange("domicile")}
-                                            helperText={isDomicileDisabled ? "Select 'INDIAN' nationality first" : "Your domicile state"}
+                                            helperText={isDomicileDisabled ? t("eligibilityForm.domicileDisabledHelp") : t("eligibilityForm.domicileHelp")}
                                             size="small"
                                             disabled={isDomicileDisabled}
                                         >
@@ -1442,11 +2262,11 @@ function CheckEligibilityPage() {
                                         <TextField
                                             select
                                             fullWidth
-                                            label="Caste/Category"
+                                            label={t("eligibilityForm.casteCategory")}
                                             required
                                             value={formData.caste_category}
                                             onChange={handleChange("caste_category")}
-                                            helperText="Select your category"
+                                            helperText={t("eligibilityForm.casteCategoryHelp")}
                                             size="small"
                                         >
                                             {casteOptions.map((option) => (
@@ -1459,10 +2279,10 @@ function CheckEligibilityPage() {
                                         <TextField
                                             select
                                             fullWidth
-                                            label="Person with Disability"
+                                            label={t("eligibilityForm.pwdStatus")}
                                             value={formData.pwd_status}
                                             onChange={handleChange("pwd_status")}
-                                            helperText="Are you a PwD candidate?"
+                                            helperText={t("eligibilityForm.pwdStatusHelp")}
                                             size="small"
                                         >
                                             {pwdOptions.map((option) => (
@@ -1477,20 +2297,20 @@ function CheckEligibilityPage() {
 
                             {/* Section 3: Educational Qualification */}
                             {(examData || searchMode === 'eligibility') && (
-                                <div className="rounded-lg p-3 mb-3 border border-gray-200">
-                                    <h2 className="text-sm font-semibold text-gray-800 mb-3 text-left">
-                                        Educational Qualification
+                                <div className="rounded-lg p-3 mb-3 border border-gray-200 dark:border-gray-700">
+                                    <h2 className="text-sm font-semibold text-gray-800 dark:text-gray-100 mb-3 text-left">
+                                        {t("eligibilityForm.educationalQualification")}
                                     </h2>
                                     
                                     <div className="mb-4 max-w-xs">
                                         <TextField
                                             select
                                             fullWidth
-                                            label="Highest Education Qualification"
+                                            label={t("eligibilityForm.highestQualification")}
                                             required
                                             value={formData.highest_education_qualification}
                                             onChange={handleEducationLevelChange}
-                                            helperText="Select your highest qualification level"
+                                            helperText={t("eligibilityForm.highestQualificationHelp")}
                                             size="small"
                                         >
                                             {educationOptions.map((option) => (
@@ -1503,7 +2323,7 @@ function CheckEligibilityPage() {
                                     
                                     {visibleEducationLevels.length > 0 && (
                                         <div className="overflow-x-auto">
-                                            <div className="hidden sm:grid sm:grid-cols-6 gap-2 mb-2 px-2 text-xs font-semibold text-gray-600">
+                                            <div className="hidden sm:grid sm:grid-cols-6 gap-2 mb-2 px-2 text-xs font-semibold text-gray-600 dark:text-gray-300">
                                                 <div className="text-left"></div>
                                                 <div className="text-left">Course/Stream</div>
                                                 <div className="text-left">Subject</div>
@@ -1520,9 +2340,9 @@ function CheckEligibilityPage() {
                                                 return (
                                                     <div 
                                                         key={level.key} 
-                                                        className="grid grid-cols-1 sm:grid-cols-6 gap-2 mb-3 p-2 bg-gray-50 rounded-lg items-center"
+                                                        className="grid grid-cols-1 sm:grid-cols-6 gap-2 mb-3 p-2 bg-gray-50 dark:bg-gray-800 rounded-lg items-center"
                                                     >
-                                                        <div className="font-medium text-sm text-gray-800 sm:text-left">
+                                                        <div className="font-medium text-sm text-gray-800 dark:text-gray-100 sm:text-left">
                                                             {level.shortLabel}
                                                         </div>
                                                         
@@ -1530,13 +2350,13 @@ function CheckEligibilityPage() {
                                                             select
                                                             fullWidth
                                                             size="small"
-                                                            label="Course/Stream"
+                                                            label={t("eligibilityForm.courseStream")}
                                                             value={levelData.course || ''}
                                                             onChange={(e) => handleEducationTableChange(level.key, 'course', e.target.value)}
                                                             InputLabelProps={{ shrink: true }}
                                                             sx={{ '& .MuiInputBase-root': { fontSize: '0.75rem' } }}
                                                         >
-                                                            <MenuItem value="">Select</MenuItem>
+                                                            <MenuItem value="">{t("eligibilityForm.select")}</MenuItem>
                                                             {levelCourses.map((opt) => (
                                                                 <MenuItem key={opt.value} value={opt.value}>
                                                                     {opt.label}
@@ -1548,14 +2368,14 @@ function CheckEligibilityPage() {
                                                             select
                                                             fullWidth
                                                             size="small"
-                                                            label="Subject"
+                                                            label={t("eligibilityForm.subject")}
                                                             value={levelData.subject || ''}
                                                             onChange={(e) => handleEducationTableChange(level.key, 'subject', e.target.value)}
                                                             InputLabelProps={{ shrink: true }}
                                                             disabled={!levelData.course}
                                                             sx={{ '& .MuiInputBase-root': { fontSize: '0.75rem' } }}
                                                         >
-                                                            <MenuItem value="">Select</MenuItem>
+                                                            <MenuItem value="">{t("eligibilityForm.select")}</MenuItem>
                                                             {levelSubjects.map((opt) => (
                                                                 <MenuItem key={opt.value} value={opt.value}>
                                                                     {opt.label}
@@ -1567,7 +2387,7 @@ function CheckEligibilityPage() {
                                                             select
                                                             fullWidth
                                                             size="small"
-                                                            label="Status"
+                                                            label={t("eligibilityForm.status")}
                                                             value={levelData.completionStatus || ''}
                                                             onChange={(e) => handleEducationTableChange(level.key, 'completionStatus', e.target.value)}
                                                             InputLabelProps={{ shrink: true }}
@@ -1583,7 +2403,7 @@ function CheckEligibilityPage() {
                                                         <TextField
                                                             fullWidth
                                                             size="small"
-                                                            label="Marks"
+                                                            label={t("eligibilityForm.marks")}
                                                             type="number"
                                                             value={levelData.marks || ''}
                                                             onChange={(e) => handleEducationTableChange(level.key, 'marks', e.target.value)}
@@ -1596,7 +2416,7 @@ function CheckEligibilityPage() {
                                                             select
                                                             fullWidth
                                                             size="small"
-                                                            label="Year"
+                                                            label={t("eligibilityForm.year")}
                                                             value={levelData.completedYear || ''}
                                                             onChange={(e) => handleEducationTableChange(level.key, 'completedYear', e.target.value)}
                                                             InputLabelProps={{ shrink: true }}
@@ -1616,20 +2436,68 @@ function CheckEligibilityPage() {
                                 </div>
                             )}
 
+                            {/* Section 4: Physical Standards */}
+                            {(examData || searchMode === 'eligibility') && (
+                                <div className="rounded-lg p-3 mb-3 border border-gray-200 dark:border-gray-700">
+                                    <h2 className="text-sm font-semibold text-gray-800 dark:text-gray-100 mb-3 text-left">
+                                        {t("eligibilityForm.physicalStandards")}
+                                    </h2>
+                                    <div className="grid grid-cols-1 sm:grid-cols-2 md:grid-cols-3 lg:grid-cols-5 gap-3">
+                                        <TextField
+                                            fullWidth
+                                            label={t("eligibilityForm.heightCm")}
+                                            type="number"
+                                            value={formData.height_cm}
+                                            onChange={handleChange("height_cm")}
+                                            helperText={t("eligibilityForm.heightCmHelp")}
+                                            inputProps={{ min: 0, step: 0.5 }}
+                                            size="small"
+                                        />
+
+                                        <TextField
+                                            fullWidth
+                                            label={t("eligibilityForm.weightKg")}
+                                            type="number"
+                                            value={formData.weight_kg}
+                                            onChange={handleChange("weight_kg")}
+                                            helperText={t("eligibilityForm.weightKgHelp")}
+                                            inputProps={{ min: 0, step: 0.5 }}
+                                            size="small"
+                                        />
+
+                                        <TextField
+                                            select
+                                            fullWidth
+                                            label={t("eligibilityForm.vision")}
+                                            value={formData.vision_eyesight}
+                                            onChange={handleChange("vision_eyesight")}
+                                            helperText={t("eligibilityForm.visionHelp")}
+                                            size="small"
+                                        >
+                                            {staticVisionOptions.map((option) => (
+                                                <MenuItem key={option.value} value={option.value}>
+                                                    {option.label}
+                                                </MenuItem>
+                                            ))}
+                                        </TextField>
+                                    </div>
+                                </div>
+                            )}
+
                             {/* Section 5: NCC & Sports */}
                             {(examData || searchMode === 'eligibility') && (
-                                <div className="rounded-lg p-3 mb-3 border border-gray-200">
-                                    <h2 className="text-sm font-semibold text-gray-800 mb-3 text-left">
-                                        NCC & Sports Details
+                                <div className="rounded-lg p-3 mb-3 border border-gray-200 dark:border-gray-700">
+                                    <h2 className="text-sm font-semibold text-gray-800 dark:text-gray-100 mb-3 text-left">
+                                        {t("eligibilityForm.nccSports")}
                                     </h2>
                                     <div className="grid grid-cols-1 sm:grid-cols-2 md:grid-cols-3 lg:grid-cols-5 gap-3">
                                         <TextField
                                             select
                                             fullWidth
-                                            label="NCC Wing"
+                                            label={t("eligibilityForm.nccWing")}
                                             value={formData.ncc_wing}
                                             onChange={handleChange("ncc_wing")}
-                                            helperText="NCC wing (if any)"
+                                            helperText={t("eligibilityForm.nccWingHelp")}
                                             size="small"
                                         >
                                             {nccWingOptions.map((option) => (
@@ -1642,10 +2510,10 @@ function CheckEligibilityPage() {
                                         <TextField
                                             select
                                             fullWidth
-                                            label="NCC Certificate"
+                                            label={t("eligibilityForm.nccCertificate")}
                                             value={formData.ncc_certificate}
                                             onChange={handleChange("ncc_certificate")}
-                                            helperText="NCC certificate level"
+                                            helperText={t("eligibilityForm.nccCertificateHelp")}
                                             size="small"
                                         >
                                             {nccCertificateOptions.map((option) => (
@@ -1658,10 +2526,10 @@ function CheckEligibilityPage() {
                                         <TextField
                                             select
                                             fullWidth
-                                            label="NCC Certificate Grade"
+                                            label={t("eligibilityForm.nccCertificateGrade")}
                                             value={formData.ncc_certificate_grade}
                                             onChange={handleChange("ncc_certificate_grade")}
-                                            helperText="NCC certificate grade"
+                                            helperText={t("eligibilityForm.nccCertificateGradeHelp")}
                                             size="small"
                                         >
                                             {nccCertificateGradeOptions.map((option) => (
@@ -1670,6 +2538,146 @@ function CheckEligibilityPage() {
                                                 </MenuItem>
                                             ))}
                                         </TextField>
+
+                                        <TextField
+                                            select
+                                            fullWidth
+                                            label={t("eligibilityForm.sportsQuota")}
+                                            value={formData.sports_quota_eligibility}
+                                            onChange={handleChange("sports_quota_eligibility")}
+                                            helperText={t("eligibilityForm.sportsQuotaHelp")}
+                                            size="small"
+                                        >
+                                            {staticSportsQuotaOptions.map((option) => (
+                                                <MenuItem key={option.value} value={option.value}>
+                                                    {option.label}
+                                                </MenuItem>
+                                            ))}
+                                        </TextField>
+                                    </div>
+                                </div>
+                            )}
+
+                            {/* Section 6: Professional & Other Details */}
+                            {(examData || searchMode === 'eligibility') && (
+                                <div className="rounded-lg p-3 mb-3 border border-gray-200 dark:border-gray-700">
+                                    <h2 className="text-sm font-semibold text-gray-800 dark:text-gray-100 mb-3 text-left">
+                                        {t("eligibilityForm.professionalOther")}
+                                    </h2>
+                                    <div className="grid grid-cols-1 sm:grid-cols-2 md:grid-cols-3 lg:grid-cols-5 gap-3">
+                                        <TextField
+                                            select
+                                            fullWidth
+                                            label={t("eligibilityForm.employmentStatus")}
+                                            value={formData.current_employment_status}
+                                            onChange={handleChange("current_employment_status")}
+                                            helperText={t("eligibilityForm.employmentStatusHelp")}
+                                            size="small"
+                                        >
+                                            {staticEmploymentStatusOptions.map((option) => (
+                                                <MenuItem key={option.value} value={option.value}>
+                                                    {option.label}
+                                                </MenuItem>
+                                            ))}
+                                        </TextField>
+
+                                        <TextField
+                                            fullWidth
+                                            label={t("eligibilityForm.workExperience")}
+                                            type="number"
+                                            value={formData.work_experience_years}
+                                            onChange={handleChange("work_experience_years")}
+                                            helperText={t("eligibilityForm.workExperienceHelp")}
+                                            inputProps={{ min: 0 }}
+                                            size="small"
+                                        />
+
+                                        <TextField
+                                            select
+                                            fullWidth
+                                            label={t("eligibilityForm.exServiceman")}
+                                            value={formData.ex_servicemen_status}
+                                            onChange={handleChange("ex_servicemen_status")}
+                                            helperText={t("eligibilityForm.exServicemanHelp")}
+                                            size="small"
+                                        >
+                                            {staticYesNoOptions.map((option) => (
+                                                <MenuItem key={option.value} value={option.value}>
+                                                    {option.label}
+                                                </MenuItem>
+                                            ))}
+                                        </TextField>
+
+                                        <TextField
+                                            select
+                                            fullWidth
+                                            label={t("eligibilityForm.cplHolder")}
+                                            value={formData.cpl_holder}
+                                            onChange={handleChange("cpl_holder")}
+                                            helperText={t("eligibilityForm.cplHolderHelp")}
+                                            size="small"
+                                        >
+                                            {staticYesNoOptions.map((option) => (
+                                                <MenuItem key={option.value} value={option.value}>
+                                                    {option.label}
+                                                </MenuItem>
+                                            ))}
+                                        </TextField>
+
+                                        <TextField
+                                            select
+                                            fullWidth
+                                            label={t("eligibilityForm.drivingLicense")}
+                                            value={formData.driving_license_type}
+                                            onChange={handleChange("driving_license_type")}
+                                            helperText={t("eligibilityForm.drivingLicenseHelp")}
+                                            size="small"
+                                        >
+                                            {staticDrivingLicenseOptions.map((option) => (
+                                                <MenuItem key={option.value} value={option.value}>
+                                                    {option.label}
+                                                </MenuItem>
+                                            ))}
+                                        </TextField>
+
+                                        <TextField
+                                            select
+                                            fullWidth
+                                            label={t("eligibilityForm.languagesKnown")}
+                                            value={formData.language_proficiency}
+                                            onChange={handleChange("language_proficiency")}
+                                            helperText={t("eligibilityForm.languagesKnownHelp")}
+                                            size="small"
+                                            SelectProps={{ multiple: true, renderValue: (selected) => selected.join(', ') }}
+                                        >
+                                            {staticLanguageOptions.map((option) => (
+                                                <MenuItem key={option.value} value={option.value}>
+                                                    {option.label}
+                                                </MenuItem>
+                                            ))}
+                                        </TextField>
+
+                                        <TextField
+                                            fullWidth
+                                            label={t("eligibilityForm.gapYears")}
+                                            type="number"
+                                            value={formData.gap_years_allowed}
+                                            onChange={handleChange("gap_years_allowed")}
+                                            helperText={t("eligibilityForm.gapYearsHelp")}
+                                            inputProps={{ min: 0 }}
+                                            size="small"
+                                        />
+
+                                        <TextField
+                                            fullWidth
+                                            label={t("eligibilityForm.activeBacklogs")}
+                                            type="number"
+                                            value={formData.active_backlogs_allowed}
+                                            onChange={handleChange("active_backlogs_allowed")}
+                                            helperText={t("eligibilityForm.activeBacklogsHelp")}
+                                            inputProps={{ min: 0 }}
+                                            size="small"
+                                        />
                                     </div>
                                 </div>
                             )}
@@ -1695,8 +2703,48 @@ function CheckEligibilityPage() {
                                             fontSize: "0.9rem",
                                         }}
                                     >
-                                        {loading ? 'Checking...' : 'Check Eligibility and Attempts'}
+                                        {loading ? t('eligibilityForm.checking') : t('eligibilityForm.checkEligibility')}
+                                    </Button>
+                                    <Button
+                                        variant="outlined"
+                                        size="medium"
+                                        onClick={handleShowTimeline}
+                                        disabled={loading || timelineLoading}
+                                        sx={{
+                                            marginLeft: 1.5,
+                                            color: "#3b5998",
+                                            borderColor: "#3b5998",
+                                            borderRadius: "20px",
+                                            paddingX: 3,
+                                            paddingY: 1,
+                                            textTransform: "none",
+                                            fontWeight: 600,
+                                            fontSize: "0.9rem",
+                                        }}
+                                    >
+                                        {timelineLoading ? t('eligibilityForm.buildingTimeline') : t('eligibilityForm.timeline')}
                                     </Button>
+                                    {searchMode === 'exam' && (
+                                        <Button
+                                            variant="outlined"
+                                            size="medium"
+                                            onClick={handleOpenCompare}
+                                            disabled={loading}
+                                            sx={{
+                                                marginLeft: 1.5,
+                                                color: "#3b5998",
+                                                borderColor: "#3b5998",
+                                                borderRadius: "20px",
+                                                paddingX: 3,
+                                                paddingY: 1,
+                                                textTransform: "none",
+                                                fontWeight: 600,
+                                                fontSize: "0.9rem",
+                                            }}
+                                        >
+                                            ⚖️ Compare Exams
+                                        </Button>
+                                    )}
                                 </div>
                             )}
                         </Box>
@@ -1704,15 +2752,129 @@ function CheckEligibilityPage() {
                 </div>
 
                 {/* Results Section - Side by Side */}
-                {showResults && results.length > 0 && (
-                    <div ref={resultsRef} className="mt-4 grid grid-cols-1 lg:grid-cols-2 gap-4">
-                        <div className="bg-white rounded-xl shadow-lg p-3">
-                            {renderResultsSummary()}
+                {showResults && hasResults && (
+                    <div ref={resultsRef} className="mt-4">
+                        <div className="flex justify-end gap-2 mb-2">
+                            <Button
+                                variant="outlined"
+                                size="small"
+                                onClick={handleOpenShare}
+                                disabled={loading}
+                                sx={{
+                                    color: "#3b5998",
+                                    borderColor: "#3b5998",
+                                    borderRadius: "20px",
+                                    textTransform: "none",
+                                    fontWeight: 600,
+                                }}
+                            >
+                                🔗 Share Link
+                            </Button>
+                            <Button
+                                variant="outlined"
+                                size="small"
+                                onClick={handleDownloadReport}
+                                disabled={loading || reportGenerating}
+                                sx={{
+                                    color: "#3b5998",
+                                    borderColor: "#3b5998",
+                                    borderRadius: "20px",
+                                    textTransform: "none",
+                                    fontWeight: 600,
+                                }}
+                            >
+                                {reportGenerating ? 'Preparing PDF...' : '📄 Download Report (PDF)'}
+                            </Button>
                         </div>
-                        
-                        <div className="bg-white rounded-xl shadow-lg p-3">
-                            {renderDetailedResultsInline()}
+                        <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
+                            <div className="bg-white dark:bg-gray-900 rounded-xl shadow-lg p-3">
+                                {renderResultsSummary()}
+                            </div>
+                            
+                            <div className="bg-white dark:bg-gray-900 rounded-xl shadow-lg p-3">
+                                {renderDetailedResultsInline()}
+                            </div>
+                        </div>
+                    </div>
+                )}
+
+                {/* Future Eligibility Timeline */}
+                {timelines && (
+                    <div ref={timelineRef} className="mt-4 bg-white dark:bg-gray-900 rounded-xl shadow-lg p-3">
+                        <h3 className="bg-gray-800 text-white px-3 py-2 font-semibold text-sm rounded-t-lg mb-2">
+                            📅 Future Eligibility Timeline
+                        </h3>
+                        <EligibilityTimeline timelines={timelines} />
+                    </div>
+                )}
+
+                {/* Exam Comparison */}
+                {compareOpen && (
+                    <div ref={compareRef} className="mt-4 bg-white dark:bg-gray-900 rounded-xl shadow-lg p-3">
+                        <div className="flex items-center justify-between bg-gray-800 text-white px-3 py-2 rounded-t-lg mb-3">
+                            <h3 className="font-semibold text-sm">⚖️ Compare Exams</h3>
+                            <IconButton onClick={() => setCompareOpen(false)} sx={{ color: 'white' }} size="small">
+                                ✕
+                            </IconButton>
+                        </div>
+                        <div className="flex flex-col sm:flex-row gap-3 items-start mb-3">
+                            <TextField
+                                select
+                                fullWidth
+                                label="Exams to compare"
+                                value={compareExamIds}
+                                onChange={handleCompareExamsChange}
+                                helperText={`Pick ${MIN_COMPARE_EXAMS} to ${MAX_COMPARE_EXAMS} exams; your details above are checked against each`}
+                                size="small"
+                                SelectProps={{
+                                    multiple: true,
+                                    renderValue: (selected) => (
+                                        <div className="flex flex-wrap gap-1">
+                                            {selected.map(examId => (
+                                                <Chip
+                                                    key={examId}
+                                                    size="small"
+                                                    label={examOptions.find(option => option.value === examId)?.label || examId}
+                                                />
+                                            ))}
+                                        </div>
+                                    )
+                                }}
+                            >
+                                {Object.entries(examGroups).flatMap(([category, options]) => [
+                                    <ListSubheader key={`category-${category}`}>{category}</ListSubheader>,
+                                    ...options.map(option => (
+                                        <MenuItem
+                                            key={option.value}
+                                            value={option.value}
+                                            disabled={compareExamIds.length >= MAX_COMPARE_EXAMS && !compareExamIds.includes(option.value)}
+                                        >
+                                            <Checkbox size="small" checked={compareExamIds.includes(option.value)} />
+                                            {option.label}
+                                        </MenuItem>
+                                    ))
+                                ])}
+                            </TextField>
+                            <Button
+                                variant="contained"
+                                onClick={handleCompareExams}
+                                disabled={compareLoading || compareExamIds.length < MIN_COMPARE_EXAMS}
+                                sx={{
+                                    backgroundColor: "#3b5998",
+                                    "&:hover": {
+                                        backgroundColor: "#2d4373",
+                                    },
+                                    borderRadius: "20px",
+                                    textTransform: "none",
+                                    fontWeight: 600,
+                                    whiteSpace: "nowrap",
+                                    paddingX: 3,
+                                }}
+                            >
+                                {compareLoading ? 'Comparing...' : 'Compare'}
+                            </Button>
                         </div>
+                        <ExamComparison comparison={comparison} />
                     </div>
                 )}
             </div>
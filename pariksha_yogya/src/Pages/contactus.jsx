@@ -1,16 +1,40 @@
-import React, { useState } from "react";
+import React, { useMemo, useState } from "react";
+import { useSearchParams } from "react-router-dom";
+import {
+  TICKET_CATEGORY_OPTIONS,
+  WRONG_RESULT_CATEGORY,
+  submitContactForm
+} from "../support/supportApi";
+import { getExamDropdownOptions } from "../eligibility/examDataLoader";
+
+const EMPTY_CONTACT_FORM = {
+  firstName: "",
+  lastName: "",
+  email: "",
+  phoneNumber: "",
+  message: "",
+  // Honeypot: hidden from people, filled in by bots
+  website: "",
+};
 
 const ContactPage = () => {
+  // ?topic=wrong-eligibility-result&exam=<exam_id> from the "Report" link on results
+  const [searchParams] = useSearchParams();
+  const examOptions = useMemo(() => getExamDropdownOptions(), []);
+  const initialExam = examOptions.find((option) => option.value === searchParams.get("exam"));
+
   const [formData, setFormData] = useState({
-    firstName: "",
-    lastName: "",
-    email: "",
-    phoneNumber: "",
-    message: "",
+    ...EMPTY_CONTACT_FORM,
+    category: TICKET_CATEGORY_OPTIONS.some((option) => option.value === searchParams.get("topic"))
+      ? searchParams.get("topic")
+      : "general",
+    exam: initialExam ? initialExam.label : "",
   });
 
   const [isSubmitting, setIsSubmitting] = useState(false);
   const [submitSuccess, setSubmitSuccess] = useState(false);
+  const [submittedTicket, setSubmittedTicket] = useState(null);
+  const [submitError, setSubmitError] = useState("");
 
   const handleChange = (e) => {
     const { name, value } = e.target;
@@ -20,19 +44,28 @@ const ContactPage = () => {
     }));
   };
 
-  const handleSubmit = (e) => {
+  const handleSubmit = async (e) => {
     e.preventDefault();
     setIsSubmitting(true);
+    setSubmitError("");
+    setSubmitSuccess(false);
 
-    // Simulate API call
-    setTimeout(() => {
-      console.log("Form submitted:", formData);
-      setIsSubmitting(false);
-      setSubmitSuccess(true);
+    const { exam, ...fields } = formData;
+    const matchedExam = examOptions.find((option) => option.label === exam);
 
-      // Reset success message after 3 seconds
-      setTimeout(() => setSubmitSuccess(false), 3000);
-    }, 1000);
+    try {
+      const ticket = await submitContactForm({
+        ...fields,
+        examId: formData.category === WRONG_RESULT_CATEGORY ? (matchedExam ? matchedExam.value : exam) : "",
+      });
+      setSubmittedTicket(ticket);
+      setSubmitSuccess(true);
+      setFormData((prevState) => ({ ...prevState, ...EMPTY_CONTACT_FORM, category: "general", exam: "" }));
+    } catch (err) {
+      setSubmitError(err.message);
+    } finally {
+      setIsSubmitting(false);
+    }
   };
 
   return (
@@ -227,6 +260,70 @@ const ContactPage = () => {
                 </div>
               </div>
 
+              <div className="grid grid-cols-2 gap-3">
+                <div className="relative text-left">
+                  <label
+                    htmlFor="category"
+                    className="block text-xs font-medium text-gray-700 mb-1"
+                  >
+                    Topic
+                  </label>
+                  <select
+                    id="category"
+                    name="category"
+                    value={formData.category}
+                    onChange={handleChange}
+                    className="w-full p-2 text-xs border border-gray-300 rounded-lg focus:outline-none focus:ring-1 focus:ring-blue-500 focus:border-blue-500 bg-gray-50"
+                  >
+                    {TICKET_CATEGORY_OPTIONS.map((option) => (
+                      <option key={option.value} value={option.value}>
+                        {option.label}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+
+                {formData.category === WRONG_RESULT_CATEGORY && (
+                  <div className="relative text-left">
+                    <label
+                      htmlFor="exam"
+                      className="block text-xs font-medium text-gray-700 mb-1"
+                    >
+                      Exam
+                    </label>
+                    <input
+                      type="text"
+                      id="exam"
+                      name="exam"
+                      list="contact-exam-options"
+                      placeholder="Which exam's result looks wrong?"
+                      value={formData.exam}
+                      onChange={handleChange}
+                      className="w-full p-2 text-xs border border-gray-300 rounded-lg focus:outline-none focus:ring-1 focus:ring-blue-500 focus:border-blue-500 bg-gray-50"
+                    />
+                    <datalist id="contact-exam-options">
+                      {examOptions.map((option) => (
+                        <option key={option.value} value={option.label} />
+                      ))}
+                    </datalist>
+                  </div>
+                )}
+              </div>
+
+              {/* Honeypot field, hidden from people */}
+              <div className="hidden" aria-hidden="true">
+                <label htmlFor="website">Website</label>
+                <input
+                  type="text"
+                  id="website"
+                  name="website"
+                  tabIndex={-1}
+                  autoComplete="off"
+                  value={formData.website}
+                  onChange={handleChange}
+                />
+              </div>
+
               <div className="relative text-left">
                 <label
                   htmlFor="message"
@@ -258,6 +355,8 @@ const ContactPage = () => {
                     value={formData.message}
                     onChange={handleChange}
                     rows={3}
+                    minLength={10}
+                    maxLength={5000}
                     className="pl-8 w-full p-2 text-xs border border-gray-300 rounded-lg focus:outline-none focus:ring-1 focus:ring-blue-500 focus:border-blue-500 bg-gray-50"
                     required
                   />
@@ -270,7 +369,19 @@ const ContactPage = () => {
                   role="alert"
                 >
                   <strong className="font-bold">Success! </strong>
-                  <span>Your message has been sent successfully.</span>
+                  <span>
+                    Your message has been sent. Your ticket number is {submittedTicket.reference}
+                    {submittedTicket.acknowledgementSent ? " and we have emailed you a copy." : "."}
+                  </span>
+                </div>
+              )}
+
+              {submitError && (
+                <div
+                  className="bg-red-50 border border-red-200 text-red-700 px-3 py-2 text-xs rounded-lg"
+                  role="alert"
+                >
+                  {submitError}
                 </div>
               )}
 
@@ -1,17 +1,46 @@
 import React, { useState } from "react";
-import { Link } from "react-router-dom";
+import { Link, useLocation, useNavigate } from "react-router-dom";
 import { Apple, Facebook, Github, Twitter } from "lucide-react";
 import { FcGoogle } from "react-icons/fc";
+import { useAuth } from "../auth/authContext";
 
 const Login = () => {
   const [email, setEmail] = useState("");
   const [password, setPassword] = useState("");
   const [rememberMe, setRememberMe] = useState(false);
+  const [error, setError] = useState(null);
+  const [notice, setNotice] = useState("");
+  const [submitting, setSubmitting] = useState(false);
 
-  const handleSubmit = (e) => {
+  const { login, resendVerification } = useAuth();
+  const navigate = useNavigate();
+  const location = useLocation();
+  // Page the route guard sent the user away from
+  const redirectTo = location.state?.from?.pathname || "/account";
+
+  const handleSubmit = async (e) => {
     e.preventDefault();
-    // Handle login logic here
-    console.log({ email, password, rememberMe });
+    setError(null);
+    setNotice("");
+    setSubmitting(true);
+    try {
+      await login({ email, password, remember: rememberMe });
+      navigate(redirectTo, { replace: true });
+    } catch (err) {
+      setError(err);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleResend = async () => {
+    try {
+      await resendVerification(email);
+      setError(null);
+      setNotice("We sent a new verification link. Please check your inbox.");
+    } catch (err) {
+      setError(err);
+    }
   };
 
   return (
@@ -50,6 +79,22 @@ const Login = () => {
 
           {/* Login Form */}
           <form onSubmit={handleSubmit} className="space-y-2">
+            {error && (
+              <div className="text-xs text-red-700 bg-red-50 border border-red-200 rounded-lg px-3 py-2 text-left">
+                {error.message}
+                {error.code === "EMAIL_NOT_VERIFIED" && (
+                  <button type="button" onClick={handleResend} className="ml-1 text-blue-600 hover:underline">
+                    Resend verification email
+                  </button>
+                )}
+              </div>
+            )}
+            {notice && (
+              <div className="text-xs text-green-700 bg-green-50 border border-green-200 rounded-lg px-3 py-2 text-left">
+                {notice}
+              </div>
+            )}
+
             <div>
               <label htmlFor="email" className="block text-xs font-medium text-gray-700 mb-1 text-left">
                 Email
@@ -101,9 +146,10 @@ const Login = () => {
 
             <button
               type="submit"
-              className="w-full bg-blue-600 text-white py-2 rounded-lg hover:bg-blue-700 transition text-sm mt-2"
+              disabled={submitting}
+              className="w-full bg-blue-600 text-white py-2 rounded-lg hover:bg-blue-700 transition text-sm mt-2 disabled:opacity-60"
             >
-              Log In
+              {submitting ? "Logging in..." : "Log In"}
             </button>
 
             <p className="text-xs text-center text-gray-600 mt-2">
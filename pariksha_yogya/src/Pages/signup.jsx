@@ -2,17 +2,41 @@ import React, { useState } from "react";
 import { Link } from "react-router-dom";
 import { Apple, Facebook, Github, Twitter } from "lucide-react";
 import { FcGoogle } from "react-icons/fc";
+import { useAuth } from "../auth/authContext";
 
 const Signup = () => {
   const [name, setName] = useState("");
   const [email, setEmail] = useState("");
   const [password, setPassword] = useState("");
   const [rememberMe, setRememberMe] = useState(false);
+  const [error, setError] = useState("");
+  const [submitting, setSubmitting] = useState(false);
+  const [signedUpEmail, setSignedUpEmail] = useState("");
+  const [resent, setResent] = useState(false);
 
-  const handleSubmit = (e) => {
+  const { signup, resendVerification } = useAuth();
+
+  const handleSubmit = async (e) => {
     e.preventDefault();
-    // Handle signup logic here
-    console.log({ name, email, password, rememberMe });
+    setError("");
+    setSubmitting(true);
+    try {
+      const result = await signup({ name, email, password });
+      setSignedUpEmail(result.email);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleResend = async () => {
+    try {
+      await resendVerification(signedUpEmail);
+      setResent(true);
+    } catch (err) {
+      setError(err.message);
+    }
   };
 
   return (
@@ -60,8 +84,28 @@ const Signup = () => {
             <div className="flex-1 border-t border-gray-300"></div>
           </div>
 
+          {signedUpEmail && (
+            <div className="text-sm text-green-800 bg-green-50 border border-green-200 rounded-lg px-3 py-3 mb-2 text-left">
+              Almost done! We sent a verification link to <strong>{signedUpEmail}</strong>.
+              Open it to activate your account, then log in.{" "}
+              {resent ? (
+                <span>A new link is on its way.</span>
+              ) : (
+                <button type="button" onClick={handleResend} className="text-blue-600 hover:underline">
+                  Resend email
+                </button>
+              )}
+            </div>
+          )}
+
           {/* Signup Form */}
           <form onSubmit={handleSubmit} className="space-y-2">
+            {error && (
+              <div className="text-xs text-red-700 bg-red-50 border border-red-200 rounded-lg px-3 py-2 text-left">
+                {error}
+              </div>
+            )}
+
             <div>
               <label htmlFor="name" className="block text-xs font-medium text-gray-700 mb-1 text-left">
                 Name
@@ -100,8 +144,10 @@ const Signup = () => {
                 value={password}
                 onChange={(e) => setPassword(e.target.value)}
                 className="w-full px-3 py-1.5 border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500 text-sm bg-white"
+                minLength={8}
                 required
               />
+              <p className="text-[11px] text-gray-500 mt-1 text-left">At least 8 characters, with a letter and a number</p>
             </div>
 
             <div className="flex items-center justify-between">
@@ -127,9 +173,10 @@ const Signup = () => {
 
             <button
               type="submit"
-              className="w-full bg-blue-600 text-white py-2 rounded-lg hover:bg-blue-700 transition text-sm mt-2"
+              disabled={submitting}
+              className="w-full bg-blue-600 text-white py-2 rounded-lg hover:bg-blue-700 transition text-sm mt-2 disabled:opacity-60"
             >
-              Sign up
+              {submitting ? "Creating account..." : "Sign up"}
             </button>
 
             <p className="text-xs text-center text-gray-600 mt-2">
@@ -0,0 +1,56 @@
+import React, { useEffect, useRef, useState } from "react";
+import { Link, useSearchParams } from "react-router-dom";
+import { useAuth } from "../auth/authContext";
+
+const VerifyEmail = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get("token") || "";
+  const { verifyEmail } = useAuth();
+  const [status, setStatus] = useState(token ? "verifying" : "missing");
+  const [message, setMessage] = useState("");
+  // Tokens are single-use: StrictMode's second effect run must not send it again
+  const requestedRef = useRef(false);
+
+  useEffect(() => {
+    if (!token || requestedRef.current) return;
+    requestedRef.current = true;
+    verifyEmail(token)
+      .then(() => setStatus("verified"))
+      .catch(err => {
+        setStatus("failed");
+        setMessage(err.message);
+      });
+  }, [token, verifyEmail]);
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gray-50 pt-[74px] px-6">
+      <div className="w-full max-w-md bg-white border border-gray-200 rounded-xl p-6 text-center shadow-sm">
+        <h1 className="text-xl font-bold text-gray-800 mb-2">Email Verification</h1>
+
+        {status === "verifying" && <p className="text-sm text-gray-600">Verifying your email...</p>}
+
+        {status === "verified" && (
+          <>
+            <p className="text-sm text-green-700 mb-4">Your email is verified and you are logged in.</p>
+            <Link to="/account" className="inline-block bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 text-sm">
+              Go to my account
+            </Link>
+          </>
+        )}
+
+        {(status === "failed" || status === "missing") && (
+          <>
+            <p className="text-sm text-red-700 mb-4">
+              {message || "This verification link is incomplete. Please open the link from your email again."}
+            </p>
+            <Link to="/login" className="text-blue-600 hover:text-blue-800 text-sm">
+              Log in to request a new link
+            </Link>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default VerifyEmail;
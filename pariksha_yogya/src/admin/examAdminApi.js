@@ -0,0 +1,36 @@
+/**
+ * Exam Admin API Client
+ * For PRATIYOGITA YOGYA - Exam Eligibility Tracker
+ *
+ * Exam index, exam files and saving for the admin exam editor
+ * (server/routes/admin.js, server/exams.js).
+ */
+
+import { request } from '../lib/apiClient';
+
+/**
+ * Every exam in allexamnames.json, by category
+ * @returns {Promise<Array<{category: string, exams: Array}>>}
+ */
+export const fetchAdminExams = async () => (await request('GET', '/api/admin/exams')).categories;
+
+/**
+ * One exam and its JSON (data is null until the exam has a file)
+ * @param {string} examId
+ * @returns {Promise<{exam: Object, data: Object|null}>}
+ */
+export const fetchAdminExam = (examId) => request('GET', `/api/admin/exams/${encodeURIComponent(examId)}`);
+
+/**
+ * Write an exam's JSON file and link it in the exam index
+ * @param {string} examId
+ * @param {Object} data - Exam JSON
+ * @returns {Promise<{exam: Object, warnings: Array}>}
+ */
+export const saveAdminExam = (examId, data) => request('PUT', `/api/admin/exams/${encodeURIComponent(examId)}`, { data });
+
+export default {
+    fetchAdminExams,
+    fetchAdminExam,
+    saveAdminExam
+};
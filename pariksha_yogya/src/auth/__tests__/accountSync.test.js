@@ -0,0 +1,45 @@
+/**
+ * Account sync
+ *
+ * Compact results summaries stored on the user's account.
+ */
+
+import { describe, it, expect } from 'vitest';
+
+import { summarizeExamBasisResults, summarizeEligibilityBasisResults } from '../accountSync.js';
+
+describe('summarizeExamBasisResults', () => {
+    it('keeps only the outcome of each division and session', () => {
+        const summary = summarizeExamBasisResults([
+            { examId: 'cds', examName: 'CDS', division: 'IMA', session: 'CDS I', eligible: true, trace: [{}] },
+            { examId: 'cds', examName: 'CDS', division: 'OTA', session: 'CDS I', eligible: false, divisionData: {} }
+        ]);
+        
+        expect(summary).toEqual({
+            examId: 'cds',
+            examName: 'CDS',
+            checks: [
+                { division: 'IMA', session: 'CDS I', eligible: true },
+                { division: 'OTA', session: 'CDS I', eligible: false }
+            ]
+        });
+    });
+    
+    it('returns null when nothing was checked', () => {
+        expect(summarizeExamBasisResults([])).toBeNull();
+    });
+});
+
+describe('summarizeEligibilityBasisResults', () => {
+    it('lists eligible exams with their divisions and sessions', () => {
+        const summary = summarizeEligibilityBasisResults(
+            { totalExamsChecked: 1268, eligible: [], ineligible: [] },
+            [{ examId: 'nda', examCode: 'NDA', examName: 'NDA', divisions: ['Army'], sessions: ['NDA II'], totalEligible: 1 }]
+        );
+        
+        expect(summary).toEqual({
+            totalExamsChecked: 1268,
+            eligibleExams: [{ examId: 'nda', examName: 'NDA', divisions: ['Army'], sessions: ['NDA II'] }]
+        });
+    });
+});
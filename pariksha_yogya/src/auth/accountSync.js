@@ -0,0 +1,130 @@
+/**
+ * Account Sync
+ * For PRATIYOGITA YOGYA - Exam Eligibility Tracker
+ *
+ * Keeps saved profiles and the latest results on the user's account so they
+ * follow the user across devices. Profiles stay in IndexedDB on each device
+ * (src/eligibility/profileStore.js); syncing merges both copies by ID, the
+ * most recently updated one winning.
+ */
+
+import {
+    fetchAccountProfiles,
+    putAccountProfiles,
+    fetchAccountResults,
+    putAccountResults
+} from './authApi';
+import {
+    isProfileStorageAvailable,
+    listProfiles,
+    mergeProfileLists,
+    replaceProfiles
+} from '../eligibility/profileStore';
+
+// ============================================
+// CONSTANTS
+// ============================================
+
+// Must match MAX_SYNCED_PROFILES in server/routes/account.js
+export const MAX_SYNCED_PROFILES = 20;
+
+// ============================================
+// PROFILES
+// ============================================
+
+/**
+ * Profiles to upload: the most recently updated ones, up to the account limit
+ * @param {Array} profiles
+ * @returns {Array}
+ */
+const pickProfilesToUpload = (profiles) => [...profiles]
+    .sort((a, b) => String(b.updatedAt).localeCompare(String(a.updatedAt)))
+    .slice(0, MAX_SYNCED_PROFILES);
+
+/**
+ * Merge this device's profiles with the account's and store the result in both places
+ * @param {string[]} deletedIds - Profiles just deleted on this device
+ * @returns {Promise<Array>} - Merged profiles, sorted by name
+ */
+export const syncProfiles = async (deletedIds = []) => {
+    const remote = await fetchAccountProfiles();
+    const local = isProfileStorageAvailable() ? await listProfiles() : [];
+    const allDeletedIds = [...(remote.deletedIds || []), ...deletedIds];
+    const merged = mergeProfileLists(local, remote.profiles, allDeletedIds);
+    
+    if (isProfileStorageAvailable()) {
+        await replaceProfiles(merged);
+    }
+    await putAccountProfiles(pickProfilesToUpload(merged), deletedIds);
+    
+    return merged;
+};
+
+// ============================================
+// RESULTS
+// ============================================
+
+/**
+ * Compact Exam Basis results for the account (no traces or exam data)
+ * @param {Array} results - Exam Basis results for one exam
+ * @returns {Object|null}
+ */
+export const summarizeExamBasisResults = (results) => {
+    if (!results || results.length === 0) return null;
+    
+    return {
+        examId: results[0].examId,
+        examName: results[0].examName,
+        checks: results.map(result => ({
+            division: result.division,
+            session: result.session,
+            eligible: Boolean(result.eligible)
+        }))
+    };
+};
+
+/**
+ * Compact Eligibility Basis results for the account
+ * @param {Object} scanResult - Result of an Eligibility Basis scan
+ * @param {Array} eligibleExams - getEligibleExamsSummary(scanResult.eligible)
+ * @returns {Object|null}
+ */
+export const summarizeEligibilityBasisResults = (scanResult, eligibleExams) => {
+    if (!scanResult) return null;
+    
+    return {
+        totalExamsChecked: scanResult.totalExamsChecked,
+        eligibleExams: eligibleExams.map(exam => ({
+            examId: exam.examId,
+            examName: exam.examName,
+            divisions: exam.divisions,
+            sessions: exam.sessions
+        }))
+    };
+};
+
+// Results uploads run one after another so a later save never loses an earlier one
+let resultsQueue = Promise.resolve();
+
+/**
+ * Store the latest results of one check mode on the account, keeping the other mode's
+ * @param {Object} patch - { examBasis } or { eligibilityBasis }
+ * @returns {Promise<Object>} - Stored results
+ */
+export const saveAccountResults = (patch) => {
+    const run = resultsQueue.then(async () => {
+        const current = await fetchAccountResults();
+        const { savedAt: _savedAt, ...previous } = current || {};
+        return putAccountResults({ ...previous, ...patch });
+    });
+    resultsQueue = run.catch(() => {});
+    return run;
+};
+
+export default {
+    MAX_SYNCED_PROFILES,
+    syncProfiles,
+    summarizeExamBasisResults,
+    summarizeEligibilityBasisResults,
+    saveAccountResults
+};
@@ -0,0 +1,139 @@
+/**
+ * Account API Client
+ * For PRATIYOGITA YOGYA - Exam Eligibility Tracker
+ *
+ * Thin wrappers around the account routes of the API in server/
+ * (requests go through src/lib/apiClient.js).
+ */
+
+import { ApiError, request } from '../lib/apiClient';
+
+export { ApiError };
+
+// ============================================
+// AUTH
+// ============================================
+
+/**
+ * Current user, or null when signed out
+ * @returns {Promise<Object|null>}
+ */
+export const fetchCurrentUser = async () => {
+    try {
+        return (await request('GET', '/api/auth/me')).user;
+    } catch (error) {
+        if (error.status === 401) return null;
+        throw error;
+    }
+};
+
+/**
+ * Create an account (a verification email is sent; the reply is the same if the email already has one)
+ * @param {Object} details - { name, email, password }
+ * @returns {Promise<{email: string, verificationEmailSent: boolean}>}
+ */
+export const signupRequest = (details) => request('POST', '/api/auth/signup', details);
+
+/**
+ * Log in
+ * @param {Object} credentials - { email, password, remember }
+ * @returns {Promise<Object>} - User
+ */
+export const loginRequest = async (credentials) => (await request('POST', '/api/auth/login', credentials)).user;
+
+/**
+ * Verify an email address with the token from the email link (also signs in)
+ * @param {string} token
+ * @returns {Promise<Object>} - User
+ */
+export const verifyEmailRequest = async (token) => (await request('POST', '/api/auth/verify-email', { token })).user;
+
+/**
+ * Send the verification email again
+ * @param {string} email
+ * @returns {Promise<void>}
+ */
+export const resendVerificationRequest = async (email) => {
+    await request('POST', '/api/auth/resend-verification', { email });
+};
+
+/**
+ * Log out on this device
+ * @returns {Promise<void>}
+ */
+export const logoutRequest = async () => {
+    await request('POST', '/api/auth/logout');
+};
+
+/**
+ * Log out on every device
+ * @returns {Promise<void>}
+ */
+export const logoutAllRequest = async () => {
+    await request('POST', '/api/auth/logout-all');
+};
+
+// ============================================
+// ACCOUNT DATA
+// ============================================
+
+/**
+ * Saved profiles stored with the account
+ * @returns {Promise<{profiles: Array, deletedIds: string[]}>}
+ */
+export const fetchAccountProfiles = () => request('GET', '/api/account/profiles');
+
+/**
+ * Replace the saved profiles stored with the account
+ * @param {Array} profiles - Profile records
+ * @param {string[]} deletedIds - IDs of profiles deleted on this device
+ * @returns {Promise<{profiles: Array, deletedIds: string[]}>}
+ */
+export const putAccountProfiles = (profiles, deletedIds = []) => (
+    request('PUT', '/api/account/profiles', { profiles, deletedIds })
+);
+
+/**
+ * Latest results stored with the account
+ * @returns {Promise<Object|null>}
+ */
+export const fetchAccountResults = async () => (await request('GET', '/api/account/results')).results;
+
+/**
+ * Store the latest results with the account
+ * @param {Object} results - Results summary
+ * @returns {Promise<Object>} - Stored results (with savedAt)
+ */
+export const putAccountResults = async (results) => (await request('PUT', '/api/account/results', { results })).results;
+
+/**
+ * Notification settings of the account
+ * @returns {Promise<{examReminders: boolean}>}
+ */
+export const fetchNotificationSettings = async () => (await request('GET', '/api/account/notifications')).notifications;
+
+/**
+ * Change the notification settings of the account
+ * @param {Object} settings - { examReminders }
+ * @returns {Promise<{examReminders: boolean}>}
+ */
+export const putNotificationSettings = async (settings) => (
+    (await request('PUT', '/api/account/notifications', settings)).notifications
+);
+
+export default {
+    ApiError,
+    fetchCurrentUser,
+    signupRequest,
+    loginRequest,
+    verifyEmailRequest,
+    resendVerificationRequest,
+    logoutRequest,
+    logoutAllRequest,
+    fetchAccountProfiles,
+    putAccountProfiles,
+    fetchAccountResults,
+    putAccountResults,
+    fetchNotificationSettings,
+    putNotificationSettings
+};
@@ -0,0 +1,29 @@
+/**
+ * Auth Context
+ * For PRATIYOGITA YOGYA - Exam Eligibility Tracker
+ *
+ * Signed-in user and auth actions, provided by
+ * src/components/Auth/authprovider.jsx.
+ */
+
+import { createContext, useContext } from 'react';
+
+export const AuthContext = createContext(null);
+
+/**
+ * Signed-in user and auth actions
+ * @returns {{user: Object|null, loading: boolean, signup: Function, login: Function,
+ *            verifyEmail: Function, resendVerification: Function, logout: Function, logoutAll: Function}}
+ */
+export const useAuth = () => {
+    const context = useContext(AuthContext);
+    if (!context) {
+        throw new Error('useAuth must be used inside <AuthProvider>');
+    }
+    return context;
+};
+
+export default {
+    AuthContext,
+    useAuth
+};
@@ -0,0 +1,76 @@
+import React, { useCallback, useEffect, useMemo, useState } from 'react';
+import { AuthContext } from '../../auth/authContext';
+import {
+  fetchCurrentUser,
+  signupRequest,
+  loginRequest,
+  verifyEmailRequest,
+  resendVerificationRequest,
+  logoutRequest,
+  logoutAllRequest
+} from '../../auth/authApi';
+
+/**
+ * Load the signed-in user once and provide auth actions to the app
+ * @param {React.ReactNode} children
+ */
+const AuthProvider = ({ children }) => {
+  const [user, setUser] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    let cancelled = false;
+    fetchCurrentUser()
+      .then(currentUser => {
+        if (!cancelled) setUser(currentUser);
+      })
+      .catch(err => console.error('Failed to load the signed-in user:', err))
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  const signup = useCallback((details) => signupRequest(details), []);
+
+  const login = useCallback(async (credentials) => {
+    const signedIn = await loginRequest(credentials);
+    setUser(signedIn);
+    return signedIn;
+  }, []);
+
+  const verifyEmail = useCallback(async (token) => {
+    const verified = await verifyEmailRequest(token);
+    setUser(verified);
+    return verified;
+  }, []);
+
+  const resendVerification = useCallback((email) => resendVerificationRequest(email), []);
+
+  const logout = useCallback(async () => {
+    await logoutRequest();
+    setUser(null);
+  }, []);
+
+  const logoutAll = useCallback(async () => {
+    await logoutAllRequest();
+    setUser(null);
+  }, []);
+
+  const value = useMemo(() => ({
+    user,
+    loading,
+    signup,
+    login,
+    verifyEmail,
+    resendVerification,
+    logout,
+    logoutAll
+  }), [user, loading, signup, login, verifyEmail, resendVerification, logout, logoutAll]);
+
+  return <AuthContext.Provider value={value}>{children}</AuthContext.Provider>;
+};
+
+export default AuthProvider;
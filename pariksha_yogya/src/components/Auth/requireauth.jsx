@@ -0,0 +1,29 @@
+import React from 'react';
+import { Navigate, useLocation } from 'react-router-dom';
+import { useAuth } from '../../auth/authContext';
+
+/**
+ * Route guard: render children for a signed-in user, otherwise send them
+ * to the login page (which returns them here afterwards)
+ * @param {React.ReactNode} children
+ */
+const RequireAuth = ({ children }) => {
+  const { user, loading } = useAuth();
+  const location = useLocation();
+
+  if (loading) {
+    return (
+      <div className="min-h-screen flex items-center justify-center pt-[74px] text-sm text-gray-600">
+        Loading your account...
+      </div>
+    );
+  }
+
+  if (!user) {
+    return <Navigate to="/login" state={{ from: location }} replace />;
+  }
+
+  return children;
+};
+
+export default RequireAuth;
@@ -0,0 +1,113 @@
+import React from 'react';
+import { TIMELINE_STATUS } from '../../eligibility/timeline';
+
+// Cell colours and legend labels per timeline status
+const STATUS_STYLES = {
+  [TIMELINE_STATUS.ELIGIBLE]: { cell: 'bg-green-500', label: 'Eligible' },
+  [TIMELINE_STATUS.PENDING]: { cell: 'bg-amber-400', label: 'After qualification' },
+  [TIMELINE_STATUS.AGE]: { cell: 'bg-gray-300', label: 'Age limit' },
+  [TIMELINE_STATUS.NOT_ELIGIBLE]: { cell: 'bg-red-300', label: 'Not eligible' },
+};
+
+const formatSession = (session) => (session ? session.replace(/-/g, ' ') : '—');
+
+/**
+ * Per-exam calendar strip: one row per division, one cell per session
+ */
+const ExamStrip = ({ timeline }) => {
+  const { summary } = timeline;
+
+  return (
+    <div className="border rounded-lg p-2 mb-3 bg-white">
+      <div className="flex items-center justify-between flex-wrap gap-2 mb-2">
+        <span className="font-bold text-indigo-700 text-sm">{timeline.examLabel}</span>
+        <div className="flex flex-wrap gap-2 text-[11px]">
+          <span className="px-2 py-0.5 rounded bg-gray-100 text-gray-700">
+            Age-eligible: {summary.firstAgeEligible
+              ? `${formatSession(summary.firstAgeEligible)} → ${formatSession(summary.lastAgeEligible)}`
+              : 'none'}
+          </span>
+          {summary.firstEligible && (
+            <span className="px-2 py-0.5 rounded bg-green-100 text-green-700">
+              First eligible: {formatSession(summary.firstEligible)}
+            </span>
+          )}
+          {summary.eligibleAfterQualification && (
+            <span className="px-2 py-0.5 rounded bg-amber-100 text-amber-700">
+              After qualification: {formatSession(summary.eligibleAfterQualification)}
+            </span>
+          )}
+        </div>
+      </div>
+
+      <div className="overflow-x-auto">
+        <table className="text-[10px] border-separate border-spacing-0.5">
+          <thead>
+            <tr>
+              <th className="text-left pr-2 font-medium text-gray-500">Division</th>
+              {timeline.sessions.map((session) => (
+                <th key={session} className="px-1 font-medium text-gray-500 whitespace-nowrap">
+                  {formatSession(session)}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {timeline.rows.map((row) => (
+              <tr key={row.division}>
+                <td className="pr-2 text-gray-700 whitespace-nowrap">{row.division}</td>
+                {timeline.sessions.map((session) => {
+                  const cell = row.cells.find((c) => c.session === session);
+                  if (!cell) {
+                    return <td key={session} className="w-10 h-4" />;
+                  }
+                  const style = STATUS_STYLES[cell.status];
+                  return (
+                    <td
+                      key={session}
+                      className={`w-10 h-4 rounded ${style.cell}`}
+                      title={`${formatSession(session)}: ${style.label}${cell.reasons.length > 0 ? `\n${cell.reasons.join('\n')}` : ''}`}
+                    />
+                  );
+                })}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+/**
+ * Future-eligibility timeline for every exam, division and session
+ * @param {Array} timelines - From buildEligibilityTimeline
+ */
+const EligibilityTimeline = ({ timelines }) => {
+  if (!timelines || timelines.length === 0) return null;
+
+  const pending = timelines[0].summary.pendingQualifications;
+
+  return (
+    <div>
+      <div className="flex flex-wrap gap-3 mb-2 text-[11px] text-gray-600">
+        {Object.values(STATUS_STYLES).map((style) => (
+          <span key={style.label} className="flex items-center gap-1">
+            <span className={`inline-block w-3 h-3 rounded ${style.cell}`} />
+            {style.label}
+          </span>
+        ))}
+      </div>
+      {pending.length > 0 && (
+        <p className="text-[11px] text-amber-700 mb-2">
+          "After qualification" assumes you complete {pending.map((level) => `${level.levelKey.replace(/_/g, ' ')} (${level.expectedYear})`).join(', ')} and meet the minimum marks.
+        </p>
+      )}
+      {timelines.map((timeline) => (
+        <ExamStrip key={timeline.examId} timeline={timeline} />
+      ))}
+    </div>
+  );
+};
+
+export default EligibilityTimeline;
@@ -0,0 +1,127 @@
+import React from 'react';
+import { COMPARE_STATUS } from '../../eligibility/compare';
+
+// Cell colours and badges per comparison status
+const STATUS_STYLES = {
+  [COMPARE_STATUS.PASS]: { cell: 'bg-green-50', badge: 'bg-green-500 text-white', icon: '✓', label: 'You meet this' },
+  [COMPARE_STATUS.PARTIAL]: { cell: 'bg-amber-50', badge: 'bg-amber-400 text-white', icon: '◐', label: 'Some posts/sessions' },
+  [COMPARE_STATUS.FAIL]: { cell: 'bg-red-50', badge: 'bg-red-500 text-white', icon: '✗', label: 'You do not meet this' },
+  [COMPARE_STATUS.NOT_CHECKED]: { cell: 'bg-gray-50', badge: 'bg-gray-300 text-gray-700', icon: '–', label: 'No such rule' },
+};
+
+// Requirements listed in a cell before "+N more"
+const MAX_REQUIREMENTS_SHOWN = 3;
+
+/**
+ * One rule cell: pass/fail badge and the exam's requirements
+ */
+const RuleCell = ({ cell }) => {
+  const style = STATUS_STYLES[cell.status];
+  const shown = cell.requirements.slice(0, MAX_REQUIREMENTS_SHOWN);
+  const hidden = cell.requirements.length - shown.length;
+
+  return (
+    <td
+      className={`align-top p-2 border border-gray-200 ${style.cell}`}
+      title={cell.userValues.length > 0 ? `You: ${cell.userValues.join('\n')}` : undefined}
+    >
+      <div className="flex items-center gap-1 mb-1">
+        <span className={`inline-flex items-center justify-center w-4 h-4 rounded-full text-[10px] ${style.badge}`}>
+          {style.icon}
+        </span>
+        <span className="text-[10px] text-gray-600">
+          {cell.status === COMPARE_STATUS.PARTIAL ? `${cell.passed} of ${cell.checked}` : style.label}
+        </span>
+      </div>
+      {shown.map((requirement) => (
+        <p key={requirement} className="text-[11px] text-gray-800 leading-snug">{requirement}</p>
+      ))}
+      {hidden > 0 && (
+        <p className="text-[10px] text-gray-500" title={cell.requirements.slice(MAX_REQUIREMENTS_SHOWN).join('\n')}>
+          +{hidden} more
+        </p>
+      )}
+    </td>
+  );
+};
+
+/**
+ * Side-by-side rules and exam pattern of two to five exams
+ * @param {Object} comparison - From buildExamComparison
+ */
+const ExamComparison = ({ comparison }) => {
+  if (!comparison || comparison.exams.length === 0) return null;
+
+  return (
+    <div>
+      <div className="flex flex-wrap gap-3 mb-2 text-[11px] text-gray-600">
+        {Object.values(STATUS_STYLES).map((style) => (
+          <span key={style.label} className="flex items-center gap-1">
+            <span className={`inline-flex items-center justify-center w-3 h-3 rounded-full text-[8px] ${style.badge}`}>
+              {style.icon}
+            </span>
+            {style.label}
+          </span>
+        ))}
+      </div>
+
+      <div className="overflow-x-auto">
+        <table className="w-full text-left border-collapse table-fixed min-w-[640px]">
+          <thead>
+            <tr>
+              <th className="w-32 p-2 border border-gray-200 bg-gray-100 text-xs text-gray-600">Rule</th>
+              {comparison.exams.map((exam) => (
+                <th key={exam.examId} className="p-2 border border-gray-200 bg-indigo-50 align-top">
+                  <span className="block text-xs font-bold text-indigo-700">{exam.examName}</span>
+                  <span className={`text-[10px] font-semibold ${exam.eligibleCount > 0 ? 'text-green-700' : 'text-red-600'}`}>
+                    Eligible for {exam.eligibleCount} of {exam.totalCount} posts/sessions
+                  </span>
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {comparison.rules.map((rule) => (
+              <tr key={rule.key}>
+                <th className="p-2 border border-gray-200 bg-gray-50 text-xs font-semibold text-gray-700 align-top">
+                  {rule.label}
+                </th>
+                {rule.cells.map((cell, index) => (
+                  <RuleCell key={comparison.exams[index].examId} cell={cell} />
+                ))}
+              </tr>
+            ))}
+
+            {comparison.pattern.length > 0 && (
+              <tr>
+                <th
+                  colSpan={comparison.exams.length + 1}
+                  className="p-2 border border-gray-200 bg-gray-800 text-white text-xs font-semibold"
+                >
+                  Exam Pattern
+                </th>
+              </tr>
+            )}
+            {comparison.pattern.map((row) => (
+              <tr key={row.key}>
+                <th className="p-2 border border-gray-200 bg-gray-50 text-xs font-semibold text-gray-700 align-top">
+                  {row.label}
+                </th>
+                {row.values.map((value, index) => (
+                  <td
+                    key={comparison.exams[index].examId}
+                    className="p-2 border border-gray-200 text-[11px] text-gray-800 align-top whitespace-pre-line"
+                  >
+                    {value || '—'}
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default ExamComparison;
@@ -0,0 +1,166 @@
+import React, { useState } from 'react';
+import { FIELD_KIND, getEnumValues, joinEnumValue, splitEnumValue } from '../../eligibility/examDraft';
+import { SEVERITY } from '../../eligibility/examSchema';
+
+const inputClass = 'w-full text-sm border border-gray-300 rounded-lg p-2 bg-white';
+
+/**
+ * Chips for the chosen values plus a dropdown of the allowed ones
+ */
+const EnumEditor = ({ values, value, onChange }) => {
+  const selected = splitEnumValue(value);
+  const remaining = values.filter((option) => !selected.includes(option));
+
+  return (
+    <div className="flex flex-wrap items-center gap-1">
+      {selected.map((item) => (
+        <span
+          key={item}
+          className={`text-xs px-2 py-0.5 rounded-full ${values.includes(item) ? 'bg-blue-100 text-blue-800' : 'bg-red-100 text-red-800'}`}
+        >
+          {item}
+          <button
+            type="button"
+            onClick={() => onChange(joinEnumValue(selected.filter((entry) => entry !== item)))}
+            className="ml-1 text-gray-500 hover:text-gray-800"
+            aria-label={`Remove ${item}`}
+          >
+            ×
+          </button>
+        </span>
+      ))}
+      {remaining.length > 0 && (
+        <select
+          value=""
+          onChange={(e) => onChange(joinEnumValue([...selected, e.target.value]))}
+          className="text-xs border border-gray-300 rounded-lg p-1 bg-white"
+        >
+          <option value="">{selected.length > 0 ? 'Add another...' : 'Choose...'}</option>
+          {remaining.map((option) => (
+            <option key={option} value={option}>{option}</option>
+          ))}
+        </select>
+      )}
+    </div>
+  );
+};
+
+/**
+ * One value for every session, or one value per exam session ("2025 (I)": "...")
+ */
+const SessionEditor = ({ value, onChange }) => {
+  const perSession = value !== null && typeof value === 'object';
+  const entries = perSession ? Object.entries(value) : [];
+
+  const setEntries = (next) => onChange(Object.fromEntries(next));
+
+  return (
+    <div className="space-y-1">
+      <label className="flex items-center gap-2 text-xs text-gray-600">
+        <input
+          type="checkbox"
+          checked={perSession}
+          onChange={(e) => onChange(e.target.checked ? (value ? { '': value } : {}) : '')}
+        />
+        Different value per exam session
+      </label>
+      {!perSession ? (
+        <input type="text" value={value || ''} onChange={(e) => onChange(e.target.value)} className={inputClass} />
+      ) : (
+        <>
+          {entries.map(([session, sessionValue], index) => (
+            <div key={index} className="flex gap-2">
+              <input
+                type="text"
+                value={session}
+                placeholder="Session, e.g. 2025 (I)"
+                onChange={(e) => setEntries(entries.map((entry, i) => (i === index ? [e.target.value, entry[1]] : entry)))}
+                className={`${inputClass} w-40 flex-none`}
+              />
+              <input
+                type="text"
+                value={sessionValue}
+                onChange={(e) => setEntries(entries.map((entry, i) => (i === index ? [entry[0], e.target.value] : entry)))}
+                className={inputClass}
+              />
+              <button
+                type="button"
+                onClick={() => setEntries(entries.filter((_, i) => i !== index))}
+                className="text-xs text-red-600 hover:text-red-800 px-2"
+              >
+                Remove
+              </button>
+            </div>
+          ))}
+          <button
+            type="button"
+            disabled={'' in (value || {})}
+            onClick={() => setEntries([...entries, ['', '']])}
+            className="text-xs text-blue-600 hover:text-blue-800 disabled:opacity-50"
+          >
+            + Add session
+          </button>
+        </>
+      )}
+    </div>
+  );
+};
+
+/**
+ * Raw JSON for structured values; only valid JSON is passed on
+ */
+const JsonEditor = ({ value, onChange }) => {
+  const [text, setText] = useState(() => JSON.stringify(value, null, 2));
+  const [parseError, setParseError] = useState('');
+
+  const handleChange = (e) => {
+    setText(e.target.value);
+    try {
+      onChange(JSON.parse(e.target.value));
+      setParseError('');
+    } catch (err) {
+      setParseError(err.message);
+    }
+  };
+
+  return (
+    <div>
+      <textarea
+        value={text}
+        onChange={handleChange}
+        rows={Math.min(Math.max(text.split('\n').length, 3), 16)}
+        spellCheck={false}
+        className={`${inputClass} font-mono text-xs`}
+      />
+      {parseError && <p className="text-xs text-red-600">Not valid JSON: {parseError}</p>}
+    </div>
+  );
+};
+
+/**
+ * Editor for one exam field, chosen by its kind, with the field's issues
+ * @param {string} field
+ * @param {string} kind - FIELD_KIND value
+ * @param {*} value
+ * @param {Object} schema - From buildExamSchema
+ * @param {Array} issues - Validation issues at this field
+ * @param {Function} onChange - Called with the new value
+ */
+const FieldEditor = ({ field, kind, value, schema, issues, onChange }) => (
+  <div className="text-left">
+    <label className="block text-xs font-semibold text-gray-700 mb-1">{field}</label>
+    {kind === FIELD_KIND.ENUM && <EnumEditor values={getEnumValues(schema, field)} value={value} onChange={onChange} />}
+    {kind === FIELD_KIND.SESSION && <SessionEditor value={value} onChange={onChange} />}
+    {kind === FIELD_KIND.JSON && <JsonEditor value={value} onChange={onChange} />}
+    {kind === FIELD_KIND.TEXT && (
+      <input type="text" value={value ?? ''} onChange={(e) => onChange(e.target.value)} className={inputClass} />
+    )}
+    {issues.map((issue, index) => (
+      <p key={index} className={`text-xs mt-1 ${issue.severity === SEVERITY.ERROR ? 'text-red-600' : 'text-amber-600'}`}>
+        {issue.message}
+      </p>
+    ))}
+  </div>
+);
+
+export default FieldEditor;
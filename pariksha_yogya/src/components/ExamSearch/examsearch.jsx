@@ -0,0 +1,70 @@
+import React from 'react';
+import TextField from '@mui/material/TextField';
+import MenuItem from '@mui/material/MenuItem';
+import { SEARCH_FACETS } from '@pariksha/exam-catalogue';
+import { useLanguage } from '@pariksha/i18n';
+
+/**
+ * Search box and facet filters that narrow the Target Exam dropdown
+ * @param {string} query - Search text
+ * @param {Object} filters - facet key → selected value ('' for any)
+ * @param {Object} facetCounts - From getFacetCounts: facet key → [{ value, count }]
+ * @param {number|null} matchCount - Exams left in the dropdown, null while nothing is searched
+ * @param {boolean} disabled
+ * @param {Function} onQueryChange - (query) => void
+ * @param {Function} onFilterChange - (facetKey, value) => void
+ * @param {Function} onSearchStart - Called when the user types or opens a filter (to load the full index)
+ */
+const ExamSearch = ({ query, filters, facetCounts, matchCount, disabled, onQueryChange, onFilterChange, onSearchStart }) => {
+  const { t, formatNumber } = useLanguage();
+
+  return (
+    <div className="flex flex-col gap-2 mb-3">
+      <TextField
+        fullWidth
+        label={t('examSearch.label')}
+        placeholder={t('examSearch.placeholder')}
+        value={query}
+        onChange={(event) => {
+          onSearchStart();
+          onQueryChange(event.target.value);
+        }}
+        helperText={matchCount === null ? t('examSearch.hint') : t('examSearch.matches', { count: matchCount })}
+        size="small"
+        disabled={disabled}
+      />
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-2">
+        {SEARCH_FACETS.map(({ key, label }) => (
+          <TextField
+            key={key}
+            select
+            fullWidth
+            label={t(`facets.${key}`, { defaultValue: label })}
+            value={filters[key] || ''}
+            onChange={(event) => onFilterChange(key, event.target.value)}
+            size="small"
+            disabled={disabled}
+            SelectProps={{ onOpen: onSearchStart }}
+          >
+            <MenuItem value="">
+              <em>{t('examSearch.any')}</em>
+            </MenuItem>
+            {(facetCounts[key] || []).map(({ value, count }) => (
+              <MenuItem key={value} value={value}>
+                {value} ({formatNumber(count)})
+              </MenuItem>
+            ))}
+            {/* Keep a selected value listed when the other filters leave no exam with it */}
+            {filters[key] && !(facetCounts[key] || []).some(({ value }) => value === filters[key]) && (
+              <MenuItem value={filters[key]}>
+                {filters[key]} ({formatNumber(0)})
+              </MenuItem>
+            )}
+          </TextField>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default ExamSearch;
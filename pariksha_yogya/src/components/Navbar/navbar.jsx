@@ -3,12 +3,18 @@ import { Menu, X, ChevronDown } from "lucide-react";
 import { Link } from "react-router-dom";
 import login from "../../Pages/login";
 import signup from "../../Pages/signup";
+import { useAuth } from "../../auth/authContext";
+import { useLanguage, LanguageToggle } from "@pariksha/i18n";
+import { useTheme, ThemeToggle } from "@pariksha/theme";
 
 const Navbar = () => {
   const [isOpen, setIsOpen] = useState(false);
   const [isDropdownOpen, setIsDropdownOpen] = useState(false);
   const [isScrolled, setIsScrolled] = useState(false);
   const dropdownRef = useRef(null);
+  const { user } = useAuth();
+  const { t, withLanguage } = useLanguage();
+  const { withTheme } = useTheme();
 
   // Close dropdown when clicking outside
   useEffect(() => {
@@ -35,8 +41,8 @@ const Navbar = () => {
       <nav
         className={`max-w-8xl px-4 sm:px-2 md:px-4 py-1.5 rounded-lg shadow-lg transition-all duration-300 
           ${
-            isScrolled ? "backdrop-blur-lg bg-white/15" : "bg-white"
-          } border border-gray-300`}
+            isScrolled ? "backdrop-blur-lg bg-white/15 dark:bg-gray-900/40" : "bg-white dark:bg-gray-900"
+          } border border-gray-300 dark:border-gray-700`}
       >
         <div className="max-w-7xl mx-auto flex justify-between items-center h-10 sm:h-12">
           {/* Logo and Brand */}
@@ -49,29 +55,29 @@ const Navbar = () => {
             <img
               src="./logos/py_name.svg"
               alt="Pariksha Yogya"
-              className="h-6 sm:h-7"
+              className="h-6 sm:h-7 dark:brightness-0 dark:invert"
             />
           </Link>
 
           {/* Desktop Menu */}
           <div className="hidden md:flex space-x-6 items-center">
-            <a href="/" className="text-gray-700 hover:text-blue-500">
-              Home
+            <a href="/" className="text-gray-700 dark:text-gray-200 hover:text-blue-500">
+              {t("nav.home")}
             </a>
-            <a href="/about" className="text-gray-700 hover:text-blue-500">
-              About Us
+            <a href="/about" className="text-gray-700 dark:text-gray-200 hover:text-blue-500">
+              {t("nav.aboutUs")}
             </a>
-            <a href="/contact" className="text-gray-700 hover:text-blue-500">
-              Contact Us
+            <a href="/contact" className="text-gray-700 dark:text-gray-200 hover:text-blue-500">
+              {t("nav.contactUs")}
             </a>
 
             {/* Features Dropdown with Animation */}
             <div className="relative">
               <button
                 onClick={() => setIsDropdownOpen(!isDropdownOpen)}
-                className="flex items-center text-gray-700 hover:text-blue-500 focus:outline-none"
+                className="flex items-center text-gray-700 dark:text-gray-200 hover:text-blue-500 focus:outline-none"
               >
-                Features
+                {t("nav.features")}
                 <ChevronDown
                   className={`ml-1 w-4 h-4 transition-transform duration-300 ${
                     isDropdownOpen ? "rotate-180" : "rotate-0"
@@ -81,7 +87,7 @@ const Navbar = () => {
 
               {/* Dropdown Items with Animation */}
               <div
-                className={`absolute left-0 mt-2 w-48 bg-white shadow-lg rounded-lg z-50 transition-all duration-300 transform origin-top 
+                className={`absolute left-0 mt-2 w-48 bg-white dark:bg-gray-800 shadow-lg rounded-lg z-50 transition-all duration-300 transform origin-top 
                       ${
                         isDropdownOpen
                           ? "opacity-100 scale-y-100"
@@ -90,40 +96,47 @@ const Navbar = () => {
               >
                 <a
                   href="/"
-                  className="block px-4 py-2 text-gray-700 hover:bg-gray-100"
+                  className="block px-4 py-2 text-gray-700 dark:text-gray-200 hover:bg-gray-100 dark:hover:bg-gray-800"
                 >
-                  PARIKSHA YOGYA
+                  {t("nav.parikshaYogya").toUpperCase()}
                 </a>
                 <a
-                  href="https://marg.psetu.com/"
-                  className="block px-4 py-2 text-gray-700 hover:bg-gray-100"
+                  href={withTheme(withLanguage("https://marg.psetu.com/"))}
+                  className="block px-4 py-2 text-gray-700 dark:text-gray-200 hover:bg-gray-100 dark:hover:bg-gray-800"
                 >
-                  PARIKSHA MARG
+                  {t("nav.parikshaMarg").toUpperCase()}
                 </a>
                 <a
                   href="#"
-                  className="block px-4 py-2 text-gray-700 hover:bg-gray-100"
+                  className="block px-4 py-2 text-gray-700 dark:text-gray-200 hover:bg-gray-100 dark:hover:bg-gray-800"
                 >
-                  PARIKSHA GYAN
+                  {t("nav.parikshaGyan").toUpperCase()}
                 </a>
               </div>
             </div>
 
-            <a href="/login" className="text-gray-700 hover:text-blue-500">
-                  Log In
-                </a>
+            <Link to={user ? "/account" : "/login"} className="text-gray-700 dark:text-gray-200 hover:text-blue-500">
+                  {user ? t("nav.myAccount") : t("nav.logIn")}
+                </Link>
                 <button className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700">
-                  Try for Free
+                  {t("nav.tryForFree")}
                 </button>
           </div>
 
           <div className="flex items-center gap-2">
+            <LanguageToggle className="text-sm font-medium text-gray-700 dark:text-gray-200 hover:text-blue-500 border border-gray-300 dark:border-gray-600 rounded-full px-2 py-0.5 focus:outline-none" />
+            <ThemeToggle
+              className="text-gray-700 dark:text-gray-200 hover:text-blue-500 border border-gray-300 dark:border-gray-600 rounded-full p-1 focus:outline-none"
+              lightLabel={t("nav.switchToLight")}
+              darkLabel={t("nav.switchToDark")}
+            />
+
             {/* Mobile Menu Button */}
             <button
               onClick={() => setIsOpen(!isOpen)}
-              className="md:hidden text-gray-700 p-2 focus:outline-none"
+              className="md:hidden text-gray-700 dark:text-gray-200 p-2 focus:outline-none"
               aria-expanded={isOpen}
-              aria-label="Toggle menu"
+              aria-label={t("nav.toggleMenu")}
             >
               {isOpen ? <X size={24} /> : <Menu size={24} />}
             </button>
@@ -132,7 +145,7 @@ const Navbar = () => {
 
         {/* Mobile Menu */}
         <div
-          className={`md:hidden bg-white border-t absolute left-4 right-4 shadow-md rounded-b-lg overflow-hidden transition-all duration-300 ease-in-out ${
+          className={`md:hidden bg-white dark:bg-gray-900 border-t dark:border-gray-700 absolute left-4 right-4 shadow-md rounded-b-lg overflow-hidden transition-all duration-300 ease-in-out ${
             isOpen
               ? "max-h-[500px] opacity-100"
               : "max-h-0 opacity-0 pointer-events-none"
@@ -141,30 +154,30 @@ const Navbar = () => {
           <div className="py-2 animate-fadeIn">
             <a
               href="/"
-              className="block px-4 py-2 text-gray-700 hover:bg-gray-100 text-center"
+              className="block px-4 py-2 text-gray-700 dark:text-gray-200 hover:bg-gray-100 dark:hover:bg-gray-800 text-center"
             >
-              Home
+              {t("nav.home")}
             </a>
             <a
               href="/about"
-              className="block px-4 py-2 text-gray-700 hover:bg-gray-100 text-center"
+              className="block px-4 py-2 text-gray-700 dark:text-gray-200 hover:bg-gray-100 dark:hover:bg-gray-800 text-center"
             >
-              About Us
+              {t("nav.aboutUs")}
             </a>
             <a
               href="/contact"
-              className="block px-4 py-2 text-gray-700 hover:bg-gray-100 text-center"
+              className="block px-4 py-2 text-gray-700 dark:text-gray-200 hover:bg-gray-100 dark:hover:bg-gray-800 text-center"
             >
-              Contact Us
+              {t("nav.contactUs")}
             </a>
 
             {/* Features Dropdown in Mobile with Improved Animation */}
             <div className="px-4 py-1">
               <button
                 onClick={() => setIsDropdownOpen(!isDropdownOpen)}
-                className="w-full text-center py-2 flex items-center justify-center text-gray-700 hover:text-blue-500 focus:outline-none"
+                className="w-full text-center py-2 flex items-center justify-center text-gray-700 dark:text-gray-200 hover:text-blue-500 focus:outline-none"
               >
-                Features
+                {t("nav.features")}
                 <ChevronDown
                   className={`ml-1 w-4 h-4 transition-transform duration-300 ${
                     isDropdownOpen ? "rotate-180" : "rotate-0"
@@ -172,7 +185,7 @@ const Navbar = () => {
                 />
               </button>
               <div
-                className={`mt-1 bg-gray-50 rounded-lg overflow-hidden transition-all duration-300 ease-in-out ${
+                className={`mt-1 bg-gray-50 dark:bg-gray-800 rounded-lg overflow-hidden transition-all duration-300 ease-in-out ${
                   isDropdownOpen
                     ? "max-h-[200px] opacity-100"
                     : "max-h-0 opacity-0"
@@ -180,36 +193,36 @@ const Navbar = () => {
               >
                 <a
                   href="/"
-                  className="block px-4 py-2 text-gray-700 hover:bg-gray-100 text-center"
+                  className="block px-4 py-2 text-gray-700 dark:text-gray-200 hover:bg-gray-100 dark:hover:bg-gray-800 text-center"
                 >
-                  PARIKSHA YOGYA
+                  {t("nav.parikshaYogya").toUpperCase()}
                 </a>
                 <a
-                  href="https://marg.psetu.com/"
-                  className="block px-4 py-2 text-gray-700 hover:bg-gray-100 text-center"
+                  href={withTheme(withLanguage("https://marg.psetu.com/"))}
+                  className="block px-4 py-2 text-gray-700 dark:text-gray-200 hover:bg-gray-100 dark:hover:bg-gray-800 text-center"
                 >
-                  PARIKSHA MARG
+                  {t("nav.parikshaMarg").toUpperCase()}
                 </a>
                 <a
                   href="#"
-                  className="block px-4 py-2 text-gray-700 hover:bg-gray-100 text-center"
+                  className="block px-4 py-2 text-gray-700 dark:text-gray-200 hover:bg-gray-100 dark:hover:bg-gray-800 text-center"
                 >
-                  PARIKSHA GYAN
+                  {t("nav.parikshaGyan").toUpperCase()}
                 </a>
               </div>
             </div>
 
-            <a
-                href="/login"
-                className="block px-4 py-2 text-gray-700 hover:bg-gray-100 text-center mt-1"
+            <Link
+                to={user ? "/account" : "/login"}
+                className="block px-4 py-2 text-gray-700 dark:text-gray-200 hover:bg-gray-100 dark:hover:bg-gray-800 text-center mt-1"
               >
-                Log In
-              </a>
+                {user ? t("nav.myAccount") : t("nav.logIn")}
+              </Link>
 
             {/* Button with Proper Margins */}
             <div className="px-4 py-2">
                 <button className="w-full bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 transition-colors">
-                  Try for Free
+                  {t("nav.tryForFree")}
                 </button>
               </div>
           </div>
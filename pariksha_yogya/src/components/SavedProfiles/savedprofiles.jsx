@@ -0,0 +1,94 @@
+import React, { useState } from 'react';
+import TextField from '@mui/material/TextField';
+import MenuItem from '@mui/material/MenuItem';
+import Button from '@mui/material/Button';
+import { MAX_PROFILE_NAME_LENGTH } from '../../eligibility/profileStore';
+
+/**
+ * Save the current details under a name and reload or re-check saved profiles
+ * @param {Array} profiles - Saved profile records
+ * @param {boolean} available - Whether profiles can be stored in this browser
+ * @param {boolean} synced - Signed in: profiles are also synced to the user's account
+ * @param {boolean} disabled - Disable actions (e.g. while checking)
+ * @param {Function} onSave - (name) => Promise
+ * @param {Function} onLoad - (profile) => void
+ * @param {Function} onRun - (profile) => void, loads and runs both checks
+ * @param {Function} onDelete - (profile) => void
+ */
+const SavedProfiles = ({ profiles, available, synced, disabled, onSave, onLoad, onRun, onDelete }) => {
+  const [selectedId, setSelectedId] = useState('');
+  const [name, setName] = useState('');
+
+  if (!available) return null;
+
+  const selected = profiles.find((profile) => profile.id === selectedId) || null;
+  const storedText = synced ? 'Synced to your account across devices' : 'Stored on this device only';
+
+  const handleSave = async () => {
+    const saved = await onSave(name);
+    if (saved) {
+      setSelectedId(saved.id);
+      setName('');
+    }
+  };
+
+  const handleDelete = () => {
+    onDelete(selected);
+    setSelectedId('');
+  };
+
+  return (
+    <div className="rounded-lg p-3 mb-3 border border-gray-200">
+      <h2 className="text-sm font-semibold text-gray-800 mb-3 text-left">
+        Saved Profiles
+      </h2>
+      <div className="flex flex-col md:flex-row gap-3 md:items-center">
+        <div className="flex flex-1 gap-2 items-center">
+          <TextField
+            select
+            fullWidth
+            label="Profile"
+            value={selected ? selectedId : ''}
+            onChange={(event) => setSelectedId(event.target.value)}
+            size="small"
+            disabled={disabled || profiles.length === 0}
+            helperText={profiles.length === 0 ? 'No saved profiles yet' : storedText}
+          >
+            {profiles.map((profile) => (
+              <MenuItem key={profile.id} value={profile.id}>
+                {profile.name}
+              </MenuItem>
+            ))}
+          </TextField>
+          <Button size="small" variant="outlined" disabled={disabled || !selected} onClick={() => onLoad(selected)}>
+            Load
+          </Button>
+          <Button size="small" variant="contained" disabled={disabled || !selected} onClick={() => onRun(selected)}>
+            Load &amp; Check
+          </Button>
+          <Button size="small" color="error" disabled={disabled || !selected} onClick={handleDelete}>
+            Delete
+          </Button>
+        </div>
+        <div className="flex flex-1 gap-2 items-center">
+          <TextField
+            fullWidth
+            label="Save current details as"
+            placeholder='e.g. "me", "my sister"'
+            value={name}
+            onChange={(event) => setName(event.target.value)}
+            inputProps={{ maxLength: MAX_PROFILE_NAME_LENGTH }}
+            size="small"
+            disabled={disabled}
+            helperText="Same name overwrites"
+          />
+          <Button size="small" variant="outlined" disabled={disabled || !name.trim()} onClick={handleSave}>
+            Save
+          </Button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SavedProfiles;
@@ -1,29 +1,9 @@
-import React, { useState, useEffect } from 'react';
-import allExamsData from '../../../examsdata/allexamnames.json';
+import React from 'react';
+import { getCatalogueStats } from '@pariksha/exam-catalogue';
 
 const StatsAnalytics = () => {
-  // Count total exams from allexamnames.json
-  const [examCount, setExamCount] = useState(0);
-  const [mainFolderCount, setMainFolderCount] = useState(0);
-  
-  useEffect(() => {
-    // Count only active exams (with linked_json_file) across all categories
-    let activeExams = 0;
-    let categoryCount = 0;
-    
-    for (const category in allExamsData) {
-      if (Array.isArray(allExamsData[category])) {
-        // Count only exams that have a linked JSON file (active exams)
-        activeExams += allExamsData[category].filter(
-          exam => exam.linked_json_file && exam.linked_json_file !== ''
-        ).length;
-        categoryCount++;
-      }
-    }
-    
-    setExamCount(activeExams);
-    setMainFolderCount(categoryCount);
-  }, []);
+  // Active exams (with eligibility rules) and categories in the shared catalogue
+  const { linkedCount: examCount, categoryCount: mainFolderCount } = getCatalogueStats();
   
   // Telegram channel link
   const telegramChannelLink = "https://t.me/pratiyogitasetu";
@@ -0,0 +1,178 @@
+/**
+ * Age relaxation
+ *
+ * Resolving the exam's age_relaxation for a user (structured and legacy
+ * string formats, CUMULATIVE vs MAXIMUM stacking) and the Date of Birth check
+ * extending only the upper bound by it.
+ */
+
+import { describe, it, expect } from 'vitest';
+
+import {
+    STACKING_RULES,
+    parseLegacyAgeRelaxation,
+    resolveAgeRelaxation
+} from '../checker/age_relaxation.js';
+import {
+    checkDateOfBirth,
+    relaxMaximumAge,
+    relaxEarliestDob
+} from '../checker/date_of_birth.js';
+
+// From possiblefields.json: the PwD relaxation comes on top of the category one
+const LEGACY_WITH_PWD = 'OBC: 3 years, SC/ST: 5 years, PwD: 10 years, Ex-Servicemen: 3 years after deduction of military service';
+
+const OBC_EX_SERVICEMAN = { caste_category: 'OBC', pwd_status: 'NO', ex_servicemen_status: 'YES' };
+
+const CATEGORY_AND_EX_SERVICEMEN = {
+    caste_category: { SC: '5', ST: '5', OBC: '3' },
+    ex_servicemen_status: { YES: '5' }
+};
+
+describe('parseLegacyAgeRelaxation', () => {
+    it('reads category clauses', () => {
+        expect(parseLegacyAgeRelaxation('SC/ST: +5 YEARS, OBC-NCL: +3 YEARS')).toEqual({
+            caste_category: { SC: '5', ST: '5', OBC: '3' }
+        });
+    });
+    
+    it('reads PwBD with and without a category', () => {
+        expect(parseLegacyAgeRelaxation('PwBD (OBC): +13 YEARS')).toEqual({ pwd_status: { OBC: '13' } });
+        expect(parseLegacyAgeRelaxation('PwD: 10 years')).toEqual({ pwd_status: { ALL: '10' } });
+    });
+    
+    it('reads other attributes and the cumulative switch', () => {
+        expect(parseLegacyAgeRelaxation('EX-SERVICEMEN: +3 YEARS, WOMEN: +5 YEARS, CUMULATIVE RELAXATION ALLOWED')).toEqual({
+            stacking: STACKING_RULES.CUMULATIVE,
+            ex_servicemen_status: { YES: '3' },
+            gender: { FEMALE: '5' }
+        });
+    });
+    
+    it('gives no relaxation for empty, "no" and unreadable strings', () => {
+        ['', 'NOT APPLICABLE', 'NO AGE RELAXATION', 'AS PER GOVT. RULES', 'CUMULATIVE RELAXATION ALLOWED'].forEach(value => {
+            expect(parseLegacyAgeRelaxation(value)).toBeNull();
+        });
+    });
+});
+
+describe('resolveAgeRelaxation', () => {
+    it('applies only the largest relaxation by default (MAXIMUM)', () => {
+        const relaxation = resolveAgeRelaxation(CATEGORY_AND_EX_SERVICEMEN, OBC_EX_SERVICEMAN);
+        expect(relaxation.stacking).toBe(STACKING_RULES.MAXIMUM);
+        expect(relaxation.years).toBe(5);
+        expect(relaxation.applied.map(item => item.field)).toEqual(['ex_servicemen_status']);
+    });
+    
+    it('adds the relaxations up when CUMULATIVE', () => {
+        const relaxation = resolveAgeRelaxation({ ...CATEGORY_AND_EX_SERVICEMEN, stacking: 'CUMULATIVE' }, OBC_EX_SERVICEMAN);
+        expect(relaxation.years).toBe(8);
+        expect(relaxation.summary).toBe('Age relaxation of 8 years applied (OBC: +3 years + Ex-Servicemen: +5 years)');
+    });
+    
+    it('caps the total at maximum_relaxation', () => {
+        const relaxation = resolveAgeRelaxation(
+            { ...CATEGORY_AND_EX_SERVICEMEN, stacking: 'CUMULATIVE', maximum_relaxation: '6' },
+            OBC_EX_SERVICEMAN
+        );
+        expect(relaxation.years).toBe(6);
+    });
+    
+    it('replaces the category relaxation with the PwBD one, which includes it', () => {
+        const relaxation = resolveAgeRelaxation(
+            { caste_category: { OBC: '3' }, pwd_status: { OBC: '13' }, stacking: 'CUMULATIVE' },
+            { caste_category: 'OBC (OTHER BACKWARD CLASS)', pwd_status: 'YES' }
+        );
+        expect(relaxation.years).toBe(13);
+        expect(relaxation.applied.map(item => item.label)).toEqual(['PwBD (OBC): +13 years']);
+    });
+    
+    it('adds an uncategorised PwD relaxation to the category one', () => {
+        const obcPwd = resolveAgeRelaxation(LEGACY_WITH_PWD, { caste_category: 'OBC (OTHER BACKWARD CLASS)', pwd_status: 'YES' });
+        expect(obcPwd.years).toBe(13);
+        expect(obcPwd.summary).toBe('Age relaxation of 13 years applied (OBC: +3 years + PwBD: +10 years)');
+        
+        const scPwd = resolveAgeRelaxation(LEGACY_WITH_PWD, { caste_category: 'SC (SCHEDULED CASTE)', pwd_status: 'YES' });
+        expect(scPwd.years).toBe(15);
+        
+        expect(resolveAgeRelaxation(LEGACY_WITH_PWD, { caste_category: 'GENERAL (UR/UNRESERVED)', pwd_status: 'YES' }).years).toBe(10);
+    });
+    
+    it('resolves legacy strings the same way', () => {
+        const relaxation = resolveAgeRelaxation('SC/ST: +5 YEARS, OBC: +3 YEARS', { caste_category: 'SC' });
+        expect(relaxation.years).toBe(5);
+    });
+    
+    it('gives nothing when no rule matches the user', () => {
+        expect(resolveAgeRelaxation(CATEGORY_AND_EX_SERVICEMEN, { caste_category: 'GEN' })).toEqual({
+            years: 0,
+            applied: [],
+            stacking: STACKING_RULES.MAXIMUM,
+            summary: 'No age relaxation'
+        });
+    });
+});
+
+describe('relaxing the upper bound', () => {
+    it('raises a maximum age', () => {
+        expect(relaxMaximumAge('30', 5)).toBe(35);
+        expect(relaxMaximumAge('30', 0)).toBe('30');
+        expect(relaxMaximumAge('N/A', 5)).toBe('N/A');
+    });
+    
+    it('moves the earliest birth date back', () => {
+        expect(relaxEarliestDob('02-01-2003', 5)).toBe('02-01-1998');
+        expect(relaxEarliestDob('02-01-2003', 0)).toBe('02-01-2003');
+        expect(relaxEarliestDob('not a date', 5)).toBe('not a date');
+    });
+});
+
+describe('checkDateOfBirth with age relaxation', () => {
+    const betweenDobExam = {
+        age_criteria_type: 'BETWEEN_DOB',
+        between_dob: { 2026: '02-01-2003 to 01-01-2008' },
+        age_relaxation: { caste_category: { SC: '5' } }
+    };
+    
+    it('passes an SC candidate born before the unrelaxed range', () => {
+        const result = checkDateOfBirth('15-06-1999', betweenDobExam, '2026', null, { caste_category: 'SC' });
+        expect(result.eligible).toBe(true);
+        expect(result.examRequirement).toBe('DOB between: 02-01-1998 to 01-01-2008 (incl. 5 years relaxation)');
+        expect(result.ageRelaxation.years).toBe(5);
+    });
+    
+    it('quotes the relaxed bound when failing', () => {
+        const result = checkDateOfBirth('15-06-1997', betweenDobExam, '2026', null, { caste_category: 'SC' });
+        expect(result.eligible).toBe(false);
+        expect(result.reason).toBe('Your date of birth (15-06-1997) is before the eligible range. You must be born on or after 02-01-1998');
+    });
+    
+    it('quotes the relaxed bound when the criteria type is detected from the fields', () => {
+        const exam = { ...betweenDobExam, age_criteria_type: '' };
+        const result = checkDateOfBirth('15-06-1997', exam, '2026', null, { caste_category: 'SC' });
+        expect(result.reason).toBe('Your date of birth (15-06-1997) is before the eligible range. You must be born on or after 02-01-1998');
+        
+        const endingAgeExam = { ending_age: '30', age_relaxation: { caste_category: { OBC: '3' } } };
+        expect(checkDateOfBirth('01-01-1990', endingAgeExam, '2026', null, { caste_category: 'OBC' }).reason)
+            .toBe('Your age (36 years) exceeds the maximum age limit of 33 years');
+    });
+    
+    it('reports no relaxation for a candidate without one', () => {
+        const result = checkDateOfBirth('15-06-1999', betweenDobExam, '2026', null, { caste_category: 'GEN' });
+        expect(result.eligible).toBe(false);
+        expect(result.reason).toBe('Your date of birth (15-06-1999) is before the eligible range. You must be born on or after 02-01-2003');
+        expect(result.ageRelaxation).toBeNull();
+    });
+    
+    it('leaves the minimum age alone', () => {
+        const exam = {
+            age_criteria_type: 'BETWEEN_AGE',
+            between_age: '21 to 30',
+            age_relaxation: { caste_category: { SC: '5' } }
+        };
+        const result = checkDateOfBirth('01-01-2007', exam, '2026', null, { caste_category: 'SC' });
+        expect(result.eligible).toBe(false);
+        expect(result.reason).toBe('Your age (19 years) is below the minimum age of 21 years');
+        expect(result.examRequirement).toBe('Age: 21 to 35 years (incl. 5 years relaxation)');
+    });
+});
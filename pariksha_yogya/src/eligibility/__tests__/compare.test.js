@@ -0,0 +1,101 @@
+/**
+ * Exam comparison
+ *
+ * Rule cells combined across divisions/sessions and the full comparison of
+ * exams loaded by ID, built from the golden profiles.
+ */
+
+import { describe, it, expect } from 'vitest';
+
+import cdsData from '../../../examsdata/DEFENCE_ED/cds.json';
+import ndaData from '../../../examsdata/DEFENCE_ED/nda.json';
+
+import { getDisplayDetails, prepareUserInput } from '../exambasis.js';
+import { examHasDivisions, getDivisionOptions, getExamDropdownOptions } from '../examDataLoader.js';
+import {
+    COMPARE_RULES,
+    COMPARE_STATUS,
+    buildComparisonMatrix,
+    buildExamComparison
+} from '../compare.js';
+import { GOLDEN_PROFILES } from './fixtures/profiles.js';
+
+const getProfile = (id) => GOLDEN_PROFILES.find(profile => profile.id === id);
+
+/**
+ * Exam entry as buildComparisonMatrix expects it
+ * @param {string} examId
+ * @param {Object} examData
+ * @returns {Object}
+ */
+const toExam = (examId, examData) => ({
+    examId,
+    examName: examData.exam_name,
+    examData,
+    displayDetails: getDisplayDetails(examData),
+    hasDivisions: examHasDivisions(examData),
+    divisions: examHasDivisions(examData) ? getDivisionOptions(examData).map(option => option.value) : []
+});
+
+/**
+ * Compare CDS and NDA for a golden profile
+ * @param {string} profileId
+ * @returns {Object}
+ */
+const compareFor = (profileId) => {
+    const profile = getProfile(profileId);
+    return buildComparisonMatrix(
+        [toExam('cds', cdsData), toExam('nda', ndaData)],
+        prepareUserInput(profile.formData, profile.educationTableData)
+    );
+};
+
+const cellOf = (matrix, ruleKey, examIndex) => matrix.rules.find(rule => rule.key === ruleKey).cells[examIndex];
+
+describe('buildComparisonMatrix', () => {
+    it('has one column per exam and one row per rule group', () => {
+        const matrix = compareFor('cds-graduate-btech');
+        
+        expect(matrix.exams.map(exam => exam.examId)).toEqual(['cds', 'nda']);
+        expect(matrix.rules.map(rule => rule.key)).toEqual(COMPARE_RULES.map(rule => rule.key));
+        matrix.rules.forEach(rule => expect(rule.cells).toHaveLength(2));
+        expect(matrix.pattern.length).toBeGreaterThan(0);
+        matrix.pattern.forEach(row => expect(row.values).toHaveLength(2));
+    });
+    
+    it('marks a rule partial when only some sessions pass', () => {
+        // Born 2004: inside the early CDS age windows, past the later ones
+        const matrix = compareFor('cds-graduate-btech');
+        const age = cellOf(matrix, 'age', 0);
+        
+        expect(age.status).toBe(COMPARE_STATUS.PARTIAL);
+        expect(age.passed).toBeGreaterThan(0);
+        expect(age.passed).toBeLessThan(age.checked);
+        expect(age.requirements[0]).toMatch(/^DOB between/);
+        expect(matrix.exams[0].eligibleCount).toBeGreaterThan(0);
+    });
+    
+    it('marks a rule failed when no session passes and labels multi-field requirements', () => {
+        // Too old for every NDA session
+        const matrix = compareFor('cds-graduate-btech');
+        
+        expect(cellOf(matrix, 'age', 1).status).toBe(COMPARE_STATUS.FAIL);
+        expect(matrix.exams[1].eligibleCount).toBe(0);
+        cellOf(matrix, 'marks', 0).requirements.forEach(requirement => {
+            expect(requirement).toMatch(/^Marks \(/);
+        });
+    });
+});
+
+describe('buildExamComparison', () => {
+    it('loads exams by ID and rejects too few exams', async () => {
+        const profile = getProfile('cds-graduate-btech');
+        const examOptions = getExamDropdownOptions();
+        
+        const matrix = await buildExamComparison(['cds', 'nda'], profile.formData, profile.educationTableData, examOptions);
+        expect(matrix.exams.map(exam => exam.examName)).toEqual([cdsData.exam_name, ndaData.exam_name]);
+        
+        await expect(buildExamComparison(['cds'], profile.formData, profile.educationTableData, examOptions))
+            .rejects.toThrow(/2 to 5 exams/);
+    });
+});
@@ -0,0 +1,75 @@
+/**
+ * Eligibility Basis scan
+ *
+ * Batched progress, streamed partial results and cancellation.
+ * Runs the main-thread scan (no Web Worker in Node).
+ */
+
+import { describe, it, expect } from 'vitest';
+
+import {
+    scanExamsForBasis,
+    checkEligibilityBasis,
+    getExamDropdownOptions,
+    prepareUserInput
+} from '../eligibilitybasis.js';
+import { scanEligibilityBasis } from '../eligibilityBasisScan.js';
+import { GOLDEN_PROFILES } from './fixtures/profiles.js';
+
+const profile = GOLDEN_PROFILES.find(p => p.id === 'cds-graduate-btech');
+const userInput = prepareUserInput(profile.formData, profile.educationTableData);
+const examOptions = getExamDropdownOptions();
+
+describe('scanExamsForBasis', () => {
+    it('streams one batch and one progress update per batch', async () => {
+        const batches = [];
+        const progress = [];
+        
+        const result = await scanExamsForBasis(userInput, examOptions, {
+            batchSize: 2,
+            onBatch: batch => batches.push(batch),
+            onProgress: (examName, current, total) => progress.push({ current, total })
+        });
+        
+        expect(batches).toHaveLength(Math.ceil(examOptions.length / 2));
+        expect(progress[progress.length - 1]).toEqual({ current: examOptions.length, total: examOptions.length });
+        expect(batches.flatMap(batch => batch.eligible)).toEqual(result.eligible);
+        expect(batches.flatMap(batch => batch.ineligible)).toEqual(result.ineligible);
+        expect(result.totalExamsChecked).toBe(examOptions.length);
+    });
+    
+    it('stops with an AbortError when the signal is aborted', async () => {
+        const controller = new AbortController();
+        const batches = [];
+        
+        const scan = scanExamsForBasis(userInput, examOptions, {
+            batchSize: 1,
+            signal: controller.signal,
+            onBatch: batch => {
+                batches.push(batch);
+                controller.abort();
+            }
+        });
+        
+        await expect(scan).rejects.toMatchObject({ name: 'AbortError' });
+        expect(batches).toHaveLength(1);
+    });
+});
+
+describe('scanEligibilityBasis', () => {
+    it('falls back to the main-thread scan without Web Workers', async () => {
+        const expected = await checkEligibilityBasis(profile.formData, profile.educationTableData);
+        const result = await scanEligibilityBasis(profile.formData, profile.educationTableData);
+        
+        expect(result.eligibleCount).toBe(expected.eligibleCount);
+        expect(result.ineligibleCount).toBe(expected.ineligibleCount);
+    });
+    
+    it('rejects straight away for an already aborted signal', async () => {
+        const controller = new AbortController();
+        controller.abort();
+        
+        await expect(scanEligibilityBasis(profile.formData, profile.educationTableData, { signal: controller.signal }))
+            .rejects.toMatchObject({ name: 'AbortError' });
+    });
+});
@@ -0,0 +1,88 @@
+/**
+ * Shared exam catalogue
+ *
+ * The catalogue the three sites list (packages/exam-catalogue) matches the
+ * eligibility checker's exam index: same exams, codes and category labels,
+ * deep links that select an exam on /check-eligibility, and the exam page
+ * profile (details and per-division rule tables) built from an exam JSON.
+ */
+
+import { describe, it, expect } from 'vitest';
+
+import allExamNames from '../../../examsdata/allexamnames.json';
+import cdsData from '../../../examsdata/DEFENCE_ED/cds.json';
+import neetData from '../../../examsdata/UG_ED/neet.json';
+
+import {
+    CATEGORY_LABELS,
+    getCatalogue,
+    getCatalogueExam,
+    getCatalogueStats,
+    getEligibilityCheckPath,
+    getEligibilityCheckUrl,
+    loadCatalogueExamData,
+    buildExamProfile,
+    formatRuleValue
+} from '@pariksha/exam-catalogue';
+import { getExamDropdownOptions, getExamOptionsGroupedByCategory } from '../examDataLoader.js';
+
+describe('exam catalogue', () => {
+    it('lists every exam of the checker index, with a label for each category', () => {
+        const catalogue = getCatalogue();
+        
+        expect(catalogue.map(group => group.category)).toEqual(Object.keys(allExamNames));
+        catalogue.forEach(group => {
+            expect(CATEGORY_LABELS[group.category]).toBe(group.label);
+            expect(group.exams.map(exam => exam.examId)).toEqual(allExamNames[group.category].map(exam => exam.exam_id));
+        });
+        expect(getCatalogueStats().examCount).toBe(Object.values(allExamNames).flat().length);
+    });
+    
+    it('marks the exams the checker can check as linked', () => {
+        const linked = getCatalogue().flatMap(group => group.exams).filter(exam => exam.linked);
+        
+        expect(linked.map(exam => exam.examId).sort()).toEqual(getExamDropdownOptions().map(option => option.value).sort());
+        expect(getCatalogueExam('cds')).toMatchObject({ examName: 'CDS', examCode: 'CDS', category: 'DEFENCE_ED', linked: true });
+        expect(getCatalogueExam('ssc-cgl')).toMatchObject({ examCode: 'SC', linked: false });
+        expect(Object.keys(getExamOptionsGroupedByCategory())).toEqual(expect.arrayContaining(['Defence Exams', 'Undergraduate Exams']));
+    });
+    
+    it('builds deep links into the eligibility check', () => {
+        expect(getEligibilityCheckPath('army-ncc-special-entry')).toBe('/check-eligibility?exam=army-ncc-special-entry');
+        expect(getEligibilityCheckUrl('cds', 'http://localhost:5173/')).toBe('http://localhost:5173/check-eligibility?exam=cds');
+        expect(getEligibilityCheckUrl('cds')).toBe('https://yogya.psetu.com/check-eligibility?exam=cds');
+    });
+});
+
+describe('exam profile', () => {
+    it('loads the exam JSON of linked exams only', async () => {
+        expect(await loadCatalogueExamData('cds')).toEqual(cdsData);
+        expect(await loadCatalogueExamData('ssc-cgl')).toBeNull();
+        expect(await loadCatalogueExamData('no-such-exam')).toBeNull();
+    });
+    
+    it('lists exam details once and division pattern fields per division', () => {
+        const profile = buildExamProfile(cdsData);
+        const ima = profile.divisions.find(division => division.name === 'IMA');
+        
+        expect(profile.details.find(row => row.key === 'conducting_body').value).toBe('UPSC (Union Public Service Commission)');
+        expect(profile.divisions.map(division => division.name)).toEqual(['IMA', 'INA', 'AFA', 'OTA']);
+        expect(ima.details.map(row => row.key)).toEqual(expect.arrayContaining(['exam_tiers', 'exam_sections', 'marking_scheme', 'exam_duration', 'paper_medium', 'exam_date']));
+        expect(ima.details.map(row => row.key)).not.toContain('conducting_body');
+    });
+    
+    it('writes eligibility rules as readable lines', () => {
+        const rules = buildExamProfile(cdsData).divisions[0].rules;
+        const rule = (key) => rules.find(row => row.key === key);
+        
+        expect(rule('between_dob').lines[0]).toBe('2026-I: 02-01-2003 to 01-01-2008');
+        expect(rule('marital_status').lines).toContain('FEMALE: UNMARRIED');
+        expect(rule('education_levels.graduation')).toMatchObject({ label: 'Graduation' });
+        expect(rule('education_levels.graduation').lines).toEqual(expect.arrayContaining(['Course: ALL COURSES', 'Minimum marks:', '  GEN: 33%']));
+        expect(rules.map(row => row.key)).not.toContain('ncc_wing');
+        
+        expect(buildExamProfile(neetData).divisions).toHaveLength(1);
+        expect(buildExamProfile(neetData).divisions[0].name).toBeNull();
+        expect(formatRuleValue({ regular_candidates: { 2026: '21', 2027: '22' } })).toEqual(['Regular candidates:', '  2026: 21', '  2027: 22']);
+    });
+});
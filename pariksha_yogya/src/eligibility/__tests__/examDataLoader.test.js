@@ -0,0 +1,97 @@
+/**
+ * Exam data loader
+ *
+ * Lookup by exam ID, lazy per-exam loading by exact path, shared in-flight
+ * requests and prefetch candidates.
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+
+import cdsData from '../../../examsdata/DEFENCE_ED/cds.json';
+import neetData from '../../../examsdata/UG_ED/neet.json';
+
+import {
+    buildExamIndex,
+    getExamById,
+    getExamDropdownOptions,
+    loadExamDataById,
+    isExamDataLoaded,
+    loadExamData,
+    getPrefetchCandidates,
+    prefetchExamData
+} from '../examDataLoader.js';
+import { getExamDataLoader } from '@pariksha/exam-catalogue';
+
+describe('exam IDs', () => {
+    it('tells apart exams that share an exam_code', () => {
+        expect(getExamById('ssc-cgl').exam_name).toBe('SSC CGL');
+        expect(getExamById('ssc-chsl').exam_name).toBe('SSC CHSL');
+        expect(getExamById('ssc-cpo').exam_name).toBe('SSC CPO');
+        expect(getExamById('SC')).toBeNull();
+    });
+    
+    it('uses the exam ID as the dropdown value', async () => {
+        const cds = getExamDropdownOptions().find(option => option.value === 'cds');
+        
+        expect(cds).toMatchObject({ code: 'CDS', label: 'CDS', linkedFile: 'DEFENCE_ED/cds.json' });
+        expect(await loadExamDataById('cds')).toEqual(cdsData);
+    });
+    
+    it('reports duplicate IDs and keeps the first exam', () => {
+        const consoleError = vi.spyOn(console, 'error').mockImplementation(() => {});
+        const index = buildExamIndex({
+            SSC_ED: [{ exam_id: 'ssc-cgl', exam_name: 'SSC CGL' }],
+            OTHERS_ED: [{ exam_id: 'ssc-cgl', exam_name: 'Copy' }]
+        });
+        
+        expect(index.get('ssc-cgl')).toMatchObject({ category: 'SSC_ED', exam_name: 'SSC CGL' });
+        expect(consoleError).toHaveBeenCalledWith(expect.stringContaining('Duplicate exam_id "ssc-cgl"'));
+        consoleError.mockRestore();
+    });
+});
+
+describe('loadExamData', () => {
+    it('resolves linked_json_file to an exact file through the catalogue', () => {
+        expect(getExamDataLoader('DEFENCE_ED/cds.json')).toBeTypeOf('function');
+        expect(getExamDataLoader('./DEFENCE_ED/cds.json')).toBe(getExamDataLoader('DEFENCE_ED/cds.json'));
+        expect(getExamDataLoader('cds.json')).toBeNull();
+    });
+    
+    it('loads an exam on demand and shares concurrent requests', async () => {
+        const [first, second] = await Promise.all([
+            loadExamData('DEFENCE_ED/cds.json'),
+            loadExamData('DEFENCE_ED/cds.json')
+        ]);
+        
+        expect(first).toEqual(cdsData);
+        expect(second).toBe(first);
+        expect(isExamDataLoaded('DEFENCE_ED/cds.json')).toBe(true);
+    });
+    
+    it('does not fall back to a partial path match', async () => {
+        const consoleError = vi.spyOn(console, 'error').mockImplementation(() => {});
+        
+        expect(await loadExamData('cds.json')).toBeNull();
+        expect(await loadExamData('ED/cds.json')).toBeNull();
+        
+        consoleError.mockRestore();
+    });
+});
+
+describe('prefetching', () => {
+    it('suggests exams from the same category first, skipping loaded ones', async () => {
+        await loadExamData('DEFENCE_ED/cds.json');
+        const candidates = getPrefetchCandidates('DEFENCE_ED/nda.json', 10);
+        
+        expect(candidates).not.toContain('DEFENCE_ED/cds.json');
+        expect(candidates).not.toContain('DEFENCE_ED/nda.json');
+        expect(candidates.indexOf('DEFENCE_ED/armynccentry.json')).toBeLessThan(candidates.indexOf('UG_ED/neet.json'));
+    });
+    
+    it('loads prefetched exams into the cache in the background', async () => {
+        prefetchExamData(['UG_ED/neet.json']);
+        
+        await vi.waitFor(() => expect(isExamDataLoaded('UG_ED/neet.json')).toBe(true));
+        expect(await loadExamData('UG_ED/neet.json')).toEqual(neetData);
+    });
+});
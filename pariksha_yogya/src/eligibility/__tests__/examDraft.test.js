@@ -0,0 +1,92 @@
+/**
+ * Exam authoring drafts
+ *
+ * New exams from the templates, division editing that keeps the division
+ * list in sync, and the field kinds and validation the admin editor uses.
+ */
+
+import { describe, it, expect, beforeAll } from 'vitest';
+
+import cdsData from '../../../examsdata/DEFENCE_ED/cds.json';
+
+import {
+    DIVISIONS_FIELD,
+    FIELD_KIND,
+    addDivision,
+    createExamDraft,
+    getBlockPath,
+    getFieldPath,
+    getDivisionNames,
+    getFieldKind,
+    getIssuesAt,
+    loadExamAuthoring,
+    removeDivision,
+    renameDivision,
+    setDraftField,
+    splitEnumValue,
+    validateExamDraft
+} from '../examDraft.js';
+
+let templates;
+let schema;
+
+beforeAll(async () => {
+    ({ templates, schema } = await loadExamAuthoring());
+});
+
+describe('createExamDraft', () => {
+    it('starts from the template without placeholder sessions', () => {
+        const draft = createExamDraft(templates, { withDivisions: false, examName: 'Test Exam', examCode: 'TE' });
+        
+        expect(draft.exam_name).toBe('Test Exam');
+        expect(draft.minimum_dob).toEqual({});
+        expect(draft.academies).toBeUndefined();
+        expect(validateExamDraft(draft, schema).errorCount).toBe(0);
+    });
+});
+
+describe('divisions', () => {
+    it('keeps the division list in sync when adding, renaming and removing', () => {
+        let draft = createExamDraft(templates, { withDivisions: true });
+        expect(validateExamDraft(draft, schema).errorCount).toBe(1);
+        
+        draft = addDivision(draft, templates, '  Indian  Military Academy ');
+        draft = addDivision(draft, templates, 'OTA (Men)');
+        expect(draft[DIVISIONS_FIELD]).toBe('Indian Military Academy, OTA (Men)');
+        expect(draft.academies['Indian Military Academy'].between_dob).toEqual({});
+        
+        draft = renameDivision(draft, 'Indian Military Academy', 'IMA');
+        expect(getDivisionNames(draft)).toEqual(['IMA', 'OTA (Men)']);
+        expect(validateExamDraft(draft, schema).errorCount).toBe(0);
+        
+        draft = removeDivision(draft, 'IMA');
+        expect(draft[DIVISIONS_FIELD]).toBe('OTA (Men)');
+    });
+    
+    it('rejects empty, duplicate and comma-separated names', () => {
+        const draft = addDivision(createExamDraft(templates, { withDivisions: true }), templates, 'IMA');
+        
+        expect(() => addDivision(draft, templates, ' ')).toThrow(/enter a division name/);
+        expect(() => addDivision(draft, templates, 'IMA')).toThrow(/already a division/);
+        expect(() => addDivision(draft, templates, 'OTA (Men, Women)')).toThrow(/commas/);
+        expect(renameDivision(draft, 'IMA', 'IMA')[DIVISIONS_FIELD]).toBe('IMA');
+    });
+});
+
+describe('fields and validation', () => {
+    it('picks an editor per field and reports issues where they are', () => {
+        expect(getFieldKind(schema, 'gender', 'MALE')).toBe(FIELD_KIND.ENUM);
+        expect(getFieldKind(schema, 'between_dob', {})).toBe(FIELD_KIND.SESSION);
+        expect(getFieldKind(schema, 'marital_status', {})).toBe(FIELD_KIND.JSON);
+        expect(getFieldKind(schema, 'exam_pattern', '')).toBe(FIELD_KIND.TEXT);
+        expect(splitEnumValue('INTERNATIONAL (OLYMPICS, ASIAN GAMES), STATE LEVEL')).toHaveLength(2);
+        
+        const division = getDivisionNames(cdsData)[0];
+        const draft = setDraftField(cdsData, division, 'gender', 'SOMETIMES');
+        const { issues } = validateExamDraft(draft, schema);
+        
+        expect(cdsData.academies[division].gender).not.toBe('SOMETIMES');
+        expect(getIssuesAt(issues, getFieldPath(division, 'gender'))).toHaveLength(1);
+        expect(getIssuesAt(issues, getBlockPath(division)).length).toBeGreaterThanOrEqual(1);
+    });
+});
@@ -0,0 +1,66 @@
+/**
+ * Exam identifiers
+ *
+ * ID generation, migration of the index and duplicate detection.
+ */
+
+import { describe, it, expect } from 'vitest';
+
+import allExamNames from '../../../examsdata/allexamnames.json';
+
+import { slugify, createExamId, assignExamIds, findExamIdProblems } from '../examIds.js';
+
+describe('createExamId', () => {
+    it('slugs the exam name', () => {
+        expect(slugify('SSC CGL')).toBe('ssc-cgl');
+        expect(slugify('  Army NCC (Special) Entry ')).toBe('army-ncc-special-entry');
+    });
+    
+    it('adds the category, then a counter, when the ID is taken', () => {
+        const takenIds = new Set(['delhi-police-constable']);
+        
+        expect(createExamId('Delhi Police Constable', 'POLICE_ED', takenIds)).toBe('delhi-police-constable-police');
+        expect(createExamId('Delhi Police Constable', 'POLICE_ED', takenIds)).toBe('delhi-police-constable-police-2');
+    });
+});
+
+describe('assignExamIds', () => {
+    it('keeps existing IDs and only fills in missing ones', () => {
+        const { examNames, added } = assignExamIds({
+            SSC_ED: [
+                { exam_name: 'SSC CGL', exam_code: 'SC' },
+                { exam_id: 'ssc-chsl', exam_name: 'SSC CHSL (renamed)', exam_code: 'SC' },
+                { exam_name: 'SSC CHSL', exam_code: 'SC' }
+            ]
+        });
+        
+        expect(examNames.SSC_ED.map(exam => exam.exam_id)).toEqual(['ssc-cgl', 'ssc-chsl', 'ssc-chsl-ssc']);
+        expect(added).toHaveLength(2);
+    });
+    
+    it('is already applied to allexamnames.json', () => {
+        expect(assignExamIds(allExamNames).added).toEqual([]);
+        expect(findExamIdProblems(allExamNames)).toEqual({ missing: [], duplicates: [] });
+    });
+});
+
+describe('findExamIdProblems', () => {
+    it('reports missing and duplicate IDs', () => {
+        const problems = findExamIdProblems({
+            SSC_ED: [
+                { exam_id: 'ssc-cgl', exam_name: 'SSC CGL' },
+                { exam_name: 'SSC CHSL' }
+            ],
+            OTHERS_ED: [{ exam_id: 'ssc-cgl', exam_name: 'SSC CGL' }]
+        });
+        
+        expect(problems.missing).toEqual([{ category: 'SSC_ED', exam_name: 'SSC CHSL' }]);
+        expect(problems.duplicates).toEqual([{
+            exam_id: 'ssc-cgl',
+            exams: [
+                { category: 'SSC_ED', exam_name: 'SSC CGL' },
+                { category: 'OTHERS_ED', exam_name: 'SSC CGL' }
+            ]
+        }]);
+    });
+});
@@ -0,0 +1,154 @@
+/**
+ * Exam JSON validator
+ *
+ * The schema `npm run lint:exams` and the admin editor's save both check
+ * exams with: enum values, between_dob dates, session keys and the division
+ * list against academies.
+ */
+
+import { describe, it, expect } from 'vitest';
+
+import divisionTemplate from '../../../other files/division_funcnility.json';
+import nonDivisionTemplate from '../../../other files/non_division_funcnility.json';
+import eligibilityFields from '../../../other files/eligibilityfields.json';
+import possibleFields from '../../../other files/possiblefields.json';
+import armyNccEntryData from '../../../examsdata/DEFENCE_ED/armynccentry.json';
+import cdsData from '../../../examsdata/DEFENCE_ED/cds.json';
+import ndaData from '../../../examsdata/DEFENCE_ED/nda.json';
+import neetData from '../../../examsdata/UG_ED/neet.json';
+
+import { SEVERITY, buildExamSchema, parseSchemaDate, validateExamData } from '../examSchema.js';
+
+const schema = buildExamSchema({ divisionTemplate, nonDivisionTemplate, eligibilityFields, possibleFields });
+
+const NDA_ARMY = 'NDA (ARMY)';
+
+/**
+ * Copy of an exam, so tests can change it
+ * @param {Object} examData
+ * @returns {Object}
+ */
+const copyExam = (examData) => JSON.parse(JSON.stringify(examData));
+
+/**
+ * Error messages from validating an exam
+ * @param {Object} examData
+ * @returns {string[]}
+ */
+const errorsOf = (examData) => validateExamData(examData, schema)
+    .filter(issue => issue.severity === SEVERITY.ERROR)
+    .map(issue => `${issue.path}: ${issue.message}`);
+
+/**
+ * Warning messages from validating an exam
+ * @param {Object} examData
+ * @returns {string[]}
+ */
+const warningsOf = (examData) => validateExamData(examData, schema)
+    .filter(issue => issue.severity === SEVERITY.WARNING)
+    .map(issue => `${issue.path}: ${issue.message}`);
+
+describe('exam files', () => {
+    it.each([
+        ['armynccentry', armyNccEntryData],
+        ['cds', cdsData],
+        ['nda', ndaData],
+        ['neet', neetData]
+    ])('%s has no errors', (name, examData) => {
+        expect(errorsOf(examData)).toEqual([]);
+    });
+});
+
+describe('enum values', () => {
+    it('accepts PIO, OCI and INDIAN for nationality', () => {
+        const exam = copyExam(neetData);
+        exam.nationality = 'INDIAN, OCI (OVERSEAS CITIZEN OF INDIA), PERSON OF INDIAN ORIGIN (PIO)';
+        expect(errorsOf(exam)).toEqual([]);
+    });
+    
+    it('ignores case and spacing', () => {
+        const exam = copyExam(neetData);
+        exam.gender = 'male,  Female';
+        expect(errorsOf(exam)).toEqual([]);
+    });
+    
+    it('names only the unknown values of a list', () => {
+        const exam = copyExam(neetData);
+        exam.gender = 'MALE, ROBOT';
+        expect(errorsOf(exam)).toEqual(['$.gender: Value "ROBOT" is not allowed for gender']);
+    });
+    
+    it('checks the keys and values of keyed enum fields', () => {
+        const exam = copyExam(neetData);
+        exam.marital_status = { MALE: 'UNMARRIED', ROBOT: 'MARRIED' };
+        expect(errorsOf(exam)).toEqual(['$.marital_status.ROBOT: Value "ROBOT" is not allowed for gender']);
+    });
+});
+
+describe('dates', () => {
+    it('rejects impossible dates', () => {
+        expect(parseSchemaDate('29-02-2024')).not.toBeNull();
+        expect(parseSchemaDate('29-02-2023')).toBeNull();
+        expect(parseSchemaDate('2024-02-01')).toBeNull();
+    });
+    
+    it('checks between_dob format, dates and order', () => {
+        const exam = copyExam(ndaData);
+        const division = exam.academies[NDA_ARMY];
+        division.between_dob = {
+            '2026-I': '02-01-2006 - 01-01-2009',
+            '2026-II': '31-06-2006 to 01-07-2009',
+            '2027-I': '01-01-2010 to 02-01-2007'
+        };
+        expect(errorsOf(exam)).toEqual([
+            '$.academies["NDA (ARMY)"].between_dob["2026-I"]: between_dob must be "DD-MM-YYYY to DD-MM-YYYY", got "02-01-2006 - 01-01-2009"',
+            '$.academies["NDA (ARMY)"].between_dob["2026-II"]: Invalid date "31-06-2006" in between_dob (expected DD-MM-YYYY)',
+            '$.academies["NDA (ARMY)"].between_dob["2027-I"]: between_dob start 01-01-2010 is after end 02-01-2007'
+        ]);
+    });
+    
+    it('needs the field the age_criteria_type names', () => {
+        const exam = copyExam(neetData);
+        exam.minimum_dob = '';
+        expect(errorsOf(exam)).toEqual([
+            '$.age_criteria_type: age_criteria_type is MAX_AGE but ending_age / minimum_dob / maximum_dob is empty'
+        ]);
+    });
+});
+
+describe('session keys', () => {
+    it('rejects the template placeholder and malformed keys', () => {
+        const exam = copyExam(neetData);
+        exam.minimum_dob = { 'EXAM-SESSION': '31-12-2009', '2026-V': '31-12-2009' };
+        expect(errorsOf(exam)).toEqual([
+            '$.minimum_dob["EXAM-SESSION"]: Template placeholder session key "EXAM-SESSION" was not replaced',
+            '$.minimum_dob["2026-V"]: Invalid session key "2026-V" (expected YYYY or YYYY-I / YYYY-II)'
+        ]);
+    });
+    
+    it('warns when divisions use different sessions', () => {
+        const exam = copyExam(ndaData);
+        exam.academies['NA (NAVAL ACADEMY)'].between_dob = { 2026: '02-01-2006 to 01-01-2009' };
+        expect(errorsOf(exam)).toEqual([]);
+        expect(warningsOf(exam)).toContainEqual(expect.stringMatching(/^\$\.academies\["NA \(NAVAL ACADEMY\)"\]: Exam sessions differ from division "NDA \(ARMY\)"/));
+    });
+});
+
+describe('divisions', () => {
+    it('needs every listed division in academies and the other way round', () => {
+        const exam = copyExam(ndaData);
+        exam.posts_classes_courses_departments_academies = 'NDA (ARMY), NDA (NAVY), NDA (AIR FORCE), NA';
+        expect(errorsOf(exam)).toEqual([
+            '$.posts_classes_courses_departments_academies: Division "NA" has no entry in academies',
+            '$.academies["NA (NAVAL ACADEMY)"]: Division "NA (NAVAL ACADEMY)" is not listed in posts_classes_courses_departments_academies'
+        ]);
+    });
+    
+    it('needs academies when the exam lists divisions', () => {
+        const exam = copyExam(neetData);
+        exam.posts_classes_courses_departments_academies = 'MBBS, BDS';
+        expect(errorsOf(exam)).toEqual([
+            '$.posts_classes_courses_departments_academies: Lists divisions (MBBS, BDS) but the exam has no "academies"'
+        ]);
+    });
+});
@@ -0,0 +1,100 @@
+/**
+ * Exam search
+ *
+ * The search index of the shared catalogue (packages/exam-catalogue/search.js):
+ * names, codes and spelled-out abbreviations, typos, Hindi in Latin and
+ * Devanagari letters, details of linked exams and facet filters.
+ */
+
+import { describe, it, expect } from 'vitest';
+
+import cdsData from '../../../examsdata/DEFENCE_ED/cds.json';
+
+import {
+    getCatalogue,
+    getBasicExamSearchIndex,
+    loadExamSearchIndex,
+    createExamSearchIndex,
+    searchExams,
+    getFacetCounts,
+    transliterateDevanagari
+} from '@pariksha/exam-catalogue';
+
+const findIds = (index, query, filters) => searchExams(index, query, filters).map(result => result.exam.examId);
+
+describe('exam search', () => {
+    const index = getBasicExamSearchIndex();
+    
+    it('finds names and whole exam codes, best match first', () => {
+        expect(findIds(index, 'cds')[0]).toBe('cds');
+        expect(findIds(index, 'SC')).toEqual(expect.arrayContaining(['ssc-cgl', 'ssc-chsl', 'ssc-cpo']));
+        expect(findIds(index, 'ssc cgl')).toEqual(['ssc-cgl']);
+    });
+    
+    it('lists every exam for an empty query and nothing for an unknown word', () => {
+        expect(searchExams(index, '   ')).toHaveLength(index.documents.length);
+        expect(findIds(index, 'zzzzqx')).toEqual([]);
+    });
+    
+    it('matches word starts and typos, but not every exam', () => {
+        const rail = findIds(index, 'rail');
+        expect(rail).toEqual(expect.arrayContaining(['railway-tte']));
+        expect(rail.length).toBeLessThan(100);
+        
+        const police = findIds(index, 'polce');
+        expect(police).toContain('delhi-police-constable');
+        expect(police.length).toBeLessThan(index.documents.length / 2);
+        expect(findIds(index, 'railwy')).toContain('railway-tte');
+    });
+    
+    it('matches short codes exactly, not one letter off', () => {
+        const upsc = searchExams(index, 'upsc');
+        expect(upsc.length).toBeGreaterThan(0);
+        upsc.forEach(result => expect(result.exam.examName).toMatch(/UPSC/));
+        
+        expect(findIds(index, 'ctet')).toEqual(['ctet']);
+        expect(findIds(index, 'neet')).toEqual(['neet']);
+    });
+    
+    it('understands Hindi typed in Latin or Devanagari letters', () => {
+        expect(findIds(index, 'rel')).toContain('railway-tte');
+        expect(findIds(index, 'रेलवे')).toEqual(findIds(index, 'relve'));
+        expect(findIds(index, 'sena')).toContain('indian-army-agniveer');
+        expect(findIds(index, 'nausena')).toContain('indian-navy-agniveer');
+    });
+    
+    it('matches Hindi meanings as spelled, without typos', () => {
+        expect(findIds(index, 'shikshak')).toEqual(findIds(index, 'teacher'));
+        expect(findIds(index, 'shikshak')).not.toContain('gate');
+    });
+    
+    it('transliterates Devanagari', () => {
+        expect(transliterateDevanagari('रेल')).toBe('rel');
+        expect(transliterateDevanagari('सेना')).toBe('sena');
+        expect(transliterateDevanagari('पुलिस भर्ती')).toBe('pulis bharti');
+        expect(transliterateDevanagari('SSC')).toBe('SSC');
+    });
+});
+
+describe('exam search details and facets', () => {
+    it('indexes full forms and posts of linked exams', async () => {
+        const index = await loadExamSearchIndex();
+        
+        // CDS lists its academies as "IMA, INA, AFA, OTA"
+        expect(findIds(index, 'ima ota')).toEqual(['cds']);
+        expect(findIds(getBasicExamSearchIndex(), 'ima ota')).toEqual([]);
+        expect(findIds(index, 'combined defence')[0]).toBe('cds');
+    });
+    
+    it('filters by facet and counts facet values', () => {
+        const index = createExamSearchIndex(getCatalogue(), { cds: cdsData });
+        // Set per academy in the CDS file
+        const mode = 'OFFLINE (PEN AND PAPER)';
+        
+        expect(findIds(index, '', { mode_of_exam: mode })).toEqual(['cds']);
+        expect(findIds(index, 'ssc', { mode_of_exam: mode })).toEqual([]);
+        expect(getFacetCounts(index, '').mode_of_exam).toEqual([{ value: mode, count: 1 }]);
+        expect(getFacetCounts(index, 'ssc').mode_of_exam).toEqual([]);
+        expect(getFacetCounts(index, '', { mode_of_exam: mode }).exam_level).toEqual([{ value: cdsData.exam_level, count: 1 }]);
+    });
+});
@@ -0,0 +1,132 @@
+/**
+ * "Why not eligible" explanations
+ *
+ * Hints for failed checks, relaxation passes and the nearest passing
+ * session/division, built from the golden profiles.
+ */
+
+import { describe, it, expect } from 'vitest';
+
+import ndaData from '../../../examsdata/DEFENCE_ED/nda.json';
+import neetData from '../../../examsdata/UG_ED/neet.json';
+
+import { checkExamBasisEligibility, prepareUserInput, getDivisionOptions } from '../exambasis.js';
+import { addExplanations, projectSessionData } from '../explanations.js';
+import { GOLDEN_PROFILES } from './fixtures/profiles.js';
+
+const getProfile = (id) => GOLDEN_PROFILES.find(profile => profile.id === id);
+
+/**
+ * Run Exam Basis mode with explanations for a profile
+ * @param {Object} profile - Golden profile (optionally with overrides applied)
+ * @param {Object} examData
+ * @returns {Array}
+ */
+const explain = (profile, examData) => {
+    const userInput = prepareUserInput(profile.formData, profile.educationTableData);
+    const divisions = getDivisionOptions(examData).map(d => d.value);
+    const results = checkExamBasisEligibility(userInput, examData, divisions.length > 0, divisions, 'TEST');
+    return addExplanations(results, userInput, examData);
+};
+
+const withDob = (profile, dateOfBirth) => ({
+    ...profile,
+    formData: { ...profile.formData, date_of_birth: dateOfBirth }
+});
+
+// NDA aspirant who already has 12th marks, so only age decides
+const ndaAspirant = getProfile('nda-aspirant-pcm');
+const ndaAspirantWithMarks = {
+    ...ndaAspirant,
+    educationTableData: {
+        ...ndaAspirant.educationTableData,
+        '(12TH)HIGHER SECONDARY': { ...ndaAspirant.educationTableData['(12TH)HIGHER SECONDARY'], marks: '75' }
+    }
+};
+
+describe('failure hints', () => {
+    it('says how many more marks are needed', () => {
+        const [result] = explain(getProfile('pwd-obc-medical-aspirant'), neetData);
+        const marks = result.explanation.failures.find(f => f.field === 'marks_percentage_12th_higher_secondary');
+        
+        expect(marks.hint).toBe('Needs 1% more in (12th) Higher Secondary');
+    });
+    
+    it('lists accepted values for a mismatch', () => {
+        const results = explain(getProfile('overage-married-nepal-citizen'), neetData);
+        const nationality = results[0].explanation.failures.find(f => f.field === 'nationality');
+        
+        expect(nationality.explanation).toContain('CITIZEN OF NEPAL');
+        expect(nationality.hint).toMatch(/^Accepted: /);
+    });
+});
+
+describe('nearest passing session', () => {
+    it('points a too-young candidate to the first listed session they pass', () => {
+        const results = explain(withDob(ndaAspirantWithMarks, '2011-03-01'), ndaData);
+        const first = results.find(r => r.division === 'NDA (ARMY)' && r.sessionKey === '2026-I');
+        const dob = first.explanation.failures.find(f => f.field === 'Date of Birth');
+        
+        expect(first.explanation.nearestSession).toEqual({ session: '2028-II', label: '2028 II', projected: false });
+        expect(dob.hint).toBe('You become eligible for the 2028-II session');
+    });
+    
+    it('projects past the last listed session when needed', () => {
+        const results = explain(withDob(ndaAspirantWithMarks, '2014-01-15'), ndaData);
+        const last = results.find(r => r.division === 'NDA (ARMY)' && r.sessionKey === '2030-II');
+        
+        expect(last.explanation.nearestSession).toEqual({ session: '2031-II', label: '2031 II', projected: true });
+    });
+    
+    it('suggests other divisions the candidate passes', () => {
+        const artsAspirant = {
+            ...ndaAspirantWithMarks,
+            educationTableData: {
+                ...ndaAspirantWithMarks.educationTableData,
+                '(12TH)HIGHER SECONDARY': {
+                    ...ndaAspirantWithMarks.educationTableData['(12TH)HIGHER SECONDARY'],
+                    course: 'Arts',
+                    subject: 'History, Political Science, Geography'
+                }
+            }
+        };
+        const results = explain(artsAspirant, ndaData);
+        const navy = results.find(r => r.division === 'NDA (NAVY)' && r.sessionKey === '2026-I');
+        
+        expect(navy.eligible).toBe(false);
+        expect(navy.explanation.alternativeDivisions).toContainEqual({ division: 'NDA (ARMY)', session: '2026-I', label: '2026 I' });
+    });
+    
+    it('shifts DOB dates when projecting a session', () => {
+        const projected = projectSessionData(
+            { between_dob: { '2030-II': '02-07-2010 to 29-02-2012' } },
+            '2030-II',
+            '2031-II',
+            1
+        );
+        
+        expect(projected.between_dob['2031-II']).toBe('02-07-2011 to 28-02-2013');
+    });
+});
+
+describe('relaxation', () => {
+    it('flags checks passed only through the category cut-off', () => {
+        const profile = getProfile('medical-aspirant-pcb-female');
+        const relaxed = {
+            ...profile,
+            educationTableData: {
+                ...profile.educationTableData,
+                '(12TH)HIGHER SECONDARY': { ...profile.educationTableData['(12TH)HIGHER SECONDARY'], marks: '45' }
+            }
+        };
+        const [result] = explain(relaxed, neetData);
+        
+        expect(result.eligible).toBe(true);
+        expect(result.explanation.relaxations).toEqual([
+            expect.objectContaining({
+                field: 'marks_percentage_12th_higher_secondary',
+                explanation: 'Eligible under OBC relaxation'
+            })
+        ]);
+    });
+});
@@ -0,0 +1,311 @@
+/**
+ * Golden candidate profiles for the checker regression suite
+ *
+ * Each profile is in the same shape the Check Eligibility page produces:
+ * - formData: the form fields (date_of_birth as YYYY-MM-DD, like the date input)
+ * - educationTableData: the education table, keyed by UI level name
+ *
+ * Profiles are chosen to exercise the string-matching edge cases of
+ * checkFullEligibility (NCC wing substring matching, "NOT APPLICABLE" PwD rule,
+ * gender-keyed height, category-wise marks, stream restrictions, ...).
+ * Add a profile here and run `npm run test:update` to record its snapshot.
+ */
+
+// Empty form, as initialised on the Check Eligibility page
+const EMPTY_FORM = {
+    date_of_birth: '',
+    gender: '',
+    marital_status: '',
+    nationality: '',
+    caste_category: '',
+    pwd_status: '',
+    domicile: '',
+    highest_education_qualification: '',
+    ncc_wing: '',
+    ncc_certificate: '',
+    ncc_certificate_grade: '',
+    sports_quota_eligibility: '',
+    cpl_holder: '',
+    height_cm: '',
+    weight_kg: '',
+    vision_eyesight: '',
+    language_proficiency: [],
+    driving_license_type: '',
+    current_employment_status: '',
+    work_experience_years: '',
+    ex_servicemen_status: '',
+    gap_years_allowed: '',
+    active_backlogs_allowed: '',
+    attempts_used: ''
+};
+
+const TENTH_PASSED = {
+    '(10TH)SECONDARY': {
+        course: '(10TH) SECONDARY',
+        subject: 'Science, Mathematics, Social Science, Languages',
+        marks: '82',
+        completionStatus: 'PASSED',
+        completedYear: '2022'
+    }
+};
+
+export const GOLDEN_PROFILES = [
+    {
+        id: 'nda-aspirant-pcm',
+        description: 'Unmarried male, 12th Science (PCM) appearing',
+        formData: {
+            ...EMPTY_FORM,
+            date_of_birth: '2008-05-15',
+            gender: 'MALE',
+            marital_status: 'UNMARRIED',
+            nationality: 'INDIAN',
+            caste_category: 'GEN',
+            pwd_status: 'NO',
+            domicile: 'DELHI',
+            highest_education_qualification: '(12TH)HIGHER SECONDARY',
+            height_cm: '172',
+            weight_kg: '60'
+        },
+        educationTableData: {
+            ...TENTH_PASSED,
+            '(12TH)HIGHER SECONDARY': {
+                course: 'Science',
+                subject: 'Physics, Chemistry, Mathematics (PCM)',
+                marks: '',
+                completionStatus: 'APPEARING',
+                completedYear: ''
+            }
+        }
+    },
+    {
+        id: 'medical-aspirant-pcb-female',
+        description: 'Unmarried female, 12th Science (PCB) passed, OBC',
+        formData: {
+            ...EMPTY_FORM,
+            date_of_birth: '2007-11-02',
+            gender: 'FEMALE',
+            marital_status: 'UNMARRIED',
+            nationality: 'INDIAN',
+            caste_category: 'OBC',
+            pwd_status: 'NO',
+            domicile: 'BIHAR',
+            highest_education_qualification: '(12TH)HIGHER SECONDARY',
+            attempts_used: '1'
+        },
+        educationTableData: {
+            ...TENTH_PASSED,
+            '(12TH)HIGHER SECONDARY': {
+                course: 'Science',
+                subject: 'Physics, Chemistry, Biology (PCB)',
+                marks: '78',
+                completionStatus: 'PASSED',
+                completedYear: '2025'
+            }
+        }
+    },
+    {
+        id: 'pwd-obc-medical-aspirant',
+        description: 'PwD OBC male, 12th PCB with 44% (below the 45% PwD cut-off)',
+        formData: {
+            ...EMPTY_FORM,
+            date_of_birth: '2006-02-20',
+            gender: 'MALE',
+            marital_status: 'UNMARRIED',
+            nationality: 'INDIAN',
+            caste_category: 'OBC',
+            pwd_status: 'YES',
+            domicile: 'UTTAR PRADESH',
+            highest_education_qualification: '(12TH)HIGHER SECONDARY'
+        },
+        educationTableData: {
+            ...TENTH_PASSED,
+            '(12TH)HIGHER SECONDARY': {
+                course: 'Science',
+                subject: 'Physics, Chemistry, Biology (PCB)',
+                marks: '44',
+                completionStatus: 'PASSED',
+                completedYear: '2024'
+            }
+        }
+    },
+    {
+        id: 'cds-graduate-btech',
+        description: 'Unmarried male BTech graduate with 12th PCM',
+        formData: {
+            ...EMPTY_FORM,
+            date_of_birth: '2004-03-10',
+            gender: 'MALE',
+            marital_status: 'UNMARRIED',
+            nationality: 'INDIAN',
+            caste_category: 'GEN',
+            pwd_status: 'NO',
+            domicile: 'KARNATAKA',
+            highest_education_qualification: 'GRADUATION',
+            cpl_holder: 'NO',
+            language_proficiency: ['ENGLISH', 'HINDI']
+        },
+        educationTableData: {
+            ...TENTH_PASSED,
+            '(12TH)HIGHER SECONDARY': {
+                course: 'Science',
+                subject: 'Physics, Chemistry, Mathematics (PCM)',
+                marks: '88',
+                completionStatus: 'PASSED',
+                completedYear: '2021'
+            },
+            GRADUATION: {
+                course: 'BTech',
+                subject: 'Computer Science & Engineering',
+                marks: '72',
+                completionStatus: 'PASSED',
+                completedYear: '2025'
+            }
+        }
+    },
+    {
+        id: 'cds-ota-divorcee-woman',
+        description: 'Divorcee woman, BA English graduate with 12th Arts',
+        formData: {
+            ...EMPTY_FORM,
+            date_of_birth: '2002-08-20',
+            gender: 'FEMALE',
+            marital_status: 'DIVORCEE',
+            nationality: 'INDIAN',
+            caste_category: 'SC',
+            pwd_status: 'NO',
+            domicile: 'KERALA',
+            highest_education_qualification: 'GRADUATION'
+        },
+        educationTableData: {
+            ...TENTH_PASSED,
+            '(12TH)HIGHER SECONDARY': {
+                course: 'Arts',
+                subject: 'History, Political Science, Geography',
+                marks: '70',
+                completionStatus: 'PASSED',
+                completedYear: '2020'
+            },
+            GRADUATION: {
+                course: 'BA',
+                subject: 'English',
+                marks: '61',
+                completionStatus: 'PASSED',
+                completedYear: '2023'
+            }
+        }
+    },
+    {
+        id: 'ncc-army-c-certificate',
+        description: 'Male BA graduate, NCC Army wing, C certificate with B grade',
+        formData: {
+            ...EMPTY_FORM,
+            date_of_birth: '2003-01-15',
+            gender: 'MALE',
+            marital_status: 'UNMARRIED',
+            nationality: 'INDIAN',
+            caste_category: 'EWS',
+            pwd_status: 'NO',
+            domicile: 'PUNJAB',
+            highest_education_qualification: 'GRADUATION',
+            ncc_wing: 'ARMY',
+            ncc_certificate: 'C CERTIFICATE',
+            ncc_certificate_grade: 'B',
+            height_cm: '170',
+            weight_kg: '65',
+            language_proficiency: ['ENGLISH', 'HINDI']
+        },
+        educationTableData: {
+            ...TENTH_PASSED,
+            '(12TH)HIGHER SECONDARY': {
+                course: 'Arts',
+                subject: 'History, Economics, Public Administration',
+                marks: '64',
+                completionStatus: 'PASSED',
+                completedYear: '2021'
+            },
+            GRADUATION: {
+                course: 'BA',
+                subject: 'History',
+                marks: '58',
+                completionStatus: 'PASSED',
+                completedYear: '2024'
+            }
+        }
+    },
+    {
+        id: 'ncc-wing-mismatch-short-female',
+        description: 'Female graduate, NCC Navy wing (Army required), height 150 cm (152 cm required)',
+        formData: {
+            ...EMPTY_FORM,
+            date_of_birth: '2003-06-30',
+            gender: 'FEMALE',
+            marital_status: 'UNMARRIED',
+            nationality: 'INDIAN',
+            caste_category: 'ST',
+            pwd_status: 'NO',
+            domicile: 'ASSAM',
+            highest_education_qualification: 'GRADUATION',
+            ncc_wing: 'NAVY',
+            ncc_certificate: 'A',
+            ncc_certificate_grade: 'A',
+            height_cm: '150'
+        },
+        educationTableData: {
+            ...TENTH_PASSED,
+            '(12TH)HIGHER SECONDARY': {
+                course: 'Commerce',
+                subject: 'Accountancy, Business Studies, Economics',
+                marks: '66',
+                completionStatus: 'PASSED',
+                completedYear: '2021'
+            },
+            GRADUATION: {
+                course: 'BCom',
+                subject: 'Accounting',
+                marks: '49',
+                completionStatus: 'PASSED',
+                completedYear: '2024'
+            }
+        }
+    },
+    {
+        id: 'overage-married-nepal-citizen',
+        description: 'Married male citizen of Nepal, born 1995, BSc graduate',
+        formData: {
+            ...EMPTY_FORM,
+            date_of_birth: '1995-04-01',
+            gender: 'MALE',
+            marital_status: 'MARRIED',
+            nationality: 'CITIZEN OF NEPAL',
+            caste_category: 'GEN',
+            pwd_status: 'NO',
+            domicile: 'SIKKIM',
+            highest_education_qualification: 'GRADUATION'
+        },
+        educationTableData: {
+            ...TENTH_PASSED,
+            '(12TH)HIGHER SECONDARY': {
+                course: 'Science',
+                subject: 'Physics, Chemistry, Mathematics, Biology (PCMB)',
+                marks: '71',
+                completionStatus: 'PASSED',
+                completedYear: '2013'
+            },
+            GRADUATION: {
+                course: 'BSc',
+                subject: 'Physics',
+                marks: '65',
+                completionStatus: 'PASSED',
+                completedYear: '2016'
+            }
+        }
+    },
+    {
+        id: 'empty-profile',
+        description: 'Nothing filled in',
+        formData: { ...EMPTY_FORM },
+        educationTableData: {}
+    }
+];
+
+export default GOLDEN_PROFILES;
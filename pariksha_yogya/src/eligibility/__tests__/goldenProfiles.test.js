@@ -0,0 +1,97 @@
+/**
+ * Golden-profile regression suite for checkFullEligibility
+ *
+ * Runs every fixture profile (./fixtures/profiles.js) against every division
+ * of the exam files below and snapshots the verdict of each field.
+ * Any change to a checker or a data file shows up as a snapshot diff listing
+ * exactly which verdicts changed.
+ *
+ *   npm test             → compare against the stored snapshots
+ *   npm run test:update  → accept the new verdicts (review the diff first!)
+ */
+
+import { describe, it, expect, beforeAll, afterAll, vi } from 'vitest';
+
+import cdsData from '../../../examsdata/DEFENCE_ED/cds.json';
+import ndaData from '../../../examsdata/DEFENCE_ED/nda.json';
+import armyNccEntryData from '../../../examsdata/DEFENCE_ED/armynccentry.json';
+import neetData from '../../../examsdata/UG_ED/neet.json';
+
+import { checkFullEligibility } from '../checker/index.js';
+import { prepareUserInput } from '../exambasis.js';
+import { GOLDEN_PROFILES } from './fixtures/profiles.js';
+
+// Fixed session per exam so snapshots don't depend on the current year
+const GOLDEN_EXAMS = [
+    { name: 'cds', data: cdsData, session: '2026-I' },
+    { name: 'nda', data: ndaData, session: '2026-I' },
+    { name: 'armynccentry', data: armyNccEntryData, session: '2026-I' },
+    { name: 'neet', data: neetData, session: '2026' }
+];
+
+// "Today" for age calculations that fall back to the current date
+const FROZEN_DATE = new Date('2026-01-01T00:00:00Z');
+
+/**
+ * Divisions of an exam, keyed by name ("-" for exams without divisions)
+ * Uses the academies keys directly so a division missing from
+ * posts_classes_courses_departments_academies is still covered
+ * @param {Object} examData
+ * @returns {Array<[string, Object]>}
+ */
+const getDivisions = (examData) => {
+    if (examData.academies && typeof examData.academies === 'object') {
+        return Object.entries(examData.academies);
+    }
+    return [['-', examData]];
+};
+
+/**
+ * Reduce a checkFullEligibility result to one line per field verdict
+ * @param {{eligible: boolean, results: Array}} result
+ * @returns {{eligible: boolean, verdicts: string[]}}
+ */
+const toVerdicts = (result) => ({
+    eligible: result.eligible,
+    verdicts: result.results.map(check =>
+        `${check.eligible ? 'PASS' : 'FAIL'} | ${check.field} | ${check.reason || ''}`
+    )
+});
+
+beforeAll(() => {
+    vi.useFakeTimers({ toFake: ['Date'] });
+    vi.setSystemTime(FROZEN_DATE);
+});
+
+afterAll(() => {
+    vi.useRealTimers();
+});
+
+describe.each(GOLDEN_EXAMS.map(exam => [`${exam.name} (${exam.session})`, exam]))('%s', (examLabel, { data, session }) => {
+    describe.each(getDivisions(data))('division %s', (divisionName, divisionData) => {
+        it.each(GOLDEN_PROFILES.map(profile => [profile.id, profile]))('%s', (profileId, profile) => {
+            const userInput = prepareUserInput(profile.formData, profile.educationTableData);
+            const result = checkFullEligibility(userInput, divisionData, session);
+            
+            expect(toVerdicts(result)).toMatchSnapshot();
+        });
+    });
+});
+
+// Spelled out so the NEET stream rule is visible without reading the snapshot:
+// a 10th row in science subjects must not make an arts or commerce student eligible
+describe('neet stream restriction', () => {
+    it.each([
+        ['cds-ota-divorcee-woman', false],
+        ['ncc-wing-mismatch-short-female', false],
+        ['medical-aspirant-pcb-female', true]
+    ])('%s → eligible: %s', (profileId, expected) => {
+        const profile = GOLDEN_PROFILES.find(entry => entry.id === profileId);
+        const userInput = prepareUserInput(profile.formData, profile.educationTableData);
+        const result = checkFullEligibility(userInput, neetData, '2026');
+        const streamCheck = result.results.find(check => check.field === 'Educational Stream');
+        
+        expect(streamCheck.eligible).toBe(expected);
+        if (!expected) expect(result.eligible).toBe(false);
+    });
+});
@@ -0,0 +1,162 @@
+/**
+ * English/Hindi localisation
+ *
+ * The shared i18n package (packages/i18n): message lookup and plurals,
+ * Devanagari numbers, the ?lang= link between sites and the Hindi templates
+ * for the checker's reasons, run over the golden profiles.
+ */
+
+import { describe, it, expect } from 'vitest';
+
+import cdsData from '../../../examsdata/DEFENCE_ED/cds.json';
+import ndaData from '../../../examsdata/DEFENCE_ED/nda.json';
+import armyNccEntryData from '../../../examsdata/DEFENCE_ED/armynccentry.json';
+import neetData from '../../../examsdata/UG_ED/neet.json';
+
+import en from '../../../../packages/i18n/messages/en.js';
+import hi from '../../../../packages/i18n/messages/hi.js';
+import {
+    normalizeLanguage,
+    toDevanagariDigits,
+    formatNumber,
+    translate,
+    getLanguageFromQuery,
+    withLanguage,
+    translateReason
+} from '@pariksha/i18n';
+import { DISPLAY_DETAIL_LABELS, ELIGIBILITY_RULE_LABELS } from '@pariksha/exam-catalogue';
+
+import { checkExamBasisEligibility, prepareUserInput, getDivisionOptions } from '../exambasis.js';
+import { addExplanations } from '../explanations.js';
+import { GOLDEN_PROFILES } from './fixtures/profiles.js';
+
+const DEVANAGARI = /[ऀ-ॿ]/;
+
+/**
+ * Dotted keys of a message catalogue; plural messages count as one key
+ * @param {Object} messages
+ * @param {string} prefix
+ * @returns {string[]}
+ */
+const getKeys = (messages, prefix = '') => {
+    return Object.entries(messages).flatMap(([key, value]) => (
+        value && typeof value === 'object' && !('other' in value)
+            ? getKeys(value, `${prefix}${key}.`)
+            : [`${prefix}${key}`]
+    ));
+};
+
+describe('messages', () => {
+    it('has a Hindi message for every English one', () => {
+        const hindiKeys = new Set(getKeys(hi));
+        expect(getKeys(en).filter(key => !hindiKeys.has(key))).toEqual([]);
+    });
+    
+    it('translates by dotted key', () => {
+        expect(translate('en', 'nav.home')).toBe('Home');
+        expect(translate('hi', 'nav.home')).toBe('होम');
+        expect(translate('hi-IN', 'nav.home')).toBe('होम');
+    });
+    
+    it('falls back to English, then defaultValue, then the key', () => {
+        expect(translate('fr', 'nav.home')).toBe('Home');
+        expect(translate('en', 'checkFields.gender', { defaultValue: 'Gender' })).toBe('Gender');
+        expect(translate('hi', 'checkFields.gender', { defaultValue: 'Gender' })).toBe('लिंग');
+        expect(translate('hi', 'nav.missing')).toBe('nav.missing');
+    });
+    
+    it('picks the plural form and formats numbers in placeholders', () => {
+        expect(translate('en', 'examSearch.matches', { count: 1 })).toBe('1 matching exam');
+        expect(translate('en', 'examSearch.matches', { count: 1250 })).toBe('1,250 matching exams');
+        expect(translate('hi', 'examSearch.matches', { count: 12 })).toBe('१२ परीक्षाएँ मिलीं');
+        expect(translate('hi', 'results.relaxationYears', { count: 5 })).toBe('+५ वर्ष की छूट');
+    });
+    
+    it('has Hindi labels for every exam field the exam page shows', () => {
+        const keys = [...Object.keys(DISPLAY_DETAIL_LABELS), ...Object.keys(ELIGIBILITY_RULE_LABELS)];
+        expect(keys.filter(key => !hi.examFields[key])).toEqual([]);
+    });
+});
+
+describe('numbers', () => {
+    it('uses Indian grouping and Devanagari digits in Hindi', () => {
+        expect(formatNumber(100000, 'en')).toBe('1,00,000');
+        expect(formatNumber(100000, 'hi')).toBe('१,००,०००');
+        expect(formatNumber('42', 'hi')).toBe('४२');
+        expect(formatNumber(2026, 'hi', { useGrouping: false })).toBe('२०२६');
+    });
+    
+    it('keeps values that are not numbers', () => {
+        expect(formatNumber('N/A', 'hi')).toBe('N/A');
+        expect(formatNumber(null, 'hi')).toBe('');
+        expect(toDevanagariDigits('2026-I')).toBe('२०२६-I');
+    });
+});
+
+describe('language across sites', () => {
+    it('reads ?lang= and ignores unsupported languages', () => {
+        expect(getLanguageFromQuery('?exam=cds&lang=hi')).toBe('hi');
+        expect(getLanguageFromQuery('?lang=fr')).toBeNull();
+        expect(getLanguageFromQuery('')).toBeNull();
+        expect(normalizeLanguage('fr')).toBe('en');
+    });
+    
+    it('adds lang= to links, keeping other parameters and the fragment', () => {
+        expect(withLanguage('https://marg.psetu.com/', 'hi')).toBe('https://marg.psetu.com/?lang=hi');
+        expect(withLanguage('https://yogya.psetu.com/check-eligibility?exam=cds#s=abc', 'hi'))
+            .toBe('https://yogya.psetu.com/check-eligibility?exam=cds&lang=hi#s=abc');
+        expect(withLanguage('/x?lang=hi', 'en')).toBe('/x?lang=en');
+    });
+});
+
+describe('checker reasons', () => {
+    const EXAMS = [cdsData, ndaData, armyNccEntryData, neetData];
+    
+    /**
+     * Every reason, explanation and hint the results page can show for the
+     * golden profiles
+     * @returns {string[]}
+     */
+    const collectReasons = () => {
+        const reasons = new Set();
+        for (const profile of GOLDEN_PROFILES) {
+            const userInput = prepareUserInput(profile.formData, profile.educationTableData);
+            for (const examData of EXAMS) {
+                const divisions = getDivisionOptions(examData).map(d => d.value);
+                const results = addExplanations(
+                    checkExamBasisEligibility(userInput, examData, divisions.length > 0, divisions, 'TEST'),
+                    userInput,
+                    examData
+                );
+                for (const result of results) {
+                    result.results.forEach(check => reasons.add(check.reason));
+                    (result.trace || []).forEach(entry => reasons.add(entry.reason));
+                    for (const item of [...result.explanation.failures, ...result.explanation.relaxations]) {
+                        reasons.add(item.explanation);
+                        reasons.add(item.hint);
+                    }
+                }
+            }
+        }
+        return [...reasons].filter(Boolean);
+    };
+    
+    const reasons = collectReasons();
+    
+    it('translates every reason the golden profiles produce', () => {
+        expect(reasons.length).toBeGreaterThan(50);
+        expect(reasons.filter(reason => !DEVANAGARI.test(translateReason(reason, 'hi')))).toEqual([]);
+    });
+    
+    it('keeps the values from the English reason', () => {
+        expect(translateReason('Your age (27 years) exceeds the maximum age limit of 25 years', 'hi'))
+            .toBe('आपकी आयु (27 वर्ष) 25 वर्ष की अधिकतम आयु सीमा से अधिक है');
+        expect(translateReason('Your date of birth (2000-01-02) is after 2001-01-01. You must be born on or before 2001-01-01', 'hi'))
+            .toBe('आपकी जन्म तिथि (2000-01-02) 2001-01-01 के बाद है। आपका जन्म 2001-01-01 को या उससे पहले होना चाहिए');
+    });
+    
+    it('leaves English and unknown reasons as they are', () => {
+        reasons.forEach(reason => expect(translateReason(reason, 'en')).toBe(reason));
+        expect(translateReason('Some new reason', 'hi')).toBe('Some new reason');
+    });
+});
@@ -0,0 +1,121 @@
+/**
+ * Maximum attempts allowed
+ *
+ * Attempts already used against the exam's cap: one cap for everyone,
+ * category caps, PwBD caps taking precedence, and the no-cap values.
+ */
+
+import { describe, it, expect } from 'vitest';
+
+import {
+    parseCategoryAttempts,
+    getAttemptCapForUser,
+    checkMaximumAttemptsAllowed
+} from '../checker/maximum_attempts_allowed.js';
+import { toCategoryCode } from '../checker/caste_category.js';
+
+const UPSC_ATTEMPTS = 'GENERAL: 6, OBC: 9, SC/ST: UNLIMITED, PwBD (GEN): 9';
+
+describe('category codes', () => {
+    it('reads short codes and the form full names', () => {
+        expect(toCategoryCode('GENERAL')).toBe('GEN');
+        expect(toCategoryCode('GENERAL (UR/UNRESERVED)')).toBe('GEN');
+        expect(toCategoryCode('OBC (OTHER BACKWARD CLASS)')).toBe('OBC');
+        expect(toCategoryCode('obc-ncl')).toBe('OBC');
+        expect(toCategoryCode('MINORITY')).toBe('MINORITY');
+    });
+});
+
+describe('parseCategoryAttempts', () => {
+    it('splits category and PwBD caps', () => {
+        expect(parseCategoryAttempts(UPSC_ATTEMPTS)).toEqual({
+            categories: { GEN: '6', OBC: '9', SC: 'UNLIMITED', ST: 'UNLIMITED' },
+            pwd: { GEN: '9' }
+        });
+    });
+    
+    it('reads the object format', () => {
+        expect(parseCategoryAttempts({ GEN: '4', PwD: '7' })).toEqual({
+            categories: { GEN: '4' },
+            pwd: { ALL: '7' }
+        });
+    });
+    
+    it('is null for a single cap', () => {
+        expect(parseCategoryAttempts('6')).toBeNull();
+    });
+});
+
+describe('getAttemptCapForUser', () => {
+    it('uses the PwBD cap for PwBD candidates only', () => {
+        expect(getAttemptCapForUser(UPSC_ATTEMPTS, 'GENERAL (UR/UNRESERVED)', 'YES'))
+            .toEqual({ cap: '9', appliesTo: 'PwBD (GEN)' });
+        expect(getAttemptCapForUser(UPSC_ATTEMPTS, 'GENERAL (UR/UNRESERVED)', 'NO'))
+            .toEqual({ cap: '6', appliesTo: 'GEN' });
+    });
+    
+    it('falls back to the category cap without a PwBD cap for the category', () => {
+        expect(getAttemptCapForUser(UPSC_ATTEMPTS, 'OBC (OTHER BACKWARD CLASS)', 'YES'))
+            .toEqual({ cap: '9', appliesTo: 'OBC' });
+    });
+    
+    it('has no cap for a category the exam does not list', () => {
+        expect(getAttemptCapForUser(UPSC_ATTEMPTS, 'EWS (ECONOMICALLY WEAKER SECTION)', 'NO'))
+            .toEqual({ cap: null, appliesTo: 'EWS' });
+    });
+});
+
+describe('checkMaximumAttemptsAllowed', () => {
+    it('passes while attempts remain and fails once all are used', () => {
+        expect(checkMaximumAttemptsAllowed('5', '6')).toMatchObject({
+            eligible: true,
+            reason: '1 of 6 attempts remaining',
+            attemptsRemaining: 1
+        });
+        expect(checkMaximumAttemptsAllowed('6', '6')).toMatchObject({
+            eligible: false,
+            examRequirement: 'Maximum 6 attempts',
+            reason: 'All 6 attempts have been used',
+            attemptsRemaining: 0
+        });
+    });
+    
+    it('treats no attempts entered as a first attempt', () => {
+        expect(checkMaximumAttemptsAllowed('', '1')).toMatchObject({ eligible: true, userValue: 'Not specified (0 used)' });
+    });
+    
+    it('applies the category cap', () => {
+        expect(checkMaximumAttemptsAllowed('7', UPSC_ATTEMPTS, 'OBC (OTHER BACKWARD CLASS)', 'NO')).toMatchObject({
+            eligible: true,
+            examRequirement: 'Maximum 9 attempts (OBC)'
+        });
+        expect(checkMaximumAttemptsAllowed('7', UPSC_ATTEMPTS, 'GENERAL (UR/UNRESERVED)', 'NO').eligible).toBe(false);
+    });
+    
+    it('applies the PwBD cap', () => {
+        expect(checkMaximumAttemptsAllowed('7', UPSC_ATTEMPTS, 'GENERAL (UR/UNRESERVED)', 'YES')).toMatchObject({
+            eligible: true,
+            examRequirement: 'Maximum 9 attempts (PwBD (GEN))'
+        });
+    });
+    
+    it('passes UNLIMITED caps', () => {
+        expect(checkMaximumAttemptsAllowed('20', 'UNLIMITED')).toMatchObject({ eligible: true, reason: 'Unlimited attempts' });
+        expect(checkMaximumAttemptsAllowed('20', UPSC_ATTEMPTS, 'SC (SCHEDULED CASTE)', 'NO'))
+            .toMatchObject({ eligible: true, reason: 'Unlimited attempts for SC' });
+    });
+    
+    it('leaves TILL AGE LIMIT REACHED to the age check', () => {
+        expect(checkMaximumAttemptsAllowed('20', 'TILL AGE LIMIT REACHED')).toMatchObject({
+            eligible: true,
+            reason: 'Attempts are limited only by the age criteria',
+            attemptsRemaining: null
+        });
+    });
+    
+    it('skips exams without a limit', () => {
+        ['', 'NOT APPLICABLE', 'ALL APPLICABLE'].forEach(value => {
+            expect(checkMaximumAttemptsAllowed('3', value)).toMatchObject({ eligible: true, reason: 'No attempt limit' });
+        });
+    });
+});
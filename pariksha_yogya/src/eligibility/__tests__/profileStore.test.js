@@ -0,0 +1,96 @@
+/**
+ * Saved candidate profiles
+ *
+ * Record format, name validation and format-version migration.
+ * IndexedDB itself is not available in Node, so only the storage guard is
+ * checked here.
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+
+import {
+    PROFILE_FORMAT_VERSION,
+    normalizeProfileName,
+    createProfileRecord,
+    migrateProfileRecord,
+    mergeProfileLists,
+    isProfileStorageAvailable,
+    listProfiles
+} from '../profileStore.js';
+import { GOLDEN_PROFILES } from './fixtures/profiles.js';
+
+const golden = GOLDEN_PROFILES.find(p => p.id === 'cds-graduate-btech');
+
+describe('createProfileRecord', () => {
+    it('stores a versioned copy of the form state', () => {
+        const record = createProfileRecord({
+            name: '  my   sister ',
+            formData: golden.formData,
+            educationTableData: golden.educationTableData,
+            selectedExam: 'cds'
+        });
+        
+        expect(record).toMatchObject({ name: 'my sister', version: PROFILE_FORMAT_VERSION, selectedExam: 'cds' });
+        expect(record.formData).toEqual(golden.formData);
+        expect(record.formData).not.toBe(golden.formData);
+        expect(record.id).toBeTruthy();
+    });
+    
+    it('keeps the id and creation time when overwriting', () => {
+        const existing = { id: 'abc', createdAt: '2026-01-01T00:00:00.000Z' };
+        const record = createProfileRecord({ name: 'me', formData: {} }, existing);
+        
+        expect(record.id).toBe('abc');
+        expect(record.createdAt).toBe(existing.createdAt);
+    });
+    
+    it('rejects empty and over-long names', () => {
+        expect(() => normalizeProfileName('   ')).toThrow('Please enter a profile name');
+        expect(() => normalizeProfileName('x'.repeat(51))).toThrow(/at most 50/);
+    });
+});
+
+describe('migrateProfileRecord', () => {
+    it('upgrades older records step by step', () => {
+        const migrations = {
+            0: (record) => ({ ...record, selectedExam: '', version: 1 })
+        };
+        const migrated = migrateProfileRecord({ id: 'old', name: 'me', formData: {} }, migrations);
+        
+        expect(migrated).toMatchObject({ id: 'old', selectedExam: '', version: 1 });
+    });
+    
+    it('skips records it cannot read', () => {
+        const consoleError = vi.spyOn(console, 'error').mockImplementation(() => {});
+        
+        expect(migrateProfileRecord({ id: 'old', name: 'me' }, {})).toBeNull();
+        expect(migrateProfileRecord({ id: 'new', version: PROFILE_FORMAT_VERSION + 1 })).toBeNull();
+        expect(migrateProfileRecord(undefined)).toBeNull();
+        
+        consoleError.mockRestore();
+    });
+});
+
+describe('mergeProfileLists', () => {
+    const record = (id, name, updatedAt) => ({ id, name, version: PROFILE_FORMAT_VERSION, updatedAt });
+    
+    it('keeps the most recently updated copy of each profile', () => {
+        const local = [record('a', 'me', '2026-03-02T00:00:00.000Z'), record('b', 'sister', '2026-03-01T00:00:00.000Z')];
+        const remote = [record('a', 'me (old)', '2026-03-01T00:00:00.000Z'), record('c', 'brother', '2026-03-01T00:00:00.000Z')];
+        
+        expect(mergeProfileLists(local, remote).map(p => p.name)).toEqual(['brother', 'me', 'sister']);
+    });
+    
+    it('drops profiles deleted on another device', () => {
+        const local = [record('a', 'me', '2026-03-02T00:00:00.000Z'), record('b', 'sister', '2026-03-01T00:00:00.000Z')];
+        
+        expect(mergeProfileLists(local, [], ['b']).map(p => p.id)).toEqual(['a']);
+    });
+});
+
+describe('storage', () => {
+    it('reports when IndexedDB is not available', async () => {
+        expect(isProfileStorageAvailable()).toBe(false);
+        await expect(listProfiles()).rejects.toThrow('not supported');
+    });
+});
@@ -0,0 +1,93 @@
+/**
+ * PDF eligibility report
+ *
+ * Report data built from real checks of the golden profiles, and the PDF
+ * laid out from it with jsPDF.
+ */
+
+import { describe, it, expect } from 'vitest';
+import { jsPDF } from 'jspdf';
+
+import cdsData from '../../../examsdata/DEFENCE_ED/cds.json';
+
+import { checkExamBasisEligibility, prepareUserInput, getDivisionOptions, getDisplayDetails } from '../exambasis.js';
+import { checkExamForBasis } from '../eligibilitybasis.js';
+import { addExplanations } from '../explanations.js';
+import { buildReportData, getReportFileName, toPdfText, createReportPdf } from '../report.js';
+import { GOLDEN_PROFILES } from './fixtures/profiles.js';
+
+const graduate = GOLDEN_PROFILES.find(profile => profile.id === 'cds-graduate-btech');
+const generatedAt = new Date('2026-03-15T10:30:00Z');
+
+/**
+ * Exam Basis report input for CDS
+ * @param {Object} profile
+ * @returns {Object}
+ */
+const cdsReportInput = (profile) => {
+    const userInput = prepareUserInput(profile.formData, profile.educationTableData);
+    const divisions = getDivisionOptions(cdsData).map(d => d.value);
+    const results = addExplanations(
+        checkExamBasisEligibility(userInput, cdsData, divisions.length > 0, divisions, 'cds'),
+        userInput,
+        cdsData
+    );
+    return {
+        mode: 'exam',
+        formData: profile.formData,
+        educationTableData: profile.educationTableData,
+        results,
+        displayDetails: getDisplayDetails(cdsData),
+        generatedAt
+    };
+};
+
+describe('buildReportData', () => {
+    it('covers the profile, every verdict with its per-field results and the exam details', () => {
+        const input = cdsReportInput(graduate);
+        const report = buildReportData(input);
+        
+        expect(report.profile).toContainEqual({ label: 'Date of birth', value: graduate.formData.date_of_birth });
+        expect(report.exams).toHaveLength(1);
+        
+        const [exam] = report.exams;
+        expect(exam.examId).toBe('cds');
+        expect(exam.details.map(row => row.label)).toContain('Conducting body');
+        expect(exam.verdicts).toHaveLength(input.results.length);
+        expect(exam.verdicts[0].checks.length).toBe(input.results[0].results.length);
+        expect(exam.verdicts[0].checks[0]).toEqual(expect.objectContaining({
+            label: expect.any(String),
+            requirement: expect.any(String),
+            eligible: expect.any(Boolean)
+        }));
+        expect(report.summary).toMatch(/^Eligible in \d+ of \d+ division\/session checks$/);
+    });
+    
+    it('lists exams the candidate is not eligible for in Eligibility Basis mode', () => {
+        const userInput = prepareUserInput(graduate.formData, graduate.educationTableData);
+        const scan = checkExamForBasis(userInput, { value: 'cds', code: 'CDS', label: 'CDS' }, cdsData);
+        const scanResult = { ...scan, totalExamsChecked: 1 };
+        
+        const report = buildReportData({ mode: 'eligibility', formData: graduate.formData, scanResult, generatedAt });
+        
+        expect(report.exams.length + report.notEligible.length).toBeGreaterThan(0);
+        expect(report.summary).toMatch(/of 1 exams checked$/);
+        expect(getReportFileName(report)).toBe('pariksha-yogya-report-all-exams-2026-03-15.pdf');
+    });
+});
+
+describe('PDF output', () => {
+    it('replaces characters the built-in fonts cannot draw', () => {
+        expect(toPdfText('Fee ₹100 – “General” ✓')).toBe('Fee Rs. 100 - "General" Yes');
+        expect(toPdfText('परीक्षा')).toBe('???????');
+    });
+    
+    it('lays out a multi-page PDF named after the exam', () => {
+        const report = buildReportData(cdsReportInput(graduate));
+        const doc = createReportPdf(report, jsPDF);
+        
+        expect(getReportFileName(report)).toBe('pariksha-yogya-report-cds-2026-03-15.pdf');
+        expect(doc.getNumberOfPages()).toBeGreaterThan(1);
+        expect(doc.output().startsWith('%PDF-')).toBe(true);
+    });
+});
@@ -0,0 +1,79 @@
+/**
+ * Shareable result links
+ *
+ * Round trip of the form state through the URL fragment, omission of
+ * sensitive fields and rejection of damaged or newer links.
+ */
+
+import { describe, it, expect } from 'vitest';
+
+import {
+    SHARE_LINK_VERSION,
+    SENSITIVE_FORM_FIELDS,
+    encodeShareState,
+    decodeShareState,
+    buildShareUrl
+} from '../shareLink.js';
+import { GOLDEN_PROFILES } from './fixtures/profiles.js';
+
+const golden = GOLDEN_PROFILES.find(p => p.id === 'cds-graduate-btech');
+
+const state = {
+    formData: { ...golden.formData, caste_category: 'OBC', pwd_status: 'NO', language_proficiency: [] },
+    educationTableData: golden.educationTableData,
+    searchMode: 'exam',
+    selectedExam: 'cds',
+    division: 'IMA',
+    session: 'CDS I 2026'
+};
+
+describe('share links', () => {
+    it('restores the form state from the fragment', () => {
+        const hash = `#${encodeShareState(state)}`;
+        const decoded = decodeShareState(hash);
+        
+        expect(hash.startsWith(`#s=${SHARE_LINK_VERSION}.`)).toBe(true);
+        expect(decoded).toMatchObject({
+            searchMode: 'exam',
+            selectedExam: 'cds',
+            division: 'IMA',
+            session: 'CDS I 2026',
+            omittedSensitive: false
+        });
+        expect(decoded.formData.date_of_birth).toBe(golden.formData.date_of_birth);
+        expect(decoded.formData.caste_category).toBe('OBC');
+        expect(decoded.formData).not.toHaveProperty('language_proficiency');
+        expect(Object.keys(decoded.educationTableData)).toEqual(
+            Object.keys(golden.educationTableData).filter(level => (
+                Object.values(golden.educationTableData[level]).some(value => value !== '')
+            ))
+        );
+    });
+    
+    it('leaves out sensitive fields on request', () => {
+        const decoded = decodeShareState(encodeShareState(state, { omitSensitive: true }));
+        
+        expect(SENSITIVE_FORM_FIELDS).toEqual(expect.arrayContaining(['date_of_birth', 'gender']));
+        SENSITIVE_FORM_FIELDS.forEach(field => {
+            expect(decoded.formData).not.toHaveProperty(field);
+        });
+        expect(decoded.formData.nationality).toBe(golden.formData.nationality);
+        expect(decoded.omittedSensitive).toBe(true);
+    });
+    
+    it('drops the exam for Eligibility Basis links', () => {
+        const url = buildShareUrl({ ...state, searchMode: 'eligibility' }, {}, 'https://example.org');
+        const decoded = decodeShareState(new URL(url).hash);
+        
+        expect(url.startsWith('https://example.org/check-eligibility#s=')).toBe(true);
+        expect(decoded).toMatchObject({ searchMode: 'eligibility', selectedExam: '', division: '', session: '' });
+    });
+    
+    it('ignores other fragments and rejects damaged or newer links', () => {
+        expect(decodeShareState('')).toBeNull();
+        expect(decodeShareState('#results')).toBeNull();
+        expect(() => decodeShareState('#s=1.@@@')).toThrow(/damaged/);
+        expect(() => decodeShareState('#s=1.bm90LWpzb24')).toThrow(/damaged/);
+        expect(() => decodeShareState(`#s=${SHARE_LINK_VERSION + 1}.e30`)).toThrow(/newer version/);
+    });
+});
@@ -0,0 +1,123 @@
+/**
+ * Educational stream restriction
+ *
+ * One education level decides the stream: the level the exam asks for, else
+ * the highest filled level. The 10th has no stream, so its "Science,
+ * Mathematics, ..." subjects must never pass a SCIENCE STREAM exam.
+ */
+
+import { describe, it, expect } from 'vitest';
+
+import neetData from '../../../examsdata/UG_ED/neet.json';
+
+import {
+    getUserStreams,
+    getDecidingLevel,
+    checkEducationalStreamRestriction
+} from '../checker/educational_stream_restriction.js';
+import { checkFullEligibility } from '../checker/index.js';
+import { prepareUserInput } from '../exambasis.js';
+import { GOLDEN_PROFILES } from './fixtures/profiles.js';
+
+const TWELFTH = '(12TH) HIGHER SECONDARY';
+
+const TENTH = {
+    '10th_secondary': { course: '(10TH) SECONDARY', subject: 'Science, Mathematics, Social Science, Languages' }
+};
+
+/**
+ * Education levels with a 10th row and a 12th in the given course
+ * @param {string} course - "Science", "Arts", "Commerce"
+ * @param {string} subject
+ * @param {Object} [higher] - More levels, e.g. { graduation: { course: 'BSc', subject: 'Physics' } }
+ * @returns {Object}
+ */
+const withTwelfth = (course, subject, higher = {}) => ({
+    ...TENTH,
+    '12th_higher_secondary': { course, subject },
+    ...higher
+});
+
+/**
+ * The NEET stream verdict for a golden profile
+ * @param {string} profileId
+ * @returns {{eligible: boolean, reason: string}}
+ */
+const neetStreamCheck = (profileId) => {
+    const profile = GOLDEN_PROFILES.find(entry => entry.id === profileId);
+    const userInput = prepareUserInput(profile.formData, profile.educationTableData);
+    const result = checkFullEligibility(userInput, neetData, '2026');
+    return result.results.find(check => check.field === 'Educational Stream');
+};
+
+describe('stream levels', () => {
+    it('leaves the 10th out', () => {
+        expect(getUserStreams(TENTH)).toEqual([]);
+        expect(getUserStreams(withTwelfth('Arts', 'History')).map(level => level.levelKey))
+            .toEqual(['12th_higher_secondary']);
+    });
+    
+    it('decides on the level the exam asks for, else the highest level', () => {
+        const levels = getUserStreams(withTwelfth('Science', 'Physics, Chemistry, Biology (PCB)', {
+            graduation: { course: 'BA', subject: 'English' }
+        }));
+        expect(getDecidingLevel(levels, TWELFTH).course).toBe('Science');
+        expect(getDecidingLevel(levels, 'GRADUATION').course).toBe('BA');
+        expect(getDecidingLevel(levels, '').course).toBe('BA');
+    });
+});
+
+describe('SCIENCE STREAM at the 12th (NEET)', () => {
+    it('passes 12th Science', () => {
+        const result = checkEducationalStreamRestriction(
+            withTwelfth('Science', 'Physics, Chemistry, Biology (PCB)'), 'SCIENCE STREAM', TWELFTH
+        );
+        expect(result.eligible).toBe(true);
+        expect(result.reason).toBe('Science at (12TH) HIGHER SECONDARY is in the SCIENCE stream');
+    });
+    
+    it('fails 12th Arts, even with a 10th in science subjects', () => {
+        const result = checkEducationalStreamRestriction(
+            withTwelfth('Arts', 'History, Political Science, Geography'), 'SCIENCE STREAM', TWELFTH
+        );
+        expect(result.eligible).toBe(false);
+        expect(result.reason).toBe('Requires SCIENCE stream, but Arts at (12TH) HIGHER SECONDARY is in the ARTS stream');
+    });
+    
+    it('fails 12th Commerce, even with a science-free degree on top', () => {
+        const result = checkEducationalStreamRestriction(
+            withTwelfth('Commerce', 'Accountancy, Business Studies, Economics', {
+                graduation: { course: 'BCom', subject: 'Accounting' }
+            }),
+            'SCIENCE STREAM',
+            TWELFTH
+        );
+        expect(result.eligible).toBe(false);
+        expect(result.reason).toBe('Requires SCIENCE stream, but Commerce at (12TH) HIGHER SECONDARY is in the COMMERCE stream');
+    });
+    
+    it('fails a profile with only the 10th filled', () => {
+        expect(checkEducationalStreamRestriction(TENTH, 'SCIENCE STREAM', TWELFTH).eligible).toBe(false);
+    });
+});
+
+describe('subject restrictions', () => {
+    it('checks the subjects of the deciding level only', () => {
+        const pcb = withTwelfth('Science', 'Physics, Chemistry, Biology (PCB)', {
+            graduation: { course: 'BSc', subject: 'Physics, Chemistry, Mathematics' }
+        });
+        expect(checkEducationalStreamRestriction(pcb, 'SCIENCE WITH PCM', TWELFTH).eligible).toBe(false);
+        expect(checkEducationalStreamRestriction(pcb, 'SCIENCE WITH PCM', 'GRADUATION').eligible).toBe(true);
+    });
+});
+
+describe('NEET stream verdict for the golden profiles', () => {
+    it('fails the arts and commerce students', () => {
+        expect(neetStreamCheck('cds-ota-divorcee-woman').eligible).toBe(false);
+        expect(neetStreamCheck('ncc-wing-mismatch-short-female').eligible).toBe(false);
+    });
+    
+    it('passes the PCB student', () => {
+        expect(neetStreamCheck('medical-aspirant-pcb-female').eligible).toBe(true);
+    });
+});
@@ -0,0 +1,67 @@
+/**
+ * Light/dark theme
+ *
+ * The shared theme package (packages/theme): the design tokens, the stored
+ * key Pariksha Setu already uses and the ?theme= link between sites.
+ */
+
+import { describe, it, expect } from 'vitest';
+
+import {
+    THEME_TOKENS,
+    THEME_STORAGE_KEY,
+    getTokenVariable,
+    normalizeTheme,
+    getThemeFromQuery,
+    getInitialTheme,
+    withTheme
+} from '@pariksha/theme';
+import { withLanguage } from '@pariksha/i18n';
+
+describe('tokens', () => {
+    it('defines the same tokens for light and dark', () => {
+        expect(Object.keys(THEME_TOKENS.dark)).toEqual(Object.keys(THEME_TOKENS.light));
+    });
+    
+    it('names the CSS variables Pariksha Setu styles with', () => {
+        expect(getTokenVariable('background')).toBe('--color-background');
+        expect(getTokenVariable('cardBg')).toBe('--color-card-bg');
+        expect(getTokenVariable('cardShadow')).toBe('--color-card-shadow');
+    });
+});
+
+describe('theme choice', () => {
+    it('keeps the key Pariksha Setu stored the theme under', () => {
+        expect(THEME_STORAGE_KEY).toBe('pariksha-setu-theme');
+    });
+    
+    it('accepts only light and dark', () => {
+        expect(normalizeTheme('DARK')).toBe('dark');
+        expect(normalizeTheme('sepia')).toBe('light');
+        expect(normalizeTheme(null)).toBe('light');
+    });
+    
+    it('reads ?theme= and ignores other values', () => {
+        expect(getThemeFromQuery('?exam=cds&theme=dark')).toBe('dark');
+        expect(getThemeFromQuery('?theme=sepia')).toBeNull();
+        expect(getThemeFromQuery('')).toBeNull();
+    });
+    
+    it('starts light where there is no browser', () => {
+        expect(getInitialTheme()).toBe('light');
+    });
+});
+
+describe('theme across sites', () => {
+    it('adds theme= to links, keeping other parameters and the fragment', () => {
+        expect(withTheme('https://marg.psetu.com/', 'dark')).toBe('https://marg.psetu.com/?theme=dark');
+        expect(withTheme('https://yogya.psetu.com/check-eligibility?exam=cds#s=abc', 'dark'))
+            .toBe('https://yogya.psetu.com/check-eligibility?exam=cds&theme=dark#s=abc');
+        expect(withTheme('/x?theme=dark', 'light')).toBe('/x?theme=light');
+    });
+    
+    it('carries the language and the theme together', () => {
+        expect(withTheme(withLanguage('https://marg.psetu.com/', 'hi'), 'dark'))
+            .toBe('https://marg.psetu.com/?lang=hi&theme=dark');
+    });
+});
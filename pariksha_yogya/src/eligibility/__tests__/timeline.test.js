@@ -0,0 +1,66 @@
+/**
+ * Future-eligibility timeline
+ *
+ * Age window across sessions and "eligible after qualification" cells,
+ * built from the golden profiles.
+ */
+
+import { describe, it, expect } from 'vitest';
+
+import cdsData from '../../../examsdata/DEFENCE_ED/cds.json';
+import ndaData from '../../../examsdata/DEFENCE_ED/nda.json';
+
+import { prepareUserInput } from '../exambasis.js';
+import { buildExamTimeline, TIMELINE_STATUS } from '../timeline.js';
+import { GOLDEN_PROFILES } from './fixtures/profiles.js';
+
+const getProfile = (id) => GOLDEN_PROFILES.find(profile => profile.id === id);
+
+/**
+ * Build one exam's timeline for a profile
+ * @param {Object} profile
+ * @param {Object} examData
+ * @returns {Object}
+ */
+const timelineFor = (profile, examData) => buildExamTimeline(
+    prepareUserInput(profile.formData, profile.educationTableData),
+    examData,
+    { examCode: examData.exam_code, examLabel: examData.exam_name }
+);
+
+describe('buildExamTimeline', () => {
+    it('lists every session of every division in calendar order', () => {
+        const timeline = timelineFor(getProfile('cds-graduate-btech'), cdsData);
+        
+        expect(timeline.sessions[0]).toBe('2026-I');
+        expect(timeline.sessions[timeline.sessions.length - 1]).toBe('2030-II');
+        timeline.rows.forEach(row => {
+            row.cells.forEach(cell => expect(timeline.sessions).toContain(cell.session));
+        });
+    });
+    
+    it('reports the first and last age-eligible session', () => {
+        // Born 2008-05-15: inside 02-01-2008..01-01-2011 (2028-I),
+        // before the start of 02-07-2008..01-07-2011 (2028-II)
+        const timeline = timelineFor(getProfile('nda-aspirant-pcm'), ndaData);
+        
+        expect(timeline.summary.firstAgeEligible).toBe('2026-I');
+        expect(timeline.summary.lastAgeEligible).toBe('2028-I');
+        
+        const army = timeline.rows.find(row => row.division === 'NDA (ARMY)');
+        expect(army.cells.find(cell => cell.session === '2028-II').status).toBe(TIMELINE_STATUS.AGE);
+    });
+    
+    it('marks sessions unlocked by completing an appearing qualification as pending', () => {
+        // 12th appearing with no marks yet: fails the marks check today
+        const timeline = timelineFor(getProfile('nda-aspirant-pcm'), ndaData);
+        const army = timeline.rows.find(row => row.division === 'NDA (ARMY)');
+        
+        expect(army.cells.find(cell => cell.session === '2026-I').status).toBe(TIMELINE_STATUS.PENDING);
+        expect(timeline.summary.firstEligible).toBeNull();
+        expect(timeline.summary.eligibleAfterQualification).not.toBeNull();
+        expect(timeline.summary.pendingQualifications).toEqual([
+            expect.objectContaining({ levelKey: '12th_higher_secondary', status: 'APPEARING' })
+        ]);
+    });
+});
@@ -0,0 +1,77 @@
+/**
+ * Trace layer for checkFullEligibility
+ *
+ * One trace entry per check result, silent unless debug tracing is enabled.
+ */
+
+import { describe, it, expect, vi, afterEach } from 'vitest';
+
+import cdsData from '../../../examsdata/DEFENCE_ED/cds.json';
+
+import { checkFullEligibility } from '../checker/index.js';
+import { setTraceDebug, setTraceSink } from '../checker/trace.js';
+import { prepareUserInput } from '../exambasis.js';
+import { GOLDEN_PROFILES } from './fixtures/profiles.js';
+
+const [firstDivisionData] = Object.values(cdsData.academies);
+const profile = GOLDEN_PROFILES.find(p => p.id === 'cds-graduate-btech');
+
+const runCheck = () => checkFullEligibility(
+    prepareUserInput(profile.formData, profile.educationTableData),
+    firstDivisionData,
+    '2026-I'
+);
+
+afterEach(() => {
+    setTraceDebug(false);
+    setTraceSink(null);
+    vi.restoreAllMocks();
+});
+
+describe('checkFullEligibility trace', () => {
+    it('records one entry per result with the applied rule and verdict', () => {
+        const { results, trace } = runCheck();
+        
+        expect(trace).toHaveLength(results.length);
+        trace.forEach((entry, index) => {
+            expect(entry.step).toBe(index + 1);
+            expect(entry.field).toBe(results[index].field);
+            expect(entry.rule).toBe(results[index].examRequirement);
+            expect(entry.eligible).toBe(results[index].eligible);
+            expect(entry.reason).toBe(results[index].reason);
+            expect(typeof entry.check).toBe('string');
+            expect(entry.inputs).toBeTypeOf('object');
+        });
+    });
+
+    it('is silent by default', () => {
+        const debugSpy = vi.spyOn(console, 'debug').mockImplementation(() => {});
+        const logSpy = vi.spyOn(console, 'log').mockImplementation(() => {});
+        
+        runCheck();
+        
+        expect(debugSpy).not.toHaveBeenCalled();
+        expect(logSpy).not.toHaveBeenCalled();
+    });
+
+    it('sends entries and the final result to a custom sink when debug is on', () => {
+        const sink = vi.fn();
+        setTraceSink(sink);
+        setTraceDebug(true);
+        
+        const { trace, summary } = runCheck();
+        
+        expect(sink).toHaveBeenCalledTimes(trace.length + 1);
+        expect(sink).toHaveBeenLastCalledWith(expect.objectContaining({
+            check: 'checkFullEligibility Result',
+            summary
+        }));
+    });
+
+    it('never lets a failing sink break the check', () => {
+        setTraceSink(() => { throw new Error('sink down'); });
+        setTraceDebug(true);
+        
+        expect(() => runCheck()).not.toThrow();
+    });
+});
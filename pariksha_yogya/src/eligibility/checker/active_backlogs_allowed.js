@@ -6,7 +6,7 @@
  * Check active backlogs eligibility
  * @param {string|number} userBacklogs - User's number of active backlogs
  * @param {string} examBacklogs - Exam's allowed backlogs policy
- * @returns {{eligible: boolean, userValue: string, examRequirement: string, field: string}}
+ * @returns {{eligible: boolean, userValue: string, examRequirement: string, field: string, reason: string}}
  */
 export const checkActiveBacklogsAllowed = (userBacklogs, examBacklogs) => {
     const field = 'Active Backlogs';
@@ -20,7 +20,8 @@ export const checkActiveBacklogsAllowed = (userBacklogs, examBacklogs) => {
             field,
             userValue: userBacklogs !== undefined && userBacklogs !== '' ? String(userBacklogs) : 'Not specified',
             examRequirement: examBacklogs || 'Not Applicable',
-            eligible: true
+            eligible: true,
+            reason: 'No backlog restriction'
         };
     }
     
@@ -34,7 +35,10 @@ export const checkActiveBacklogsAllowed = (userBacklogs, examBacklogs) => {
             field,
             userValue: userBacklogs !== undefined && userBacklogs !== '' ? String(userBacklogs) : '0',
             examRequirement: 'No backlogs allowed',
-            eligible
+            eligible,
+            reason: eligible
+                ? 'No active backlogs'
+                : 'No active backlogs are allowed'
         };
     }
     
@@ -47,7 +51,10 @@ export const checkActiveBacklogsAllowed = (userBacklogs, examBacklogs) => {
             field,
             userValue: String(userBacklogNum),
             examRequirement: `Maximum ${allowedBacklogs} backlogs`,
-            eligible
+            eligible,
+            reason: eligible
+                ? `${userBacklogNum} active backlogs is within the limit of ${allowedBacklogs}`
+                : `${userBacklogNum} active backlogs exceeds the limit of ${allowedBacklogs}`
         };
     }
     
@@ -57,7 +64,8 @@ export const checkActiveBacklogsAllowed = (userBacklogs, examBacklogs) => {
             field,
             userValue: userBacklogs !== undefined && userBacklogs !== '' ? String(userBacklogs) : 'Not specified',
             examRequirement: 'Backlogs allowed',
-            eligible: true
+            eligible: true,
+            reason: 'Backlogs are allowed'
         };
     }
     
@@ -65,7 +73,8 @@ export const checkActiveBacklogsAllowed = (userBacklogs, examBacklogs) => {
         field,
         userValue: userBacklogs !== undefined && userBacklogs !== '' ? String(userBacklogs) : 'Not specified',
         examRequirement: examBacklogs,
-        eligible: true
+        eligible: true,
+        reason: 'Backlogs accepted'
     };
 };
 
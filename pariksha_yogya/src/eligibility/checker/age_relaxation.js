@@ -0,0 +1,288 @@
+/**
+ * Age Relaxation Resolver
+ * Used by the Date of Birth checker (7) to extend the UPPER age bound
+ *
+ * ============================================
+ * STRUCTURED FORMAT (preferred):
+ * ============================================
+ *
+ * Keys are user input fields, inner keys are the user's value for that field,
+ * values are the relaxation in years:
+ * {
+ *   "caste_category": { "SC": "5", "ST": "5", "OBC": "3" },
+ *   "pwd_status": { "GEN": "10", "EWS": "10", "OBC": "13", "SC": "15", "ST": "15" },
+ *   "ex_servicemen_status": { "YES": "3" },
+ *   "gender": { "FEMALE": "5" },
+ *   "stacking": "CUMULATIVE",
+ *   "maximum_relaxation": "15"
+ * }
+ *
+ * STACKING RULES:
+ * - caste_category: relaxation for the user's category
+ * - pwd_status: keyed by CATEGORY (or "ALL") and applies only to PwD candidates.
+ *   A category-keyed value is INCLUSIVE of the category relaxation
+ *   (PwBD OBC = 10 + 3 = 13), so it replaces the category relaxation.
+ *   An "ALL" value ("PwD: 10 years") is added on top of the category relaxation
+ * - Any other field (ex_servicemen_status, gender, cpl_holder, ...):
+ *   "stacking": "CUMULATIVE" → added on top of the category/PwD relaxation
+ *   "stacking": "MAXIMUM" (default) → the single largest relaxation applies
+ * - "maximum_relaxation": optional cap on the total years
+ *
+ * ============================================
+ * LEGACY STRING FORMAT (from possiblefields.json):
+ * ============================================
+ * - "", "ALL APPLICABLE", "NOT APPLICABLE", "NO AGE RELAXATION", "NO AGE LIMIT": No relaxation
+ * - "AS PER ... RULES": Not machine readable → no relaxation
+ * - "SC/ST: +5 YEARS", "OBC-NCL: +3 YEARS", "PwBD (OBC): +13 YEARS", "EX-SERVICEMEN: +3 YEARS",
+ *   "WOMEN: +5 YEARS", "CPL HOLDER: +2 YEARS", "GOVERNMENT SERVANT: +5 YEARS"
+ * - Comma-separated clauses: "OBC: 3 years, SC/ST: 5 years, PwD: 10 years"
+ * - "CUMULATIVE RELAXATION ALLOWED" switches stacking to CUMULATIVE
+ * Legacy strings are converted to the structured format before resolution.
+ */
+
+import { CATEGORY_ALIASES, normalizeValue, toCategoryCode } from './caste_category.js';
+
+// ============================================
+// CONSTANTS
+// ============================================
+
+export const STACKING_RULES = {
+    CUMULATIVE: 'CUMULATIVE',
+    MAXIMUM: 'MAXIMUM'
+};
+
+// Keys in the structured format that are settings, not user fields
+const SETTING_KEYS = ['stacking', 'maximum_relaxation'];
+
+// Legacy clause labels → structured field/value
+const LEGACY_LABEL_FIELDS = [
+    { pattern: /^EX-?SERVICE ?MEN$/, field: 'ex_servicemen_status', values: ['YES'] },
+    { pattern: /^WOMEN$/, field: 'gender', values: ['FEMALE'] },
+    { pattern: /^CPL HOLDER$/, field: 'cpl_holder', values: ['YES'] },
+    { pattern: /^GOVERNMENT SERVANT$/, field: 'current_employment_status', values: ['CENTRAL GOVERNMENT EMPLOYEE', 'STATE GOVERNMENT EMPLOYEE'] },
+    { pattern: /^CENTRAL GOVT EMPLOYEE$/, field: 'current_employment_status', values: ['CENTRAL GOVERNMENT EMPLOYEE'] }
+];
+
+// Display names for relaxation fields
+const FIELD_LABELS = {
+    ex_servicemen_status: 'Ex-Servicemen',
+    gender: 'Gender',
+    cpl_holder: 'CPL Holder',
+    current_employment_status: 'Employment',
+    domicile: 'Domicile'
+};
+
+// ============================================
+// HELPERS
+// ============================================
+
+/**
+ * Parse a relaxation value into years
+ * @param {string|number} value - e.g., "5", 5, "+5 YEARS"
+ * @returns {number} - Years (0 if not parseable)
+ */
+const parseYears = (value) => {
+    const match = String(value ?? '').match(/\d+(\.\d+)?/);
+    return match ? parseFloat(match[0]) : 0;
+};
+
+/**
+ * Find the years for a user value in a keyed object
+ * @param {Object} valueMap - e.g., { "SC": "5", "OBC": "3" }
+ * @param {string} userValue - User's value for the field
+ * @param {boolean} isCategory - Compare as caste category short codes
+ * @returns {{key: string, years: number}|null}
+ */
+const findYearsForValue = (valueMap, userValue, isCategory = false) => {
+    if (!valueMap || typeof valueMap !== 'object' || Array.isArray(valueMap)) return null;
+    
+    const userKey = isCategory ? toCategoryCode(userValue) : normalizeValue(userValue);
+    if (!userKey) return null;
+    
+    for (const [key, value] of Object.entries(valueMap)) {
+        const examKey = isCategory ? toCategoryCode(key) : normalizeValue(key);
+        if (examKey === userKey) {
+            return { key, years: parseYears(value) };
+        }
+    }
+    return null;
+};
+
+// ============================================
+// LEGACY STRING PARSING
+// ============================================
+
+/**
+ * Convert a legacy age_relaxation string into the structured format
+ * Unrecognised clauses are ignored
+ * @param {string} relaxationStr - e.g., "SC/ST: +5 YEARS"
+ * @returns {Object|null} - Structured relaxation, or null if no relaxation
+ */
+export const parseLegacyAgeRelaxation = (relaxationStr) => {
+    const normalized = normalizeValue(relaxationStr);
+    if (!normalized ||
+        normalized === 'ALL APPLICABLE' ||
+        normalized === 'NOT APPLICABLE' ||
+        normalized.startsWith('NO AGE') ||
+        normalized.startsWith('AS PER')) {
+        return null;
+    }
+    
+    const structured = {};
+    const addYears = (field, key, years) => {
+        structured[field] = structured[field] || {};
+        structured[field][key] = String(years);
+    };
+    
+    if (normalized.includes('CUMULATIVE')) {
+        structured.stacking = STACKING_RULES.CUMULATIVE;
+    }
+    
+    for (const clause of normalized.split(',')) {
+        const match = clause.trim().match(/^(.+?)\s*:\s*\+?\s*(\d+(?:\.\d+)?)\s*YEARS?/);
+        if (!match) continue;
+        
+        const label = match[1].trim();
+        const years = parseFloat(match[2]);
+        
+        // PwBD / PwD, optionally with a category: "PWBD (OBC)", "PWD (SC/ST)", "PWD"
+        const pwdMatch = label.match(/^PWB?D\s*(?:\((.+)\))?$/);
+        if (pwdMatch) {
+            const categories = pwdMatch[1] ? pwdMatch[1].split('/') : ['ALL'];
+            categories.forEach(cat => addYears('pwd_status', toCategoryCode(cat), years));
+            continue;
+        }
+        
+        // Categories: "SC/ST", "OBC-NCL", "OBC"
+        const categories = label.split('/').map(toCategoryCode);
+        if (categories.every(cat => Object.values(CATEGORY_ALIASES).includes(cat))) {
+            categories.forEach(cat => addYears('caste_category', cat, years));
+            continue;
+        }
+        
+        // Other attributes: "EX-SERVICEMEN", "WOMEN", "CPL HOLDER", ...
+        const mapping = LEGACY_LABEL_FIELDS.find(m => m.pattern.test(label));
+        if (mapping) {
+            mapping.values.forEach(value => addYears(mapping.field, value, years));
+        }
+    }
+    
+    const hasRules = Object.keys(structured).some(key => !SETTING_KEYS.includes(key));
+    return hasRules ? structured : null;
+};
+
+// ============================================
+// RESOLUTION
+// ============================================
+
+/**
+ * Resolve the total age relaxation applicable to a user
+ *
+ * @param {string|Object} examRelaxation - Exam's age_relaxation (structured object or legacy string)
+ * @param {Object} userProfile - User input (caste_category, pwd_status, gender, ex_servicemen_status, ...)
+ * @returns {{years: number, applied: Array<{field: string, value: string, years: number, label: string}>, stacking: string, summary: string}}
+ */
+export const resolveAgeRelaxation = (examRelaxation, userProfile = {}) => {
+    const none = { years: 0, applied: [], stacking: STACKING_RULES.MAXIMUM, summary: 'No age relaxation' };
+    
+    const structured = typeof examRelaxation === 'string'
+        ? parseLegacyAgeRelaxation(examRelaxation)
+        : examRelaxation;
+    
+    if (!structured || typeof structured !== 'object' || Array.isArray(structured) || !userProfile) {
+        return none;
+    }
+    
+    const stacking = normalizeValue(structured.stacking) === STACKING_RULES.CUMULATIVE
+        ? STACKING_RULES.CUMULATIVE
+        : STACKING_RULES.MAXIMUM;
+    
+    // 1. Category relaxation
+    let base = null;
+    const categoryMatch = findYearsForValue(structured.caste_category, userProfile.caste_category, true);
+    if (categoryMatch && categoryMatch.years > 0) {
+        base = {
+            field: 'caste_category',
+            value: categoryMatch.key,
+            years: categoryMatch.years,
+            label: `${categoryMatch.key}: +${categoryMatch.years} years`
+        };
+    }
+    
+    // 2. PwD relaxation: category-keyed values include the category relaxation,
+    //    an "ALL" value is added to it
+    if (normalizeValue(userProfile.pwd_status) === 'YES') {
+        const categoryPwdMatch = findYearsForValue(structured.pwd_status, userProfile.caste_category, true);
+        const allPwdMatch = categoryPwdMatch ? null : findYearsForValue(structured.pwd_status, 'ALL');
+        
+        if (categoryPwdMatch && categoryPwdMatch.years > (base ? base.years : 0)) {
+            base = {
+                field: 'pwd_status',
+                value: categoryPwdMatch.key,
+                years: categoryPwdMatch.years,
+                label: `PwBD (${categoryPwdMatch.key}): +${categoryPwdMatch.years} years`
+            };
+        } else if (allPwdMatch && allPwdMatch.years > 0) {
+            const pwdLabel = `PwBD: +${allPwdMatch.years} years`;
+            base = {
+                field: 'pwd_status',
+                value: allPwdMatch.key,
+                years: allPwdMatch.years + (base ? base.years : 0),
+                label: base ? `${base.label} + ${pwdLabel}` : pwdLabel
+            };
+        }
+    }
+    
+    // 3. Other attribute relaxations (ex-servicemen, gender, CPL holder, ...)
+    const others = [];
+    for (const [field, valueMap] of Object.entries(structured)) {
+        if (SETTING_KEYS.includes(field) || field === 'caste_category' || field === 'pwd_status') continue;
+        
+        const match = findYearsForValue(valueMap, userProfile[field]);
+        if (match && match.years > 0) {
+            const name = FIELD_LABELS[field] || field;
+            others.push({
+                field,
+                value: match.key,
+                years: match.years,
+                label: normalizeValue(match.key) === 'YES'
+                    ? `${name}: +${match.years} years`
+                    : `${name} (${match.key}): +${match.years} years`
+            });
+        }
+    }
+    
+    // 4. Stack according to the rule
+    const candidates = base ? [base, ...others] : others;
+    if (candidates.length === 0) {
+        return { ...none, stacking };
+    }
+    
+    let applied;
+    if (stacking === STACKING_RULES.CUMULATIVE) {
+        applied = candidates;
+    } else {
+        applied = [candidates.reduce((best, current) => (current.years > best.years ? current : best))];
+    }
+    
+    let years = applied.reduce((total, item) => total + item.years, 0);
+    
+    // 5. Optional cap
+    const cap = parseYears(structured.maximum_relaxation);
+    if (cap > 0 && years > cap) {
+        years = cap;
+    }
+    
+    return {
+        years,
+        applied,
+        stacking,
+        summary: `Age relaxation of ${years} years applied (${applied.map(item => item.label).join(' + ')})`
+    };
+};
+
+export default {
+    STACKING_RULES,
+    parseLegacyAgeRelaxation,
+    resolveAgeRelaxation
+};
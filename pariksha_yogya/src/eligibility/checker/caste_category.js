@@ -55,16 +55,44 @@ const STANDARD_CATEGORIES = [
     'MINORITY'
 ];
 
+// Category short codes for category-keyed exam values
+// ("OBC: 9", { "SC": "5" }) in age_relaxation and maximum_attempts_allowed
+export const CATEGORY_ALIASES = {
+    'GEN': 'GEN',
+    'GENERAL': 'GEN',
+    'UR': 'GEN',
+    'UNRESERVED': 'GEN',
+    'SC': 'SC',
+    'ST': 'ST',
+    'OBC': 'OBC',
+    'OBC-NCL': 'OBC',
+    'EWS': 'EWS'
+};
+
 /**
  * Normalize value for comparison
  * @param {string} value - Value to normalize
  * @returns {string} - Normalized uppercase trimmed value
  */
-const normalizeValue = (value) => {
+export const normalizeValue = (value) => {
     if (!value || typeof value !== 'string') return '';
     return value.trim().toUpperCase();
 };
 
+/**
+ * Convert a category value (short code or full form name) to its short code
+ * e.g., "OBC (OTHER BACKWARD CLASS)" → "OBC", "OBC-NCL" → "OBC", "GENERAL" → "GEN"
+ * @param {string} category - Category value
+ * @returns {string} - Short code or normalized value
+ */
+export const toCategoryCode = (category) => {
+    let normalized = normalizeValue(category);
+    if (normalized.includes('(')) {
+        normalized = normalized.split('(')[0].trim();
+    }
+    return CATEGORY_ALIASES[normalized] || normalized;
+};
+
 /**
  * Convert short code to full name
  * @param {string} shortCode - Short code from JSON (e.g., "GEN", "SC")
@@ -335,5 +363,6 @@ export default {
     checkCasteCategory,
     getCasteCategoryOptions,
     shouldShowCasteCategoryField,
-    getStandardCategories
+    getStandardCategories,
+    toCategoryCode
 };
@@ -6,7 +6,7 @@
  * Check CPL holder eligibility
  * @param {string} userCplHolder - User's CPL holder status (YES, NO)
  * @param {string} examCplHolder - Exam's CPL holder requirement
- * @returns {{eligible: boolean, userValue: string, examRequirement: string, field: string}}
+ * @returns {{eligible: boolean, userValue: string, examRequirement: string, field: string, reason: string}}
  */
 export const checkCplHolder = (userCplHolder, examCplHolder) => {
     const field = 'CPL Holder';
@@ -20,7 +20,8 @@ export const checkCplHolder = (userCplHolder, examCplHolder) => {
             field,
             userValue: userCplHolder || 'Not specified',
             examRequirement: examCplHolder || 'Not Required',
-            eligible: true
+            eligible: true,
+            reason: 'CPL not required'
         };
     }
     
@@ -29,7 +30,8 @@ export const checkCplHolder = (userCplHolder, examCplHolder) => {
             field,
             userValue: 'Not specified',
             examRequirement: examCplHolder,
-            eligible: false
+            eligible: false,
+            reason: 'CPL holder status not specified'
         };
     }
     
@@ -43,7 +45,10 @@ export const checkCplHolder = (userCplHolder, examCplHolder) => {
             field,
             userValue: userCplHolder,
             examRequirement: 'Required',
-            eligible
+            eligible,
+            reason: eligible
+                ? 'CPL holder requirement met'
+                : 'A Commercial Pilot License is required'
         };
     }
     
@@ -53,7 +58,8 @@ export const checkCplHolder = (userCplHolder, examCplHolder) => {
             field,
             userValue: userCplHolder,
             examRequirement: examCplHolder,
-            eligible: true
+            eligible: true,
+            reason: 'CPL is optional for this exam'
         };
     }
     
@@ -61,7 +67,8 @@ export const checkCplHolder = (userCplHolder, examCplHolder) => {
         field,
         userValue: userCplHolder,
         examRequirement: examCplHolder,
-        eligible: true
+        eligible: true,
+        reason: 'CPL holder status accepted'
     };
 };
 
@@ -6,7 +6,7 @@
  * Check current employment status eligibility
  * @param {string} userEmploymentStatus - User's current employment status
  * @param {string} examEmploymentStatus - Exam's employment status requirement
- * @returns {{eligible: boolean, userValue: string, examRequirement: string, field: string}}
+ * @returns {{eligible: boolean, userValue: string, examRequirement: string, field: string, reason: string}}
  */
 export const checkCurrentEmploymentStatus = (userEmploymentStatus, examEmploymentStatus) => {
     const field = 'Employment Status';
@@ -20,7 +20,8 @@ export const checkCurrentEmploymentStatus = (userEmploymentStatus, examEmploymen
             field,
             userValue: userEmploymentStatus || 'Not specified',
             examRequirement: examEmploymentStatus || 'Not Applicable',
-            eligible: true
+            eligible: true,
+            reason: 'No employment status restriction'
         };
     }
     
@@ -29,7 +30,8 @@ export const checkCurrentEmploymentStatus = (userEmploymentStatus, examEmploymen
             field,
             userValue: 'Not specified',
             examRequirement: examEmploymentStatus,
-            eligible: false
+            eligible: false,
+            reason: 'Employment status not specified'
         };
     }
     
@@ -46,7 +48,10 @@ export const checkCurrentEmploymentStatus = (userEmploymentStatus, examEmploymen
         field,
         userValue: userEmploymentStatus,
         examRequirement: examEmploymentStatus,
-        eligible
+        eligible,
+        reason: eligible
+            ? `Employment status ${userEmploymentStatus} is allowed`
+            : `Employment status ${userEmploymentStatus} is not allowed (${examEmploymentStatus})`
     };
 };
 
@@ -59,6 +59,12 @@
  *   }
  * }
  * 
+ * AGE RELAXATION:
+ * The exam's age_relaxation field (see age_relaxation.js) extends only the
+ * UPPER age bound before comparison: ending_age, the max of between_age,
+ * maximum_dob and the start date of between_dob are moved back by the
+ * relaxation years. The applied relaxation is reported as result.ageRelaxation.
+ * 
  * For exams WITHOUT age restrictions (GATE, CUET-PG, IIT-JAM):
  * {
  *   "age_criteria_type": "NO AGE LIMIT",
@@ -69,6 +75,8 @@
  * }
  */
 
+import { resolveAgeRelaxation } from './age_relaxation.js';
+
 // ============================================
 // AGE CRITERIA TYPE CONSTANTS
 // ============================================
@@ -657,6 +665,39 @@ export const checkBetweenDob = (userDob, startDobStr, endDobStr) => {
     };
 };
 
+// ============================================
+// AGE RELAXATION HELPERS
+// Extend the UPPER age bound by the relaxation years
+// ============================================
+
+/**
+ * Extend a maximum age by relaxation years
+ * @param {number|string} maxAge - Maximum age from exam data
+ * @param {number} years - Relaxation in years
+ * @returns {number|string} - Relaxed maximum age (unchanged if not numeric or no relaxation)
+ */
+export const relaxMaximumAge = (maxAge, years) => {
+    const max = parseFloat(maxAge);
+    if (isNaN(max) || !years) return maxAge;
+    return max + years;
+};
+
+/**
+ * Move the earliest acceptable birth date back by relaxation years
+ * Example: relaxEarliestDob("02-01-2003", 5) → "02-01-1998"
+ * @param {string} dobStr - Date in DD-MM-YYYY format
+ * @param {number} years - Relaxation in years
+ * @returns {string} - Relaxed date in DD-MM-YYYY format (unchanged if invalid or no relaxation)
+ */
+export const relaxEarliestDob = (dobStr, years) => {
+    const date = parseDateDDMMYYYY(dobStr);
+    if (!date || !years) return dobStr;
+    
+    const relaxed = new Date(date);
+    relaxed.setFullYear(date.getFullYear() - years);
+    return formatDateDDMMYYYY(relaxed);
+};
+
 // ============================================
 // LEGACY SUPPORT FUNCTIONS
 // ============================================
@@ -748,9 +789,10 @@ export const shouldShowDobField = (examData) => {
  * @param {Object} examData - Exam data containing age/DOB fields (division-specific data passed by frontend)
  * @param {string} examSession - Exam session like "2026", "2026-I", "NDA-II-2027"
  * @param {string} examCode - Exam code like "CDS", "NDA" (optional, helps with session matching)
- * @returns {{eligible: boolean, userValue: string, examRequirement: string, field: string, reason: string, userAge: string, details: object}}
+ * @param {Object} userProfile - User input used for age relaxation (caste_category, pwd_status, ex_servicemen_status, ...)
+ * @returns {{eligible: boolean, userValue: string, examRequirement: string, field: string, reason: string, userAge: string, details: object, ageRelaxation: object|null}}
  */
-export const checkDateOfBirth = (userDobStr, examData, examSession = null, examCode = null) => {
+export const checkDateOfBirth = (userDobStr, examData, examSession = null, examCode = null, userProfile = null) => {
     const field = 'Date of Birth';
     
     // ============================================
@@ -833,6 +875,14 @@ export const checkDateOfBirth = (userDobStr, examData, examSession = null, examC
     const userAgeStr = formatAge(userAge);
     const userDobFormatted = formatDateDDMMYYYY(userDob);
     
+    // ============================================
+    // CASE 5b: Resolve age relaxation for this user
+    // Applied only where the UPPER age bound is compared
+    // ============================================
+    const relaxation = resolveAgeRelaxation(examData.age_relaxation, userProfile);
+    const relaxationNote = relaxation.years > 0 ? ` (incl. ${relaxation.years} years relaxation)` : '';
+    let relaxationApplied = false;
+    
     // ============================================
     // CASE 6: Check based on criteria type
     // ============================================
@@ -935,13 +985,15 @@ export const checkDateOfBirth = (userDobStr, examData, examSession = null, examC
                 };
             }
             
-            const check = checkEndingAge(userDob, ageValue, referenceDate);
-            examRequirement = `Maximum age: ${ageValue} years`;
+            const relaxedAgeValue = relaxMaximumAge(ageValue, relaxation.years);
+            relaxationApplied = relaxation.years > 0;
+            const check = checkEndingAge(userDob, relaxedAgeValue, referenceDate);
+            examRequirement = `Maximum age: ${relaxedAgeValue} years${relaxationNote}`;
             
             if (check.eligible) {
-                reason = `Your age (${userAge.years} years) is within the maximum age limit of ${ageValue} years`;
+                reason = `Your age (${userAge.years} years) is within the maximum age limit of ${relaxedAgeValue} years`;
             } else {
-                reason = `Your age (${userAge.years} years) exceeds the maximum age limit of ${ageValue} years`;
+                reason = `Your age (${userAge.years} years) exceeds the maximum age limit of ${relaxedAgeValue} years`;
             }
             
             result = {
@@ -972,14 +1024,16 @@ export const checkDateOfBirth = (userDobStr, examData, examSession = null, examC
                     const parsed = parseDobRange(betweenDobValue);
                     
                     if (parsed) {
-                        const check = checkBetweenDob(userDob, parsed.startDob, parsed.endDob);
-                        examRequirement = `DOB between: ${parsed.startDob} to ${parsed.endDob}`;
+                        const relaxedStartDob = relaxEarliestDob(parsed.startDob, relaxation.years);
+                        relaxationApplied = relaxation.years > 0;
+                        const check = checkBetweenDob(userDob, relaxedStartDob, parsed.endDob);
+                        examRequirement = `DOB between: ${relaxedStartDob} to ${parsed.endDob}${relaxationNote}`;
                         
                         if (check.eligible) {
                             reason = `Your date of birth (${userDobFormatted}) falls within the eligible range`;
                         } else {
                             if (userDob < check.startDob) {
-                                reason = `Your date of birth (${userDobFormatted}) is before the eligible range. You must be born on or after ${parsed.startDob}`;
+                                reason = `Your date of birth (${userDobFormatted}) is before the eligible range. You must be born on or after ${relaxedStartDob}`;
                             } else {
                                 reason = `Your date of birth (${userDobFormatted}) is after the eligible range. You must be born on or before ${parsed.endDob}`;
                             }
@@ -1030,16 +1084,18 @@ export const checkDateOfBirth = (userDobStr, examData, examSession = null, examC
                 };
             }
             
-            const check = checkBetweenAge(userDob, parsed.minAge, parsed.maxAge, referenceDate);
-            examRequirement = `Age: ${parsed.minAge} to ${parsed.maxAge} years`;
+            const relaxedMaxAge = relaxMaximumAge(parsed.maxAge, relaxation.years);
+            relaxationApplied = relaxation.years > 0;
+            const check = checkBetweenAge(userDob, parsed.minAge, relaxedMaxAge, referenceDate);
+            examRequirement = `Age: ${parsed.minAge} to ${relaxedMaxAge} years${relaxationNote}`;
             
             if (check.eligible) {
-                reason = `Your age (${userAge.years} years) is within the eligible range of ${parsed.minAge} to ${parsed.maxAge} years`;
+                reason = `Your age (${userAge.years} years) is within the eligible range of ${parsed.minAge} to ${relaxedMaxAge} years`;
             } else {
                 if (userAge.years < parsed.minAge) {
                     reason = `Your age (${userAge.years} years) is below the minimum age of ${parsed.minAge} years`;
                 } else {
-                    reason = `Your age (${userAge.years} years) exceeds the maximum age of ${parsed.maxAge} years`;
+                    reason = `Your age (${userAge.years} years) exceeds the maximum age of ${relaxedMaxAge} years`;
                 }
             }
             
@@ -1120,13 +1176,15 @@ export const checkDateOfBirth = (userDobStr, examData, examSession = null, examC
                 };
             }
             
-            const check = checkMaximumDob(userDob, maxDobValue);
-            examRequirement = `Born on or after: ${maxDobValue}`;
+            const relaxedMaxDob = relaxEarliestDob(maxDobValue, relaxation.years);
+            relaxationApplied = relaxation.years > 0;
+            const check = checkMaximumDob(userDob, relaxedMaxDob);
+            examRequirement = `Born on or after: ${relaxedMaxDob}${relaxationNote}`;
             
             if (check.eligible) {
-                reason = `Your date of birth (${userDobFormatted}) is on or after ${maxDobValue}`;
+                reason = `Your date of birth (${userDobFormatted}) is on or after ${relaxedMaxDob}`;
             } else {
-                reason = `Your date of birth (${userDobFormatted}) is before ${maxDobValue}. You must be born on or after ${maxDobValue}`;
+                reason = `Your date of birth (${userDobFormatted}) is before ${relaxedMaxDob}. You must be born on or after ${relaxedMaxDob}`;
             }
             
             result = {
@@ -1175,14 +1233,16 @@ export const checkDateOfBirth = (userDobStr, examData, examSession = null, examC
                 };
             }
             
-            const check = checkBetweenDob(userDob, parsed.startDob, parsed.endDob);
-            examRequirement = `DOB between: ${parsed.startDob} to ${parsed.endDob}`;
+            const relaxedStartDob = relaxEarliestDob(parsed.startDob, relaxation.years);
+            relaxationApplied = relaxation.years > 0;
+            const check = checkBetweenDob(userDob, relaxedStartDob, parsed.endDob);
+            examRequirement = `DOB between: ${relaxedStartDob} to ${parsed.endDob}${relaxationNote}`;
             
             if (check.eligible) {
                 reason = `Your date of birth (${userDobFormatted}) falls within the eligible range`;
             } else {
                 if (check.startDob && userDob < check.startDob) {
-                    reason = `Your date of birth (${userDobFormatted}) is before the eligible range. You must be born on or after ${parsed.startDob}`;
+                    reason = `Your date of birth (${userDobFormatted}) is before the eligible range. You must be born on or after ${relaxedStartDob}`;
                 } else {
                     reason = `Your date of birth (${userDobFormatted}) is after the eligible range. You must be born on or before ${parsed.endDob}`;
                 }
@@ -1216,16 +1276,18 @@ export const checkDateOfBirth = (userDobStr, examData, examSession = null, examC
                 if (betweenDobValue) {
                     const parsed = parseDobRange(betweenDobValue);
                     if (parsed) {
-                        const check = checkBetweenDob(userDob, parsed.startDob, parsed.endDob);
-                        examRequirement = `DOB between: ${parsed.startDob} to ${parsed.endDob}`;
+                        const relaxedStartDob = relaxEarliestDob(parsed.startDob, relaxation.years);
+                        relaxationApplied = relaxation.years > 0;
+                        const check = checkBetweenDob(userDob, relaxedStartDob, parsed.endDob);
+                        examRequirement = `DOB between: ${relaxedStartDob} to ${parsed.endDob}${relaxationNote}`;
                         
                         if (check.eligible) {
                             reason = `Your date of birth (${userDobFormatted}) falls within the eligible range`;
                         } else {
                             if (check.startDob && userDob < check.startDob) {
-                                reason = `Your date of birth (${userDobFormatted}) is before the eligible range`;
+                                reason = `Your date of birth (${userDobFormatted}) is before the eligible range. You must be born on or after ${relaxedStartDob}`;
                             } else {
-                                reason = `Your date of birth (${userDobFormatted}) is after the eligible range`;
+                                reason = `Your date of birth (${userDobFormatted}) is after the eligible range. You must be born on or before ${parsed.endDob}`;
                             }
                         }
                         
@@ -1273,13 +1335,15 @@ export const checkDateOfBirth = (userDobStr, examData, examSession = null, examC
             if (examData.maximum_dob) {
                 const maxDobValue = getValueForSession(examData.maximum_dob, examSession, examCode);
                 if (maxDobValue) {
-                    const check = checkMaximumDob(userDob, maxDobValue);
-                    examRequirement = `Born on or after: ${maxDobValue}`;
+                    const relaxedMaxDob = relaxEarliestDob(maxDobValue, relaxation.years);
+                    relaxationApplied = relaxation.years > 0;
+                    const check = checkMaximumDob(userDob, relaxedMaxDob);
+                    examRequirement = `Born on or after: ${relaxedMaxDob}${relaxationNote}`;
                     
                     if (check.eligible) {
-                        reason = `Your date of birth (${userDobFormatted}) is on or after ${maxDobValue}`;
+                        reason = `Your date of birth (${userDobFormatted}) is on or after ${relaxedMaxDob}`;
                     } else {
-                        reason = `Your date of birth (${userDobFormatted}) is before ${maxDobValue}`;
+                        reason = `Your date of birth (${userDobFormatted}) is before ${relaxedMaxDob}. You must be born on or after ${relaxedMaxDob}`;
                     }
                     
                     result = {
@@ -1301,13 +1365,17 @@ export const checkDateOfBirth = (userDobStr, examData, examSession = null, examC
                 if (betweenAgeValue) {
                     const parsed = parseAgeRange(betweenAgeValue);
                     if (parsed) {
-                        const check = checkBetweenAge(userDob, parsed.minAge, parsed.maxAge, referenceDate);
-                        examRequirement = `Age: ${parsed.minAge} to ${parsed.maxAge} years`;
+                        const relaxedMaxAge = relaxMaximumAge(parsed.maxAge, relaxation.years);
+                        relaxationApplied = relaxation.years > 0;
+                        const check = checkBetweenAge(userDob, parsed.minAge, relaxedMaxAge, referenceDate);
+                        examRequirement = `Age: ${parsed.minAge} to ${relaxedMaxAge} years${relaxationNote}`;
                         
                         if (check.eligible) {
                             reason = `Your age (${userAge.years} years) is within the eligible range`;
+                        } else if (userAge.years < parsed.minAge) {
+                            reason = `Your age (${userAge.years} years) is below the minimum age of ${parsed.minAge} years`;
                         } else {
-                            reason = `Your age (${userAge.years} years) is outside the eligible range`;
+                            reason = `Your age (${userAge.years} years) exceeds the maximum age of ${relaxedMaxAge} years`;
                         }
                         
                         result = {
@@ -1354,13 +1422,15 @@ export const checkDateOfBirth = (userDobStr, examData, examSession = null, examC
             if (examData.ending_age) {
                 const ageValue = getValueForSession(examData.ending_age, examSession, examCode);
                 if (ageValue) {
-                    const check = checkEndingAge(userDob, ageValue, referenceDate);
-                    examRequirement = `Maximum age: ${ageValue} years`;
+                    const relaxedAgeValue = relaxMaximumAge(ageValue, relaxation.years);
+                    relaxationApplied = relaxation.years > 0;
+                    const check = checkEndingAge(userDob, relaxedAgeValue, referenceDate);
+                    examRequirement = `Maximum age: ${relaxedAgeValue} years${relaxationNote}`;
                     
                     if (check.eligible) {
                         reason = `Your age (${userAge.years} years) is within the maximum age limit`;
                     } else {
-                        reason = `Your age (${userAge.years} years) exceeds the maximum age limit`;
+                        reason = `Your age (${userAge.years} years) exceeds the maximum age limit of ${relaxedAgeValue} years`;
                     }
                     
                     result = {
@@ -1389,6 +1459,9 @@ export const checkDateOfBirth = (userDobStr, examData, examSession = null, examC
         }
     }
     
+    // Report the age relaxation that extended the upper bound (null if none)
+    result.ageRelaxation = relaxationApplied ? relaxation : null;
+    
     return result;
 };
 
@@ -1426,6 +1499,10 @@ export default {
     checkMaximumDob,
     checkBetweenDob,
     
+    // Age relaxation helpers
+    relaxMaximumAge,
+    relaxEarliestDob,
+    
     // Legacy support
     checkMinAge,
     checkMaxAge,
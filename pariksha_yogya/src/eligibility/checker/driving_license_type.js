@@ -16,7 +16,7 @@ const LICENSE_TYPES = {
  * Check driving license type eligibility
  * @param {string} userLicenseType - User's driving license type
  * @param {string} examLicenseType - Exam's required driving license type
- * @returns {{eligible: boolean, userValue: string, examRequirement: string, field: string}}
+ * @returns {{eligible: boolean, userValue: string, examRequirement: string, field: string, reason: string}}
  */
 export const checkDrivingLicenseType = (userLicenseType, examLicenseType) => {
     const field = 'Driving License';
@@ -30,7 +30,8 @@ export const checkDrivingLicenseType = (userLicenseType, examLicenseType) => {
             field,
             userValue: userLicenseType || 'Not specified',
             examRequirement: examLicenseType || 'Not Required',
-            eligible: true
+            eligible: true,
+            reason: 'No driving license required'
         };
     }
     
@@ -39,7 +40,8 @@ export const checkDrivingLicenseType = (userLicenseType, examLicenseType) => {
             field,
             userValue: 'Not specified',
             examRequirement: examLicenseType,
-            eligible: false
+            eligible: false,
+            reason: 'Driving license type not specified'
         };
     }
     
@@ -65,7 +67,10 @@ export const checkDrivingLicenseType = (userLicenseType, examLicenseType) => {
         field,
         userValue: userLicenseType,
         examRequirement: examLicenseType,
-        eligible
+        eligible,
+        reason: eligible
+            ? `${userLicenseType} license meets the requirement`
+            : `${userLicenseType} license does not meet the requirement (${examLicenseType})`
     };
 };
 
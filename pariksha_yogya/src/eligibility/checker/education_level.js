@@ -19,7 +19,7 @@
 // ============================================
 
 // Import edu_final.json directly for Vite bundling
-import eduFinalJson from '../edu_final.json';
+import eduFinalJson from '../edu_final.json' with { type: 'json' };
 
 // ============================================
 // EDUCATION HIERARCHY CONSTANTS
@@ -0,0 +1,364 @@
+/**
+ * Educational Stream Restriction Eligibility Checker
+ *
+ * Maps the course and subject picked in the education table to a stream
+ * (using the course lists in edu_final.json) and compares it with the exam's
+ * stream restriction. One level decides: the level the exam asks for
+ * (highest_education_qualification, e.g. 12th for NEET) if it is filled,
+ * otherwise the highest filled level. The 10th has no stream and never decides.
+ *
+ * Exam JSON Values:
+ * - "" / "ALL APPLICABLE" / "NOT APPLICABLE": No restriction → skip this check
+ * - "ANY STREAM" / "NO RESTRICTION" / "NON-TECHNICAL": Any stream → everyone passes
+ * - "AS PER POST": Depends on the post → not checked here
+ * - "SCIENCE STREAM" / "SCIENCE": Science stream (12th Science, BSc, BTech, MBBS, ...)
+ * - "SCIENCE WITH PCM": Physics, Chemistry and Mathematics as subjects
+ * - "COMMERCE STREAM" / "COMMERCE": Commerce stream
+ * - "ARTS STREAM" / "ARTS/HUMANITIES" / "HUMANITIES STREAM": Arts/Humanities stream
+ * - "ENGINEERING STREAM" / "ENGINEERING ONLY": Engineering degree or diploma
+ * - "MEDICAL STREAM" / "MEDICAL ONLY": Medical degree
+ * - "TECHNICAL STREAM": Engineering or computer applications
+ * - "ECONOMICS" / "STATISTICS": Subject-specific → the subject must be studied at some level
+ */
+
+import {
+    EDUCATION_KEY_TO_NAME,
+    getEducationHierarchyValue,
+    getEducationLevelKey,
+    getEduFinalData,
+    getCourseOptionsFromEduFinal
+} from './education_level.js';
+
+// ============================================
+// CONSTANTS
+// ============================================
+
+export const STREAMS = {
+    SCIENCE: 'SCIENCE',
+    COMMERCE: 'COMMERCE',
+    ARTS: 'ARTS',
+    ENGINEERING: 'ENGINEERING',
+    MEDICAL: 'MEDICAL',
+    TECHNICAL: 'TECHNICAL',
+    VOCATIONAL: 'VOCATIONAL'
+};
+
+// Levels studied before streams split (10th has common subjects, not a stream)
+const LEVELS_WITHOUT_STREAM = ['10th_secondary', 'below_10th', 'no_education'];
+
+// Restriction values that allow every stream
+const ANY_STREAM_VALUES = ['ANY STREAM', 'NO RESTRICTION', 'NON-TECHNICAL'];
+
+// Exam restriction → required stream
+const RESTRICTION_STREAMS = {
+    'SCIENCE STREAM': STREAMS.SCIENCE,
+    'SCIENCE': STREAMS.SCIENCE,
+    'COMMERCE STREAM': STREAMS.COMMERCE,
+    'COMMERCE': STREAMS.COMMERCE,
+    'ARTS STREAM': STREAMS.ARTS,
+    'ARTS/HUMANITIES': STREAMS.ARTS,
+    'HUMANITIES STREAM': STREAMS.ARTS,
+    'ENGINEERING STREAM': STREAMS.ENGINEERING,
+    'ENGINEERING ONLY': STREAMS.ENGINEERING,
+    'MEDICAL STREAM': STREAMS.MEDICAL,
+    'MEDICAL ONLY': STREAMS.MEDICAL,
+    'TECHNICAL STREAM': STREAMS.TECHNICAL
+};
+
+// Restriction values that require specific subjects
+const RESTRICTION_SUBJECTS = {
+    'SCIENCE WITH PCM': ['PHYSICS', 'CHEMISTRY', 'MATHEMATICS'],
+    'ECONOMICS': ['ECONOMICS'],
+    'STATISTICS': ['STATISTICS']
+};
+
+// Course (as listed in edu_final.json) → streams
+const COURSE_STREAMS = {
+    // 12th: the course is the stream
+    'Science': [STREAMS.SCIENCE],
+    'Commerce': [STREAMS.COMMERCE],
+    'Arts': [STREAMS.ARTS],
+    'Vocational': [STREAMS.VOCATIONAL],
+    // Diploma
+    'Polytechnic Diploma': [STREAMS.ENGINEERING, STREAMS.TECHNICAL],
+    'ITI': [STREAMS.TECHNICAL, STREAMS.VOCATIONAL],
+    'DPharm': [STREAMS.MEDICAL],
+    'PGDCA': [STREAMS.TECHNICAL],
+    // Graduation
+    'BTech': [STREAMS.ENGINEERING, STREAMS.TECHNICAL, STREAMS.SCIENCE],
+    'BE': [STREAMS.ENGINEERING, STREAMS.TECHNICAL, STREAMS.SCIENCE],
+    'BSc': [STREAMS.SCIENCE],
+    'BA': [STREAMS.ARTS],
+    'BCom': [STREAMS.COMMERCE],
+    'MBBS': [STREAMS.MEDICAL, STREAMS.SCIENCE],
+    'BDS': [STREAMS.MEDICAL, STREAMS.SCIENCE],
+    'BCA': [STREAMS.TECHNICAL],
+    'BBA': [STREAMS.COMMERCE],
+    'BPharm': [STREAMS.MEDICAL, STREAMS.SCIENCE],
+    'BArch': [STREAMS.TECHNICAL],
+    // Post Graduation
+    'MTech': [STREAMS.ENGINEERING, STREAMS.TECHNICAL, STREAMS.SCIENCE],
+    'MBA': [STREAMS.COMMERCE],
+    'MSc': [STREAMS.SCIENCE],
+    'MA': [STREAMS.ARTS],
+    'MCom': [STREAMS.COMMERCE],
+    'MD': [STREAMS.MEDICAL, STREAMS.SCIENCE],
+    'MS (Medical)': [STREAMS.MEDICAL, STREAMS.SCIENCE],
+    'MCA': [STREAMS.TECHNICAL],
+    'MPharm': [STREAMS.MEDICAL, STREAMS.SCIENCE],
+    'MArch': [STREAMS.TECHNICAL]
+};
+
+// Subject keywords → streams (for PhD/Post Doctorate subjects and "OTHER" courses)
+const SUBJECT_STREAMS = [
+    { pattern: /ENGINEERING|TECHNOLOG/, streams: [STREAMS.ENGINEERING, STREAMS.TECHNICAL, STREAMS.SCIENCE] },
+    { pattern: /MEDICAL|MEDICINE|SURGERY|DENTAL/, streams: [STREAMS.MEDICAL, STREAMS.SCIENCE] },
+    { pattern: /COMMERCE|MANAGEMENT|ACCOUNT|FINANCE|ECONOMIC/, streams: [STREAMS.COMMERCE] },
+    { pattern: /ARTS|HUMANITIES|SOCIAL SCIENCE|LAW/, streams: [STREAMS.ARTS] },
+    { pattern: /^SCIENCE|PHYSICS|CHEMISTRY|MATHEMATICS|BIOLOGY|BIOTECHNOLOGY/, streams: [STREAMS.SCIENCE] }
+];
+
+// ============================================
+// HELPERS
+// ============================================
+
+/**
+ * Normalize value for comparison
+ * @param {string} value - Value to normalize
+ * @returns {string} - Normalized uppercase trimmed value
+ */
+const normalizeValue = (value) => {
+    if (!value || typeof value !== 'string') return '';
+    return value.trim().toUpperCase();
+};
+
+/**
+ * Short display name for an education level key
+ * e.g., "12th_higher_secondary" → "(12TH) HIGHER SECONDARY"
+ * @param {string} levelKey - Education level JSON key
+ * @returns {string}
+ */
+const getLevelName = (levelKey) => EDUCATION_KEY_TO_NAME[levelKey] || levelKey;
+
+/**
+ * Course and level for reasons, e.g. "Arts at (12TH) HIGHER SECONDARY"
+ * A course named after its level is shown once
+ * @param {{levelKey: string, course: string}} level
+ * @returns {string}
+ */
+const describeLevel = (level) => {
+    const levelName = getLevelName(level.levelKey);
+    return normalizeValue(level.course) === normalizeValue(levelName)
+        ? levelName
+        : `${level.course} at ${levelName}`;
+};
+
+/**
+ * Check whether a subject string covers all required subjects
+ * Handles abbreviations like "PCM" / "PCMB"
+ * @param {string} subject - User's subject (e.g., "Physics, Chemistry, Mathematics (PCM)")
+ * @param {string[]} requiredSubjects - e.g., ["PHYSICS", "CHEMISTRY", "MATHEMATICS"]
+ * @returns {boolean}
+ */
+const hasSubjects = (subject, requiredSubjects) => {
+    const normalizedSubject = normalizeValue(subject);
+    if (!normalizedSubject) return false;
+    
+    const abbreviation = normalizedSubject.match(/\b(PC[MBC]{1,3})\b/);
+    const abbreviated = abbreviation ? abbreviation[1] : '';
+    
+    return requiredSubjects.every(required =>
+        normalizedSubject.includes(required) ||
+        (abbreviated && abbreviated.includes(required.charAt(0)))
+    );
+};
+
+// ============================================
+// STREAM RESOLUTION
+// ============================================
+
+/**
+ * Map a course and subject from one education level to streams
+ * The course must be one of the edu_final.json options for that level;
+ * courses without a fixed stream (PhD, "OTHER", ...) fall back to subject keywords
+ * @param {string} levelKey - Education level key (e.g., "12th_higher_secondary")
+ * @param {string} course - Selected course (e.g., "Science", "BTech")
+ * @param {string} subject - Selected subject
+ * @returns {string[]} - Streams (empty if the course/subject cannot be mapped)
+ */
+export const getStreamsForCourse = (levelKey, course, subject = '') => {
+    const streams = new Set();
+    
+    const courseOptions = getCourseOptionsFromEduFinal(getEduFinalData(), levelKey);
+    const isKnownCourse = courseOptions.length === 0 || courseOptions.includes(course);
+    
+    if (isKnownCourse && COURSE_STREAMS[course]) {
+        COURSE_STREAMS[course].forEach(stream => streams.add(stream));
+    }
+    
+    // Courses without a fixed stream (PhD, Post Doctorate, OTHER) → use the subject
+    const normalizedSubject = normalizeValue(subject);
+    if (streams.size === 0 && normalizedSubject && normalizedSubject !== 'OTHER') {
+        SUBJECT_STREAMS
+            .filter(mapping => mapping.pattern.test(normalizedSubject))
+            .forEach(mapping => mapping.streams.forEach(stream => streams.add(stream)));
+    }
+    
+    return [...streams];
+};
+
+/**
+ * Resolve streams for every filled level of the education table above the 10th
+ * @param {Object} userEducationLevels - userInput.education_levels ({ levelKey: { course, subject, ... } })
+ * @returns {Array<{levelKey: string, course: string, subject: string, streams: string[]}>}
+ */
+export const getUserStreams = (userEducationLevels) => {
+    if (!userEducationLevels || typeof userEducationLevels !== 'object') return [];
+    
+    return Object.entries(userEducationLevels)
+        .filter(([levelKey, levelData]) => levelData && levelData.course && !LEVELS_WITHOUT_STREAM.includes(levelKey))
+        .map(([levelKey, levelData]) => ({
+            levelKey,
+            course: levelData.course,
+            subject: levelData.subject || '',
+            streams: getStreamsForCourse(levelKey, levelData.course, levelData.subject)
+        }));
+};
+
+/**
+ * The level whose stream decides the check: the exam's qualification level
+ * if the user filled it, otherwise the user's highest level
+ * @param {Array} userStreams - From getUserStreams
+ * @param {string} examQualification - Exam's highest_education_qualification (e.g., "(12TH) HIGHER SECONDARY")
+ * @returns {Object|null} - An entry of userStreams
+ */
+export const getDecidingLevel = (userStreams, examQualification = '') => {
+    if (userStreams.length === 0) return null;
+    
+    const qualificationKey = getEducationLevelKey(examQualification);
+    const qualificationLevel = userStreams.find(level => level.levelKey === qualificationKey);
+    if (qualificationLevel) return qualificationLevel;
+    
+    return userStreams.reduce((highest, level) => (
+        getEducationHierarchyValue(getLevelName(level.levelKey)) > getEducationHierarchyValue(getLevelName(highest.levelKey))
+            ? level
+            : highest
+    ));
+};
+
+// ============================================
+// ELIGIBILITY CHECK
+// ============================================
+
+/**
+ * Check educational stream eligibility
+ * @param {Object} userEducationLevels - userInput.education_levels from the education table
+ * @param {string} examStream - Exam's educational_stream_restriction
+ * @param {string} [examQualification] - Exam's highest_education_qualification; picks the level that decides
+ * @returns {{eligible: boolean, userValue: string, examRequirement: string, field: string, reason: string}}
+ */
+export const checkEducationalStreamRestriction = (userEducationLevels, examStream, examQualification = '') => {
+    const field = 'Educational Stream';
+    const normalizedExam = normalizeValue(examStream);
+    
+    const userStreams = getUserStreams(userEducationLevels);
+    const userValue = userStreams.length > 0
+        ? userStreams
+            .map(level => `${getLevelName(level.levelKey)}: ${level.course}${level.subject ? ` - ${level.subject}` : ''}`)
+            .join('; ')
+        : 'Not specified';
+    
+    // No restriction
+    if (!normalizedExam ||
+        normalizedExam === 'ALL APPLICABLE' ||
+        normalizedExam === 'NOT APPLICABLE' ||
+        ANY_STREAM_VALUES.includes(normalizedExam)) {
+        return {
+            field,
+            userValue,
+            examRequirement: examStream || 'Not Applicable',
+            eligible: true,
+            reason: 'No stream restriction'
+        };
+    }
+    
+    if (normalizedExam.startsWith('AS PER')) {
+        return {
+            field,
+            userValue,
+            examRequirement: examStream,
+            eligible: true,
+            reason: 'Stream requirement depends on the post applied for'
+        };
+    }
+    
+    if (userStreams.length === 0) {
+        return {
+            field,
+            userValue,
+            examRequirement: examStream,
+            eligible: false,
+            reason: 'Course and subject not selected in the education table'
+        };
+    }
+    
+    const decidingLevel = getDecidingLevel(userStreams, examQualification);
+    
+    // Subject-specific restriction ("SCIENCE WITH PCM", "ECONOMICS")
+    const requiredSubjects = RESTRICTION_SUBJECTS[normalizedExam];
+    if (requiredSubjects) {
+        const hasRequiredSubjects = hasSubjects(decidingLevel.subject, requiredSubjects);
+        const subjectList = requiredSubjects
+            .map(subject => subject.charAt(0) + subject.slice(1).toLowerCase())
+            .join(', ');
+        
+        return {
+            field,
+            userValue,
+            examRequirement: examStream,
+            eligible: hasRequiredSubjects,
+            reason: hasRequiredSubjects
+                ? `${subjectList} studied at ${getLevelName(decidingLevel.levelKey)}`
+                : `Requires ${subjectList} as subjects, which are not in ${describeLevel(decidingLevel)}`
+        };
+    }
+    
+    const requiredStream = RESTRICTION_STREAMS[normalizedExam];
+    if (!requiredStream) {
+        return {
+            field,
+            userValue,
+            examRequirement: examStream,
+            eligible: true,
+            reason: 'Could not parse stream restriction'
+        };
+    }
+    
+    if (decidingLevel.streams.includes(requiredStream)) {
+        return {
+            field,
+            userValue,
+            examRequirement: examStream,
+            eligible: true,
+            reason: `${describeLevel(decidingLevel)} is in the ${requiredStream} stream`
+        };
+    }
+    
+    return {
+        field,
+        userValue,
+        examRequirement: examStream,
+        eligible: false,
+        reason: decidingLevel.streams.length > 0
+            ? `Requires ${requiredStream} stream, but ${describeLevel(decidingLevel)} is in the ${decidingLevel.streams.join('/')} stream`
+            : `Requires ${requiredStream} stream, but ${describeLevel(decidingLevel)} could not be mapped to a stream`
+    };
+};
+
+export default {
+    STREAMS,
+    getStreamsForCourse,
+    getUserStreams,
+    getDecidingLevel,
+    checkEducationalStreamRestriction
+};
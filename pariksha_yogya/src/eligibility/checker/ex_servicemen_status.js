@@ -6,7 +6,7 @@
  * Check ex-servicemen status eligibility
  * @param {string} userExServicemenStatus - User's ex-servicemen status (YES, NO)
  * @param {string} examExServicemenStatus - Exam's ex-servicemen eligibility criteria
- * @returns {{eligible: boolean, userValue: string, examRequirement: string, field: string}}
+ * @returns {{eligible: boolean, userValue: string, examRequirement: string, field: string, reason: string}}
  */
 export const checkExServicemenStatus = (userExServicemenStatus, examExServicemenStatus) => {
     const field = 'Ex-Servicemen Status';
@@ -20,7 +20,8 @@ export const checkExServicemenStatus = (userExServicemenStatus, examExServicemen
             field,
             userValue: userExServicemenStatus || 'Not specified',
             examRequirement: examExServicemenStatus || 'Not Applicable',
-            eligible: true
+            eligible: true,
+            reason: 'No ex-servicemen restriction'
         };
     }
     
@@ -29,7 +30,8 @@ export const checkExServicemenStatus = (userExServicemenStatus, examExServicemen
             field,
             userValue: 'Not specified',
             examRequirement: examExServicemenStatus,
-            eligible: false
+            eligible: false,
+            reason: 'Ex-servicemen status not specified'
         };
     }
     
@@ -43,7 +45,10 @@ export const checkExServicemenStatus = (userExServicemenStatus, examExServicemen
             field,
             userValue: userExServicemenStatus,
             examRequirement: 'Ex-servicemen only',
-            eligible
+            eligible,
+            reason: eligible
+                ? 'Candidate is an ex-serviceman'
+                : 'This exam is open to ex-servicemen only'
         };
     }
     
@@ -54,7 +59,10 @@ export const checkExServicemenStatus = (userExServicemenStatus, examExServicemen
             field,
             userValue: userExServicemenStatus,
             examRequirement: 'Not for ex-servicemen',
-            eligible
+            eligible,
+            reason: eligible
+                ? 'Candidate is not an ex-serviceman'
+                : 'Ex-servicemen are not eligible for this exam'
         };
     }
     
@@ -62,7 +70,8 @@ export const checkExServicemenStatus = (userExServicemenStatus, examExServicemen
         field,
         userValue: userExServicemenStatus,
         examRequirement: examExServicemenStatus,
-        eligible: true
+        eligible: true,
+        reason: 'Ex-servicemen status accepted'
     };
 };
 
@@ -6,7 +6,7 @@
  * Check gap years eligibility
  * @param {string|number} userGapYears - User's number of gap years
  * @param {string} examGapYears - Exam's allowed gap years policy
- * @returns {{eligible: boolean, userValue: string, examRequirement: string, field: string}}
+ * @returns {{eligible: boolean, userValue: string, examRequirement: string, field: string, reason: string}}
  */
 export const checkGapYearsAllowed = (userGapYears, examGapYears) => {
     const field = 'Gap Years';
@@ -22,7 +22,8 @@ export const checkGapYearsAllowed = (userGapYears, examGapYears) => {
             field,
             userValue: userGapYears !== undefined && userGapYears !== '' ? String(userGapYears) : 'Not specified',
             examRequirement: examGapYears || 'Allowed',
-            eligible: true
+            eligible: true,
+            reason: 'Gap years are allowed'
         };
     }
     
@@ -36,7 +37,10 @@ export const checkGapYearsAllowed = (userGapYears, examGapYears) => {
             field,
             userValue: userGapYears !== undefined && userGapYears !== '' ? String(userGapYears) : '0',
             examRequirement: 'No gap years allowed',
-            eligible
+            eligible,
+            reason: eligible
+                ? 'No gap years'
+                : 'No gap years are allowed'
         };
     }
     
@@ -49,7 +53,10 @@ export const checkGapYearsAllowed = (userGapYears, examGapYears) => {
             field,
             userValue: String(userGapNum),
             examRequirement: `Maximum ${allowedGapYears} gap years`,
-            eligible
+            eligible,
+            reason: eligible
+                ? `${userGapNum} gap years is within the limit of ${allowedGapYears}`
+                : `${userGapNum} gap years exceeds the limit of ${allowedGapYears}`
         };
     }
     
@@ -57,7 +64,8 @@ export const checkGapYearsAllowed = (userGapYears, examGapYears) => {
         field,
         userValue: userGapYears !== undefined && userGapYears !== '' ? String(userGapYears) : 'Not specified',
         examRequirement: examGapYears,
-        eligible: true
+        eligible: true,
+        reason: 'Gap years accepted'
     };
 };
 
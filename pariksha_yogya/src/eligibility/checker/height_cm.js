@@ -1,16 +1,90 @@
 /**
  * Height (cm) Eligibility Checker
+ *
+ * Exam JSON Values:
+ * - "" / "NOT APPLICABLE" / "NA" / "ANY": No restriction → everyone passes
+ * - "157.5": Minimum height in cm
+ * - "150-180" / "150 to 180": Height range in cm (inclusive)
+ * - "AS PER ...": Assessed at the medical examination → not checked here
+ * - Gender-specific object format:
+ *   { "MALE": "157.5", "FEMALE": "152" }
  */
 
+/**
+ * Normalize value for comparison
+ * @param {string} value - Value to normalize
+ * @returns {string} - Normalized uppercase trimmed value
+ */
+const normalizeValue = (value) => {
+    if (!value || typeof value !== 'string') return '';
+    return value.trim().toUpperCase();
+};
+
+/**
+ * Resolve the height requirement applicable to the user's gender
+ * @param {string|Object} examHeight - String requirement or { "MALE": "...", "FEMALE": "..." }
+ * @param {string} userGender - User's gender
+ * @returns {string|null} - Requirement string, or null if no requirement for that gender
+ */
+const getHeightRequirementForGender = (examHeight, userGender) => {
+    if (!examHeight || typeof examHeight !== 'object' || Array.isArray(examHeight)) {
+        return examHeight || '';
+    }
+    
+    const normalizedGender = normalizeValue(userGender);
+    for (const [key, value] of Object.entries(examHeight)) {
+        if (normalizeValue(key) === normalizedGender) {
+            return value ? String(value) : null;
+        }
+    }
+    
+    return null;
+};
+
 /**
  * Check height eligibility
  * @param {string|number} userHeight - User's height in cm
- * @param {string} examHeight - Exam's height requirement (can be range or minimum)
- * @returns {{eligible: boolean, userValue: string, examRequirement: string, field: string}}
+ * @param {string|Object} examHeight - Exam's height requirement (range, minimum, or gender-specific object)
+ * @param {string} userGender - User's gender (used when examHeight is gender-specific)
+ * @returns {{eligible: boolean, userValue: string, examRequirement: string, field: string, reason: string}}
  */
-export const checkHeightCm = (userHeight, examHeight) => {
+export const checkHeightCm = (userHeight, examHeight, userGender = null) => {
     const field = 'Height (cm)';
     
+    // Gender-specific requirement: { "MALE": "157.5", "FEMALE": "152" }
+    if (examHeight && typeof examHeight === 'object' && !Array.isArray(examHeight)) {
+        const allRequirements = Object.entries(examHeight)
+            .map(([gender, value]) => `${gender}: ${value}`)
+            .join(', ');
+        
+        if (!userGender) {
+            return {
+                field,
+                userValue: userHeight ? `${userHeight} cm` : 'Not specified',
+                examRequirement: allRequirements,
+                eligible: false,
+                reason: 'Gender not specified. Height requirement is gender-specific'
+            };
+        }
+        
+        const genderRequirement = getHeightRequirementForGender(examHeight, userGender);
+        if (!genderRequirement) {
+            return {
+                field,
+                userValue: userHeight ? `${userHeight} cm` : 'Not specified',
+                examRequirement: allRequirements,
+                eligible: true,
+                reason: `No height requirement specified for ${userGender}`
+            };
+        }
+        
+        const result = checkHeightCm(userHeight, genderRequirement);
+        return {
+            ...result,
+            examRequirement: `${result.examRequirement} (${normalizeValue(userGender)})`
+        };
+    }
+    
     // No restriction
     if (!examHeight || examHeight === '' || 
         examHeight.toUpperCase() === 'NOT APPLICABLE' ||
@@ -20,7 +94,19 @@ export const checkHeightCm = (userHeight, examHeight) => {
             field,
             userValue: userHeight ? `${userHeight} cm` : 'Not specified',
             examRequirement: examHeight || 'Not Applicable',
-            eligible: true
+            eligible: true,
+            reason: 'No height restriction'
+        };
+    }
+    
+    // Assessed during medical examination (e.g., "AS PER ARMY MEDICAL STANDARDS")
+    if (examHeight.toUpperCase().startsWith('AS PER')) {
+        return {
+            field,
+            userValue: userHeight ? `${userHeight} cm` : 'Not specified',
+            examRequirement: examHeight,
+            eligible: true,
+            reason: 'Height is assessed during the medical examination'
         };
     }
     
@@ -29,7 +115,8 @@ export const checkHeightCm = (userHeight, examHeight) => {
             field,
             userValue: 'Not specified',
             examRequirement: examHeight,
-            eligible: false
+            eligible: false,
+            reason: 'Height not specified'
         };
     }
     
@@ -40,7 +127,8 @@ export const checkHeightCm = (userHeight, examHeight) => {
             field,
             userValue: String(userHeight),
             examRequirement: examHeight,
-            eligible: true
+            eligible: true,
+            reason: 'Could not parse height value'
         };
     }
     
@@ -55,7 +143,10 @@ export const checkHeightCm = (userHeight, examHeight) => {
                 field,
                 userValue: `${userHeightNum} cm`,
                 examRequirement: `${parts[0]} - ${parts[1]} cm`,
-                eligible
+                eligible,
+                reason: eligible
+                    ? `Height ${userHeightNum} cm is within ${parts[0]} - ${parts[1]} cm`
+                    : `Height ${userHeightNum} cm is outside the allowed range of ${parts[0]} - ${parts[1]} cm`
             };
         }
     }
@@ -68,7 +159,10 @@ export const checkHeightCm = (userHeight, examHeight) => {
             field,
             userValue: `${userHeightNum} cm`,
             examRequirement: `Minimum ${examHeightNum} cm`,
-            eligible
+            eligible,
+            reason: eligible
+                ? `Height ${userHeightNum} cm meets the minimum of ${examHeightNum} cm`
+                : `Height ${userHeightNum} cm is below the minimum of ${examHeightNum} cm`
         };
     }
     
@@ -76,7 +170,8 @@ export const checkHeightCm = (userHeight, examHeight) => {
         field,
         userValue: `${userHeightNum} cm`,
         examRequirement: examHeight,
-        eligible: true
+        eligible: true,
+        reason: 'Could not parse height requirement'
     };
 };
 
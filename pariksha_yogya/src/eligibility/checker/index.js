@@ -1,14 +1,14 @@
 /**
  * Eligibility Checker - Main Index File
  * 
- * 13 CHECKS ACTIVE:
+ * 27 CHECKS ACTIVE:
  * ✅ 1. Gender
  * ✅ 2. Marital Status  
  * ✅ 3. PWD Status
  * ✅ 4. Caste Category
  * ✅ 5. Nationality
  * ✅ 6. Domicile
- * ✅ 7. Date of Birth
+ * ✅ 7. Date of Birth (with category-wise age relaxation)
  * ✅ 8-10. Unified Education Level Checker (includes):
  *      - Highest Education Qualification
  *      - Education Course per level
@@ -18,6 +18,20 @@
  * ✅ 11. NCC Wing (simple string check)
  * ✅ 12. NCC Certificate (depends on NCC Wing)
  * ✅ 13. NCC Certificate Grade (depends on NCC Certificate)
+ * ✅ 14. Height (cm) (supports gender-specific object format)
+ * ✅ 15. Weight (kg) (supports gender-specific object format)
+ * ✅ 16. Vision/Eyesight
+ * ✅ 17. Sports Quota Eligibility
+ * ✅ 18. CPL Holder
+ * ✅ 19. Driving License Type
+ * ✅ 20. Language Proficiency
+ * ✅ 21. Current Employment Status
+ * ✅ 22. Work Experience Years
+ * ✅ 23. Ex-Servicemen Status
+ * ✅ 24. Gap Years Allowed
+ * ✅ 25. Active Backlogs Allowed
+ * ✅ 26. Maximum Attempts Allowed (category-specific caps, uses attempts already used)
+ * ✅ 27. Educational Stream Restriction (maps education table course/subject to a stream)
  * 
  * EDUCATION LEVEL CHECKER:
  * - Uses edu_final.json as the SINGLE SOURCE OF TRUTH for dropdown values
@@ -32,7 +46,7 @@
  */
 
 // ============================================
-// ACTIVE IMPORTS (10 out of 31)
+// ACTIVE IMPORTS (24 out of 31)
 // ============================================
 
 // 1. Gender
@@ -119,9 +133,18 @@ import {
     checkBetweenDob,
     hasAgeRequirement,
     shouldShowDobField,
+    relaxMaximumAge,
+    relaxEarliestDob,
     AGE_CRITERIA_TYPES
 } from './date_of_birth.js';
 
+// 7a. Age Relaxation (used by Date of Birth)
+import {
+    resolveAgeRelaxation,
+    parseLegacyAgeRelaxation,
+    STACKING_RULES
+} from './age_relaxation.js';
+
 // 8-10. Unified Education Level Checker (replaces highest_education_qualification, eligibility_education_course, eligibility_education_course_subject)
 import {
     // Constants
@@ -203,8 +226,68 @@ import {
     getAllowedGrades
 } from './ncc_certificate_grade.js';
 
+// 14. Height (cm)
+import { checkHeightCm } from './height_cm.js';
+
+// 15. Weight (kg)
+import { checkWeightKg } from './weight_kg.js';
+
+// 16. Vision/Eyesight
+import { checkVisionEyesight } from './vision_eyesight.js';
+
+// 17. Sports Quota Eligibility
+import { checkSportsQuotaEligibility } from './sports_quota_eligibility.js';
+
+// 18. CPL Holder
+import { checkCplHolder } from './cpl_holder.js';
+
+// 19. Driving License Type
+import { checkDrivingLicenseType } from './driving_license_type.js';
+
+// 20. Language Proficiency
+import { checkLanguageProficiency } from './language_proficiency.js';
+
+// 21. Current Employment Status
+import { checkCurrentEmploymentStatus } from './current_employment_status.js';
+
+// 22. Work Experience Years
+import { checkWorkExperienceYears } from './work_experience_years.js';
+
+// 23. Ex-Servicemen Status
+import { checkExServicemenStatus } from './ex_servicemen_status.js';
+
+// 24. Gap Years Allowed
+import { checkGapYearsAllowed } from './gap_years_allowed.js';
+
+// 25. Active Backlogs Allowed
+import { checkActiveBacklogsAllowed } from './active_backlogs_allowed.js';
+
+// 26. Maximum Attempts Allowed
+import {
+    checkMaximumAttemptsAllowed,
+    getAttemptCapForUser,
+    parseCategoryAttempts
+} from './maximum_attempts_allowed.js';
+
+// 27. Educational Stream Restriction
+import {
+    checkEducationalStreamRestriction,
+    getStreamsForCourse,
+    getUserStreams,
+    STREAMS
+} from './educational_stream_restriction.js';
+
+// Structured trace of each check (replaces console.log debugging)
+import {
+    createTrace,
+    setTraceDebug,
+    isTraceDebugEnabled,
+    setTraceSink,
+    TRACE_DEBUG_STORAGE_KEY
+} from './trace.js';
+
 // ============================================
-// EXPORTS - 13 active checkers
+// EXPORTS - 27 active checkers
 // ============================================
 
 export {
@@ -279,8 +362,15 @@ export {
     checkBetweenDob,
     hasAgeRequirement,
     shouldShowDobField,
+    relaxMaximumAge,
+    relaxEarliestDob,
     AGE_CRITERIA_TYPES,
     
+    // 7a. Age Relaxation
+    resolveAgeRelaxation,
+    parseLegacyAgeRelaxation,
+    STACKING_RULES,
+    
     // 8-10. Unified Education Level Checker
     // Constants
     EDUCATION_HIERARCHY,
@@ -351,7 +441,39 @@ export {
     
     // 13. NCC Certificate Grade
     checkNccCertificateGrade,
-    getAllowedGrades
+    getAllowedGrades,
+    
+    // 14-25. Physical standards, credentials & background
+    checkHeightCm,
+    checkWeightKg,
+    checkVisionEyesight,
+    checkSportsQuotaEligibility,
+    checkCplHolder,
+    checkDrivingLicenseType,
+    checkLanguageProficiency,
+    checkCurrentEmploymentStatus,
+    checkWorkExperienceYears,
+    checkExServicemenStatus,
+    checkGapYearsAllowed,
+    checkActiveBacklogsAllowed,
+    
+    // 26. Maximum Attempts Allowed
+    checkMaximumAttemptsAllowed,
+    getAttemptCapForUser,
+    parseCategoryAttempts,
+    
+    // 27. Educational Stream Restriction
+    checkEducationalStreamRestriction,
+    getStreamsForCourse,
+    getUserStreams,
+    STREAMS,
+    
+    // Trace
+    createTrace,
+    setTraceDebug,
+    isTraceDebugEnabled,
+    setTraceSink,
+    TRACE_DEBUG_STORAGE_KEY
 };
 
 // ============================================
@@ -365,10 +487,13 @@ export {
  * @param {Object} userInput - User's input data
  * @param {Object} examData - Exam JSON data (division-specific data passed by frontend)
  * @param {string} examSession - Exam session (not used yet)
- * @returns {{eligible: boolean, results: Object[], summary: string}}
+ * @returns {{eligible: boolean, results: Object[], summary: string, trace: Object[]}}
+ *   trace: one entry per check ({step, check, field, inputs, rule, eligible, reason}),
+ *   also sent to the debug sink when tracing is enabled (see trace.js)
  */
 export const checkFullEligibility = (userInput, examData, examSession = null) => {
     const results = [];
+    const trace = createTrace();
     let allEligible = true;
 
     // Helper to add result and track eligibility
@@ -388,11 +513,9 @@ export const checkFullEligibility = (userInput, examData, examSession = null) =>
     if (examGender && examGender !== '' && examGender !== 'ALL APPLICABLE' && examGender !== 'NOT APPLICABLE') {
         const genderResult = checkGender(userInput.gender, examGender);
         addResult(genderResult);
-        console.log('[Gender Check]', {
+        trace.record('Gender Check', genderResult, {
             userGender: userInput.gender,
-            examGender: examGender,
-            eligible: genderResult.eligible,
-            reason: genderResult.reason
+            examGender: examGender
         });
     }
 
@@ -414,12 +537,10 @@ export const checkFullEligibility = (userInput, examData, examSession = null) =>
         // Pass userGender for gender-specific marital status checking
         const maritalResult = checkMaritalStatus(userInput.marital_status, examMaritalStatus, userInput.gender);
         addResult(maritalResult);
-        console.log('[Marital Status Check]', {
+        trace.record('Marital Status Check', maritalResult, {
             userStatus: userInput.marital_status,
             userGender: userInput.gender,
-            examStatus: examMaritalStatus,
-            eligible: maritalResult.eligible,
-            reason: maritalResult.reason
+            examStatus: examMaritalStatus
         });
     }
 
@@ -433,11 +554,9 @@ export const checkFullEligibility = (userInput, examData, examSession = null) =>
     if (examPwdStatus && examPwdStatus !== '' && examPwdStatus !== 'ALL APPLICABLE') {
         const pwdResult = checkPwdStatus(userInput.pwd_status, examPwdStatus);
         addResult(pwdResult);
-        console.log('[PWD Status Check]', {
+        trace.record('PWD Status Check', pwdResult, {
             userPwd: userInput.pwd_status,
-            examPwd: examPwdStatus,
-            eligible: pwdResult.eligible,
-            reason: pwdResult.reason
+            examPwd: examPwdStatus
         });
     }
 
@@ -448,11 +567,9 @@ export const checkFullEligibility = (userInput, examData, examSession = null) =>
     if (examCasteCategory && examCasteCategory !== '' && examCasteCategory !== 'ALL APPLICABLE' && examCasteCategory !== 'NOT APPLICABLE') {
         const casteResult = checkCasteCategory(userInput.caste_category, examCasteCategory);
         addResult(casteResult);
-        console.log('[Caste Category Check]', {
+        trace.record('Caste Category Check', casteResult, {
             userCaste: userInput.caste_category,
-            examCaste: examCasteCategory,
-            eligible: casteResult.eligible,
-            reason: casteResult.reason
+            examCaste: examCasteCategory
         });
     }
 
@@ -463,11 +580,9 @@ export const checkFullEligibility = (userInput, examData, examSession = null) =>
     if (examNationality && examNationality !== '' && examNationality !== 'ALL APPLICABLE' && examNationality !== 'NOT APPLICABLE') {
         const nationalityResult = checkNationality(userInput.nationality, examNationality);
         addResult(nationalityResult);
-        console.log('[Nationality Check]', {
+        trace.record('Nationality Check', nationalityResult, {
             userNationality: userInput.nationality,
-            examNationality: examNationality,
-            eligible: nationalityResult.eligible,
-            reason: nationalityResult.reason
+            examNationality: examNationality
         });
     }
 
@@ -483,12 +598,10 @@ export const checkFullEligibility = (userInput, examData, examSession = null) =>
     if (userNationality === 'INDIAN' && examDomicile && examDomicile !== '') {
         const domicileResult = checkDomicile(userInput.domicile, examDomicile, userInput.nationality);
         addResult(domicileResult);
-        console.log('[Domicile Check]', {
+        trace.record('Domicile Check', domicileResult, {
             userDomicile: userInput.domicile,
             examDomicile: examDomicile,
-            userNationality: userInput.nationality,
-            eligible: domicileResult.eligible,
-            reason: domicileResult.reason
+            userNationality: userInput.nationality
         });
     }
 
@@ -497,6 +610,8 @@ export const checkFullEligibility = (userInput, examData, examSession = null) =>
     // Handles 6 age/DOB criteria types:
     // - STARTING_AGE, ENDING_AGE, BETWEEN_AGE (age calculation)
     // - MINIMUM_DOB, MAXIMUM_DOB, BETWEEN_DOB (date comparison)
+    // Passes userInput so age_relaxation (category, PwD, ex-servicemen, ...)
+    // can extend the upper age bound
     // ============================================
     const ageCriteriaType = examData?.age_criteria_type?.toUpperCase() || '';
     const hasAgeCriteria = ageCriteriaType !== '' && 
@@ -511,15 +626,14 @@ export const checkFullEligibility = (userInput, examData, examSession = null) =>
     if (hasAgeCriteria || hasAgeFields) {
         // Get exam code from examData for session key matching
         const examCode = examData?.exam_code || null;
-        const dobResult = checkDateOfBirth(userInput.date_of_birth, examData, examSession, examCode);
+        const dobResult = checkDateOfBirth(userInput.date_of_birth, examData, examSession, examCode, userInput);
         addResult(dobResult);
-        console.log('[Date of Birth Check]', {
+        trace.record('Date of Birth Check', dobResult, {
             userDob: userInput.date_of_birth,
             examSession: examSession,
             ageCriteriaType: ageCriteriaType,
-            eligible: dobResult.eligible,
-            reason: dobResult.reason,
-            userAge: dobResult.userAge
+            userAge: dobResult.userAge,
+            ageRelaxation: dobResult.ageRelaxation
         });
     }
 
@@ -535,11 +649,9 @@ export const checkFullEligibility = (userInput, examData, examSession = null) =>
             examEducationLevel
         );
         addResult(educationResult);
-        console.log('[Highest Education Qualification Check]', {
+        trace.record('Highest Education Qualification Check', educationResult, {
             userEducation: userInput.highest_education_qualification,
-            examEducation: examEducationLevel,
-            eligible: educationResult.eligible,
-            reason: educationResult.reason
+            examEducation: examEducationLevel
         });
     }
 
@@ -578,10 +690,8 @@ export const checkFullEligibility = (userInput, examData, examSession = null) =>
                 levelKey
             );
             addResult(courseResult);
-            console.log(`[Education Course Check - ${levelKey}]`, {
-                userCourse: levelUserData.course,
-                eligible: courseResult.eligible,
-                reason: courseResult.reason
+            trace.record(`Education Course Check - ${levelKey}`, courseResult, {
+                userCourse: levelUserData.course
             });
             
             // Check subject for this level
@@ -592,10 +702,8 @@ export const checkFullEligibility = (userInput, examData, examSession = null) =>
                 levelUserData.course
             );
             addResult(subjectResult);
-            console.log(`[Education Subject Check - ${levelKey}]`, {
-                userSubject: levelUserData.subject,
-                eligible: subjectResult.eligible,
-                reason: subjectResult.reason
+            trace.record(`Education Subject Check - ${levelKey}`, subjectResult, {
+                userSubject: levelUserData.subject
             });
             
             // Check marks percentage (with PWD consideration)
@@ -607,12 +715,10 @@ export const checkFullEligibility = (userInput, examData, examSession = null) =>
                 isPwd
             );
             addResult(marksResult);
-            console.log(`[Education Marks Check - ${levelKey}]`, {
+            trace.record(`Education Marks Check - ${levelKey}`, marksResult, {
                 userMarks: levelUserData.marks_percentage,
                 category: userCategory,
-                isPwd: isPwd,
-                eligible: marksResult.eligible,
-                reason: marksResult.reason
+                isPwd: isPwd
             });
         }
         
@@ -623,10 +729,7 @@ export const checkFullEligibility = (userInput, examData, examSession = null) =>
         );
         if (equivalencyResult.examRequirement !== 'No specific requirement') {
             addResult(equivalencyResult);
-            console.log('[Diploma/12th Equivalency Check]', {
-                eligible: equivalencyResult.eligible,
-                reason: equivalencyResult.reason
-            });
+            trace.record('Diploma/12th Equivalency Check', equivalencyResult);
         }
     }
 
@@ -658,19 +761,17 @@ export const checkFullEligibility = (userInput, examData, examSession = null) =>
                 : `NCC Wing ${userNccWing} not in allowed list: ${examNccWing}`;
         }
         
-        addResult({
+        const nccWingResult = {
             field: 'ncc_wing',
             userValue: userNccWing || 'Not specified',
             examRequirement: examNccWing,
             eligible: nccWingEligible,
             reason: nccWingReason
-        });
-        
-        console.log('[NCC Wing Check]', {
+        };
+        addResult(nccWingResult);
+        trace.record('NCC Wing Check', nccWingResult, {
             userNccWing: userNccWing,
-            examNccWing: examNccWing,
-            eligible: nccWingEligible,
-            reason: nccWingReason
+            examNccWing: examNccWing
         });
     }
 
@@ -691,12 +792,10 @@ export const checkFullEligibility = (userInput, examData, examSession = null) =>
             userInput.ncc_wing  // Pass user's NCC wing for wing-based filtering
         );
         addResult(nccCertResult);
-        console.log('[NCC Certificate Check]', {
+        trace.record('NCC Certificate Check', nccCertResult, {
             userNccCertificate: userInput.ncc_certificate,
             userNccWing: userInput.ncc_wing,
-            examNccCertificate: examNccCertificate,
-            eligible: nccCertResult.eligible,
-            reason: nccCertResult.reason
+            examNccCertificate: examNccCertificate
         });
     }
 
@@ -717,23 +816,245 @@ export const checkFullEligibility = (userInput, examData, examSession = null) =>
             userInput.ncc_certificate  // Pass user's NCC certificate for certificate-based filtering
         );
         addResult(nccGradeResult);
-        console.log('[NCC Certificate Grade Check]', {
+        trace.record('NCC Certificate Grade Check', nccGradeResult, {
             userNccGrade: userInput.ncc_certificate_grade,
             userNccCertificate: userInput.ncc_certificate,
-            examNccGrade: examNccGrade,
-            eligible: nccGradeResult.eligible,
-            reason: nccGradeResult.reason
+            examNccGrade: examNccGrade
+        });
+    }
+
+    // ============================================
+    // CHECK 14: HEIGHT (CM) (ACTIVE)
+    // Supports both string format and gender-specific object format
+    // e.g. { "MALE": "157.5", "FEMALE": "152" }
+    // ============================================
+    const examHeight = examData?.height_cm;
+    const shouldCheckHeight = examHeight && (
+        typeof examHeight === 'object' ||
+        (examHeight !== '' && examHeight !== 'ALL APPLICABLE' && examHeight !== 'NOT APPLICABLE')
+    );
+    
+    if (shouldCheckHeight) {
+        // Pass userGender for gender-specific requirements
+        const heightResult = checkHeightCm(userInput.height_cm, examHeight, userInput.gender);
+        addResult(heightResult);
+        trace.record('Height Check', heightResult, {
+            userHeight: userInput.height_cm,
+            userGender: userInput.gender,
+            examHeight: examHeight
+        });
+    }
+
+    // ============================================
+    // CHECK 15: WEIGHT (KG) (ACTIVE)
+    // Supports both string format and gender-specific object format
+    // e.g. { "MALE": "50", "FEMALE": "42" }
+    // ============================================
+    const examWeight = examData?.weight_kg;
+    const shouldCheckWeight = examWeight && (
+        typeof examWeight === 'object' ||
+        (examWeight !== '' && examWeight !== 'ALL APPLICABLE' && examWeight !== 'NOT APPLICABLE')
+    );
+    
+    if (shouldCheckWeight) {
+        // Pass userGender for gender-specific requirements
+        const weightResult = checkWeightKg(userInput.weight_kg, examWeight, userInput.gender);
+        addResult(weightResult);
+        trace.record('Weight Check', weightResult, {
+            userWeight: userInput.weight_kg,
+            userGender: userInput.gender,
+            examWeight: examWeight
+        });
+    }
+
+    // ============================================
+    // CHECK 16: VISION/EYESIGHT (ACTIVE)
+    // ============================================
+    const examVision = examData?.vision_eyesight;
+    if (examVision && examVision !== '' && examVision !== 'ALL APPLICABLE' && examVision !== 'NOT APPLICABLE') {
+        const visionResult = checkVisionEyesight(userInput.vision_eyesight, examVision);
+        addResult(visionResult);
+        trace.record('Vision/Eyesight Check', visionResult, {
+            userVision: userInput.vision_eyesight,
+            examVision: examVision
+        });
+    }
+
+    // ============================================
+    // CHECK 17: SPORTS QUOTA ELIGIBILITY (ACTIVE)
+    // ============================================
+    const examSportsQuota = examData?.sports_quota_eligibility;
+    if (examSportsQuota && examSportsQuota !== '' && examSportsQuota !== 'ALL APPLICABLE' && examSportsQuota !== 'NOT APPLICABLE') {
+        const sportsQuotaResult = checkSportsQuotaEligibility(userInput.sports_quota_eligibility, examSportsQuota);
+        addResult(sportsQuotaResult);
+        trace.record('Sports Quota Check', sportsQuotaResult, {
+            userSportsQuota: userInput.sports_quota_eligibility,
+            examSportsQuota: examSportsQuota
+        });
+    }
+
+    // ============================================
+    // CHECK 18: CPL HOLDER (ACTIVE)
+    // ============================================
+    const examCplHolder = examData?.cpl_holder;
+    if (examCplHolder && examCplHolder !== '' && examCplHolder !== 'ALL APPLICABLE' && examCplHolder !== 'NOT APPLICABLE') {
+        const cplResult = checkCplHolder(userInput.cpl_holder, examCplHolder);
+        addResult(cplResult);
+        trace.record('CPL Holder Check', cplResult, {
+            userCplHolder: userInput.cpl_holder,
+            examCplHolder: examCplHolder
+        });
+    }
+
+    // ============================================
+    // CHECK 19: DRIVING LICENSE TYPE (ACTIVE)
+    // ============================================
+    const examDrivingLicense = examData?.driving_license_type;
+    if (examDrivingLicense && examDrivingLicense !== '' && examDrivingLicense !== 'ALL APPLICABLE' && examDrivingLicense !== 'NOT APPLICABLE') {
+        const drivingLicenseResult = checkDrivingLicenseType(userInput.driving_license_type, examDrivingLicense);
+        addResult(drivingLicenseResult);
+        trace.record('Driving License Check', drivingLicenseResult, {
+            userDrivingLicense: userInput.driving_license_type,
+            examDrivingLicense: examDrivingLicense
+        });
+    }
+
+    // ============================================
+    // CHECK 20: LANGUAGE PROFICIENCY (ACTIVE)
+    // User languages can be an array (multi-select) or a comma-separated string
+    // ============================================
+    const examLanguages = examData?.language_proficiency;
+    if (examLanguages && examLanguages !== '' && examLanguages !== 'ALL APPLICABLE' && examLanguages !== 'NOT APPLICABLE') {
+        const languageResult = checkLanguageProficiency(userInput.language_proficiency, examLanguages);
+        addResult(languageResult);
+        trace.record('Language Proficiency Check', languageResult, {
+            userLanguages: userInput.language_proficiency,
+            examLanguages: examLanguages
         });
     }
 
     // ============================================
-    // CHECKS 14-31: TEMPORARILY DISABLED
+    // CHECK 21: CURRENT EMPLOYMENT STATUS (ACTIVE)
+    // ============================================
+    const examEmploymentStatus = examData?.current_employment_status;
+    if (examEmploymentStatus && examEmploymentStatus !== '' && examEmploymentStatus !== 'ALL APPLICABLE' && examEmploymentStatus !== 'NOT APPLICABLE') {
+        const employmentResult = checkCurrentEmploymentStatus(userInput.current_employment_status, examEmploymentStatus);
+        addResult(employmentResult);
+        trace.record('Employment Status Check', employmentResult, {
+            userEmploymentStatus: userInput.current_employment_status,
+            examEmploymentStatus: examEmploymentStatus
+        });
+    }
+
+    // ============================================
+    // CHECK 22: WORK EXPERIENCE YEARS (ACTIVE)
+    // ============================================
+    const examWorkExperience = examData?.work_experience_years;
+    if (examWorkExperience && examWorkExperience !== '' && examWorkExperience !== 'ALL APPLICABLE' && examWorkExperience !== 'NOT APPLICABLE') {
+        const workExperienceResult = checkWorkExperienceYears(userInput.work_experience_years, examWorkExperience);
+        addResult(workExperienceResult);
+        trace.record('Work Experience Check', workExperienceResult, {
+            userWorkExperience: userInput.work_experience_years,
+            examWorkExperience: examWorkExperience
+        });
+    }
+
+    // ============================================
+    // CHECK 23: EX-SERVICEMEN STATUS (ACTIVE)
+    // ============================================
+    const examExServicemen = examData?.ex_servicemen_status;
+    if (examExServicemen && examExServicemen !== '' && examExServicemen !== 'ALL APPLICABLE' && examExServicemen !== 'NOT APPLICABLE') {
+        const exServicemenResult = checkExServicemenStatus(userInput.ex_servicemen_status, examExServicemen);
+        addResult(exServicemenResult);
+        trace.record('Ex-Servicemen Status Check', exServicemenResult, {
+            userExServicemen: userInput.ex_servicemen_status,
+            examExServicemen: examExServicemen
+        });
+    }
+
+    // ============================================
+    // CHECK 24: GAP YEARS ALLOWED (ACTIVE)
+    // ============================================
+    const examGapYears = examData?.gap_years_allowed;
+    if (examGapYears && examGapYears !== '' && examGapYears !== 'ALL APPLICABLE' && examGapYears !== 'NOT APPLICABLE') {
+        const gapYearsResult = checkGapYearsAllowed(userInput.gap_years_allowed, examGapYears);
+        addResult(gapYearsResult);
+        trace.record('Gap Years Check', gapYearsResult, {
+            userGapYears: userInput.gap_years_allowed,
+            examGapYears: examGapYears
+        });
+    }
+
+    // ============================================
+    // CHECK 25: ACTIVE BACKLOGS ALLOWED (ACTIVE)
+    // ============================================
+    const examActiveBacklogs = examData?.active_backlogs_allowed;
+    if (examActiveBacklogs && examActiveBacklogs !== '' && examActiveBacklogs !== 'ALL APPLICABLE' && examActiveBacklogs !== 'NOT APPLICABLE') {
+        const backlogsResult = checkActiveBacklogsAllowed(userInput.active_backlogs_allowed, examActiveBacklogs);
+        addResult(backlogsResult);
+        trace.record('Active Backlogs Check', backlogsResult, {
+            userBacklogs: userInput.active_backlogs_allowed,
+            examActiveBacklogs: examActiveBacklogs
+        });
+    }
+
+    // ============================================
+    // CHECK 26: MAXIMUM ATTEMPTS ALLOWED (ACTIVE)
+    // Uses attempts the user has already used for this exam
+    // Supports numeric caps, "UNLIMITED", "TILL AGE LIMIT REACHED"
+    // and category-specific caps ("GENERAL: 6, OBC: 9, SC/ST: UNLIMITED")
+    // ============================================
+    const examAttempts = examData?.maximum_attempts_allowed;
+    const shouldCheckAttempts = examAttempts && (
+        typeof examAttempts === 'object' ||
+        (examAttempts !== '' && examAttempts !== 'ALL APPLICABLE' && examAttempts !== 'NOT APPLICABLE')
+    );
+    
+    if (shouldCheckAttempts) {
+        // Pass category and PWD status for category-specific caps
+        const attemptsResult = checkMaximumAttemptsAllowed(
+            userInput.attempts_used,
+            examAttempts,
+            userInput.caste_category,
+            userInput.pwd_status
+        );
+        addResult(attemptsResult);
+        trace.record('Attempts Check', attemptsResult, {
+            userAttemptsUsed: userInput.attempts_used,
+            userCaste: userInput.caste_category,
+            examAttempts: examAttempts
+        });
+    }
+
+    // ============================================
+    // CHECK 27: EDUCATIONAL STREAM RESTRICTION (ACTIVE)
+    // Maps the course/subject picked in the education table to a stream
+    // (SCIENCE, COMMERCE, ARTS, ENGINEERING, ...) using edu_final.json courses
+    // Supports subject restrictions like "SCIENCE WITH PCM"
+    // ============================================
+    const examStream = examData?.educational_stream_restriction;
+    if (examStream && examStream !== '' && examStream !== 'ALL APPLICABLE' && examStream !== 'NOT APPLICABLE') {
+        const streamResult = checkEducationalStreamRestriction(
+            userInput.education_levels,
+            examStream,
+            examData?.highest_education_qualification
+        );
+        addResult(streamResult);
+        trace.record('Educational Stream Check', streamResult, {
+            userEducation: streamResult.userValue,
+            examStream: examStream
+        });
+    }
+
+    // ============================================
+    // CHECKS 28-31: TEMPORARILY DISABLED
     // Will be enabled one by one after testing
     // ============================================
 
     const summary = allEligible ? 'Eligible' : 'Not Eligible';
 
-    console.log('[checkFullEligibility Result]', {
+    trace.emit({
+        check: 'checkFullEligibility Result',
         eligible: allEligible,
         resultsCount: results.length,
         summary
@@ -742,7 +1063,8 @@ export const checkFullEligibility = (userInput, examData, examSession = null) =>
     return {
         eligible: allEligible,
         results,
-        summary
+        summary,
+        trace: trace.entries
     };
 };
 
@@ -824,8 +1146,15 @@ export default {
     checkBetweenDob,
     hasAgeRequirement,
     shouldShowDobField,
+    relaxMaximumAge,
+    relaxEarliestDob,
     AGE_CRITERIA_TYPES,
     
+    // 7a. Age Relaxation
+    resolveAgeRelaxation,
+    parseLegacyAgeRelaxation,
+    STACKING_RULES,
+    
     // Education Level helpers (unified)
     EDUCATION_HIERARCHY,
     EDUCATION_LEVEL_KEYS,
@@ -883,5 +1212,36 @@ export default {
     
     // NCC Certificate Grade helpers
     checkNccCertificateGrade,
-    getAllowedGrades
+    getAllowedGrades,
+    
+    // Physical standards, credentials & background
+    checkHeightCm,
+    checkWeightKg,
+    checkVisionEyesight,
+    checkSportsQuotaEligibility,
+    checkCplHolder,
+    checkDrivingLicenseType,
+    checkLanguageProficiency,
+    checkCurrentEmploymentStatus,
+    checkWorkExperienceYears,
+    checkExServicemenStatus,
+    checkGapYearsAllowed,
+    checkActiveBacklogsAllowed,
+    
+    // 26. Maximum Attempts Allowed
+    checkMaximumAttemptsAllowed,
+    getAttemptCapForUser,
+    parseCategoryAttempts,
+    
+    // 27. Educational Stream Restriction
+    checkEducationalStreamRestriction,
+    getStreamsForCourse,
+    getUserStreams,
+    STREAMS,
+    
+    // Trace
+    createTrace,
+    setTraceDebug,
+    isTraceDebugEnabled,
+    setTraceSink
 };
\ No newline at end of file
@@ -6,7 +6,7 @@
  * Check language proficiency eligibility
  * @param {string|Array} userLanguages - User's language proficiencies
  * @param {string} examLanguages - Exam's language requirements
- * @returns {{eligible: boolean, userValue: string, examRequirement: string, field: string}}
+ * @returns {{eligible: boolean, userValue: string, examRequirement: string, field: string, reason: string}}
  */
 export const checkLanguageProficiency = (userLanguages, examLanguages) => {
     const field = 'Language Proficiency';
@@ -18,18 +18,20 @@ export const checkLanguageProficiency = (userLanguages, examLanguages) => {
         examLanguages.toUpperCase() === 'ANY') {
         return {
             field,
-            userValue: userLanguages ? (Array.isArray(userLanguages) ? userLanguages.join(', ') : userLanguages) : 'Not specified',
+            userValue: userLanguages && userLanguages.length > 0 ? (Array.isArray(userLanguages) ? userLanguages.join(', ') : userLanguages) : 'Not specified',
             examRequirement: examLanguages || 'Not Applicable',
-            eligible: true
+            eligible: true,
+            reason: 'No language requirement'
         };
     }
     
-    if (!userLanguages) {
+    if (!userLanguages || userLanguages.length === 0) {
         return {
             field,
             userValue: 'Not specified',
             examRequirement: examLanguages,
-            eligible: false
+            eligible: false,
+            reason: 'Language proficiency not specified'
         };
     }
     
@@ -50,7 +52,10 @@ export const checkLanguageProficiency = (userLanguages, examLanguages) => {
         field,
         userValue: Array.isArray(userLanguages) ? userLanguages.join(', ') : userLanguages,
         examRequirement: examLanguages,
-        eligible
+        eligible,
+        reason: eligible
+            ? 'Language requirement met'
+            : `Proficiency in one of ${examLanguages} is required`
     };
 };
 
@@ -0,0 +1,197 @@
+/**
+ * Maximum Attempts Allowed Eligibility Checker
+ *
+ * Compares the number of attempts the user has ALREADY USED for the exam
+ * with the exam's attempt limit. User is eligible while attempts used < cap.
+ *
+ * Exam JSON Values:
+ * - "" / "ALL APPLICABLE" / "NOT APPLICABLE": No restriction → skip this check
+ * - "UNLIMITED" / "NO LIMIT": No attempt limit → everyone passes
+ * - "TILL AGE LIMIT REACHED": Bounded only by the age criteria → passes here
+ * - "6": Numeric cap for everyone
+ * - "GENERAL: 6, OBC: 9, SC/ST: UNLIMITED, PwBD (GEN): 9": Category-specific caps
+ * - Category-specific object format:
+ *   { "GEN": "6", "OBC": "9", "SC": "UNLIMITED", "ST": "UNLIMITED" }
+ *
+ * PwBD caps ("PwBD (GEN)") apply only when the user's pwd_status is YES and
+ * take precedence over the plain category cap.
+ */
+
+import { normalizeValue, toCategoryCode } from './caste_category.js';
+
+// Values meaning there is no numeric cap
+const NO_CAP_VALUES = ['UNLIMITED', 'NO LIMIT', 'TILL AGE LIMIT REACHED'];
+
+/**
+ * Parse category-specific attempt caps into a lookup
+ * @param {string|Object} examAttempts - "GENERAL: 6, OBC: 9, SC/ST: UNLIMITED, PwBD (GEN): 9" or object
+ * @returns {{categories: Object, pwd: Object}|null} - Caps keyed by category short code, or null if not category-specific
+ */
+export const parseCategoryAttempts = (examAttempts) => {
+    const caps = { categories: {}, pwd: {} };
+    
+    let entries = [];
+    if (examAttempts && typeof examAttempts === 'object' && !Array.isArray(examAttempts)) {
+        entries = Object.entries(examAttempts);
+    } else if (typeof examAttempts === 'string' && examAttempts.includes(':')) {
+        entries = examAttempts.split(',')
+            .map(clause => clause.split(':'))
+            .filter(parts => parts.length === 2);
+    } else {
+        return null;
+    }
+    
+    for (const [label, value] of entries) {
+        const normalizedLabel = normalizeValue(label);
+        const cap = normalizeValue(String(value));
+        
+        // "PWBD (GEN)", "PWD (SC/ST)"
+        const pwdMatch = normalizedLabel.match(/^PWB?D\s*(?:\((.+)\))?$/);
+        const target = pwdMatch ? caps.pwd : caps.categories;
+        const categories = pwdMatch
+            ? (pwdMatch[1] ? pwdMatch[1].split('/') : ['ALL'])
+            : normalizedLabel.split('/');
+        
+        categories.forEach(cat => {
+            target[toCategoryCode(cat)] = cap;
+        });
+    }
+    
+    return caps;
+};
+
+/**
+ * Resolve the attempt cap applicable to the user
+ * @param {string|Object} examAttempts - Exam's maximum_attempts_allowed
+ * @param {string} userCategory - User's caste category
+ * @param {string} userPwdStatus - User's PWD status (YES, NO)
+ * @returns {{cap: string|null, appliesTo: string}} - cap is the raw value (e.g. "6", "UNLIMITED"), null if none for the user
+ */
+export const getAttemptCapForUser = (examAttempts, userCategory = null, userPwdStatus = null) => {
+    const categoryCaps = parseCategoryAttempts(examAttempts);
+    
+    if (!categoryCaps) {
+        return { cap: normalizeValue(String(examAttempts || '')), appliesTo: 'All candidates' };
+    }
+    
+    const categoryCode = toCategoryCode(userCategory);
+    
+    if (normalizeValue(userPwdStatus) === 'YES') {
+        const pwdCap = categoryCaps.pwd[categoryCode] || categoryCaps.pwd['ALL'];
+        if (pwdCap) {
+            return { cap: pwdCap, appliesTo: `PwBD (${categoryCode || 'ALL'})` };
+        }
+    }
+    
+    if (categoryCode && categoryCaps.categories[categoryCode]) {
+        return { cap: categoryCaps.categories[categoryCode], appliesTo: categoryCode };
+    }
+    
+    return { cap: null, appliesTo: categoryCode || 'Not specified' };
+};
+
+/**
+ * Check attempt-limit eligibility
+ * @param {string|number} userAttemptsUsed - Number of attempts the user has already used for this exam
+ * @param {string|Object} examAttempts - Exam's maximum_attempts_allowed
+ * @param {string} userCategory - User's caste category (for category-specific caps)
+ * @param {string} userPwdStatus - User's PWD status (for PwBD caps)
+ * @returns {{eligible: boolean, userValue: string, examRequirement: string, field: string, reason: string, attemptsRemaining: number|null}}
+ */
+export const checkMaximumAttemptsAllowed = (userAttemptsUsed, examAttempts, userCategory = null, userPwdStatus = null) => {
+    const field = 'Attempts';
+    
+    // Attempts not entered → treated as a first attempt
+    const attemptsSpecified = userAttemptsUsed !== undefined && userAttemptsUsed !== null && userAttemptsUsed !== '';
+    const attemptsUsed = attemptsSpecified ? parseInt(userAttemptsUsed, 10) : 0;
+    const userValue = attemptsSpecified ? `${attemptsUsed} used` : 'Not specified (0 used)';
+    
+    const examRequirement = typeof examAttempts === 'object' && examAttempts !== null
+        ? Object.entries(examAttempts).map(([key, value]) => `${key}: ${value}`).join(', ')
+        : (examAttempts || 'Not Applicable');
+    
+    // No restriction
+    const normalizedExam = typeof examAttempts === 'string' ? normalizeValue(examAttempts) : '';
+    if (!examAttempts || normalizedExam === 'NOT APPLICABLE' || normalizedExam === 'ALL APPLICABLE') {
+        return {
+            field,
+            userValue,
+            examRequirement,
+            eligible: true,
+            reason: 'No attempt limit',
+            attemptsRemaining: null
+        };
+    }
+    
+    if (isNaN(attemptsUsed) || attemptsUsed < 0) {
+        return {
+            field,
+            userValue: String(userAttemptsUsed),
+            examRequirement,
+            eligible: true,
+            reason: 'Could not parse attempts used',
+            attemptsRemaining: null
+        };
+    }
+    
+    const { cap, appliesTo } = getAttemptCapForUser(examAttempts, userCategory, userPwdStatus);
+    
+    // Category-specific caps without a cap for the user's category
+    if (cap === null) {
+        return {
+            field,
+            userValue,
+            examRequirement,
+            eligible: true,
+            reason: `No attempt limit specified for ${appliesTo}`,
+            attemptsRemaining: null
+        };
+    }
+    
+    if (NO_CAP_VALUES.includes(cap)) {
+        return {
+            field,
+            userValue,
+            examRequirement,
+            eligible: true,
+            reason: cap === 'TILL AGE LIMIT REACHED'
+                ? 'Attempts are limited only by the age criteria'
+                : (appliesTo === 'All candidates' ? 'Unlimited attempts' : `Unlimited attempts for ${appliesTo}`),
+            attemptsRemaining: null
+        };
+    }
+    
+    const maxAttempts = parseInt(cap, 10);
+    if (isNaN(maxAttempts)) {
+        return {
+            field,
+            userValue,
+            examRequirement,
+            eligible: true,
+            reason: 'Could not parse attempt limit',
+            attemptsRemaining: null
+        };
+    }
+    
+    const attemptsRemaining = Math.max(maxAttempts - attemptsUsed, 0);
+    const eligible = attemptsUsed < maxAttempts;
+    
+    return {
+        field,
+        userValue,
+        examRequirement: appliesTo === 'All candidates'
+            ? `Maximum ${maxAttempts} attempts`
+            : `Maximum ${maxAttempts} attempts (${appliesTo})`,
+        eligible,
+        reason: eligible
+            ? `${attemptsRemaining} of ${maxAttempts} attempts remaining`
+            : `All ${maxAttempts} attempts have been used`,
+        attemptsRemaining
+    };
+};
+
+export default {
+    parseCategoryAttempts,
+    getAttemptCapForUser,
+    checkMaximumAttemptsAllowed
+};
@@ -6,7 +6,7 @@
  * Check sports quota eligibility
  * @param {string} userSportsQuota - User's sports quota status/level
  * @param {string} examSportsQuota - Exam's sports quota eligibility criteria
- * @returns {{eligible: boolean, userValue: string, examRequirement: string, field: string}}
+ * @returns {{eligible: boolean, userValue: string, examRequirement: string, field: string, reason: string}}
  */
 export const checkSportsQuotaEligibility = (userSportsQuota, examSportsQuota) => {
     const field = 'Sports Quota';
@@ -19,7 +19,8 @@ export const checkSportsQuotaEligibility = (userSportsQuota, examSportsQuota) =>
             field,
             userValue: userSportsQuota || 'Not specified',
             examRequirement: examSportsQuota || 'Not Applicable',
-            eligible: true
+            eligible: true,
+            reason: 'No sports quota restriction'
         };
     }
     
@@ -28,7 +29,8 @@ export const checkSportsQuotaEligibility = (userSportsQuota, examSportsQuota) =>
             field,
             userValue: 'Not specified',
             examRequirement: examSportsQuota,
-            eligible: false
+            eligible: false,
+            reason: 'Sports quota level not specified'
         };
     }
     
@@ -45,7 +47,10 @@ export const checkSportsQuotaEligibility = (userSportsQuota, examSportsQuota) =>
         field,
         userValue: userSportsQuota,
         examRequirement: examSportsQuota,
-        eligible
+        eligible,
+        reason: eligible
+            ? `Sports level ${userSportsQuota} qualifies for the sports quota`
+            : `Sports level ${userSportsQuota} does not qualify (${examSportsQuota})`
     };
 };
 
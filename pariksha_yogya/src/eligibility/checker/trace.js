@@ -0,0 +1,134 @@
+/**
+ * Eligibility Trace Layer
+ * Used by checkFullEligibility instead of raw console.log calls
+ *
+ * Every check records a structured entry:
+ * { step, check, field, inputs, rule, eligible, reason }
+ * - inputs: the user values (and exam values) the check looked at
+ * - rule: the exam requirement that was applied (result.examRequirement)
+ * - eligible / reason: the verdict
+ *
+ * Entries are always returned with the result (result.trace) so the UI can
+ * show them in an "Explain" panel. They are only EMITTED to a sink (console
+ * by default) when debug tracing is on, so user DOB/category never reach the
+ * console in production. Debug tracing is enabled by:
+ * - VITE_ELIGIBILITY_DEBUG=true (build-time env)
+ * - localStorage "pariksha-yogya-debug" = "true" (browser)
+ * - setTraceDebug(true) (runtime)
+ */
+
+// ============================================
+// CONSTANTS
+// ============================================
+
+export const TRACE_DEBUG_STORAGE_KEY = 'pariksha-yogya-debug';
+
+/**
+ * Default sink: grouped console output
+ * @param {Object} entry - Trace entry
+ */
+const consoleSink = (entry) => {
+    console.debug(`[Eligibility] ${entry.check}`, entry);
+};
+
+// ============================================
+// DEBUG FLAG & SINK
+// ============================================
+
+/**
+ * Read the debug flag from the build env or localStorage
+ * @returns {boolean}
+ */
+const readDebugFlag = () => {
+    try {
+        if (import.meta.env?.VITE_ELIGIBILITY_DEBUG === 'true') return true;
+        if (typeof localStorage !== 'undefined') {
+            return localStorage.getItem(TRACE_DEBUG_STORAGE_KEY) === 'true';
+        }
+    } catch {
+        // localStorage can throw (privacy mode, sandboxed iframes)
+    }
+    return false;
+};
+
+let debugEnabled = readDebugFlag();
+let traceSink = consoleSink;
+
+/**
+ * Enable or disable emitting trace entries to the sink
+ * @param {boolean} enabled
+ */
+export const setTraceDebug = (enabled) => {
+    debugEnabled = !!enabled;
+};
+
+/**
+ * Check whether trace entries are emitted to the sink
+ * @returns {boolean}
+ */
+export const isTraceDebugEnabled = () => debugEnabled;
+
+/**
+ * Replace the sink that receives trace entries while debug is on
+ * @param {Function|null} sink - (entry) => void, null restores the console sink
+ */
+export const setTraceSink = (sink) => {
+    traceSink = typeof sink === 'function' ? sink : consoleSink;
+};
+
+// ============================================
+// TRACE
+// ============================================
+
+/**
+ * Create a trace for one checkFullEligibility run
+ * @returns {{entries: Object[], record: Function, emit: Function}}
+ */
+export const createTrace = () => {
+    const entries = [];
+    
+    /**
+     * Emit an entry to the sink when debug is on
+     * @param {Object} entry
+     */
+    const emit = (entry) => {
+        if (!debugEnabled) return;
+        try {
+            traceSink(entry);
+        } catch {
+            // A broken sink must never break the eligibility check
+        }
+    };
+    
+    /**
+     * Record a check's inputs, applied rule and verdict
+     * @param {string} check - Check name, e.g. "Gender Check"
+     * @param {Object} result - Checker result ({field, examRequirement, eligible, reason})
+     * @param {Object} inputs - Values the check looked at
+     * @returns {Object} - The recorded entry
+     */
+    const record = (check, result, inputs = {}) => {
+        const entry = {
+            step: entries.length + 1,
+            check,
+            field: result?.field || '',
+            inputs,
+            rule: result?.examRequirement ?? '',
+            eligible: !!result?.eligible,
+            reason: result?.reason || ''
+        };
+        entries.push(entry);
+        emit(entry);
+        return entry;
+    };
+    
+    return { entries, record, emit };
+};
+
+export default {
+    TRACE_DEBUG_STORAGE_KEY,
+    setTraceDebug,
+    isTraceDebugEnabled,
+    setTraceSink,
+    createTrace
+};
@@ -1,12 +1,17 @@
 /**
  * Vision/Eyesight Eligibility Checker
+ *
+ * Exam JSON Values:
+ * - "" / "NOT APPLICABLE" / "NA" / "ANY": No restriction → everyone passes
+ * - "6/6, 6/9": Comma-separated accepted vision standards
+ * - "AS PER ..." (e.g., "AS PER ARMY MEDICAL STANDARDS"): Assessed at the medical examination → not checked here
  */
 
 /**
  * Check vision/eyesight eligibility
  * @param {string} userVision - User's vision status (e.g., "6/6", "6/9", "NORMAL", "CORRECTED")
  * @param {string} examVision - Exam's vision requirement
- * @returns {{eligible: boolean, userValue: string, examRequirement: string, field: string}}
+ * @returns {{eligible: boolean, userValue: string, examRequirement: string, field: string, reason: string}}
  */
 export const checkVisionEyesight = (userVision, examVision) => {
     const field = 'Vision/Eyesight';
@@ -20,7 +25,19 @@ export const checkVisionEyesight = (userVision, examVision) => {
             field,
             userValue: userVision || 'Not specified',
             examRequirement: examVision || 'Not Applicable',
-            eligible: true
+            eligible: true,
+            reason: 'No vision restriction'
+        };
+    }
+    
+    // Assessed during medical examination
+    if (examVision.toUpperCase().startsWith('AS PER')) {
+        return {
+            field,
+            userValue: userVision || 'Not specified',
+            examRequirement: examVision,
+            eligible: true,
+            reason: 'Vision is assessed during the medical examination'
         };
     }
     
@@ -29,7 +46,8 @@ export const checkVisionEyesight = (userVision, examVision) => {
             field,
             userValue: 'Not specified',
             examRequirement: examVision,
-            eligible: false
+            eligible: false,
+            reason: 'Vision/eyesight not specified'
         };
     }
     
@@ -46,7 +64,10 @@ export const checkVisionEyesight = (userVision, examVision) => {
         field,
         userValue: userVision,
         examRequirement: examVision,
-        eligible
+        eligible,
+        reason: eligible
+            ? `Vision ${userVision} meets the requirement`
+            : `Vision ${userVision} does not meet the requirement (${examVision})`
     };
 };
 
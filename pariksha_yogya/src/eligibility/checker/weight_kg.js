@@ -1,16 +1,90 @@
 /**
  * Weight (kg) Eligibility Checker
+ *
+ * Exam JSON Values:
+ * - "" / "NOT APPLICABLE" / "NA" / "ANY": No restriction → everyone passes
+ * - "50": Minimum weight in kg
+ * - "50-80" / "50 to 80": Weight range in kg (inclusive)
+ * - "AS PER ..." (e.g., "AS PER BMI"): Assessed at the medical examination → not checked here
+ * - Gender-specific object format:
+ *   { "MALE": "50", "FEMALE": "42" }
  */
 
+/**
+ * Normalize value for comparison
+ * @param {string} value - Value to normalize
+ * @returns {string} - Normalized uppercase trimmed value
+ */
+const normalizeValue = (value) => {
+    if (!value || typeof value !== 'string') return '';
+    return value.trim().toUpperCase();
+};
+
+/**
+ * Resolve the weight requirement applicable to the user's gender
+ * @param {string|Object} examWeight - String requirement or { "MALE": "...", "FEMALE": "..." }
+ * @param {string} userGender - User's gender
+ * @returns {string|null} - Requirement string, or null if no requirement for that gender
+ */
+const getWeightRequirementForGender = (examWeight, userGender) => {
+    if (!examWeight || typeof examWeight !== 'object' || Array.isArray(examWeight)) {
+        return examWeight || '';
+    }
+    
+    const normalizedGender = normalizeValue(userGender);
+    for (const [key, value] of Object.entries(examWeight)) {
+        if (normalizeValue(key) === normalizedGender) {
+            return value ? String(value) : null;
+        }
+    }
+    
+    return null;
+};
+
 /**
  * Check weight eligibility
  * @param {string|number} userWeight - User's weight in kg
- * @param {string} examWeight - Exam's weight requirement (can be range or minimum)
- * @returns {{eligible: boolean, userValue: string, examRequirement: string, field: string}}
+ * @param {string|Object} examWeight - Exam's weight requirement (range, minimum, or gender-specific object)
+ * @param {string} userGender - User's gender (used when examWeight is gender-specific)
+ * @returns {{eligible: boolean, userValue: string, examRequirement: string, field: string, reason: string}}
  */
-export const checkWeightKg = (userWeight, examWeight) => {
+export const checkWeightKg = (userWeight, examWeight, userGender = null) => {
     const field = 'Weight (kg)';
     
+    // Gender-specific requirement: { "MALE": "50", "FEMALE": "42" }
+    if (examWeight && typeof examWeight === 'object' && !Array.isArray(examWeight)) {
+        const allRequirements = Object.entries(examWeight)
+            .map(([gender, value]) => `${gender}: ${value}`)
+            .join(', ');
+        
+        if (!userGender) {
+            return {
+                field,
+                userValue: userWeight ? `${userWeight} kg` : 'Not specified',
+                examRequirement: allRequirements,
+                eligible: false,
+                reason: 'Gender not specified. Weight requirement is gender-specific'
+            };
+        }
+        
+        const genderRequirement = getWeightRequirementForGender(examWeight, userGender);
+        if (!genderRequirement) {
+            return {
+                field,
+                userValue: userWeight ? `${userWeight} kg` : 'Not specified',
+                examRequirement: allRequirements,
+                eligible: true,
+                reason: `No weight requirement specified for ${userGender}`
+            };
+        }
+        
+        const result = checkWeightKg(userWeight, genderRequirement);
+        return {
+            ...result,
+            examRequirement: `${result.examRequirement} (${normalizeValue(userGender)})`
+        };
+    }
+    
     // No restriction
     if (!examWeight || examWeight === '' || 
         examWeight.toUpperCase() === 'NOT APPLICABLE' ||
@@ -20,7 +94,19 @@ export const checkWeightKg = (userWeight, examWeight) => {
             field,
             userValue: userWeight ? `${userWeight} kg` : 'Not specified',
             examRequirement: examWeight || 'Not Applicable',
-            eligible: true
+            eligible: true,
+            reason: 'No weight restriction'
+        };
+    }
+    
+    // Assessed during medical examination (e.g., "AS PER BMI")
+    if (examWeight.toUpperCase().startsWith('AS PER')) {
+        return {
+            field,
+            userValue: userWeight ? `${userWeight} kg` : 'Not specified',
+            examRequirement: examWeight,
+            eligible: true,
+            reason: 'Weight is assessed during the medical examination'
         };
     }
     
@@ -29,7 +115,8 @@ export const checkWeightKg = (userWeight, examWeight) => {
             field,
             userValue: 'Not specified',
             examRequirement: examWeight,
-            eligible: false
+            eligible: false,
+            reason: 'Weight not specified'
         };
     }
     
@@ -40,7 +127,8 @@ export const checkWeightKg = (userWeight, examWeight) => {
             field,
             userValue: String(userWeight),
             examRequirement: examWeight,
-            eligible: true
+            eligible: true,
+            reason: 'Could not parse weight value'
         };
     }
     
@@ -55,7 +143,10 @@ export const checkWeightKg = (userWeight, examWeight) => {
                 field,
                 userValue: `${userWeightNum} kg`,
                 examRequirement: `${parts[0]} - ${parts[1]} kg`,
-                eligible
+                eligible,
+                reason: eligible
+                    ? `Weight ${userWeightNum} kg is within ${parts[0]} - ${parts[1]} kg`
+                    : `Weight ${userWeightNum} kg is outside the allowed range of ${parts[0]} - ${parts[1]} kg`
             };
         }
     }
@@ -68,7 +159,10 @@ export const checkWeightKg = (userWeight, examWeight) => {
             field,
             userValue: `${userWeightNum} kg`,
             examRequirement: `Minimum ${examWeightNum} kg`,
-            eligible
+            eligible,
+            reason: eligible
+                ? `Weight ${userWeightNum} kg meets the minimum of ${examWeightNum} kg`
+                : `Weight ${userWeightNum} kg is below the minimum of ${examWeightNum} kg`
         };
     }
     
@@ -76,7 +170,8 @@ export const checkWeightKg = (userWeight, examWeight) => {
         field,
         userValue: `${userWeightNum} kg`,
         examRequirement: examWeight,
-        eligible: true
+        eligible: true,
+        reason: 'Could not parse weight requirement'
     };
 };
 
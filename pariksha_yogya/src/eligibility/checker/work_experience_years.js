@@ -6,7 +6,7 @@
  * Check work experience years eligibility
  * @param {string|number} userExperienceYears - User's work experience in years
  * @param {string} examExperienceYears - Exam's required work experience
- * @returns {{eligible: boolean, userValue: string, examRequirement: string, field: string}}
+ * @returns {{eligible: boolean, userValue: string, examRequirement: string, field: string, reason: string}}
  */
 export const checkWorkExperienceYears = (userExperienceYears, examExperienceYears) => {
     const field = 'Work Experience';
@@ -22,7 +22,8 @@ export const checkWorkExperienceYears = (userExperienceYears, examExperienceYear
             userValue: userExperienceYears !== undefined && userExperienceYears !== '' 
                 ? `${userExperienceYears} years` : 'Not specified',
             examRequirement: examExperienceYears || 'Not Required',
-            eligible: true
+            eligible: true,
+            reason: 'No work experience required'
         };
     }
     
@@ -31,7 +32,8 @@ export const checkWorkExperienceYears = (userExperienceYears, examExperienceYear
             field,
             userValue: 'Not specified',
             examRequirement: examExperienceYears,
-            eligible: false
+            eligible: false,
+            reason: 'Work experience not specified'
         };
     }
     
@@ -48,7 +50,10 @@ export const checkWorkExperienceYears = (userExperienceYears, examExperienceYear
                 field,
                 userValue: `${userYears} years`,
                 examRequirement: `${parts[0]} - ${parts[1]} years`,
-                eligible
+                eligible,
+                reason: eligible
+                    ? `${userYears} years of experience is within ${parts[0]} - ${parts[1]} years`
+                    : `${userYears} years of experience is outside ${parts[0]} - ${parts[1]} years`
             };
         }
     }
@@ -61,7 +66,10 @@ export const checkWorkExperienceYears = (userExperienceYears, examExperienceYear
             field,
             userValue: `${userYears} years`,
             examRequirement: `Minimum ${examYears} years`,
-            eligible
+            eligible,
+            reason: eligible
+                ? `${userYears} years of experience meets the minimum of ${examYears} years`
+                : `${userYears} years of experience is below the minimum of ${examYears} years`
         };
     }
     
@@ -69,7 +77,8 @@ export const checkWorkExperienceYears = (userExperienceYears, examExperienceYear
         field,
         userValue: `${userYears} years`,
         examRequirement: examExperienceYears,
-        eligible: true
+        eligible: true,
+        reason: 'Could not parse work experience requirement'
     };
 };
 
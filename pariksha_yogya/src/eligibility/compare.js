@@ -0,0 +1,231 @@
+/**
+ * Exam Comparison
+ *
+ * Checks one profile against two to five exams and lays the rules out side
+ * by side: one row per rule group (age window, education level, marks,
+ * gender, physical standards), one column per exam, plus the exam pattern
+ * fields from getDisplayDetails.
+ *
+ * Each rule cell combines every division/session of the exam:
+ * - PASS: the profile meets the rule everywhere it is checked
+ * - PARTIAL: meets it in some divisions/sessions only
+ * - FAIL: meets it nowhere
+ * - NOT_CHECKED: the exam has no such rule
+ */
+
+import {
+    loadExamDataForBasis,
+    prepareUserInput,
+    checkExamBasisEligibility
+} from "./exambasis";
+import { getFieldLabel } from "./explanations";
+
+// ============================================
+// CONSTANTS
+// ============================================
+
+export const MIN_COMPARE_EXAMS = 2;
+export const MAX_COMPARE_EXAMS = 5;
+
+export const COMPARE_STATUS = {
+    PASS: 'PASS',
+    PARTIAL: 'PARTIAL',
+    FAIL: 'FAIL',
+    NOT_CHECKED: 'NOT_CHECKED'
+};
+
+const EDUCATION_FIELDS = ['highest_education_qualification', 'diploma_12th_equivalency', 'Educational Stream'];
+const PHYSICAL_FIELDS = ['Height (cm)', 'Weight (kg)', 'Vision/Eyesight'];
+
+/**
+ * Rule groups shown as matrix rows, matched against checker result fields
+ */
+export const COMPARE_RULES = [
+    {
+        key: 'age',
+        label: 'Age window',
+        matches: (field) => field === 'Date of Birth'
+    },
+    {
+        key: 'education',
+        label: 'Education level',
+        matches: (field) => EDUCATION_FIELDS.includes(field) || /^education_(course|subject)_/.test(field),
+        showFieldLabel: true
+    },
+    {
+        key: 'marks',
+        label: 'Minimum marks',
+        matches: (field) => /^marks_percentage_/.test(field),
+        showFieldLabel: true
+    },
+    {
+        key: 'gender',
+        label: 'Gender',
+        matches: (field) => field === 'gender'
+    },
+    {
+        key: 'physical',
+        label: 'Physical standards',
+        matches: (field) => PHYSICAL_FIELDS.includes(field),
+        showFieldLabel: true
+    }
+];
+
+/**
+ * Exam pattern fields (from getDisplayDetails) shown below the rules
+ */
+export const COMPARE_PATTERN_FIELDS = [
+    { key: 'conducting_body', label: 'Conducting body' },
+    { key: 'exam_frequency_year', label: 'Frequency' },
+    { key: 'exam_tiers', label: 'Tiers' },
+    { key: 'exam_pattern', label: 'Pattern' },
+    { key: 'exam_subjects', label: 'Subjects' },
+    { key: 'mode_of_exam', label: 'Mode' },
+    { key: 'exam_duration', label: 'Duration' },
+    { key: 'total_marks', label: 'Total marks' },
+    { key: 'number_of_questions', label: 'Questions' },
+    { key: 'marking_scheme', label: 'Marking scheme' },
+    { key: 'paper_medium', label: 'Medium' },
+    { key: 'exam_date', label: 'Exam date' }
+];
+
+// Requirements that allow everything add nothing to a comparison
+const PERMISSIVE_REQUIREMENT = /^all .* accepted$/i;
+
+// ============================================
+// MATRIX CELLS
+// ============================================
+
+/**
+ * Display text for a value from exam data or a checker result
+ * @param {*} value
+ * @returns {string}
+ */
+const formatValue = (value) => {
+    if (value === undefined || value === null || value === '') return '';
+    if (Array.isArray(value)) return value.join(', ');
+    if (typeof value === 'object') return JSON.stringify(value);
+    return String(value);
+};
+
+/**
+ * Unique non-empty strings, in first-seen order
+ * @param {string[]} values
+ * @returns {string[]}
+ */
+const unique = (values) => Array.from(new Set(values.filter(Boolean)));
+
+/**
+ * Combine one rule group across every division/session of an exam
+ * @param {Array} results - checkExamBasisEligibility results
+ * @param {Object} rule - Entry of COMPARE_RULES
+ * @returns {{status: string, passed: number, checked: number, requirements: string[], userValues: string[]}}
+ */
+export const buildRuleCell = (results, rule) => {
+    const checksPerVerdict = results
+        .map(result => (result.results || []).filter(check => rule.matches(check.field)))
+        .filter(checks => checks.length > 0);
+    
+    if (checksPerVerdict.length === 0) {
+        return { status: COMPARE_STATUS.NOT_CHECKED, passed: 0, checked: 0, requirements: [], userValues: [] };
+    }
+    
+    const passed = checksPerVerdict.filter(checks => checks.every(check => check.eligible)).length;
+    const checked = checksPerVerdict.length;
+    
+    let status = COMPARE_STATUS.PARTIAL;
+    if (passed === checked) status = COMPARE_STATUS.PASS;
+    if (passed === 0) status = COMPARE_STATUS.FAIL;
+    
+    const allChecks = checksPerVerdict.flat();
+    const withLabel = (check, value) => (rule.showFieldLabel ? `${getFieldLabel(check.field)}: ${value}` : value);
+    
+    return {
+        status,
+        passed,
+        checked,
+        requirements: unique(allChecks
+            .filter(check => !PERMISSIVE_REQUIREMENT.test(formatValue(check.examRequirement)))
+            .map(check => withLabel(check, formatValue(check.examRequirement)))),
+        userValues: unique(allChecks.map(check => withLabel(check, formatValue(check.userValue))))
+    };
+};
+
+/**
+ * Comparison matrix for already loaded exams
+ * @param {Array} exams - [{ examId, examName, examData, displayDetails, hasDivisions, divisions }]
+ * @param {Object} userInput - From prepareUserInput
+ * @returns {{exams: Array, rules: Array, pattern: Array}}
+ */
+export const buildComparisonMatrix = (exams, userInput) => {
+    const examResults = exams.map(exam => (
+        checkExamBasisEligibility(userInput, exam.examData, exam.hasDivisions, exam.divisions, exam.examId)
+    ));
+    
+    return {
+        exams: exams.map((exam, index) => ({
+            examId: exam.examId,
+            examName: exam.examName,
+            eligibleCount: examResults[index].filter(result => result.eligible).length,
+            totalCount: examResults[index].length
+        })),
+        rules: COMPARE_RULES.map(rule => ({
+            key: rule.key,
+            label: rule.label,
+            cells: examResults.map(results => buildRuleCell(results, rule))
+        })),
+        pattern: COMPARE_PATTERN_FIELDS
+            .map(field => ({
+                key: field.key,
+                label: field.label,
+                values: exams.map(exam => formatValue(exam.displayDetails?.[field.key]))
+            }))
+            .filter(row => row.values.some(Boolean))
+    };
+};
+
+// ============================================
+// COMPARISON
+// ============================================
+
+/**
+ * Load the chosen exams and compare them for a profile
+ * @param {string[]} examIds - Two to five exam IDs
+ * @param {Object} formData - Check-eligibility form state
+ * @param {Object} educationTableData - Education table state
+ * @param {Array} examOptions - From getExamDropdownOptions
+ * @returns {Promise<{exams: Array, rules: Array, pattern: Array}>}
+ * @throws {Error} - If the number of exams is out of range or an exam fails to load
+ */
+export const buildExamComparison = async (examIds, formData, educationTableData, examOptions) => {
+    if (examIds.length < MIN_COMPARE_EXAMS || examIds.length > MAX_COMPARE_EXAMS) {
+        throw new Error(`Choose ${MIN_COMPARE_EXAMS} to ${MAX_COMPARE_EXAMS} exams to compare`);
+    }
+    
+    const loaded = await Promise.all(examIds.map(examId => loadExamDataForBasis(examId, examOptions)));
+    
+    const exams = loaded.map((result, index) => {
+        const option = examOptions.find(o => o.value === examIds[index]);
+        if (result.error) {
+            throw new Error(`${option?.label || examIds[index]}: ${result.error}`);
+        }
+        return {
+            examId: examIds[index],
+            examName: result.examData.exam_name || option?.label || examIds[index],
+            ...result
+        };
+    });
+    
+    return buildComparisonMatrix(exams, prepareUserInput(formData, educationTableData));
+};
+
+export default {
+    MIN_COMPARE_EXAMS,
+    MAX_COMPARE_EXAMS,
+    COMPARE_STATUS,
+    COMPARE_RULES,
+    COMPARE_PATTERN_FIELDS,
+    buildRuleCell,
+    buildComparisonMatrix,
+    buildExamComparison
+};
@@ -0,0 +1,100 @@
+/**
+ * Eligibility Basis Scan (Web Worker client)
+ *
+ * Starts the Eligibility Basis scan in eligibilityBasisWorker.js and streams
+ * its results back to the page:
+ * - onBatch({eligible, ineligible}) as each batch of exams is checked
+ * - onProgress(examName, current, total) after each batch
+ * - signal (AbortSignal) terminates the worker; the promise rejects with AbortError
+ *
+ * Falls back to checkEligibilityBasis on the main thread where Web Workers
+ * are not available (tests, old browsers).
+ */
+
+import {
+    checkEligibilityBasis,
+    createAbortError,
+    DEFAULT_BATCH_SIZE
+} from "./eligibilitybasis";
+
+/**
+ * Scan ALL exams for a profile in a Web Worker
+ * @param {Object} formData - The form data from UI
+ * @param {Object} educationTableData - Education table data from UI
+ * @param {Object} options
+ * @param {AbortSignal} options.signal - Cancels the scan
+ * @param {number} options.batchSize - Exams per batch
+ * @param {Function} options.onProgress - (examName, current, total)
+ * @param {Function} options.onBatch - ({eligible, ineligible}) partial results
+ * @returns {Promise<Object>} - { eligible, ineligible, totalExamsChecked, eligibleCount, ineligibleCount }
+ */
+export const scanEligibilityBasis = (formData, educationTableData, { signal = null, batchSize = DEFAULT_BATCH_SIZE, onProgress = null, onBatch = null } = {}) => {
+    if (typeof Worker === 'undefined') {
+        return checkEligibilityBasis(formData, educationTableData, onProgress, { signal, batchSize, onBatch });
+    }
+    
+    return new Promise((resolve, reject) => {
+        if (signal?.aborted) {
+            reject(createAbortError());
+            return;
+        }
+        
+        const worker = new Worker(new URL('./eligibilityBasisWorker.js', import.meta.url), { type: 'module' });
+        const eligible = [];
+        const ineligible = [];
+        
+        const onAbort = () => {
+            cleanup();
+            reject(createAbortError());
+        };
+        
+        const cleanup = () => {
+            worker.terminate();
+            if (signal) signal.removeEventListener('abort', onAbort);
+        };
+        
+        if (signal) signal.addEventListener('abort', onAbort, { once: true });
+        
+        worker.onmessage = (event) => {
+            const message = event.data;
+            
+            switch (message.type) {
+                case 'batch':
+                    eligible.push(...message.eligible);
+                    ineligible.push(...message.ineligible);
+                    if (onBatch) onBatch({ eligible: message.eligible, ineligible: message.ineligible });
+                    break;
+                case 'progress':
+                    if (onProgress) onProgress(message.examName, message.current, message.total);
+                    break;
+                case 'done':
+                    cleanup();
+                    resolve({
+                        eligible,
+                        ineligible,
+                        totalExamsChecked: message.totalExamsChecked,
+                        eligibleCount: message.eligibleCount,
+                        ineligibleCount: message.ineligibleCount
+                    });
+                    break;
+                case 'error':
+                    cleanup();
+                    reject(new Error(message.message));
+                    break;
+                default:
+                    break;
+            }
+        };
+        
+        worker.onerror = (event) => {
+            cleanup();
+            reject(new Error(event.message || 'Eligibility scan worker failed'));
+        };
+        
+        worker.postMessage({ type: 'start', formData, educationTableData, batchSize });
+    });
+};
+
+export default {
+    scanEligibilityBasis
+};
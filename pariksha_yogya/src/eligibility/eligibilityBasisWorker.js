@@ -0,0 +1,50 @@
+/**
+ * Eligibility Basis Scan Worker
+ *
+ * Runs the Eligibility Basis scan off the main thread so the page stays
+ * responsive while hundreds of exams are checked.
+ *
+ * Messages in:
+ *   { type: 'start', formData, educationTableData, batchSize }
+ *
+ * Messages out:
+ *   { type: 'batch', eligible, ineligible }        - results of one batch
+ *   { type: 'progress', examName, current, total } - after each batch
+ *   { type: 'done', totalExamsChecked, eligibleCount, ineligibleCount }
+ *   { type: 'error', message }
+ *
+ * Cancelling is done by the page terminating the worker (see eligibilityBasisScan.js).
+ */
+
+import { scanExamsForBasis } from "./eligibilitybasis";
+import { getExamDropdownOptions } from "./examDataLoader";
+import { prepareUserInput } from "./exambasis";
+
+self.onmessage = async (event) => {
+    const { type, formData, educationTableData, batchSize } = event.data || {};
+    if (type !== 'start') return;
+    
+    try {
+        const userInput = prepareUserInput(formData, educationTableData);
+        
+        const result = await scanExamsForBasis(userInput, getExamDropdownOptions(), {
+            batchSize,
+            onBatch: ({ eligible, ineligible }) => {
+                self.postMessage({ type: 'batch', eligible, ineligible });
+            },
+            onProgress: (examName, current, total) => {
+                self.postMessage({ type: 'progress', examName, current, total });
+            }
+        });
+        
+        // Results were already streamed batch by batch
+        self.postMessage({
+            type: 'done',
+            totalExamsChecked: result.totalExamsChecked,
+            eligibleCount: result.eligibleCount,
+            ineligibleCount: result.ineligibleCount
+        });
+    } catch (err) {
+        self.postMessage({ type: 'error', message: err.message });
+    }
+};
@@ -2,7 +2,7 @@
  * Eligibility Checker Utility Functions
  * For PRATIYOGITA YOGYA - Exam Eligibility Tracker
  * 
- * 13 CHECKS ACTIVE:
+ * 27 CHECKS ACTIVE:
  * ✅ 1. Gender
  * ✅ 2. Marital Status  
  * ✅ 3. PWD Status
@@ -16,6 +16,20 @@
  * ✅ 11. NCC Wing (simple string check)
  * ✅ 12. NCC Certificate (depends on NCC Wing)
  * ✅ 13. NCC Certificate Grade (depends on NCC Certificate)
+ * ✅ 14. Height (cm)
+ * ✅ 15. Weight (kg)
+ * ✅ 16. Vision/Eyesight
+ * ✅ 17. Sports Quota Eligibility
+ * ✅ 18. CPL Holder
+ * ✅ 19. Driving License Type
+ * ✅ 20. Language Proficiency
+ * ✅ 21. Current Employment Status
+ * ✅ 22. Work Experience Years
+ * ✅ 23. Ex-Servicemen Status
+ * ✅ 24. Gap Years Allowed
+ * ✅ 25. Active Backlogs Allowed
+ * ✅ 26. Maximum Attempts Allowed
+ * ✅ 27. Educational Stream Restriction
  * 
  * NOTE: Individual eligibility check functions are in ./checker/ folder
  * This file contains utility functions for display and data extraction.
@@ -112,8 +126,30 @@ import {
     getAllowedCertificates,
     // NCC Certificate Grade helpers
     checkNccCertificateGrade,
-    getAllowedGrades
+    getAllowedGrades,
+    // Physical standards, credentials & background
+    checkHeightCm,
+    checkWeightKg,
+    checkVisionEyesight,
+    checkSportsQuotaEligibility,
+    checkCplHolder,
+    checkDrivingLicenseType,
+    checkLanguageProficiency,
+    checkCurrentEmploymentStatus,
+    checkWorkExperienceYears,
+    checkExServicemenStatus,
+    checkGapYearsAllowed,
+    checkActiveBacklogsAllowed,
+    // Maximum Attempts Allowed
+    checkMaximumAttemptsAllowed,
+    // Educational Stream Restriction
+    checkEducationalStreamRestriction,
+    // Trace (debug logging / "Explain" panel)
+    setTraceDebug,
+    isTraceDebugEnabled,
+    setTraceSink
 } from './checker/index.js';
+import { getDisplayDetails } from '@pariksha/exam-catalogue/examStructure.js';
 
 export { 
     checkFullEligibility,
@@ -205,7 +241,28 @@ export {
     getAllowedCertificates,
     // NCC Certificate Grade helpers
     checkNccCertificateGrade,
-    getAllowedGrades
+    getAllowedGrades,
+    // Physical standards, credentials & background
+    checkHeightCm,
+    checkWeightKg,
+    checkVisionEyesight,
+    checkSportsQuotaEligibility,
+    checkCplHolder,
+    checkDrivingLicenseType,
+    checkLanguageProficiency,
+    checkCurrentEmploymentStatus,
+    checkWorkExperienceYears,
+    checkExServicemenStatus,
+    checkGapYearsAllowed,
+    checkActiveBacklogsAllowed,
+    // Maximum Attempts Allowed
+    checkMaximumAttemptsAllowed,
+    // Educational Stream Restriction
+    checkEducationalStreamRestriction,
+    // Trace (debug logging / "Explain" panel)
+    setTraceDebug,
+    isTraceDebugEnabled,
+    setTraceSink
 };
 
 // ============================================
@@ -293,33 +350,8 @@ export const getEligibleValuesForForm = (examData) => {
 // DISPLAY DATA EXTRACTION
 // ============================================
 
-/**
- * Get exam details for display only (not for eligibility checking)
- * @param {Object} examData - Exam JSON data
- * @returns {Object} - Display-only fields
- */
-export const getDisplayDetails = (examData) => {
-    return {
-        full_form: examData.full_form || '',
-        exam_level: examData.exam_level || '',
-        exam_sector: examData.exam_sector || '',
-        exam_target: examData.exam_target || '',
-        exam_frequency_year: examData.exam_frequency_year || '',
-        conducting_body: examData.conducting_body || '',
-        posts_classes_courses_departments_academies: examData.posts_classes_courses_departments_academies || '',
-        exam_tiers: examData.exam_tiers || '',
-        exam_subjects: examData.exam_subjects || '',
-        exam_pattern: examData.exam_pattern || '',
-        exam_sections: examData.exam_sections || '',
-        mode_of_exam: examData.mode_of_exam || '',
-        exam_duration: examData.exam_duration || '',
-        total_marks: examData.total_marks || '',
-        number_of_questions: examData.number_of_questions || '',
-        marking_scheme: examData.marking_scheme || '',
-        paper_medium: examData.paper_medium || '',
-        exam_date: examData.exam_date || ''
-    };
-};
+// getDisplayDetails lives in the shared exam catalogue (examStructure.js), so the other sites can use it
+export { getDisplayDetails };
 
 // ============================================
 // EDUCATION CONFIGURATION HELPERS
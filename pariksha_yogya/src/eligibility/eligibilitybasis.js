@@ -22,165 +22,165 @@ import {
 
 import { prepareUserInput } from "./exambasis";
 
+// ============================================
+// CONSTANTS
+// ============================================
+
+// Exams loaded and checked per batch (one progress/partial update per batch)
+export const DEFAULT_BATCH_SIZE = 10;
+
+// ============================================
+// SINGLE EXAM CHECKING
+// ============================================
+
+/**
+ * Check one exam (every division and session) for the Eligibility Basis scan
+ * @param {Object} userInput - Prepared user input
+ * @param {Object} examOption - Exam dropdown option ({value, label, linkedFile})
+ * @param {Object} examData - Loaded exam data
+ * @returns {{eligible: Array, ineligible: Array}} - Results split by verdict
+ */
+export const checkExamForBasis = (userInput, examOption, examData) => {
+    const eligible = [];
+    const ineligible = [];
+    const displayDetails = getDisplayDetails(examData);
+    
+    // Check one division/session and file the result
+    const checkOne = (data, division, sessionOpt) => {
+        const result = checkFullEligibility(
+            userInput,
+            data,
+            sessionOpt ? sessionOpt.value : null
+        );
+        
+        const resultObj = {
+            ...result,
+            examId: examOption.value,
+            examCode: examOption.code,
+            examName: examData.exam_name || examOption.label,
+            examLabel: examOption.label,
+            division,
+            session: sessionOpt ? sessionOpt.label : "N/A",
+            linkedFile: examOption.linkedFile,
+            displayDetails
+        };
+        
+        if (result.eligible) {
+            eligible.push(resultObj);
+        } else {
+            ineligible.push(resultObj);
+        }
+    };
+    
+    // Check every session of the data (or once if it has no sessions)
+    const checkSessions = (data, division) => {
+        const sessionOptions = getExamSessionOptions(data);
+        if (sessionOptions.length > 0) {
+            sessionOptions.forEach(sessionOpt => checkOne(data, division, sessionOpt));
+        } else {
+            checkOne(data, division, null);
+        }
+    };
+    
+    if (examHasDivisions(examData)) {
+        // Check each division
+        getDivisionOptions(examData).forEach(divOpt => {
+            const divData = getDivisionData(examData, divOpt.value);
+            if (divData) {
+                checkSessions(divData, divOpt.value);
+            }
+        });
+    } else {
+        // No divisions - check exam directly
+        checkSessions(examData, "N/A");
+    }
+    
+    return { eligible, ineligible };
+};
+
 // ============================================
 // ELIGIBILITY BASIS CHECKING
 // ============================================
 
 /**
- * Check eligibility for ALL available exams based on user profile
- * @param {Object} formData - The form data from UI
- * @param {Object} educationTableData - Education table data from UI
- * @param {Function} onProgress - Optional callback for progress updates (examName, current, total)
- * @returns {Promise<Array>} - Array of results with eligible exams
+ * Error thrown when a scan is cancelled through its AbortSignal
+ * @returns {Error}
  */
-export const checkEligibilityBasis = async (formData, educationTableData, onProgress = null) => {
-    const examOptions = getExamDropdownOptions();
+export const createAbortError = () => {
+    const error = new Error('Eligibility scan cancelled');
+    error.name = 'AbortError';
+    return error;
+};
+
+/**
+ * Let the event loop run between batches (keeps the page/worker responsive to cancel)
+ * @returns {Promise<void>}
+ */
+const yieldToEventLoop = () => new Promise(resolve => setTimeout(resolve, 0));
+
+/**
+ * Scan exams in batches, streaming partial results
+ * Used by checkEligibilityBasis (main thread) and the scan worker
+ * @param {Object} userInput - Prepared user input
+ * @param {Array} examOptions - Exam dropdown options to scan
+ * @param {Object} options
+ * @param {AbortSignal} options.signal - Cancels the scan (rejects with AbortError)
+ * @param {number} options.batchSize - Exams per batch
+ * @param {Function} options.onProgress - (examName, current, total) after each batch
+ * @param {Function} options.onBatch - ({eligible, ineligible}) with each batch's results
+ * @returns {Promise<Object>} - { eligible, ineligible, totalExamsChecked, eligibleCount, ineligibleCount }
+ */
+export const scanExamsForBasis = async (userInput, examOptions, { signal = null, batchSize = DEFAULT_BATCH_SIZE, onProgress = null, onBatch = null } = {}) => {
     const allEligibleResults = [];
     const allIneligibleResults = [];
+    const size = Math.max(1, batchSize);
     
-    // Prepare user input once
-    const userInput = prepareUserInput(formData, educationTableData);
-    
-    // Check each exam
-    for (let i = 0; i < examOptions.length; i++) {
-        const examOption = examOptions[i];
+    for (let start = 0; start < examOptions.length; start += size) {
+        if (signal?.aborted) throw createAbortError();
         
-        // Progress callback
-        if (onProgress) {
-            onProgress(examOption.label, i + 1, examOptions.length);
-        }
+        const batch = examOptions.slice(start, start + size);
+        
+        // Load the batch's exam files together
+        const loaded = await Promise.all(batch.map(async examOption => {
+            if (!examOption.linkedFile) return null;
+            try {
+                return await loadExamData(examOption.linkedFile);
+            } catch (err) {
+                console.error(`Error loading exam ${examOption.label}:`, err);
+                return null;
+            }
+        }));
         
-        if (!examOption.linkedFile) continue;
+        if (signal?.aborted) throw createAbortError();
         
-        try {
-            const examData = await loadExamData(examOption.linkedFile);
-            if (!examData) continue;
-            
-            const hasDiv = examHasDivisions(examData);
+        const batchEligible = [];
+        const batchIneligible = [];
+        
+        batch.forEach((examOption, index) => {
+            const examData = loaded[index];
+            if (!examData) return;
             
-            if (hasDiv) {
-                // Check each division
-                const divOpts = getDivisionOptions(examData);
-                
-                for (const divOpt of divOpts) {
-                    const divData = getDivisionData(examData, divOpt.value);
-                    if (!divData) continue;
-                    
-                    // Get sessions for this division
-                    const sessionOptions = getExamSessionOptions(divData);
-                    
-                    if (sessionOptions.length > 0) {
-                        // Check each session
-                        for (const sessionOpt of sessionOptions) {
-                            const result = checkFullEligibility(
-                                userInput,
-                                divData,
-                                sessionOpt.value
-                            );
-                            
-                            const resultObj = {
-                                ...result,
-                                examCode: examOption.value,
-                                examName: examData.exam_name || examOption.label,
-                                examLabel: examOption.label,
-                                division: divOpt.value,
-                                session: sessionOpt.label,
-                                linkedFile: examOption.linkedFile,
-                                displayDetails: getDisplayDetails(examData)
-                            };
-                            
-                            if (result.eligible) {
-                                allEligibleResults.push(resultObj);
-                            } else {
-                                allIneligibleResults.push(resultObj);
-                            }
-                        }
-                    } else {
-                        // No sessions - single check
-                        const result = checkFullEligibility(
-                            userInput,
-                            divData,
-                            null
-                        );
-                        
-                        const resultObj = {
-                            ...result,
-                            examCode: examOption.value,
-                            examName: examData.exam_name || examOption.label,
-                            examLabel: examOption.label,
-                            division: divOpt.value,
-                            session: "N/A",
-                            linkedFile: examOption.linkedFile,
-                            displayDetails: getDisplayDetails(examData)
-                        };
-                        
-                        if (result.eligible) {
-                            allEligibleResults.push(resultObj);
-                        } else {
-                            allIneligibleResults.push(resultObj);
-                        }
-                    }
-                }
-            } else {
-                // No divisions - check exam directly
-                const sessionOptions = getExamSessionOptions(examData);
-                
-                if (sessionOptions.length > 0) {
-                    // Check each session
-                    for (const sessionOpt of sessionOptions) {
-                        const result = checkFullEligibility(
-                            userInput,
-                            examData,
-                            sessionOpt.value
-                        );
-                        
-                        const resultObj = {
-                            ...result,
-                            examCode: examOption.value,
-                            examName: examData.exam_name || examOption.label,
-                            examLabel: examOption.label,
-                            division: "N/A",
-                            session: sessionOpt.label,
-                            linkedFile: examOption.linkedFile,
-                            displayDetails: getDisplayDetails(examData)
-                        };
-                        
-                        if (result.eligible) {
-                            allEligibleResults.push(resultObj);
-                        } else {
-                            allIneligibleResults.push(resultObj);
-                        }
-                    }
-                } else {
-                    // No sessions - single check
-                    const result = checkFullEligibility(
-                        userInput,
-                        examData,
-                        null
-                    );
-                    
-                    const resultObj = {
-                        ...result,
-                        examCode: examOption.value,
-                        examName: examData.exam_name || examOption.label,
-                        examLabel: examOption.label,
-                        division: "N/A",
-                        session: "N/A",
-                        linkedFile: examOption.linkedFile,
-                        displayDetails: getDisplayDetails(examData)
-                    };
-                    
-                    if (result.eligible) {
-                        allEligibleResults.push(resultObj);
-                    } else {
-                        allIneligibleResults.push(resultObj);
-                    }
-                }
+            try {
+                const { eligible, ineligible } = checkExamForBasis(userInput, examOption, examData);
+                batchEligible.push(...eligible);
+                batchIneligible.push(...ineligible);
+            } catch (err) {
+                console.error(`Error checking exam ${examOption.label}:`, err);
+                // Continue with next exam
             }
-        } catch (err) {
-            console.error(`Error checking exam ${examOption.label}:`, err);
-            // Continue with next exam
+        });
+        
+        allEligibleResults.push(...batchEligible);
+        allIneligibleResults.push(...batchIneligible);
+        
+        if (onBatch) {
+            onBatch({ eligible: batchEligible, ineligible: batchIneligible });
         }
+        if (onProgress) {
+            onProgress(batch[batch.length - 1].label, start + batch.length, examOptions.length);
+        }
+        
+        await yieldToEventLoop();
     }
     
     return {
@@ -192,6 +192,22 @@ export const checkEligibilityBasis = async (formData, educationTableData, onProg
     };
 };
 
+/**
+ * Check eligibility for ALL available exams based on user profile
+ * Runs on the calling thread - the page uses scanEligibilityBasis (Web Worker) instead
+ * @param {Object} formData - The form data from UI
+ * @param {Object} educationTableData - Education table data from UI
+ * @param {Function} onProgress - Optional callback for progress updates (examName, current, total)
+ * @param {Object} options - { signal, batchSize, onBatch } (see scanExamsForBasis)
+ * @returns {Promise<Object>} - { eligible, ineligible, totalExamsChecked, eligibleCount, ineligibleCount }
+ */
+export const checkEligibilityBasis = async (formData, educationTableData, onProgress = null, options = {}) => {
+    // Prepare user input once
+    const userInput = prepareUserInput(formData, educationTableData);
+    
+    return scanExamsForBasis(userInput, getExamDropdownOptions(), { ...options, onProgress });
+};
+
 /**
  * Get a summary of eligible exams grouped by exam name
  * @param {Array} eligibleResults - Array of eligible results from checkEligibilityBasis
@@ -201,9 +217,10 @@ export const getEligibleExamsSummary = (eligibleResults) => {
     const examMap = new Map();
     
     eligibleResults.forEach(result => {
-        const key = result.examCode;
+        const key = result.examId;
         if (!examMap.has(key)) {
             examMap.set(key, {
+                examId: result.examId,
                 examCode: result.examCode,
                 examName: result.examName,
                 examLabel: result.examLabel,
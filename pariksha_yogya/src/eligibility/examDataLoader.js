@@ -3,16 +3,59 @@
  * For PRATIYOGITA YOGYA - Exam Eligibility Tracker
  * 
  * This module handles loading exam data from JSON files and allexamnames.json
+ * Exams are looked up by their unique exam_id (see examIds.js), never by exam_code
  */
 
 import allExamNames from '../../examsdata/allexamnames.json';
+import { formatCategoryName, getExamDataLoader } from '@pariksha/exam-catalogue';
+import { findExamIdProblems } from './examIds';
+import { getDivisionOptions, getDivisionData, examHasDivisions, getExamSessionOptions } from '@pariksha/exam-catalogue/examStructure.js';
+
+// Category labels come from the catalogue shared with the other sites
+export { formatCategoryName };
+export { getDivisionOptions, getDivisionData, examHasDivisions, getExamSessionOptions };
 
 // ============================================
-// EXAM DATA IMPORTS (Static imports for Vite)
+// CONSTANTS
 // ============================================
 
-// Import all exam JSON files statically for Vite bundling
-const examDataModules = import.meta.glob('../../examsdata/**/*.json', { eager: true });
+// How many exams to prefetch when hinting at the next likely picks
+const PREFETCH_LIMIT = 3;
+
+// ============================================
+// EXAM ID INDEX
+// ============================================
+
+/**
+ * Index exams by exam_id, reporting missing and duplicate IDs
+ * Exams without an ID are skipped; for a duplicate ID the first exam wins
+ * @param {Object} examNames - Contents of allexamnames.json
+ * @returns {Map<string, Object>} - exam_id → exam object with category
+ */
+export const buildExamIndex = (examNames) => {
+    const { missing, duplicates } = findExamIdProblems(examNames);
+    
+    missing.forEach(exam => {
+        console.error(`Exam without exam_id skipped: ${exam.category}/${exam.exam_name} (run npm run migrate:exam-ids)`);
+    });
+    duplicates.forEach(duplicate => {
+        const names = duplicate.exams.map(exam => `${exam.category}/${exam.exam_name}`).join(', ');
+        console.error(`Duplicate exam_id "${duplicate.exam_id}": ${names}`);
+    });
+    
+    const index = new Map();
+    Object.entries(examNames || {}).forEach(([category, exams]) => {
+        exams.forEach(exam => {
+            if (exam.exam_id && !index.has(exam.exam_id)) {
+                index.set(exam.exam_id, { category, ...exam });
+            }
+        });
+    });
+    
+    return index;
+};
+
+const examIndex = buildExamIndex(allExamNames);
 
 // ============================================
 // EXAM NAMES AND CATEGORIES
@@ -42,42 +85,29 @@ export const getExamsByCategory = (category) => {
 export const getLinkedExams = () => {
     const linkedExams = [];
     
-    Object.entries(allExamNames).forEach(([category, exams]) => {
-        exams.forEach(exam => {
-            if (exam.linked_json_file && exam.linked_json_file !== '') {
-                linkedExams.push({
-                    category,
-                    exam_name: exam.exam_name,
-                    exam_code: exam.exam_code,
-                    linked_json_file: exam.linked_json_file,
-                    has_divisions: exam.has_divisions || false
-                });
-            }
-        });
+    examIndex.forEach(exam => {
+        if (exam.linked_json_file && exam.linked_json_file !== '') {
+            linkedExams.push({
+                category: exam.category,
+                exam_id: exam.exam_id,
+                exam_name: exam.exam_name,
+                exam_code: exam.exam_code,
+                linked_json_file: exam.linked_json_file,
+                has_divisions: exam.has_divisions || false
+            });
+        }
     });
     
     return linkedExams;
 };
 
 /**
- * Get exam info by exam name
- * @param {string} examName - Exam name like "CDS"
+ * Get exam info by exam ID
+ * @param {string} examId - Exam ID like "cds" or "ssc-cgl"
  * @returns {Object|null} - Exam object with category info or null
  */
-export const getExamByName = (examName) => {
-    for (const [category, exams] of Object.entries(allExamNames)) {
-        const exam = exams.find(e => 
-            e.exam_name.toUpperCase() === examName.toUpperCase() ||
-            e.exam_code.toUpperCase() === examName.toUpperCase()
-        );
-        if (exam) {
-            return {
-                category,
-                ...exam
-            };
-        }
-    }
-    return null;
+export const getExamById = (examId) => {
+    return examIndex.get(examId) || null;
 };
 
 // ============================================
@@ -89,6 +119,20 @@ export const getExamByName = (examName) => {
  */
 const examDataCache = {};
 
+/**
+ * In-flight loads, so concurrent callers share one request
+ */
+const examDataRequests = {};
+
+/**
+ * Check whether exam data is already in the cache
+ * @param {string} linkedJsonFile - Path like "DEFENCE_ED/cds.json"
+ * @returns {boolean}
+ */
+export const isExamDataLoaded = (linkedJsonFile) => {
+    return Boolean(linkedJsonFile && examDataCache[linkedJsonFile]);
+};
+
 /**
  * Load exam JSON data dynamically
  * @param {string} linkedJsonFile - Path like "DEFENCE_ED/cds.json"
@@ -102,36 +146,44 @@ export const loadExamData = async (linkedJsonFile) => {
         return examDataCache[linkedJsonFile];
     }
     
-    try {
-        // Find the matching module from the glob imports
-        const modulePath = Object.keys(examDataModules).find(path => 
-            path.includes(linkedJsonFile)
-        );
-        
-        if (modulePath && examDataModules[modulePath]) {
-            const data = examDataModules[modulePath].default || examDataModules[modulePath];
-            // Cache the data
-            examDataCache[linkedJsonFile] = data;
-            return data;
-        }
-        
+    if (examDataRequests[linkedJsonFile]) {
+        return examDataRequests[linkedJsonFile];
+    }
+    
+    // Each exam JSON is its own chunk (the catalogue's examsData.js), fetched
+    // only when that exam is needed, so the first load does not grow as exams are added
+    const importExamData = getExamDataLoader(linkedJsonFile);
+    if (!importExamData) {
         console.error(`No matching module found for: ${linkedJsonFile}`);
         return null;
-    } catch (error) {
-        console.error(`Error loading exam data from ${linkedJsonFile}:`, error);
-        return null;
     }
+    
+    examDataRequests[linkedJsonFile] = importExamData()
+        .then(data => {
+            // Cache the data
+            examDataCache[linkedJsonFile] = data;
+            return data;
+        })
+        .catch(error => {
+            console.error(`Error loading exam data from ${linkedJsonFile}:`, error);
+            return null;
+        })
+        .finally(() => {
+            delete examDataRequests[linkedJsonFile];
+        });
+    
+    return examDataRequests[linkedJsonFile];
 };
 
 /**
- * Load exam data by exam name
- * @param {string} examName - Exam name like "CDS"
+ * Load exam data by exam ID
+ * @param {string} examId - Exam ID like "cds"
  * @returns {Promise<Object|null>} - Exam data object or null
  */
-export const loadExamDataByName = async (examName) => {
-    const examInfo = getExamByName(examName);
+export const loadExamDataById = async (examId) => {
+    const examInfo = getExamById(examId);
     if (!examInfo || !examInfo.linked_json_file) {
-        console.warn(`No linked JSON file found for exam: ${examName}`);
+        console.warn(`No linked JSON file found for exam: ${examId}`);
         return null;
     }
     
@@ -140,7 +192,7 @@ export const loadExamDataByName = async (examName) => {
 
 /**
  * Preload all available exam data into cache
- * @returns {Promise<Object>} - Object with exam names as keys and data as values
+ * @returns {Promise<Object>} - Object with exam IDs as keys and data as values
  */
 export const preloadAllExamData = async () => {
     const linkedExams = getLinkedExams();
@@ -150,7 +202,7 @@ export const preloadAllExamData = async () => {
         linkedExams.map(async (examInfo) => {
             const data = await loadExamData(examInfo.linked_json_file);
             if (data) {
-                loadedData[examInfo.exam_name] = data;
+                loadedData[examInfo.exam_id] = data;
             }
         })
     );
@@ -158,19 +210,73 @@ export const preloadAllExamData = async () => {
     return loadedData;
 };
 
+// ============================================
+// PREFETCHING
+// ============================================
+
+/**
+ * Run a callback when the browser is idle (falls back to a timeout)
+ * @param {Function} callback
+ */
+const whenIdle = (callback) => {
+    if (typeof requestIdleCallback === 'function') {
+        requestIdleCallback(callback);
+    } else {
+        setTimeout(callback, 0);
+    }
+};
+
+/**
+ * Exams a user is likely to pick next: others in the same category first,
+ * then the rest in dropdown order
+ * @param {string} currentLinkedFile - linked_json_file of the current exam (optional)
+ * @param {number} limit - Maximum number of files
+ * @returns {string[]} - linked_json_file paths not yet loaded
+ */
+export const getPrefetchCandidates = (currentLinkedFile = '', limit = PREFETCH_LIMIT) => {
+    const linkedExams = getLinkedExams();
+    const current = linkedExams.find(exam => exam.linked_json_file === currentLinkedFile);
+    const candidates = linkedExams.filter(exam =>
+        exam.linked_json_file !== currentLinkedFile && !isExamDataLoaded(exam.linked_json_file)
+    );
+    
+    const sameCategory = current ? candidates.filter(exam => exam.category === current.category) : [];
+    const others = candidates.filter(exam => !sameCategory.includes(exam));
+    
+    return [...sameCategory, ...others]
+        .slice(0, limit)
+        .map(exam => exam.linked_json_file);
+};
+
+/**
+ * Fetch exam chunks in the background so a later pick loads instantly
+ * @param {string[]} linkedJsonFiles - Paths like "DEFENCE_ED/cds.json"
+ */
+export const prefetchExamData = (linkedJsonFiles = []) => {
+    const pending = linkedJsonFiles.filter(file => file && !isExamDataLoaded(file) && !examDataRequests[file]);
+    if (pending.length === 0) return;
+    
+    whenIdle(() => {
+        pending.forEach(file => {
+            loadExamData(file);
+        });
+    });
+};
+
 // ============================================
 // EXAM OPTIONS FOR DROPDOWNS
 // ============================================
 
 /**
  * Get exam options for dropdown (only exams with linked data)
- * @returns {Array} - Array of {value, label, category, hasDivisions} objects
+ * @returns {Array} - Array of {value, code, label, category, hasDivisions} objects (value is the exam ID)
  */
 export const getExamDropdownOptions = () => {
     const linkedExams = getLinkedExams();
     
     return linkedExams.map(exam => ({
-        value: exam.exam_code,
+        value: exam.exam_id,
+        code: exam.exam_code,
         label: exam.exam_name,
         category: exam.category,
         hasDivisions: exam.has_divisions,
@@ -192,7 +298,8 @@ export const getExamOptionsGroupedByCategory = () => {
             grouped[categoryLabel] = [];
         }
         grouped[categoryLabel].push({
-            value: exam.exam_code,
+            value: exam.exam_id,
+            code: exam.exam_code,
             label: exam.exam_name,
             hasDivisions: exam.has_divisions,
             linkedFile: exam.linked_json_file
@@ -202,140 +309,18 @@ export const getExamOptionsGroupedByCategory = () => {
     return grouped;
 };
 
-/**
- * Format category name for display
- * @param {string} category - Category like "DEFENCE_ED"
- * @returns {string} - Formatted name like "Defence"
- */
-export const formatCategoryName = (category) => {
-    if (!category) return '';
-    
-    const categoryMap = {
-        'SSC_ED': 'SSC Exams',
-        'DEFENCE_ED': 'Defence Exams',
-        'UG_ED': 'Undergraduate Exams',
-        'PG_ED': 'Postgraduate Exams',
-        'BANKING_ED': 'Banking Exams',
-        'RAILWAY_ED': 'Railway Exams',
-        'TEACHING_ED': 'Teaching Exams',
-        'CIVIL_SERVICES_ED': 'Civil Services',
-        'POLICE_ED': 'Police Exams',
-        'ENGINEERING_RECRUITING_ED': 'Engineering Recruitment',
-        'INSURANCE_ED': 'Insurance Exams',
-        'JUDICIARY_ED': 'Judiciary Exams',
-        'MBA_ED': 'MBA Exams',
-        'SCHOOL_ED': 'School Level Exams',
-        'NURSING_ED': 'Nursing Exams',
-        'REGULATORY_BODY_ED': 'Regulatory Body Exams',
-        'OTHER_GOV_ED': 'Other Government Exams',
-        'OTHERS_ED': 'Other Exams',
-        'CAMPUS_PLACEMENT_ED': 'Campus Placement',
-        'ACCOUNTING_COMMERCE_ED': 'Accounting & Commerce'
-    };
-    
-    return categoryMap[category] || category.replace('_ED', '').replace(/_/g, ' ');
-};
-
-// ============================================
-// DIVISION HANDLING
-// ============================================
-
-/**
- * Get divisions for an exam
- * @param {Object} examData - Loaded exam data
- * @returns {Array} - Array of {value, label} objects for dropdown
- */
-export const getDivisionOptions = (examData) => {
-    if (!examData || !examData.posts_classes_courses_departments_academies) {
-        return [];
-    }
-    
-    const divisionsStr = examData.posts_classes_courses_departments_academies;
-    const divisions = divisionsStr.split(',').map(d => d.trim()).filter(d => d !== '');
-    
-    return divisions.map(div => ({
-        value: div,
-        label: div
-    }));
-};
-
-/**
- * Get division-specific data
- * @param {Object} examData - Loaded exam data
- * @param {string} divisionName - Division name like "IMA"
- * @returns {Object|null} - Division data or null
- */
-export const getDivisionData = (examData, divisionName) => {
-    if (!examData || !examData.academies || !divisionName) {
-        return null;
-    }
-    return examData.academies[divisionName] || null;
-};
-
-/**
- * Check if exam has divisions
- * @param {Object} examData - Loaded exam data
- * @returns {boolean}
- */
-export const examHasDivisions = (examData) => {
-    return examData && 
-           examData.posts_classes_courses_departments_academies && 
-           examData.posts_classes_courses_departments_academies.trim() !== '' &&
-           examData.academies !== undefined;
-};
-
-// ============================================
-// EXAM SESSION HANDLING
-// ============================================
-
-/**
- * Get available exam sessions from exam data
- * Checks multiple session-based fields: between_dob, between_age, minimum_dob, maximum_dob, starting_age, ending_age
- * @param {Object} examData - Exam data (can be division-specific)
- * @returns {Array} - Array of {value, label} objects for dropdown
- */
-export const getExamSessionOptions = (examData) => {
-    if (!examData) {
-        return [];
-    }
-    
-    // List of fields that can have session-based data (including no_age_limit for exams without age restriction)
-    const sessionFields = ['between_dob', 'between_age', 'minimum_dob', 'maximum_dob', 'starting_age', 'ending_age', 'no_age_limit'];
-    
-    for (const fieldName of sessionFields) {
-        let fieldData = examData[fieldName];
-        
-        if (!fieldData) continue;
-        
-        // Handle nested structure (regular_candidates, CPL_holders)
-        if (fieldData.regular_candidates) {
-            fieldData = fieldData.regular_candidates;
-        }
-        
-        // Check if it's an object with session keys (not a simple string)
-        if (typeof fieldData === 'object' && !Array.isArray(fieldData)) {
-            const keys = Object.keys(fieldData);
-            // Verify at least one key looks like a session (contains year)
-            if (keys.length > 0 && keys.some(k => /\d{4}/.test(k))) {
-                return keys.map(session => ({
-                    value: session,
-                    label: session.replace(/-/g, ' ')
-                }));
-            }
-        }
-    }
-    
-    return [];
-};
-
 export default {
     getAllCategories,
     getExamsByCategory,
     getLinkedExams,
-    getExamByName,
+    buildExamIndex,
+    getExamById,
+    isExamDataLoaded,
     loadExamData,
-    loadExamDataByName,
+    loadExamDataById,
     preloadAllExamData,
+    getPrefetchCandidates,
+    prefetchExamData,
     getExamDropdownOptions,
     getExamOptionsGroupedByCategory,
     formatCategoryName,
@@ -0,0 +1,334 @@
+/**
+ * Exam Authoring Drafts
+ * For PRATIYOGITA YOGYA - Exam Eligibility Tracker
+ *
+ * Logic behind the admin exam editor (src/Pages/adminexams.jsx): new exam
+ * JSON from the templates in "other files/", division add/rename/remove,
+ * field kinds for the editor widgets, and live validation with the same
+ * schema as `npm run lint:exams` (examSchema.js).
+ *
+ * Drafts are plain exam JSON objects and are never changed in place; every
+ * edit returns a new draft.
+ */
+
+import { SESSION_FIELDS } from '@pariksha/exam-catalogue/examStructure.js';
+import { buildExamSchema, joinPath, splitList, validateExamData, SEVERITY } from './examSchema';
+
+// ============================================
+// CONSTANTS
+// ============================================
+
+export const FIELD_KIND = {
+    TEXT: 'text',
+    ENUM: 'enum',
+    SESSION: 'session',
+    JSON: 'json'
+};
+
+// Lists the division names; kept in sync with the academies keys
+export const DIVISIONS_FIELD = 'posts_classes_courses_departments_academies';
+
+const DIVISIONS_KEY = 'academies';
+const TEMPLATE_SESSION_KEY = 'EXAM-SESSION';
+
+// Values shown as "not set" rather than picked from the dropdown
+const EMPTY_ENUM_VALUE = '';
+
+// ============================================
+// TEMPLATES
+// ============================================
+
+let authoringPromise = null;
+
+/**
+ * Templates and schema for the editor, loaded on first use
+ * (kept out of the main bundle; only admins open the editor)
+ * @returns {Promise<{templates: Object, schema: Object}>}
+ */
+export const loadExamAuthoring = () => {
+    if (!authoringPromise) {
+        authoringPromise = Promise.all([
+            import('../../other files/division_funcnility.json'),
+            import('../../other files/non_division_funcnility.json'),
+            import('../../other files/eligibilityfields.json'),
+            import('../../other files/possiblefields.json')
+        ]).then(([division, nonDivision, eligibility, possible]) => {
+            const templates = {
+                divisionTemplate: division.default,
+                nonDivisionTemplate: nonDivision.default,
+                eligibilityFields: eligibility.default,
+                possibleFields: possible.default
+            };
+            return { templates, schema: buildExamSchema(templates) };
+        });
+    }
+    return authoringPromise;
+};
+
+/**
+ * Copy of a template value with placeholder session keys emptied
+ * ({ "EXAM-SESSION": "" } → {})
+ * @param {*} value
+ * @returns {*}
+ */
+const fromTemplate = (value) => {
+    if (Array.isArray(value)) return value.map(fromTemplate);
+    if (!value || typeof value !== 'object') return value;
+    if (Object.keys(value).length === 1 && TEMPLATE_SESSION_KEY in value) return {};
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, fromTemplate(item)]));
+};
+
+/**
+ * New exam from a template
+ * @param {Object} templates - From loadExamAuthoring
+ * @param {Object} options - { withDivisions, examName?, examCode? }
+ * @returns {Object} - Exam draft (division exams start with no divisions)
+ */
+export const createExamDraft = (templates, { withDivisions, examName = '', examCode = '' }) => {
+    const draft = fromTemplate(withDivisions ? templates.divisionTemplate : templates.nonDivisionTemplate);
+    draft.exam_name = examName;
+    draft.exam_code = examCode;
+    if (withDivisions) {
+        draft[DIVISIONS_KEY] = {};
+    }
+    return draft;
+};
+
+/**
+ * Empty division block from the division template
+ * @param {Object} templates
+ * @returns {Object}
+ */
+export const createDivisionBlock = (templates) => {
+    const sample = Object.values(templates.divisionTemplate[DIVISIONS_KEY] || {})[0] || {};
+    return fromTemplate(sample);
+};
+
+// ============================================
+// DIVISIONS
+// ============================================
+
+/**
+ * Division names of a draft, in file order
+ * @param {Object} draft
+ * @returns {string[]}
+ */
+export const getDivisionNames = (draft) => Object.keys(draft[DIVISIONS_KEY] || {});
+
+/**
+ * Draft with new academies and the division list field rewritten to match
+ * @param {Object} draft
+ * @param {Array<[string, Object]>} entries - [name, block] pairs in order
+ * @returns {Object}
+ */
+const withDivisions = (draft, entries) => ({
+    ...draft,
+    [DIVISIONS_FIELD]: entries.map(([name]) => name).join(', '),
+    [DIVISIONS_KEY]: Object.fromEntries(entries)
+});
+
+/**
+ * Trim a division name and check it can be used
+ * @param {Object} draft
+ * @param {string} name
+ * @param {string|null} currentName - Division being renamed
+ * @returns {string}
+ * @throws {Error}
+ */
+const checkDivisionName = (draft, name, currentName = null) => {
+    const trimmed = String(name || '').trim().replace(/\s+/g, ' ');
+    if (!trimmed) {
+        throw new Error('Please enter a division name');
+    }
+    // The division list is split on every comma (getDivisionOptions)
+    if (trimmed.includes(',')) {
+        throw new Error('Division names cannot contain commas');
+    }
+    if (trimmed !== currentName && getDivisionNames(draft).includes(trimmed)) {
+        throw new Error(`There is already a division called ${trimmed}`);
+    }
+    return trimmed;
+};
+
+/**
+ * Add an empty division
+ * @param {Object} draft
+ * @param {Object} templates
+ * @param {string} name
+ * @returns {Object}
+ * @throws {Error} - If the name is empty or taken
+ */
+export const addDivision = (draft, templates, name) => {
+    const divisionName = checkDivisionName(draft, name);
+    return withDivisions(draft, [...Object.entries(draft[DIVISIONS_KEY] || {}), [divisionName, createDivisionBlock(templates)]]);
+};
+
+/**
+ * Rename a division, keeping its place
+ * @param {Object} draft
+ * @param {string} oldName
+ * @param {string} newName
+ * @returns {Object}
+ * @throws {Error} - If the new name is empty or taken
+ */
+export const renameDivision = (draft, oldName, newName) => {
+    const divisionName = checkDivisionName(draft, newName, oldName);
+    return withDivisions(draft, Object.entries(draft[DIVISIONS_KEY] || {}).map(([name, block]) => (
+        [name === oldName ? divisionName : name, block]
+    )));
+};
+
+/**
+ * Remove a division
+ * @param {Object} draft
+ * @param {string} name
+ * @returns {Object}
+ */
+export const removeDivision = (draft, name) => (
+    withDivisions(draft, Object.entries(draft[DIVISIONS_KEY] || {}).filter(([divisionName]) => divisionName !== name))
+);
+
+// ============================================
+// FIELDS
+// ============================================
+
+/**
+ * Fields of the exam itself (top level) or of one division
+ * @param {Object} draft
+ * @param {string|null} divisionName
+ * @returns {Object}
+ */
+export const getBlock = (draft, divisionName = null) => (
+    divisionName ? draft[DIVISIONS_KEY]?.[divisionName] || {} : draft
+);
+
+/**
+ * JSON path of a block, as used in validation issues
+ * @param {string|null} divisionName
+ * @returns {string}
+ */
+export const getBlockPath = (divisionName = null) => (
+    divisionName ? joinPath(`$.${DIVISIONS_KEY}`, divisionName) : '$'
+);
+
+/**
+ * JSON path of a field, as used in validation issues
+ * @param {string|null} divisionName
+ * @param {string} field
+ * @returns {string}
+ */
+export const getFieldPath = (divisionName, field) => joinPath(getBlockPath(divisionName), field);
+
+/**
+ * Set one field of the exam or of a division
+ * @param {Object} draft
+ * @param {string|null} divisionName
+ * @param {string} field
+ * @param {*} value
+ * @returns {Object}
+ */
+export const setDraftField = (draft, divisionName, field, value) => {
+    if (!divisionName) {
+        return { ...draft, [field]: value };
+    }
+    return {
+        ...draft,
+        [DIVISIONS_KEY]: {
+            ...draft[DIVISIONS_KEY],
+            [divisionName]: { ...getBlock(draft, divisionName), [field]: value }
+        }
+    };
+};
+
+/**
+ * Editor widget for a field
+ * - SESSION: age/DOB fields, one value or one per exam session
+ * - ENUM: values from eligibilityfields.json / possiblefields.json
+ * - JSON: structured values (gender-keyed marital status, education levels, ...)
+ * - TEXT: anything else
+ * @param {Object} schema - From buildExamSchema
+ * @param {string} field
+ * @param {*} value - Current value
+ * @returns {string} - FIELD_KIND value
+ */
+export const getFieldKind = (schema, field, value) => {
+    if (SESSION_FIELDS.includes(field)) return FIELD_KIND.SESSION;
+    if (value !== null && typeof value === 'object') return FIELD_KIND.JSON;
+    if (schema.enums[field]) return FIELD_KIND.ENUM;
+    return FIELD_KIND.TEXT;
+};
+
+/**
+ * Dropdown values for an enum field
+ * @param {Object} schema
+ * @param {string} field
+ * @returns {string[]}
+ */
+export const getEnumValues = (schema, field) => (
+    (schema.enums[field]?.values || []).filter(value => value !== EMPTY_ENUM_VALUE)
+);
+
+/**
+ * Comma-separated enum value → list, ignoring commas inside brackets
+ * @param {string} value
+ * @returns {string[]}
+ */
+export const splitEnumValue = (value) => splitList(value || '');
+
+/**
+ * List of enum values → comma-separated value
+ * @param {string[]} values
+ * @returns {string}
+ */
+export const joinEnumValue = (values) => values.join(', ');
+
+// ============================================
+// VALIDATION
+// ============================================
+
+/**
+ * Validate a draft
+ * @param {Object} draft
+ * @param {Object} schema
+ * @returns {{issues: Array, errorCount: number, warningCount: number}}
+ */
+export const validateExamDraft = (draft, schema) => {
+    const issues = validateExamData(draft, schema);
+    return {
+        issues,
+        errorCount: issues.filter(issue => issue.severity === SEVERITY.ERROR).length,
+        warningCount: issues.filter(issue => issue.severity === SEVERITY.WARNING).length
+    };
+};
+
+/**
+ * Issues at a path or anywhere below it
+ * @param {Array} issues
+ * @param {string} path - e.g. '$.gender' or '$.academies.IMA.between_dob'
+ * @returns {Array}
+ */
+export const getIssuesAt = (issues, path) => issues.filter(issue => (
+    issue.path === path || issue.path.startsWith(`${path}.`) || issue.path.startsWith(`${path}[`)
+));
+
+export default {
+    FIELD_KIND,
+    DIVISIONS_FIELD,
+    loadExamAuthoring,
+    createExamDraft,
+    createDivisionBlock,
+    getDivisionNames,
+    addDivision,
+    renameDivision,
+    removeDivision,
+    getBlock,
+    getBlockPath,
+    getFieldPath,
+    setDraftField,
+    getFieldKind,
+    getEnumValues,
+    splitEnumValue,
+    joinEnumValue,
+    validateExamDraft,
+    getIssuesAt
+};
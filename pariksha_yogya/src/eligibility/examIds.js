@@ -0,0 +1,132 @@
+/**
+ * Exam Identifiers
+ * For PRATIYOGITA YOGYA - Exam Eligibility Tracker
+ *
+ * exam_code is not unique in allexamnames.json (SSC CGL, SSC CHSL and SSC CPO
+ * are all "SC"), so every exam carries a stable exam_id instead:
+ * - slug of the exam name: "SSC CGL" → "ssc-cgl"
+ * - if taken, the category is appended: "delhi-police-constable-police"
+ * - if still taken, a counter: "uppsc-apo-judiciary-2"
+ *
+ * IDs are written into allexamnames.json once (scripts/migrate-exam-ids.js)
+ * and never regenerated, so renaming an exam does not change its ID.
+ */
+
+// ============================================
+// ID GENERATION
+// ============================================
+
+/**
+ * URL-safe slug: lowercase letters, digits and single hyphens
+ * @param {string} text
+ * @returns {string}
+ */
+export const slugify = (text) => {
+    return String(text || '')
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/&/g, ' and ')
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '');
+};
+
+/**
+ * Category slug without the "_ED" suffix ("DEFENCE_ED" → "defence")
+ * @param {string} category
+ * @returns {string}
+ */
+const getCategorySlug = (category) => slugify(String(category || '').replace(/_ED$/i, ''));
+
+/**
+ * Create a new exam ID that is not in takenIds
+ * @param {string} examName - Exam name like "SSC CGL"
+ * @param {string} category - Category like "SSC_ED"
+ * @param {Set<string>} takenIds - IDs already in use (the new ID is added)
+ * @returns {string}
+ */
+export const createExamId = (examName, category, takenIds) => {
+    const base = slugify(examName) || 'exam';
+    let examId = base;
+    
+    if (takenIds.has(examId)) {
+        examId = [base, getCategorySlug(category)].filter(Boolean).join('-');
+    }
+    
+    const withCategory = examId;
+    for (let counter = 2; takenIds.has(examId); counter++) {
+        examId = `${withCategory}-${counter}`;
+    }
+    
+    takenIds.add(examId);
+    return examId;
+};
+
+// ============================================
+// MIGRATION
+// ============================================
+
+/**
+ * Give every exam in the index an exam_id, keeping IDs that already exist
+ * @param {Object} allExamNames - Contents of allexamnames.json
+ * @returns {{examNames: Object, added: Array<{category: string, exam_name: string, exam_id: string}>}}
+ */
+export const assignExamIds = (allExamNames) => {
+    const takenIds = new Set(
+        Object.values(allExamNames || {}).flatMap(exams => exams.map(exam => exam.exam_id).filter(Boolean))
+    );
+    const added = [];
+    const examNames = {};
+    
+    Object.entries(allExamNames || {}).forEach(([category, exams]) => {
+        examNames[category] = exams.map(exam => {
+            if (exam.exam_id) return exam;
+            
+            const examId = createExamId(exam.exam_name, category, takenIds);
+            added.push({ category, exam_name: exam.exam_name, exam_id: examId });
+            return { exam_id: examId, ...exam };
+        });
+    });
+    
+    return { examNames, added };
+};
+
+// ============================================
+// DUPLICATE DETECTION
+// ============================================
+
+/**
+ * Find exams without an ID and IDs used more than once
+ * @param {Object} allExamNames - Contents of allexamnames.json
+ * @returns {{missing: Array<{category: string, exam_name: string}>, duplicates: Array<{exam_id: string, exams: Array}>}}
+ */
+export const findExamIdProblems = (allExamNames) => {
+    const byId = new Map();
+    const missing = [];
+    
+    Object.entries(allExamNames || {}).forEach(([category, exams]) => {
+        exams.forEach(exam => {
+            if (!exam.exam_id) {
+                missing.push({ category, exam_name: exam.exam_name });
+                return;
+            }
+            if (!byId.has(exam.exam_id)) {
+                byId.set(exam.exam_id, []);
+            }
+            byId.get(exam.exam_id).push({ category, exam_name: exam.exam_name });
+        });
+    });
+    
+    const duplicates = [...byId.entries()]
+        .filter(([, exams]) => exams.length > 1)
+        .map(([examId, exams]) => ({ exam_id: examId, exams }));
+    
+    return { missing, duplicates };
+};
+
+export default {
+    slugify,
+    createExamId,
+    assignExamIds,
+    findExamIdProblems
+};
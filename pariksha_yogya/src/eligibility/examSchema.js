@@ -0,0 +1,603 @@
+/**
+ * Exam JSON Schema & Validator
+ * For PRATIYOGITA YOGYA - Exam Eligibility Tracker
+ *
+ * Builds a formal schema for examsdata/<CATEGORY>/<exam>.json from the templates in "other files/":
+ * - division_funcnility.json      → shape of exams with divisions (academies)
+ * - non_division_funcnility.json  → shape of exams without divisions
+ * - eligibilityfields.json        → allowed values (enums) + education_levels options
+ * - possiblefields.json           → additional accepted values for the same fields
+ *
+ * The templates are passed in (not imported) so the same validator runs in
+ * Node (scripts/validate-exams.js) and in the browser.
+ *
+ * Every problem is reported with the JSON path it was found at, e.g.
+ * $.academies["NDA (NAVY)"].between_dob["2026-I"]
+ */
+
+// Relative path, not the @pariksha alias: Node scripts and the server import this file and cannot resolve Vite aliases
+import { SESSION_FIELDS } from '../../../packages/exam-catalogue/examStructure.js';
+
+// ============================================
+// CONSTANTS
+// ============================================
+
+export const SEVERITY = {
+    ERROR: 'error',
+    WARNING: 'warning'
+};
+
+// Values accepted by every field
+const SENTINEL_VALUES = ['', 'ALL APPLICABLE', 'NOT APPLICABLE'];
+
+// Fields whose values must come from eligibilityfields.json / possiblefields.json
+const ENUM_FIELDS = [
+    'exam_level',
+    'exam_frequency_year',
+    'gender',
+    'special_gender_eligibility',
+    'marital_status',
+    'pwd_status',
+    'nationality',
+    'domicile',
+    'caste_category',
+    'age_criteria_type',
+    'highest_education_qualification',
+    'active_backlogs_allowed',
+    'gap_years_allowed',
+    'educational_stream_restriction',
+    'ncc_wing',
+    'ncc_certificate',
+    'ncc_certificate_grade',
+    'sports_quota_eligibility',
+    'cpl_holder',
+    'driving_license_type',
+    'current_employment_status',
+    'work_experience_required',
+    'work_experience_years',
+    'ex_servicemen_status'
+];
+
+// Extra accepted values not listed in the templates (values the checkers understand)
+const EXTRA_ENUM_VALUES = {
+    caste_category: ['GEN', 'OBC', 'EWS', 'SC', 'ST'],
+    nationality: ['PERSON OF INDIAN ORIGIN (PIO)'],
+    domicile: ['ALL STATES'],
+    gap_years_allowed: ['APPLICABLE'],
+    educational_stream_restriction: ['SCIENCE WITH PCM'],
+    age_criteria_type: ['STARTING_AGE', 'MIN_AGE', 'ENDING_AGE', 'MAX_AGE', 'BETWEEN_AGE', 'MINIMUM_DOB', 'MIN_DOB', 'MAXIMUM_DOB', 'MAX_DOB', 'BETWEEN_DOB', 'NO_AGE_LIMIT', 'NO AGE LIMIT']
+};
+
+// Fields that may be keyed objects instead of plain strings
+// (gender-keyed, category-keyed, session-keyed or structured values)
+const OBJECT_FIELDS = [
+    'marital_status',
+    'pwd_status',
+    'ncc_certificate',
+    'ncc_certificate_grade',
+    'height_cm',
+    'weight_kg',
+    'language_proficiency',
+    'age_relaxation',
+    'maximum_attempts_allowed'
+];
+
+// Session keys: "2026" or "2026-I" / "2026-II"
+const SESSION_KEY_PATTERN = /^\d{4}(-(I|II|III|IV))?$/;
+
+// Template placeholder session key
+const TEMPLATE_SESSION_KEY = 'EXAM-SESSION';
+
+// DD-MM-YYYY
+const DATE_PATTERN = /^(\d{2})-(\d{2})-(\d{4})$/;
+
+// Which field an age_criteria_type needs to be filled
+const AGE_CRITERIA_FIELDS = {
+    STARTING_AGE: ['starting_age'],
+    MIN_AGE: ['starting_age'],
+    ENDING_AGE: ['ending_age'],
+    MAX_AGE: ['ending_age', 'minimum_dob', 'maximum_dob'],
+    BETWEEN_AGE: ['between_age'],
+    MINIMUM_DOB: ['minimum_dob'],
+    MIN_DOB: ['minimum_dob'],
+    MAXIMUM_DOB: ['maximum_dob'],
+    MAX_DOB: ['maximum_dob'],
+    BETWEEN_DOB: ['between_dob']
+};
+
+// Keys allowed inside an education level block
+const EDUCATION_LEVEL_BLOCK_KEYS = ['course', 'course_stream', 'subject', 'status', 'marks_percentage', 'completed_year', 'board_university'];
+
+// Category keys for marks_percentage
+const MARKS_CATEGORIES = ['GEN', 'OBC', 'EWS', 'SC', 'ST'];
+
+// Wildcard course option
+const ALL_COURSES = 'ALL COURSES';
+
+// ============================================
+// HELPERS
+// ============================================
+
+/**
+ * Normalize value for enum comparison (case and whitespace insensitive)
+ * "(12TH) HIGHER SECONDARY" and "(12TH)HIGHER SECONDARY" compare equal
+ * @param {string} value - Value to normalize
+ * @returns {string}
+ */
+const normalizeValue = (value) => {
+    if (value === null || value === undefined) return '';
+    return String(value).toUpperCase().replace(/\s+/g, '');
+};
+
+/**
+ * Check for a plain (non-array) object
+ * @param {*} value
+ * @returns {boolean}
+ */
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Append a key to a JSON path
+ * @param {string} path - e.g., "$.academies"
+ * @param {string|number} key - e.g., "NDA (NAVY)"
+ * @returns {string} - e.g., '$.academies["NDA (NAVY)"]'
+ */
+export const joinPath = (path, key) => {
+    if (typeof key === 'number') return `${path}[${key}]`;
+    return /^[A-Za-z_$][\w$]*$/.test(key) ? `${path}.${key}` : `${path}[${JSON.stringify(key)}]`;
+};
+
+/**
+ * Split a comma-separated list, ignoring commas inside parentheses
+ * "INTERNATIONAL (OLYMPICS, ASIAN GAMES), STATE LEVEL" → ["INTERNATIONAL (OLYMPICS, ASIAN GAMES)", "STATE LEVEL"]
+ * @param {string} value
+ * @returns {string[]}
+ */
+export const splitList = (value) => {
+    const items = [];
+    let depth = 0;
+    let current = '';
+    for (const char of String(value)) {
+        if (char === '(') depth++;
+        if (char === ')') depth = Math.max(depth - 1, 0);
+        if (char === ',' && depth === 0) {
+            items.push(current.trim());
+            current = '';
+        } else {
+            current += char;
+        }
+    }
+    items.push(current.trim());
+    return items.filter(item => item !== '');
+};
+
+/**
+ * Parse a DD-MM-YYYY date, rejecting impossible dates (31-02-2020)
+ * @param {string} value
+ * @returns {Date|null}
+ */
+export const parseSchemaDate = (value) => {
+    const match = String(value).trim().match(DATE_PATTERN);
+    if (!match) return null;
+    const [, day, month, year] = match.map(Number);
+    const date = new Date(Date.UTC(year, month - 1, day));
+    if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+        return null;
+    }
+    return date;
+};
+
+// ============================================
+// SCHEMA BUILDING
+// ============================================
+
+/**
+ * Build the exam schema from the templates in "other files/"
+ * @param {Object} templates
+ * @param {Object} templates.divisionTemplate - division_funcnility.json
+ * @param {Object} templates.nonDivisionTemplate - non_division_funcnility.json
+ * @param {Object} templates.eligibilityFields - eligibilityfields.json
+ * @param {Object} templates.possibleFields - possiblefields.json
+ * @returns {{examKeys: string[], divisionExamKeys: string[], divisionKeys: string[], enums: Object, educationLevels: Object}}
+ */
+export const buildExamSchema = ({ divisionTemplate, nonDivisionTemplate, eligibilityFields, possibleFields }) => {
+    const sampleDivision = Object.values(divisionTemplate.academies || {})[0] || {};
+    
+    // Allowed values: union of both enum sources
+    const enums = {};
+    ENUM_FIELDS.forEach(field => {
+        const values = [
+            ...SENTINEL_VALUES,
+            ...(Array.isArray(eligibilityFields[field]) ? eligibilityFields[field] : []),
+            ...(Array.isArray(possibleFields[field]) ? possibleFields[field] : []),
+            ...(EXTRA_ENUM_VALUES[field] || [])
+        ];
+        enums[field] = {
+            values: [...new Set(values)],
+            normalized: new Set(values.map(normalizeValue))
+        };
+    });
+    
+    // Allowed course options per education level
+    const educationLevels = {};
+    Object.entries(eligibilityFields.education_levels || {}).forEach(([levelKey, levelData]) => {
+        const options = levelData?.course?.options || levelData?.course_stream?.options || [];
+        educationLevels[levelKey] = {
+            courses: new Set([ALL_COURSES, ...options].map(normalizeValue))
+        };
+    });
+    
+    return {
+        examKeys: Object.keys(nonDivisionTemplate),
+        divisionExamKeys: Object.keys(divisionTemplate),
+        divisionKeys: Object.keys(sampleDivision),
+        enums,
+        educationLevels
+    };
+};
+
+// ============================================
+// FIELD VALIDATION
+// ============================================
+
+/**
+ * Validate one enum value (plain or comma-separated list)
+ * @param {Object} schema - From buildExamSchema
+ * @param {string} field - Enum field name
+ * @param {*} value - Value to validate
+ * @param {string} path - JSON path
+ * @param {Function} report - (severity, path, message) => void
+ */
+const validateEnumValue = (schema, field, value, path, report) => {
+    const fieldEnum = schema.enums[field];
+    if (!fieldEnum || typeof value !== 'string') return;
+    if (fieldEnum.normalized.has(normalizeValue(value))) return;
+    
+    const unknown = splitList(value).filter(item => !fieldEnum.normalized.has(normalizeValue(item)));
+    if (unknown.length > 0) {
+        report(SEVERITY.ERROR, path, `Value ${unknown.map(item => JSON.stringify(item)).join(', ')} is not allowed for ${field}`);
+    }
+};
+
+/**
+ * Validate enum fields, including their keyed object forms
+ * @param {Object} schema
+ * @param {string} field
+ * @param {*} value
+ * @param {string} path
+ * @param {Function} report
+ */
+const validateEnumField = (schema, field, value, path, report) => {
+    if (typeof value === 'string') {
+        validateEnumValue(schema, field, value, path, report);
+        return;
+    }
+    if (!isPlainObject(value)) return;
+    
+    // Keyed objects whose keys/values are themselves enums
+    const keyEnums = {
+        marital_status: { keys: 'gender', values: 'marital_status' },
+        ncc_certificate: { keys: 'ncc_wing', values: 'ncc_certificate' },
+        ncc_certificate_grade: { keys: 'ncc_certificate', values: 'ncc_certificate_grade' }
+    };
+    const keyed = keyEnums[field];
+    if (!keyed) return;
+    
+    Object.entries(value).forEach(([key, inner]) => {
+        const innerPath = joinPath(path, key);
+        validateEnumValue(schema, keyed.keys, key, innerPath, report);
+        const innerValues = Array.isArray(inner) ? inner : [inner];
+        innerValues.forEach((item, index) => {
+            validateEnumValue(schema, keyed.values, item, Array.isArray(inner) ? joinPath(innerPath, index) : innerPath, report);
+        });
+    });
+};
+
+/**
+ * Validate the type of a field value
+ * @param {string} field
+ * @param {*} value
+ * @param {string} path
+ * @param {Function} report
+ */
+const validateFieldType = (field, value, path, report) => {
+    if (typeof value === 'string') return;
+    
+    if (SESSION_FIELDS.includes(field) && isPlainObject(value)) return;
+    if (OBJECT_FIELDS.includes(field) && (isPlainObject(value) || (field === 'language_proficiency' && Array.isArray(value)))) return;
+    
+    const actual = Array.isArray(value) ? 'array' : (value === null ? 'null' : typeof value);
+    report(SEVERITY.ERROR, path, `Expected a string for ${field}, got ${actual}`);
+};
+
+/**
+ * Validate a single session-field value (DD-MM-YYYY dates, "A to B" ranges, ages)
+ * @param {string} field
+ * @param {string} value
+ * @param {string} path
+ * @param {Function} report
+ */
+const validateSessionValue = (field, value, path, report) => {
+    if (typeof value !== 'string') {
+        report(SEVERITY.ERROR, path, `Expected a string for ${field}`);
+        return;
+    }
+    const trimmed = value.trim();
+    if (SENTINEL_VALUES.includes(trimmed.toUpperCase())) return;
+    
+    if (field === 'between_dob') {
+        const parts = trimmed.split(/\s+to\s+/i);
+        if (parts.length !== 2) {
+            report(SEVERITY.ERROR, path, `between_dob must be "DD-MM-YYYY to DD-MM-YYYY", got ${JSON.stringify(value)}`);
+            return;
+        }
+        const [start, end] = parts.map(parseSchemaDate);
+        if (!start || !end) {
+            const invalid = parts.filter(part => !parseSchemaDate(part));
+            report(SEVERITY.ERROR, path, `Invalid date ${invalid.map(part => JSON.stringify(part)).join(', ')} in between_dob (expected DD-MM-YYYY)`);
+            return;
+        }
+        if (start > end) {
+            report(SEVERITY.ERROR, path, `between_dob start ${parts[0]} is after end ${parts[1]}`);
+        }
+        return;
+    }
+    
+    if (field === 'minimum_dob' || field === 'maximum_dob') {
+        if (!parseSchemaDate(trimmed)) {
+            report(SEVERITY.ERROR, path, `Invalid date ${JSON.stringify(value)} in ${field} (expected DD-MM-YYYY)`);
+        }
+        return;
+    }
+    
+    if (field === 'between_age') {
+        if (!/^\d+(\.\d+)?\s*(-|to)\s*\d+(\.\d+)?$/i.test(trimmed)) {
+            report(SEVERITY.ERROR, path, `between_age must be "MIN-MAX" or "MIN to MAX", got ${JSON.stringify(value)}`);
+        }
+        return;
+    }
+    
+    // starting_age / ending_age
+    if (!/^\d+(\.\d+)?$/.test(trimmed)) {
+        report(SEVERITY.ERROR, path, `${field} must be a number of years, got ${JSON.stringify(value)}`);
+    }
+};
+
+/**
+ * Validate the age/DOB fields of one exam or division, including session keys
+ * @param {Object} data - Exam or division data
+ * @param {string} path
+ * @param {Function} report
+ * @returns {string[]|null} - Session keys used (null if no session-keyed field)
+ */
+const validateSessions = (data, path, report) => {
+    let sessionKeys = null;
+    
+    SESSION_FIELDS.forEach(field => {
+        const value = data[field];
+        const fieldPath = joinPath(path, field);
+        
+        if (!isPlainObject(value)) {
+            if (value !== undefined) validateSessionValue(field, value, fieldPath, report);
+            return;
+        }
+        
+        const keys = Object.keys(value);
+        if (keys.length === 0) {
+            report(SEVERITY.WARNING, fieldPath, `${field} has no exam sessions`);
+        }
+        
+        keys.forEach(key => {
+            const keyPath = joinPath(fieldPath, key);
+            if (key === TEMPLATE_SESSION_KEY) {
+                report(SEVERITY.ERROR, keyPath, `Template placeholder session key "${TEMPLATE_SESSION_KEY}" was not replaced`);
+            } else if (!SESSION_KEY_PATTERN.test(key)) {
+                report(SEVERITY.ERROR, keyPath, `Invalid session key ${JSON.stringify(key)} (expected YYYY or YYYY-I / YYYY-II)`);
+            }
+            validateSessionValue(field, value[key], keyPath, report);
+        });
+        
+        if (sessionKeys === null) {
+            sessionKeys = keys;
+        } else if (keys.join('|') !== sessionKeys.join('|')) {
+            report(SEVERITY.WARNING, fieldPath, `Session keys differ from the other session-keyed fields (${sessionKeys.join(', ')})`);
+        }
+    });
+    
+    // age_criteria_type must have its field filled
+    const criteriaType = String(data.age_criteria_type || '').toUpperCase().trim().replace(/\s+/g, '_');
+    const requiredFields = AGE_CRITERIA_FIELDS[criteriaType];
+    if (requiredFields) {
+        const isFilled = (value) => isPlainObject(value) ? Object.keys(value).length > 0 : (typeof value === 'string' && value.trim() !== '');
+        if (!requiredFields.some(field => isFilled(data[field]))) {
+            report(SEVERITY.ERROR, joinPath(path, 'age_criteria_type'), `age_criteria_type is ${data.age_criteria_type} but ${requiredFields.join(' / ')} is empty`);
+        }
+    }
+    
+    return sessionKeys;
+};
+
+/**
+ * Validate education_levels against the levels and course options in eligibilityfields.json
+ * @param {Object} schema
+ * @param {*} educationLevels
+ * @param {string} path
+ * @param {Function} report
+ */
+const validateEducationLevels = (schema, educationLevels, path, report) => {
+    if (educationLevels === undefined || educationLevels === '') return;
+    if (!isPlainObject(educationLevels)) {
+        report(SEVERITY.ERROR, path, 'education_levels must be an object keyed by education level');
+        return;
+    }
+    
+    Object.entries(educationLevels).forEach(([levelKey, levelData]) => {
+        const levelPath = joinPath(path, levelKey);
+        const levelSchema = schema.educationLevels[levelKey];
+        
+        if (!levelSchema) {
+            report(SEVERITY.ERROR, levelPath, `Unknown education level ${JSON.stringify(levelKey)}`);
+            return;
+        }
+        if (typeof levelData === 'string') return;
+        if (!isPlainObject(levelData)) {
+            report(SEVERITY.ERROR, levelPath, 'Education level must be "" or an object');
+            return;
+        }
+        
+        Object.keys(levelData)
+            .filter(key => !EDUCATION_LEVEL_BLOCK_KEYS.includes(key))
+            .forEach(key => report(SEVERITY.ERROR, joinPath(levelPath, key), `Unknown key ${JSON.stringify(key)} in education level`));
+        
+        // Course options
+        const courseKey = levelData.course ? 'course' : 'course_stream';
+        const courseOptions = levelData[courseKey]?.options;
+        if (levelData[courseKey] !== undefined && !Array.isArray(courseOptions)) {
+            report(SEVERITY.ERROR, joinPath(levelPath, courseKey), `${courseKey} must be { "options": [...] }`);
+        }
+        const declaredCourses = new Set((courseOptions || []).map(normalizeValue));
+        (courseOptions || []).forEach((course, index) => {
+            if (levelSchema.courses.size > 1 && !levelSchema.courses.has(normalizeValue(course))) {
+                report(SEVERITY.ERROR, joinPath(joinPath(joinPath(levelPath, courseKey), 'options'), index), `Course ${JSON.stringify(course)} is not an option for ${levelKey}`);
+            }
+        });
+        
+        // Course-keyed subject/status must refer to declared courses
+        ['subject', 'status'].forEach(key => {
+            const value = levelData[key];
+            if (!isPlainObject(value) || declaredCourses.has(normalizeValue(ALL_COURSES))) return;
+            Object.keys(value)
+                .filter(course => course !== 'options' && normalizeValue(course) !== 'OTHER' && !declaredCourses.has(normalizeValue(course)))
+                .forEach(course => report(SEVERITY.ERROR, joinPath(joinPath(levelPath, key), course), `${key} given for course ${JSON.stringify(course)} which is not in ${courseKey}.options`));
+        });
+        
+        // Category-wise marks
+        const marks = levelData.marks_percentage;
+        if (isPlainObject(marks)) {
+            Object.entries(marks).forEach(([category, percentage]) => {
+                const marksPath = joinPath(joinPath(levelPath, 'marks_percentage'), category);
+                if (!MARKS_CATEGORIES.includes(category)) {
+                    report(SEVERITY.ERROR, marksPath, `Unknown category ${JSON.stringify(category)} (expected ${MARKS_CATEGORIES.join(', ')})`);
+                }
+                if (typeof percentage !== 'string' || !/^(\d+(\.\d+)?%?)?$/.test(percentage.trim())) {
+                    report(SEVERITY.ERROR, marksPath, `Invalid percentage ${JSON.stringify(percentage)}`);
+                }
+            });
+        }
+    });
+};
+
+/**
+ * Validate the eligibility fields of one exam (non-division) or one division
+ * @param {Object} schema
+ * @param {Object} data
+ * @param {string[]} allowedKeys - Keys from the template
+ * @param {string} path
+ * @param {Function} report
+ * @returns {string[]|null} - Session keys used
+ */
+const validateEligibilityBlock = (schema, data, allowedKeys, path, report) => {
+    Object.entries(data).forEach(([field, value]) => {
+        const fieldPath = joinPath(path, field);
+        
+        if (!allowedKeys.includes(field)) {
+            report(SEVERITY.ERROR, fieldPath, `Unknown field ${JSON.stringify(field)}`);
+            return;
+        }
+        if (field === 'education_levels' || field === 'academies' || SESSION_FIELDS.includes(field)) return;
+        
+        validateFieldType(field, value, fieldPath, report);
+        if (ENUM_FIELDS.includes(field)) {
+            validateEnumField(schema, field, value, fieldPath, report);
+        }
+    });
+    
+    allowedKeys
+        .filter(field => field !== 'academies' && !(field in data))
+        .forEach(field => report(SEVERITY.WARNING, joinPath(path, field), `Missing field ${JSON.stringify(field)} (present in the template)`));
+    
+    validateEducationLevels(schema, data.education_levels, joinPath(path, 'education_levels'), report);
+    return validateSessions(data, path, report);
+};
+
+// ============================================
+// EXAM VALIDATION
+// ============================================
+
+/**
+ * Validate one exam JSON file
+ * @param {Object} examData - Parsed exam JSON
+ * @param {Object} schema - From buildExamSchema
+ * @returns {Array<{severity: string, path: string, message: string}>}
+ */
+export const validateExamData = (examData, schema) => {
+    const issues = [];
+    const report = (severity, path, message) => issues.push({ severity, path, message });
+    
+    if (!isPlainObject(examData)) {
+        report(SEVERITY.ERROR, '$', 'Exam file must contain a JSON object');
+        return issues;
+    }
+    
+    const postsValue = examData.posts_classes_courses_departments_academies;
+    const posts = typeof postsValue === 'string' ? splitList(postsValue) : [];
+    const hasAcademies = examData.academies !== undefined;
+    
+    if (!hasAcademies) {
+        if (posts.length > 0) {
+            report(SEVERITY.ERROR, '$.posts_classes_courses_departments_academies', `Lists divisions (${posts.join(', ')}) but the exam has no "academies"`);
+        }
+        validateEligibilityBlock(schema, examData, schema.examKeys, '$', report);
+        return issues;
+    }
+    
+    // Division-based exam: top level has exam metadata only
+    const topLevel = Object.fromEntries(Object.entries(examData).filter(([key]) => key !== 'academies'));
+    validateEligibilityBlock(schema, topLevel, schema.divisionExamKeys.filter(key => key !== 'academies'), '$', report);
+    
+    if (!isPlainObject(examData.academies)) {
+        report(SEVERITY.ERROR, '$.academies', 'academies must be an object keyed by division name');
+        return issues;
+    }
+    
+    const divisionNames = Object.keys(examData.academies);
+    if (posts.length === 0) {
+        report(SEVERITY.ERROR, '$.posts_classes_courses_departments_academies', 'Exam has academies but lists no divisions');
+    }
+    posts
+        .filter(post => !divisionNames.includes(post))
+        .forEach(post => report(SEVERITY.ERROR, '$.posts_classes_courses_departments_academies', `Division ${JSON.stringify(post)} has no entry in academies`));
+    divisionNames
+        .filter(name => !posts.includes(name))
+        .forEach(name => report(SEVERITY.ERROR, joinPath('$.academies', name), `Division ${JSON.stringify(name)} is not listed in posts_classes_courses_departments_academies`));
+    
+    // Each division, and the session keys they use
+    let firstSessions = null;
+    divisionNames.forEach(name => {
+        const divisionPath = joinPath('$.academies', name);
+        const division = examData.academies[name];
+        if (!isPlainObject(division)) {
+            report(SEVERITY.ERROR, divisionPath, 'Division must be an object');
+            return;
+        }
+        
+        const sessions = validateEligibilityBlock(schema, division, schema.divisionKeys, divisionPath, report);
+        if (sessions === null) return;
+        if (firstSessions === null) {
+            firstSessions = { name, keys: sessions };
+        } else if (sessions.join('|') !== firstSessions.keys.join('|')) {
+            report(SEVERITY.WARNING, divisionPath, `Exam sessions differ from division ${JSON.stringify(firstSessions.name)} (${firstSessions.keys.join(', ')})`);
+        }
+    });
+    
+    return issues;
+};
+
+export default {
+    SEVERITY,
+    joinPath,
+    splitList,
+    parseSchemaDate,
+    buildExamSchema,
+    validateExamData
+};
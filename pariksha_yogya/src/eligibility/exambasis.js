@@ -13,13 +13,20 @@ import {
 
 import {
     getExamDropdownOptions,
+    getExamOptionsGroupedByCategory,
     loadExamData,
     getDivisionOptions,
     getDivisionData,
     examHasDivisions,
-    getExamSessionOptions
+    getExamSessionOptions,
+    getPrefetchCandidates,
+    prefetchExamData
 } from "./examDataLoader";
 
+import { prepareUserInput } from "./userInput";
+
+export { prepareUserInput };
+
 // ============================================
 // EXTRACT OPTIONS FROM EXAM DATA
 // ============================================
@@ -137,12 +144,12 @@ export const valuesToOptions = (values, labelMap = {}) => {
 
 /**
  * Load exam data and extract all necessary information
- * @param {string} examCode - The exam code to load
+ * @param {string} examId - The exam ID to load
  * @param {Array} examOptions - List of available exam options
  * @returns {Object} - { examData, displayDetails, hasDivisions, divisions, error }
  */
-export const loadExamDataForBasis = async (examCode, examOptions) => {
-    if (!examCode) {
+export const loadExamDataForBasis = async (examId, examOptions) => {
+    if (!examId) {
         return {
             examData: null,
             displayDetails: null,
@@ -153,7 +160,7 @@ export const loadExamDataForBasis = async (examCode, examOptions) => {
     }
 
     // Find the exam info
-    const examInfo = examOptions.find(e => e.value === examCode);
+    const examInfo = examOptions.find(e => e.value === examId);
     if (!examInfo || !examInfo.linkedFile) {
         return {
             examData: null,
@@ -207,65 +214,13 @@ export const loadExamDataForBasis = async (examCode, examOptions) => {
 // ELIGIBILITY CHECKING
 // ============================================
 
-/**
- * Education key mapping from UI format to checker format
- */
-const EDUCATION_KEY_MAPPING = {
-    'POST DOCTORATE': 'post_doctorate',
-    'PHD': 'phd',
-    'POST GRADUATION': 'post_graduation',
-    'GRADUATION': 'graduation',
-    'DIPLOMA / ITI (POLYTECHNIC, ITI, DPHARM, PGDCA)': 'diploma',
-    '(12TH)HIGHER SECONDARY': '12th_higher_secondary',
-    '(12TH) HIGHER SECONDARY': '12th_higher_secondary',
-    '(10TH)SECONDARY': '10th_secondary',
-    '(10TH) SECONDARY': '10th_secondary'
-};
-
-/**
- * Prepare user input for eligibility checking
- * @param {Object} formData - The form data from UI
- * @param {Object} educationTableData - Education table data from UI
- * @returns {Object} - Prepared user input for eligibility checker
- */
-export const prepareUserInput = (formData, educationTableData) => {
-    // Convert DOB to DD-MM-YYYY format for checking
-    let dobFormatted = '';
-    if (formData.date_of_birth) {
-        const dobParts = formData.date_of_birth.split('-');
-        dobFormatted = `${dobParts[2]}-${dobParts[1]}-${dobParts[0]}`;
-    }
-
-    // Convert educationTableData keys to JSON format expected by checker
-    const educationLevelsForChecker = {};
-
-    Object.entries(educationTableData).forEach(([uiKey, levelData]) => {
-        const jsonKey = EDUCATION_KEY_MAPPING[uiKey] || uiKey.toLowerCase().replace(/ /g, '_');
-        if (levelData && (levelData.course || levelData.marks || levelData.subject)) {
-            educationLevelsForChecker[jsonKey] = {
-                course: levelData.course || '',
-                subject: levelData.subject || '',
-                marks_percentage: levelData.marks || '',
-                status: levelData.completionStatus || '',
-                completed_year: levelData.completedYear || ''
-            };
-        }
-    });
-
-    return {
-        ...formData,
-        date_of_birth: dobFormatted,
-        education_levels: educationLevelsForChecker
-    };
-};
-
 /**
  * Check eligibility for a specific exam (Exam Basis mode)
  * @param {Object} userInput - Prepared user input
  * @param {Object} examData - The loaded exam data
  * @param {boolean} hasDivisions - Whether exam has divisions
  * @param {Array} divisions - List of divisions (if any)
- * @param {string} selectedExam - The selected exam code
+ * @param {string} selectedExam - The selected exam ID
  * @returns {Array} - Array of eligibility results for all divisions/sessions
  */
 export const checkExamBasisEligibility = (userInput, examData, hasDivisions, divisions, selectedExam) => {
@@ -290,9 +245,11 @@ export const checkExamBasisEligibility = (userInput, examData, hasDivisions, div
 
                         allResults.push({
                             ...eligibilityResult,
+                            examId: selectedExam,
                             examName: examData.exam_name || selectedExam,
                             division: divisionName,
                             session: sessionOpt.label,
+                            sessionKey: sessionOpt.value,
                             divisionData: divData
                         });
                     });
@@ -306,9 +263,11 @@ export const checkExamBasisEligibility = (userInput, examData, hasDivisions, div
 
                     allResults.push({
                         ...eligibilityResult,
+                        examId: selectedExam,
                         examName: examData.exam_name || selectedExam,
                         division: divisionName,
                         session: "N/A",
+                        sessionKey: null,
                         divisionData: divData
                     });
                 }
@@ -329,9 +288,11 @@ export const checkExamBasisEligibility = (userInput, examData, hasDivisions, div
 
                 allResults.push({
                     ...eligibilityResult,
+                    examId: selectedExam,
                     examName: examData.exam_name || selectedExam,
                     division: "N/A",
                     session: sessionOpt.label,
+                    sessionKey: sessionOpt.value,
                     divisionData: null
                 });
             });
@@ -345,9 +306,11 @@ export const checkExamBasisEligibility = (userInput, examData, hasDivisions, div
 
             allResults.push({
                 ...eligibilityResult,
+                examId: selectedExam,
                 examName: examData.exam_name || selectedExam,
                 division: "N/A",
                 session: "N/A",
+                sessionKey: null,
                 divisionData: null
             });
         }
@@ -357,5 +320,5 @@ export const checkExamBasisEligibility = (userInput, examData, hasDivisions, div
 };
 
 // Re-export functions from examDataLoader for convenience
-export { getExamDropdownOptions, loadExamData, getDivisionOptions, getDivisionData, examHasDivisions, getExamSessionOptions };
+export { getExamDropdownOptions, getExamOptionsGroupedByCategory, loadExamData, getDivisionOptions, getDivisionData, examHasDivisions, getExamSessionOptions, getPrefetchCandidates, prefetchExamData };
 export { getDisplayDetails };
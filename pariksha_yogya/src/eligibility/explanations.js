@@ -0,0 +1,589 @@
+/**
+ * Eligibility Explanations
+ *
+ * Turns the terse check results of checkFullEligibility into plain-language
+ * explanations with an actionable hint, e.g.
+ * - "Needs 5% more in Graduation"
+ * - "You become eligible for the 2027-I session"
+ * - "Eligible under OBC relaxation"
+ *
+ * Also finds the nearest session or division where the candidate would pass:
+ * - later sessions listed in the exam file (getExamSessionOptions)
+ * - projected future sessions when the candidate is only too young, built by
+ *   moving the latest session's DOB dates forward one year at a time
+ *   (assumes the rule stays the same, so these are marked projected: true)
+ * - other divisions of the exam, from the same session onwards
+ */
+
+import { checkFullEligibility } from "./checker/index.js";
+import { getEducationLevelName } from "./checker/education_level.js";
+import { SESSION_FIELDS } from "@pariksha/exam-catalogue/examStructure.js";
+
+import {
+    examHasDivisions,
+    getDivisionOptions,
+    getDivisionData,
+    getExamSessionOptions
+} from "./examDataLoader";
+
+// ============================================
+// CONSTANTS
+// ============================================
+
+// How many years past the last listed session to project
+export const MAX_PROJECTED_YEARS = 5;
+
+// Session-keyed fields copied into a projected session
+const PROJECTABLE_FIELDS = [...SESSION_FIELDS, 'no_age_limit'];
+
+const ROMAN_SESSIONS = ['I', 'II', 'III', 'IV'];
+
+const NOT_SPECIFIED = 'Not specified';
+
+// Display names for checker fields that are not already human readable
+const FIELD_LABELS = {
+    gender: 'Gender',
+    marital_status: 'Marital status',
+    pwd_status: 'PwD status',
+    caste_category: 'Category',
+    nationality: 'Nationality',
+    domicile: 'Domicile',
+    highest_education_qualification: 'Highest qualification',
+    diploma_12th_equivalency: 'Diploma / 12th',
+    ncc_wing: 'NCC wing',
+    cpl_holder: 'CPL holder',
+    current_employment_status: 'Employment status',
+    ex_servicemen_status: 'Ex-servicemen status'
+};
+
+// Per-level education fields: education_course_graduation, marks_percentage_12th_higher_secondary, ...
+const LEVEL_FIELD_PATTERN = /^(education_course|education_subject|marks_percentage)_(.+)$/;
+const LEVEL_FIELD_LABELS = {
+    education_course: 'Course',
+    education_subject: 'Subjects',
+    marks_percentage: 'Marks'
+};
+
+// Checks whose outcome IS the category, so a pass there is not a "relaxation"
+const NON_RELAXATION_FIELDS = ['caste_category', 'pwd_status'];
+
+// ============================================
+// HELPERS
+// ============================================
+
+/**
+ * "(12TH) HIGHER SECONDARY" → "(12th) Higher Secondary"
+ * @param {string} name
+ * @returns {string}
+ */
+const toDisplayName = (name) => {
+    return (name || '').toLowerCase().replace(/\b[a-z]/g, c => c.toUpperCase());
+};
+
+/**
+ * First number in a string ("72%", "Minimum 157 cm") or NaN
+ * @param {string|number} value
+ * @returns {number}
+ */
+const parseNumber = (value) => {
+    const match = String(value ?? '').match(/-?\d+(\.\d+)?/);
+    return match ? parseFloat(match[0]) : NaN;
+};
+
+/**
+ * Round to at most 2 decimals for display
+ * @param {number} value
+ * @returns {number}
+ */
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Check if the user left a field empty
+ * @param {Object} check - Checker result
+ * @returns {boolean}
+ */
+const isNotSpecified = (check) => {
+    return !check.userValue || String(check.userValue).startsWith(NOT_SPECIFIED);
+};
+
+/**
+ * Human label for a checker field
+ * @param {string} field - e.g. "marks_percentage_graduation", "Height (cm)"
+ * @returns {string}
+ */
+export const getFieldLabel = (field) => {
+    if (FIELD_LABELS[field]) return FIELD_LABELS[field];
+    
+    const levelMatch = (field || '').match(LEVEL_FIELD_PATTERN);
+    if (levelMatch) {
+        return `${LEVEL_FIELD_LABELS[levelMatch[1]]} (${toDisplayName(getEducationLevelName(levelMatch[2]))})`;
+    }
+    
+    return field || '';
+};
+
+// ============================================
+// SESSION HELPERS
+// ============================================
+
+/**
+ * Sort key for a session: "2026-II" → 20262, "2026" → 20260
+ * @param {string} session
+ * @returns {number}
+ */
+const getSessionOrder = (session) => {
+    const match = String(session || '').match(/^(\d{4})(?:-(I{1,3}|IV))?$/);
+    if (!match) return NaN;
+    const part = match[2] ? ROMAN_SESSIONS.indexOf(match[2]) + 1 : 0;
+    return parseInt(match[1], 10) * 10 + part;
+};
+
+/**
+ * Session label as shown by getExamSessionOptions ("2026-I" → "2026 I")
+ * @param {string} session
+ * @returns {string}
+ */
+const getSessionLabel = (session) => String(session).replace(/-/g, ' ');
+
+/**
+ * Sessions of an exam/division in chronological order
+ * @param {Object} examData
+ * @returns {string[]}
+ */
+const getSortedSessions = (examData) => {
+    return getExamSessionOptions(examData)
+        .map(option => option.value)
+        .filter(session => !isNaN(getSessionOrder(session)))
+        .sort((a, b) => getSessionOrder(a) - getSessionOrder(b));
+};
+
+/**
+ * Move every DD-MM-YYYY date in a value forward by whole years
+ * 29-02 falls back to 28-02 in non-leap years
+ * @param {string} value
+ * @param {number} years
+ * @returns {string}
+ */
+const shiftDates = (value, years) => {
+    if (typeof value !== 'string') return value;
+    
+    return value.replace(/\b(\d{2})-(\d{2})-(\d{4})\b/g, (match, day, month, year) => {
+        const newYear = parseInt(year, 10) + years;
+        const isLeap = (newYear % 4 === 0 && newYear % 100 !== 0) || newYear % 400 === 0;
+        const newDay = day === '29' && month === '02' && !isLeap ? '28' : day;
+        return `${newDay}-${month}-${newYear}`;
+    });
+};
+
+/**
+ * Copy of the exam data with a projected session added to every session-keyed field
+ * @param {Object} examData - Division or exam data
+ * @param {string} templateSession - Listed session to copy ("2030-I")
+ * @param {string} projectedSession - New session key ("2031-I")
+ * @param {number} years - Years between the two sessions
+ * @returns {Object}
+ */
+export const projectSessionData = (examData, templateSession, projectedSession, years) => {
+    const projected = { ...examData };
+    
+    for (const field of PROJECTABLE_FIELDS) {
+        const sessionMap = examData?.[field];
+        if (!sessionMap || typeof sessionMap !== 'object' || Array.isArray(sessionMap)) continue;
+        if (!(templateSession in sessionMap)) continue;
+        
+        projected[field] = {
+            ...sessionMap,
+            [projectedSession]: shiftDates(sessionMap[templateSession], years)
+        };
+    }
+    
+    return projected;
+};
+
+// ============================================
+// DATE OF BIRTH
+// ============================================
+
+/**
+ * Work out whether a failed DOB/age check means too young or too old
+ * Reads the check details returned by checkDateOfBirth
+ * @param {Object} check - Date of Birth check result
+ * @returns {'TOO_YOUNG'|'TOO_OLD'|null}
+ */
+export const getAgeGap = (check) => {
+    const detail = check?.details?.check;
+    if (!detail || check.eligible) return null;
+    
+    const age = detail.userAge?.years;
+    const dob = detail.userDob instanceof Date ? detail.userDob.getTime() : null;
+    
+    // Age based (starting_age / ending_age / between_age)
+    if (age !== undefined && age !== null) {
+        const minAge = detail.requiredAge ?? detail.minAge;
+        if (minAge !== undefined && minAge !== null && age < minAge) return 'TOO_YOUNG';
+        if (detail.maxAge !== undefined && detail.maxAge !== null && age > detail.maxAge) return 'TOO_OLD';
+    }
+    
+    // DOB based (minimum_dob / maximum_dob / between_dob)
+    if (dob !== null) {
+        const latestDob = detail.minDob || detail.endDob;
+        const earliestDob = detail.maxDob || detail.startDob;
+        if (latestDob instanceof Date && dob > latestDob.getTime()) return 'TOO_YOUNG';
+        if (earliestDob instanceof Date && dob < earliestDob.getTime()) return 'TOO_OLD';
+    }
+    
+    return null;
+};
+
+// ============================================
+// SINGLE CHECK EXPLANATIONS
+// ============================================
+
+/**
+ * Explain a Date of Birth failure
+ * @param {Object} check
+ * @returns {{explanation: string, hint: string}}
+ */
+const explainDateOfBirth = (check) => {
+    if (isNotSpecified(check)) {
+        return { explanation: 'Your date of birth is needed to check the age limit.', hint: 'Enter your date of birth' };
+    }
+    
+    const gap = getAgeGap(check);
+    if (gap === 'TOO_YOUNG') {
+        return {
+            explanation: `You are too young for this session (${check.examRequirement}).`,
+            hint: 'Check the later sessions below'
+        };
+    }
+    if (gap === 'TOO_OLD') {
+        return {
+            explanation: `You are above the age limit for this session (${check.examRequirement}).`,
+            hint: check.ageRelaxation
+                ? `Already includes your relaxation: ${check.ageRelaxation.summary}`
+                : 'No age relaxation applies to your profile'
+        };
+    }
+    
+    return { explanation: check.reason, hint: `Required: ${check.examRequirement}` };
+};
+
+/**
+ * Explain a marks percentage failure
+ * @param {Object} check
+ * @param {string} levelKey - Education level JSON key
+ * @returns {{explanation: string, hint: string}}
+ */
+const explainMarks = (check, levelKey) => {
+    const levelName = toDisplayName(getEducationLevelName(levelKey));
+    
+    if (isNotSpecified(check)) {
+        return {
+            explanation: `Your ${levelName} marks are needed to check the minimum percentage.`,
+            hint: `Enter your ${levelName} marks`
+        };
+    }
+    
+    const userMarks = parseNumber(check.userValue);
+    const requiredMarks = parseNumber(check.examRequirement);
+    if (isNaN(userMarks) || isNaN(requiredMarks)) {
+        return { explanation: check.reason, hint: `Required: ${check.examRequirement}` };
+    }
+    
+    return {
+        explanation: `You scored ${userMarks}% in ${levelName}; this exam needs ${requiredMarks}%.`,
+        hint: `Needs ${round(requiredMarks - userMarks)}% more in ${levelName}`
+    };
+};
+
+/**
+ * Explain a height/weight failure ("Minimum 157 cm", "50 - 80 kg")
+ * @param {Object} check
+ * @param {string} unit - "cm" or "kg"
+ * @returns {{explanation: string, hint: string}}
+ */
+const explainMeasurement = (check, unit) => {
+    const label = getFieldLabel(check.field);
+    
+    if (isNotSpecified(check)) {
+        return { explanation: `${label} is needed for this exam.`, hint: `Enter your ${label.toLowerCase()}` };
+    }
+    
+    const userValue = parseNumber(check.userValue);
+    const range = String(check.examRequirement).match(/(\d+(?:\.\d+)?)\s*-\s*(\d+(?:\.\d+)?)/);
+    const minimum = range ? parseFloat(range[1]) : parseNumber(check.examRequirement);
+    const maximum = range ? parseFloat(range[2]) : NaN;
+    
+    let hint = `Required: ${check.examRequirement}`;
+    if (!isNaN(userValue) && !isNaN(minimum) && userValue < minimum) {
+        hint = `Needs ${round(minimum - userValue)} ${unit} more`;
+    } else if (!isNaN(userValue) && !isNaN(maximum) && userValue > maximum) {
+        hint = `${round(userValue - maximum)} ${unit} above the limit`;
+    }
+    
+    return {
+        explanation: `Your ${label.toLowerCase()} (${check.userValue}) does not meet the requirement: ${check.examRequirement}.`,
+        hint
+    };
+};
+
+/**
+ * Explain a failed check in plain language with an actionable hint
+ * @param {Object} check - Failed result from checkFullEligibility
+ * @returns {{field: string, label: string, explanation: string, hint: string}}
+ */
+export const explainCheck = (check) => {
+    const label = getFieldLabel(check.field);
+    const levelMatch = (check.field || '').match(LEVEL_FIELD_PATTERN);
+    
+    let explained;
+    if (check.field === 'Date of Birth') {
+        explained = explainDateOfBirth(check);
+    } else if (levelMatch && levelMatch[1] === 'marks_percentage') {
+        explained = explainMarks(check, levelMatch[2]);
+    } else if (check.field === 'Height (cm)') {
+        explained = explainMeasurement(check, 'cm');
+    } else if (check.field === 'Weight (kg)') {
+        explained = explainMeasurement(check, 'kg');
+    } else if (check.field === 'highest_education_qualification') {
+        explained = {
+            explanation: `This needs at least ${toDisplayName(check.examRequirement)}; you entered ${toDisplayName(check.userValue)}.`,
+            hint: `Requires ${toDisplayName(check.examRequirement)} or higher`
+        };
+    } else if (isNotSpecified(check)) {
+        explained = {
+            explanation: `${label} is needed for this exam.`,
+            hint: `Fill in ${label.toLowerCase()}`
+        };
+    } else {
+        explained = {
+            explanation: `Your ${label.toLowerCase()} (${check.userValue}) is not accepted here.`,
+            hint: `Accepted: ${check.examRequirement}`
+        };
+    }
+    
+    return { field: check.field, label, ...explained };
+};
+
+// ============================================
+// NEAREST PASSING SESSION / DIVISION
+// ============================================
+
+/**
+ * Memoised eligibility lookup for one candidate across divisions/sessions
+ * @param {Object} userInput - Prepared user input
+ * @param {Object} examData - Full exam data
+ * @returns {{isEligible: Function, seed: Function, getData: Function}}
+ */
+const createEligibilityLookup = (userInput, examData) => {
+    const cache = new Map();
+    const keyOf = (division, session) => `${division || ''}|${session || ''}`;
+    
+    /**
+     * Division data, or the exam itself when it has no divisions
+     * @param {string|null} division
+     * @returns {Object|null}
+     */
+    const getData = (division) => (division ? getDivisionData(examData, division) : examData);
+    
+    return {
+        getData,
+        seed: (division, session, eligible) => cache.set(keyOf(division, session), eligible),
+        isEligible: (division, session) => {
+            const key = keyOf(division, session);
+            if (!cache.has(key)) {
+                const data = getData(division);
+                cache.set(key, !!data && checkFullEligibility(userInput, data, session).eligible);
+            }
+            return cache.get(key);
+        }
+    };
+};
+
+/**
+ * Find the nearest session/division where the candidate passes
+ * @param {Object} userInput - Prepared user input
+ * @param {Object} examData - Full exam data (with academies if it has divisions)
+ * @param {Object} options
+ * @param {string|null} options.division - Division that failed (null for exams without divisions)
+ * @param {string|null} options.session - Session key that failed ("2026-I")
+ * @param {boolean} options.project - Also try projected future sessions (candidate is too young)
+ * @param {Object} options.lookup - Shared eligibility lookup (internal)
+ * @returns {{nearestSession: Object|null, alternativeDivisions: Object[]}}
+ */
+export const findNearestEligibility = (userInput, examData, { division = null, session = null, project = false, lookup = null } = {}) => {
+    const eligibility = lookup || createEligibilityLookup(userInput, examData);
+    const divisionData = eligibility.getData(division);
+    const currentOrder = session ? getSessionOrder(session) : -Infinity;
+    
+    // 1. Same division, later listed session
+    const sessions = divisionData ? getSortedSessions(divisionData) : [];
+    let nearestSession = null;
+    
+    const laterSession = sessions.find(s => getSessionOrder(s) > currentOrder && eligibility.isEligible(division, s));
+    if (laterSession) {
+        nearestSession = { session: laterSession, label: getSessionLabel(laterSession), projected: false };
+    }
+    
+    // 2. Same division, projected sessions past the last listed one
+    if (!nearestSession && project && sessions.length > 0) {
+        const lastSession = sessions[sessions.length - 1];
+        const lastYear = parseInt(lastSession.slice(0, 4), 10);
+        const templates = sessions.filter(s => s.startsWith(String(lastYear)));
+        
+        for (let years = 1; years <= MAX_PROJECTED_YEARS && !nearestSession; years++) {
+            for (const template of templates) {
+                const projectedSession = `${lastYear + years}${template.slice(4)}`;
+                const projectedData = projectSessionData(divisionData, template, projectedSession, years);
+                if (checkFullEligibility(userInput, projectedData, projectedSession).eligible) {
+                    nearestSession = { session: projectedSession, label: getSessionLabel(projectedSession), projected: true };
+                    break;
+                }
+            }
+        }
+    }
+    
+    // 3. Other divisions, from the same session onwards
+    const alternativeDivisions = [];
+    if (examHasDivisions(examData)) {
+        for (const { value: otherDivision } of getDivisionOptions(examData)) {
+            if (otherDivision === division) continue;
+            const otherData = eligibility.getData(otherDivision);
+            if (!otherData) continue;
+            
+            const otherSessions = getSortedSessions(otherData);
+            const candidates = otherSessions.length > 0
+                ? otherSessions.filter(s => getSessionOrder(s) >= currentOrder)
+                : [null];
+            const passingSession = candidates.find(s => eligibility.isEligible(otherDivision, s));
+            
+            if (passingSession !== undefined) {
+                alternativeDivisions.push({
+                    division: otherDivision,
+                    session: passingSession,
+                    label: passingSession ? getSessionLabel(passingSession) : 'N/A'
+                });
+            }
+        }
+    }
+    
+    return { nearestSession, alternativeDivisions };
+};
+
+// ============================================
+// RELAXATION
+// ============================================
+
+/**
+ * Find checks the candidate passes only because of their category/PwD relaxation
+ * Re-runs the check as a General, non-PwD candidate and compares
+ * @param {Object} result - checkFullEligibility result
+ * @param {Object} userInput - Prepared user input
+ * @param {Object} examData - Division or exam data the result was checked against
+ * @param {string|null} session
+ * @returns {Array<{field: string, label: string, explanation: string, hint: string}>}
+ */
+export const findRelaxedPasses = (result, userInput, examData, session) => {
+    const category = (userInput.caste_category || '').toUpperCase().trim();
+    const isPwd = userInput.pwd_status === 'YES' || userInput.pwd_status === true;
+    if ((!category || category === 'GEN') && !isPwd) return [];
+    
+    const generalResult = checkFullEligibility(
+        { ...userInput, caste_category: 'GEN', pwd_status: 'NO' },
+        examData,
+        session
+    );
+    const relaxationName = isPwd ? `PwBD${category && category !== 'GEN' ? ` (${category})` : ''}` : category;
+    
+    return result.results
+        .filter(check => check.eligible && !NON_RELAXATION_FIELDS.includes(check.field))
+        .filter(check => generalResult.results.some(general => general.field === check.field && !general.eligible))
+        .map(check => {
+            const general = generalResult.results.find(g => g.field === check.field);
+            return {
+                field: check.field,
+                label: getFieldLabel(check.field),
+                explanation: `Eligible under ${relaxationName} relaxation`,
+                hint: check.ageRelaxation
+                    ? check.ageRelaxation.summary
+                    : `General requirement: ${general.examRequirement}`
+            };
+        });
+};
+
+// ============================================
+// RESULT EXPLANATIONS
+// ============================================
+
+/**
+ * Explain one division/session result
+ * @param {Object} result - Result from checkExamBasisEligibility
+ * @param {Object} userInput - Prepared user input
+ * @param {Object} examData - Full exam data
+ * @param {Object} lookup - Shared eligibility lookup (internal)
+ * @returns {{failures: Object[], relaxations: Object[], nearestSession: Object|null, alternativeDivisions: Object[]}}
+ */
+export const explainEligibility = (result, userInput, examData, lookup = null) => {
+    const division = result.division && result.division !== 'N/A' ? result.division : null;
+    const session = result.sessionKey || null;
+    const eligibility = lookup || createEligibilityLookup(userInput, examData);
+    const divisionData = eligibility.getData(division);
+    
+    const failedChecks = result.results.filter(check => !check.eligible);
+    const failures = failedChecks.map(explainCheck);
+    const relaxations = divisionData ? findRelaxedPasses(result, userInput, divisionData, session) : [];
+    
+    if (result.eligible) {
+        return { failures, relaxations, nearestSession: null, alternativeDivisions: [] };
+    }
+    
+    // Projected sessions can only help if age is the sole problem
+    const project = failedChecks.length > 0 && failedChecks.every(check => getAgeGap(check) === 'TOO_YOUNG');
+    const nearest = findNearestEligibility(userInput, examData, { division, session, project, lookup: eligibility });
+    
+    // Put the nearest session into the DOB hint
+    if (nearest.nearestSession) {
+        const dobFailure = failures.find(f => f.field === 'Date of Birth' && getAgeGap(failedChecks.find(c => c.field === f.field)) === 'TOO_YOUNG');
+        if (dobFailure) {
+            dobFailure.hint = nearest.nearestSession.projected
+                ? `You become eligible for the ${nearest.nearestSession.session} session (if the age rule stays the same)`
+                : `You become eligible for the ${nearest.nearestSession.session} session`;
+        }
+    }
+    
+    return { failures, relaxations, ...nearest };
+};
+
+/**
+ * Add an `explanation` to every Exam Basis result
+ * Reuses the verdicts already computed for other divisions/sessions
+ * @param {Array} results - Results from checkExamBasisEligibility
+ * @param {Object} userInput - Prepared user input
+ * @param {Object} examData - Full exam data
+ * @returns {Array} - Same results with explanation: {failures, relaxations, nearestSession, alternativeDivisions}
+ */
+export const addExplanations = (results, userInput, examData) => {
+    const lookup = createEligibilityLookup(userInput, examData);
+    
+    results.forEach(result => {
+        const division = result.division && result.division !== 'N/A' ? result.division : null;
+        lookup.seed(division, result.sessionKey || null, result.eligible);
+    });
+    
+    return results.map(result => ({
+        ...result,
+        explanation: explainEligibility(result, userInput, examData, lookup)
+    }));
+};
+
+export default {
+    MAX_PROJECTED_YEARS,
+    getFieldLabel,
+    getAgeGap,
+    projectSessionData,
+    explainCheck,
+    findNearestEligibility,
+    findRelaxedPasses,
+    explainEligibility,
+    addExplanations
+};
@@ -0,0 +1,275 @@
+/**
+ * Saved Candidate Profiles
+ * For PRATIYOGITA YOGYA - Exam Eligibility Tracker
+ *
+ * Named snapshots of the check-eligibility form ("me", "my sister") kept in
+ * IndexedDB on this device, so a profile can be reloaded and re-checked in
+ * one click.
+ *
+ * Stored record (format version 1):
+ * { id, name, version, formData, educationTableData, selectedExam, createdAt, updatedAt }
+ *
+ * Records saved with an older format version are upgraded when read
+ * (PROFILE_MIGRATIONS); records from a newer version are skipped.
+ *
+ * When the user is signed in, src/auth/accountSync.js merges these records
+ * with the copies stored on their account (mergeProfileLists).
+ */
+
+// ============================================
+// CONSTANTS
+// ============================================
+
+export const PROFILE_FORMAT_VERSION = 1;
+
+export const MAX_PROFILE_NAME_LENGTH = 50;
+
+const DB_NAME = 'pariksha-yogya';
+const DB_VERSION = 1;
+const STORE_NAME = 'profiles';
+
+/**
+ * Format upgrades: version → function turning a record of that version
+ * into a record of the next version
+ */
+const PROFILE_MIGRATIONS = {};
+
+// ============================================
+// RECORD FORMAT
+// ============================================
+
+/**
+ * Unique profile ID
+ * @returns {string}
+ */
+const createProfileId = () => {
+    if (typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function') {
+        return crypto.randomUUID();
+    }
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+};
+
+/**
+ * Trim and validate a profile name
+ * @param {string} name
+ * @returns {string}
+ * @throws {Error} - If the name is empty or too long
+ */
+export const normalizeProfileName = (name) => {
+    const trimmed = String(name || '').trim().replace(/\s+/g, ' ');
+    
+    if (!trimmed) {
+        throw new Error('Please enter a profile name');
+    }
+    if (trimmed.length > MAX_PROFILE_NAME_LENGTH) {
+        throw new Error(`Profile name must be at most ${MAX_PROFILE_NAME_LENGTH} characters`);
+    }
+    
+    return trimmed;
+};
+
+/**
+ * Build a record to store from the current form state
+ * @param {Object} profile - { name, formData, educationTableData, selectedExam }
+ * @param {Object|null} existing - Stored record to overwrite (keeps its id and createdAt)
+ * @returns {Object} - Profile record
+ */
+export const createProfileRecord = (profile, existing = null) => {
+    const now = new Date().toISOString();
+    
+    return {
+        id: existing?.id || createProfileId(),
+        name: normalizeProfileName(profile.name),
+        version: PROFILE_FORMAT_VERSION,
+        // Plain JSON copies, so later form edits do not change the saved profile
+        formData: JSON.parse(JSON.stringify(profile.formData || {})),
+        educationTableData: JSON.parse(JSON.stringify(profile.educationTableData || {})),
+        selectedExam: profile.selectedExam || '',
+        createdAt: existing?.createdAt || now,
+        updatedAt: now
+    };
+};
+
+/**
+ * Upgrade a stored record to the current format version
+ * @param {Object} record - Stored record
+ * @param {Object} migrations - Format upgrades (defaults to PROFILE_MIGRATIONS)
+ * @returns {Object|null} - Current-format record, or null if it cannot be read
+ */
+export const migrateProfileRecord = (record, migrations = PROFILE_MIGRATIONS) => {
+    if (!record || typeof record !== 'object') return null;
+    
+    let current = record;
+    let version = Number.isInteger(current.version) ? current.version : 0;
+    
+    while (version < PROFILE_FORMAT_VERSION) {
+        const migrate = migrations[version];
+        if (!migrate) {
+            console.error(`No migration for saved profile format version ${version}`);
+            return null;
+        }
+        current = migrate(current);
+        version = current.version;
+    }
+    
+    // Saved by a newer version of the app
+    if (version > PROFILE_FORMAT_VERSION) return null;
+    
+    return current;
+};
+
+/**
+ * Merge two lists of profile records by ID; the most recently updated copy wins
+ * @param {Array} localProfiles - Records on this device
+ * @param {Array} remoteProfiles - Records from the account
+ * @param {string[]} deletedIds - Profiles deleted on some device (dropped from the result)
+ * @returns {Array} - Current-format records, sorted by name
+ */
+export const mergeProfileLists = (localProfiles = [], remoteProfiles = [], deletedIds = []) => {
+    const deleted = new Set(deletedIds);
+    const merged = new Map();
+    
+    [...localProfiles, ...remoteProfiles]
+        .map(record => migrateProfileRecord(record))
+        .filter(record => record && !deleted.has(record.id))
+        .forEach(record => {
+            const current = merged.get(record.id);
+            if (!current || String(record.updatedAt) > String(current.updatedAt)) {
+                merged.set(record.id, record);
+            }
+        });
+    
+    return Array.from(merged.values()).sort((a, b) => a.name.localeCompare(b.name));
+};
+
+// ============================================
+// INDEXEDDB ACCESS
+// ============================================
+
+/**
+ * Check if saved profiles can be stored in this environment
+ * @returns {boolean}
+ */
+export const isProfileStorageAvailable = () => typeof indexedDB !== 'undefined';
+
+/**
+ * Open (and create on first use) the profiles database
+ * @returns {Promise<IDBDatabase>}
+ */
+const openDatabase = () => new Promise((resolve, reject) => {
+    if (!isProfileStorageAvailable()) {
+        reject(new Error('Saved profiles are not supported in this browser'));
+        return;
+    }
+    
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(STORE_NAME)) {
+            db.createObjectStore(STORE_NAME, { keyPath: 'id' });
+        }
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+});
+
+/**
+ * Run one request against the profiles store and wait for the transaction
+ * @param {IDBTransactionMode} mode - "readonly" or "readwrite"
+ * @param {Function} action - (store) => IDBRequest
+ * @returns {Promise<*>} - Result of the request
+ */
+const runRequest = async (mode, action) => {
+    const db = await openDatabase();
+    
+    try {
+        return await new Promise((resolve, reject) => {
+            const transaction = db.transaction(STORE_NAME, mode);
+            const request = action(transaction.objectStore(STORE_NAME));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    } finally {
+        db.close();
+    }
+};
+
+// ============================================
+// PROFILE API
+// ============================================
+
+/**
+ * List saved profiles, sorted by name
+ * @returns {Promise<Array>} - Current-format profile records
+ */
+export const listProfiles = async () => {
+    const records = await runRequest('readonly', store => store.getAll());
+    
+    return (records || [])
+        .map(record => migrateProfileRecord(record))
+        .filter(Boolean)
+        .sort((a, b) => a.name.localeCompare(b.name));
+};
+
+/**
+ * Get one saved profile
+ * @param {string} id - Profile ID
+ * @returns {Promise<Object|null>}
+ */
+export const getProfile = async (id) => {
+    const record = await runRequest('readonly', store => store.get(id));
+    return migrateProfileRecord(record);
+};
+
+/**
+ * Save the form state under a name
+ * Saving under an existing name (case-insensitive) overwrites that profile
+ * @param {Object} profile - { name, formData, educationTableData, selectedExam }
+ * @returns {Promise<Object>} - Saved record
+ */
+export const saveProfile = async (profile) => {
+    const name = normalizeProfileName(profile.name);
+    const existing = (await listProfiles()).find(saved => saved.name.toLowerCase() === name.toLowerCase());
+    const record = createProfileRecord({ ...profile, name }, existing);
+    
+    await runRequest('readwrite', store => store.put(record));
+    return record;
+};
+
+/**
+ * Delete a saved profile
+ * @param {string} id - Profile ID
+ * @returns {Promise<void>}
+ */
+export const deleteProfile = async (id) => {
+    await runRequest('readwrite', store => store.delete(id));
+};
+
+/**
+ * Replace every saved profile on this device (used after syncing with the account)
+ * @param {Array} records - Profile records
+ * @returns {Promise<void>}
+ */
+export const replaceProfiles = async (records) => {
+    await runRequest('readwrite', store => {
+        store.clear();
+        records.forEach(record => store.put(record));
+        return store.count();
+    });
+};
+
+export default {
+    PROFILE_FORMAT_VERSION,
+    MAX_PROFILE_NAME_LENGTH,
+    normalizeProfileName,
+    createProfileRecord,
+    migrateProfileRecord,
+    mergeProfileLists,
+    isProfileStorageAvailable,
+    listProfiles,
+    getProfile,
+    saveProfile,
+    deleteProfile,
+    replaceProfiles
+};
@@ -0,0 +1,474 @@
+/**
+ * Eligibility Report (PDF)
+ * For PRATIYOGITA YOGYA - Exam Eligibility Tracker
+ *
+ * Builds a printable report of a check - the candidate profile, every
+ * exam/division/session verdict with its per-field results, and the exam
+ * details - for students to take to coaching counsellors.
+ *
+ * buildReportData() turns page state into plain report data (testable
+ * without a browser); downloadEligibilityReport() lays it out with jsPDF,
+ * which is only loaded when a report is requested.
+ */
+
+import { getFieldLabel } from './explanations';
+
+// ============================================
+// CONSTANTS
+// ============================================
+
+export const REPORT_TITLE = 'Pariksha Yogya - Eligibility Report';
+
+// Labels for profile fields the checker labels do not cover
+const PROFILE_FIELD_LABELS = {
+    date_of_birth: 'Date of birth',
+    eligibility_education_course: 'Course',
+    eligibility_education_course_subject: 'Subject',
+    eligibility_course_year: 'Course year',
+    eligibility_marks: 'Marks (%)',
+    percentage_10th_requirement: '10th marks (%)',
+    percentage_12th_requirement: '12th marks (%)',
+    subjects_at_10th: 'Subjects at 10th',
+    subjects_at_12th: 'Subjects at 12th',
+    height_cm: 'Height (cm)',
+    weight_kg: 'Weight (kg)',
+    attempts_used: 'Attempts used'
+};
+
+// Exam details from getDisplayDetails, in report order
+const DISPLAY_DETAIL_LABELS = {
+    full_form: 'Full form',
+    conducting_body: 'Conducting body',
+    exam_level: 'Level',
+    exam_sector: 'Sector',
+    exam_target: 'Target',
+    exam_frequency_year: 'Frequency',
+    posts_classes_courses_departments_academies: 'Posts / courses',
+    exam_tiers: 'Tiers',
+    exam_subjects: 'Subjects',
+    exam_pattern: 'Pattern',
+    exam_sections: 'Sections',
+    mode_of_exam: 'Mode',
+    exam_duration: 'Duration',
+    total_marks: 'Total marks',
+    number_of_questions: 'Questions',
+    marking_scheme: 'Marking scheme',
+    paper_medium: 'Medium',
+    exam_date: 'Exam date'
+};
+
+// Page layout (mm, A4 portrait)
+const PAGE = { width: 210, height: 297, margin: 14 };
+const LINE_HEIGHT = 4.6;
+
+// Characters the built-in PDF fonts cannot draw, and their replacements
+const PDF_TEXT_REPLACEMENTS = [
+    [/[‘’]/g, "'"],
+    [/[“”]/g, '"'],
+    [/[–—]/g, '-'],
+    [/…/g, '...'],
+    [/→/g, '->'],
+    [/₹/g, 'Rs. '],
+    [/[✓✔]/g, 'Yes'],
+    [/[✗✘]/g, 'No']
+];
+
+// ============================================
+// REPORT DATA
+// ============================================
+
+/**
+ * "date_of_birth" → "Date of birth"
+ * @param {string} key
+ * @returns {string}
+ */
+const humanizeKey = (key) => {
+    const words = String(key).replace(/_/g, ' ').trim();
+    return words.charAt(0).toUpperCase() + words.slice(1);
+};
+
+/**
+ * Display text for a profile or check value
+ * @param {*} value
+ * @returns {string}
+ */
+const formatValue = (value) => {
+    if (value === undefined || value === null || value === '') return '';
+    if (Array.isArray(value)) return value.join(', ');
+    if (typeof value === 'object') return JSON.stringify(value);
+    return String(value);
+};
+
+/**
+ * Label for a profile field
+ * @param {string} key
+ * @returns {string}
+ */
+const getProfileLabel = (key) => {
+    if (PROFILE_FIELD_LABELS[key]) return PROFILE_FIELD_LABELS[key];
+    const checkerLabel = getFieldLabel(key);
+    return checkerLabel !== key ? checkerLabel : humanizeKey(key);
+};
+
+/**
+ * Filled-in profile fields as label/value rows
+ * @param {Object} formData - Check-eligibility form state
+ * @returns {Array<{label: string, value: string}>}
+ */
+export const getProfileRows = (formData = {}) => Object.entries(formData)
+    .map(([key, value]) => ({ label: getProfileLabel(key), value: formatValue(value) }))
+    .filter(row => row.value);
+
+/**
+ * Education table as rows
+ * @param {Object} educationTableData - { [level]: { course, subject, marks, completionStatus, completedYear } }
+ * @returns {Array<{level: string, course: string, subject: string, marks: string, status: string, year: string}>}
+ */
+export const getEducationRows = (educationTableData = {}) => Object.entries(educationTableData)
+    .filter(([, level]) => level && (level.course || level.subject || level.marks))
+    .map(([level, data]) => ({
+        level: humanizeKey(level.toLowerCase()),
+        course: formatValue(data.course),
+        subject: formatValue(data.subject),
+        marks: formatValue(data.marks),
+        status: formatValue(data.completionStatus),
+        year: formatValue(data.completedYear)
+    }));
+
+/**
+ * Non-empty exam details as label/value rows
+ * @param {Object} displayDetails - From getDisplayDetails
+ * @returns {Array<{label: string, value: string}>}
+ */
+export const getDetailRows = (displayDetails = {}) => Object.entries(DISPLAY_DETAIL_LABELS)
+    .map(([key, label]) => ({ label, value: formatValue(displayDetails?.[key]) }))
+    .filter(row => row.value);
+
+/**
+ * One division/session verdict with its per-field results
+ * @param {Object} result - checkFullEligibility result with division/session
+ * @returns {Object}
+ */
+const toVerdict = (result) => ({
+    division: result.division && result.division !== 'N/A' ? result.division : '',
+    session: result.session && result.session !== 'N/A' ? result.session : '',
+    eligible: Boolean(result.eligible),
+    checks: (result.results || []).map(check => ({
+        label: getFieldLabel(check.field),
+        userValue: formatValue(check.userValue),
+        requirement: formatValue(check.examRequirement),
+        eligible: Boolean(check.eligible),
+        relaxation: check.ageRelaxation ? `+${check.ageRelaxation.years} yrs relaxation` : ''
+    })),
+    reasons: (result.explanation?.failures || []).map(failure => ({
+        label: failure.label,
+        explanation: failure.explanation,
+        hint: failure.hint || ''
+    }))
+});
+
+/**
+ * Group results by exam, keeping the order exams first appear in
+ * @param {Array} results
+ * @param {Object|null} fallbackDetails - Exam details when results carry none (Exam Basis)
+ * @returns {Array}
+ */
+const groupByExam = (results, fallbackDetails = null) => {
+    const exams = new Map();
+    
+    results.forEach(result => {
+        const key = result.examId || result.examName;
+        if (!exams.has(key)) {
+            exams.set(key, {
+                examId: result.examId || '',
+                examName: result.examName || result.examLabel || '',
+                details: getDetailRows(result.displayDetails || fallbackDetails),
+                verdicts: []
+            });
+        }
+        exams.get(key).verdicts.push(toVerdict(result));
+    });
+    
+    return Array.from(exams.values());
+};
+
+/**
+ * Everything the PDF shows, as plain data
+ * @param {Object} input
+ * @param {string} input.mode - 'exam' (Exam Basis) or 'eligibility' (Eligibility Basis)
+ * @param {Object} input.formData
+ * @param {Object} input.educationTableData
+ * @param {Array} input.results - Exam Basis results (mode 'exam')
+ * @param {Object} input.displayDetails - Exam details of the selected exam (mode 'exam')
+ * @param {Object} input.scanResult - Eligibility Basis result (mode 'eligibility')
+ * @param {Date} input.generatedAt
+ * @returns {Object} - { title, generatedAt, mode, profile, education, summary, exams, notEligible }
+ */
+export const buildReportData = ({
+    mode,
+    formData,
+    educationTableData,
+    results = [],
+    displayDetails = null,
+    scanResult = null,
+    generatedAt = new Date()
+}) => {
+    const report = {
+        title: REPORT_TITLE,
+        generatedAt: generatedAt.toLocaleString('en-IN', { dateStyle: 'long', timeStyle: 'short' }),
+        generatedOn: generatedAt.toISOString().slice(0, 10),
+        mode,
+        profile: getProfileRows(formData),
+        education: getEducationRows(educationTableData),
+        summary: '',
+        exams: [],
+        notEligible: []
+    };
+    
+    if (mode === 'eligibility' && scanResult) {
+        // Eligible exams in full; the (long) not-eligible list only names the first failed criteria
+        report.exams = groupByExam(scanResult.eligible || []);
+        report.notEligible = groupByExam(scanResult.ineligible || []).map(exam => ({
+            examName: exam.examName,
+            reasons: [...new Set(exam.verdicts.flatMap(verdict => verdict.checks
+                .filter(check => !check.eligible)
+                .map(check => check.label)))].slice(0, 4)
+        }));
+        report.summary = `Eligible for ${report.exams.length} of ${scanResult.totalExamsChecked} exams checked`;
+    } else {
+        report.exams = groupByExam(results, displayDetails);
+        const eligibleCount = results.filter(result => result.eligible).length;
+        report.summary = `Eligible in ${eligibleCount} of ${results.length} division/session checks`;
+    }
+    
+    return report;
+};
+
+/**
+ * File name for the report
+ * @param {Object} report - From buildReportData
+ * @returns {string}
+ */
+export const getReportFileName = (report) => {
+    const subject = report.mode === 'exam' && report.exams.length === 1
+        ? report.exams[0].examId || report.exams[0].examName
+        : 'all-exams';
+    const slug = String(subject).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+    return `pariksha-yogya-report-${slug || 'exam'}-${report.generatedOn}.pdf`;
+};
+
+/**
+ * Text the built-in PDF fonts can draw (they only cover Latin-1)
+ * @param {*} value
+ * @returns {string}
+ */
+export const toPdfText = (value) => {
+    let text = formatValue(value);
+    PDF_TEXT_REPLACEMENTS.forEach(([pattern, replacement]) => {
+        text = text.replace(pattern, replacement);
+    });
+    return text.replace(/[\u0100-\uFFFF]/g, '?');
+};
+
+// ============================================
+// PDF LAYOUT
+// ============================================
+
+/**
+ * Small cursor-based writer over a jsPDF document
+ * @param {Object} doc - jsPDF instance
+ * @returns {Object} - Writing helpers
+ */
+const createWriter = (doc) => {
+    const contentWidth = PAGE.width - PAGE.margin * 2;
+    let y = PAGE.margin;
+    
+    const ensureSpace = (height) => {
+        if (y + height > PAGE.height - PAGE.margin) {
+            doc.addPage();
+            y = PAGE.margin;
+        }
+    };
+    
+    const setStyle = ({ size = 9, bold = false, color = [33, 33, 33] } = {}) => {
+        doc.setFont('helvetica', bold ? 'bold' : 'normal');
+        doc.setFontSize(size);
+        doc.setTextColor(...color);
+    };
+    
+    const paragraph = (text, style = {}, indent = 0) => {
+        setStyle(style);
+        const lines = doc.splitTextToSize(toPdfText(text), contentWidth - indent);
+        lines.forEach(line => {
+            ensureSpace(LINE_HEIGHT);
+            doc.text(line, PAGE.margin + indent, y + 3.2);
+            y += LINE_HEIGHT;
+        });
+    };
+    
+    const heading = (text, size = 12) => {
+        ensureSpace(LINE_HEIGHT * 3);
+        y += 2;
+        paragraph(text, { size, bold: true, color: [30, 58, 138] });
+        y += 1;
+    };
+    
+    // Columns: [{ header, width (fraction of content width) }]; rows: arrays of cell text
+    const table = (columns, rows, { highlightRow = () => null } = {}) => {
+        const widths = columns.map(column => column.width * contentWidth);
+        
+        const drawRow = (cells, { bold = false, fill = null } = {}) => {
+            setStyle({ size: 8, bold });
+            const cellLines = cells.map((cell, index) => doc.splitTextToSize(toPdfText(cell), widths[index] - 2));
+            const height = Math.max(...cellLines.map(lines => lines.length)) * 3.8 + 1.6;
+            ensureSpace(height);
+            if (fill) {
+                doc.setFillColor(...fill);
+                doc.rect(PAGE.margin, y, contentWidth, height, 'F');
+            }
+            let x = PAGE.margin;
+            cellLines.forEach((lines, index) => {
+                doc.text(lines, x + 1, y + 3.4);
+                x += widths[index];
+            });
+            y += height;
+            doc.setDrawColor(220, 220, 220);
+            doc.line(PAGE.margin, y, PAGE.margin + contentWidth, y);
+        };
+        
+        drawRow(columns.map(column => column.header), { bold: true, fill: [241, 245, 249] });
+        rows.forEach((row, index) => drawRow(row, { fill: highlightRow(index) }));
+        y += 2;
+    };
+    
+    const space = (amount = 2) => {
+        y += amount;
+    };
+    
+    return { paragraph, heading, table, space };
+};
+
+/**
+ * Lay out the report in a jsPDF document
+ * @param {Object} report - From buildReportData
+ * @param {Function} JsPdf - jsPDF constructor
+ * @returns {Object} - jsPDF document
+ */
+export const createReportPdf = (report, JsPdf) => {
+    const doc = new JsPdf({ unit: 'mm', format: 'a4' });
+    const write = createWriter(doc);
+    
+    doc.setProperties({ title: report.title, creator: 'Pariksha Yogya' });
+    
+    write.paragraph(report.title, { size: 16, bold: true, color: [30, 58, 138] });
+    write.paragraph(`Generated on ${report.generatedAt}`, { size: 9, color: [100, 100, 100] });
+    write.paragraph(report.summary, { size: 10, bold: true });
+    
+    // Candidate profile
+    write.heading('Candidate Profile');
+    write.table(
+        [{ header: 'Detail', width: 0.4 }, { header: 'Value', width: 0.6 }],
+        report.profile.map(row => [row.label, row.value])
+    );
+    if (report.education.length > 0) {
+        write.table(
+            [
+                { header: 'Education', width: 0.2 },
+                { header: 'Course', width: 0.24 },
+                { header: 'Subject', width: 0.24 },
+                { header: 'Marks', width: 0.1 },
+                { header: 'Status', width: 0.12 },
+                { header: 'Year', width: 0.1 }
+            ],
+            report.education.map(row => [row.level, row.course, row.subject, row.marks, row.status, row.year])
+        );
+    }
+    
+    // Verdicts per exam
+    report.exams.forEach(exam => {
+        write.heading(exam.examName, 13);
+        
+        if (exam.details.length > 0) {
+            write.table(
+                [{ header: 'Exam detail', width: 0.3 }, { header: '', width: 0.7 }],
+                exam.details.map(row => [row.label, row.value])
+            );
+        }
+        
+        exam.verdicts.forEach(verdict => {
+            const title = [verdict.division, verdict.session].filter(Boolean).join(' | ') || 'Eligibility';
+            write.paragraph(`${title}: ${verdict.eligible ? 'ELIGIBLE' : 'NOT ELIGIBLE'}`, {
+                size: 10,
+                bold: true,
+                color: verdict.eligible ? [21, 128, 61] : [185, 28, 28]
+            });
+            
+            if (verdict.checks.length > 0) {
+                write.table(
+                    [
+                        { header: 'Criteria', width: 0.24 },
+                        { header: 'You', width: 0.26 },
+                        { header: 'Required', width: 0.38 },
+                        { header: 'Result', width: 0.12 }
+                    ],
+                    verdict.checks.map(check => [
+                        check.relaxation ? `${check.label} (${check.relaxation})` : check.label,
+                        check.userValue,
+                        check.requirement,
+                        check.eligible ? 'Pass' : 'Fail'
+                    ]),
+                    { highlightRow: index => (verdict.checks[index].eligible ? null : [254, 226, 226]) }
+                );
+            }
+            
+            verdict.reasons.forEach(reason => {
+                write.paragraph(`${reason.label}: ${reason.explanation}${reason.hint ? ` (${reason.hint})` : ''}`, { size: 8 }, 2);
+            });
+            write.space();
+        });
+    });
+    
+    // Eligibility Basis: exams the candidate is not eligible for
+    if (report.notEligible.length > 0) {
+        write.heading(`Not Eligible (${report.notEligible.length} exams)`);
+        write.table(
+            [{ header: 'Exam', width: 0.55 }, { header: 'Failed criteria', width: 0.45 }],
+            report.notEligible.map(exam => [exam.examName, exam.reasons.join(', ')])
+        );
+    }
+    
+    write.space(4);
+    write.paragraph(
+        'This report is based on the details entered and the exam rules known to Pariksha Yogya on the date above. '
+        + 'Always confirm eligibility with the official notification.',
+        { size: 8, color: [100, 100, 100] }
+    );
+    
+    return doc;
+};
+
+/**
+ * Build the report and save it as a PDF download
+ * @param {Object} input - See buildReportData
+ * @returns {Promise<string>} - File name
+ */
+export const downloadEligibilityReport = async (input) => {
+    const { jsPDF } = await import('jspdf');
+    const report = buildReportData(input);
+    const fileName = getReportFileName(report);
+    
+    createReportPdf(report, jsPDF).save(fileName);
+    return fileName;
+};
+
+export default {
+    REPORT_TITLE,
+    getProfileRows,
+    getEducationRows,
+    getDetailRows,
+    buildReportData,
+    getReportFileName,
+    toPdfText,
+    createReportPdf,
+    downloadEligibilityReport
+};
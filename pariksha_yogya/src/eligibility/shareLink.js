@@ -0,0 +1,219 @@
+/**
+ * Shareable Result Links
+ * For PRATIYOGITA YOGYA - Exam Eligibility Tracker
+ *
+ * Encodes the check-eligibility form state into the URL fragment, so a
+ * counsellor can send a link that reproduces a result:
+ *
+ *   /check-eligibility#s=1.<base64url JSON>
+ *
+ * The fragment never reaches the server. Empty fields are dropped to keep
+ * links short, and personal details (SENSITIVE_FORM_FIELDS) can be left out.
+ *
+ * Payload (format version 1):
+ * { mode, exam, division, session, form, edu, omitted }
+ *
+ * Links from an older format version are read with SHARE_LINK_DECODERS;
+ * links from a newer version are rejected.
+ */
+
+// ============================================
+// CONSTANTS
+// ============================================
+
+export const SHARE_LINK_VERSION = 1;
+
+export const SHARE_LINK_PARAM = 's';
+
+export const SHARE_LINK_PATH = '/check-eligibility';
+
+/**
+ * Personal details left out when "omit sensitive details" is chosen
+ */
+export const SENSITIVE_FORM_FIELDS = [
+    'date_of_birth',
+    'gender',
+    'marital_status',
+    'caste_category',
+    'pwd_status',
+    'domicile',
+    'ex_servicemen_status',
+    'height_cm',
+    'weight_kg',
+    'vision_eyesight'
+];
+
+const SEARCH_MODES = ['exam', 'eligibility'];
+
+// ============================================
+// ENCODING HELPERS
+// ============================================
+
+/**
+ * UTF-8 string → base64url (no padding)
+ * @param {string} text
+ * @returns {string}
+ */
+const toBase64Url = (text) => {
+    const bytes = new TextEncoder().encode(text);
+    let binary = '';
+    bytes.forEach(byte => {
+        binary += String.fromCharCode(byte);
+    });
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+/**
+ * base64url → UTF-8 string
+ * @param {string} encoded
+ * @returns {string}
+ */
+const fromBase64Url = (encoded) => {
+    const base64 = encoded.replace(/-/g, '+').replace(/_/g, '/');
+    const binary = atob(base64 + '='.repeat((4 - (base64.length % 4)) % 4));
+    return new TextDecoder().decode(Uint8Array.from(binary, char => char.charCodeAt(0)));
+};
+
+/**
+ * Keep only non-empty string (or string list) fields
+ * @param {Object} values
+ * @param {string[]} skip - Field names to leave out
+ * @returns {Object}
+ */
+const compactFields = (values, skip = []) => {
+    const compact = {};
+    Object.entries(values || {}).forEach(([field, value]) => {
+        if (skip.includes(field)) return;
+        if (Array.isArray(value)) {
+            const list = value.filter(item => typeof item === 'string' && item !== '');
+            if (list.length > 0) compact[field] = list;
+        } else if (typeof value === 'number' && Number.isFinite(value)) {
+            compact[field] = String(value);
+        } else if (typeof value === 'string' && value !== '') {
+            compact[field] = value;
+        }
+    });
+    return compact;
+};
+
+/**
+ * Education table with empty fields and empty levels removed
+ * @param {Object} educationTableData - { levelKey: { course, subject, ... } }
+ * @returns {Object}
+ */
+const compactEducation = (educationTableData) => {
+    const compact = {};
+    Object.entries(educationTableData || {}).forEach(([levelKey, row]) => {
+        if (!row || typeof row !== 'object') return;
+        const fields = compactFields(row);
+        if (Object.keys(fields).length > 0) compact[levelKey] = fields;
+    });
+    return compact;
+};
+
+// ============================================
+// DECODERS
+// ============================================
+
+/**
+ * Readers for each link format version: payload → share state
+ */
+const SHARE_LINK_DECODERS = {
+    1: (payload) => ({
+        searchMode: SEARCH_MODES.includes(payload.mode) ? payload.mode : 'exam',
+        selectedExam: typeof payload.exam === 'string' ? payload.exam : '',
+        division: typeof payload.division === 'string' ? payload.division : '',
+        session: typeof payload.session === 'string' ? payload.session : '',
+        formData: compactFields(payload.form),
+        educationTableData: compactEducation(payload.edu),
+        omittedSensitive: payload.omitted === true
+    })
+};
+
+// ============================================
+// SHARE LINKS
+// ============================================
+
+/**
+ * Encode form state as a URL fragment (without the leading "#")
+ * @param {Object} state - { formData, educationTableData, searchMode, selectedExam, division?, session? }
+ * @param {Object} options - { omitSensitive? }
+ * @returns {string}
+ */
+export const encodeShareState = (state, { omitSensitive = false } = {}) => {
+    const payload = {
+        mode: state.searchMode === 'eligibility' ? 'eligibility' : 'exam',
+        form: compactFields(state.formData, omitSensitive ? SENSITIVE_FORM_FIELDS : []),
+        edu: compactEducation(state.educationTableData)
+    };
+    
+    // The target exam (and result card) only matter in Exam Basis mode
+    if (payload.mode === 'exam' && state.selectedExam) {
+        payload.exam = state.selectedExam;
+        if (state.division) payload.division = state.division;
+        if (state.session) payload.session = state.session;
+    }
+    if (omitSensitive) payload.omitted = true;
+    
+    return `${SHARE_LINK_PARAM}=${SHARE_LINK_VERSION}.${toBase64Url(JSON.stringify(payload))}`;
+};
+
+/**
+ * Read form state from a URL fragment
+ * @param {string} hash - location.hash (with or without the leading "#")
+ * @returns {Object|null} - { formData, educationTableData, searchMode, selectedExam,
+ *                           division, session, omittedSensitive }, or null if the
+ *                           fragment is not a share link
+ * @throws {Error} - If the link is damaged or from a newer version
+ */
+export const decodeShareState = (hash) => {
+    const params = new URLSearchParams(String(hash || '').replace(/^#/, ''));
+    const value = params.get(SHARE_LINK_PARAM);
+    if (!value) return null;
+    
+    const match = value.match(/^(\d+)\.([A-Za-z0-9_-]+)$/);
+    if (!match) {
+        throw new Error('This share link is incomplete or damaged');
+    }
+    
+    const version = Number(match[1]);
+    const decode = SHARE_LINK_DECODERS[version];
+    if (!decode) {
+        throw new Error(version > SHARE_LINK_VERSION
+            ? 'This share link was made by a newer version of the site'
+            : 'This share link is no longer supported');
+    }
+    
+    let payload;
+    try {
+        payload = JSON.parse(fromBase64Url(match[2]));
+    } catch {
+        throw new Error('This share link is incomplete or damaged');
+    }
+    if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+        throw new Error('This share link is incomplete or damaged');
+    }
+    
+    return decode(payload);
+};
+
+/**
+ * Full share URL for the check-eligibility page
+ * @param {Object} state - See encodeShareState
+ * @param {Object} options - { omitSensitive? }
+ * @param {string} origin - Site origin (defaults to the current one)
+ * @returns {string}
+ */
+export const buildShareUrl = (state, options = {}, origin = window.location.origin) => (
+    `${origin}${SHARE_LINK_PATH}#${encodeShareState(state, options)}`
+);
+
+export default {
+    SHARE_LINK_VERSION,
+    SHARE_LINK_PARAM,
+    SHARE_LINK_PATH,
+    SENSITIVE_FORM_FIELDS,
+    encodeShareState,
+    decodeShareState,
+    buildShareUrl
+};
@@ -0,0 +1,279 @@
+/**
+ * Future Eligibility Timeline
+ *
+ * Runs a profile against every exam, division and session (e.g. the
+ * 2026-I ... 2030-II keys of between_dob) and lays the verdicts out per exam
+ * so the page can draw a calendar strip.
+ *
+ * Cell status:
+ * - ELIGIBLE: passes every check for that session
+ * - PENDING: passes once qualifications marked "Appearing" are completed
+ *   (blank marks on those levels are assumed to meet the minimum)
+ * - AGE: fails the age/DOB check
+ * - NOT_ELIGIBLE: fails for any other reason
+ */
+
+import { checkFullEligibility } from "./eligibilityChecker";
+
+import {
+    getExamDropdownOptions,
+    loadExamData,
+    getDivisionOptions,
+    getDivisionData,
+    examHasDivisions,
+    getExamSessionOptions
+} from "./examDataLoader";
+
+import { prepareUserInput } from "./exambasis";
+
+// ============================================
+// CONSTANTS
+// ============================================
+
+export const TIMELINE_STATUS = {
+    ELIGIBLE: 'ELIGIBLE',
+    PENDING: 'PENDING',
+    AGE: 'AGE',
+    NOT_ELIGIBLE: 'NOT_ELIGIBLE'
+};
+
+const DOB_FIELD = 'Date of Birth';
+const NOT_APPLICABLE = 'N/A';
+
+// Marks assumed for an "Appearing" level with no marks entered
+const ASSUMED_PENDING_MARKS = '100';
+
+const ROMAN_SESSIONS = ['I', 'II', 'III', 'IV'];
+
+// ============================================
+// SESSION HELPERS
+// ============================================
+
+/**
+ * Sort key for a session: "2026-II" → 20262, "2026" → 20260, unknown → Infinity
+ * @param {string} session
+ * @returns {number}
+ */
+const getSessionOrder = (session) => {
+    const match = String(session || '').match(/^(\d{4})(?:-(I{1,3}|IV))?$/);
+    if (!match) return Infinity;
+    const part = match[2] ? ROMAN_SESSIONS.indexOf(match[2]) + 1 : 0;
+    return parseInt(match[1], 10) * 10 + part;
+};
+
+/**
+ * Comparator for sessions in calendar order (sessions without a year go last)
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+const compareSessions = (a, b) => {
+    const orderA = getSessionOrder(a);
+    const orderB = getSessionOrder(b);
+    return orderA === orderB ? 0 : (orderA < orderB ? -1 : 1);
+};
+
+/**
+ * Year of a session key ("2027-II" → 2027)
+ * @param {string} session
+ * @returns {number|null}
+ */
+const getSessionYear = (session) => {
+    const match = String(session || '').match(/^\d{4}/);
+    return match ? parseInt(match[0], 10) : null;
+};
+
+// ============================================
+// PENDING QUALIFICATIONS
+// ============================================
+
+/**
+ * Education levels the candidate is still appearing for
+ * The expected year is the completed year if entered, otherwise this year
+ * @param {Object} userInput - Prepared user input
+ * @returns {Array<{levelKey: string, status: string, expectedYear: number}>}
+ */
+export const getPendingQualifications = (userInput) => {
+    const currentYear = new Date().getFullYear();
+    
+    return Object.entries(userInput?.education_levels || {})
+        .filter(([, level]) => (level.status || '').toUpperCase().startsWith('APPEARING'))
+        .map(([levelKey, level]) => ({
+            levelKey,
+            status: level.status,
+            expectedYear: parseInt(level.completed_year, 10) || currentYear
+        }));
+};
+
+/**
+ * Copy of the user input with every pending qualification completed
+ * @param {Object} userInput - Prepared user input
+ * @param {Array} pending - From getPendingQualifications
+ * @returns {Object}
+ */
+const completeQualifications = (userInput, pending) => {
+    const educationLevels = { ...userInput.education_levels };
+    
+    pending.forEach(({ levelKey }) => {
+        const level = educationLevels[levelKey];
+        educationLevels[levelKey] = {
+            ...level,
+            status: 'PASSED',
+            marks_percentage: level.marks_percentage || ASSUMED_PENDING_MARKS
+        };
+    });
+    
+    return { ...userInput, education_levels: educationLevels };
+};
+
+// ============================================
+// TIMELINE BUILDING
+// ============================================
+
+/**
+ * Check one division/session and classify it for the timeline
+ * @param {Object} userInput - Prepared user input
+ * @param {Object|null} completedInput - User input with pending qualifications completed (null if none)
+ * @param {Object} data - Division or exam data
+ * @param {string|null} session - Session key
+ * @returns {{session: string, status: string, ageEligible: boolean, reasons: string[]}}
+ */
+const buildCell = (userInput, completedInput, data, session) => {
+    const result = checkFullEligibility(userInput, data, session);
+    const dobCheck = result.results.find(check => check.field === DOB_FIELD);
+    const ageEligible = !dobCheck || dobCheck.eligible;
+    const reasons = result.results.filter(check => !check.eligible).map(check => check.reason);
+    
+    let status = TIMELINE_STATUS.ELIGIBLE;
+    if (!result.eligible) {
+        if (!ageEligible) {
+            status = TIMELINE_STATUS.AGE;
+        } else if (completedInput && checkFullEligibility(completedInput, data, session).eligible) {
+            status = TIMELINE_STATUS.PENDING;
+        } else {
+            status = TIMELINE_STATUS.NOT_ELIGIBLE;
+        }
+    }
+    
+    return { session: session || NOT_APPLICABLE, status, ageEligible, reasons };
+};
+
+/**
+ * Build the timeline strip for one exam
+ * @param {Object} userInput - Prepared user input
+ * @param {Object} examData - Full exam data
+ * @param {Object} examInfo - { examId, examCode, examLabel }
+ * @returns {{examId: string, examCode: string, examName: string, examLabel: string, sessions: string[], rows: Array, summary: Object}}
+ */
+export const buildExamTimeline = (userInput, examData, examInfo = {}) => {
+    const pending = getPendingQualifications(userInput);
+    const completedInput = pending.length > 0 ? completeQualifications(userInput, pending) : null;
+    
+    const divisions = examHasDivisions(examData)
+        ? getDivisionOptions(examData)
+            .map(option => ({ division: option.value, data: getDivisionData(examData, option.value) }))
+            .filter(division => division.data)
+        : [{ division: NOT_APPLICABLE, data: examData }];
+    
+    const rows = divisions.map(({ division, data }) => {
+        const sessions = getExamSessionOptions(data).map(option => option.value);
+        const cells = sessions.length > 0
+            ? sessions.map(session => buildCell(userInput, completedInput, data, session))
+            : [buildCell(userInput, completedInput, data, null)];
+        return { division, cells };
+    });
+    
+    // Union of sessions across divisions, in calendar order
+    const sessions = [...new Set(rows.flatMap(row => row.cells.map(cell => cell.session)))]
+        .sort(compareSessions);
+    
+    return {
+        examId: examInfo.examId || '',
+        examCode: examInfo.examCode || examData.exam_code || '',
+        examName: examData.exam_name || examInfo.examLabel || '',
+        examLabel: examInfo.examLabel || examData.exam_name || '',
+        sessions,
+        rows,
+        summary: summarizeTimeline(sessions, rows, pending)
+    };
+};
+
+/**
+ * First/last age-eligible sessions, first eligible session and when pending
+ * qualifications make the candidate eligible
+ * @param {string[]} sessions - Sessions in calendar order
+ * @param {Array} rows - Timeline rows
+ * @param {Array} pending - From getPendingQualifications
+ * @returns {{firstAgeEligible: string|null, lastAgeEligible: string|null, firstEligible: string|null, eligibleAfterQualification: string|null, pendingQualifications: Array}}
+ */
+export const summarizeTimeline = (sessions, rows, pending = []) => {
+    const sessionsWhere = (predicate) => sessions.filter(session =>
+        rows.some(row => row.cells.some(cell => cell.session === session && predicate(cell)))
+    );
+    
+    const ageEligible = sessionsWhere(cell => cell.ageEligible);
+    const eligible = sessionsWhere(cell => cell.status === TIMELINE_STATUS.ELIGIBLE);
+    const pendingSessions = sessionsWhere(cell => cell.status === TIMELINE_STATUS.PENDING);
+    
+    // Prefer the first session after the latest expected completion year
+    const qualificationYear = Math.max(0, ...pending.map(level => level.expectedYear));
+    const afterQualification = pendingSessions.find(session => getSessionYear(session) > qualificationYear)
+        || pendingSessions[0]
+        || null;
+    
+    return {
+        firstAgeEligible: ageEligible[0] || null,
+        lastAgeEligible: ageEligible[ageEligible.length - 1] || null,
+        firstEligible: eligible[0] || null,
+        eligibleAfterQualification: afterQualification,
+        pendingQualifications: pending
+    };
+};
+
+/**
+ * Build the timeline for ALL exams
+ * @param {Object} formData - The form data from UI
+ * @param {Object} educationTableData - Education table data from UI
+ * @param {Function} onProgress - Optional callback for progress updates (examName, current, total)
+ * @returns {Promise<Array>} - One timeline per exam, exams with an eligible or pending session first
+ */
+export const buildEligibilityTimeline = async (formData, educationTableData, onProgress = null) => {
+    const examOptions = getExamDropdownOptions();
+    const userInput = prepareUserInput(formData, educationTableData);
+    const timelines = [];
+    
+    for (let i = 0; i < examOptions.length; i++) {
+        const examOption = examOptions[i];
+        
+        if (onProgress) {
+            onProgress(examOption.label, i + 1, examOptions.length);
+        }
+        
+        if (!examOption.linkedFile) continue;
+        
+        try {
+            const examData = await loadExamData(examOption.linkedFile);
+            if (!examData) continue;
+            
+            timelines.push(buildExamTimeline(userInput, examData, {
+                examId: examOption.value,
+                examCode: examOption.code,
+                examLabel: examOption.label
+            }));
+        } catch (err) {
+            console.error(`Error building timeline for ${examOption.label}:`, err);
+        }
+    }
+    
+    // Exams the candidate can reach come first, earliest first
+    const reachable = (timeline) => timeline.summary.firstEligible || timeline.summary.eligibleAfterQualification;
+    return timelines.sort((a, b) => compareSessions(reachable(a), reachable(b)));
+};
+
+export default {
+    TIMELINE_STATUS,
+    getPendingQualifications,
+    buildExamTimeline,
+    summarizeTimeline,
+    buildEligibilityTimeline
+};
@@ -0,0 +1,64 @@
+/**
+ * User Input Preparation
+ * For PRATIYOGITA YOGYA - Exam Eligibility Tracker
+ * 
+ * Turns the check-eligibility form (and saved profiles, which store the same
+ * formData / educationTableData) into the input the eligibility checker
+ * expects. Used by the app and by the API server's exam reminders.
+ */
+
+/**
+ * Education key mapping from UI format to checker format
+ */
+const EDUCATION_KEY_MAPPING = {
+    'POST DOCTORATE': 'post_doctorate',
+    'PHD': 'phd',
+    'POST GRADUATION': 'post_graduation',
+    'GRADUATION': 'graduation',
+    'DIPLOMA / ITI (POLYTECHNIC, ITI, DPHARM, PGDCA)': 'diploma',
+    '(12TH)HIGHER SECONDARY': '12th_higher_secondary',
+    '(12TH) HIGHER SECONDARY': '12th_higher_secondary',
+    '(10TH)SECONDARY': '10th_secondary',
+    '(10TH) SECONDARY': '10th_secondary'
+};
+
+/**
+ * Prepare user input for eligibility checking
+ * @param {Object} formData - The form data from UI
+ * @param {Object} educationTableData - Education table data from UI
+ * @returns {Object} - Prepared user input for eligibility checker
+ */
+export const prepareUserInput = (formData, educationTableData) => {
+    // Convert DOB to DD-MM-YYYY format for checking
+    let dobFormatted = '';
+    if (formData.date_of_birth) {
+        const dobParts = formData.date_of_birth.split('-');
+        dobFormatted = `${dobParts[2]}-${dobParts[1]}-${dobParts[0]}`;
+    }
+    
+    // Convert educationTableData keys to JSON format expected by checker
+    const educationLevelsForChecker = {};
+    
+    Object.entries(educationTableData).forEach(([uiKey, levelData]) => {
+        const jsonKey = EDUCATION_KEY_MAPPING[uiKey] || uiKey.toLowerCase().replace(/ /g, '_');
+        if (levelData && (levelData.course || levelData.marks || levelData.subject)) {
+            educationLevelsForChecker[jsonKey] = {
+                course: levelData.course || '',
+                subject: levelData.subject || '',
+                marks_percentage: levelData.marks || '',
+                status: levelData.completionStatus || '',
+                completed_year: levelData.completedYear || ''
+            };
+        }
+    });
+    
+    return {
+        ...formData,
+        date_of_birth: dobFormatted,
+        education_levels: educationLevelsForChecker
+    };
+};
+
+export default {
+    prepareUserInput
+};
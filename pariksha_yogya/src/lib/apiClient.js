@@ -0,0 +1,75 @@
+/**
+ * API Client
+ * For PRATIYOGITA YOGYA - Exam Eligibility Tracker
+ *
+ * fetch wrapper for the API in server/. The session lives in an HttpOnly
+ * cookie, so every request is sent with credentials. Errors come back as
+ * ApiError with the API's error code.
+ *
+ * In development Vite proxies /api to the API server; set VITE_API_URL when
+ * the API runs on another origin.
+ */
+
+// ============================================
+// CONSTANTS
+// ============================================
+
+const API_BASE_URL = import.meta.env.VITE_API_URL || '';
+
+// ============================================
+// REQUESTS
+// ============================================
+
+/**
+ * Error returned by the API
+ */
+export class ApiError extends Error {
+    /**
+     * @param {number} status - HTTP status (0 if the API could not be reached)
+     * @param {string} code - Error code from the API, like "INVALID_CREDENTIALS"
+     * @param {string} message
+     */
+    constructor(status, code, message) {
+        super(message);
+        this.name = 'ApiError';
+        this.status = status;
+        this.code = code;
+    }
+}
+
+/**
+ * Call the account API
+ * @param {string} method
+ * @param {string} path - Path starting with /api
+ * @param {Object} body - JSON body (optional)
+ * @returns {Promise<Object>} - Parsed response body
+ * @throws {ApiError}
+ */
+export const request = async (method, path, body = undefined) => {
+    let response;
+    try {
+        response = await fetch(`${API_BASE_URL}${path}`, {
+            method,
+            credentials: 'include',
+            headers: body === undefined ? {} : { 'Content-Type': 'application/json' },
+            body: body === undefined ? undefined : JSON.stringify(body)
+        });
+    } catch {
+        throw new ApiError(0, 'NETWORK_ERROR', 'Could not reach the server. Please try again.');
+    }
+    
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        throw new ApiError(
+            response.status,
+            data.error?.code || 'REQUEST_FAILED',
+            data.error?.message || 'Something went wrong. Please try again.'
+        );
+    }
+    return data;
+};
+
+export default {
+    ApiError,
+    request
+};
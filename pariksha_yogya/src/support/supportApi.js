@@ -0,0 +1,81 @@
+/**
+ * Support API Client
+ * For PRATIYOGITA YOGYA - Exam Eligibility Tracker
+ *
+ * Contact form submissions and the admin ticket listing (server/routes/contact.js
+ * and server/routes/admin.js).
+ */
+
+import { request } from '../lib/apiClient';
+
+// ============================================
+// CONSTANTS
+// ============================================
+
+// Same values as TICKET_CATEGORIES / TICKET_STATUSES in server/tickets.js
+export const TICKET_CATEGORY_OPTIONS = [
+    { value: 'general', label: 'General question' },
+    { value: 'wrong-eligibility-result', label: 'Wrong eligibility result' },
+    { value: 'exam-data', label: 'Exam details are outdated' },
+    { value: 'account', label: 'Account or login' },
+    { value: 'other', label: 'Something else' }
+];
+
+export const TICKET_STATUS_OPTIONS = [
+    { value: 'open', label: 'Open' },
+    { value: 'in-progress', label: 'In progress' },
+    { value: 'resolved', label: 'Resolved' },
+    { value: 'closed', label: 'Closed' }
+];
+
+export const WRONG_RESULT_CATEGORY = 'wrong-eligibility-result';
+
+/**
+ * Label for a category or status value
+ * @param {Array} options - TICKET_CATEGORY_OPTIONS or TICKET_STATUS_OPTIONS
+ * @param {string} value
+ * @returns {string}
+ */
+export const getOptionLabel = (options, value) => options.find(option => option.value === value)?.label || value;
+
+// ============================================
+// REQUESTS
+// ============================================
+
+/**
+ * Send the contact form
+ * @param {Object} submission - { firstName, lastName, email, phoneNumber, category, message, examId?, website }
+ * @returns {Promise<{reference: string, acknowledgementSent: boolean}>}
+ */
+export const submitContactForm = async (submission) => (await request('POST', '/api/contact', submission)).ticket;
+
+/**
+ * Support tickets for the admin listing
+ * @param {Object} filters - { status, category, q } (empty values are ignored)
+ * @returns {Promise<{tickets: Array, counts: Object}>}
+ */
+export const fetchTickets = (filters = {}) => {
+    const params = new URLSearchParams(Object.entries(filters).filter(([, value]) => value));
+    const query = params.toString();
+    return request('GET', `/api/admin/tickets${query ? `?${query}` : ''}`);
+};
+
+/**
+ * Change a ticket's status and/or add a note
+ * @param {string} id - Ticket ID
+ * @param {Object} update - { status?, note? }
+ * @returns {Promise<Object>} - Updated ticket
+ */
+export const updateTicket = async (id, update) => (
+    (await request('PATCH', `/api/admin/tickets/${encodeURIComponent(id)}`, update)).ticket
+);
+
+export default {
+    TICKET_CATEGORY_OPTIONS,
+    TICKET_STATUS_OPTIONS,
+    WRONG_RESULT_CATEGORY,
+    getOptionLabel,
+    submitContactForm,
+    fetchTickets,
+    updateTicket
+};
@@ -1,7 +1,7 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 import tailwindcss from '@tailwindcss/vite'
-import path from "path"
+import { fileURLToPath, URL } from "node:url"
 
 
 // https://vite.dev/config/
@@ -9,7 +9,27 @@ export default defineConfig({
   plugins: [react(), tailwindcss()],
   resolve: {
     alias: {
-      "@": path.resolve(__dirname, "./src"),
+      "@": fileURLToPath(new URL("./src", import.meta.url)),
+      // Packages shared with Pariksha Setu and Pariksha Marg
+      "@pariksha/exam-catalogue": fileURLToPath(new URL("../packages/exam-catalogue", import.meta.url)),
+      "@pariksha/i18n": fileURLToPath(new URL("../packages/i18n", import.meta.url)),
+      "@pariksha/theme": fileURLToPath(new URL("../packages/theme", import.meta.url)),
     },
+    // The shared packages have no node_modules; use this app's React
+    dedupe: ["react", "react-dom"],
+  },
+  // Account API (npm run server) during development
+  server: {
+    proxy: {
+      '/api': 'http://localhost:8787',
+    },
+    // Serve the shared packages next to the app
+    fs: {
+      allow: ['..'],
+    },
+  },
+  // The eligibility worker lazy-loads exam chunks, which needs ES module output
+  worker: {
+    format: 'es',
   },
 })